@@ -17,7 +17,8 @@
  * - ASHRAE Fundamentals 2021, Chapter 1
  * - Sutherland, W. (1893), Phil. Mag. S.5, 36(223), 507-531
  * 
- * Plage: -40 à 50°C, pression atmosphérique (1.01325 bar)
+ * Plage: -60 à 50°C, pression atmosphérique (1.01325 bar)
+ * (humidité et altitude corrigées dans js/properties/air-properties.js)
  * 
  * @module air-tables
  */
@@ -27,7 +28,7 @@ const airTablesData = {
   source: "Tables générées avec corrélations validées Perry's & ASHRAE",
   pressure: "atmosphérique (1.01325 bar = 101325 Pa)",
   range: {
-    temperature_C: [-40.0, 50.0]
+    temperature_C: [-60.0, 50.0]
   },
   units: {
     temperature: "°C",
@@ -43,14 +44,16 @@ const airTablesData = {
     "ASHRAE Fundamentals 2021, Chapter 1, Tables 2-3"
   ],
   
-  // Grille de température [-40, -35, ..., 45, 50]°C
+  // Grille de température [-60, -55, ..., 45, 50]°C
   temperature_grid_C: [
+    -60, -55, -50, -45,
     -40, -35, -30, -25, -20, -15, -10, -5, 0, 5, 
     10, 15, 20, 25, 30, 35, 40, 45, 50
   ],
   
   // Densité [kg/m³]
   density_kg_m3: [
+    1.6561, 1.6181, 1.5818, 1.5472,
     1.514, 1.4822, 1.4517, 1.4225, 1.3944, 1.3674, 1.3414, 1.3164,
     1.2923, 1.2691, 1.2466, 1.225, 1.2041, 1.1839, 1.1644, 1.1455,
     1.1272, 1.1095, 1.0923
@@ -58,6 +61,7 @@ const airTablesData = {
   
   // Viscosité dynamique [Pa·s]
   viscosity_Pa_s: [
+    1.402246e-05, 1.429779e-05, 1.457041e-05, 1.484039e-05,
     1.510778e-05, 1.537263e-05, 1.563501e-05, 1.589495e-05, 1.615252e-05,
     1.640776e-05, 1.666072e-05, 1.691145e-05, 1.716000e-05, 1.740641e-05,
     1.765072e-05, 1.789298e-05, 1.813322e-05, 1.837149e-05, 1.860783e-05,
@@ -66,6 +70,7 @@ const airTablesData = {
   
   // Conductivité thermique [W/(m·K)]
   thermal_conductivity_W_m_K: [
+    0.01976, 0.02013, 0.0205, 0.02087,
     0.02123, 0.0216, 0.02196, 0.02232, 0.02268, 0.02304, 0.02339, 0.02375,
     0.0241, 0.02445, 0.0248, 0.02515, 0.0255, 0.02585, 0.0262, 0.02654,
     0.02688, 0.02723, 0.02757
@@ -73,6 +78,7 @@ const airTablesData = {
   
   // Chaleur spécifique [J/(kg·K)]
   specific_heat_J_kg_K: [
+    1003.9, 1004.0, 1004.1, 1004.2,
     1004.3, 1004.4, 1004.5, 1004.6, 1004.7, 1004.7, 1004.8, 1004.9,
     1005.0, 1005.1, 1005.2, 1005.3, 1005.3, 1005.4, 1005.5, 1005.6,
     1005.7, 1005.8, 1005.8
@@ -80,6 +86,7 @@ const airTablesData = {
   
   // Nombre de Prandtl [sans dimension]
   prandtl: [
+    0.7126, 0.7132, 0.7138, 0.7142,
     0.7146, 0.715, 0.7152, 0.7154, 0.7156, 0.7157, 0.7157, 0.7157,
     0.7156, 0.7155, 0.7153, 0.7151, 0.7149, 0.7146, 0.7143, 0.7139,
     0.7135, 0.7131, 0.7127
@@ -0,0 +1,96 @@
+/**
+ * fouling.js
+ *
+ * Encrassement intérieur des conduites selon la qualité de l'eau
+ *
+ * Chaque type d'eau est décrit par:
+ * - factor: résistance d'encrassement R_f [m²·K/W], rapportée à la surface
+ *   mouillée du dépôt (TEMA, eau à moins de 50°C, vitesse ≥ 1 m/s);
+ * - thickness: épaisseur typique du dépôt [m], qui réduit le diamètre hydraulique;
+ * - roughness: rugosité absolue de la surface du dépôt [m] (null = celle du tuyau).
+ *
+ * Pour les dépôts épais (tartre, tubercules), R_f est de l'ordre de e/k avec
+ * k ≈ 2 à 2.5 W/(m·K) (oxydes de fer poreux, carbonate de calcium).
+ *
+ * Sources:
+ * - TEMA Standards, 10e éd. (2019), Table RGP-T-2.4 (résistances d'encrassement de l'eau)
+ * - Kern, D.Q. (1950). Process Heat Transfer, Table 12
+ * - Sharp, W.W. & Walski, T.M. (1988). Predicting internal roughness in water mains.
+ *   Journal AWWA 80(11), 34-40
+ * - Lamont, P.A. (1981). Common pipe flow formulas compared with the theory of roughness.
+ *   Journal AWWA 73(5), 274-280
+ */
+
+const foulingData = {
+  distilled: {
+    name: 'Eau distillée ou déminéralisée',
+    factor: 0.00009,
+    thickness: 0,
+    roughness: null,
+    notes: 'Film négligeable, pas de dépôt',
+  },
+
+  closed_loop: {
+    name: 'Circuit fermé traité',
+    factor: 0.00018,
+    thickness: 0,
+    roughness: null,
+    notes: 'Eau de chauffage ou de refroidissement conditionnée',
+  },
+
+  city_water: {
+    name: 'Eau de ville',
+    factor: 0.00018,
+    thickness: 0.0005,
+    roughness: 0.25e-3,
+    notes: 'Eau potable, léger dépôt après quelques années',
+  },
+
+  river_water: {
+    name: 'Eau de rivière',
+    factor: 0.00035,
+    thickness: 0.0005,
+    roughness: 0.5e-3,
+    notes: 'Limon et biofilm',
+  },
+
+  cooling_tower: {
+    name: 'Tour de refroidissement non traitée',
+    factor: 0.00053,
+    thickness: 0.001,
+    roughness: 0.5e-3,
+    notes: "Eau d'appoint concentrée par évaporation",
+  },
+
+  hard_water: {
+    name: 'Eau dure (> 250 mg/L CaCO3)',
+    factor: 0.00053,
+    thickness: 0.001,
+    roughness: 0.5e-3,
+    notes: 'Tartre calcaire',
+  },
+
+  tuberculated: {
+    name: 'Conduite ancienne tuberculée',
+    factor: 0.002,
+    thickness: 0.005,
+    roughness: 3e-3,
+    notes: 'Fonte ou acier non revêtus, tubercules de corrosion (50 ans et plus)',
+  },
+};
+
+// Freezer pour immutabilité
+Object.freeze(foulingData);
+for (const key in foulingData) {
+  Object.freeze(foulingData[key]);
+}
+
+// Export pour navigateur
+if (typeof window !== 'undefined') {
+  window.FoulingData = foulingData;
+}
+
+// Export pour Node.js
+if (typeof module !== 'undefined' && module.exports) {
+  module.exports = { foulingData };
+}
@@ -0,0 +1,231 @@
+/**
+ * glycol-tables.js
+ *
+ * Tables de données thermophysiques des mélanges eau-glycol (fluides caloporteurs).
+ *
+ * DONNÉES PURES - AUCUNE FONCTION
+ *
+ * Source: ASHRAE Handbook - Fundamentals (2017), chapitre 31 (Physical Properties
+ * of Secondary Coolants), tables lissées et arrondies:
+ * - ρ, cp, k: précision ~2%
+ * - μ: précision ~10% (forme de Vogel ajustée sur les données à 0°C et 60°C)
+ *
+ * Les valeurs sous le point de congélation d'une concentration donnée sont une
+ * extrapolation lisse: elles ne servent qu'à l'interpolation entre concentrations.
+ * Le module fluid-properties.js refuse toute température sous le point de
+ * congélation du mélange.
+ *
+ * Plage:
+ * - Température: -40 à 100°C
+ * - Concentration: 20 à 50% massique
+ *
+ * @module glycol-tables
+ */
+
+const glycolTablesData = {
+  description: "Propriétés thermophysiques des mélanges eau-glycol",
+  source: "ASHRAE Handbook - Fundamentals (2017), chapitre 31",
+  range: {
+    temperature_C: [-40.0, 100.0],
+    concentration_pct: [20, 50]
+  },
+  units: {
+    temperature: "°C",
+    concentration: "% massique",
+    density: "kg/m³",
+    viscosity: "Pa·s",
+    thermal_conductivity: "W/(m·K)",
+    specific_heat: "J/(kg·K)"
+  },
+
+  // Grilles 2D: température (15 points) × concentration (4 points)
+  temperature_grid_C: [
+    -40, -30, -20, -10, 0, 10, 20, 30, 40, 50, 60, 70, 80, 90, 100
+  ],
+  concentration_grid_pct: [20, 30, 40, 50],
+
+  // Tables [T][concentration] - indexées par température puis concentration
+  ethylene_glycol: {
+    name: "Éthylène glycol",
+
+    // Point de congélation [°C] par concentration
+    freezing_point_C: [-7.9, -14.8, -23.5, -34.2],
+
+    // Densité [kg/m³]
+    density_kg_m3: [
+      [1037.5, 1053.2, 1069.9, 1085.6],
+      [1036.5, 1051.8, 1068.0, 1083.2],
+      [1035.1, 1049.9, 1065.7, 1080.5],
+      [1033.2, 1047.6, 1062.9, 1077.3],
+      [1030.9, 1044.8, 1059.7, 1073.6],
+      [1028.2, 1041.6, 1056.1, 1069.5],
+      [1025.0, 1038.0, 1052.0, 1065.0],
+      [1021.4, 1033.9, 1047.5, 1060.0],
+      [1017.3, 1029.4, 1042.5, 1054.6],
+      [1012.8, 1024.5, 1037.1, 1048.8],
+      [1007.9, 1019.1, 1031.3, 1042.5],
+      [1002.5, 1013.2, 1025.0, 1035.8],
+      [996.7, 1007.0, 1018.3, 1028.6],
+      [990.4, 1000.3, 1011.1, 1021.0],
+      [983.7, 993.1, 1003.5, 1012.9]
+    ],
+
+    // Viscosité dynamique [Pa·s]
+    viscosity_Pa_s: [
+      [0.0188, 0.0227, 0.036, 0.0635],
+      [0.0103, 0.0125, 0.019, 0.0319],
+      [0.00626, 0.00768, 0.0113, 0.0181],
+      [0.00413, 0.0051, 0.00726, 0.0112],
+      [0.0029, 0.0036, 0.005, 0.0075],
+      [0.00214, 0.00267, 0.00363, 0.0053],
+      [0.00164, 0.00206, 0.00274, 0.00392],
+      [0.0013, 0.00164, 0.00215, 0.00301],
+      [0.00106, 0.00134, 0.00173, 0.00238],
+      [0.000884, 0.00112, 0.00143, 0.00193],
+      [0.00075, 0.00095, 0.0012, 0.0016],
+      [0.000647, 0.000821, 0.00103, 0.00135],
+      [0.000566, 0.00072, 0.000892, 0.00116],
+      [0.000501, 0.000638, 0.000784, 0.00101],
+      [0.000448, 0.000572, 0.000697, 0.000889]
+    ],
+
+    // Conductivité thermique [W/(m·K)]
+    thermal_conductivity_W_m_K: [
+      [0.4459, 0.4142, 0.3816, 0.349],
+      [0.4579, 0.4254, 0.3919, 0.3584],
+      [0.4692, 0.4358, 0.4015, 0.3672],
+      [0.4796, 0.4455, 0.4104, 0.3753],
+      [0.4892, 0.4544, 0.4186, 0.3829],
+      [0.498, 0.4626, 0.4262, 0.3897],
+      [0.506, 0.47, 0.433, 0.396],
+      [0.5132, 0.4767, 0.4391, 0.4016],
+      [0.5196, 0.4826, 0.4446, 0.4066],
+      [0.5251, 0.4878, 0.4494, 0.411],
+      [0.5299, 0.4922, 0.4534, 0.4147],
+      [0.5338, 0.4958, 0.4568, 0.4178],
+      [0.537, 0.4988, 0.4595, 0.4202],
+      [0.5393, 0.5009, 0.4615, 0.4221],
+      [0.5408, 0.5023, 0.4628, 0.4232]
+    ],
+
+    // Chaleur spécifique [J/(kg·K)]
+    specific_heat_J_kg_K: [
+      [3726, 3554, 3372, 3170],
+      [3750, 3580, 3400, 3200],
+      [3774, 3606, 3428, 3230],
+      [3798, 3632, 3456, 3260],
+      [3822, 3658, 3484, 3290],
+      [3846, 3684, 3512, 3320],
+      [3870, 3710, 3540, 3350],
+      [3894, 3736, 3568, 3380],
+      [3918, 3762, 3596, 3410],
+      [3942, 3788, 3624, 3440],
+      [3966, 3814, 3652, 3470],
+      [3990, 3840, 3680, 3500],
+      [4014, 3866, 3708, 3530],
+      [4038, 3892, 3736, 3560],
+      [4062, 3918, 3764, 3590]
+    ]
+  },
+
+  // Tables [T][concentration] - indexées par température puis concentration
+  propylene_glycol: {
+    name: "Propylène glycol",
+
+    // Point de congélation [°C] par concentration
+    freezing_point_C: [-7.1, -12.7, -21.1, -33.5],
+
+    // Densité [kg/m³]
+    density_kg_m3: [
+      [1032.1, 1045.1, 1056.1, 1066.1],
+      [1030.5, 1043.0, 1053.5, 1063.0],
+      [1028.5, 1040.5, 1050.5, 1059.5],
+      [1026.0, 1037.5, 1047.0, 1055.5],
+      [1023.1, 1034.1, 1043.1, 1051.1],
+      [1019.8, 1030.3, 1038.8, 1046.3],
+      [1016.0, 1026.0, 1034.0, 1041.0],
+      [1011.8, 1021.3, 1028.8, 1035.3],
+      [1007.1, 1016.1, 1023.1, 1029.1],
+      [1002.0, 1010.5, 1017.0, 1022.5],
+      [996.5, 1004.5, 1010.5, 1015.5],
+      [990.5, 998.0, 1003.5, 1008.0],
+      [984.1, 991.1, 996.1, 1000.1],
+      [977.2, 983.7, 988.2, 991.7],
+      [969.9, 975.9, 979.9, 982.9]
+    ],
+
+    // Viscosité dynamique [Pa·s]
+    viscosity_Pa_s: [
+      [0.034, 0.0626, 0.128, 0.282],
+      [0.0171, 0.0294, 0.0552, 0.111],
+      [0.00966, 0.0158, 0.0277, 0.0512],
+      [0.006, 0.00935, 0.0155, 0.0268],
+      [0.004, 0.006, 0.0095, 0.0155],
+      [0.00282, 0.0041, 0.00623, 0.00967],
+      [0.00209, 0.00294, 0.00431, 0.00641],
+      [0.0016, 0.0022, 0.00312, 0.00447],
+      [0.00126, 0.0017, 0.00235, 0.00325],
+      [0.00103, 0.00135, 0.00182, 0.00245],
+      [0.00085, 0.0011, 0.00145, 0.0019],
+      [0.000718, 0.000914, 0.00118, 0.00151],
+      [0.000616, 0.000773, 0.00098, 0.00123],
+      [0.000535, 0.000663, 0.000828, 0.00102],
+      [0.000471, 0.000577, 0.000709, 0.000854]
+    ],
+
+    // Conductivité thermique [W/(m·K)]
+    thermal_conductivity_W_m_K: [
+      [0.4395, 0.4019, 0.3635, 0.3269],
+      [0.4502, 0.4118, 0.3724, 0.3349],
+      [0.4601, 0.4208, 0.3806, 0.3423],
+      [0.4693, 0.4292, 0.3882, 0.3491],
+      [0.4776, 0.4369, 0.3951, 0.3553],
+      [0.4852, 0.4438, 0.4014, 0.3609],
+      [0.492, 0.45, 0.407, 0.366],
+      [0.498, 0.4555, 0.412, 0.3705],
+      [0.5032, 0.4603, 0.4163, 0.3743],
+      [0.5076, 0.4643, 0.4199, 0.3776],
+      [0.5113, 0.4676, 0.423, 0.3803],
+      [0.5141, 0.4703, 0.4253, 0.3825],
+      [0.5162, 0.4721, 0.427, 0.384],
+      [0.5175, 0.4733, 0.4281, 0.385],
+      [0.518, 0.4738, 0.4285, 0.3853]
+    ],
+
+    // Chaleur spécifique [J/(kg·K)]
+    specific_heat_J_kg_K: [
+      [3786, 3674, 3532, 3370],
+      [3815, 3705, 3565, 3405],
+      [3844, 3736, 3598, 3440],
+      [3873, 3767, 3631, 3475],
+      [3902, 3798, 3664, 3510],
+      [3931, 3829, 3697, 3545],
+      [3960, 3860, 3730, 3580],
+      [3989, 3891, 3763, 3615],
+      [4018, 3922, 3796, 3650],
+      [4047, 3953, 3829, 3685],
+      [4076, 3984, 3862, 3720],
+      [4105, 4015, 3895, 3755],
+      [4134, 4046, 3928, 3790],
+      [4163, 4077, 3961, 3825],
+      [4192, 4108, 3994, 3860]
+    ]
+  }
+};
+
+// Freezer pour immutabilité
+Object.freeze(glycolTablesData);
+Object.freeze(glycolTablesData.temperature_grid_C);
+Object.freeze(glycolTablesData.concentration_grid_pct);
+Object.freeze(glycolTablesData.ethylene_glycol);
+Object.freeze(glycolTablesData.propylene_glycol);
+
+// Export pour navigateur
+if (typeof window !== 'undefined') {
+  window.GlycolTablesData = glycolTablesData;
+}
+
+// Export pour Node.js
+if (typeof module !== 'undefined' && module.exports) {
+  module.exports = { glycolTablesData };
+}
@@ -32,20 +32,254 @@
       schedule: 'SCHEDULE:',
       type: 'TYPE:',
       nps: 'NPS:',
+      condition: 'CONDITION:',
     },
     insulation: {
       sectionTitle: '🧤 Insulation (optional)',
       checkbox: 'The pipe is insulated',
       materialLabel: 'Insulation material',
       thicknessLabel: 'Thickness (mm)',
+      moistureLabel: 'Moisture (% vol.)',
+      ageLabel: 'Age (years)',
       materials: {
         fiberglass: 'Fiberglass',
         rockwool: 'Mineral wool',
         foam: 'Polyurethane foam',
         polystyrene: 'Extruded polystyrene (XPS)',
         elastomeric: 'Elastomeric foam',
+        eps: 'Expanded polystyrene (EPS)',
+        aerogel: 'Aerogel blanket',
       },
     },
+    jacket: {
+      materialLabel: 'Protective jacket',
+      none: 'None',
+      thicknessLabel: 'Jacket thickness (mm)',
+      emissivityLabel: 'Emissivity',
+      materials: {
+        aluminum_jacket: 'Aluminium',
+        stainless_jacket: 'Stainless steel',
+        galvanized_jacket: 'Galvanized steel',
+        pvc_jacket: 'PVC',
+        mastic: 'Mastic',
+      },
+    },
+    heatTracing: {
+      checkbox: 'Electric heat tracing',
+      powerLabel: 'Power (W/m)',
+      active: '🔌 Electric heat tracing: {power} W/m ({total} W total)',
+      required: '🔌 Heat tracing required to maintain {safety}°C: {power} W/m ({total} W total)',
+      infeasible: '🔌 Even 200 W/m of heat tracing cannot maintain {safety}°C',
+    },
+    fluid: {
+      label: 'FLUID:',
+      concentrationLabel: 'CONCENTRATION (%):',
+      types: {
+        water: 'Water',
+        propylene_glycol: 'Propylene glycol',
+        ethylene_glycol: 'Ethylene glycol',
+      },
+    },
+    waterBackend: {
+      label: 'PROPERTIES:',
+      table: 'Tables (1–10 bar)',
+      if97: 'IAPWS-IF97 (up to 100 bar)',
+      crossCheck:
+        'Max. table / IF97 difference over the grid: ρ {rho} %, μ {mu} %, k {k} %, cp {cp} %',
+    },
+    elevation: {
+      label: 'ELEVATION CHANGE (m):',
+    },
+    airConditions: {
+      humidityLabel: 'RELATIVE HUMIDITY (%):',
+      altitudeLabel: 'SITE ALTITUDE (m):',
+    },
+    burial: {
+      checkbox: 'The pipe is buried',
+      depthLabel: 'Depth (m)',
+      soilLabel: 'Soil type',
+      surfaceTempLabel: 'Ground surface T (°C)',
+      soils: {
+        sand_dry: 'Dry sand',
+        sand_moist: 'Moist sand',
+        gravel: 'Gravel',
+        silt: 'Silt',
+        clay: 'Clay',
+        peat: 'Peat',
+      },
+      frostOk:
+        '⛏️ Estimated frost depth: {frost} m < burial depth {depth} m (pipe below the frost line)',
+      frostInsufficient:
+        '⛏️ Estimated frost depth: {frost} m ≥ burial depth {depth} m (frozen soil around the pipe)',
+    },
+    skyRadiation: {
+      checkbox: 'Night sky and sun',
+      presetLabel: 'Sky',
+      presets: {
+        clear_night: 'Clear night (worst case for freezing)',
+        overcast: 'Overcast',
+        custom: 'Cloud cover…',
+      },
+      cloudCoverLabel: 'Cloud cover (%)',
+      solarLabel: 'Sun (W/m²)',
+      absorptivityLabel: 'Absorptivity',
+      summary: '🌌 Sky at {T_sky}°C: equivalent radiant environment {T_env}°C for air at {T_amb}°C',
+    },
+    orientation: {
+      checkbox: 'Orientation and wind exposure',
+      inclinationLabel: 'Inclination (°)',
+      windAngleLabel: 'Wind angle (°)',
+      heightLabel: 'Height (m)',
+      terrainLabel: 'Terrain',
+      terrains: {
+        open: 'Open country',
+        suburban: 'Suburban',
+        urban: 'Urban',
+      },
+    },
+    economics: {
+      checkbox: 'Economic insulation thickness',
+      costPerMmLabel: 'Insulation cost ($/m per mm)',
+      fixedCostLabel: 'Fixed cost ($/m)',
+      energyPriceLabel: 'Energy ($/kWh)',
+      hoursLabel: 'Hours/year',
+      discountLabel: 'Discount rate (%)',
+      lifetimeLabel: 'Lifetime (years)',
+      thicknessMinLabel: 'Min thickness (mm)',
+      thicknessMaxLabel: 'Max thickness (mm)',
+      freezeMarginLabel: 'Freeze margin (°C)',
+      title: '💰 Economic insulation thickness',
+      optimum: {
+        title: 'OPTIMUM: {material}, {thickness} MM',
+        msg: 'Life-cycle cost: {lcc} $/m (insulation {installed} $/m + energy {energy} $/m over {lifetime} years)\nHeat loss: {loss} W/m, minimum temperature {tmin}°C',
+      },
+      infeasible: {
+        title: 'NO FREEZE-SAFE THICKNESS',
+        msg: 'No insulation up to {max} mm keeps the fluid {margin}°C above its freezing point: consider electric heat tracing.',
+      },
+      freezeCost:
+        'Without the freeze constraint, the optimum would be {material} {thickness} mm: freeze protection costs {extra} $/m more.',
+      safeZone: 'Freeze-safe region',
+      optimumLabel: 'Optimum',
+      axisThickness: 'Insulation thickness (mm)',
+      axisCost: 'Life-cycle cost ($/m)',
+      legendUnsafe: '- - - freezing not avoided (insufficient margin)',
+    },
+    seasonal: {
+      checkbox: 'Seasonal simulation (weather CSV)',
+      fileLabel: 'Weather file (CSV)',
+      stepLabel: 'Time step',
+      steps: {
+        hourly: 'Hourly',
+        daily: 'Daily',
+      },
+      energyPriceLabel: 'Energy ($/kWh)',
+      co2Label: 'CO₂ (kg/kWh)',
+      loaded: '{count} steps loaded',
+      readError: 'Unable to read the file',
+      title: '📅 Seasonal balance (weather series)',
+      ok: {
+        title: 'NO HOURS AT RISK',
+      },
+      warning: {
+        title: '{below} H BELOW {threshold}°C',
+      },
+      critical: {
+        title: 'FROZEN FOR {frozen} H',
+      },
+      msg: 'Heat lost over {hours} h: {energy} kWh (tracing {trace} kWh)\nCost: {cost} $, emissions: {co2} kg CO₂\nHours below {threshold}°C: {below} h, including {frozen} h frozen\n{steps} weather steps, {evaluations} network calculations',
+    },
+    monteCarlo: {
+      checkbox: 'Freeze probability (Monte Carlo)',
+      samplesLabel: 'Samples',
+      seedLabel: 'Seed',
+      flowStdLabel: 'Flow ± (% std. dev.)',
+      ambientStdLabel: 'Air T ± (°C std. dev.)',
+      insulationDamageLabel: 'Insulation degraded up to (%)',
+      title: '🎲 Freeze probability (Monte Carlo)',
+      verdictTitle: 'FREEZE PROBABILITY: {p} %',
+      msg: '95 % confidence interval: {low} to {high} %\nProbability below {threshold}°C: {pSafety} %\nMinimum temperature: P5 {p5}°C, P50 {p50}°C, P95 {p95}°C\n{samples} samples (seed {seed})',
+      safetyLabel: 'Safety threshold',
+      axisMinTemp: 'Minimum temperature (°C)',
+      axisCount: 'Samples',
+    },
+    roughness: {
+      valueLabel: 'ε (mm):',
+      conditions: {
+        new: 'New',
+        used: 'Used',
+        corroded: 'Heavily corroded',
+        custom: 'Custom',
+      },
+    },
+    ambientZones: {
+      checkbox: 'Ambient zones (building, garage, tunnel)',
+      inletLengthLabel: 'Inlet zone (m)',
+      inletTempLabel: 'Inlet air T (°C)',
+      inletWindLabel: 'Inlet wind (km/h)',
+      outletLengthLabel: 'Outlet zone (m)',
+      outletTempLabel: 'Outlet air T (°C)',
+      outletWindLabel: 'Outlet wind (km/h)',
+      inletZone: 'Inlet',
+      outletZone: 'Outlet',
+    },
+    fouling: {
+      checkbox: 'Internal fouling (scale, tuberculation)',
+      typeLabel: 'Water type',
+      factorLabel: 'Fouling factor (m²·K/W)',
+      thicknessLabel: 'Deposit thickness (mm)',
+      types: {
+        distilled: 'Distilled water',
+        closed_loop: 'Treated closed loop',
+        city_water: 'City water',
+        river_water: 'River water',
+        cooling_tower: 'Cooling tower',
+        hard_water: 'Hard water (scale)',
+        tuberculated: 'Old tuberculated main',
+        custom: 'Custom',
+      },
+    },
+    fittings: {
+      checkbox: 'Fittings and valves',
+      types: {
+        elbow_90: '90° elbows',
+        elbow_90_long: '90° long-radius elbows',
+        elbow_45: '45° elbows',
+        tee_run: 'Tees (run)',
+        tee_branch: 'Tees (branch)',
+        gate_valve: 'Gate valves',
+        ball_valve: 'Ball valves',
+        globe_valve: 'Globe valves',
+        butterfly_valve: 'Butterfly valves',
+        check_valve_swing: 'Check valves',
+        check_valve_lift: 'Lift check valves',
+        strainer_y: 'Y-strainers',
+        entrance_sharp: 'Sharp-edged entrance',
+        exit: 'Pipe exit',
+      },
+    },
+    thermalBridges: {
+      checkbox: 'Thermal bridges (supports, valves, flanges)',
+      supportLabel: 'Supports',
+      none: 'None',
+      spacingLabel: 'Spacing (m)',
+      valveCountLabel: 'Bare valves',
+      flangeCountLabel: 'Bare flange pairs',
+      types: {
+        pipe_shoe: 'Welded pipe shoe',
+        pipe_clamp: 'Clamp on bare pipe',
+        hanger_rod: 'Rod hanger',
+        insulated_support: 'Insulated support block',
+        gate_valve_bare: 'Bare gate valve',
+        ball_valve_bare: 'Bare ball valve',
+        globe_valve_bare: 'Bare globe valve',
+        flange_pair_bare: 'Bare flange pair',
+        custom: 'Custom bridge',
+      },
+    },
+    adaptiveSegmentation: {
+      checkbox: 'Adaptive segmentation (convergence study)',
+    },
     sections: {
       s1: '1. Parameters and results',
       s2: '2. Sensitivity analysis',
@@ -59,6 +293,7 @@
       pipe: 'Pipe',
       pipeMaterial: 'Material:',
       pipeSpec: 'Specification:',
+      pipeCondition: 'Condition (roughness):',
       pipeLength: 'Length:',
       water: 'Water',
       waterTemp: 'Temperature:',
@@ -139,6 +374,13 @@
         segments: 'segments',
         of: 'of',
         each: 'm each. For each segment, the calculation follows 6 sequential steps:',
+        ofRange:
+          'of {min} to {max} m (adaptive segmentation, short segments where the temperature changes quickly). For each segment, the calculation follows 6 sequential steps:',
+        convergence:
+          'Convergence study: {passes} successive calculations ({counts} segments). Estimated numerical error on the final temperature: ±{error}°C.',
+        convergenceFreeze: 'On the freeze position: ±{error} m.',
+        convergencePressure: 'On the pressure drop: ±{error} %.',
+        notConverged: '⚠️ Tolerance not reached at the maximum number of segments ({numSegments}).',
         note: 'Note:',
         noteText:
           'The output temperature of one segment becomes the input temperature of the next, allowing to follow the thermal evolution along the pipe.',
@@ -190,6 +432,7 @@
           massFlow: 'Mass flow rate: ṁ =',
           density: 'Density: ρ =',
           diameter: 'Inner diameter: D =',
+          fouledDiameter: 'Hydraulic diameter reduced by the deposit: D_h = D_i − 2e =',
           volumeFlow: 'Volumetric flow rate:',
           crossSection: 'Cross-sectional area:',
           avgVelocity: 'Average velocity:',
@@ -252,27 +495,70 @@
           title: '4.1 External Convection (forced - wind)',
           outerDiameter: 'Outer diameter: D',
           windSpeed: 'Wind speed: V',
-          forcedConvection: 'Forced convection (Churchill-Bernstein)',
           reynoldsAir: 'Air Reynolds:',
-          correlation: 'Churchill-Bernstein correlation for cylinder in cross flow',
           calculated: 'calculated via established correlations',
           result: '→ External convection coefficient: h',
-          source: 'Source: Churchill-Bernstein (1977) - js/correlations/nusselt-external.js',
+          source:
+            'Source: Churchill-Bernstein (1977), Churchill-Chu (1975) - js/correlations/nusselt-external.js',
           naturalConvection: 'Natural convection (horizontal cylinder)',
           rayleighCorrelation: 'Rayleigh number then natural convection correlation',
+          combinedConvection: 'Forced + natural convection (Churchill superposition, n = 3)',
+          combinedFormula: 'Forced (Churchill-Bernstein) and natural (Churchill-Chu) combined:',
+          richardson: 'Richardson number:',
+          regime: 'Regime',
+          regimes: {
+            forced: 'forced (Ri < 0.1)',
+            mixed: 'mixed (0.1 ≤ Ri ≤ 10)',
+            natural: 'natural (Ri > 10)',
+          },
+          orientation: {
+            inclination: 'Inclination from horizontal',
+            windAtHeight: 'Wind at height',
+            attackAngle: 'Angle between wind and pipe axis',
+          },
+        },
+        soil: {
+          title: 'Step 4: External heat transfer (wall → soil)',
+          shapeFactor: '4.1 Soil conduction (shape factor)',
+          depth: 'Pipe axis depth: z',
+          soilType: 'Soil type:',
+          surfaceTemp: 'Ground surface temperature: T',
+          frostDepth: 'Estimated frost depth (Stefan):',
+          conductivity: 'Soil conductivity used: k',
+          frozen: '(frozen soil at the pipe)',
+          unfrozen: '(unfrozen soil)',
+          result: '→ Soil resistance: R',
+          source:
+            'Source: Incropera, buried cylinder shape factor; Stefan equation - js/calculations/buried-pipe.js',
         },
         radiation: {
           title: '4.2 Radiation',
-          emissivity: 'Steel emissivity: ε =',
+          emissivity: 'Surface emissivity: ε =',
           stefanBoltzmann: 'Stefan-Boltzmann constant: σ =',
           linearized: 'Linearized radiation coefficient:',
           surfaceTemp: 'With T',
-          surfaceTempNote: '≈ estimated surface temperature',
+          surfaceTempNote: '= solved surface temperature (next section)',
           result: '→ Radiation coefficient: h',
           source: 'Source: Stefan-Boltzmann law - js/correlations/radiation.js',
+          sky: {
+            skyTemp: 'Sky temperature (Swinbank, cloud cover): T',
+            surroundings: 'Surroundings (ground, buildings): T',
+            viewFactor: 'View factor to sky: F =',
+            split: 'Exchange split between sky (F) and surroundings (1 − F):',
+            solar: 'Absorbed solar flux (projected area D·L):',
+            envTemp: '→ Equivalent environment temperature: T',
+          },
+        },
+        surface: {
+          title: '4.3 Surface temperature (iteration)',
+          text: 'h<sub>conv</sub> (Rayleigh) and h<sub>rad</sub> depend on T<sub>s</sub>, which is set by the resistance network: iterate until |ΔT<sub>s</sub>| < 0.01 K.',
+          result: '→ Surface temperature: T',
+          converged: 'converged',
+          notConverged: 'not converged',
+          iterations: 'iterations',
         },
         total: {
-          title: '4.3 Total External Coefficient',
+          title: '4.4 Total External Coefficient',
           result: '→ Total external coefficient: h',
         },
       },
@@ -281,9 +567,12 @@
         series: {
           title: '5.1 Series Resistances',
           convInternal: '(internal convection):',
+          fouling: '(internal fouling, based on the deposit surface):',
           condPipe: '(steel wall conduction):',
           condInsulation: '(insulation conduction',
+          condJacket: '(jacket conduction',
           convExternal: '(external convection + radiation):',
+          soil: '(soil conduction, shape factor):',
         },
         total: {
           title: '5.2 Total Resistance',
@@ -294,6 +583,11 @@
           result: '→ UA coefficient:',
           source: 'Source: Resistances in series - js/calculations/thermal-resistance.js',
         },
+        profile: {
+          title: '5.4 Temperature drop per layer',
+          source:
+            'Source: temperatureProfile - js/calculations/thermal-resistance.js (heat tracing injected at the wall)',
+        },
       },
       step6: {
         title: 'Step 6: NTU Method (outlet temperature)',
@@ -320,6 +614,37 @@
           source:
             "Source: NTU method - Incropera & DeWitt, Perry's Section 5-10 - js/calculations/heat-transfer.js",
         },
+        heatTracing: {
+          title: 'Electric heat tracing (equivalent ambient)',
+          text: 'The cable delivers Q<sub>trace</sub> to the wall; the fluid sees an equivalent ambient:',
+          result: '→ Equivalent ambient: T',
+          source: 'Wall node balance - js/calculations/heat-tracing.js',
+        },
+      },
+      fittings: {
+        title: 'Minor losses (fittings and valves)',
+        text: 'Each fitting adds a loss K × ρV²/2, with K = (L/D) × f<sub>T</sub> (f<sub>T</sub>: fully turbulent friction factor) or a fixed K:',
+        type: 'Fitting',
+        count: 'Count',
+        position: 'Position [m]',
+        distributed: 'Distributed',
+        total: 'Total',
+        result: '→ Minor losses:',
+        source:
+          'Source: Crane TP-410, Appendix A - data/pipes/fittings.js, js/calculations/minor-losses.js',
+      },
+      thermalBridges: {
+        title: 'Thermal bridges (point losses)',
+        text: 'Each uninsulated support, valve or flange is a local heat sink of conductance UA (given, or equivalent bare length × linear conductance of a bare pipe at the same location):',
+        type: 'Element',
+        points: 'Locations',
+        value: 'UA or bare L',
+        every: 'every {spacing} m',
+        pointTotal: 'Point losses',
+        distributedTotal: 'Distributed losses (insulation)',
+        result: '→ Thermal bridge share: {share} % of losses',
+        source:
+          'Source: VDI 2055-1, CINI 1.3 - data/pipes/thermal-bridges.js, js/calculations/thermal-bridges.js',
       },
     },
     buttons: {
@@ -342,10 +667,42 @@
       requiredMissing: 'Required field missing: {label}',
       lengthRange: 'Length must be between 1 and 2500 m',
       waterTempRange: 'Water temperature must be between 1 and 100°C',
+      fluidTempRange: 'Fluid temperature must be between {min} and 100°C',
+      concentrationRange: 'Glycol concentration must be between 20 and 50%',
+      elevationRange: 'Elevation change must be between -100 and 100 m',
+      humidityRange: 'Relative humidity must be between 0 and 100%',
+      altitudeRange: 'Altitude must be between -500 and 5000 m',
+      insulationMoistureRange: 'Insulation moisture must be between 0 and 50% vol.',
+      insulationAgeRange: 'Insulation age must be between 0 and 60 years',
+      jacketThicknessRange: 'Jacket thickness must be between 0.1 and 10 mm',
+      jacketEmissivityRange: 'Jacket emissivity must be between 0.02 and 1',
+      fittingsCountRange: 'Fitting count must be an integer between 0 and 100',
+      thermalBridgesBuried: 'Thermal bridges do not apply to a buried pipe',
+      supportSpacingRange: 'Support spacing must be between 0.5 and 50 m',
+      bridgeCountRange: 'Bare valve and flange counts must be integers between 0 and 100',
+      roughnessRange: 'Roughness must be between 0 and 10 mm',
+      ambientZoneLengthRange:
+        'Inlet and outlet zone lengths must be positive and add up to less than the pipe length',
+      ambientZoneTempRange: 'Zone air temperature must be between -50 and 50°C',
+      foulingFactorRange: 'Fouling factor must be between 0 and 0.01 m²·K/W',
+      foulingThicknessRange:
+        'Deposit thickness must be between 0 and 20 mm and less than the inner radius',
       airTempRange: 'Air temperature must be between -50 and 30°C',
       waterPressureRange: 'Water pressure must be between 100 and 1000 kPag',
       waterFlowRange: 'Water flow must be between 0.06 and 30 m³/hr',
       windSpeedRange: 'Wind speed must be between 0 and 108 km/h',
+      heatTracingRange: 'Heat tracing power must be between 1 and 200 W/m',
+      burialDepthRange: 'Burial depth must be between 0.3 and 5 m',
+      cloudCoverRange: 'Cloud cover must be between 0 and 100%',
+      solarIrradianceRange: 'Solar irradiance must be between 0 and 1200 W/m²',
+      absorptivityRange: 'Solar absorptivity must be between 0 and 1',
+      angleRange: 'Angle must be between 0 and 90°',
+      pipeHeightRange: 'Height above grade must be between 0 and 200 m',
+      economicsRange: 'Economic input must be between {min} and {max}',
+      thicknessRangeOrder: 'Maximum thickness must be greater than minimum thickness',
+      seasonalRange: 'Simulation input must be between {min} and {max}',
+      monteCarloRange: 'Monte Carlo input must be between {min} and {max}',
+      monteCarloNoUncertainty: 'At least one uncertainty must be non-zero',
     },
     alerts: {
       modulesMissing: 'Error: Some modules failed to load. Reload the page.',
@@ -355,19 +712,48 @@
     verdict: {
       frozen: {
         title: 'FREEZING CONDITION REACHED',
-        msg: 'Water reached 0°C (freezing point) at {distance} m from inlet. Water freezes in the pipe.\n\n⚠️ Critical position: {distance} m from inlet\n❌ Safety margin: 0.0°C (frozen)\n⚠️ Risk of production stop and pipe burst',
+        msg: 'Fluid reached {tfreeze}°C (freezing point) at {distance} m from inlet. Fluid freezes in the pipe.\n\n⚠️ Critical position: {distance} m from inlet\n❌ Safety margin: 0.0°C (frozen)\n⚠️ Risk of production stop and pipe burst',
       },
       critical: {
         title: 'FREEZE RISK DETECTED',
-        msg: 'Minimum temperature: {tmin}°C at {pos} m from inlet.\n\n⚠️ Critical position: {freezePos} m (projected freezing)\n❌ Margin to freeze: {marginFreeze}°C (below 0°C)\n❌ Gap vs safety: {marginSafety}°C (below {safety}°C)',
+        msg: 'Minimum temperature: {tmin}°C at {pos} m from inlet.\n\n⚠️ Critical position: {freezePos} m (projected freezing)\n❌ Margin to freeze: {marginFreeze}°C (below {tfreeze}°C)\n❌ Gap vs safety: {marginSafety}°C (below {safety}°C)',
       },
       warning: {
         title: 'CAUTION: BELOW SAFETY MARGIN',
-        msg: 'Minimum temperature: {tmin}°C at {pos} m from inlet.\n\n⚠️ Coldest position: {pos} m\n⚠️ Margin to freeze: +{marginFreeze}°C (above 0°C)\n⚠️ Gap vs safety: {marginSafety}°C (below {safety}°C)',
+        msg: 'Minimum temperature: {tmin}°C at {pos} m from inlet.\n\n⚠️ Coldest position: {pos} m\n⚠️ Margin to freeze: +{marginFreeze}°C (above {tfreeze}°C)\n⚠️ Gap vs safety: {marginSafety}°C (below {safety}°C)',
       },
       ok: {
         title: 'NO FREEZE RISK',
-        msg: 'Pipe is protected. Minimum temperature: {tmin}°C at {pos} m.\n\n✅ Margin to freeze: +{marginFreeze}°C (above 0°C)\n✅ Safety margin: +{marginSafety}°C (above {safety}°C)',
+        msg: 'Pipe is protected. Minimum temperature: {tmin}°C at {pos} m.\n\n✅ Margin to freeze: +{marginFreeze}°C (above {tfreeze}°C)\n✅ Safety margin: +{marginSafety}°C (above {safety}°C)',
+      },
+    },
+    pressureChart: {
+      title: '📈 Pressure and elevation profile',
+      axisPressure: 'Pressure',
+      axisElevation: 'Elevation (m)',
+      zeroLine: 'Zero pressure',
+      lowPoint: 'Low point',
+      legendPressure: 'Pressure',
+      legendElevation: 'Elevation',
+      legendLowPoint: 'Low point (trapped water)',
+      minPressure: 'Minimum pressure: {pmin} {unit} at {pos} m',
+      staticHead: 'Elevation change: {head} {unit} of static head (positive uphill)',
+      lowPoints:
+        '💧 Low points at {positions} m: water stays there after a drain-down (provide a drain)',
+      fittingsLoss: 'Fittings and valves: {loss} {unit} ({share}% of pressure losses)',
+    },
+    cooldown: {
+      title: '⏱️ Pump trip: time to freeze',
+      axisTime: 'Time after stop (h)',
+      zeroLabel: 'Freezing point reached',
+      solidLabel: 'Frozen solid',
+      msg: 'Coldest point ({pos} m, fluid at {tstart}°C, air at {tamb}°C), flow stopped:\n\n⏱️ {tfreeze}°C reached after {tzero} h\n🧊 Frozen solid after {tsolid} h',
+      critical: { title: 'RAPID FREEZE AFTER STOP' },
+      warning: { title: 'LIMITED RESPONSE TIME' },
+      ok: { title: 'COMFORTABLE RESPONSE TIME' },
+      noFreeze: {
+        title: 'NO FREEZE WITHOUT FLOW',
+        msg: 'Ambient air ({tamb}°C) is above the freezing point ({tfreeze}°C): stagnant fluid tends toward {tamb}°C without freezing.',
       },
     },
     corrective: {
@@ -379,6 +765,8 @@
       otherLimits: 'Other limitations:',
       recs: 'Recommendations to move away from limits:',
       incPressure: 'Increase inlet pressure (currently near 1 bar minimum)',
+      reviewElevation: 'Check the elevation change (a rise reduces pressure)',
+      reduceFittings: 'Reduce the number of fittings and valves',
       reduceLength: 'Reduce pipe length to limit pressure losses',
       incDiameter: 'Increase diameter (NPS) to reduce velocity and losses',
       reduceFlow: 'Reduce flow if possible to decrease pressure drops',
@@ -389,6 +777,8 @@
     },
     detailed: {
       atPosition: 'at {pos}m',
+      heatLossBreakdown:
+        '(distributed {distributed} kW, thermal bridges {point} kW, i.e. {share}%)',
       gelAtteint: 'Frozen',
       secure: 'safe',
       underMargin: 'below margin',
@@ -453,6 +843,9 @@
       tableTitle: '📊 Summary table of all segments',
       tableNote: 'Each segment follows the detailed methodology above.',
       regime: 'Regime',
+      iceThickness: 'Ice',
+      blocked: 'blocked',
+      trace: 'Tracing',
       segment1Note: 'Segment 1:',
       segment1Text: 'Detailed calculations shown above',
       fluidPropertiesNote: 'Note:',
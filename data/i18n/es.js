@@ -32,20 +32,254 @@
       schedule: 'SCHEDULE:',
       type: 'TIPO:',
       nps: 'NPS:',
+      condition: 'ESTADO:',
     },
     insulation: {
       sectionTitle: '🧤 Aislamiento (opcional)',
       checkbox: 'La tubería está aislada',
       materialLabel: 'Material de aislamiento',
       thicknessLabel: 'Espesor (mm)',
+      moistureLabel: 'Humedad (% vol.)',
+      ageLabel: 'Edad (años)',
       materials: {
         fiberglass: 'Fibra de vidrio',
         rockwool: 'Lana mineral',
         foam: 'Espuma de poliuretano',
         polystyrene: 'Poliestireno extruido (XPS)',
         elastomeric: 'Espuma elastomérica',
+        eps: 'Poliestireno expandido (EPS)',
+        aerogel: 'Manta de aerogel',
       },
     },
+    jacket: {
+      materialLabel: 'Revestimiento protector',
+      none: 'Ninguno',
+      thicknessLabel: 'Espesor revestimiento (mm)',
+      emissivityLabel: 'Emisividad',
+      materials: {
+        aluminum_jacket: 'Aluminio',
+        stainless_jacket: 'Inoxidable',
+        galvanized_jacket: 'Acero galvanizado',
+        pvc_jacket: 'PVC',
+        mastic: 'Mástique',
+      },
+    },
+    heatTracing: {
+      checkbox: 'Traceado eléctrico',
+      powerLabel: 'Potencia (W/m)',
+      active: '🔌 Traceado eléctrico: {power} W/m ({total} W en total)',
+      required: '🔌 Traceado necesario para mantener {safety}°C: {power} W/m ({total} W en total)',
+      infeasible: '🔌 Ni siquiera 200 W/m de traceado mantienen {safety}°C',
+    },
+    fluid: {
+      label: 'FLUIDO:',
+      concentrationLabel: 'CONCENTRACIÓN (%):',
+      types: {
+        water: 'Agua',
+        propylene_glycol: 'Propilenglicol',
+        ethylene_glycol: 'Etilenglicol',
+      },
+    },
+    waterBackend: {
+      label: 'PROPIEDADES:',
+      table: 'Tablas (1–10 bar)',
+      if97: 'IAPWS-IF97 (hasta 100 bar)',
+      crossCheck:
+        'Diferencia máx. tablas / IF97 en la malla: ρ {rho} %, μ {mu} %, k {k} %, cp {cp} %',
+    },
+    elevation: {
+      label: 'DESNIVEL (m):',
+    },
+    airConditions: {
+      humidityLabel: 'HUMEDAD RELATIVA (%):',
+      altitudeLabel: 'ALTITUD DEL SITIO (m):',
+    },
+    burial: {
+      checkbox: 'La tubería está enterrada',
+      depthLabel: 'Profundidad (m)',
+      soilLabel: 'Tipo de suelo',
+      surfaceTempLabel: 'T superficie suelo (°C)',
+      soils: {
+        sand_dry: 'Arena seca',
+        sand_moist: 'Arena húmeda',
+        gravel: 'Grava',
+        silt: 'Limo',
+        clay: 'Arcilla',
+        peat: 'Turba',
+      },
+      frostOk:
+        '⛏️ Profundidad de helada estimada: {frost} m < enterramiento {depth} m (tubería bajo la línea de helada)',
+      frostInsufficient:
+        '⛏️ Profundidad de helada estimada: {frost} m ≥ enterramiento {depth} m (suelo congelado alrededor de la tubería)',
+    },
+    skyRadiation: {
+      checkbox: 'Cielo nocturno y sol',
+      presetLabel: 'Cielo',
+      presets: {
+        clear_night: 'Noche despejada (peor caso de congelación)',
+        overcast: 'Nublado',
+        custom: 'Nubosidad…',
+      },
+      cloudCoverLabel: 'Nubosidad (%)',
+      solarLabel: 'Sol (W/m²)',
+      absorptivityLabel: 'Absortividad',
+      summary: '🌌 Cielo a {T_sky}°C: entorno radiante equivalente {T_env}°C para aire a {T_amb}°C',
+    },
+    orientation: {
+      checkbox: 'Orientación y exposición al viento',
+      inclinationLabel: 'Inclinación (°)',
+      windAngleLabel: 'Ángulo del viento (°)',
+      heightLabel: 'Altura (m)',
+      terrainLabel: 'Terreno',
+      terrains: {
+        open: 'Campo abierto',
+        suburban: 'Suburbano',
+        urban: 'Urbano',
+      },
+    },
+    economics: {
+      checkbox: 'Espesor de aislamiento económico',
+      costPerMmLabel: 'Costo aislamiento ($/m por mm)',
+      fixedCostLabel: 'Costo fijo ($/m)',
+      energyPriceLabel: 'Energía ($/kWh)',
+      hoursLabel: 'Horas/año',
+      discountLabel: 'Tasa de descuento (%)',
+      lifetimeLabel: 'Vida útil (años)',
+      thicknessMinLabel: 'Espesor mín (mm)',
+      thicknessMaxLabel: 'Espesor máx (mm)',
+      freezeMarginLabel: 'Margen de congelación (°C)',
+      title: '💰 Espesor de aislamiento económico',
+      optimum: {
+        title: 'ÓPTIMO: {material}, {thickness} MM',
+        msg: 'Costo del ciclo de vida: {lcc} $/m (aislamiento {installed} $/m + energía {energy} $/m en {lifetime} años)\nPérdidas: {loss} W/m, temperatura mínima {tmin}°C',
+      },
+      infeasible: {
+        title: 'NINGÚN ESPESOR SIN CONGELACIÓN',
+        msg: 'Ningún aislamiento hasta {max} mm mantiene el fluido {margin}°C por encima de su punto de congelación: considerar el trazado eléctrico.',
+      },
+      freezeCost:
+        'Sin la restricción de congelación, el óptimo sería {material} {thickness} mm: la protección contra la congelación cuesta {extra} $/m más.',
+      safeZone: 'Zona sin congelación',
+      optimumLabel: 'Óptimo',
+      axisThickness: 'Espesor de aislamiento (mm)',
+      axisCost: 'Costo del ciclo de vida ($/m)',
+      legendUnsafe: '- - - congelación no evitada (margen insuficiente)',
+    },
+    seasonal: {
+      checkbox: 'Simulación estacional (CSV meteorológico)',
+      fileLabel: 'Archivo meteorológico (CSV)',
+      stepLabel: 'Paso de tiempo',
+      steps: {
+        hourly: 'Horario',
+        daily: 'Diario',
+      },
+      energyPriceLabel: 'Energía ($/kWh)',
+      co2Label: 'CO₂ (kg/kWh)',
+      loaded: '{count} pasos cargados',
+      readError: 'No se puede leer el archivo',
+      title: '📅 Balance estacional (serie meteorológica)',
+      ok: {
+        title: 'NINGUNA HORA EN RIESGO',
+      },
+      warning: {
+        title: '{below} H BAJO {threshold}°C',
+      },
+      critical: {
+        title: 'CONGELACIÓN DURANTE {frozen} H',
+      },
+      msg: 'Calor perdido en {hours} h: {energy} kWh (traceado {trace} kWh)\nCosto: {cost} $, emisiones: {co2} kg CO₂\nHoras bajo {threshold}°C: {below} h, de ellas {frozen} h de congelación\n{steps} pasos meteorológicos, {evaluations} cálculos de la red',
+    },
+    monteCarlo: {
+      checkbox: 'Probabilidad de congelación (Monte Carlo)',
+      samplesLabel: 'Muestras',
+      seedLabel: 'Semilla',
+      flowStdLabel: 'Caudal ± (% desv. típica)',
+      ambientStdLabel: 'T aire ± (°C desv. típica)',
+      insulationDamageLabel: 'Aislamiento degradado hasta (%)',
+      title: '🎲 Probabilidad de congelación (Monte Carlo)',
+      verdictTitle: 'PROBABILIDAD DE CONGELACIÓN: {p} %',
+      msg: 'Intervalo de confianza del 95 %: {low} a {high} %\nProbabilidad bajo {threshold}°C: {pSafety} %\nTemperatura mínima: P5 {p5}°C, P50 {p50}°C, P95 {p95}°C\n{samples} muestras (semilla {seed})',
+      safetyLabel: 'Umbral de seguridad',
+      axisMinTemp: 'Temperatura mínima (°C)',
+      axisCount: 'Muestras',
+    },
+    roughness: {
+      valueLabel: 'ε (mm):',
+      conditions: {
+        new: 'Nuevo',
+        used: 'Usado',
+        corroded: 'Muy corroído',
+        custom: 'Personalizado',
+      },
+    },
+    ambientZones: {
+      checkbox: 'Zonas ambientales (edificio, garaje, túnel)',
+      inletLengthLabel: 'Zona de entrada (m)',
+      inletTempLabel: 'T aire entrada (°C)',
+      inletWindLabel: 'Viento entrada (km/h)',
+      outletLengthLabel: 'Zona de salida (m)',
+      outletTempLabel: 'T aire salida (°C)',
+      outletWindLabel: 'Viento salida (km/h)',
+      inletZone: 'Entrada',
+      outletZone: 'Salida',
+    },
+    fouling: {
+      checkbox: 'Ensuciamiento interior (sarro, tubérculos)',
+      typeLabel: 'Tipo de agua',
+      factorLabel: 'Factor de ensuciamiento (m²·K/W)',
+      thicknessLabel: 'Espesor del depósito (mm)',
+      types: {
+        distilled: 'Agua destilada',
+        closed_loop: 'Circuito cerrado tratado',
+        city_water: 'Agua de red',
+        river_water: 'Agua de río',
+        cooling_tower: 'Torre de enfriamiento',
+        hard_water: 'Agua dura (sarro)',
+        tuberculated: 'Tubería antigua con tubérculos',
+        custom: 'Personalizado',
+      },
+    },
+    fittings: {
+      checkbox: 'Accesorios y válvulas',
+      types: {
+        elbow_90: 'Codos 90°',
+        elbow_90_long: 'Codos 90° radio largo',
+        elbow_45: 'Codos 45°',
+        tee_run: 'Tes (paso directo)',
+        tee_branch: 'Tes (derivación)',
+        gate_valve: 'Válvulas de compuerta',
+        ball_valve: 'Válvulas de bola',
+        globe_valve: 'Válvulas de globo',
+        butterfly_valve: 'Válvulas de mariposa',
+        check_valve_swing: 'Válvulas de retención',
+        check_valve_lift: 'Válvulas de retención de elevación',
+        strainer_y: 'Filtros en Y',
+        entrance_sharp: 'Entrada de bordes vivos',
+        exit: 'Salida de tubería',
+      },
+    },
+    thermalBridges: {
+      checkbox: 'Puentes térmicos (soportes, válvulas, bridas)',
+      supportLabel: 'Soportes',
+      none: 'Ninguno',
+      spacingLabel: 'Separación (m)',
+      valveCountLabel: 'Válvulas desnudas',
+      flangeCountLabel: 'Pares de bridas desnudas',
+      types: {
+        pipe_shoe: 'Patín soldado',
+        pipe_clamp: 'Abrazadera sobre tubo desnudo',
+        hanger_rod: 'Colgador de varilla',
+        insulated_support: 'Soporte con calzo aislante',
+        gate_valve_bare: 'Válvula de compuerta desnuda',
+        ball_valve_bare: 'Válvula de bola desnuda',
+        globe_valve_bare: 'Válvula de globo desnuda',
+        flange_pair_bare: 'Par de bridas desnudo',
+        custom: 'Puente personalizado',
+      },
+    },
+    adaptiveSegmentation: {
+      checkbox: 'Segmentación adaptativa (estudio de convergencia)',
+    },
     sections: {
       s1: '1. Parámetros y resultados',
       s2: '2. Análisis de sensibilidad',
@@ -59,6 +293,7 @@
       pipe: 'Tubería',
       pipeMaterial: 'Material:',
       pipeSpec: 'Especificación:',
+      pipeCondition: 'Estado (rugosidad):',
       pipeLength: 'Longitud:',
       water: 'Agua',
       waterTemp: 'Temperatura:',
@@ -140,6 +375,14 @@
         segments: 'segmentos',
         of: 'de',
         each: 'm cada uno. Para cada segmento, el cálculo sigue 6 pasos secuenciales:',
+        ofRange:
+          'de {min} a {max} m (segmentación adaptativa, segmentos cortos donde la temperatura varía rápido). Para cada segmento, el cálculo sigue 6 pasos secuenciales:',
+        convergence:
+          'Estudio de convergencia: {passes} cálculos sucesivos ({counts} segmentos). Error numérico estimado en la temperatura final: ±{error}°C.',
+        convergenceFreeze: 'En la posición de congelación: ±{error} m.',
+        convergencePressure: 'En la pérdida de carga: ±{error} %.',
+        notConverged:
+          '⚠️ Tolerancia no alcanzada con el número máximo de segmentos ({numSegments}).',
         note: 'Nota:',
         noteText:
           'La temperatura de salida de un segmento se convierte en la temperatura de entrada del siguiente, permitiendo seguir la evolución térmica a lo largo de la tubería.',
@@ -191,6 +434,7 @@
           massFlow: 'Caudal másico: ṁ =',
           density: 'Densidad: ρ =',
           diameter: 'Diámetro interior: D =',
+          fouledDiameter: 'Diámetro hidráulico reducido por el depósito: D_h = D_i − 2e =',
           volumeFlow: 'Caudal volumétrico:',
           crossSection: 'Sección transversal:',
           avgVelocity: 'Velocidad promedio:',
@@ -253,27 +497,70 @@
           title: '4.1 Convección Externa (forzada - viento)',
           outerDiameter: 'Diámetro exterior: D',
           windSpeed: 'Velocidad del viento: V',
-          forcedConvection: 'Convección forzada (Churchill-Bernstein)',
           reynoldsAir: 'Reynolds aire:',
-          correlation: 'Correlación de Churchill-Bernstein para cilindro en flujo cruzado',
           calculated: 'calculado mediante correlaciones establecidas',
           result: '→ Coeficiente de convección externa: h',
-          source: 'Fuente: Churchill-Bernstein (1977) - js/correlations/nusselt-external.js',
+          source:
+            'Fuente: Churchill-Bernstein (1977), Churchill-Chu (1975) - js/correlations/nusselt-external.js',
           naturalConvection: 'Convección natural (cilindro horizontal)',
           rayleighCorrelation: 'Número de Rayleigh luego correlación de convección natural',
+          combinedConvection: 'Convección forzada + natural (superposición de Churchill, n = 3)',
+          combinedFormula: 'Forzada (Churchill-Bernstein) y natural (Churchill-Chu) combinadas:',
+          richardson: 'Número de Richardson:',
+          regime: 'Régimen',
+          regimes: {
+            forced: 'forzada (Ri < 0.1)',
+            mixed: 'mixta (0.1 ≤ Ri ≤ 10)',
+            natural: 'natural (Ri > 10)',
+          },
+          orientation: {
+            inclination: 'Inclinación sobre la horizontal',
+            windAtHeight: 'Viento a la altura',
+            attackAngle: 'Ángulo entre el viento y el eje',
+          },
+        },
+        soil: {
+          title: 'Paso 4: Transferencia térmica externa (pared → suelo)',
+          shapeFactor: '4.1 Conducción en el suelo (factor de forma)',
+          depth: 'Profundidad del eje: z',
+          soilType: 'Tipo de suelo:',
+          surfaceTemp: 'Temperatura de superficie del suelo: T',
+          frostDepth: 'Profundidad de helada estimada (Stefan):',
+          conductivity: 'Conductividad del suelo utilizada: k',
+          frozen: '(suelo congelado en la tubería)',
+          unfrozen: '(suelo no congelado)',
+          result: '→ Resistencia del suelo: R',
+          source:
+            'Fuente: Incropera, factor de forma de cilindro enterrado; ecuación de Stefan - js/calculations/buried-pipe.js',
         },
         radiation: {
           title: '4.2 Radiación',
-          emissivity: 'Emisividad steel: ε =',
+          emissivity: 'Emisividad de superficie: ε =',
           stefanBoltzmann: 'Constante Stefan-Boltzmann: σ =',
           linearized: 'Coeficiente de radiación linealizado:',
           surfaceTemp: 'Con T',
-          surfaceTempNote: '≈ temperatura superficial estimada',
+          surfaceTempNote: '= temperatura superficial resuelta (sección siguiente)',
           result: '→ Coeficiente de radiación: h',
           source: 'Fuente: Ley de Stefan-Boltzmann - js/correlations/radiation.js',
+          sky: {
+            skyTemp: 'Temperatura del cielo (Swinbank, nubosidad): T',
+            surroundings: 'Entorno (suelo, edificios): T',
+            viewFactor: 'Factor de vista hacia el cielo: F =',
+            split: 'Intercambio repartido entre el cielo (F) y el entorno (1 − F):',
+            solar: 'Flujo solar absorbido (área proyectada D·L):',
+            envTemp: '→ Temperatura de entorno equivalente: T',
+          },
+        },
+        surface: {
+          title: '4.3 Temperatura superficial (iteración)',
+          text: 'h<sub>conv</sub> (Rayleigh) y h<sub>rad</sub> dependen de T<sub>s</sub>, fijada a su vez por la red de resistencias: se itera hasta |ΔT<sub>s</sub>| < 0.01 K.',
+          result: '→ Temperatura superficial: T',
+          converged: 'convergida',
+          notConverged: 'no convergida',
+          iterations: 'iteraciones',
         },
         total: {
-          title: '4.3 Coeficiente Externo Total',
+          title: '4.4 Coeficiente Externo Total',
           result: '→ Coeficiente externo total: h',
         },
       },
@@ -282,9 +569,12 @@
         series: {
           title: '5.1 Resistencias en Serie',
           convInternal: '(convección interna):',
+          fouling: '(ensuciamiento interior, referido a la superficie del depósito):',
           condPipe: '(conducción pared steel):',
           condInsulation: '(conducción aislamiento',
+          condJacket: '(conducción revestimiento',
           convExternal: '(convección externa + radiación):',
+          soil: '(conducción en el suelo, factor de forma):',
         },
         total: {
           title: '5.2 Resistencia Total',
@@ -295,6 +585,11 @@
           result: '→ Coeficiente UA:',
           source: 'Fuente: Resistencias en serie - js/calculations/thermal-resistance.js',
         },
+        profile: {
+          title: '5.4 Caída de temperatura por capa',
+          source:
+            'Fuente: temperatureProfile - js/calculations/thermal-resistance.js (traceado inyectado en la pared)',
+        },
       },
       step6: {
         title: 'Paso 6: Método NTU (temperatura de salida)',
@@ -321,6 +616,37 @@
           source:
             "Fuente: Método NTU - Incropera & DeWitt, Perry's Section 5-10 - js/calculations/heat-transfer.js",
         },
+        heatTracing: {
+          title: 'Traceado eléctrico (ambiente equivalente)',
+          text: 'El cable aporta Q<sub>trace</sub> a la pared; el fluido ve un ambiente equivalente:',
+          result: '→ Ambiente equivalente: T',
+          source: 'Balance en el nodo de pared - js/calculations/heat-tracing.js',
+        },
+      },
+      fittings: {
+        title: 'Pérdidas singulares (accesorios y válvulas)',
+        text: 'Cada accesorio añade una pérdida K × ρV²/2, con K = (L/D) × f<sub>T</sub> (f<sub>T</sub>: fricción en turbulencia plenamente desarrollada) o K fijo:',
+        type: 'Accesorio',
+        count: 'Cantidad',
+        position: 'Posición [m]',
+        distributed: 'Repartidos',
+        total: 'Total',
+        result: '→ Pérdidas singulares:',
+        source:
+          'Fuente: Crane TP-410, anexo A - data/pipes/fittings.js, js/calculations/minor-losses.js',
+      },
+      thermalBridges: {
+        title: 'Puentes térmicos (pérdidas puntuales)',
+        text: 'Cada soporte, válvula o brida sin aislar es un sumidero de calor localizado de conductancia UA (dada, o longitud desnuda equivalente × conductancia lineal de un tubo desnudo en el mismo lugar):',
+        type: 'Elemento',
+        points: 'Posiciones',
+        value: 'UA o L desnuda',
+        every: 'cada {spacing} m',
+        pointTotal: 'Pérdidas puntuales',
+        distributedTotal: 'Pérdidas distribuidas (aislante)',
+        result: '→ Parte de los puentes térmicos: {share} % de las pérdidas',
+        source:
+          'Fuente: VDI 2055-1, CINI 1.3 - data/pipes/thermal-bridges.js, js/calculations/thermal-bridges.js',
       },
     },
     buttons: {
@@ -343,10 +669,42 @@
       requiredMissing: 'Campo obligatorio faltante: {label}',
       lengthRange: 'La longitud debe estar entre 1 y 2500 m',
       waterTempRange: 'La temperatura del agua debe estar entre 1 y 100°C',
+      fluidTempRange: 'La temperatura del fluido debe estar entre {min} y 100°C',
+      concentrationRange: 'La concentración de glicol debe estar entre 20 y 50%',
+      elevationRange: 'El desnivel debe estar entre -100 y 100 m',
+      humidityRange: 'La humedad relativa debe estar entre 0 y 100%',
+      altitudeRange: 'La altitud debe estar entre -500 y 5000 m',
+      insulationMoistureRange: 'La humedad del aislante debe estar entre 0 y 50 % vol.',
+      insulationAgeRange: 'La edad del aislante debe estar entre 0 y 60 años',
+      jacketThicknessRange: 'El espesor del revestimiento debe estar entre 0.1 y 10 mm',
+      jacketEmissivityRange: 'La emisividad del revestimiento debe estar entre 0.02 y 1',
+      fittingsCountRange: 'El número de accesorios debe ser un entero entre 0 y 100',
+      thermalBridgesBuried: 'Los puentes térmicos no se aplican a una tubería enterrada',
+      supportSpacingRange: 'La separación de los soportes debe estar entre 0.5 y 50 m',
+      bridgeCountRange: 'El número de válvulas y bridas desnudas debe ser un entero entre 0 y 100',
+      roughnessRange: 'La rugosidad debe estar entre 0 y 10 mm',
+      ambientZoneLengthRange:
+        'Las longitudes de las zonas de entrada y salida deben ser positivas y sumar menos que la longitud de la tubería',
+      ambientZoneTempRange: 'La temperatura del aire de una zona debe estar entre -50 y 50°C',
+      foulingFactorRange: 'El factor de ensuciamiento debe estar entre 0 y 0.01 m²·K/W',
+      foulingThicknessRange:
+        'El espesor del depósito debe estar entre 0 y 20 mm y ser menor que el radio interior',
       airTempRange: 'La temperatura del aire debe estar entre -50 y 30°C',
       waterPressureRange: 'La presión del agua debe estar entre 100 y 1000 kPag',
       waterFlowRange: 'El caudal de agua debe estar entre 0.06 y 30 m³/hr',
       windSpeedRange: 'La velocidad del viento debe estar entre 0 y 108 km/h',
+      heatTracingRange: 'La potencia de traceado debe estar entre 1 y 200 W/m',
+      burialDepthRange: 'La profundidad de enterramiento debe estar entre 0.3 y 5 m',
+      cloudCoverRange: 'La nubosidad debe estar entre 0 y 100%',
+      solarIrradianceRange: 'La irradiancia solar debe estar entre 0 y 1200 W/m²',
+      absorptivityRange: 'La absortividad solar debe estar entre 0 y 1',
+      angleRange: 'El ángulo debe estar entre 0 y 90°',
+      pipeHeightRange: 'La altura sobre el suelo debe estar entre 0 y 200 m',
+      economicsRange: 'El dato económico debe estar entre {min} y {max}',
+      thicknessRangeOrder: 'El espesor máximo debe ser mayor que el espesor mínimo',
+      seasonalRange: 'El dato de simulación debe estar entre {min} y {max}',
+      monteCarloRange: 'El dato Monte Carlo debe estar entre {min} y {max}',
+      monteCarloNoUncertainty: 'Al menos una incertidumbre debe ser distinta de cero',
     },
     alerts: {
       modulesMissing: 'Error: Algunos módulos no se cargaron. Recargue la página.',
@@ -356,19 +714,48 @@
     verdict: {
       frozen: {
         title: 'CONDICIÓN DE CONGELACIÓN ALCANZADA',
-        msg: 'El agua alcanzó 0°C (punto de congelación) a {distance} m de la entrada. El agua se congela en la tubería.\n\n⚠️ Posición crítica: {distance} m de la entrada\n❌ Margen de seguridad: 0.0°C (congelado)\n⚠️ Riesgo de parada de producción y rotura de tubería',
+        msg: 'El fluido alcanzó {tfreeze}°C (punto de congelación) a {distance} m de la entrada. El fluido se congela en la tubería.\n\n⚠️ Posición crítica: {distance} m de la entrada\n❌ Margen de seguridad: 0.0°C (congelado)\n⚠️ Riesgo de parada de producción y rotura de tubería',
       },
       critical: {
         title: 'RIESGO DE CONGELACIÓN DETECTADO',
-        msg: 'Temperatura mínima: {tmin}°C alcanzada a {pos} m de la entrada.\n\n⚠️ Posición crítica: {freezePos} m (congelación proyectada)\n❌ Margen hasta congelación: {marginFreeze}°C (por debajo de 0°C)\n❌ Diferencia vs seguridad: {marginSafety}°C (por debajo de {safety}°C)',
+        msg: 'Temperatura mínima: {tmin}°C alcanzada a {pos} m de la entrada.\n\n⚠️ Posición crítica: {freezePos} m (congelación proyectada)\n❌ Margen hasta congelación: {marginFreeze}°C (por debajo de {tfreeze}°C)\n❌ Diferencia vs seguridad: {marginSafety}°C (por debajo de {safety}°C)',
       },
       warning: {
         title: 'PRECAUCIÓN: POR DEBAJO DEL MARGEN DE SEGURIDAD',
-        msg: 'Temperatura mínima: {tmin}°C alcanzada a {pos} m de la entrada.\n\n⚠️ Posición más fría: {pos} m\n⚠️ Margen hasta congelación: +{marginFreeze}°C (por encima de 0°C)\n⚠️ Diferencia vs seguridad: {marginSafety}°C (por debajo de {safety}°C)',
+        msg: 'Temperatura mínima: {tmin}°C alcanzada a {pos} m de la entrada.\n\n⚠️ Posición más fría: {pos} m\n⚠️ Margen hasta congelación: +{marginFreeze}°C (por encima de {tfreeze}°C)\n⚠️ Diferencia vs seguridad: {marginSafety}°C (por debajo de {safety}°C)',
       },
       ok: {
         title: 'SIN RIESGO DE CONGELACIÓN',
-        msg: 'La tubería está protegida. Temperatura mínima: {tmin}°C alcanzada a {pos} m.\n\n✅ Margen hasta congelación: +{marginFreeze}°C (por encima de 0°C)\n✅ Margen de seguridad: +{marginSafety}°C (por encima de {safety}°C)',
+        msg: 'La tubería está protegida. Temperatura mínima: {tmin}°C alcanzada a {pos} m.\n\n✅ Margen hasta congelación: +{marginFreeze}°C (por encima de {tfreeze}°C)\n✅ Margen de seguridad: +{marginSafety}°C (por encima de {safety}°C)',
+      },
+    },
+    pressureChart: {
+      title: '📈 Perfil de presión y de altitud',
+      axisPressure: 'Presión',
+      axisElevation: 'Altitud (m)',
+      zeroLine: 'Presión nula',
+      lowPoint: 'Punto bajo',
+      legendPressure: 'Presión',
+      legendElevation: 'Altitud',
+      legendLowPoint: 'Punto bajo (agua residual)',
+      minPressure: 'Presión mínima: {pmin} {unit} a {pos} m',
+      staticHead: 'Desnivel: {head} {unit} de carga hidrostática (positiva en subida)',
+      lowPoints:
+        '💧 Puntos bajos a {positions} m: el agua permanece allí tras un vaciado (prever una purga)',
+      fittingsLoss: 'Accesorios y válvulas: {loss} {unit} ({share}% de las pérdidas de carga)',
+    },
+    cooldown: {
+      title: '⏱️ Parada de bomba: tiempo hasta congelación',
+      axisTime: 'Tiempo tras la parada (h)',
+      zeroLabel: 'Punto de congelación alcanzado',
+      solidLabel: 'Congelación completa',
+      msg: 'Punto más frío ({pos} m, fluido a {tstart}°C, aire a {tamb}°C), flujo detenido:\n\n⏱️ {tfreeze}°C alcanzado tras {tzero} h\n🧊 Congelación completa tras {tsolid} h',
+      critical: { title: 'CONGELACIÓN RÁPIDA TRAS LA PARADA' },
+      warning: { title: 'TIEMPO DE INTERVENCIÓN LIMITADO' },
+      ok: { title: 'TIEMPO DE INTERVENCIÓN CÓMODO' },
+      noFreeze: {
+        title: 'SIN CONGELACIÓN SIN FLUJO',
+        msg: 'El aire ambiente ({tamb}°C) está por encima del punto de congelación ({tfreeze}°C): el fluido estancado tiende a {tamb}°C sin congelarse.',
       },
     },
     corrective: {
@@ -380,6 +767,8 @@
       otherLimits: 'Otras limitaciones:',
       recs: 'Recomendaciones para alejarse de los límites:',
       incPressure: 'Aumentar la presión de entrada (actualmente cerca del mínimo de 1 bar)',
+      reviewElevation: 'Verificar el desnivel (una subida reduce la presión)',
+      reduceFittings: 'Reducir el número de accesorios y válvulas',
       reduceLength: 'Reducir la longitud de la tubería para limitar pérdidas de presión',
       incDiameter: 'Aumentar el diámetro (NPS) para reducir velocidad y pérdidas',
       reduceFlow: 'Reducir el caudal si es posible para disminuir pérdidas de presión',
@@ -390,6 +779,8 @@
     },
     detailed: {
       atPosition: 'a {pos}m',
+      heatLossBreakdown:
+        '(distribuidas {distributed} kW, puentes térmicos {point} kW, es decir {share}%)',
       gelAtteint: 'Congelado',
       secure: 'seguro',
       underMargin: 'bajo el margen',
@@ -454,6 +845,9 @@
       tableTitle: '📊 Tabla resumen de todos los segmentos',
       tableNote: 'Cada segmento sigue la metodología detallada anterior.',
       regime: 'Régimen',
+      iceThickness: 'Hielo',
+      blocked: 'obstruido',
+      trace: 'Traceado',
       segment1Note: 'Segmento 1:',
       segment1Text: 'Cálculos detallados mostrados arriba',
       fluidPropertiesNote: 'Nota:',
@@ -34,20 +34,254 @@
       schedule: 'SCHEDULE:',
       type: 'TYPE:',
       nps: 'NPS:',
+      condition: 'ÉTAT:',
     },
     insulation: {
       sectionTitle: '🧤 Isolation (optionnel)',
       checkbox: 'La conduite est isolée',
       materialLabel: 'Matériau isolation',
       thicknessLabel: 'Épaisseur (mm)',
+      moistureLabel: 'Humidité (% vol.)',
+      ageLabel: 'Âge (ans)',
       materials: {
         fiberglass: 'Laine de verre',
         rockwool: 'Laine de roche',
         foam: 'Mousse polyuréthane',
         polystyrene: 'Polystyrène extrudé (XPS)',
         elastomeric: 'Mousse élastomère',
+        eps: 'Polystyrène expansé (EPS)',
+        aerogel: 'Nappe aérogel',
       },
     },
+    jacket: {
+      materialLabel: 'Gaine de protection',
+      none: 'Aucune',
+      thicknessLabel: 'Épaisseur gaine (mm)',
+      emissivityLabel: 'Émissivité',
+      materials: {
+        aluminum_jacket: 'Aluminium',
+        stainless_jacket: 'Inox',
+        galvanized_jacket: 'Acier galvanisé',
+        pvc_jacket: 'PVC',
+        mastic: 'Mastic',
+      },
+    },
+    heatTracing: {
+      checkbox: 'Traçage électrique',
+      powerLabel: 'Puissance (W/m)',
+      active: '🔌 Traçage électrique : {power} W/m ({total} W au total)',
+      required: '🔌 Traçage requis pour maintenir {safety}°C : {power} W/m ({total} W au total)',
+      infeasible: '🔌 Même 200 W/m de traçage ne maintiennent pas {safety}°C',
+    },
+    fluid: {
+      label: 'FLUIDE:',
+      concentrationLabel: 'CONCENTRATION (%):',
+      types: {
+        water: 'Eau',
+        propylene_glycol: 'Propylène glycol',
+        ethylene_glycol: 'Éthylène glycol',
+      },
+    },
+    waterBackend: {
+      label: 'PROPRIÉTÉS:',
+      table: 'Tables (1–10 bar)',
+      if97: "IAPWS-IF97 (jusqu'à 100 bar)",
+      crossCheck: 'Écart max. tables / IF97 sur la grille: ρ {rho} %, μ {mu} %, k {k} %, cp {cp} %',
+    },
+    elevation: {
+      label: 'DÉNIVELÉ (m):',
+    },
+    airConditions: {
+      humidityLabel: 'HUMIDITÉ RELATIVE (%):',
+      altitudeLabel: 'ALTITUDE DU SITE (m):',
+    },
+    burial: {
+      checkbox: 'La conduite est enterrée',
+      depthLabel: 'Profondeur (m)',
+      soilLabel: 'Type de sol',
+      surfaceTempLabel: 'T surface sol (°C)',
+      soils: {
+        sand_dry: 'Sable sec',
+        sand_moist: 'Sable humide',
+        gravel: 'Gravier',
+        silt: 'Limon',
+        clay: 'Argile',
+        peat: 'Tourbe',
+      },
+      frostOk:
+        '⛏️ Profondeur de gel estimée: {frost} m < enfouissement {depth} m (conduite hors gel du sol)',
+      frostInsufficient:
+        '⛏️ Profondeur de gel estimée: {frost} m ≥ enfouissement {depth} m (sol gelé autour de la conduite)',
+    },
+    skyRadiation: {
+      checkbox: 'Ciel nocturne et soleil',
+      presetLabel: 'Ciel',
+      presets: {
+        clear_night: 'Nuit claire (gel le plus défavorable)',
+        overcast: 'Couvert',
+        custom: 'Nébulosité…',
+      },
+      cloudCoverLabel: 'Nébulosité (%)',
+      solarLabel: 'Soleil (W/m²)',
+      absorptivityLabel: 'Absorptivité',
+      summary:
+        '🌌 Ciel à {T_sky}°C: environnement radiatif équivalent {T_env}°C pour un air à {T_amb}°C',
+    },
+    orientation: {
+      checkbox: 'Orientation et exposition au vent',
+      inclinationLabel: 'Inclinaison (°)',
+      windAngleLabel: 'Angle du vent (°)',
+      heightLabel: 'Hauteur (m)',
+      terrainLabel: 'Terrain',
+      terrains: {
+        open: 'Rase campagne',
+        suburban: 'Banlieue',
+        urban: 'Urbain',
+      },
+    },
+    economics: {
+      checkbox: "Épaisseur d'isolant économique",
+      costPerMmLabel: 'Coût isolant ($/m par mm)',
+      fixedCostLabel: 'Coût fixe ($/m)',
+      energyPriceLabel: 'Énergie ($/kWh)',
+      hoursLabel: 'Heures/an',
+      discountLabel: 'Actualisation (%)',
+      lifetimeLabel: 'Durée de vie (ans)',
+      thicknessMinLabel: 'Épaisseur min (mm)',
+      thicknessMaxLabel: 'Épaisseur max (mm)',
+      freezeMarginLabel: 'Marge au gel (°C)',
+      title: "💰 Épaisseur d'isolant économique",
+      optimum: {
+        title: 'OPTIMUM: {material}, {thickness} MM',
+        msg: 'Coût global actualisé: {lcc} $/m (isolation {installed} $/m + énergie {energy} $/m sur {lifetime} ans)\nPertes: {loss} W/m, température minimale {tmin}°C',
+      },
+      infeasible: {
+        title: 'AUCUNE ÉPAISSEUR SANS GEL',
+        msg: "Aucun isolant jusqu'à {max} mm ne maintient {margin}°C au-dessus du point de congélation: envisager le traçage électrique.",
+      },
+      freezeCost:
+        "Sans contrainte de gel, l'optimum serait {material} {thickness} mm: la protection contre le gel coûte {extra} $/m de plus.",
+      safeZone: 'Zone sans gel',
+      optimumLabel: 'Optimum',
+      axisThickness: "Épaisseur d'isolant (mm)",
+      axisCost: 'Coût global actualisé ($/m)',
+      legendUnsafe: '- - - gel non évité (marge insuffisante)',
+    },
+    seasonal: {
+      checkbox: 'Simulation saisonnière (météo CSV)',
+      fileLabel: 'Fichier météo (CSV)',
+      stepLabel: 'Pas de temps',
+      steps: {
+        hourly: 'Horaire',
+        daily: 'Journalier',
+      },
+      energyPriceLabel: 'Énergie ($/kWh)',
+      co2Label: 'CO₂ (kg/kWh)',
+      loaded: '{count} pas chargés',
+      readError: 'Lecture du fichier impossible',
+      title: '📅 Bilan saisonnier (série météo)',
+      ok: {
+        title: 'AUCUNE HEURE À RISQUE',
+      },
+      warning: {
+        title: '{below} H SOUS {threshold}°C',
+      },
+      critical: {
+        title: 'GEL PENDANT {frozen} H',
+      },
+      msg: 'Chaleur perdue sur {hours} h: {energy} kWh (traçage {trace} kWh)\nCoût: {cost} $, émissions: {co2} kg CO₂\nHeures sous {threshold}°C: {below} h, dont {frozen} h de gel\n{steps} pas météo, {evaluations} calculs du réseau',
+    },
+    monteCarlo: {
+      checkbox: 'Probabilité de gel (Monte Carlo)',
+      samplesLabel: 'Tirages',
+      seedLabel: 'Graine',
+      flowStdLabel: 'Débit ± (% écart-type)',
+      ambientStdLabel: 'T air ± (°C écart-type)',
+      insulationDamageLabel: "Isolant dégradé jusqu'à (%)",
+      title: '🎲 Probabilité de gel (Monte Carlo)',
+      verdictTitle: 'PROBABILITÉ DE GEL: {p} %',
+      msg: 'Intervalle de confiance à 95 %: {low} à {high} %\nProbabilité sous {threshold}°C: {pSafety} %\nTempérature minimale: P5 {p5}°C, P50 {p50}°C, P95 {p95}°C\n{samples} tirages (graine {seed})',
+      safetyLabel: 'Seuil de sécurité',
+      axisMinTemp: 'Température minimale (°C)',
+      axisCount: 'Tirages',
+    },
+    roughness: {
+      valueLabel: 'ε (mm):',
+      conditions: {
+        new: 'Neuf',
+        used: 'Usagé',
+        corroded: 'Fortement corrodé',
+        custom: 'Personnalisé',
+      },
+    },
+    ambientZones: {
+      checkbox: 'Zones ambiantes (bâtiment, garage, tunnel)',
+      inletLengthLabel: "Zone d'entrée (m)",
+      inletTempLabel: 'T air entrée (°C)',
+      inletWindLabel: 'Vent entrée (km/h)',
+      outletLengthLabel: 'Zone de sortie (m)',
+      outletTempLabel: 'T air sortie (°C)',
+      outletWindLabel: 'Vent sortie (km/h)',
+      inletZone: 'Entrée',
+      outletZone: 'Sortie',
+    },
+    fouling: {
+      checkbox: 'Encrassement intérieur (tartre, tubercules)',
+      typeLabel: "Type d'eau",
+      factorLabel: "Facteur d'encrassement (m²·K/W)",
+      thicknessLabel: 'Épaisseur du dépôt (mm)',
+      types: {
+        distilled: 'Eau distillée',
+        closed_loop: 'Circuit fermé traité',
+        city_water: 'Eau de ville',
+        river_water: 'Eau de rivière',
+        cooling_tower: 'Tour de refroidissement',
+        hard_water: 'Eau dure (tartre)',
+        tuberculated: 'Conduite ancienne tuberculée',
+        custom: 'Personnalisé',
+      },
+    },
+    fittings: {
+      checkbox: 'Raccords et vannes',
+      types: {
+        elbow_90: 'Coudes 90°',
+        elbow_90_long: 'Coudes 90° grand rayon',
+        elbow_45: 'Coudes 45°',
+        tee_run: 'Tés (passage direct)',
+        tee_branch: 'Tés (dérivation)',
+        gate_valve: 'Vannes à opercule',
+        ball_valve: 'Vannes à boisseau sphérique',
+        globe_valve: 'Robinets à soupape',
+        butterfly_valve: 'Vannes papillon',
+        check_valve_swing: 'Clapets anti-retour',
+        check_valve_lift: 'Clapets à levée',
+        strainer_y: 'Filtres en Y',
+        entrance_sharp: 'Entrée à angles vifs',
+        exit: 'Sortie de conduite',
+      },
+    },
+    thermalBridges: {
+      checkbox: 'Ponts thermiques (supports, vannes, brides)',
+      supportLabel: 'Supports',
+      none: 'Aucun',
+      spacingLabel: 'Espacement (m)',
+      valveCountLabel: 'Vannes nues',
+      flangeCountLabel: 'Paires de brides nues',
+      types: {
+        pipe_shoe: 'Patin soudé',
+        pipe_clamp: 'Collier sur tube nu',
+        hanger_rod: 'Suspente à tige',
+        insulated_support: 'Support à cale isolante',
+        gate_valve_bare: 'Vanne à opercule nue',
+        ball_valve_bare: 'Vanne à boisseau nue',
+        globe_valve_bare: 'Robinet à soupape nu',
+        flange_pair_bare: 'Paire de brides nue',
+        custom: 'Pont personnalisé',
+      },
+    },
+    adaptiveSegmentation: {
+      checkbox: 'Découpage adaptatif (étude de convergence)',
+    },
     sections: {
       s1: '1. Paramètres et résultats',
       s2: '2. Analyse de sensibilité',
@@ -61,6 +295,7 @@
       pipe: 'Conduite',
       pipeMaterial: 'Matériau:',
       pipeSpec: 'Spécification:',
+      pipeCondition: 'État (rugosité):',
       pipeLength: 'Longueur:',
       water: 'Eau',
       waterTemp: 'Température:',
@@ -144,6 +379,13 @@
         segments: 'segments',
         of: 'de',
         each: 'm chacun. Pour chaque segment, le calcul suit 6 étapes séquentielles:',
+        ofRange:
+          'de {min} à {max} m (découpage adaptatif, segments courts là où la température varie vite). Pour chaque segment, le calcul suit 6 étapes séquentielles:',
+        convergence:
+          'Étude de convergence: {passes} calculs successifs ({counts} segments). Erreur numérique estimée sur la température finale: ±{error}°C.',
+        convergenceFreeze: 'Sur la position de gel: ±{error} m.',
+        convergencePressure: 'Sur la perte de charge: ±{error} %.',
+        notConverged: '⚠️ Tolérance non atteinte au nombre maximal de segments ({numSegments}).',
         note: 'Note:',
         noteText:
           "La température de sortie d'un segment devient la température d'entrée du suivant, permettant de suivre l'évolution thermique le long de la conduite.",
@@ -195,6 +437,7 @@
           massFlow: 'Débit massique : ṁ =',
           density: 'Masse volumique : ρ =',
           diameter: 'Diamètre intérieur : D =',
+          fouledDiameter: 'Diamètre hydraulique réduit par le dépôt : D_h = D_i − 2e =',
           volumeFlow: 'Débit volumique :',
           crossSection: 'Section de passage :',
           avgVelocity: 'Vitesse moyenne :',
@@ -257,27 +500,70 @@
           title: '4.1 Convection externe (forcée - vent)',
           outerDiameter: 'Diamètre extérieur : D',
           windSpeed: 'Vitesse du vent : V',
-          forcedConvection: 'Convection forcée (Churchill-Bernstein)',
           reynoldsAir: 'Reynolds air :',
-          correlation: 'Corrélation de Churchill-Bernstein pour cylindre en écoulement croisé',
           calculated: 'calculé via corrélations établies',
           result: '→ Coefficient de convection externe : h',
-          source: 'Source : Churchill-Bernstein (1977) - js/correlations/nusselt-external.js',
+          source:
+            'Source : Churchill-Bernstein (1977), Churchill-Chu (1975) - js/correlations/nusselt-external.js',
           naturalConvection: 'Convection naturelle (cylindre horizontal)',
           rayleighCorrelation: 'Nombre de Rayleigh puis corrélation pour convection naturelle',
+          combinedConvection: 'Convection forcée + naturelle (superposition de Churchill, n = 3)',
+          combinedFormula: 'Forcée (Churchill-Bernstein) et naturelle (Churchill-Chu) combinées :',
+          richardson: 'Nombre de Richardson :',
+          regime: 'Régime',
+          regimes: {
+            forced: 'forcée (Ri < 0.1)',
+            mixed: 'mixte (0.1 ≤ Ri ≤ 10)',
+            natural: 'naturelle (Ri > 10)',
+          },
+          orientation: {
+            inclination: "Inclinaison sur l'horizontale",
+            windAtHeight: 'Vent à la hauteur',
+            attackAngle: "Angle entre le vent et l'axe",
+          },
+        },
+        soil: {
+          title: 'Étape 4 : Transfert thermique externe (paroi → sol)',
+          shapeFactor: '4.1 Conduction dans le sol (facteur de forme)',
+          depth: "Profondeur de l'axe : z",
+          soilType: 'Type de sol :',
+          surfaceTemp: 'Température de surface du sol : T',
+          frostDepth: 'Profondeur de gel estimée (Stefan) :',
+          conductivity: 'Conductivité du sol retenue : k',
+          frozen: '(sol gelé à la conduite)',
+          unfrozen: '(sol non gelé)',
+          result: '→ Résistance du sol : R',
+          source:
+            'Source : Incropera, facteur de forme cylindre enterré ; équation de Stefan - js/calculations/buried-pipe.js',
         },
         radiation: {
           title: '4.2 Rayonnement',
-          emissivity: 'Émissivité steel : ε =',
+          emissivity: 'Émissivité de surface : ε =',
           stefanBoltzmann: 'Constante Stefan-Boltzmann : σ =',
           linearized: 'Coefficient de rayonnement linéarisé :',
           surfaceTemp: 'Avec T',
-          surfaceTempNote: '≈ température de surface estimée',
+          surfaceTempNote: '= température de surface résolue (section suivante)',
           result: '→ Coefficient de rayonnement : h',
           source: 'Source : Loi de Stefan-Boltzmann - js/correlations/radiation.js',
+          sky: {
+            skyTemp: 'Température de ciel (Swinbank, nébulosité) : T',
+            surroundings: 'Environnement (sol, bâtiments) : T',
+            viewFactor: 'Facteur de vue vers le ciel : F =',
+            split: "Échange partagé entre le ciel (F) et l'environnement (1 − F) :",
+            solar: 'Flux solaire absorbé (aire projetée D·L) :',
+            envTemp: "→ Température d'environnement équivalente : T",
+          },
+        },
+        surface: {
+          title: '4.3 Température de surface (itération)',
+          text: "h<sub>conv</sub> (Rayleigh) et h<sub>rad</sub> dépendent de T<sub>s</sub>, elle-même fixée par le réseau de résistances: on itère jusqu'à |ΔT<sub>s</sub>| < 0.01 K.",
+          result: '→ Température de surface : T',
+          converged: 'convergée',
+          notConverged: 'non convergée',
+          iterations: 'itérations',
         },
         total: {
-          title: '4.3 Coefficient externe total',
+          title: '4.4 Coefficient externe total',
           result: '→ Coefficient externe total : h',
         },
       },
@@ -286,9 +572,12 @@
         series: {
           title: '5.1 Résistances en série',
           convInternal: '(convection interne) :',
+          fouling: '(encrassement intérieur, rapporté à la surface du dépôt) :',
           condPipe: '(conduction paroi steel) :',
           condInsulation: '(conduction isolation',
+          condJacket: '(conduction gaine',
           convExternal: '(convection externe + rayonnement) :',
+          soil: '(conduction dans le sol, facteur de forme) :',
         },
         total: {
           title: '5.2 Résistance totale',
@@ -299,6 +588,11 @@
           result: '→ Coefficient UA :',
           source: 'Source : Résistances en série - js/calculations/thermal-resistance.js',
         },
+        profile: {
+          title: '5.4 Chute de température par couche',
+          source:
+            'Source : temperatureProfile - js/calculations/thermal-resistance.js (traçage injecté à la paroi)',
+        },
       },
       step6: {
         title: 'Étape 6 : Méthode NTU (température de sortie)',
@@ -325,6 +619,37 @@
           source:
             "Source : Méthode NTU - Incropera & DeWitt, Perry's Section 5-10 - js/calculations/heat-transfer.js",
         },
+        heatTracing: {
+          title: 'Traçage électrique (ambiance équivalente)',
+          text: 'Le câble apporte Q<sub>trace</sub> à la paroi; le fluide voit une ambiance équivalente :',
+          result: '→ Ambiance équivalente : T',
+          source: 'Bilan au nœud paroi - js/calculations/heat-tracing.js',
+        },
+      },
+      fittings: {
+        title: 'Pertes singulières (raccords et vannes)',
+        text: 'Chaque accessoire ajoute une perte K × ρV²/2, avec K = (L/D) × f<sub>T</sub> (f<sub>T</sub>: friction en turbulence pleinement développée) ou K fixe:',
+        type: 'Accessoire',
+        count: 'Nombre',
+        position: 'Position [m]',
+        distributed: 'Répartis',
+        total: 'Total',
+        result: '→ Pertes singulières :',
+        source:
+          'Source : Crane TP-410, annexe A - data/pipes/fittings.js, js/calculations/minor-losses.js',
+      },
+      thermalBridges: {
+        title: 'Ponts thermiques (pertes ponctuelles)',
+        text: "Chaque support, vanne ou bride non isolé est un puits de chaleur localisé de conductance UA (donnée, ou longueur nue équivalente × conductance linéique d'un tube nu au même endroit) :",
+        type: 'Élément',
+        points: 'Positions',
+        value: 'UA ou L nue',
+        every: 'tous les {spacing} m',
+        pointTotal: 'Pertes ponctuelles',
+        distributedTotal: 'Pertes réparties (isolant)',
+        result: '→ Part des ponts thermiques : {share} % des pertes',
+        source:
+          'Source : VDI 2055-1, CINI 1.3 - data/pipes/thermal-bridges.js, js/calculations/thermal-bridges.js',
       },
     },
     buttons: {
@@ -347,10 +672,42 @@
       requiredMissing: 'Champ requis manquant: {label}',
       lengthRange: 'Longueur doit être entre 1 et 2500 m',
       waterTempRange: 'Température eau doit être entre 1 et 100°C',
+      fluidTempRange: 'Température du fluide doit être entre {min} et 100°C',
+      concentrationRange: 'Concentration glycol doit être entre 20 et 50%',
+      elevationRange: 'Dénivelé doit être entre -100 et 100 m',
+      humidityRange: 'Humidité relative doit être entre 0 et 100%',
+      altitudeRange: 'Altitude doit être entre -500 et 5000 m',
+      insulationMoistureRange: "Humidité de l'isolant doit être entre 0 et 50 % vol.",
+      insulationAgeRange: "Âge de l'isolant doit être entre 0 et 60 ans",
+      jacketThicknessRange: 'Épaisseur de gaine doit être entre 0.1 et 10 mm',
+      jacketEmissivityRange: 'Émissivité de gaine doit être entre 0.02 et 1',
+      fittingsCountRange: "Nombre d'accessoires doit être un entier entre 0 et 100",
+      thermalBridgesBuried: 'Ponts thermiques non applicables à une conduite enterrée',
+      supportSpacingRange: 'Espacement des supports doit être entre 0.5 et 50 m',
+      bridgeCountRange: 'Nombre de vannes et de brides nues doit être un entier entre 0 et 100',
+      roughnessRange: 'Rugosité doit être entre 0 et 10 mm',
+      ambientZoneLengthRange:
+        "Longueurs des zones d'entrée et de sortie: positives, somme inférieure à la longueur de la conduite",
+      ambientZoneTempRange: "Température de l'air d'une zone doit être entre -50 et 50°C",
+      foulingFactorRange: "Facteur d'encrassement doit être entre 0 et 0.01 m²·K/W",
+      foulingThicknessRange:
+        'Épaisseur du dépôt doit être entre 0 et 20 mm et inférieure au rayon intérieur',
       airTempRange: 'Température air doit être entre -50 et 30°C',
       waterPressureRange: 'Pression eau doit être entre 100 et 1000 kPag',
       waterFlowRange: 'Débit eau doit être entre 0.06 et 30 m³/hr',
       windSpeedRange: 'Vitesse vent doit être entre 0 et 108 km/h',
+      heatTracingRange: 'Puissance de traçage doit être entre 1 et 200 W/m',
+      burialDepthRange: "Profondeur d'enfouissement doit être entre 0.3 et 5 m",
+      cloudCoverRange: 'Nébulosité doit être entre 0 et 100%',
+      solarIrradianceRange: 'Éclairement solaire doit être entre 0 et 1200 W/m²',
+      absorptivityRange: 'Absorptivité solaire doit être entre 0 et 1',
+      angleRange: 'Angle doit être entre 0 et 90°',
+      pipeHeightRange: 'Hauteur au-dessus du sol doit être entre 0 et 200 m',
+      economicsRange: 'Donnée économique doit être entre {min} et {max}',
+      thicknessRangeOrder: "Épaisseur maximale doit être supérieure à l'épaisseur minimale",
+      seasonalRange: 'Donnée de simulation doit être entre {min} et {max}',
+      monteCarloRange: 'Donnée Monte Carlo doit être entre {min} et {max}',
+      monteCarloNoUncertainty: 'Au moins une incertitude doit être non nulle',
     },
     alerts: {
       modulesMissing: "Erreur: Certains modules n'ont pas pu être chargés. Rechargez la page.",
@@ -360,19 +717,48 @@
     verdict: {
       frozen: {
         title: 'CONDITION DE GEL ATTEINTE',
-        msg: "La température de l'eau a atteint 0°C (point de congélation) à {distance} m de l'entrée. L'eau gèle dans la conduite.\n\n⚠️ Position critique: {distance} m de l'entrée\n❌ Marge de sécurité: 0.0°C (gel atteint)\n⚠️ Risque d'arrêt de production et de rupture de conduite",
+        msg: "La température du fluide a atteint {tfreeze}°C (point de congélation) à {distance} m de l'entrée. Le fluide gèle dans la conduite.\n\n⚠️ Position critique: {distance} m de l'entrée\n❌ Marge de sécurité: 0.0°C (gel atteint)\n⚠️ Risque d'arrêt de production et de rupture de conduite",
       },
       critical: {
         title: 'RISQUE DE GEL DÉTECTÉ',
-        msg: "Température minimale: {tmin}°C atteinte à {pos} m de l'entrée.\n\n⚠️ Position critique: {freezePos} m (gel projeté)\n❌ Marge avant gel: {marginFreeze}°C (en-dessous de 0°C)\n❌ Écart vs seuil sécuritaire: {marginSafety}°C (sous {safety}°C)",
+        msg: "Température minimale: {tmin}°C atteinte à {pos} m de l'entrée.\n\n⚠️ Position critique: {freezePos} m (gel projeté)\n❌ Marge avant gel: {marginFreeze}°C (en-dessous de {tfreeze}°C)\n❌ Écart vs seuil sécuritaire: {marginSafety}°C (sous {safety}°C)",
       },
       warning: {
         title: 'VIGILANCE : SOUS LA MARGE DE SÉCURITÉ',
-        msg: "Température minimale: {tmin}°C atteinte à {pos} m de l'entrée.\n\n⚠️ Position la plus froide: {pos} m\n⚠️ Marge avant gel: +{marginFreeze}°C (au-dessus de 0°C)\n⚠️ Écart vs seuil sécuritaire: {marginSafety}°C (sous {safety}°C)",
+        msg: "Température minimale: {tmin}°C atteinte à {pos} m de l'entrée.\n\n⚠️ Position la plus froide: {pos} m\n⚠️ Marge avant gel: +{marginFreeze}°C (au-dessus de {tfreeze}°C)\n⚠️ Écart vs seuil sécuritaire: {marginSafety}°C (sous {safety}°C)",
       },
       ok: {
         title: 'PAS DE RISQUE DE GEL',
-        msg: 'La conduite est protégée. Température minimale: {tmin}°C atteinte à {pos} m.\n\n✅ Marge avant gel: +{marginFreeze}°C (au-dessus de 0°C)\n✅ Marge de sécurité: +{marginSafety}°C (au-dessus de {safety}°C)',
+        msg: 'La conduite est protégée. Température minimale: {tmin}°C atteinte à {pos} m.\n\n✅ Marge avant gel: +{marginFreeze}°C (au-dessus de {tfreeze}°C)\n✅ Marge de sécurité: +{marginSafety}°C (au-dessus de {safety}°C)',
+      },
+    },
+    pressureChart: {
+      title: "📈 Profil de pression et d'altitude",
+      axisPressure: 'Pression',
+      axisElevation: 'Altitude (m)',
+      zeroLine: 'Pression nulle',
+      lowPoint: 'Point bas',
+      legendPressure: 'Pression',
+      legendElevation: 'Altitude',
+      legendLowPoint: 'Point bas (eau résiduelle)',
+      minPressure: 'Pression minimale: {pmin} {unit} à {pos} m',
+      staticHead: 'Dénivelé: {head} {unit} de charge hydrostatique (positif en montée)',
+      lowPoints:
+        "💧 Points bas à {positions} m: l'eau y reste après une vidange (prévoir une purge)",
+      fittingsLoss: 'Raccords et vannes: {loss} {unit} ({share}% des pertes de charge)',
+    },
+    cooldown: {
+      title: '⏱️ Arrêt de pompe : temps avant gel',
+      axisTime: 'Temps après arrêt (h)',
+      zeroLabel: 'Point de gel atteint',
+      solidLabel: 'Gel complet',
+      msg: 'Point le plus froid ({pos} m, fluide à {tstart}°C, air à {tamb}°C), écoulement arrêté:\n\n⏱️ {tfreeze}°C atteint après {tzero} h\n🧊 Gel complet après {tsolid} h',
+      critical: { title: 'GEL RAPIDE APRÈS ARRÊT' },
+      warning: { title: "DÉLAI D'INTERVENTION LIMITÉ" },
+      ok: { title: "DÉLAI D'INTERVENTION CONFORTABLE" },
+      noFreeze: {
+        title: 'PAS DE GEL SANS ÉCOULEMENT',
+        msg: "L'air ambiant ({tamb}°C) est au-dessus du point de congélation ({tfreeze}°C): le fluide stagnant tend vers {tamb}°C sans geler.",
       },
     },
     corrective: {
@@ -384,6 +770,8 @@
       otherLimits: 'Autres limitations:',
       recs: 'Recommandations pour éloigner des limites:',
       incPressure: "Augmenter la pression d'entrée (actuellement proche de 1 bar minimum)",
+      reviewElevation: 'Vérifier le dénivelé (une montée réduit la pression)',
+      reduceFittings: 'Réduire le nombre de raccords et vannes',
       reduceLength: 'Réduire la longueur de la conduite pour limiter la perte de charge',
       incDiameter: 'Augmenter le diamètre (NPS) pour réduire la vitesse et les pertes',
       reduceFlow: 'Réduire le débit si possible pour diminuer les pertes de charge',
@@ -394,6 +782,7 @@
     },
     detailed: {
       atPosition: 'à {pos}m',
+      heatLossBreakdown: '(réparties {distributed} kW, ponts thermiques {point} kW, soit {share}%)',
       gelAtteint: 'Gel atteint',
       secure: 'sécuritaire',
       underMargin: 'sous marge',
@@ -461,6 +850,9 @@
       tableTitle: '📊 Tableau récapitulatif de tous les segments',
       tableNote: 'Chaque segment suit la méthodologie détaillée ci-dessus.',
       regime: 'Régime',
+      iceThickness: 'Glace',
+      blocked: 'obstrué',
+      trace: 'Traçage',
       segment1Note: 'Segment 1 :',
       segment1Text: 'Calculs détaillés affichés ci-dessus',
       fluidPropertiesNote: 'Note :',
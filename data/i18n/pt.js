@@ -32,20 +32,253 @@
       schedule: 'SCHEDULE:',
       type: 'TIPO:',
       nps: 'NPS:',
+      condition: 'ESTADO:',
     },
     insulation: {
       sectionTitle: '🧤 Isolamento (opcional)',
       checkbox: 'A tubulação é isolada',
       materialLabel: 'Material de isolamento',
       thicknessLabel: 'Espessura (mm)',
+      moistureLabel: 'Umidade (% vol.)',
+      ageLabel: 'Idade (anos)',
       materials: {
         fiberglass: 'Fibra de vidro',
         rockwool: 'Lã mineral',
         foam: 'Espuma de poliuretano',
         polystyrene: 'Poliestireno extrudado (XPS)',
         elastomeric: 'Espuma elastomérica',
+        eps: 'Poliestireno expandido (EPS)',
+        aerogel: 'Manta de aerogel',
       },
     },
+    jacket: {
+      materialLabel: 'Revestimento de proteção',
+      none: 'Nenhum',
+      thicknessLabel: 'Espessura revestimento (mm)',
+      emissivityLabel: 'Emissividade',
+      materials: {
+        aluminum_jacket: 'Alumínio',
+        stainless_jacket: 'Inox',
+        galvanized_jacket: 'Aço galvanizado',
+        pvc_jacket: 'PVC',
+        mastic: 'Mástique',
+      },
+    },
+    heatTracing: {
+      checkbox: 'Traçado elétrico',
+      powerLabel: 'Potência (W/m)',
+      active: '🔌 Traçado elétrico: {power} W/m ({total} W no total)',
+      required: '🔌 Traçado necessário para manter {safety}°C: {power} W/m ({total} W no total)',
+      infeasible: '🔌 Nem 200 W/m de traçado mantêm {safety}°C',
+    },
+    fluid: {
+      label: 'FLUIDO:',
+      concentrationLabel: 'CONCENTRAÇÃO (%):',
+      types: {
+        water: 'Água',
+        propylene_glycol: 'Propilenoglicol',
+        ethylene_glycol: 'Etilenoglicol',
+      },
+    },
+    waterBackend: {
+      label: 'PROPRIEDADES:',
+      table: 'Tabelas (1–10 bar)',
+      if97: 'IAPWS-IF97 (até 100 bar)',
+      crossCheck: 'Diferença máx. tabelas / IF97 na grade: ρ {rho} %, μ {mu} %, k {k} %, cp {cp} %',
+    },
+    elevation: {
+      label: 'DESNÍVEL (m):',
+    },
+    airConditions: {
+      humidityLabel: 'UMIDADE RELATIVA (%):',
+      altitudeLabel: 'ALTITUDE DO LOCAL (m):',
+    },
+    burial: {
+      checkbox: 'A tubulação está enterrada',
+      depthLabel: 'Profundidade (m)',
+      soilLabel: 'Tipo de solo',
+      surfaceTempLabel: 'T superfície solo (°C)',
+      soils: {
+        sand_dry: 'Areia seca',
+        sand_moist: 'Areia úmida',
+        gravel: 'Cascalho',
+        silt: 'Silte',
+        clay: 'Argila',
+        peat: 'Turfa',
+      },
+      frostOk:
+        '⛏️ Profundidade de congelamento estimada: {frost} m < enterramento {depth} m (tubulação abaixo da linha de congelamento)',
+      frostInsufficient:
+        '⛏️ Profundidade de congelamento estimada: {frost} m ≥ enterramento {depth} m (solo congelado ao redor da tubulação)',
+    },
+    skyRadiation: {
+      checkbox: 'Céu noturno e sol',
+      presetLabel: 'Céu',
+      presets: {
+        clear_night: 'Noite limpa (pior caso de congelamento)',
+        overcast: 'Encoberto',
+        custom: 'Nebulosidade…',
+      },
+      cloudCoverLabel: 'Nebulosidade (%)',
+      solarLabel: 'Sol (W/m²)',
+      absorptivityLabel: 'Absortividade',
+      summary: '🌌 Céu a {T_sky}°C: ambiente radiante equivalente {T_env}°C para ar a {T_amb}°C',
+    },
+    orientation: {
+      checkbox: 'Orientação e exposição ao vento',
+      inclinationLabel: 'Inclinação (°)',
+      windAngleLabel: 'Ângulo do vento (°)',
+      heightLabel: 'Altura (m)',
+      terrainLabel: 'Terreno',
+      terrains: {
+        open: 'Campo aberto',
+        suburban: 'Suburbano',
+        urban: 'Urbano',
+      },
+    },
+    economics: {
+      checkbox: 'Espessura de isolamento econômica',
+      costPerMmLabel: 'Custo do isolamento ($/m por mm)',
+      fixedCostLabel: 'Custo fixo ($/m)',
+      energyPriceLabel: 'Energia ($/kWh)',
+      hoursLabel: 'Horas/ano',
+      discountLabel: 'Taxa de desconto (%)',
+      lifetimeLabel: 'Vida útil (anos)',
+      thicknessMinLabel: 'Espessura mín (mm)',
+      thicknessMaxLabel: 'Espessura máx (mm)',
+      freezeMarginLabel: 'Margem de congelamento (°C)',
+      title: '💰 Espessura de isolamento econômica',
+      optimum: {
+        title: 'ÓTIMO: {material}, {thickness} MM',
+        msg: 'Custo do ciclo de vida: {lcc} $/m (isolamento {installed} $/m + energia {energy} $/m em {lifetime} anos)\nPerdas: {loss} W/m, temperatura mínima {tmin}°C',
+      },
+      infeasible: {
+        title: 'NENHUMA ESPESSURA SEM CONGELAMENTO',
+        msg: 'Nenhum isolamento até {max} mm mantém o fluido {margin}°C acima do seu ponto de congelamento: considerar o traçado elétrico.',
+      },
+      freezeCost:
+        'Sem a restrição de congelamento, o ótimo seria {material} {thickness} mm: a proteção contra o congelamento custa {extra} $/m a mais.',
+      safeZone: 'Zona sem congelamento',
+      optimumLabel: 'Ótimo',
+      axisThickness: 'Espessura do isolamento (mm)',
+      axisCost: 'Custo do ciclo de vida ($/m)',
+      legendUnsafe: '- - - congelamento não evitado (margem insuficiente)',
+    },
+    seasonal: {
+      checkbox: 'Simulação sazonal (CSV meteorológico)',
+      fileLabel: 'Arquivo meteorológico (CSV)',
+      stepLabel: 'Passo de tempo',
+      steps: {
+        hourly: 'Horário',
+        daily: 'Diário',
+      },
+      energyPriceLabel: 'Energia ($/kWh)',
+      co2Label: 'CO₂ (kg/kWh)',
+      loaded: '{count} passos carregados',
+      readError: 'Não foi possível ler o arquivo',
+      title: '📅 Balanço sazonal (série meteorológica)',
+      ok: {
+        title: 'NENHUMA HORA EM RISCO',
+      },
+      warning: {
+        title: '{below} H ABAIXO DE {threshold}°C',
+      },
+      critical: {
+        title: 'CONGELAMENTO DURANTE {frozen} H',
+      },
+      msg: 'Calor perdido em {hours} h: {energy} kWh (traçado {trace} kWh)\nCusto: {cost} $, emissões: {co2} kg CO₂\nHoras abaixo de {threshold}°C: {below} h, das quais {frozen} h de congelamento\n{steps} passos meteorológicos, {evaluations} cálculos da rede',
+    },
+    monteCarlo: {
+      checkbox: 'Probabilidade de congelamento (Monte Carlo)',
+      samplesLabel: 'Amostras',
+      seedLabel: 'Semente',
+      flowStdLabel: 'Vazão ± (% desvio padrão)',
+      ambientStdLabel: 'T ar ± (°C desvio padrão)',
+      insulationDamageLabel: 'Isolamento degradado até (%)',
+      title: '🎲 Probabilidade de congelamento (Monte Carlo)',
+      verdictTitle: 'PROBABILIDADE DE CONGELAMENTO: {p} %',
+      msg: 'Intervalo de confiança de 95 %: {low} a {high} %\nProbabilidade abaixo de {threshold}°C: {pSafety} %\nTemperatura mínima: P5 {p5}°C, P50 {p50}°C, P95 {p95}°C\n{samples} amostras (semente {seed})',
+      safetyLabel: 'Limiar de segurança',
+      axisMinTemp: 'Temperatura mínima (°C)',
+      axisCount: 'Amostras',
+    },
+    roughness: {
+      valueLabel: 'ε (mm):',
+      conditions: {
+        new: 'Novo',
+        used: 'Usado',
+        corroded: 'Muito corroído',
+        custom: 'Personalizado',
+      },
+    },
+    ambientZones: {
+      checkbox: 'Zonas ambientais (edifício, garagem, túnel)',
+      inletLengthLabel: 'Zona de entrada (m)',
+      inletTempLabel: 'T ar entrada (°C)',
+      inletWindLabel: 'Vento entrada (km/h)',
+      outletLengthLabel: 'Zona de saída (m)',
+      outletTempLabel: 'T ar saída (°C)',
+      outletWindLabel: 'Vento saída (km/h)',
+      inletZone: 'Entrada',
+      outletZone: 'Saída',
+    },
+    fouling: {
+      checkbox: 'Incrustação interna (calcário, tubérculos)',
+      typeLabel: 'Tipo de água',
+      factorLabel: 'Fator de incrustação (m²·K/W)',
+      thicknessLabel: 'Espessura do depósito (mm)',
+      types: {
+        distilled: 'Água destilada',
+        closed_loop: 'Circuito fechado tratado',
+        city_water: 'Água da rede',
+        river_water: 'Água de rio',
+        cooling_tower: 'Torre de resfriamento',
+        hard_water: 'Água dura (calcário)',
+        tuberculated: 'Tubulação antiga com tubérculos',
+        custom: 'Personalizado',
+      },
+    },
+    fittings: {
+      checkbox: 'Conexões e válvulas',
+      types: {
+        elbow_90: 'Cotovelos 90°',
+        elbow_90_long: 'Cotovelos 90° raio longo',
+        elbow_45: 'Cotovelos 45°',
+        tee_run: 'Tês (passagem direta)',
+        tee_branch: 'Tês (derivação)',
+        gate_valve: 'Válvulas gaveta',
+        ball_valve: 'Válvulas de esfera',
+        globe_valve: 'Válvulas globo',
+        butterfly_valve: 'Válvulas borboleta',
+        check_valve_swing: 'Válvulas de retenção',
+        check_valve_lift: 'Válvulas de retenção de levantamento',
+        strainer_y: 'Filtros Y',
+        entrance_sharp: 'Entrada de cantos vivos',
+        exit: 'Saída da tubulação',
+      },
+    },
+    thermalBridges: {
+      checkbox: 'Pontes térmicas (suportes, válvulas, flanges)',
+      supportLabel: 'Suportes',
+      none: 'Nenhum',
+      spacingLabel: 'Espaçamento (m)',
+      valveCountLabel: 'Válvulas nuas',
+      flangeCountLabel: 'Pares de flanges nus',
+      types: {
+        pipe_shoe: 'Patim soldado',
+        pipe_clamp: 'Abraçadeira sobre tubo nu',
+        hanger_rod: 'Suspensão com vareta',
+        insulated_support: 'Suporte com calço isolante',
+        gate_valve_bare: 'Válvula de gaveta nua',
+        ball_valve_bare: 'Válvula de esfera nua',
+        globe_valve_bare: 'Válvula globo nua',
+        flange_pair_bare: 'Par de flanges nu',
+        custom: 'Ponte personalizada',
+      },
+    },
+    adaptiveSegmentation: {
+      checkbox: 'Segmentação adaptativa (estudo de convergência)',
+    },
     sections: {
       s1: '1. Parâmetros e resultados',
       s2: '2. Análise de sensibilidade',
@@ -59,6 +292,7 @@
       pipe: 'Tubo',
       pipeMaterial: 'Material:',
       pipeSpec: 'Especificação:',
+      pipeCondition: 'Estado (rugosidade):',
       pipeLength: 'Comprimento:',
       water: 'Água',
       waterTemp: 'Temperatura:',
@@ -139,6 +373,13 @@
         segments: 'segmentos',
         of: 'de',
         each: 'm cada. Para cada segmento, o cálculo segue 6 etapas sequenciais:',
+        ofRange:
+          'de {min} a {max} m (segmentação adaptativa, segmentos curtos onde a temperatura varia rápido). Para cada segmento, o cálculo segue 6 etapas sequenciais:',
+        convergence:
+          'Estudo de convergência: {passes} cálculos sucessivos ({counts} segmentos). Erro numérico estimado na temperatura final: ±{error}°C.',
+        convergenceFreeze: 'Na posição de congelamento: ±{error} m.',
+        convergencePressure: 'Na perda de carga: ±{error} %.',
+        notConverged: '⚠️ Tolerância não atingida no número máximo de segmentos ({numSegments}).',
         note: 'Nota:',
         noteText:
           'A temperatura de saída de um segmento torna-se a temperatura de entrada do seguinte, permitindo acompanhar a evolução térmica ao longo da tubulação.',
@@ -190,6 +431,7 @@
           massFlow: 'Vazão mássica: ṁ =',
           density: 'Densidade: ρ =',
           diameter: 'Diâmetro interno: D =',
+          fouledDiameter: 'Diâmetro hidráulico reduzido pelo depósito: D_h = D_i − 2e =',
           volumeFlow: 'Vazão volumétrica:',
           crossSection: 'Seção transversal:',
           avgVelocity: 'Velocidade média:',
@@ -252,27 +494,70 @@
           title: '4.1 Convecção Externa (forçada - vento)',
           outerDiameter: 'Diâmetro externo: D',
           windSpeed: 'Velocidade do vento: V',
-          forcedConvection: 'Convecção forçada (Churchill-Bernstein)',
           reynoldsAir: 'Reynolds ar:',
-          correlation: 'Correlação de Churchill-Bernstein para cilindro em fluxo cruzado',
           calculated: 'calculado via correlações estabelecidas',
           result: '→ Coeficiente de convecção externa: h',
-          source: 'Fonte: Churchill-Bernstein (1977) - js/correlations/nusselt-external.js',
+          source:
+            'Fonte: Churchill-Bernstein (1977), Churchill-Chu (1975) - js/correlations/nusselt-external.js',
           naturalConvection: 'Convecção natural (cilindro horizontal)',
           rayleighCorrelation: 'Número de Rayleigh então correlação de convecção natural',
+          combinedConvection: 'Convecção forçada + natural (superposição de Churchill, n = 3)',
+          combinedFormula: 'Forçada (Churchill-Bernstein) e natural (Churchill-Chu) combinadas:',
+          richardson: 'Número de Richardson:',
+          regime: 'Regime',
+          regimes: {
+            forced: 'forçada (Ri < 0.1)',
+            mixed: 'mista (0.1 ≤ Ri ≤ 10)',
+            natural: 'natural (Ri > 10)',
+          },
+          orientation: {
+            inclination: 'Inclinação sobre a horizontal',
+            windAtHeight: 'Vento à altura',
+            attackAngle: 'Ângulo entre o vento e o eixo',
+          },
+        },
+        soil: {
+          title: 'Etapa 4: Transferência térmica externa (parede → solo)',
+          shapeFactor: '4.1 Condução no solo (fator de forma)',
+          depth: 'Profundidade do eixo: z',
+          soilType: 'Tipo de solo:',
+          surfaceTemp: 'Temperatura da superfície do solo: T',
+          frostDepth: 'Profundidade de congelamento estimada (Stefan):',
+          conductivity: 'Condutividade do solo utilizada: k',
+          frozen: '(solo congelado na tubulação)',
+          unfrozen: '(solo não congelado)',
+          result: '→ Resistência do solo: R',
+          source:
+            'Fonte: Incropera, fator de forma de cilindro enterrado; equação de Stefan - js/calculations/buried-pipe.js',
         },
         radiation: {
           title: '4.2 Radiação',
-          emissivity: 'Emissividade steel: ε =',
+          emissivity: 'Emissividade da superfície: ε =',
           stefanBoltzmann: 'Constante Stefan-Boltzmann: σ =',
           linearized: 'Coeficiente de radiação linearizado:',
           surfaceTemp: 'Com T',
-          surfaceTempNote: '≈ temperatura superficial estimada',
+          surfaceTempNote: '= temperatura superficial resolvida (seção seguinte)',
           result: '→ Coeficiente de radiação: h',
           source: 'Fonte: Lei de Stefan-Boltzmann - js/correlations/radiation.js',
+          sky: {
+            skyTemp: 'Temperatura do céu (Swinbank, nebulosidade): T',
+            surroundings: 'Entorno (solo, edifícios): T',
+            viewFactor: 'Fator de forma para o céu: F =',
+            split: 'Troca dividida entre o céu (F) e o entorno (1 − F):',
+            solar: 'Fluxo solar absorvido (área projetada D·L):',
+            envTemp: '→ Temperatura ambiente equivalente: T',
+          },
+        },
+        surface: {
+          title: '4.3 Temperatura superficial (iteração)',
+          text: 'h<sub>conv</sub> (Rayleigh) e h<sub>rad</sub> dependem de T<sub>s</sub>, definida pela rede de resistências: itera-se até |ΔT<sub>s</sub>| < 0.01 K.',
+          result: '→ Temperatura superficial: T',
+          converged: 'convergida',
+          notConverged: 'não convergida',
+          iterations: 'iterações',
         },
         total: {
-          title: '4.3 Coeficiente Externo Total',
+          title: '4.4 Coeficiente Externo Total',
           result: '→ Coeficiente externo total: h',
         },
       },
@@ -281,9 +566,12 @@
         series: {
           title: '5.1 Resistências em Série',
           convInternal: '(convecção interna):',
+          fouling: '(incrustação interna, referida à superfície do depósito):',
           condPipe: '(condução parede steel):',
           condInsulation: '(condução isolamento',
+          condJacket: '(condução revestimento',
           convExternal: '(convecção externa + radiação):',
+          soil: '(condução no solo, fator de forma):',
         },
         total: {
           title: '5.2 Resistência Total',
@@ -294,6 +582,11 @@
           result: '→ Coeficiente UA:',
           source: 'Fonte: Resistências em série - js/calculations/thermal-resistance.js',
         },
+        profile: {
+          title: '5.4 Queda de temperatura por camada',
+          source:
+            'Fonte: temperatureProfile - js/calculations/thermal-resistance.js (traçado injetado na parede)',
+        },
       },
       step6: {
         title: 'Etapa 6: Método NTU (temperatura de saída)',
@@ -320,6 +613,37 @@
           source:
             "Fonte: Método NTU - Incropera & DeWitt, Perry's Section 5-10 - js/calculations/heat-transfer.js",
         },
+        heatTracing: {
+          title: 'Traçado elétrico (ambiente equivalente)',
+          text: 'O cabo fornece Q<sub>trace</sub> à parede; o fluido vê um ambiente equivalente:',
+          result: '→ Ambiente equivalente: T',
+          source: 'Balanço no nó da parede - js/calculations/heat-tracing.js',
+        },
+      },
+      fittings: {
+        title: 'Perdas localizadas (conexões e válvulas)',
+        text: 'Cada acessório adiciona uma perda K × ρV²/2, com K = (L/D) × f<sub>T</sub> (f<sub>T</sub>: atrito em turbulência plenamente desenvolvida) ou K fixo:',
+        type: 'Acessório',
+        count: 'Quantidade',
+        position: 'Posição [m]',
+        distributed: 'Distribuídos',
+        total: 'Total',
+        result: '→ Perdas localizadas:',
+        source:
+          'Fonte: Crane TP-410, anexo A - data/pipes/fittings.js, js/calculations/minor-losses.js',
+      },
+      thermalBridges: {
+        title: 'Pontes térmicas (perdas pontuais)',
+        text: 'Cada suporte, válvula ou flange sem isolamento é um sumidouro de calor localizado de condutância UA (dada, ou comprimento nu equivalente × condutância linear de um tubo nu no mesmo local):',
+        type: 'Elemento',
+        points: 'Posições',
+        value: 'UA ou L nu',
+        every: 'a cada {spacing} m',
+        pointTotal: 'Perdas pontuais',
+        distributedTotal: 'Perdas distribuídas (isolamento)',
+        result: '→ Parcela das pontes térmicas: {share} % das perdas',
+        source:
+          'Fonte: VDI 2055-1, CINI 1.3 - data/pipes/thermal-bridges.js, js/calculations/thermal-bridges.js',
       },
     },
     buttons: {
@@ -342,10 +666,42 @@
       requiredMissing: 'Campo obrigatório ausente: {label}',
       lengthRange: 'Comprimento deve estar entre 1 e 2500 m',
       waterTempRange: 'Temperatura da água deve estar entre 1 e 100°C',
+      fluidTempRange: 'Temperatura do fluido deve estar entre {min} e 100°C',
+      concentrationRange: 'Concentração de glicol deve estar entre 20 e 50%',
+      elevationRange: 'Desnível deve estar entre -100 e 100 m',
+      humidityRange: 'A umidade relativa deve estar entre 0 e 100%',
+      altitudeRange: 'A altitude deve estar entre -500 e 5000 m',
+      insulationMoistureRange: 'A umidade do isolante deve estar entre 0 e 50 % vol.',
+      insulationAgeRange: 'A idade do isolante deve estar entre 0 e 60 anos',
+      jacketThicknessRange: 'A espessura do revestimento deve estar entre 0.1 e 10 mm',
+      jacketEmissivityRange: 'A emissividade do revestimento deve estar entre 0.02 e 1',
+      fittingsCountRange: 'O número de acessórios deve ser um inteiro entre 0 e 100',
+      thermalBridgesBuried: 'Pontes térmicas não se aplicam a uma tubulação enterrada',
+      supportSpacingRange: 'O espaçamento dos suportes deve estar entre 0.5 e 50 m',
+      bridgeCountRange: 'O número de válvulas e flanges nus deve ser um inteiro entre 0 e 100',
+      roughnessRange: 'A rugosidade deve estar entre 0 e 10 mm',
+      ambientZoneLengthRange:
+        'Os comprimentos das zonas de entrada e saída devem ser positivos e somar menos que o comprimento do tubo',
+      ambientZoneTempRange: 'A temperatura do ar de uma zona deve estar entre -50 e 50°C',
+      foulingFactorRange: 'O fator de incrustação deve estar entre 0 e 0.01 m²·K/W',
+      foulingThicknessRange:
+        'A espessura do depósito deve estar entre 0 e 20 mm e ser menor que o raio interno',
       airTempRange: 'Temperatura do ar deve estar entre -50 e 30°C',
       waterPressureRange: 'Pressão da água deve estar entre 100 e 1000 kPag',
       waterFlowRange: 'Vazão da água deve estar entre 0.06 e 30 m³/hr',
       windSpeedRange: 'Velocidade do vento deve estar entre 0 e 108 km/h',
+      heatTracingRange: 'A potência de traçado deve estar entre 1 e 200 W/m',
+      burialDepthRange: 'A profundidade de enterramento deve estar entre 0.3 e 5 m',
+      cloudCoverRange: 'A nebulosidade deve estar entre 0 e 100%',
+      solarIrradianceRange: 'A irradiância solar deve estar entre 0 e 1200 W/m²',
+      absorptivityRange: 'A absortividade solar deve estar entre 0 e 1',
+      angleRange: 'O ângulo deve estar entre 0 e 90°',
+      pipeHeightRange: 'A altura acima do solo deve estar entre 0 e 200 m',
+      economicsRange: 'O dado econômico deve estar entre {min} e {max}',
+      thicknessRangeOrder: 'A espessura máxima deve ser maior que a espessura mínima',
+      seasonalRange: 'O dado de simulação deve estar entre {min} e {max}',
+      monteCarloRange: 'O dado Monte Carlo deve estar entre {min} e {max}',
+      monteCarloNoUncertainty: 'Pelo menos uma incerteza deve ser diferente de zero',
     },
     alerts: {
       modulesMissing: 'Erro: Alguns módulos não carregaram. Recarregue a página.',
@@ -355,19 +711,48 @@
     verdict: {
       frozen: {
         title: 'CONDIÇÃO DE CONGELAMENTO ALCANÇADA',
-        msg: 'A água atingiu 0°C (ponto de congelamento) a {distance} m da entrada. A água congela na tubulação.\n\n⚠️ Posição crítica: {distance} m da entrada\n❌ Margem de segurança: 0.0°C (congelado)\n⚠️ Risco de parada de produção e ruptura da tubulação',
+        msg: 'O fluido atingiu {tfreeze}°C (ponto de congelamento) a {distance} m da entrada. O fluido congela na tubulação.\n\n⚠️ Posição crítica: {distance} m da entrada\n❌ Margem de segurança: 0.0°C (congelado)\n⚠️ Risco de parada de produção e ruptura da tubulação',
       },
       critical: {
         title: 'RISCO DE CONGELAMENTO DETECTADO',
-        msg: 'Temperatura mínima: {tmin}°C alcançada a {pos} m da entrada.\n\n⚠️ Posição crítica: {freezePos} m (congelamento projetado)\n❌ Margem até congelar: {marginFreeze}°C (abaixo de 0°C)\n❌ Diferença vs segurança: {marginSafety}°C (abaixo de {safety}°C)',
+        msg: 'Temperatura mínima: {tmin}°C alcançada a {pos} m da entrada.\n\n⚠️ Posição crítica: {freezePos} m (congelamento projetado)\n❌ Margem até congelar: {marginFreeze}°C (abaixo de {tfreeze}°C)\n❌ Diferença vs segurança: {marginSafety}°C (abaixo de {safety}°C)',
       },
       warning: {
         title: 'ATENÇÃO: ABAIXO DA MARGEM DE SEGURANÇA',
-        msg: 'Temperatura mínima: {tmin}°C alcançada a {pos} m da entrada.\n\n⚠️ Posição mais fria: {pos} m\n⚠️ Margem até congelar: +{marginFreeze}°C (acima de 0°C)\n⚠️ Diferença vs segurança: {marginSafety}°C (abaixo de {safety}°C)',
+        msg: 'Temperatura mínima: {tmin}°C alcançada a {pos} m da entrada.\n\n⚠️ Posição mais fria: {pos} m\n⚠️ Margem até congelar: +{marginFreeze}°C (acima de {tfreeze}°C)\n⚠️ Diferença vs segurança: {marginSafety}°C (abaixo de {safety}°C)',
       },
       ok: {
         title: 'SEM RISCO DE CONGELAMENTO',
-        msg: 'A tubulação está protegida. Temperatura mínima: {tmin}°C a {pos} m.\n\n✅ Margem até congelar: +{marginFreeze}°C (acima de 0°C)\n✅ Margem de segurança: +{marginSafety}°C (acima de {safety}°C)',
+        msg: 'A tubulação está protegida. Temperatura mínima: {tmin}°C a {pos} m.\n\n✅ Margem até congelar: +{marginFreeze}°C (acima de {tfreeze}°C)\n✅ Margem de segurança: +{marginSafety}°C (acima de {safety}°C)',
+      },
+    },
+    pressureChart: {
+      title: '📈 Perfil de pressão e de altitude',
+      axisPressure: 'Pressão',
+      axisElevation: 'Altitude (m)',
+      zeroLine: 'Pressão nula',
+      lowPoint: 'Ponto baixo',
+      legendPressure: 'Pressão',
+      legendElevation: 'Altitude',
+      legendLowPoint: 'Ponto baixo (água residual)',
+      minPressure: 'Pressão mínima: {pmin} {unit} a {pos} m',
+      staticHead: 'Desnível: {head} {unit} de carga hidrostática (positiva em subida)',
+      lowPoints:
+        '💧 Pontos baixos a {positions} m: a água permanece ali após uma drenagem (prever um dreno)',
+      fittingsLoss: 'Conexões e válvulas: {loss} {unit} ({share}% das perdas de carga)',
+    },
+    cooldown: {
+      title: '⏱️ Parada da bomba: tempo até congelamento',
+      axisTime: 'Tempo após a parada (h)',
+      zeroLabel: 'Ponto de congelamento atingido',
+      solidLabel: 'Congelamento completo',
+      msg: 'Ponto mais frio ({pos} m, fluido a {tstart}°C, ar a {tamb}°C), escoamento parado:\n\n⏱️ {tfreeze}°C atingido após {tzero} h\n🧊 Congelamento completo após {tsolid} h',
+      critical: { title: 'CONGELAMENTO RÁPIDO APÓS A PARADA' },
+      warning: { title: 'TEMPO DE INTERVENÇÃO LIMITADO' },
+      ok: { title: 'TEMPO DE INTERVENÇÃO CONFORTÁVEL' },
+      noFreeze: {
+        title: 'SEM CONGELAMENTO SEM ESCOAMENTO',
+        msg: 'O ar ambiente ({tamb}°C) está acima do ponto de congelamento ({tfreeze}°C): o fluido parado tende a {tamb}°C sem congelar.',
       },
     },
     corrective: {
@@ -379,6 +764,8 @@
       otherLimits: 'Outras limitações:',
       recs: 'Recomendações para afastar-se dos limites:',
       incPressure: 'Aumentar a pressão de entrada (atualmente próximo de 1 bar mínimo)',
+      reviewElevation: 'Verificar o desnível (uma subida reduz a pressão)',
+      reduceFittings: 'Reduzir o número de conexões e válvulas',
       reduceLength: 'Reduzir o comprimento da tubulação para limitar perdas de pressão',
       incDiameter: 'Aumentar o diâmetro (NPS) para reduzir velocidade e perdas',
       reduceFlow: 'Reduzir a vazão se possível para diminuir perdas de pressão',
@@ -389,6 +776,8 @@
     },
     detailed: {
       atPosition: 'a {pos}m',
+      heatLossBreakdown:
+        '(distribuídas {distributed} kW, pontes térmicas {point} kW, ou seja {share}%)',
       gelAtteint: 'Congelado',
       secure: 'seguro',
       underMargin: 'abaixo da margem',
@@ -453,6 +842,9 @@
       tableTitle: '📊 Tabela resumo de todos os segmentos',
       tableNote: 'Cada segmento segue a metodologia detalhada acima.',
       regime: 'Regime',
+      iceThickness: 'Gelo',
+      blocked: 'obstruído',
+      trace: 'Traçado',
       segment1Note: 'Segmento 1:',
       segment1Text: 'Cálculos detalhados mostrados acima',
       fluidPropertiesNote: 'Nota:',
@@ -82,6 +82,10 @@ const materialPropertiesData = {
   },
 
   // ========== ISOLANTS ==========
+  // k: valeur nominale à 24°C de température moyenne (ASTM C335/C177)
+  // k_curve: conductivité selon la température moyenne de la couche, valeurs
+  //   typiques des fiches ASTM C547, C534, C578 et C591 (ASHRAE Fundamentals 2021, ch. 33)
+  // aging: hausse relative à long terme de k et sa constante de temps (isolant sec)
 
   fiberglass: {
     name: 'Laine de verre',
@@ -89,6 +93,8 @@ const materialPropertiesData = {
     k: 0.04, // W/(m·K) - Faible conductivité (bon isolant)
     rho: 32, // kg/m³ - Très léger
     cp: 835, // J/(kg·K)
+    k_curve: { T_C: [-40, -20, 0, 24, 50, 100], k: [0.032, 0.034, 0.0365, 0.04, 0.0435, 0.052] },
+    aging: { max: 0.05, tau: 15 }, // tassement des fibres
     emissivity: 0.9, // Surface mate
     notes: 'Laine de verre standard, densité moyenne',
   },
@@ -99,6 +105,8 @@ const materialPropertiesData = {
     k: 0.038, // W/(m·K) - Excellent isolant
     rho: 100, // kg/m³
     cp: 840, // J/(kg·K)
+    k_curve: { T_C: [-40, -20, 0, 24, 50, 100], k: [0.031, 0.033, 0.035, 0.038, 0.041, 0.048] },
+    aging: { max: 0.05, tau: 15 }, // tassement des fibres
     emissivity: 0.9,
     notes: 'Laine de roche haute densité',
   },
@@ -109,6 +117,8 @@ const materialPropertiesData = {
     k: 0.026, // W/(m·K) - Très bon isolant
     rho: 40, // kg/m³
     cp: 1400, // J/(kg·K)
+    k_curve: { T_C: [-40, -20, 0, 24, 50, 100], k: [0.022, 0.023, 0.0245, 0.026, 0.028, 0.032] },
+    aging: { max: 0.3, tau: 8 }, // diffusion de l'agent gonflant
     emissivity: 0.9,
     notes: 'Mousse PU rigide, cellules fermées',
   },
@@ -119,6 +129,8 @@ const materialPropertiesData = {
     k: 0.036, // W/(m·K)
     rho: 25, // kg/m³
     cp: 1300, // J/(kg·K)
+    k_curve: { T_C: [-40, -20, 0, 24, 50, 100], k: [0.03, 0.032, 0.034, 0.036, 0.039, 0.045] },
+    aging: { max: 0.05, tau: 10 }, // cellules remplies d'air
     emissivity: 0.9,
     notes: 'Polystyrène expansé (styromousse)',
   },
@@ -129,6 +141,8 @@ const materialPropertiesData = {
     k: 0.029, // W/(m·K) - Meilleur que EPS
     rho: 35, // kg/m³
     cp: 1300, // J/(kg·K)
+    k_curve: { T_C: [-40, -20, 0, 24, 50, 100], k: [0.025, 0.026, 0.0275, 0.029, 0.031, 0.035] },
+    aging: { max: 0.15, tau: 10 }, // diffusion de l'agent gonflant
     emissivity: 0.9,
     notes: 'Polystyrène extrudé (plus dense que EPS)',
   },
@@ -139,10 +153,83 @@ const materialPropertiesData = {
     k: 0.04, // W/(m·K)
     rho: 70, // kg/m³
     cp: 1500, // J/(kg·K)
+    k_curve: { T_C: [-40, -20, 0, 24, 50, 100], k: [0.034, 0.035, 0.037, 0.04, 0.042, 0.047] },
+    aging: { max: 0.1, tau: 10 }, // diffusion et durcissement
     emissivity: 0.85,
     notes: 'Isolation flexible pour tuyauterie (ex: Armaflex)',
   },
 
+  aerogel_blanket: {
+    name: 'Nappe aérogel',
+    category: 'insulation',
+    k: 0.016, // W/(m·K)
+    rho: 150, // kg/m³
+    cp: 1000, // J/(kg·K)
+    k_curve: { T_C: [-40, -20, 0, 24, 50, 100], k: [0.0135, 0.014, 0.015, 0.016, 0.0175, 0.021] },
+    aging: { max: 0.05, tau: 10 }, // silice hydrophobe, structure stable
+    emissivity: 0.9,
+    notes: 'Nappe de silice aérogel armée de fibres (faible épaisseur, souvent sous une mousse)',
+  },
+
+  // ========== GAINES DE PROTECTION (Jaquettes sur isolant) ==========
+  // thickness: épaisseur typique de la gaine [m] (ASTM C1729 aluminium, C1767 inox)
+  // emissivity: état neuf; une gaine métallique ternie ou poussiéreuse émet davantage
+
+  aluminum_jacket: {
+    name: 'Gaine aluminium',
+    category: 'jacket',
+    k: 200, // W/(m·K) - Alliages 3003/5005
+    rho: 2700, // kg/m³
+    cp: 900, // J/(kg·K)
+    thickness: 0.0005, // m
+    emissivity: 0.1, // Aluminium neuf (0.2 à 0.3 oxydé)
+    notes: 'Tôle aluminium lisse ou gaufrée, avec pare-vapeur',
+  },
+
+  stainless_jacket: {
+    name: 'Gaine inox',
+    category: 'jacket',
+    k: 16, // W/(m·K)
+    rho: 8000, // kg/m³
+    cp: 500, // J/(kg·K)
+    thickness: 0.0004, // m
+    emissivity: 0.15, // Inox 304 neuf
+    notes: 'Tôle inox 304/316, milieux corrosifs',
+  },
+
+  galvanized_jacket: {
+    name: 'Gaine acier galvanisé',
+    category: 'jacket',
+    k: 50, // W/(m·K)
+    rho: 7850, // kg/m³
+    cp: 460, // J/(kg·K)
+    thickness: 0.0006, // m
+    emissivity: 0.26, // Galvanisé neuf (0.44 poussiéreux)
+    notes: 'Tôle acier galvanisé',
+  },
+
+  pvc_jacket: {
+    name: 'Gaine PVC',
+    category: 'jacket',
+    k: 0.19, // W/(m·K)
+    rho: 1380, // kg/m³
+    cp: 900, // J/(kg·K)
+    thickness: 0.0005, // m
+    emissivity: 0.9,
+    notes: 'Gaine PVC rigide (intérieur ou abrité)',
+  },
+
+  mastic: {
+    name: 'Mastic de protection',
+    category: 'jacket',
+    k: 0.25, // W/(m·K)
+    rho: 1200, // kg/m³
+    cp: 1500, // J/(kg·K)
+    thickness: 0.003, // m
+    emissivity: 0.9,
+    notes: 'Revêtement mastic armé de toile (coupe-vapeur)',
+  },
+
   // ========== PLASTIQUES (Conduites) ==========
 
   pvc: {
@@ -179,7 +266,16 @@ const materialPropertiesData = {
 // Freezer pour immutabilité
 Object.freeze(materialPropertiesData);
 for (const key in materialPropertiesData) {
-  Object.freeze(materialPropertiesData[key]);
+  const material = materialPropertiesData[key];
+  Object.freeze(material);
+  if (material.k_curve) {
+    Object.freeze(material.k_curve.T_C);
+    Object.freeze(material.k_curve.k);
+    Object.freeze(material.k_curve);
+  }
+  if (material.aging) {
+    Object.freeze(material.aging);
+  }
 }
 
 // Export pour navigateur
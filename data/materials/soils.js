@@ -0,0 +1,86 @@
+/**
+ * soils.js
+ *
+ * Propriétés thermiques des sols pour les conduites enterrées
+ *
+ * Conductivités typiques non gelée / gelée (la glace conduit ~4× mieux que l'eau,
+ * d'où k_frozen > k_unfrozen pour les sols humides). La teneur en eau sert au calcul
+ * de la chaleur latente volumique du sol pour la profondeur de pénétration du gel.
+ *
+ * Sources:
+ * - ASHRAE Handbook - Fundamentals, chapitre 26 (propriétés des sols)
+ * - Farouki, O.T. (1981). Thermal Properties of Soils. CRREL Monograph 81-1
+ * - Andersland & Ladanyi (2004). Frozen Ground Engineering, 2e éd.
+ */
+
+const soilPropertiesData = {
+  sand_dry: {
+    name: 'Sable sec',
+    k_unfrozen: 0.35, // W/(m·K)
+    k_frozen: 0.4, // W/(m·K) - peu d'eau, conductivité quasi inchangée
+    rho_dry: 1600, // kg/m³ - masse volumique sèche
+    moisture: 0.03, // kg eau / kg sol sec
+    notes: 'Sable drainé, faible teneur en eau',
+  },
+
+  sand_moist: {
+    name: 'Sable humide',
+    k_unfrozen: 2.0,
+    k_frozen: 2.7,
+    rho_dry: 1600,
+    moisture: 0.15,
+    notes: 'Sable proche de la saturation',
+  },
+
+  gravel: {
+    name: 'Gravier',
+    k_unfrozen: 1.8,
+    k_frozen: 2.2,
+    rho_dry: 1900,
+    moisture: 0.08,
+    notes: 'Gravier de remblai compacté',
+  },
+
+  silt: {
+    name: 'Limon',
+    k_unfrozen: 1.3,
+    k_frozen: 1.9,
+    rho_dry: 1500,
+    moisture: 0.2,
+    notes: 'Limon / loam humide',
+  },
+
+  clay: {
+    name: 'Argile',
+    k_unfrozen: 1.1,
+    k_frozen: 1.6,
+    rho_dry: 1400,
+    moisture: 0.3,
+    notes: 'Argile humide',
+  },
+
+  peat: {
+    name: 'Tourbe',
+    k_unfrozen: 0.5,
+    k_frozen: 1.2,
+    rho_dry: 300,
+    moisture: 2.0,
+    notes: 'Sol organique saturé (teneur en eau > 100%)',
+  },
+};
+
+// Freezer pour immutabilité
+Object.freeze(soilPropertiesData);
+for (const key in soilPropertiesData) {
+  Object.freeze(soilPropertiesData[key]);
+}
+
+// Export pour navigateur
+if (typeof window !== 'undefined') {
+  window.SoilPropertiesData = soilPropertiesData;
+}
+
+// Export pour Node.js
+if (typeof module !== 'undefined' && module.exports) {
+  module.exports = { soilPropertiesData };
+}
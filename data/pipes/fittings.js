@@ -0,0 +1,119 @@
+/**
+ * fittings.js
+ *
+ * Coefficients de pertes singulières des raccords et vannes (méthode Crane)
+ *
+ * La plupart des accessoires sont décrits par une longueur équivalente L/D:
+ * K = (L/D) × f_T, où f_T est le facteur de friction en turbulence pleinement
+ * développée de la conduite. Les accessoires dont la perte ne dépend pas du
+ * diamètre (entrée, sortie, filtre) ont un K fixe.
+ *
+ * Valeurs pour accessoires pleinement ouverts, écoulement turbulent.
+ *
+ * Sources:
+ * - Crane Co. (2013). Flow of Fluids Through Valves, Fittings, and Pipe. TP-410, annexe A
+ * - Perry's Chemical Engineers' Handbook, Table 6-4
+ * - Idelchik, I.E. (2008). Handbook of Hydraulic Resistance, 4e éd.
+ */
+
+const fittingsData = {
+  elbow_90: {
+    name: 'Coude 90° standard',
+    L_D: 30,
+    notes: 'Coude fileté ou soudé, rayon standard (r/D = 1)',
+  },
+
+  elbow_90_long: {
+    name: 'Coude 90° grand rayon',
+    L_D: 20,
+    notes: 'Rayon de courbure r/D = 1.5',
+  },
+
+  elbow_45: {
+    name: 'Coude 45° standard',
+    L_D: 16,
+    notes: 'Coude 45° rayon standard',
+  },
+
+  tee_run: {
+    name: 'Té (passage direct)',
+    L_D: 20,
+    notes: 'Écoulement dans le passage droit du té',
+  },
+
+  tee_branch: {
+    name: 'Té (dérivation)',
+    L_D: 60,
+    notes: 'Écoulement à travers la branche du té',
+  },
+
+  gate_valve: {
+    name: 'Vanne à opercule',
+    L_D: 8,
+    notes: 'Pleinement ouverte',
+  },
+
+  ball_valve: {
+    name: 'Vanne à boisseau sphérique',
+    L_D: 3,
+    notes: 'Passage intégral, pleinement ouverte',
+  },
+
+  globe_valve: {
+    name: 'Robinet à soupape',
+    L_D: 340,
+    notes: 'Siège droit, pleinement ouvert',
+  },
+
+  butterfly_valve: {
+    name: 'Vanne papillon',
+    L_D: 45,
+    notes: 'DN50 à DN200, pleinement ouverte',
+  },
+
+  check_valve_swing: {
+    name: 'Clapet anti-retour à battant',
+    L_D: 100,
+    notes: 'Clapet pleinement ouvert (vitesse suffisante)',
+  },
+
+  check_valve_lift: {
+    name: 'Clapet anti-retour à levée',
+    L_D: 600,
+    notes: 'Clapet à levée verticale, pleinement ouvert',
+  },
+
+  strainer_y: {
+    name: 'Filtre en Y',
+    K: 2.5,
+    notes: 'Tamis propre (valeur fabricant typique); un tamis encrassé double ou triple K',
+  },
+
+  entrance_sharp: {
+    name: 'Entrée à angles vifs',
+    K: 0.5,
+    notes: 'Réservoir → conduite, arête vive',
+  },
+
+  exit: {
+    name: 'Sortie de conduite',
+    K: 1.0,
+    notes: 'Conduite → réservoir (énergie cinétique perdue)',
+  },
+};
+
+// Freezer pour immutabilité
+Object.freeze(fittingsData);
+for (const key in fittingsData) {
+  Object.freeze(fittingsData[key]);
+}
+
+// Export pour navigateur
+if (typeof window !== 'undefined') {
+  window.FittingsData = fittingsData;
+}
+
+// Export pour Node.js
+if (typeof module !== 'undefined' && module.exports) {
+  module.exports = { fittingsData };
+}
@@ -1,5 +1,6 @@
 // Données de rugosité absolue pour différents matériaux de conduite
 // Source: Perry's Chemical Engineers' Handbook, Table 6-7; Moody Diagram
+// États vieillis: Lamont (1981), Journal AWWA 73(5); Sharp & Walski (1988), Journal AWWA 80(11)
 const pipeRoughnessData = {
   description: 'Valeurs de rugosité absolue pour différents matériaux de conduite',
   source:
@@ -26,6 +27,13 @@ const pipeRoughnessData = {
       rugosite_pouces: 0.006,
       notes: 'Tuyau en acier commercial usagé avec rouille légère',
     },
+    {
+      materiau: 'Acier commercial',
+      condition: 'Fortement corrodé',
+      rugosite_mm: 2.0,
+      rugosite_pouces: 0.079,
+      notes: 'Acier non revêtu fortement rouillé, tubercules de corrosion',
+    },
     {
       materiau: 'Fonte',
       condition: 'Neuve',
@@ -75,6 +83,20 @@ const pipeRoughnessData = {
       rugosite_pouces: 5.9e-5,
       notes: 'Tube de cuivre neuf, très lisse',
     },
+    {
+      materiau: 'Cuivre',
+      condition: 'Usagé',
+      rugosite_mm: 0.015,
+      rugosite_pouces: 5.9e-4,
+      notes: 'Tube de cuivre en service, léger dépôt',
+    },
+    {
+      materiau: 'Cuivre',
+      condition: 'Fortement entartré',
+      rugosite_mm: 0.15,
+      rugosite_pouces: 0.006,
+      notes: 'Tube de cuivre en eau dure, tartre calcaire',
+    },
     {
       materiau: 'Laiton',
       condition: 'Neuf',
@@ -89,6 +111,20 @@ const pipeRoughnessData = {
       rugosite_pouces: 7.9e-5,
       notes: 'Tuyau en acier inoxydable neuf, très lisse',
     },
+    {
+      materiau: 'Acier inoxydable',
+      condition: 'Usagé',
+      rugosite_mm: 0.015,
+      rugosite_pouces: 5.9e-4,
+      notes: 'Tuyau en acier inoxydable en service, léger dépôt',
+    },
+    {
+      materiau: 'Acier inoxydable',
+      condition: 'Fortement entartré',
+      rugosite_mm: 0.15,
+      rugosite_pouces: 0.006,
+      notes: 'Tuyau en acier inoxydable en eau dure, tartre calcaire',
+    },
     {
       materiau: 'PVC',
       condition: 'Neuf',
@@ -139,6 +175,21 @@ const pipeRoughnessData = {
       notes: 'Tube en aluminium neuf, lisse',
     },
   ],
+  // Matériaux de l'application → entrées de la table, par état de conduite
+  materiaux_application: {
+    steel: {
+      materiau: 'Acier commercial',
+      conditions: { new: 'Neuf', used: 'Usagé', corroded: 'Fortement corrodé' },
+    },
+    copper: {
+      materiau: 'Cuivre',
+      conditions: { new: 'Neuf', used: 'Usagé', corroded: 'Fortement entartré' },
+    },
+    stainless_steel: {
+      materiau: 'Acier inoxydable',
+      conditions: { new: 'Neuf', used: 'Usagé', corroded: 'Fortement entartré' },
+    },
+  },
   plages_rugosite_relative_typiques: {
     tres_lisse: {
       description: 'PVC, tubes tirés, verre',
@@ -158,3 +209,23 @@ const pipeRoughnessData = {
     },
   },
 };
+
+// Freezer pour immutabilité (entrées et correspondances comprises)
+Object.freeze(pipeRoughnessData);
+pipeRoughnessData.materiaux.forEach((entry) => Object.freeze(entry));
+Object.freeze(pipeRoughnessData.materiaux);
+for (const key in pipeRoughnessData.materiaux_application) {
+  Object.freeze(pipeRoughnessData.materiaux_application[key].conditions);
+  Object.freeze(pipeRoughnessData.materiaux_application[key]);
+}
+Object.freeze(pipeRoughnessData.materiaux_application);
+
+// Export pour navigateur
+if (typeof window !== 'undefined') {
+  window.PipeRoughnessData = pipeRoughnessData;
+}
+
+// Export pour Node.js
+if (typeof module !== 'undefined' && module.exports) {
+  module.exports = { pipeRoughnessData };
+}
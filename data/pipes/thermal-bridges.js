@@ -0,0 +1,94 @@
+/**
+ * thermal-bridges.js
+ *
+ * Ponts thermiques ponctuels d'une conduite isolée: supports, vannes et brides
+ * non isolés
+ *
+ * Deux descriptions sont utilisées:
+ * - UA: conductance du pont vers l'air ambiant [W/K] (supports, dont la perte
+ *   dépend peu du diamètre de la conduite);
+ * - bareLength: longueur équivalente de conduite nue [m] (vannes et brides, dont
+ *   la surface suit le diamètre); la perte est celle d'un tube nu de cette longueur.
+ *
+ * Ordres de grandeur pour DN 50 à DN 150 en air extérieur.
+ *
+ * Sources:
+ * - VDI 2055 Blatt 1 (2019). Wärme- und Kälteschutz von betriebstechnischen Anlagen,
+ *   suppléments pour supports et armatures non isolés
+ * - CINI Manual, Insulation for Industries, section 1.3 (supports et armatures)
+ * - ASHRAE Handbook - Fundamentals (2021), chapitre 23
+ */
+
+const thermalBridgesData = {
+  pipe_shoe: {
+    name: 'Patin soudé (acier)',
+    category: 'support',
+    UA: 0.6,
+    notes: "Patin traversant l'isolant, sans cale isolante",
+  },
+
+  pipe_clamp: {
+    name: 'Collier sur tube nu',
+    category: 'support',
+    UA: 0.4,
+    notes: 'Isolant interrompu au droit du collier',
+  },
+
+  hanger_rod: {
+    name: 'Suspente à tige filetée',
+    category: 'support',
+    UA: 0.2,
+    notes: "Collier serré sur le tube, tige sortant de l'isolant",
+  },
+
+  insulated_support: {
+    name: 'Support à cale isolante',
+    category: 'support',
+    UA: 0.05,
+    notes: 'Cale en mousse PUR haute densité, isolant continu',
+  },
+
+  gate_valve_bare: {
+    name: 'Vanne à opercule non isolée',
+    category: 'valve',
+    bareLength: 1.2,
+    notes: 'Corps et chapeau nus',
+  },
+
+  ball_valve_bare: {
+    name: 'Vanne à boisseau non isolée',
+    category: 'valve',
+    bareLength: 0.8,
+    notes: 'Corps nu',
+  },
+
+  globe_valve_bare: {
+    name: 'Robinet à soupape non isolé',
+    category: 'valve',
+    bareLength: 1.5,
+    notes: 'Corps et chapeau nus',
+  },
+
+  flange_pair_bare: {
+    name: 'Paire de brides non isolée',
+    category: 'flange',
+    bareLength: 0.5,
+    notes: 'Brides et boulonnerie nues',
+  },
+};
+
+// Freezer pour immutabilité
+Object.freeze(thermalBridgesData);
+for (const key in thermalBridgesData) {
+  Object.freeze(thermalBridgesData[key]);
+}
+
+// Export pour navigateur
+if (typeof window !== 'undefined') {
+  window.ThermalBridgesData = thermalBridgesData;
+}
+
+// Export pour Node.js
+if (typeof module !== 'undefined' && module.exports) {
+  module.exports = { thermalBridgesData };
+}
@@ -0,0 +1,146 @@
+/**
+ * @typedef {Object} BurialConfig
+ * @property {number} depth - Profondeur de l'axe de la conduite [m]
+ * @property {string} soil - Type de sol (voir data/materials/soils.js)
+ * @property {number} [k_unfrozen] - Conductivité non gelée [W/(m·K)] (remplace la table)
+ * @property {number} [k_frozen] - Conductivité gelée [W/(m·K)] (remplace la table)
+ * @property {number} [T_surface] - Température de surface du sol [°C] (défaut: T_amb)
+ * @property {number} [freezingIndex] - Indice de gel de la saison [°C·jour]
+ *   (défaut: -T_surface × DEFAULT_FREEZING_DAYS si T_surface < 0)
+ */
+
+/**
+ * @typedef {Object} BurialInfo
+ * @property {number} depth - Profondeur de l'axe [m]
+ * @property {string} soil - Type de sol
+ * @property {number} T_surface - Température de surface du sol [°C]
+ * @property {number} k_unfrozen - Conductivité non gelée [W/(m·K)]
+ * @property {number} k_frozen - Conductivité gelée [W/(m·K)]
+ * @property {number} freezingIndex - Indice de gel utilisé [°C·jour]
+ * @property {number} frostDepth - Profondeur de pénétration du gel estimée [m]
+ * @property {boolean} frozenAtPipe - true si le front de gel atteint l'axe de la conduite
+ * @property {number} k - Conductivité retenue autour de la conduite [W/(m·K)]
+ */
+
+/** Chaleur latente de fusion de la glace [J/kg] */
+const LATENT_HEAT_FUSION = 334000;
+
+/**
+ * Durée de saison de gel utilisée pour estimer l'indice de gel à partir d'une
+ * température de surface constante [jours].
+ */
+const DEFAULT_FREEZING_DAYS = 90;
+
+/**
+ * Estime la profondeur de pénétration du gel (équation de Stefan).
+ *
+ * X = √(2 × k_gelé × I × 86400 / L_vol)  avec  L_vol = ρ_sec × w × L_fusion
+ *
+ * où I est l'indice de gel [°C·jour]. Stefan néglige la chaleur sensible du sol
+ * et surestime légèrement la profondeur (résultat conservateur par rapport à Berggren).
+ *
+ * @param {Object} soil - Propriétés du sol (k_frozen, rho_dry, moisture)
+ * @param {number} freezingIndex - Indice de gel [°C·jour]
+ * @returns {number} Profondeur de gel [m]
+ * @throws {Error} Si les paramètres sont invalides
+ *
+ * @example
+ * // Argile (k_f=1.6, ρ=1400, w=0.30), hiver de 1500 °C·jour
+ * const X = frostPenetrationDepth(getSoilProperties('clay'), 1500);
+ * // X ≈ 1.7 m
+ */
+function frostPenetrationDepth(soil, freezingIndex) {
+  if (!soil || typeof soil.k_frozen !== 'number' || soil.k_frozen <= 0) {
+    throw new Error('Propriétés du sol invalides');
+  }
+  if (typeof soil.rho_dry !== 'number' || soil.rho_dry <= 0) {
+    throw new Error(`Masse volumique du sol invalide: ${soil.rho_dry}`);
+  }
+  if (typeof soil.moisture !== 'number' || soil.moisture <= 0) {
+    throw new Error(`Teneur en eau du sol invalide: ${soil.moisture}`);
+  }
+  if (typeof freezingIndex !== 'number' || !isFinite(freezingIndex) || freezingIndex < 0) {
+    throw new Error(`Indice de gel invalide: ${freezingIndex}`);
+  }
+
+  const L_vol = soil.rho_dry * soil.moisture * LATENT_HEAT_FUSION; // J/m³
+  return Math.sqrt((2 * soil.k_frozen * freezingIndex * 86400) / L_vol);
+}
+
+/**
+ * Résout une configuration d'enfouissement: propriétés du sol, profondeur de gel
+ * et conductivité retenue autour de la conduite.
+ *
+ * Le sol est considéré gelé au niveau de la conduite lorsque le front de gel
+ * atteint l'axe; la conductivité gelée s'applique alors au facteur de forme.
+ *
+ * @param {BurialConfig} burial - Configuration d'enfouissement
+ * @param {number} T_amb - Température de l'air [°C] (surface du sol par défaut)
+ * @returns {BurialInfo} Informations d'enfouissement résolues
+ * @throws {Error} Si la configuration est invalide
+ */
+function resolveBurial(burial, T_amb) {
+  if (!burial || typeof burial !== 'object') {
+    throw new Error("Configuration d'enfouissement invalide");
+  }
+  if (typeof burial.depth !== 'number' || !isFinite(burial.depth) || burial.depth <= 0) {
+    throw new Error(`Profondeur d'enfouissement invalide: ${burial.depth}`);
+  }
+
+  const soilProps =
+    typeof window !== 'undefined' && window.SoilProperties
+      ? window.SoilProperties
+      : require('../properties/soil-properties.js');
+  const soil = soilProps.getSoilProperties(burial.soil);
+
+  ['k_unfrozen', 'k_frozen'].forEach((key) => {
+    if (burial[key] !== undefined) {
+      if (typeof burial[key] !== 'number' || !isFinite(burial[key]) || burial[key] <= 0) {
+        throw new Error(`Conductivité du sol invalide (${key}): ${burial[key]}`);
+      }
+      soil[key] = burial[key];
+    }
+  });
+
+  const T_surface = burial.T_surface !== undefined ? burial.T_surface : T_amb;
+  if (typeof T_surface !== 'number' || !isFinite(T_surface)) {
+    throw new Error(`Température de surface du sol invalide: ${T_surface}`);
+  }
+
+  const freezingIndex =
+    burial.freezingIndex !== undefined
+      ? burial.freezingIndex
+      : Math.max(0, -T_surface) * DEFAULT_FREEZING_DAYS;
+  const frostDepth = frostPenetrationDepth(soil, freezingIndex);
+  const frozenAtPipe = frostDepth >= burial.depth;
+
+  return {
+    depth: burial.depth,
+    soil: burial.soil,
+    T_surface: T_surface,
+    k_unfrozen: soil.k_unfrozen,
+    k_frozen: soil.k_frozen,
+    freezingIndex: freezingIndex,
+    frostDepth: frostDepth,
+    frozenAtPipe: frozenAtPipe,
+    k: frozenAtPipe ? soil.k_frozen : soil.k_unfrozen,
+  };
+}
+
+// Export pour navigateur (window global)
+if (typeof window !== 'undefined') {
+  window.BuriedPipe = {
+    frostPenetrationDepth,
+    resolveBurial,
+    DEFAULT_FREEZING_DAYS,
+  };
+}
+
+// Export pour Node.js (tests)
+if (typeof module !== 'undefined' && module.exports) {
+  module.exports = {
+    frostPenetrationDepth,
+    resolveBurial,
+    DEFAULT_FREEZING_DAYS,
+  };
+}
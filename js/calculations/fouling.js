@@ -0,0 +1,152 @@
+/**
+ * @typedef {Object} FoulingConfig
+ * @property {string} [type] - Type d'eau (voir data/fluids/fouling.js) ou 'custom'
+ * @property {number} [factor] - Résistance d'encrassement R_f [m²·K/W] (remplace la
+ *   valeur de la table; requise pour 'custom' ou sans type)
+ * @property {number} [thickness] - Épaisseur du dépôt [m] (remplace la valeur de la
+ *   table; 0 par défaut sans type)
+ * @property {number} [roughness] - Rugosité de la surface du dépôt [m] (remplace la
+ *   valeur de la table; celle du tuyau par défaut)
+ */
+
+/**
+ * @typedef {Object} ResolvedFouling
+ * @property {string} type - Type d'eau ou 'custom'
+ * @property {number} factor - Résistance d'encrassement R_f [m²·K/W]
+ * @property {number} thickness - Épaisseur du dépôt [m]
+ * @property {number} roughness - Rugosité effective de la paroi mouillée [m]
+ * @property {number} D_hydraulic - Diamètre hydraulique réduit D_i − 2e [m]
+ */
+
+/**
+ * Récupère la table d'encrassement (depuis window ou module).
+ * @private
+ */
+function getFoulingTable() {
+  if (typeof window !== 'undefined' && window.FoulingData) {
+    return window.FoulingData;
+  } else if (typeof require !== 'undefined') {
+    return require('../../data/fluids/fouling.js').foulingData;
+  }
+  throw new Error("Table d'encrassement non disponible");
+}
+
+/**
+ * Récupère les valeurs typiques d'encrassement d'un type d'eau.
+ *
+ * @param {string} type - Identifiant (ex: 'city_water', 'tuberculated')
+ * @returns {Object} Données {name, factor, thickness, roughness, notes}
+ * @throws {Error} Si le type n'existe pas
+ */
+function getFouling(type) {
+  if (typeof type !== 'string') {
+    throw new Error(`Type d'encrassement doit être une chaîne: ${type}`);
+  }
+
+  const data = getFoulingTable();
+  const fouling = data[type];
+
+  if (!fouling) {
+    const available = Object.keys(data).join(', ');
+    throw new Error(`Encrassement inconnu: '${type}'. Types disponibles: ${available}, custom`);
+  }
+
+  return { ...fouling };
+}
+
+/**
+ * Vérifie qu'une valeur optionnelle est fournie.
+ * @private
+ */
+function isSet(value) {
+  return value !== undefined && value !== null;
+}
+
+/**
+ * Résout une configuration d'encrassement intérieur pour une conduite.
+ *
+ * Le dépôt réduit le diamètre hydraulique (D_h = D_i − 2e) et impose sa
+ * rugosité; sa résistance thermique R_f/(π·D_h·L) s'ajoute en série à la
+ * convection interne.
+ *
+ * @param {FoulingConfig} fouling - Configuration d'encrassement
+ * @param {number} D_inner - Diamètre intérieur de la conduite propre [m]
+ * @param {number} roughness - Rugosité de la conduite propre [m]
+ * @returns {ResolvedFouling} Encrassement résolu
+ * @throws {Error} Si la configuration est invalide ou le dépôt obstrue la conduite
+ *
+ * @example
+ * resolveFouling({ type: 'tuberculated' }, 0.1023, 0.26e-3);
+ * // → { type: 'tuberculated', factor: 0.002, thickness: 0.005, roughness: 0.003,
+ * //     D_hydraulic: 0.0923 }
+ */
+function resolveFouling(fouling, D_inner, roughness) {
+  if (!fouling || typeof fouling !== 'object') {
+    throw new Error('Configuration encrassement invalide');
+  }
+
+  const type = isSet(fouling.type) ? fouling.type : 'custom';
+  let factor = null;
+  let thickness = 0;
+  let depositRoughness = null;
+  if (type !== 'custom') {
+    const data = getFouling(type);
+    factor = data.factor;
+    thickness = data.thickness;
+    depositRoughness = data.roughness;
+  } else if (!isSet(fouling.factor)) {
+    throw new Error("Encrassement personnalisé: facteur d'encrassement requis");
+  }
+
+  if (isSet(fouling.factor)) {
+    factor = fouling.factor;
+  }
+  if (isSet(fouling.thickness)) {
+    thickness = fouling.thickness;
+  }
+  if (isSet(fouling.roughness)) {
+    depositRoughness = fouling.roughness;
+  }
+
+  if (typeof factor !== 'number' || !isFinite(factor) || factor < 0) {
+    throw new Error(`Facteur d'encrassement invalide: ${factor} m²·K/W`);
+  }
+  if (typeof thickness !== 'number' || !isFinite(thickness) || thickness < 0) {
+    throw new Error(`Épaisseur de dépôt invalide: ${thickness} m`);
+  }
+  if (
+    depositRoughness !== null &&
+    (typeof depositRoughness !== 'number' || !isFinite(depositRoughness) || depositRoughness < 0)
+  ) {
+    throw new Error(`Rugosité du dépôt invalide: ${depositRoughness} m`);
+  }
+  if (2 * thickness >= D_inner) {
+    throw new Error(
+      `Dépôt trop épais: ${(thickness * 1000).toFixed(1)} mm pour D = ${(D_inner * 1000).toFixed(1)} mm`
+    );
+  }
+
+  return {
+    type: type,
+    factor: factor,
+    thickness: thickness,
+    roughness: depositRoughness !== null ? depositRoughness : roughness,
+    D_hydraulic: D_inner - 2 * thickness,
+  };
+}
+
+// Export pour navigateur (window global)
+if (typeof window !== 'undefined') {
+  window.Fouling = {
+    getFouling,
+    resolveFouling,
+  };
+}
+
+// Export pour Node.js (tests)
+if (typeof module !== 'undefined' && module.exports) {
+  module.exports = {
+    getFouling,
+    resolveFouling,
+  };
+}
@@ -0,0 +1,133 @@
+/**
+ * @typedef {Object} HeatTracingConfig
+ * @property {number} [power] - Puissance linéique constante [W/m] (câble à puissance fixe)
+ * @property {Array<{T: number, power: number}>} [curve] - Courbe puissance/température d'un
+ *   câble autorégulant: points {T [°C], power [W/m]} (interpolation linéaire, bornée aux extrémités)
+ */
+
+/**
+ * Valide une configuration de traçage électrique.
+ *
+ * Exactement une des deux formes doit être fournie: puissance constante (`power`)
+ * ou courbe autorégulante (`curve`, au moins 2 points, températures strictement croissantes).
+ *
+ * @param {HeatTracingConfig} heatTracing - Configuration du traçage
+ * @throws {Error} Si la configuration est invalide
+ */
+function validateHeatTracing(heatTracing) {
+  if (!heatTracing || typeof heatTracing !== 'object') {
+    throw new Error('Configuration du traçage invalide');
+  }
+
+  const hasPower = heatTracing.power !== undefined;
+  const hasCurve = heatTracing.curve !== undefined;
+
+  if (hasPower === hasCurve) {
+    throw new Error('Traçage: fournir soit une puissance constante, soit une courbe autorégulante');
+  }
+
+  if (hasPower) {
+    if (typeof heatTracing.power !== 'number' || !isFinite(heatTracing.power)) {
+      throw new Error(`Puissance de traçage invalide: ${heatTracing.power}`);
+    }
+    if (heatTracing.power < 0) {
+      throw new Error(`Puissance de traçage négative: ${heatTracing.power}`);
+    }
+    return;
+  }
+
+  const curve = heatTracing.curve;
+  if (!Array.isArray(curve) || curve.length < 2) {
+    throw new Error('Courbe de traçage invalide: au moins 2 points requis');
+  }
+  curve.forEach((point, i) => {
+    if (!point || typeof point.T !== 'number' || !isFinite(point.T)) {
+      throw new Error(`Point ${i + 1} de la courbe de traçage invalide`);
+    }
+    if (typeof point.power !== 'number' || !isFinite(point.power) || point.power < 0) {
+      throw new Error(`Puissance du point ${i + 1} de la courbe de traçage invalide`);
+    }
+    if (i > 0 && point.T <= curve[i - 1].T) {
+      throw new Error('Courbe de traçage: températures strictement croissantes requises');
+    }
+  });
+}
+
+/**
+ * Puissance linéique délivrée par le câble à une température de conduite donnée.
+ *
+ * Câble constant: puissance fixe. Câble autorégulant: interpolation linéaire de la
+ * courbe constructeur, bornée aux valeurs extrêmes hors de la plage fournie.
+ *
+ * @param {HeatTracingConfig|null} heatTracing - Configuration du traçage (null = aucun)
+ * @param {number} T_pipe - Température de la conduite [°C]
+ * @returns {number} Puissance linéique [W/m]
+ * @throws {Error} Si la configuration est invalide
+ *
+ * @example
+ * // Câble autorégulant: 30 W/m à 0°C, 10 W/m à 50°C
+ * const q = tracePowerAt({ curve: [{ T: 0, power: 30 }, { T: 50, power: 10 }] }, 10);
+ * // q = 26 W/m
+ */
+function tracePowerAt(heatTracing, T_pipe) {
+  if (heatTracing === null || heatTracing === undefined) {
+    return 0;
+  }
+  validateHeatTracing(heatTracing);
+
+  if (heatTracing.power !== undefined) {
+    return heatTracing.power;
+  }
+
+  const curve = heatTracing.curve;
+  if (T_pipe <= curve[0].T) {
+    return curve[0].power;
+  }
+  if (T_pipe >= curve[curve.length - 1].T) {
+    return curve[curve.length - 1].power;
+  }
+
+  let i = 1;
+  while (curve[i].T < T_pipe) {
+    i++;
+  }
+  const a = curve[i - 1];
+  const b = curve[i];
+  return a.power + ((b.power - a.power) * (T_pipe - a.T)) / (b.T - a.T);
+}
+
+/**
+ * Température ambiante équivalente vue par le fluide avec traçage.
+ *
+ * Le câble apporte Q_trace à la paroi, entre la convection interne et les couches
+ * externes. Le bilan au nœud paroi donne pour le fluide:
+ *   q_fluide = (T_eq - T) / R_total  avec  T_eq = T_amb + Q_trace · R_ext
+ * où R_ext est la résistance paroi → air (toutes les couches sauf la convection interne).
+ * La méthode NTU reste donc applicable en remplaçant T_amb par T_eq.
+ *
+ * @param {number} T_amb - Température ambiante [°C]
+ * @param {number} Q_trace - Puissance de traçage du segment [W]
+ * @param {number} R_outer - Résistance paroi → air du segment [K/W]
+ * @returns {number} Température ambiante équivalente [°C]
+ */
+function equivalentAmbientTemperature(T_amb, Q_trace, R_outer) {
+  return T_amb + Q_trace * R_outer;
+}
+
+// Export pour navigateur (window global)
+if (typeof window !== 'undefined') {
+  window.HeatTracing = {
+    validateHeatTracing,
+    tracePowerAt,
+    equivalentAmbientTemperature,
+  };
+}
+
+// Export pour Node.js (tests)
+if (typeof module !== 'undefined' && module.exports) {
+  module.exports = {
+    validateHeatTracing,
+    tracePowerAt,
+    equivalentAmbientTemperature,
+  };
+}
@@ -0,0 +1,134 @@
+/**
+ * @typedef {Object} InsulationLayer
+ * @property {string} material - Matériau isolant (ex: 'elastomeric_foam', 'mineral_wool')
+ * @property {number} thickness - Épaisseur de la couche [m]
+ * @property {Object} [degradation] - Humidité et âge de la couche ({moisture, age};
+ *   voir properties/material-properties.js)
+ */
+
+/**
+ * @typedef {Object} ResolvedInsulation
+ * @property {Array<InsulationLayer>} layers - Couches, du tuyau vers l'extérieur
+ * @property {number} thickness - Épaisseur totale des couches [m]
+ * @property {Object|null} jacket - Gaine de protection (non résolue, voir resolveJacket)
+ */
+
+/** Nombre maximal de couches d'isolant */
+const MAX_INSULATION_LAYERS = 5;
+
+/**
+ * Normalise une configuration d'isolation en liste ordonnée de couches.
+ *
+ * Trois formes sont acceptées:
+ * - couche unique: {material, thickness, degradation?, jacket?}
+ * - tableau de couches, du tuyau vers l'extérieur: [{material, thickness}, ...]
+ * - couches avec gaine: {layers: [{material, thickness}, ...], jacket?}
+ *
+ * @param {Object|Array<InsulationLayer>} insulation - Configuration d'isolation
+ * @returns {ResolvedInsulation} Couches, épaisseur totale et gaine
+ * @throws {Error} Si la configuration ou une couche est invalide
+ *
+ * @example
+ * // Mousse élastomère (pare-vapeur) sous laine de roche
+ * const resolved = resolveInsulation([
+ *   { material: 'elastomeric_foam', thickness: 0.019 },
+ *   { material: 'mineral_wool', thickness: 0.05 },
+ * ]);
+ * // → { layers: [...], thickness: 0.069, jacket: null }
+ */
+function resolveInsulation(insulation) {
+  if (!insulation || typeof insulation !== 'object') {
+    throw new Error('Configuration isolation invalide');
+  }
+
+  let layers;
+  let jacket = null;
+  if (Array.isArray(insulation)) {
+    layers = insulation;
+  } else if (insulation.layers !== undefined) {
+    if (!Array.isArray(insulation.layers)) {
+      throw new Error('Couches isolation invalides (tableau attendu)');
+    }
+    layers = insulation.layers;
+    jacket = insulation.jacket || null;
+  } else {
+    layers = [insulation];
+    jacket = insulation.jacket || null;
+  }
+
+  if (layers.length === 0 || layers.length > MAX_INSULATION_LAYERS) {
+    throw new Error(
+      `Nombre de couches isolation invalide: ${layers.length} (1 à ${MAX_INSULATION_LAYERS})`
+    );
+  }
+
+  let thickness = 0;
+  const resolved = layers.map((layer, i) => {
+    if (!layer || typeof layer !== 'object') {
+      throw new Error(`Couche isolation ${i + 1} invalide`);
+    }
+    if (typeof layer.material !== 'string' || layer.material.length === 0) {
+      throw new Error(`Matériau isolation invalide: ${layer.material}`);
+    }
+    if (typeof layer.thickness !== 'number' || !isFinite(layer.thickness) || layer.thickness <= 0) {
+      throw new Error(`Épaisseur isolation invalide: ${layer.thickness}`);
+    }
+    thickness += layer.thickness;
+    return {
+      material: layer.material,
+      thickness: layer.thickness,
+      degradation: layer.degradation || null,
+    };
+  });
+
+  return { layers: resolved, thickness, jacket };
+}
+
+/**
+ * Multiplie l'épaisseur de chaque couche par un facteur, en conservant la forme
+ * de la configuration (couche unique, tableau ou {layers, jacket}).
+ *
+ * @param {Object|Array<InsulationLayer>|null} insulation - Configuration d'isolation
+ * @param {number} factor - Facteur d'épaisseur (> 0)
+ * @returns {Object|Array<InsulationLayer>|null} Configuration mise à l'échelle (null si nu)
+ * @throws {Error} Si le facteur est invalide
+ *
+ * @example
+ * scaleInsulation({ material: 'fiberglass', thickness: 0.05 }, 0.5);
+ * // → { material: 'fiberglass', thickness: 0.025 }
+ */
+function scaleInsulation(insulation, factor) {
+  if (typeof factor !== 'number' || !isFinite(factor) || factor <= 0) {
+    throw new Error(`Facteur d'épaisseur invalide: ${factor}`);
+  }
+  if (!insulation) {
+    return insulation;
+  }
+
+  const scaleLayer = (layer) => ({ ...layer, thickness: layer.thickness * factor });
+  if (Array.isArray(insulation)) {
+    return insulation.map(scaleLayer);
+  }
+  if (Array.isArray(insulation.layers)) {
+    return { ...insulation, layers: insulation.layers.map(scaleLayer) };
+  }
+  return scaleLayer(insulation);
+}
+
+// Export pour navigateur (window global)
+if (typeof window !== 'undefined') {
+  window.InsulationLayers = {
+    resolveInsulation,
+    scaleInsulation,
+    MAX_INSULATION_LAYERS,
+  };
+}
+
+// Export pour Node.js (tests)
+if (typeof module !== 'undefined' && module.exports) {
+  module.exports = {
+    resolveInsulation,
+    scaleInsulation,
+    MAX_INSULATION_LAYERS,
+  };
+}
@@ -0,0 +1,197 @@
+/**
+ * @typedef {Object} FittingConfig
+ * @property {string} type - Type d'accessoire (voir data/pipes/fittings.js)
+ * @property {number} [count=1] - Nombre d'accessoires identiques (entier ≥ 1)
+ * @property {number} [position] - Position le long de la conduite [m]; absente = accessoires
+ *   répartis uniformément sur toute la longueur
+ */
+
+/**
+ * Rugosité de référence des coefficients L/D de Crane (acier commercial neuf) [m].
+ * Les L/D caractérisent la géométrie de l'accessoire, pas le matériau de la conduite.
+ */
+const CRANE_REFERENCE_ROUGHNESS = 0.045e-3;
+
+/**
+ * Récupère la table des accessoires (depuis window ou module).
+ * @private
+ */
+function getFittingsData() {
+  if (typeof window !== 'undefined' && window.FittingsData) {
+    return window.FittingsData;
+  } else if (typeof require !== 'undefined') {
+    return require('../../data/pipes/fittings.js').fittingsData;
+  }
+  throw new Error('Table des raccords et vannes non disponible');
+}
+
+/**
+ * Récupère la description d'un accessoire par son identifiant.
+ *
+ * @param {string} type - Identifiant de l'accessoire (ex: 'elbow_90', 'gate_valve')
+ * @returns {Object} Données de l'accessoire ({name, L_D} ou {name, K}, notes)
+ * @throws {Error} Si l'accessoire n'existe pas
+ */
+function getFitting(type) {
+  if (typeof type !== 'string') {
+    throw new Error(`Type d'accessoire doit être une chaîne: ${type}`);
+  }
+
+  const data = getFittingsData();
+  const fitting = data[type];
+
+  if (!fitting) {
+    const available = Object.keys(data).join(', ');
+    throw new Error(`Accessoire inconnu: '${type}'. Accessoires disponibles: ${available}`);
+  }
+
+  return { ...fitting };
+}
+
+/**
+ * Facteur de friction en turbulence pleinement développée (von Kármán).
+ *
+ * f_T = 0.25 / [log₁₀(ε / 3.7D)]²
+ *
+ * Calculé avec la rugosité de l'acier commercial, base des L/D de Crane
+ * (ex: f_T ≈ 0.019 en NPS 2, 0.017 en NPS 4).
+ *
+ * @param {number} D - Diamètre intérieur [m]
+ * @returns {number} Facteur de friction de Darcy f_T [-]
+ * @throws {Error} Si le diamètre est invalide
+ *
+ * Référence: Crane TP-410, annexe A-26
+ */
+function fullyTurbulentFrictionFactor(D) {
+  if (typeof D !== 'number' || !isFinite(D) || D <= 0) {
+    throw new Error(`Diamètre invalide: ${D}`);
+  }
+  const log = Math.log10(CRANE_REFERENCE_ROUGHNESS / (3.7 * D));
+  return 0.25 / (log * log);
+}
+
+/**
+ * Coefficient de perte singulière K d'un accessoire.
+ *
+ * K = (L/D) × f_T pour les accessoires décrits par une longueur équivalente,
+ * K fixe sinon (entrée, sortie, filtre).
+ *
+ * @param {string} type - Identifiant de l'accessoire
+ * @param {number} D - Diamètre intérieur de la conduite [m]
+ * @returns {number} Coefficient K [-]
+ * @throws {Error} Si l'accessoire ou le diamètre est invalide
+ *
+ * @example
+ * // Coude 90° standard en NPS 2 (D = 52.5 mm)
+ * const K = fittingK('elbow_90', 0.0525);
+ * // K ≈ 30 × 0.019 ≈ 0.57
+ */
+function fittingK(type, D) {
+  const fitting = getFitting(type);
+  if (fitting.K !== undefined) {
+    return fitting.K;
+  }
+  return fitting.L_D * fullyTurbulentFrictionFactor(D);
+}
+
+/**
+ * Perte de charge singulière.
+ *
+ * ΔP = K × ρV²/2
+ *
+ * @param {number} K - Coefficient de perte total [-] (somme des accessoires)
+ * @param {number} rho - Masse volumique [kg/m³]
+ * @param {number} V - Vitesse moyenne [m/s]
+ * @returns {number} Perte de charge [Pa]
+ * @throws {Error} Si les paramètres sont invalides
+ */
+function minorLoss(K, rho, V) {
+  if (typeof K !== 'number' || !isFinite(K) || K < 0) {
+    throw new Error(`Coefficient de perte invalide: ${K}`);
+  }
+  if (typeof rho !== 'number' || !isFinite(rho) || rho <= 0) {
+    throw new Error(`Densité invalide: ${rho}`);
+  }
+  if (typeof V !== 'number' || !isFinite(V) || V < 0) {
+    throw new Error(`Vitesse invalide: ${V}`);
+  }
+
+  return (K * rho * V * V) / 2.0;
+}
+
+/**
+ * Valide une liste d'accessoires.
+ *
+ * @param {Array<FittingConfig>} fittings - Accessoires
+ * @param {number} totalLength - Longueur totale de la conduite [m]
+ * @returns {Array<FittingConfig>} Accessoires normalisés (count explicite, position ou null)
+ * @throws {Error} Si un accessoire est invalide ou hors de la conduite
+ */
+function normalizeFittings(fittings, totalLength) {
+  if (fittings === undefined || fittings === null) {
+    return [];
+  }
+  if (!Array.isArray(fittings)) {
+    throw new Error('Liste des raccords et vannes invalide');
+  }
+
+  return fittings.map((fitting, i) => {
+    if (!fitting || typeof fitting !== 'object') {
+      throw new Error(`Accessoire ${i + 1} invalide`);
+    }
+    getFitting(fitting.type);
+
+    const count = fitting.count !== undefined ? fitting.count : 1;
+    if (!Number.isInteger(count) || count < 1) {
+      throw new Error(`Nombre d'accessoires ${i + 1} invalide: ${count} (entier ≥ 1)`);
+    }
+
+    let position = null;
+    if (fitting.position !== undefined && fitting.position !== null) {
+      position = fitting.position;
+      if (typeof position !== 'number' || !isFinite(position)) {
+        throw new Error(`Position de l'accessoire ${i + 1} invalide: ${position}`);
+      }
+      if (position < 0 || position > totalLength) {
+        throw new Error(
+          `Accessoire ${i + 1} hors de la conduite: x = ${position} m (0 à ${totalLength} m)`
+        );
+      }
+    }
+
+    return { type: fitting.type, count: count, position: position };
+  });
+}
+
+/**
+ * Liste tous les accessoires disponibles.
+ *
+ * @returns {Array<string>} Liste des identifiants d'accessoires
+ */
+function listFittings() {
+  return Object.keys(getFittingsData());
+}
+
+// Export pour navigateur (window global)
+if (typeof window !== 'undefined') {
+  window.MinorLosses = {
+    getFitting,
+    fullyTurbulentFrictionFactor,
+    fittingK,
+    minorLoss,
+    normalizeFittings,
+    listFittings,
+  };
+}
+
+// Export pour Node.js (tests)
+if (typeof module !== 'undefined' && module.exports) {
+  module.exports = {
+    getFitting,
+    fullyTurbulentFrictionFactor,
+    fittingK,
+    minorLoss,
+    normalizeFittings,
+    listFittings,
+  };
+}
@@ -0,0 +1,208 @@
+/**
+ * @typedef {Object} RadiationConfig
+ * @property {string} [preset] - Préréglage de conception: 'clear_night' ou 'overcast'
+ *   (les autres champs fournis le complètent ou le remplacent)
+ * @property {number} [T_sky] - Température de ciel [°C] (prioritaire sur cloudCover)
+ * @property {number} [cloudCover] - Nébulosité [0-1] (0 = ciel clair, 1 = couvert)
+ * @property {number} [T_surroundings] - Température radiante de l'environnement (sol,
+ *   bâtiments) [°C] (défaut: T_amb)
+ * @property {number} [viewFactorSky] - Facteur de vue surface → ciel [-] (défaut: 0.5,
+ *   conduite horizontale dégagée: moitié supérieure vers le ciel)
+ * @property {number} [solarIrradiance=0] - Éclairement solaire normal au faisceau [W/m²]
+ * @property {number} [absorptivity] - Absorptivité solaire de la surface [-] (requise si
+ *   solarIrradiance > 0)
+ */
+
+/**
+ * @typedef {Object} RadiationInfo
+ * @property {string|null} preset - Préréglage utilisé
+ * @property {number|null} cloudCover - Nébulosité [0-1] (null si T_sky imposée)
+ * @property {number} T_sky - Température de ciel [°C]
+ * @property {number} T_surroundings - Température radiante de l'environnement [°C]
+ * @property {number} viewFactorSky - Facteur de vue vers le ciel [-]
+ * @property {number} solarIrradiance - Éclairement solaire [W/m²]
+ * @property {number} absorptivity - Absorptivité solaire [-] (0 sans soleil)
+ */
+
+/**
+ * Préréglages de conception. La nuit claire et calme est le cas le plus
+ * défavorable pour le gel: ciel froid, aucun apport solaire.
+ */
+const RADIATION_PRESETS = {
+  clear_night: { cloudCover: 0, solarIrradiance: 0 },
+  overcast: { cloudCover: 1, solarIrradiance: 0 },
+};
+
+Object.freeze(RADIATION_PRESETS);
+for (const key in RADIATION_PRESETS) {
+  Object.freeze(RADIATION_PRESETS[key]);
+}
+
+/** Facteur de vue vers le ciel d'une conduite horizontale dégagée [-] */
+const DEFAULT_VIEW_FACTOR_SKY = 0.5;
+
+/** Éclairement solaire maximal accepté [W/m²] (constante solaire hors atmosphère) */
+const SOLAR_IRRADIANCE_MAX = 1361;
+
+/**
+ * Valide qu'une valeur est un nombre fini dans [min, max].
+ * @private
+ */
+function checkRange(value, min, max, label) {
+  if (typeof value !== 'number' || !isFinite(value) || value < min || value > max) {
+    throw new Error(`${label} invalide: ${value} (plage valide: ${min} à ${max})`);
+  }
+}
+
+/**
+ * Température de ciel effective selon la nébulosité.
+ *
+ * Ciel clair: émissivité de Swinbank ε_clair = 9.365×10⁻⁶ T_air² (T en K).
+ * Nuages: ε_ciel = ε_clair + c × (1 - ε_clair), un ciel couvert rayonnant
+ * comme un corps noir à la température de l'air.
+ * T_ciel = ε_ciel^(1/4) × T_air
+ *
+ * @param {number} T_amb - Température de l'air [°C]
+ * @param {number} cloudCover - Nébulosité [0-1]
+ * @returns {number} Température de ciel [°C]
+ * @throws {Error} Si les paramètres sont invalides
+ *
+ * Références:
+ * - Swinbank, W.C. (1963). Long-wave radiation from clear skies. Q.J.R. Meteorol. Soc. 89
+ * - Crawford, T.M. & Duchon, C.E. (1999). J. Appl. Meteorol. 38, 474-480
+ *
+ * @example
+ * // Nuit claire à -10°C
+ * const T_sky = skyTemperature(-10, 0);
+ * // T_sky ≈ -37°C
+ */
+function skyTemperature(T_amb, cloudCover) {
+  if (typeof T_amb !== 'number' || !isFinite(T_amb) || T_amb <= -273.15) {
+    throw new Error(`Température ambiante invalide: ${T_amb}`);
+  }
+  checkRange(cloudCover, 0, 1, 'Nébulosité');
+
+  const T_air_K = T_amb + 273.15;
+  const eps_clear = Math.min(9.365e-6 * T_air_K * T_air_K, 1);
+  const eps_sky = eps_clear + cloudCover * (1 - eps_clear);
+
+  return Math.pow(eps_sky, 0.25) * T_air_K - 273.15;
+}
+
+/**
+ * Résout une configuration de rayonnement: préréglage, température de ciel,
+ * environnement et apport solaire.
+ *
+ * @param {RadiationConfig} config - Configuration de rayonnement
+ * @param {number} T_amb - Température de l'air [°C]
+ * @returns {RadiationInfo} Configuration résolue
+ * @throws {Error} Si la configuration est invalide
+ *
+ * @example
+ * const info = resolveRadiation({ preset: 'clear_night' }, -10);
+ * // info.T_sky ≈ -37°C, info.T_surroundings = -10°C, info.solarIrradiance = 0
+ */
+function resolveRadiation(config, T_amb) {
+  if (!config || typeof config !== 'object') {
+    throw new Error('Configuration de rayonnement invalide');
+  }
+
+  let preset = {};
+  if (config.preset !== undefined && config.preset !== null) {
+    preset = RADIATION_PRESETS[config.preset];
+    if (!preset) {
+      const available = Object.keys(RADIATION_PRESETS).join(', ');
+      throw new Error(
+        `Préréglage de rayonnement inconnu: '${config.preset}'. Disponibles: ${available}`
+      );
+    }
+  }
+  const spec = { ...preset, ...config };
+
+  // Ciel: température imposée, sinon nébulosité (ciel clair par défaut)
+  let T_sky;
+  let cloudCover = null;
+  if (spec.T_sky !== undefined) {
+    checkRange(spec.T_sky, -100, T_amb, 'Température de ciel');
+    T_sky = spec.T_sky;
+  } else {
+    cloudCover = spec.cloudCover !== undefined ? spec.cloudCover : 0;
+    T_sky = skyTemperature(T_amb, cloudCover);
+  }
+
+  const T_surroundings = spec.T_surroundings !== undefined ? spec.T_surroundings : T_amb;
+  checkRange(T_surroundings, -100, 100, "Température radiante de l'environnement");
+
+  const viewFactorSky =
+    spec.viewFactorSky !== undefined ? spec.viewFactorSky : DEFAULT_VIEW_FACTOR_SKY;
+  checkRange(viewFactorSky, 0, 1, 'Facteur de vue vers le ciel');
+
+  const solarIrradiance = spec.solarIrradiance !== undefined ? spec.solarIrradiance : 0;
+  checkRange(solarIrradiance, 0, SOLAR_IRRADIANCE_MAX, 'Éclairement solaire');
+
+  let absorptivity = 0;
+  if (solarIrradiance > 0) {
+    if (spec.absorptivity === undefined) {
+      throw new Error('Absorptivité solaire requise avec un éclairement solaire');
+    }
+    checkRange(spec.absorptivity, 0, 1, 'Absorptivité solaire');
+    absorptivity = spec.absorptivity;
+  }
+
+  return {
+    preset: config.preset || null,
+    cloudCover: cloudCover,
+    T_sky: T_sky,
+    T_surroundings: T_surroundings,
+    viewFactorSky: viewFactorSky,
+    solarIrradiance: solarIrradiance,
+    absorptivity: absorptivity,
+  };
+}
+
+/**
+ * Flux solaire absorbé rapporté à la surface extérieure d'un cylindre.
+ *
+ * Le faisceau (perpendiculaire à l'axe) intercepte l'aire projetée D × L,
+ * soit 1/π de la surface latérale π × D × L:
+ *   q_solaire = α × G / π
+ *
+ * @param {RadiationInfo} radiation - Configuration résolue
+ * @returns {number} Flux absorbé par unité de surface extérieure [W/m²]
+ */
+function absorbedSolarFlux(radiation) {
+  return (radiation.absorptivity * radiation.solarIrradiance) / Math.PI;
+}
+
+/**
+ * Liste les préréglages disponibles.
+ *
+ * @returns {Array<string>} Identifiants des préréglages
+ */
+function listRadiationPresets() {
+  return Object.keys(RADIATION_PRESETS);
+}
+
+// Export pour navigateur (window global)
+if (typeof window !== 'undefined') {
+  window.SkyRadiation = {
+    RADIATION_PRESETS,
+    DEFAULT_VIEW_FACTOR_SKY,
+    skyTemperature,
+    resolveRadiation,
+    absorbedSolarFlux,
+    listRadiationPresets,
+  };
+}
+
+// Export pour Node.js (tests)
+if (typeof module !== 'undefined' && module.exports) {
+  module.exports = {
+    RADIATION_PRESETS,
+    DEFAULT_VIEW_FACTOR_SKY,
+    skyTemperature,
+    resolveRadiation,
+    absorbedSolarFlux,
+    listRadiationPresets,
+  };
+}
@@ -0,0 +1,280 @@
+/**
+ * @typedef {Object} ThermalBridgeConfig
+ * @property {string} type - Type de pont (voir data/pipes/thermal-bridges.js) ou 'custom'
+ * @property {number} [count=1] - Nombre d'éléments: par position avec `position` ou
+ *   `spacing`, répartis uniformément sur la conduite sinon
+ * @property {number} [position] - Position le long de la conduite [m]
+ * @property {number} [spacing] - Espacement régulier [m] (supports): éléments à
+ *   spacing, 2·spacing, ... avant la sortie
+ * @property {number} [UA] - Conductance vers l'air ambiant par élément [W/K]
+ *   (remplace la valeur de la table; requise pour 'custom' sans bareLength)
+ * @property {number} [bareLength] - Longueur équivalente de conduite nue par élément [m]
+ *   (remplace la valeur de la table; requise pour 'custom' sans UA)
+ */
+
+/**
+ * @typedef {Object} ThermalBridgePoint
+ * @property {number} x - Position [m]
+ * @property {number} bridgeIndex - Indice du pont dans la liste normalisée
+ * @property {number} count - Nombre d'éléments à cette position
+ */
+
+/** Nombre maximal de positions de ponts thermiques (toutes entrées confondues) */
+const MAX_BRIDGE_POINTS = 2000;
+
+/** Catégories de ponts thermiques (ventilation des pertes ponctuelles) */
+const BRIDGE_CATEGORIES = ['support', 'valve', 'flange', 'other'];
+
+/**
+ * Récupère la table des ponts thermiques (depuis window ou module).
+ * @private
+ */
+function getThermalBridgesData() {
+  if (typeof window !== 'undefined' && window.ThermalBridgesData) {
+    return window.ThermalBridgesData;
+  } else if (typeof require !== 'undefined') {
+    return require('../../data/pipes/thermal-bridges.js').thermalBridgesData;
+  }
+  throw new Error('Table des ponts thermiques non disponible');
+}
+
+/**
+ * Récupère la description d'un pont thermique par son identifiant.
+ *
+ * @param {string} type - Identifiant (ex: 'pipe_shoe', 'flange_pair_bare')
+ * @returns {Object} Données du pont ({name, category, UA} ou {name, category, bareLength}, notes)
+ * @throws {Error} Si le type n'existe pas
+ */
+function getThermalBridge(type) {
+  if (typeof type !== 'string') {
+    throw new Error(`Type de pont thermique doit être une chaîne: ${type}`);
+  }
+
+  const data = getThermalBridgesData();
+  const bridge = data[type];
+
+  if (!bridge) {
+    const available = Object.keys(data).join(', ');
+    throw new Error(`Pont thermique inconnu: '${type}'. Types disponibles: ${available}, custom`);
+  }
+
+  return { ...bridge };
+}
+
+/**
+ * Vérifie qu'une valeur optionnelle est un nombre fini strictement positif.
+ * @private
+ */
+function isPositive(value) {
+  return typeof value === 'number' && isFinite(value) && value > 0;
+}
+
+/**
+ * Valide une liste de ponts thermiques et calcule leurs positions.
+ *
+ * Un pont est placé à `position`, tous les `spacing` mètres (x = spacing,
+ * 2·spacing, ... strictement avant la sortie), ou, sans l'un ni l'autre, réparti
+ * uniformément: `count` positions au milieu de tronçons de longueur égale
+ * (x = (k − ½)·L/count). Chaque pont est décrit par une conductance UA [W/K] ou
+ * par une longueur équivalente de conduite nue [m].
+ *
+ * @param {Array<ThermalBridgeConfig>|null|undefined} bridges - Ponts thermiques
+ * @param {number} totalLength - Longueur totale de la conduite [m]
+ * @returns {Array<Object>} Ponts normalisés {index, type, category, UA, bareLength, count,
+ *   position, spacing, positions, countPerPosition}
+ * @throws {Error} Si un pont est invalide, hors de la conduite ou trop nombreux
+ *
+ * @example
+ * normalizeThermalBridges([{ type: 'pipe_shoe', spacing: 6 }], 20);
+ * // → [{ type: 'pipe_shoe', category: 'support', UA: 0.6, positions: [6, 12, 18], ... }]
+ */
+function normalizeThermalBridges(bridges, totalLength) {
+  if (bridges === undefined || bridges === null) {
+    return [];
+  }
+  if (!Array.isArray(bridges)) {
+    throw new Error('Liste des ponts thermiques invalide');
+  }
+
+  let totalPoints = 0;
+
+  return bridges.map((bridge, i) => {
+    if (!bridge || typeof bridge !== 'object') {
+      throw new Error(`Pont thermique ${i + 1} invalide`);
+    }
+
+    const hasUA = bridge.UA !== undefined && bridge.UA !== null;
+    const hasBareLength = bridge.bareLength !== undefined && bridge.bareLength !== null;
+    if (hasUA && !isPositive(bridge.UA)) {
+      throw new Error(`Conductance du pont thermique ${i + 1} invalide: ${bridge.UA} W/K`);
+    }
+    if (hasBareLength && !isPositive(bridge.bareLength)) {
+      throw new Error(
+        `Longueur nue équivalente du pont thermique ${i + 1} invalide: ${bridge.bareLength} m`
+      );
+    }
+    if (hasUA && hasBareLength) {
+      throw new Error(`Pont thermique ${i + 1}: UA ou bareLength, pas les deux`);
+    }
+
+    let category;
+    let UA = null;
+    let bareLength = null;
+    if (bridge.type === 'custom') {
+      if (!hasUA && !hasBareLength) {
+        throw new Error(`Pont thermique ${i + 1} personnalisé: UA ou bareLength requis`);
+      }
+      category = 'other';
+    } else {
+      const data = getThermalBridge(bridge.type);
+      category = data.category;
+      UA = data.UA !== undefined ? data.UA : null;
+      bareLength = data.bareLength !== undefined ? data.bareLength : null;
+    }
+    if (hasUA) {
+      UA = bridge.UA;
+      bareLength = null;
+    } else if (hasBareLength) {
+      bareLength = bridge.bareLength;
+      UA = null;
+    }
+
+    const count = bridge.count !== undefined ? bridge.count : 1;
+    if (!Number.isInteger(count) || count < 1) {
+      throw new Error(
+        `Nombre d'éléments du pont thermique ${i + 1} invalide: ${count} (entier ≥ 1)`
+      );
+    }
+
+    const hasPosition = bridge.position !== undefined && bridge.position !== null;
+    const hasSpacing = bridge.spacing !== undefined && bridge.spacing !== null;
+    if (hasPosition && hasSpacing) {
+      throw new Error(`Pont thermique ${i + 1}: position ou spacing, pas les deux`);
+    }
+
+    let numPositions;
+    if (hasPosition) {
+      if (typeof bridge.position !== 'number' || !isFinite(bridge.position)) {
+        throw new Error(`Position du pont thermique ${i + 1} invalide: ${bridge.position}`);
+      }
+      if (bridge.position < 0 || bridge.position > totalLength) {
+        throw new Error(
+          `Pont thermique ${i + 1} hors de la conduite: x = ${bridge.position} m (0 à ${totalLength} m)`
+        );
+      }
+      numPositions = 1;
+    } else if (hasSpacing) {
+      if (!isPositive(bridge.spacing)) {
+        throw new Error(`Espacement du pont thermique ${i + 1} invalide: ${bridge.spacing} m`);
+      }
+      numPositions = Math.ceil(totalLength / bridge.spacing - 1e-9) - 1;
+    } else {
+      numPositions = count;
+    }
+
+    totalPoints += numPositions;
+    if (totalPoints > MAX_BRIDGE_POINTS) {
+      throw new Error(`Trop de ponts thermiques (${MAX_BRIDGE_POINTS} positions au plus)`);
+    }
+
+    const positions = [];
+    for (let k = 1; k <= numPositions; k++) {
+      if (hasPosition) {
+        positions.push(bridge.position);
+      } else if (hasSpacing) {
+        positions.push(k * bridge.spacing);
+      } else {
+        positions.push(((k - 0.5) * totalLength) / count);
+      }
+    }
+
+    return {
+      index: i,
+      type: bridge.type,
+      category: category,
+      UA: UA,
+      bareLength: bareLength,
+      count: count,
+      position: hasPosition ? bridge.position : null,
+      spacing: hasSpacing ? bridge.spacing : null,
+      positions: positions,
+      countPerPosition: hasPosition || hasSpacing ? count : 1,
+    };
+  });
+}
+
+/**
+ * Liste les positions de tous les ponts, triées le long de la conduite.
+ *
+ * À position égale, l'ordre de la configuration est conservé.
+ *
+ * @param {Array<Object>} bridges - Ponts normalisés (normalizeThermalBridges)
+ * @returns {Array<ThermalBridgePoint>} Positions triées
+ */
+function listBridgePoints(bridges) {
+  const points = [];
+  bridges.forEach((bridge, bridgeIndex) => {
+    bridge.positions.forEach((x) => {
+      points.push({ x: x, bridgeIndex: bridgeIndex, count: bridge.countPerPosition });
+    });
+  });
+  return points.sort((a, b) => a.x - b.x || a.bridgeIndex - b.bridgeIndex);
+}
+
+/**
+ * Température du fluide après un puits de chaleur ponctuel.
+ *
+ * Le pont est un échangeur localisé de conductance UA entre le fluide et une
+ * température de référence (air ambiant ou environnement équivalent):
+ *
+ * T_après = T_ref + (T_avant − T_ref) × exp(−UA / (ṁ·cp))
+ *
+ * @param {number} T_before - Température du fluide en amont [°C]
+ * @param {number} T_ref - Température de référence [°C]
+ * @param {number} UA - Conductance du pont [W/K]
+ * @param {number} m_dot - Débit massique [kg/s]
+ * @param {number} cp - Capacité thermique du fluide [J/(kg·K)]
+ * @returns {number} Température en aval [°C]
+ * @throws {Error} Si un paramètre est invalide
+ *
+ * @example
+ * // Patin (0.6 W/K), eau à 10°C, air à -20°C, 0.5 kg/s
+ * pointSinkTemperature(10, -20, 0.6, 0.5, 4190); // → 9.9914°C
+ */
+function pointSinkTemperature(T_before, T_ref, UA, m_dot, cp) {
+  if (typeof UA !== 'number' || !isFinite(UA) || UA < 0) {
+    throw new Error(`Conductance invalide: ${UA}`);
+  }
+  if (!isPositive(m_dot)) {
+    throw new Error(`Débit massique invalide: ${m_dot}`);
+  }
+  if (!isPositive(cp)) {
+    throw new Error(`Capacité thermique invalide: ${cp}`);
+  }
+
+  return T_ref + (T_before - T_ref) * Math.exp(-UA / (m_dot * cp));
+}
+
+// Export pour navigateur (window global)
+if (typeof window !== 'undefined') {
+  window.ThermalBridges = {
+    getThermalBridge,
+    normalizeThermalBridges,
+    listBridgePoints,
+    pointSinkTemperature,
+    MAX_BRIDGE_POINTS,
+    BRIDGE_CATEGORIES,
+  };
+}
+
+// Export pour Node.js (tests)
+if (typeof module !== 'undefined' && module.exports) {
+  module.exports = {
+    getThermalBridge,
+    normalizeThermalBridges,
+    listBridgePoints,
+    pointSinkTemperature,
+    MAX_BRIDGE_POINTS,
+    BRIDGE_CATEGORIES,
+  };
+}
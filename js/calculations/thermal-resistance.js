@@ -76,6 +76,47 @@ function conductionResistanceCylinder(r_inner, r_outer, k, L) {
   return R;
 }
 
+/**
+ * Calcule la résistance de conduction d'un cylindre enterré (facteur de forme).
+ *
+ * Cylindre horizontal de longueur L dans un milieu semi-infini, surface isotherme:
+ * S = 2π × L / acosh(2z / D)  →  R_sol = acosh(2z / D) / (2π × k × L)
+ *
+ * où z est la profondeur de l'axe sous la surface du sol.
+ *
+ * @param {number} D - Diamètre extérieur du cylindre [m]
+ * @param {number} depth - Profondeur de l'axe [m] (doit être > D/2)
+ * @param {number} k - Conductivité thermique du sol [W/(m·K)]
+ * @param {number} L - Longueur [m]
+ * @returns {number} Résistance thermique du sol [K/W]
+ * @throws {Error} Si les paramètres sont invalides
+ *
+ * @example
+ * // Conduite D=0.1m à 1.5m de profondeur, argile k=1.1 W/(m·K), L=1m
+ * const R = buriedCylinderResistance(0.1, 1.5, 1.1, 1.0);
+ * // R ≈ 0.59 K/W
+ */
+function buriedCylinderResistance(D, depth, k, L) {
+  // Validation
+  if (typeof D !== 'number' || !isFinite(D) || D <= 0) {
+    throw new Error(`Diamètre invalide: ${D}`);
+  }
+  if (typeof depth !== 'number' || !isFinite(depth) || depth <= D / 2) {
+    throw new Error(`Profondeur d'enfouissement invalide: ${depth} (doit être > ${D / 2})`);
+  }
+  if (typeof k !== 'number' || !isFinite(k) || k <= 0) {
+    throw new Error(`Conductivité thermique invalide: ${k}`);
+  }
+  if (typeof L !== 'number' || !isFinite(L) || L <= 0) {
+    throw new Error(`Longueur invalide: ${L}`);
+  }
+
+  // Facteur de forme (Incropera, Tableau 4.1, cas 1)
+  const R = Math.acosh((2 * depth) / D) / (2 * Math.PI * k * L);
+
+  return R;
+}
+
 /**
  * Calcule la résistance thermique totale pour résistances en série.
  *
@@ -167,12 +208,13 @@ function overallHeatTransferCoefficient(R_total) {
 
 /**
  * @typedef {Object} PipeLayerConfig
- * @property {string} type - Type de couche: 'convection' ou 'conduction'
+ * @property {string} type - Type de couche: 'convection', 'conduction' ou 'buried'
  * @property {number} [h] - Coefficient de convection [W/(m²·K)] (si type='convection')
  * @property {number} [r_inner] - Rayon intérieur [m] (si type='conduction')
  * @property {number} [r_outer] - Rayon extérieur [m] (si type='conduction')
  * @property {number} [k] - Conductivité thermique [W/(m·K)] (si type='conduction')
- * @property {number} D - Diamètre [m] (si type='convection')
+ * @property {number} D - Diamètre [m] (si type='convection' ou 'buried')
+ * @property {number} [depth] - Profondeur de l'axe [m] (si type='buried', k = conductivité du sol)
  * @property {string} [name] - Nom descriptif de la couche
  */
 
@@ -183,7 +225,7 @@ function overallHeatTransferCoefficient(R_total) {
  * 1. Convection interne (fluide → paroi)
  * 2. Conduction paroi métallique
  * 3. Conduction isolation (optionnel)
- * 4. Convection externe (paroi → air)
+ * 4. Convection externe (paroi → air), ou sol (facteur de forme) si enterrée
  *
  * @param {Array<PipeLayerConfig>} layers - Configuration des couches
  * @param {number} L - Longueur de la conduite [m]
@@ -241,6 +283,20 @@ function pipeResistance(layers, L) {
         k: layer.k,
         R: R,
       });
+    } else if (layer.type === 'buried') {
+      if (!layer.D || !layer.depth || !layer.k) {
+        throw new Error(`Couche ${i}: sol nécessite D, depth et k`);
+      }
+      R = buriedCylinderResistance(layer.D, layer.depth, layer.k, L);
+      layer_details.push({
+        index: i,
+        name: layer.name || `sol_${i}`,
+        type: 'buried',
+        D: layer.D,
+        depth: layer.depth,
+        k: layer.k,
+        R: R,
+      });
     } else {
       throw new Error(`Type de couche inconnu: ${layer.type}`);
     }
@@ -303,6 +359,7 @@ if (typeof window !== 'undefined') {
   window.ThermalResistance = {
     convectionResistanceCylinder,
     conductionResistanceCylinder,
+    buriedCylinderResistance,
     totalResistanceSeries,
     heatFlux,
     overallHeatTransferCoefficient,
@@ -316,6 +373,7 @@ if (typeof module !== 'undefined' && module.exports) {
   module.exports = {
     convectionResistanceCylinder,
     conductionResistanceCylinder,
+    buriedCylinderResistance,
     totalResistanceSeries,
     heatFlux,
     overallHeatTransferCoefficient,
@@ -0,0 +1,200 @@
+/**
+ * @typedef {Object} OrientationConfig
+ * @property {number} [inclination=0] - Inclinaison de l'axe sur l'horizontale [°]
+ *   (0 = horizontale, 90 = colonne montante; le signe, montée ou descente, est ignoré)
+ * @property {number} [windAngle=90] - Angle entre le vent (horizontal) et la projection
+ *   horizontale de l'axe [°] (90 = vent perpendiculaire, 0 = vent dans l'axe)
+ * @property {number} [height=10] - Hauteur au-dessus du sol [m] (hauteur moyenne pour
+ *   une colonne montante)
+ */
+
+/**
+ * @typedef {Object} OrientationInfo
+ * @property {number} inclination - Inclinaison sur l'horizontale [°] (0 à 90)
+ * @property {number} windAngle - Angle vent / projection horizontale de l'axe [°] (0 à 90)
+ * @property {number} attackAngle - Angle entre le vent et l'axe de la conduite [°] (0 à 90)
+ * @property {number} height - Hauteur au-dessus du sol [m]
+ * @property {number} runLength - Longueur axiale de la course, pour la couche limite
+ *   de convection naturelle le long de l'axe [m]
+ */
+
+/**
+ * Catégories de terrain (EN 1991-1-4, tableau 4.1): longueur de rugosité z0 et
+ * hauteur minimale z_min sous laquelle le profil est tronqué.
+ */
+const TERRAIN_CATEGORIES = {
+  open: { z0: 0.05, z_min: 2, category: 'II' }, // Rase campagne, haies, obstacles isolés
+  suburban: { z0: 0.3, z_min: 5, category: 'III' }, // Banlieue, zone industrielle, forêt
+  urban: { z0: 1.0, z_min: 10, category: 'IV' }, // Centre urbain, 15% bâti > 15 m
+};
+
+Object.freeze(TERRAIN_CATEGORIES);
+for (const key in TERRAIN_CATEGORIES) {
+  Object.freeze(TERRAIN_CATEGORIES[key]);
+}
+
+/** Hauteur de référence des mesures de vent (station météo, rase campagne) [m] */
+const REFERENCE_HEIGHT = 10;
+
+/** Hauteur maximale acceptée [m] (domaine du profil logarithmique) */
+const HEIGHT_MAX = 200;
+
+/**
+ * Valide qu'une valeur est un nombre fini dans [min, max].
+ * @private
+ */
+function checkRange(value, min, max, label) {
+  if (typeof value !== 'number' || !isFinite(value) || value < min || value > max) {
+    throw new Error(`${label} invalide: ${value} (plage valide: ${min} à ${max})`);
+  }
+}
+
+/**
+ * Facteur de terrain k_r = 0.19 × (z0 / z0,II)^0.07 (EN 1991-1-4, éq. 4.5).
+ * @private
+ */
+function terrainFactor(z0) {
+  return 0.19 * Math.pow(z0 / TERRAIN_CATEGORIES.open.z0, 0.07);
+}
+
+/**
+ * Vitesse du vent à une hauteur donnée au-dessus du sol.
+ *
+ * Profil logarithmique de l'EN 1991-1-4 (§4.3.2), normalisé sur la vitesse
+ * mesurée à 10 m en rase campagne (station météo):
+ *   V(z) = V_réf × k_r × ln(max(z, z_min) / z0) / [k_r,II × ln(10 / z0,II)]
+ * En terrain rugueux, le vent près du sol est fortement réduit.
+ *
+ * @param {number} V_ref - Vitesse du vent de référence (10 m, rase campagne) [m/s]
+ * @param {number} height - Hauteur au-dessus du sol [m]
+ * @param {string} [terrain='open'] - Catégorie: 'open', 'suburban' ou 'urban'
+ * @returns {number} Vitesse du vent à la hauteur de la conduite [m/s]
+ * @throws {Error} Si les paramètres sont invalides
+ *
+ * Référence: EN 1991-1-4:2005 Eurocode 1, Actions du vent, §4.3.2
+ *
+ * @example
+ * // Vent météo 5 m/s, conduite à 2 m en banlieue
+ * const V = windSpeedAtHeight(5, 2, 'suburban');
+ * // V ≈ 3.0 m/s (hauteur tronquée à z_min = 5 m)
+ */
+function windSpeedAtHeight(V_ref, height, terrain = 'open') {
+  checkRange(V_ref, 0, Infinity, 'Vitesse du vent');
+  checkRange(height, 0, HEIGHT_MAX, 'Hauteur au-dessus du sol');
+
+  const category = TERRAIN_CATEGORIES[terrain];
+  if (!category) {
+    const available = Object.keys(TERRAIN_CATEGORIES).join(', ');
+    throw new Error(`Catégorie de terrain inconnue: '${terrain}'. Disponibles: ${available}`);
+  }
+
+  const reference = TERRAIN_CATEGORIES.open;
+  const z = Math.max(height, category.z_min);
+  const profile = terrainFactor(category.z0) * Math.log(z / category.z0);
+  const referenceProfile = terrainFactor(reference.z0) * Math.log(REFERENCE_HEIGHT / reference.z0);
+
+  return (V_ref * profile) / referenceProfile;
+}
+
+/**
+ * Angle entre le vent horizontal et l'axe d'une conduite inclinée.
+ *
+ * Axe incliné de θ sur l'horizontale, vent à ψ de sa projection horizontale:
+ *   cos(φ) = cos(θ) × cos(ψ)
+ * Une colonne montante (θ = 90°) est toujours en flux croisé (φ = 90°).
+ *
+ * @param {number} inclination - Inclinaison sur l'horizontale [°] (0 à 90)
+ * @param {number} windAngle - Angle vent / projection horizontale de l'axe [°] (0 à 90)
+ * @returns {number} Angle d'attaque φ [°] (0 à 90)
+ */
+function attackAngle(inclination, windAngle) {
+  const toRad = Math.PI / 180;
+  const cosPhi = Math.cos(inclination * toRad) * Math.cos(windAngle * toRad);
+  return Math.acos(Math.min(Math.max(cosPhi, 0), 1)) / toRad;
+}
+
+/**
+ * Ramène un angle quelconque dans [0, 90]° (orientation d'un axe, sans sens).
+ * @private
+ */
+function foldAngle(angle) {
+  const a = Math.abs(angle) % 180;
+  return a > 90 ? 180 - a : a;
+}
+
+/**
+ * Résout l'orientation d'une conduite: inclinaison, vent, hauteur.
+ *
+ * Les angles sont ramenés dans [0, 90]° (une descente à -30° s'expose comme une
+ * montée à 30°, un vent à 135° comme un vent à 45°).
+ *
+ * @param {OrientationConfig|null} orientation - Orientation (null = horizontale,
+ *   vent perpendiculaire, 10 m)
+ * @param {number} runLength - Longueur axiale de la course [m]
+ * @returns {OrientationInfo} Orientation résolue
+ * @throws {Error} Si l'orientation est invalide
+ *
+ * @example
+ * const info = resolveOrientation({ inclination: 90, height: 5 }, 10);
+ * // info.attackAngle = 90 (colonne montante en flux croisé)
+ */
+function resolveOrientation(orientation, runLength) {
+  if (orientation !== null && orientation !== undefined && typeof orientation !== 'object') {
+    throw new Error('Orientation de conduite invalide');
+  }
+  const spec = orientation || {};
+  checkRange(runLength, Number.MIN_VALUE, Infinity, 'Longueur de course');
+
+  const inclination = spec.inclination !== undefined ? spec.inclination : 0;
+  checkRange(inclination, -90, 90, 'Inclinaison');
+
+  const windAngle = spec.windAngle !== undefined ? spec.windAngle : 90;
+  checkRange(windAngle, -180, 180, 'Angle du vent');
+
+  const height = spec.height !== undefined ? spec.height : REFERENCE_HEIGHT;
+  checkRange(height, 0, HEIGHT_MAX, 'Hauteur au-dessus du sol');
+
+  const foldedInclination = foldAngle(inclination);
+  const foldedWindAngle = foldAngle(windAngle);
+
+  return {
+    inclination: foldedInclination,
+    windAngle: foldedWindAngle,
+    attackAngle: attackAngle(foldedInclination, foldedWindAngle),
+    height: height,
+    runLength: runLength,
+  };
+}
+
+/**
+ * Liste les catégories de terrain disponibles.
+ *
+ * @returns {Array<string>} Identifiants des catégories
+ */
+function listTerrainCategories() {
+  return Object.keys(TERRAIN_CATEGORIES);
+}
+
+// Export pour navigateur (window global)
+if (typeof window !== 'undefined') {
+  window.WindExposure = {
+    TERRAIN_CATEGORIES,
+    REFERENCE_HEIGHT,
+    windSpeedAtHeight,
+    attackAngle,
+    resolveOrientation,
+    listTerrainCategories,
+  };
+}
+
+// Export pour Node.js (tests)
+if (typeof module !== 'undefined' && module.exports) {
+  module.exports = {
+    TERRAIN_CATEGORIES,
+    REFERENCE_HEIGHT,
+    windSpeedAtHeight,
+    attackAngle,
+    resolveOrientation,
+    listTerrainCategories,
+  };
+}
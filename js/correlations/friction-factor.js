@@ -163,19 +163,22 @@ function frictionFactorChurchill(Re, epsilon_D) {
  *
  * @param {number} Re - Nombre de Reynolds [sans dimension], entre 2300 et 4000
  * @param {number} epsilon_D - Rugosité relative ε/D [sans dimension]
+ * @param {boolean} [quiet=false] - Sans avertissement d'incertitude (appels répétés d'un solveur)
  * @returns {number} Facteur de friction interpolé [sans dimension]
  * @throws {Error} Si les paramètres sont invalides
  */
-function frictionFactorTransitional(Re, epsilon_D) {
+function frictionFactorTransitional(Re, epsilon_D, quiet = false) {
   if (Re < 2300 || Re > 4000) {
     throw new Error(`Re doit être entre 2300 et 4000 pour régime transitoire: ${Re}`);
   }
 
   // Warning explicite sur incertitude
-  console.warn(
-    `Zone transitoire (Re=${Re}): Incertitude ±30% due à instabilité physique. ` +
-      `Considérer facteur de sécurité pour applications critiques.`
-  );
+  if (!quiet) {
+    console.warn(
+      `Zone transitoire (Re=${Re}): Incertitude ±30% due à instabilité physique. ` +
+        `Considérer facteur de sécurité pour applications critiques.`
+    );
+  }
 
   const Re_lam = 2300;
   const Re_turb = 4000;
@@ -198,6 +201,8 @@ function frictionFactorTransitional(Re, epsilon_D) {
  * @param {number} Re - Nombre de Reynolds [sans dimension]
  * @param {number} epsilon_D - Rugosité relative ε/D [sans dimension]
  * @param {string} [method='churchill'] - Méthode turbulente: 'colebrook' ou 'churchill'
+ * @param {boolean} [quiet=false] - Sans avertissement en zone transitoire (appels répétés
+ *   d'un solveur)
  * @returns {number} Facteur de friction de Darcy [sans dimension]
  * @throws {Error} Si les paramètres sont invalides
  *
@@ -209,13 +214,13 @@ function frictionFactorTransitional(Re, epsilon_D) {
  * // Écoulement turbulent
  * const f2 = frictionFactor(50000, 0.000857, 'churchill');  // f ≈ 0.0196
  */
-function frictionFactor(Re, epsilon_D, method = 'churchill') {
+function frictionFactor(Re, epsilon_D, method = 'churchill', quiet = false) {
   if (Re < 2300) {
     // Laminaire
     return frictionFactorLaminar(Re);
   } else if (Re <= 4000) {
     // Transitoire
-    return frictionFactorTransitional(Re, epsilon_D);
+    return frictionFactorTransitional(Re, epsilon_D, quiet);
   } else {
     // Turbulent
     if (method === 'colebrook') {
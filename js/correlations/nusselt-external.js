@@ -266,76 +266,206 @@ function calculateRichardsonNumber(Gr, Re) {
 }
 
 /**
- * Sélectionne automatiquement entre convection forcée, naturelle et mixte.
+ * Convection externe combinée forcée/naturelle, continue du vent fort à l'air calme.
  *
- * Utilise le nombre de Richardson (Ri = Gr/Re²) comme critère standard:
- * - Ri < 0.1: Convection forcée dominante → Churchill-Bernstein
- * - 0.1 ≤ Ri ≤ 10: Convection mixte → Formule combinée (Churchill 1977)
- * - Ri > 10: Convection naturelle dominante → Churchill & Chu
- *
- * Pour le régime mixte, on utilise la formule de superposition:
+ * Superposition de Churchill (1977), appliquée quel que soit le nombre de
+ * Richardson (Ri = Gr/Re²):
  * Nu = (Nu_forcée^n + Nu_naturelle^n)^(1/n) avec n=3
  *
- * Cette approche est plus rigoureuse que le critère arbitraire Re² vs Gr.
+ * Nu_forcée: Churchill-Bernstein; Nu_naturelle: Churchill & Chu. Le résultat tend
+ * vers Churchill-Bernstein quand Ri → 0 et vers Churchill & Chu quand Ri → ∞, sans
+ * saut aux seuils du régime dominant (voir convectionRegime):
+ * - Ri < 0.1: Convection forcée dominante
+ * - 0.1 ≤ Ri ≤ 10: Convection mixte
+ * - Ri > 10: Convection naturelle dominante
+ *
+ * Air parfaitement calme (Re = 0): convection naturelle seule.
+ *
+ * Conduite non horizontale: le Nusselt naturel (rapporté à D) peut être fourni
+ * par l'appelant (voir nusseltVerticalCylinder); Gr sert alors seulement au régime.
  *
  * Références:
  * - Churchill, S.W. (1977), AIChE J. 23, 10-16
  * - Incropera & DeWitt (2011), "Heat Transfer", 7th Ed., Section 9.6
  *
- * @param {number} Re - Nombre de Reynolds [sans dimension]
+ * @param {number} Re - Nombre de Reynolds [sans dimension] (≥ 0)
  * @param {number} Pr - Nombre de Prandtl [sans dimension]
- * @param {number} [Gr=0] - Nombre de Grashof [sans dimension] (optionnel)
+ * @param {number} [Gr=0] - Nombre de Grashof [sans dimension] (optionnel, ≥ 0)
+ * @param {number} [Nu_natural] - Nusselt de convection naturelle rapporté à D
+ *   [sans dimension] (défaut: Churchill & Chu, cylindre horizontal)
  * @returns {number} Nombre de Nusselt [sans dimension]
+ * @throws {Error} Si les paramètres sont invalides
  *
  * @example
  * // Avec vent fort (Re élevé): Ri << 0.1
  * const Nu = nusseltExternal(20000, 0.715, 1e5);
- * // Convection forcée dominante
+ * // ≈ Churchill-Bernstein
  *
  * @example
  * // Air calme (Re faible): Ri >> 10
  * const Nu = nusseltExternal(100, 0.715, 1e6);
- * // Convection naturelle dominante
+ * // ≈ Churchill & Chu
  *
  * @example
  * // Vent faible (Re modéré): 0.1 < Ri < 10
  * const Nu = nusseltExternal(1000, 0.715, 5e5);
  * // Convection mixte (formule combinée)
  */
-function nusseltExternal(Re, Pr, Gr = 0) {
+function nusseltExternal(Re, Pr, Gr = 0, Nu_natural) {
+  // Validation
+  if (typeof Re !== 'number' || !isFinite(Re) || Re < 0) {
+    throw new Error(`Nombre de Reynolds invalide: ${Re}`);
+  }
+  if (typeof Gr !== 'number' || !isFinite(Gr) || Gr < 0) {
+    throw new Error(`Nombre de Grashof invalide: ${Gr}`);
+  }
+  if (Re === 0 && Gr === 0) {
+    throw new Error('Re et Gr nuls: aucune convection externe');
+  }
+
   // Si Gr non fourni, assume forcée pure
   if (Gr === 0) {
     return nusseltChurchillBernstein(Re, Pr);
   }
 
-  // Calcul Richardson Number
-  const Ri = calculateRichardsonNumber(Gr, Re);
+  if (Nu_natural === undefined) {
+    const Ra = Gr * Pr;
+    Nu_natural = nusseltNaturalConvectionCylinder(Ra, Pr);
+  }
+
+  // Air calme: convection naturelle seule
+  if (Re === 0) {
+    return Nu_natural;
+  }
+
+  // Formule de superposition avec n=3 (Churchill 1977)
+  const Nu_forced = nusseltChurchillBernstein(Re, Pr);
+  const n = 3;
+  const Nu = Math.pow(Math.pow(Nu_forced, n) + Math.pow(Nu_natural, n), 1.0 / n);
 
-  // Critères standards basés sur Richardson
+  return Nu;
+}
+
+/**
+ * Régime de convection externe dominant selon le nombre de Richardson.
+ *
+ * Sert uniquement au rapport: nusseltExternal est continu en Ri.
+ *
+ * @param {number} Ri - Nombre de Richardson Gr/Re² [sans dimension] (Infinity en air calme)
+ * @returns {string} 'forced' si Ri < 0.1, 'natural' si Ri > 10, 'mixed' entre les deux
+ *
+ * @example
+ * const regime = convectionRegime(calculateRichardsonNumber(1e6, 1000));
+ * // Ri = 1 → 'mixed'
+ */
+function convectionRegime(Ri) {
   if (Ri < 0.1) {
-    // Convection forcée dominante
-    return nusseltChurchillBernstein(Re, Pr);
-  } else if (Ri > 10) {
-    // Convection naturelle dominante
-    const Ra = Gr * Pr;
-    return nusseltNaturalConvectionCylinder(Ra, Pr);
-  } else {
-    // Convection mixte (0.1 ≤ Ri ≤ 10)
-    console.warn(
-      `Convection mixte détectée (Ri=${Ri.toFixed(3)} entre 0.1 et 10). ` +
-        `Utilisation formule combinée Churchill (1977).`
-    );
-
-    // Formule de superposition avec n=3 (Churchill 1977)
-    const Nu_forced = nusseltChurchillBernstein(Re, Pr);
-    const Ra = Gr * Pr;
-    const Nu_natural = nusseltNaturalConvectionCylinder(Ra, Pr);
+    return 'forced';
+  }
+  if (Ri > 10) {
+    return 'natural';
+  }
+  return 'mixed';
+}
+
+/**
+ * Corrélation de Churchill-Chu pour cylindre vertical en convection naturelle.
+ *
+ * Plaque verticale de hauteur L (toute la plage de Ra_L):
+ * Nu_L,plaque = {0.825 + 0.387 × Ra_L^(1/6) / [1 + (0.492/Pr)^(9/16)]^(8/27)}²
+ *
+ * Correction de courbure d'un cylindre mince (Cebeci 1974, ajustement de
+ * Popiel 2008, Pr ≈ 0.7), négligeable si D/L ≥ 35 / Gr_L^(1/4):
+ * Nu_L = Nu_L,plaque × [1 + 0.3 × (32^0.5 × Gr_L^(-1/4) × L/D)^0.909]
+ *
+ * Application: colonne montante, ou composante axiale de la gravité sur une
+ * conduite inclinée (Ra_L évalué avec g × sin(inclinaison))
+ *
+ * Références:
+ * - Churchill, S.W. & Chu, H.H.S. (1975). Int. J. Heat Mass Transfer 18, 1323-1329
+ * - Popiel, C.O. (2008). Free convection heat transfer from vertical slender
+ *   cylinders: a review. Heat Transfer Eng. 29(6), 521-536
+ *
+ * @param {number} Ra_L - Nombre de Rayleigh sur la hauteur L [sans dimension]
+ * @param {number} Pr - Nombre de Prandtl [sans dimension]
+ * @param {number} L - Longueur axiale de la colonne [m]
+ * @param {number} D - Diamètre extérieur [m]
+ * @returns {number} Nombre de Nusselt rapporté à L [sans dimension]
+ * @throws {Error} Si les paramètres sont invalides
+ *
+ * @example
+ * // Colonne montante de 10 m, D = 0.1 m, air à 0°C, Ra_L ≈ 10^12
+ * const Nu_L = nusseltVerticalCylinder(1e12, 0.715, 10, 0.1);
+ * // Nu_L ≈ 1.3e3 (h = Nu_L × k / L)
+ */
+function nusseltVerticalCylinder(Ra_L, Pr, L, D) {
+  // Validation
+  if (typeof Ra_L !== 'number' || !isFinite(Ra_L) || Ra_L <= 0) {
+    throw new Error(`Nombre de Rayleigh invalide: ${Ra_L}`);
+  }
+  if (typeof Pr !== 'number' || !isFinite(Pr) || Pr <= 0) {
+    throw new Error(`Nombre de Prandtl invalide: ${Pr}`);
+  }
+  if (typeof L !== 'number' || !isFinite(L) || L <= 0) {
+    throw new Error(`Longueur invalide: ${L}`);
+  }
+  if (typeof D !== 'number' || !isFinite(D) || D <= 0) {
+    throw new Error(`Diamètre invalide: ${D}`);
+  }
+
+  // Plaque verticale (Churchill & Chu)
+  const bracket = Math.pow(1 + Math.pow(0.492 / Pr, 9.0 / 16.0), 8.0 / 27.0);
+  const Nu_plate = Math.pow(0.825 + (0.387 * Math.pow(Ra_L, 1.0 / 6.0)) / bracket, 2);
 
-    const n = 3;
-    const Nu = Math.pow(Math.pow(Nu_forced, n) + Math.pow(Nu_natural, n), 1.0 / n);
+  // Correction de courbure (cylindre mince)
+  const Gr_L = Ra_L / Pr;
+  const xi = Math.sqrt(32) * Math.pow(Gr_L, -0.25) * (L / D);
+  const curvature = 1 + 0.3 * Math.pow(xi, 0.909);
+
+  return Nu_plate * curvature;
+}
 
-    return Nu;
+/**
+ * Nombre de Reynolds effectif d'un cylindre incliné par rapport au vent.
+ *
+ * Loi de refroidissement à vitesse effective (Champagne et al. 1967):
+ * seule la composante normale à l'axe est pleinement efficace, la composante
+ * axiale l'étant à hauteur de k = 0.2:
+ *   Re_eff = Re × √(sin²φ + k² × cos²φ)
+ * φ = 90° (vent perpendiculaire): Re_eff = Re; φ = 0° (vent axial): Re_eff = 0.2 × Re.
+ *
+ * Référence: Champagne, F.H., Sleicher, C.A. & Wehrmann, O.H. (1967).
+ * Turbulence measurements with inclined hot-wires. J. Fluid Mech. 28, 153-175
+ *
+ * @param {number} Re - Nombre de Reynolds basé sur la vitesse du vent [sans dimension] (≥ 0)
+ * @param {number} attackAngle - Angle entre le vent et l'axe de la conduite [°] (0 à 90)
+ * @returns {number} Nombre de Reynolds effectif [sans dimension]
+ * @throws {Error} Si les paramètres sont invalides
+ *
+ * @example
+ * // Vent à 45° de l'axe
+ * const Re_eff = yawedReynolds(20000, 45);
+ * // Re_eff ≈ 14400
+ */
+function yawedReynolds(Re, attackAngle) {
+  if (typeof Re !== 'number' || !isFinite(Re) || Re < 0) {
+    throw new Error(`Nombre de Reynolds invalide: ${Re}`);
+  }
+  if (
+    typeof attackAngle !== 'number' ||
+    !isFinite(attackAngle) ||
+    attackAngle < 0 ||
+    attackAngle > 90
+  ) {
+    throw new Error(`Angle d'attaque invalide: ${attackAngle} (plage valide: 0 à 90°)`);
   }
+
+  const k = 0.2;
+  const phi = (attackAngle * Math.PI) / 180;
+  const sin = Math.sin(phi);
+  const cos = Math.cos(phi);
+
+  return Re * Math.sqrt(sin * sin + k * k * cos * cos);
 }
 
 // Export pour navigateur (window global)
@@ -347,6 +477,9 @@ if (typeof window !== 'undefined') {
     calculateRayleigh,
     calculateRichardsonNumber,
     nusseltExternal,
+    nusseltVerticalCylinder,
+    yawedReynolds,
+    convectionRegime,
   };
 }
 
@@ -359,5 +492,8 @@ if (typeof module !== 'undefined' && module.exports) {
     calculateRayleigh,
     calculateRichardsonNumber,
     nusseltExternal,
+    nusseltVerticalCylinder,
+    yawedReynolds,
+    convectionRegime,
   };
 }
@@ -92,6 +92,7 @@ function nusseltLaminarFullyDeveloped(bc = 'constant_T') {
  * @param {number} Pr - Nombre de Prandtl [sans dimension]
  * @param {number} D - Diamètre hydraulique [m]
  * @param {number} L - Longueur de la conduite [m]
+ * @param {boolean} [quiet=false] - Sans avertissement hors limites (appels répétés d'un solveur)
  * @returns {number} Nombre de Nusselt [sans dimension]
  * @throws {Error} Si les paramètres sont invalides
  *
@@ -100,7 +101,7 @@ function nusseltLaminarFullyDeveloped(bc = 'constant_T') {
  * const Nu = nusseltHausen(1500, 7.0, 0.0525, 10);
  * // Nu ≈ 4.2 (supérieur à 3.66 grâce à l'effet d'entrée)
  */
-function nusseltHausen(Re, Pr, D, L) {
+function nusseltHausen(Re, Pr, D, L, quiet = false) {
   // Validation
   if (typeof Re !== 'number' || !isFinite(Re) || Re <= 0) {
     throw new Error(`Nombre de Reynolds invalide: ${Re}`);
@@ -116,12 +117,12 @@ function nusseltHausen(Re, Pr, D, L) {
   }
 
   // Vérification limites de validité
-  if (Re >= 2300) {
+  if (Re >= 2300 && !quiet) {
     console.warn(
       `Hausen: Re=${Re} ≥ 2300 (hors régime laminaire), utiliser corrélation turbulente`
     );
   }
-  if (Pr < 0.6) {
+  if (Pr < 0.6 && !quiet) {
     console.warn(`Hausen: Pr=${Pr} < 0.6, précision réduite (métaux liquides)`);
   }
 
@@ -219,6 +220,7 @@ function nusseltDittusBoelter(Re, Pr, mode = 'heating') {
  * @param {number} Re - Nombre de Reynolds [sans dimension]
  * @param {number} Pr - Nombre de Prandtl [sans dimension]
  * @param {number} [f=null] - Facteur de friction [sans dimension] (optionnel, sinon Petukhov)
+ * @param {boolean} [quiet=false] - Sans avertissement hors limites (appels répétés d'un solveur)
  * @returns {number} Nombre de Nusselt [sans dimension]
  * @throws {Error} Si les paramètres sont invalides
  *
@@ -233,7 +235,7 @@ function nusseltDittusBoelter(Re, Pr, mode = 'heating') {
  * const Nu = nusseltGnielinski(10000, 7.0, f);
  * // Nu ≈ 79 (plus élevé que conduite lisse)
  */
-function nusseltGnielinski(Re, Pr, f = null) {
+function nusseltGnielinski(Re, Pr, f = null, quiet = false) {
   // Validation
   if (typeof Re !== 'number' || !isFinite(Re) || Re <= 0) {
     throw new Error(`Nombre de Reynolds invalide: ${Re}`);
@@ -243,10 +245,10 @@ function nusseltGnielinski(Re, Pr, f = null) {
   }
 
   // Vérification limites de validité
-  if (Re < 3000 || Re > 5e6) {
+  if ((Re < 3000 || Re > 5e6) && !quiet) {
     console.warn(`Gnielinski: Re=${Re} hors limites recommandées [3000, 5e6], précision réduite`);
   }
-  if (Pr < 0.5 || Pr > 2000) {
+  if ((Pr < 0.5 || Pr > 2000) && !quiet) {
     console.warn(`Gnielinski: Pr=${Pr} hors limites [0.5, 2000], précision réduite`);
   }
 
@@ -264,7 +266,7 @@ function nusseltGnielinski(Re, Pr, f = null) {
     f_used = Math.pow(0.79 * Math.log(Re) - 1.64, -2);
 
     // Warning une seule fois par session (évite 27000 warnings dans analyse sensibilité!)
-    if (!_gnielinski_warning_shown) {
+    if (!_gnielinski_warning_shown && !quiet) {
       console.warn(
         `Gnielinski: friction factor lisse utilisé (Petukhov). ` +
           `Pour conduite rugueuse, passer f de friction-factor.js pour précision.`
@@ -292,6 +294,7 @@ function nusseltGnielinski(Re, Pr, f = null) {
  * @param {number} Pr - Nombre de Prandtl [sans dimension]
  * @param {number} [D] - Diamètre hydraulique [m] (optionnel, pour Hausen)
  * @param {number} [L] - Longueur [m] (optionnel, pour Hausen)
+ * @param {boolean} [quiet=false] - Sans avertissement hors limites (appels répétés d'un solveur)
  * @returns {number} Nombre de Nusselt [sans dimension]
  * @throws {Error} Si les paramètres sont invalides
  *
@@ -300,14 +303,14 @@ function nusseltGnielinski(Re, Pr, f = null) {
  * const Nu1 = nusseltInternal(1500, 7.0);       // → Hausen ou constant
  * const Nu2 = nusseltInternal(50000, 7.0);      // → Gnielinski
  */
-function nusseltInternal(Re, Pr, D = null, L = null) {
+function nusseltInternal(Re, Pr, D = null, L = null, quiet = false) {
   const RE_LAMINAR_MAX = getRELaminarMax();
   const RE_TURBULENT_MIN = getRETurbulentMin();
 
   if (Re < RE_LAMINAR_MAX) {
     // Laminaire (Re < 2300)
     if (D && L) {
-      return nusseltHausen(Re, Pr, D, L);
+      return nusseltHausen(Re, Pr, D, L, quiet);
     } else {
       // Sans géométrie, utilise valeur asymptotique
       return nusseltLaminarFullyDeveloped('constant_T');
@@ -315,22 +318,65 @@ function nusseltInternal(Re, Pr, D = null, L = null) {
   } else if (Re <= RE_TURBULENT_MIN) {
     // Zone de transition (2300 < Re < 4000): interpolation linéaire
     // Note: Gnielinski est valide dès Re > 3000, mais on interpole jusqu'à 4000
-    // pour cohérence avec la définition standard de régime turbulent établi
+    // pour cohérence avec la définition standard de régime turbulent établi.
+    // Hausen évalué à sa borne Re = 2300: pas d'avertissement hors régime
     const Nu_lam =
-      D && L ? nusseltHausen(RE_LAMINAR_MAX, Pr, D, L) : nusseltLaminarFullyDeveloped('constant_T');
-    const Nu_turb = nusseltGnielinski(RE_TURBULENT_MIN, Pr);
+      D && L
+        ? nusseltHausen(RE_LAMINAR_MAX, Pr, D, L, true)
+        : nusseltLaminarFullyDeveloped('constant_T');
+    const Nu_turb = nusseltGnielinski(RE_TURBULENT_MIN, Pr, null, quiet);
     const weight = (Re - RE_LAMINAR_MAX) / (RE_TURBULENT_MIN - RE_LAMINAR_MAX);
     return Nu_lam + weight * (Nu_turb - Nu_lam);
   } else if (Re <= 10000) {
     // Turbulent modéré: Gnielinski recommandé
-    return nusseltGnielinski(Re, Pr);
+    return nusseltGnielinski(Re, Pr, null, quiet);
   } else {
     // Turbulent élevé: Gnielinski ou Dittus-Boelter
     // Gnielinski est plus précis
-    return nusseltGnielinski(Re, Pr);
+    return nusseltGnielinski(Re, Pr, null, quiet);
   }
 }
 
+/**
+ * Nusselt moyen d'un segment situé à distance x de l'entrée thermique.
+ *
+ * Hausen donne un Nusselt moyen depuis l'entrée: Nu(L) × L est l'intégrale du
+ * Nusselt local sur [0, L]. Le segment [x, x + L] en reçoit la différence:
+ *   Nu_seg = [Nu(x + L) × (x + L) - Nu(x) × x] / L
+ * Le découpage en segments ne change alors plus le transfert total (sinon chaque
+ * segment laminaire repart d'une entrée thermique). Sans effet en turbulent.
+ *
+ * @param {number} Re - Nombre de Reynolds [sans dimension]
+ * @param {number} Pr - Nombre de Prandtl [sans dimension]
+ * @param {number} D - Diamètre hydraulique [m]
+ * @param {number} x - Distance de l'entrée thermique au début du segment [m] (≥ 0)
+ * @param {number} L - Longueur du segment [m]
+ * @param {boolean} [quiet=false] - Sans avertissement hors limites (appels répétés d'un solveur)
+ * @returns {number} Nombre de Nusselt moyen du segment [sans dimension]
+ * @throws {Error} Si les paramètres sont invalides
+ *
+ * @example
+ * // Laminaire: second segment de 10 m, moins de transfert que le premier
+ * const Nu = nusseltInternalSegment(1500, 7.0, 0.0525, 10, 10);
+ * // Nu < nusseltInternal(1500, 7.0, 0.0525, 10)
+ */
+function nusseltInternalSegment(Re, Pr, D, x, L, quiet = false) {
+  if (typeof x !== 'number' || !isFinite(x) || x < 0) {
+    throw new Error(`Distance à l'entrée invalide: ${x}`);
+  }
+
+  const Nu_end = nusseltInternal(Re, Pr, D, x + L, quiet);
+  if (x === 0) {
+    return Nu_end;
+  }
+  const Nu_start = nusseltInternal(Re, Pr, D, x, quiet);
+  if (Nu_start === Nu_end) {
+    return Nu_end;
+  }
+
+  return (Nu_end * (x + L) - Nu_start * x) / L;
+}
+
 /**
  * Calcule le coefficient de convection à partir du nombre de Nusselt.
  *
@@ -369,6 +415,7 @@ if (typeof window !== 'undefined') {
     nusseltDittusBoelter,
     nusseltGnielinski,
     nusseltInternal,
+    nusseltInternalSegment,
     convectionCoefficient,
   };
 }
@@ -381,6 +428,7 @@ if (typeof module !== 'undefined' && module.exports) {
     nusseltDittusBoelter,
     nusseltGnielinski,
     nusseltInternal,
+    nusseltInternalSegment,
     convectionCoefficient,
   };
 }
@@ -0,0 +1,468 @@
+/**
+ * @typedef {Object} CooldownResult
+ * @property {boolean} freezes - true si le fluide atteint son point de congélation dans l'horizon
+ * @property {number|null} timeToZero - Temps pour atteindre le point de congélation [s]
+ *   (0°C pour l'eau; null si jamais)
+ * @property {number|null} timeToSolid - Temps pour geler complètement [s] (null si jamais)
+ * @property {number|null} latentDuration - Durée du palier de solidification [s]
+ * @property {number} waterMass - Masse de fluide par mètre [kg/m]
+ * @property {number} wallMass - Masse de paroi par mètre [kg/m]
+ * @property {number} heatCapacity - Capacité thermique initiale par mètre [J/(m·K)]
+ * @property {number} UA_initial - Conductance linéique initiale [W/(m·K)]
+ * @property {number} tau - Constante de temps initiale C/UA [s]
+ * @property {number} T_freeze - Point de congélation du fluide [°C]
+ * @property {number} T_ref - Température vers laquelle l'eau refroidit [°C]
+ *   (air, environnement équivalent avec ciel nocturne et soleil, ou surface du sol pour
+ *   une conduite enterrée)
+ * @property {Array<number>} time_profile - Temps [s]
+ * @property {Array<number>} T_profile - Température de l'eau [°C]
+ * @property {Array<number>} iceFraction_profile - Fraction massique de glace [-]
+ */
+
+/** Chaleur latente de fusion de la glace [J/kg] */
+const LATENT_HEAT_FUSION = 334000;
+
+/**
+ * Nusselt de l'eau stagnante en conduite horizontale.
+ * Valeur de conduction pure (Nu laminaire à paroi isotherme); la convection
+ * naturelle interne est négligée, la résistance interne restant faible devant
+ * l'isolation et la convection externe.
+ */
+const NUSSELT_STAGNANT = 3.66;
+
+/** Écart à T_amb considéré comme équilibre thermique [K] */
+const EQUILIBRIUM_TOLERANCE = 0.05;
+
+/**
+ * Calcule la conductance linéique eau → environnement pour une conduite sans écoulement.
+ *
+ * Réutilise le réseau de résistances de thermal-resistance.js sur 1 m de conduite,
+ * avec une convection interne stagnante. Le coefficient externe est celui de
+ * calculatePipeSegment: évalué à la température de surface résolue
+ * (solveSurfaceTemperature), avec le même ciel et la même orientation.
+ *
+ * @private
+ * @param {Object} geometry - Géométrie (D_inner, D_outer, material)
+ * @param {Object} fluid - Fluide (type, concentration; eau par défaut)
+ * @param {number} T_water - Température du fluide [°C]
+ * @param {Object} ambient - Conditions ambiantes (T_amb, V_wind à la hauteur de la conduite)
+ * @param {Object|Array|null} insulation - Isolation optionnelle, simple ou multicouche
+ *   (gaine de protection incluse)
+ * @param {Object} modules - Modules de calcul chargés
+ * @param {Object|null} [burial=null] - Enfouissement résolu (resolveBurial); le sol remplace l'air
+ * @param {Object|null} [sky=null] - Ciel, environnement et soleil résolus (resolveRadiation)
+ * @param {Object|null} [orientation=null] - Orientation résolue (resolveOrientation)
+ * @returns {{UA: number, T_env: number}} Conductance linéique UA' [W/(m·K)] et
+ *   température d'environnement équivalente [°C] (T_amb sans ciel)
+ */
+function stagnantConductance(
+  geometry,
+  fluid,
+  T_water,
+  ambient,
+  insulation,
+  modules,
+  burial = null,
+  sky = null,
+  orientation = null
+) {
+  const water = modules.fluidProps.getFluidProperties(
+    fluid,
+    Math.min(Math.max(T_water, modules.fluidProps.freezingPoint(fluid)), 100),
+    1.0
+  );
+  const pipeMat = modules.materials.getMaterialProperties(geometry.material);
+
+  const insulationSystem = insulation
+    ? modules.insulationLayers.resolveInsulation(insulation)
+    : null;
+  const surfaceMat = insulationSystem
+    ? modules.materials.getMaterialProperties(
+        insulationSystem.layers[insulationSystem.layers.length - 1].material
+      )
+    : pipeMat;
+  const jacket =
+    insulationSystem && insulationSystem.jacket
+      ? modules.materials.resolveJacket(insulationSystem.jacket)
+      : null;
+  const D_insulation = insulationSystem
+    ? geometry.D_outer + 2 * insulationSystem.thickness
+    : geometry.D_outer;
+  const D_outer_final = jacket ? D_insulation + 2 * jacket.thickness : D_insulation;
+
+  const h_int = modules.nusseltInt.convectionCoefficient(
+    NUSSELT_STAGNANT,
+    water.k,
+    geometry.D_inner
+  );
+
+  const layers = [
+    { type: 'convection', h: h_int, D: geometry.D_inner, name: 'Eau stagnante' },
+    {
+      type: 'conduction',
+      r_inner: geometry.D_inner / 2,
+      r_outer: geometry.D_outer / 2,
+      k: pipeMat.k,
+      name: 'Paroi',
+    },
+  ];
+
+  if (insulationSystem) {
+    // k de chaque couche à la moyenne eau/air (l'isolant porte l'essentiel de l'écart)
+    let r_layer = geometry.D_outer / 2;
+    insulationSystem.layers.forEach((layer) => {
+      layers.push({
+        type: 'conduction',
+        r_inner: r_layer,
+        r_outer: r_layer + layer.thickness,
+        k: modules.materials.insulationConductivity(
+          layer.material,
+          (T_water + ambient.T_amb) / 2,
+          layer.degradation
+        ),
+        name: 'Isolation',
+      });
+      r_layer += layer.thickness;
+    });
+  }
+  if (jacket) {
+    layers.push({
+      type: 'conduction',
+      r_inner: D_insulation / 2,
+      r_outer: D_outer_final / 2,
+      k: jacket.k,
+      name: 'Gaine',
+    });
+  }
+
+  let T_env = ambient.T_amb;
+  if (burial) {
+    layers.push({
+      type: 'buried',
+      D: D_outer_final,
+      depth: burial.depth,
+      k: burial.k,
+      name: 'Sol (facteur de forme)',
+    });
+  } else {
+    // Rayonnement et convection naturelle à la température de surface (sans traçage)
+    const air = modules.airProps.getAirProperties(ambient.T_amb, ambient);
+    const R_inner = modules.resistance.pipeResistance(layers, 1.0).R_layers;
+    const surface = modules.pipeSegment.solveSurfaceTemperature(
+      ambient,
+      air,
+      D_outer_final,
+      jacket ? jacket.emissivity : surfaceMat.emissivity,
+      T_water,
+      R_inner[0],
+      R_inner.slice(1).reduce((sum, R) => sum + R, 0),
+      0,
+      1.0,
+      sky,
+      orientation
+    );
+    T_env = surface.external.T_env;
+    layers.push({
+      type: 'convection',
+      h: surface.external.h_total,
+      D: D_outer_final,
+      name: 'Convection externe + rayonnement',
+    });
+  }
+
+  const R_total = modules.resistance.pipeResistance(layers, 1.0).R_total;
+  return {
+    UA: modules.resistance.overallHeatTransferCoefficient(R_total),
+    T_env: T_env,
+  };
+}
+
+/**
+ * Calcule le refroidissement d'une conduite après arrêt de l'écoulement (arrêt de pompe).
+ *
+ * Modèle à capacité globale par mètre de conduite:
+ *   C · dT/dt = -UA' · (T - T_env)
+ * avec C = m_eau·cp_eau + m_paroi·cp_paroi et UA' la conductance du réseau de
+ * résistances (eau stagnante → paroi → isolation → air). Chaque pas de temps est
+ * intégré exactement (décroissance exponentielle à UA' et C constants sur le pas).
+ *
+ * Une fois 0°C atteint, l'eau reste au point de congélation le temps d'évacuer
+ * la chaleur latente (334 kJ/kg). La résistance de la couche de glace est
+ * négligée, ce qui donne un temps de gel complet conservateur (plus court).
+ *
+ * Mélange glycol: le seuil devient le point de congélation du mélange et seule
+ * la fraction d'eau cristallise (chaleur latente × (1 - concentration)). Le palier
+ * est approché à température constante alors que le point de congélation baisse
+ * à mesure que la glace se forme: le temps de gel complet reste conservateur.
+ *
+ * Le coefficient externe est celui de calculatePipeSegment: rayonnement et
+ * convection naturelle évalués à la température de surface résolue, ciel nocturne
+ * et soleil (l'eau tend vers la température d'environnement équivalente) et
+ * orientation de la conduite (vent ramené à sa hauteur).
+ *
+ * @param {Object} geometry - Géométrie (D_inner, D_outer, material)
+ * @param {Object} [geometry.orientation] - Inclinaison, angle du vent et hauteur (voir
+ *   calculations/wind-exposure.js); horizontale, vent perpendiculaire, 10 m par défaut
+ * @param {number} [geometry.runLength=1] - Longueur de la course inclinée [m]
+ * @param {Object} fluid - Conditions initiales du fluide
+ * @param {number} fluid.T_in - Température du fluide à l'arrêt [°C]
+ * @param {string} [fluid.type='water'] - Fluide: 'water', 'ethylene_glycol', 'propylene_glycol'
+ * @param {number} [fluid.concentration] - Concentration massique du glycol [%]
+ * @param {Object} ambient - Conditions ambiantes (T_amb, V_wind, burial, radiation et
+ *   terrain optionnels, comme pour calculatePipeSegment; une conduite enterrée refroidit
+ *   vers la surface du sol à travers le facteur de forme)
+ * @param {Object|null} [insulation=null] - Isolation optionnelle
+ * @param {Object} [options] - Options d'intégration
+ * @param {number} [options.timeStep=60] - Pas de temps [s]
+ * @param {number} [options.maxTime=604800] - Horizon maximal [s] (7 jours)
+ * @returns {CooldownResult} Résultat du refroidissement
+ * @throws {Error} Si les paramètres sont invalides
+ *
+ * @example
+ * const result = calculateCooldown(
+ *   { D_inner: 0.0525, D_outer: 0.0603, material: 'steel' },
+ *   { T_in: 10 },
+ *   { T_amb: -20, V_wind: 5 },
+ *   { material: 'fiberglass', thickness: 0.025 }
+ * );
+ * console.log(`Gel à 0°C après ${(result.timeToZero / 3600).toFixed(1)} h`);
+ */
+function calculateCooldown(geometry, fluid, airAmbient, insulation = null, options = {}) {
+  // ========== VALIDATION ==========
+
+  if (!geometry || typeof geometry !== 'object') {
+    throw new Error('Géométrie invalide');
+  }
+  if (typeof geometry.D_inner !== 'number' || geometry.D_inner <= 0) {
+    throw new Error(`Diamètre intérieur invalide: ${geometry.D_inner}`);
+  }
+  if (typeof geometry.D_outer !== 'number' || geometry.D_outer <= geometry.D_inner) {
+    throw new Error(`Diamètre extérieur invalide: ${geometry.D_outer}`);
+  }
+  if (!fluid || typeof fluid.T_in !== 'number' || !isFinite(fluid.T_in)) {
+    throw new Error(`Température initiale invalide: ${fluid && fluid.T_in}`);
+  }
+  if (!airAmbient || typeof airAmbient.T_amb !== 'number' || !isFinite(airAmbient.T_amb)) {
+    throw new Error('Conditions ambiantes invalides');
+  }
+  if (typeof airAmbient.V_wind !== 'number' || airAmbient.V_wind < 0) {
+    throw new Error(`Vitesse vent invalide: ${airAmbient.V_wind}`);
+  }
+
+  const timeStep = options.timeStep !== undefined ? options.timeStep : 60;
+  const maxTime = options.maxTime !== undefined ? options.maxTime : 7 * 24 * 3600;
+
+  if (typeof timeStep !== 'number' || !isFinite(timeStep) || timeStep <= 0) {
+    throw new Error(`Pas de temps invalide: ${timeStep}`);
+  }
+  if (typeof maxTime !== 'number' || !isFinite(maxTime) || maxTime <= timeStep) {
+    throw new Error(`Horizon de calcul invalide: ${maxTime}`);
+  }
+
+  // ========== MODULES NÉCESSAIRES ==========
+
+  const modules = {
+    fluidProps:
+      typeof window !== 'undefined' && window.FluidProperties
+        ? window.FluidProperties
+        : require('../properties/fluid-properties.js'),
+    airProps:
+      typeof window !== 'undefined'
+        ? window.AirProperties
+        : require('../properties/air-properties.js'),
+    materials:
+      typeof window !== 'undefined'
+        ? window.MaterialProperties
+        : require('../properties/material-properties.js'),
+    nusseltInt:
+      typeof window !== 'undefined'
+        ? window.NusseltInternal
+        : require('../correlations/nusselt-internal.js'),
+    resistance:
+      typeof window !== 'undefined'
+        ? window.ThermalResistance
+        : require('../calculations/thermal-resistance.js'),
+    pipeSegment:
+      typeof window !== 'undefined' && window.PipeSegment
+        ? window.PipeSegment
+        : require('./pipe-segment.js'),
+    buriedPipe:
+      typeof window !== 'undefined' && window.BuriedPipe
+        ? window.BuriedPipe
+        : require('../calculations/buried-pipe.js'),
+    insulationLayers:
+      typeof window !== 'undefined' && window.InsulationLayers
+        ? window.InsulationLayers
+        : require('../calculations/insulation-layers.js'),
+    skyRadiation:
+      typeof window !== 'undefined' && window.SkyRadiation
+        ? window.SkyRadiation
+        : require('../calculations/sky-radiation.js'),
+    windExposure:
+      typeof window !== 'undefined' && window.WindExposure
+        ? window.WindExposure
+        : require('../calculations/wind-exposure.js'),
+  };
+
+  // Point de congélation du fluide (valide aussi le type et la concentration)
+  const T_freeze = modules.fluidProps.freezingPoint(fluid);
+  if (fluid.T_in < T_freeze) {
+    throw new Error(`Température initiale sous le point de gel: ${fluid.T_in}°C`);
+  }
+
+  // Conduite enterrée: la surface du sol devient la température de référence
+  const burial = airAmbient.burial
+    ? modules.buriedPipe.resolveBurial(airAmbient.burial, airAmbient.T_amb)
+    : null;
+
+  // Ciel, orientation et vent à la hauteur de la conduite (conduite aérienne uniquement),
+  // résolus comme dans calculatePipeSegment
+  const sky =
+    !burial && airAmbient.radiation
+      ? modules.skyRadiation.resolveRadiation(airAmbient.radiation, airAmbient.T_amb)
+      : null;
+  const orientation = burial
+    ? null
+    : modules.windExposure.resolveOrientation(geometry.orientation, geometry.runLength || 1);
+  const ambient = burial
+    ? { ...airAmbient, T_amb: burial.T_surface }
+    : {
+        ...airAmbient,
+        V_wind: modules.windExposure.windSpeedAtHeight(
+          airAmbient.V_wind,
+          orientation.height,
+          airAmbient.terrain || 'open'
+        ),
+      };
+  const conductanceAt = (T) =>
+    stagnantConductance(geometry, fluid, T, ambient, insulation, modules, burial, sky, orientation);
+
+  // ========== MASSES THERMIQUES (par mètre) ==========
+
+  const pipeMat = modules.materials.getMaterialProperties(geometry.material);
+  const A_water = (Math.PI * geometry.D_inner * geometry.D_inner) / 4;
+  const A_wall =
+    (Math.PI * (geometry.D_outer * geometry.D_outer - geometry.D_inner * geometry.D_inner)) / 4;
+
+  const water0 = modules.fluidProps.getFluidProperties(fluid, Math.min(fluid.T_in, 100), 1.0);
+  const waterMass = water0.rho * A_water; // kg/m
+  const wallMass = pipeMat.rho * A_wall; // kg/m
+  const wallCapacity = wallMass * pipeMat.cp; // J/(m·K)
+
+  const capacityAt = (T) => {
+    const water = modules.fluidProps.getFluidProperties(
+      fluid,
+      Math.min(Math.max(T, T_freeze), 100),
+      1.0
+    );
+    return waterMass * water.cp + wallCapacity;
+  };
+
+  const heatCapacity = capacityAt(fluid.T_in);
+  const UA_initial = conductanceAt(fluid.T_in).UA;
+
+  // Gel possible si l'eau au point de congélation perd encore de la chaleur
+  const atFreeze = conductanceAt(T_freeze);
+  const freezes = atFreeze.T_env < T_freeze;
+
+  // ========== PHASE 1: REFROIDISSEMENT SENSIBLE ==========
+
+  const time_profile = [0];
+  const T_profile = [fluid.T_in];
+  const iceFraction_profile = [0];
+
+  let timeToZero = fluid.T_in === T_freeze && freezes ? 0 : null;
+  let t = 0;
+  let T = fluid.T_in;
+  let T_ref = freezes ? atFreeze.T_env : conductanceAt(fluid.T_in).T_env;
+
+  while (timeToZero === null && t < maxTime) {
+    const C = capacityAt(T);
+    const step = conductanceAt(T);
+    const tauStep = C / step.UA;
+    T_ref = step.T_env;
+
+    // Franchissement du point de gel pendant ce pas: temps exact par le logarithme
+    if (freezes && T_ref < T_freeze) {
+      const dtToZero = tauStep * Math.log((T - T_ref) / (T_freeze - T_ref));
+      if (dtToZero <= timeStep) {
+        t += dtToZero;
+        T = T_freeze;
+        timeToZero = t;
+        time_profile.push(t);
+        T_profile.push(T);
+        iceFraction_profile.push(0);
+        break;
+      }
+    }
+
+    T = T_ref + (T - T_ref) * Math.exp(-timeStep / tauStep);
+    t += timeStep;
+    time_profile.push(t);
+    T_profile.push(T);
+    iceFraction_profile.push(0);
+    // Sans gel possible: arrêt une fois l'équilibre thermique atteint
+    if (!freezes && Math.abs(T - T_ref) < EQUILIBRIUM_TOLERANCE) {
+      break;
+    }
+  }
+
+  // ========== PHASE 2: SOLIDIFICATION (palier au point de congélation) ==========
+
+  let timeToSolid = null;
+  let latentDuration = null;
+
+  if (timeToZero !== null) {
+    T_ref = atFreeze.T_env;
+    const Q_freeze = atFreeze.UA * (T_freeze - T_ref); // W/m
+    // Seule l'eau cristallise (fraction 1 - concentration pour un glycol)
+    const iceMass = modules.fluidProps.isWater(fluid)
+      ? waterMass
+      : waterMass * (1 - fluid.concentration / 100);
+    latentDuration = (iceMass * LATENT_HEAT_FUSION) / Q_freeze;
+    timeToSolid = timeToZero + latentDuration;
+
+    // Échantillonnage du palier pour le graphique T(t)
+    const steps = 10;
+    for (let i = 1; i <= steps; i++) {
+      time_profile.push(timeToZero + (latentDuration * i) / steps);
+      T_profile.push(T_freeze);
+      iceFraction_profile.push(i / steps);
+    }
+  }
+
+  // ========== RÉSULTATS ==========
+
+  return {
+    freezes: timeToZero !== null,
+    timeToZero: timeToZero,
+    timeToSolid: timeToSolid,
+    latentDuration: latentDuration,
+    waterMass: waterMass,
+    wallMass: wallMass,
+    heatCapacity: heatCapacity,
+    UA_initial: UA_initial,
+    tau: heatCapacity / UA_initial,
+    T_freeze: T_freeze,
+    T_ref: T_ref,
+    time_profile: time_profile,
+    T_profile: T_profile,
+    iceFraction_profile: iceFraction_profile,
+  };
+}
+
+// Export pour navigateur (window global)
+if (typeof window !== 'undefined') {
+  window.Cooldown = {
+    calculateCooldown,
+    LATENT_HEAT_FUSION,
+  };
+}
+
+// Export conditionnel pour tests Node.js
+if (typeof module !== 'undefined' && module.exports) {
+  module.exports = {
+    calculateCooldown,
+    LATENT_HEAT_FUSION,
+  };
+}
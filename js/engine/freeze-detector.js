@@ -8,7 +8,7 @@
  * @property {number} marginToFreeze - Marge avant gel [°C] (minTemp - T_freeze)
  * @property {string} verdict - Verdict textuel: 'NO_FREEZE' ou 'FREEZE_DETECTED'
  * @property {string} severity - Niveau de sévérité: 'ok' | 'warning' | 'critical'
- * @property {number} marginToSafety - Marge avant seuil de sécurité (5°C) [°C]
+ * @property {number} marginToSafety - Marge avant seuil de sécurité (T_freeze + 5°C) [°C]
  * @property {Array<string>} recommendations - Recommandations textuelles
  */
 
@@ -16,7 +16,8 @@
  * Détecte si le gel se produit dans le profil de température.
  *
  * Analyse un profil T(x) et détermine si la température descend en-dessous
- * de la température de gel (par défaut 0°C pour l'eau pure).
+ * de la température de gel (par défaut 0°C pour l'eau pure; point de congélation
+ * du mélange pour un glycol, voir properties/fluid-properties.js).
  *
  * Si le gel est détecté, calcule la position exacte par interpolation linéaire
  * entre les deux points encadrant T_freeze.
@@ -128,7 +129,8 @@ function detectFreeze(T_profile, x_profile, T_freeze = 0) {
 
   // ========== CALCUL SÉVÉRITÉ ET RECOMMANDATIONS ==========
 
-  const SAFETY_THRESHOLD = 5; // °C - Seuil de sécurité recommandé
+  const SAFETY_MARGIN = 5; // °C - Marge de sécurité recommandée au-dessus du point de gel
+  const SAFETY_THRESHOLD = T_freeze + SAFETY_MARGIN;
   const marginToSafety = minTemp - SAFETY_THRESHOLD;
 
   let severity;
@@ -0,0 +1,307 @@
+/**
+ * @typedef {Object} IceLayerResult
+ * @property {number} T_out - Température de sortie de l'eau [°C] (≥ 0)
+ * @property {number} Q_loss - Perte thermique du segment [W]
+ * @property {number} iceThickness - Épaisseur de glace sur la paroi [m]
+ * @property {number} D_flow - Diamètre d'écoulement restant [m]
+ * @property {boolean} blocked - true si la section est (quasi) entièrement obstruée
+ * @property {number} dP_ice - Perte de charge supplémentaire due au rétrécissement [Pa]
+ * @property {number} R_ice - Résistance de conduction de la glace [K/W]
+ * @property {number} h_int - Coefficient de convection eau → glace [W/(m²·K)]
+ * @property {number} Re - Nombre de Reynolds dans la section rétrécie [-]
+ */
+
+/** Conductivité thermique de la glace à 0°C [W/(m·K)] */
+const ICE_CONDUCTIVITY = 2.22;
+
+/** Température de l'interface eau/glace [°C] */
+const ICE_INTERFACE_TEMPERATURE = 0;
+
+/**
+ * Rapport D_flow / D_inner sous lequel la conduite est considérée obstruée.
+ * En dessous, la perte de charge (∝ D^-5) n'a plus de sens pratique.
+ */
+const BLOCKED_DIAMETER_RATIO = 0.05;
+
+/** Nombre d'itérations sur la température moyenne de l'eau */
+const BULK_ITERATIONS = 3;
+
+/**
+ * Charge les modules de calcul (navigateur ou Node.js).
+ * @private
+ */
+function loadModules() {
+  return {
+    waterProps:
+      typeof window !== 'undefined'
+        ? window.WaterProperties
+        : require('../properties/water-properties.js'),
+    reynolds: typeof window !== 'undefined' ? window.Reynolds : require('../formulas/reynolds.js'),
+    pressureBasic:
+      typeof window !== 'undefined'
+        ? window.PressureBasic
+        : require('../formulas/pressure-basic.js'),
+    friction:
+      typeof window !== 'undefined'
+        ? window.FrictionFactor
+        : require('../correlations/friction-factor.js'),
+    nusseltInt:
+      typeof window !== 'undefined'
+        ? window.NusseltInternal
+        : require('../correlations/nusselt-internal.js'),
+    resistance:
+      typeof window !== 'undefined'
+        ? window.ThermalResistance
+        : require('../calculations/thermal-resistance.js'),
+  };
+}
+
+/**
+ * Convection et perte de charge de l'eau dans un diamètre d'écoulement donné.
+ *
+ * Appelée à chaque pas de la bissection de solveInterfaceRadius: corrélations
+ * sans avertissement (la zone transitoire est rapportée par le segment).
+ * @private
+ */
+function flowInDiameter(D, geometry, water, m_dot, modules) {
+  const V = m_dot / (water.rho * Math.PI * D * D * 0.25);
+  const Re = modules.reynolds.calculateReynolds(water.rho, V, D, water.mu);
+  const Pr = (water.mu * water.cp) / water.k;
+  const Nu = modules.nusseltInt.nusseltInternalSegment(
+    Re,
+    Pr,
+    D,
+    geometry.entryDistance || 0,
+    geometry.length,
+    true
+  );
+  const h = modules.nusseltInt.convectionCoefficient(Nu, water.k, D);
+  const f = modules.friction.frictionFactor(Re, geometry.roughness / D, 'churchill', true);
+  const dP = modules.pressureBasic.pressureDropDarcy(f, geometry.length, D, water.rho, V);
+  return { h, Re, dP };
+}
+
+/**
+ * Résout le rayon d'équilibre de l'interface eau/glace pour une température d'eau donnée.
+ *
+ * Bilan à l'interface (régime permanent, glace à 0°C):
+ *   h(r) · 2πr·L · (T_eau - 0) = (0 - T_amb) / (R_glace(r) + R_ext)
+ * avec R_glace(r) = ln(r_i / r) / (2π·k_glace·L) (conductionResistanceCylinder)
+ * et R_ext la somme des couches paroi + isolation + externe de pipeResistance.
+ *
+ * @private
+ * @returns {Object} {r, R_ice, Q, h, Re, dP}
+ */
+function solveInterfaceRadius(geometry, T_bulk, T_amb, R_outer, water, m_dot, modules) {
+  const r_i = geometry.D_inner / 2;
+  const L = geometry.length;
+  const r_min = r_i * BLOCKED_DIAMETER_RATIO;
+
+  const iceResistance = (r) =>
+    r >= r_i ? 0 : modules.resistance.conductionResistanceCylinder(r, r_i, ICE_CONDUCTIVITY, L);
+
+  const balance = (r) => {
+    const flow = flowInDiameter(2 * r, geometry, water, m_dot, modules);
+    const Q_water = flow.h * 2 * Math.PI * r * L * (T_bulk - ICE_INTERFACE_TEMPERATURE);
+    const Q_out = (ICE_INTERFACE_TEMPERATURE - T_amb) / (iceResistance(r) + R_outer);
+    return Q_water - Q_out;
+  };
+
+  // Eau à 0°C ou glace impossible à maintenir même pour une section presque fermée
+  if (T_bulk <= ICE_INTERFACE_TEMPERATURE || balance(r_min) < 0) {
+    return null;
+  }
+
+  // Paroi au-dessus de 0°C: pas de glace, transfert eau → paroi → air classique
+  if (balance(r_i) >= 0) {
+    const flow = flowInDiameter(geometry.D_inner, geometry, water, m_dot, modules);
+    const R_conv = modules.resistance.convectionResistanceCylinder(flow.h, geometry.D_inner, L);
+    return {
+      r: r_i,
+      R_ice: 0,
+      Q: (T_bulk - T_amb) / (R_conv + R_outer),
+      h: flow.h,
+      Re: flow.Re,
+      dP: flow.dP,
+    };
+  }
+
+  // Bissection: balance(r_min) ≥ 0 et balance(r_i) < 0
+  let low = r_min;
+  let high = r_i;
+  for (let iter = 0; iter < 60; iter++) {
+    const mid = 0.5 * (low + high);
+    if (balance(mid) >= 0) {
+      low = mid;
+    } else {
+      high = mid;
+    }
+  }
+
+  const r = 0.5 * (low + high);
+  const R_ice = iceResistance(r);
+  const flow = flowInDiameter(2 * r, geometry, water, m_dot, modules);
+
+  return {
+    r: r,
+    R_ice: R_ice,
+    Q: (ICE_INTERFACE_TEMPERATURE - T_amb) / (R_ice + R_outer),
+    h: flow.h,
+    Re: flow.Re,
+    dP: flow.dP,
+  };
+}
+
+/**
+ * Calcule un segment avec croissance d'une couche de glace annulaire en régime permanent.
+ *
+ * À appeler lorsque la paroi intérieure descend sous 0°C. La glace se forme sur la
+ * paroi jusqu'à ce que la chaleur apportée par l'eau équilibre la chaleur évacuée à
+ * travers la glace, la paroi, l'isolation et la couche externe. La glace isole la
+ * conduite (perte réduite) mais rétrécit la section (perte de charge accrue).
+ *
+ * La température moyenne de l'eau est itérée comme dans calculatePipeSegment.
+ * Si l'eau atteint 0°C, aucun équilibre n'existe: la section finit obstruée. Elle l'est
+ * aussi lorsque la perte de charge du rétrécissement dépasse la pression disponible.
+ *
+ * @param {Object} geometry - Géométrie du segment (D_inner, roughness, length, entryDistance)
+ * @param {Object} fluid - Conditions de l'eau (T_in, P, m_dot, waterBackend)
+ * @param {number} T_amb - Température ambiante [°C]
+ * @param {number} R_outer - Résistance paroi + isolation + externe du segment [K/W]
+ * @param {number} [dP_available=Infinity] - Perte de charge supplémentaire admissible [Pa];
+ *   au-delà, l'écoulement ne peut être maintenu et la section est déclarée obstruée
+ * @returns {IceLayerResult} Résultat du segment avec glace
+ * @throws {Error} Si les paramètres sont invalides
+ *
+ * @example
+ * // R_outer = R_total - R_layers[0] d'un résultat calculatePipeSegment
+ * const ice = calculateIceLayer(geometry, { T_in: 1.5, P: 3, m_dot: 0.2 }, -30, 0.4);
+ * console.log(`Glace: ${(ice.iceThickness * 1000).toFixed(1)} mm`);
+ */
+function calculateIceLayer(geometry, fluid, T_amb, R_outer, dP_available = Infinity) {
+  // ========== VALIDATION ==========
+
+  if (!geometry || typeof geometry.D_inner !== 'number' || geometry.D_inner <= 0) {
+    throw new Error(`Diamètre intérieur invalide: ${geometry && geometry.D_inner}`);
+  }
+  if (typeof geometry.length !== 'number' || geometry.length <= 0) {
+    throw new Error(`Longueur invalide: ${geometry.length}`);
+  }
+  if (!fluid || typeof fluid.T_in !== 'number' || !isFinite(fluid.T_in)) {
+    throw new Error('Conditions fluide invalides');
+  }
+  if (typeof fluid.m_dot !== 'number' || fluid.m_dot <= 0) {
+    throw new Error(`Débit massique invalide: ${fluid.m_dot}`);
+  }
+  if (typeof T_amb !== 'number' || !isFinite(T_amb)) {
+    throw new Error(`Température ambiante invalide: ${T_amb}`);
+  }
+  if (typeof R_outer !== 'number' || !isFinite(R_outer) || R_outer <= 0) {
+    throw new Error(`Résistance externe invalide: ${R_outer}`);
+  }
+
+  const modules = loadModules();
+  const T_in = Math.max(ICE_INTERFACE_TEMPERATURE, fluid.T_in);
+  const noIceFlow = (water) =>
+    flowInDiameter(geometry.D_inner, geometry, water, fluid.m_dot, modules);
+
+  // Obstruction: toute l'eau disponible gèle, plus d'écoulement en régime permanent
+  const blockedResult = (water) => ({
+    T_out: ICE_INTERFACE_TEMPERATURE,
+    Q_loss: fluid.m_dot * water.cp * (T_in - ICE_INTERFACE_TEMPERATURE),
+    iceThickness: geometry.D_inner / 2,
+    D_flow: 0,
+    blocked: true,
+    dP_ice: 0,
+    R_ice: Infinity,
+    h_int: 0,
+    Re: 0,
+  });
+
+  // ========== ITÉRATION SUR T_moy ==========
+
+  let T_out = T_in;
+  let result = null;
+
+  for (let iter = 0; iter < BULK_ITERATIONS; iter++) {
+    const T_bulk = (T_in + T_out) / 2;
+    const water = modules.waterProps.getWaterProperties(T_bulk, fluid.P, fluid.waterBackend);
+    const solution = solveInterfaceRadius(
+      geometry,
+      T_bulk,
+      T_amb,
+      R_outer,
+      water,
+      fluid.m_dot,
+      modules
+    );
+
+    if (!solution) {
+      result = blockedResult(water);
+      break;
+    }
+
+    const dP_clean = noIceFlow(water).dP;
+    const dP_ice = Math.max(0, solution.dP - dP_clean);
+
+    if (dP_ice >= dP_available) {
+      // La pression disponible ne peut plus pousser l'eau dans la section rétrécie
+      result = blockedResult(water);
+      break;
+    }
+
+    const T_out_new = Math.max(
+      ICE_INTERFACE_TEMPERATURE,
+      T_in - solution.Q / (fluid.m_dot * water.cp)
+    );
+
+    result = {
+      T_out: T_out_new,
+      Q_loss: fluid.m_dot * water.cp * (T_in - T_out_new),
+      iceThickness: geometry.D_inner / 2 - solution.r,
+      D_flow: 2 * solution.r,
+      blocked: false,
+      dP_ice: dP_ice,
+      R_ice: solution.R_ice,
+      h_int: solution.h,
+      Re: solution.Re,
+    };
+
+    T_out = T_out_new;
+  }
+
+  return result;
+}
+
+/**
+ * Température de la paroi intérieure en écoulement sans glace.
+ *
+ * Première interface du profil temperatureProfile (eau → paroi).
+ *
+ * @param {number} T_bulk - Température moyenne de l'eau [°C]
+ * @param {number} T_amb - Température ambiante [°C]
+ * @param {Array<number>} R_layers - Résistances par couche (R_layers[0] = convection interne) [K/W]
+ * @returns {number} Température de paroi intérieure [°C]
+ */
+function innerWallTemperature(T_bulk, T_amb, R_layers) {
+  const resistance = loadModules().resistance;
+  return resistance.temperatureProfile(T_bulk, T_amb, R_layers)[1];
+}
+
+// Export pour navigateur (window global)
+if (typeof window !== 'undefined') {
+  window.IceLayer = {
+    calculateIceLayer,
+    innerWallTemperature,
+    ICE_CONDUCTIVITY,
+  };
+}
+
+// Export conditionnel pour tests Node.js
+if (typeof module !== 'undefined' && module.exports) {
+  module.exports = {
+    calculateIceLayer,
+    innerWallTemperature,
+    ICE_CONDUCTIVITY,
+  };
+}
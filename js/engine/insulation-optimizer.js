@@ -0,0 +1,294 @@
+/**
+ * @typedef {Object} InsulationEconomics
+ * @property {number|Object<string, number>} costPerMm - Coût installé par mètre de conduite
+ *   et par mm d'épaisseur [$/(m·mm)]; un nombre pour tous les isolants, ou un objet
+ *   { matériau: coût } (seuls les isolants listés sont alors évalués)
+ * @property {number} [fixedCost=0] - Part du coût installé indépendante de l'épaisseur
+ *   (main-d'œuvre, gaine de protection) [$/m]
+ * @property {number} energyPrice - Prix de l'énergie de chauffe [$/kWh]
+ * @property {number} operatingHours - Heures de fonctionnement par année [h/an] (0 à 8760)
+ * @property {number} discountRate - Taux d'actualisation annuel [-] (ex: 0.05)
+ * @property {number} [lifetime=20] - Durée de vie de l'isolation [années]
+ */
+
+/**
+ * @typedef {Object} InsulationCostPoint
+ * @property {number} thickness - Épaisseur d'isolant [m]
+ * @property {number} installedCost - Coût installé [$/m]
+ * @property {number} heatLoss - Pertes thermiques moyennes [W/m] (traçage inclus)
+ * @property {number} energyCost - Coût actualisé de l'énergie perdue sur la durée de vie [$/m]
+ * @property {number} lifeCycleCost - Coût global actualisé [$/m]
+ * @property {number} minTemp - Température minimale du fluide [°C]
+ * @property {number} marginToFreeze - Marge au point de congélation [°C]
+ * @property {boolean} freezeSafe - true si detectFreeze ne détecte pas de gel et que la
+ *   marge au point de congélation atteint freezeMargin
+ */
+
+/**
+ * @typedef {Object} InsulationCostCurve
+ * @property {string} material - Identifiant de l'isolant
+ * @property {Array<InsulationCostPoint>} points - Courbe coût-épaisseur
+ * @property {number|null} minSafeThickness - Plus petite épaisseur sans gel [m] (null si aucune)
+ * @property {InsulationCostPoint|null} best - Point sans gel de coût global minimal
+ */
+
+/**
+ * @typedef {Object} InsulationOptimum
+ * @property {boolean} feasible - true si au moins une combinaison isolant-épaisseur est sans gel
+ * @property {Object|null} optimum - Isolant et point retenus ({ material, ...InsulationCostPoint })
+ * @property {Array<InsulationCostCurve>} curves - Courbes coût-épaisseur par isolant
+ * @property {number} presentWorthFactor - Facteur d'actualisation des coûts annuels [années]
+ * @property {number} freezeMargin - Marge au point de congélation exigée [°C]
+ * @property {number} evaluations - Nombre d'évaluations du réseau
+ */
+
+/** Durée de vie par défaut de l'isolation [années] */
+const DEFAULT_LIFETIME = 20;
+
+/** Heures dans une année [h] */
+const HOURS_PER_YEAR = 8760;
+
+/**
+ * Valide qu'une valeur est un nombre fini dans [min, max].
+ * @private
+ */
+function checkRange(value, min, max, label) {
+  if (typeof value !== 'number' || !isFinite(value) || value < min || value > max) {
+    throw new Error(`${label} invalide: ${value} (plage valide: ${min} à ${max})`);
+  }
+}
+
+/**
+ * Facteur d'actualisation d'une annuité constante (present worth factor):
+ *   PWF = [1 - (1 + i)^-n] / i   (PWF = n si i = 0)
+ *
+ * @param {number} discountRate - Taux d'actualisation annuel [-]
+ * @param {number} lifetime - Durée [années]
+ * @returns {number} Facteur d'actualisation [années]
+ *
+ * @example
+ * presentWorthFactor(0.05, 20); // ≈ 12.46
+ */
+function presentWorthFactor(discountRate, lifetime) {
+  checkRange(discountRate, 0, 1, "Taux d'actualisation");
+  checkRange(lifetime, Number.MIN_VALUE, 100, 'Durée de vie');
+
+  if (discountRate === 0) {
+    return lifetime;
+  }
+  return (1 - Math.pow(1 + discountRate, -lifetime)) / discountRate;
+}
+
+/**
+ * Liste les épaisseurs évaluées, de thicknessMin à thicknessMax par pas de thicknessStep.
+ * @private
+ */
+function thicknessGrid(thicknessMin, thicknessMax, thicknessStep) {
+  checkRange(thicknessMin, Number.MIN_VALUE, 1, 'Épaisseur minimale');
+  checkRange(thicknessMax, thicknessMin, 1, 'Épaisseur maximale');
+  checkRange(thicknessStep, Number.MIN_VALUE, 1, "Pas d'épaisseur");
+
+  const count = Math.floor((thicknessMax - thicknessMin) / thicknessStep + 1e-9);
+  const grid = [];
+  for (let i = 0; i <= count; i++) {
+    grid.push(parseFloat((thicknessMin + i * thicknessStep).toFixed(6)));
+  }
+  return grid;
+}
+
+/**
+ * Optimise le choix et l'épaisseur de l'isolant par le coût global actualisé.
+ *
+ * Pour chaque isolant et chaque épaisseur de la plage, calcule le réseau puis:
+ *   coût global = coût installé + pertes [kWh/an] × prix × PWF
+ * où les pertes comptent toute la chaleur cédée à l'ambiance (y compris celle
+ * fournie par le traçage). L'optimum est le coût global minimal parmi les points
+ * sans gel: detectFreeze ne détecte aucun gel et la température minimale reste à
+ * au moins freezeMargin au-dessus du point de congélation.
+ *
+ * L'isolation existante de la configuration (et des tronçons) est remplacée. Le
+ * découpage est fixe (config.numSegments) même si config.adaptive est défini:
+ * l'étude de convergence multiplierait le coût de la centaine d'évaluations.
+ *
+ * @param {Object} config - Configuration du réseau (voir calculatePipeNetwork)
+ * @param {InsulationEconomics} economics - Données économiques
+ * @param {Object} [options={}] - Options d'optimisation
+ * @param {Array<string>} [options.materials] - Isolants évalués (défaut: listMaterials('insulation'))
+ * @param {number} [options.thicknessMin=0.01] - Épaisseur minimale [m]
+ * @param {number} [options.thicknessMax=0.15] - Épaisseur maximale [m]
+ * @param {number} [options.thicknessStep=0.01] - Pas d'épaisseur [m]
+ * @param {number} [options.freezeMargin=5] - Marge exigée au point de congélation [°C]
+ * @returns {InsulationOptimum} Optimum et courbes coût-épaisseur
+ * @throws {Error} Si les paramètres sont invalides
+ *
+ * @example
+ * const result = optimizeInsulation(config, {
+ *   costPerMm: 0.8,
+ *   fixedCost: 25,
+ *   energyPrice: 0.08,
+ *   operatingHours: 4000,
+ *   discountRate: 0.05,
+ * });
+ * if (result.feasible) {
+ *   console.log(`${result.optimum.material}: ${result.optimum.thickness * 1000} mm`);
+ * }
+ */
+function optimizeInsulation(config, economics, options = {}) {
+  const {
+    thicknessMin = 0.01,
+    thicknessMax = 0.15,
+    thicknessStep = 0.01,
+    freezeMargin = 5,
+  } = options;
+
+  // ========== VALIDATION ==========
+
+  if (!config || typeof config !== 'object' || !config.fluid) {
+    throw new Error('Configuration invalide');
+  }
+  if (!Number.isInteger(config.numSegments) || config.numSegments < 1) {
+    throw new Error(`Nombre de segments invalide: ${config.numSegments}`);
+  }
+  if (!economics || typeof economics !== 'object') {
+    throw new Error('Données économiques invalides');
+  }
+
+  const { costPerMm, fixedCost = 0, energyPrice, operatingHours } = economics;
+  const lifetime = economics.lifetime !== undefined ? economics.lifetime : DEFAULT_LIFETIME;
+  checkRange(fixedCost, 0, Infinity, 'Coût fixe');
+  checkRange(energyPrice, 0, Infinity, "Prix de l'énergie");
+  checkRange(operatingHours, 0, HOURS_PER_YEAR, 'Heures de fonctionnement');
+  checkRange(freezeMargin, 0, Infinity, 'Marge au point de congélation');
+  const pwf = presentWorthFactor(economics.discountRate, lifetime);
+  const grid = thicknessGrid(thicknessMin, thicknessMax, thicknessStep);
+
+  // ========== MODULES NÉCESSAIRES ==========
+  const pipeNetwork =
+    typeof window !== 'undefined' && window.calculatePipeNetwork
+      ? { calculatePipeNetwork: window.calculatePipeNetwork }
+      : require('./pipe-network.js');
+  const freezeDetector =
+    typeof window !== 'undefined' && window.detectFreeze
+      ? { detectFreeze: window.detectFreeze }
+      : require('./freeze-detector.js');
+  const materialProps =
+    typeof window !== 'undefined' && window.MaterialProperties
+      ? window.MaterialProperties
+      : require('../properties/material-properties.js');
+
+  // ========== ISOLANTS ET COÛTS ==========
+
+  const insulationMaterials = materialProps.listMaterials('insulation');
+  let materials = options.materials || insulationMaterials;
+  if (typeof costPerMm === 'number') {
+    checkRange(costPerMm, 0, Infinity, 'Coût par mm');
+  } else if (costPerMm && typeof costPerMm === 'object') {
+    materials = materials.filter((material) => costPerMm[material] !== undefined);
+    materials.forEach((material) => {
+      checkRange(costPerMm[material], 0, Infinity, `Coût par mm (${material})`);
+    });
+  } else {
+    throw new Error('Coût par mm invalide');
+  }
+
+  if (!Array.isArray(materials) || materials.length === 0) {
+    throw new Error('Aucun isolant à évaluer');
+  }
+  materials.forEach((material) => {
+    if (!insulationMaterials.includes(material)) {
+      throw new Error(`Isolant inconnu: '${material}'`);
+    }
+  });
+
+  // ========== ÉVALUATION ==========
+
+  let evaluations = 0;
+
+  // Même isolant sur tous les tronçons (remplace l'isolation existante)
+  const evaluate = (material, thickness) => {
+    evaluations++;
+    const insulation = { material, thickness };
+    const insulatedConfig = { ...config, insulation };
+    delete insulatedConfig.adaptive;
+    if (Array.isArray(config.sections)) {
+      insulatedConfig.sections = config.sections.map((section) => ({ ...section, insulation }));
+    }
+    return pipeNetwork.calculatePipeNetwork(insulatedConfig);
+  };
+
+  const curves = materials.map((material) => {
+    const rate = typeof costPerMm === 'number' ? costPerMm : costPerMm[material];
+
+    const points = grid.map((thickness) => {
+      const network = evaluate(material, thickness);
+      const analysis = freezeDetector.detectFreeze(
+        network.T_profile,
+        network.x_profile,
+        network.T_freeze
+      );
+
+      const heatLoss = (network.Q_loss_total + network.Q_trace_total) / network.totalLength;
+      const annualEnergy = (Math.max(heatLoss, 0) * operatingHours) / 1000; // kWh/(m·an)
+      const installedCost = fixedCost + rate * thickness * 1000;
+      const energyCost = annualEnergy * energyPrice * pwf;
+
+      return {
+        thickness,
+        installedCost,
+        heatLoss,
+        energyCost,
+        lifeCycleCost: installedCost + energyCost,
+        minTemp: analysis.minTemp,
+        marginToFreeze: analysis.marginToFreeze,
+        freezeSafe: !analysis.freezeDetected && analysis.marginToFreeze >= freezeMargin,
+      };
+    });
+
+    const safePoints = points.filter((point) => point.freezeSafe);
+    const best = safePoints.reduce(
+      (min, point) => (min === null || point.lifeCycleCost < min.lifeCycleCost ? point : min),
+      null
+    );
+
+    return {
+      material,
+      points,
+      minSafeThickness: safePoints.length > 0 ? safePoints[0].thickness : null,
+      best,
+    };
+  });
+
+  // ========== OPTIMUM ==========
+
+  let optimum = null;
+  curves.forEach((curve) => {
+    if (curve.best && (optimum === null || curve.best.lifeCycleCost < optimum.lifeCycleCost)) {
+      optimum = { material: curve.material, ...curve.best };
+    }
+  });
+
+  return {
+    feasible: optimum !== null,
+    optimum,
+    curves,
+    presentWorthFactor: pwf,
+    freezeMargin,
+    evaluations,
+  };
+}
+
+// Export pour navigateur (window global)
+if (typeof window !== 'undefined') {
+  window.InsulationOptimizer = {
+    optimizeInsulation,
+    presentWorthFactor,
+  };
+}
+
+// Export conditionnel pour tests Node.js
+if (typeof module !== 'undefined' && module.exports) {
+  module.exports = {
+    optimizeInsulation,
+    presentWorthFactor,
+  };
+}
@@ -0,0 +1,510 @@
+/**
+ * @typedef {Object} Distribution
+ * @property {string} type - 'normal', 'uniform' ou 'triangular'
+ * @property {number} [mean] - Moyenne (normale; défaut: valeur nominale)
+ * @property {number} [std] - Écart-type absolu (normale)
+ * @property {number} [relStd] - Écart-type relatif à la moyenne (normale, ex: 0.15 = ±15 %)
+ * @property {number} [min] - Borne inférieure (uniforme, triangulaire; troncature de la normale)
+ * @property {number} [max] - Borne supérieure (uniforme, triangulaire; troncature de la normale)
+ * @property {number} [mode] - Valeur la plus probable (triangulaire; défaut: valeur nominale)
+ */
+
+/**
+ * @typedef {Object} MonteCarloRun
+ * @property {Object<string, number>} values - Valeurs tirées par paramètre
+ * @property {number} minTemp - Température minimale du fluide [°C]
+ * @property {boolean} freezeDetected - Verdict de detectFreeze pour ce tirage
+ */
+
+/**
+ * @typedef {Object} MonteCarloResult
+ * @property {number} samples - Nombre de tirages
+ * @property {number} seed - Graine du générateur
+ * @property {number} freezeCount - Tirages avec gel détecté
+ * @property {number} probabilityFreeze - Probabilité de gel P(gel) [-]
+ * @property {Object} confidence95 - Intervalle de confiance à 95 % de P(gel) (Wilson) { low, high }
+ * @property {number} probabilityBelowSafety - Probabilité que minTemp < T_freeze + safetyMargin [-]
+ * @property {number} T_freeze - Point de congélation du fluide [°C]
+ * @property {number} safetyThreshold - Seuil de sécurité T_freeze + safetyMargin [°C]
+ * @property {Object} minTemp - Statistiques de minTemp { mean, std, min, max, percentiles }
+ *   (percentiles: { p5, p10, p50, p90, p95 } [°C])
+ * @property {Object} histogram - Histogramme de minTemp { edges, counts, freezeCounts }
+ *   (edges: bins + 1 bornes [°C]; freezeCounts: tirages gelés par classe)
+ * @property {Array<MonteCarloRun>} runs - Tirages dans l'ordre de simulation
+ */
+
+/**
+ * Paramètres incertains reconnus: emplacement dans la configuration et domaine
+ * physique (les tirages hors domaine sont rejetés puis retirés).
+ * Les températures sont en plus restreintes à la plage des propriétés
+ * (fluide pour T_in, air pour T_amb; voir parameterDomain).
+ * insulationFactor multiplie l'épaisseur d'isolant (1 = isolation intacte,
+ * 0.5 = moitié de l'épaisseur efficace, ex: isolant écrasé ou mouillé).
+ */
+const UNCERTAIN_PARAMETERS = {
+  m_dot: { path: ['fluid', 'm_dot'], min: Number.MIN_VALUE, max: Infinity },
+  T_in: { path: ['fluid', 'T_in'], min: -Infinity, max: Infinity },
+  T_amb: { path: ['ambient', 'T_amb'], min: -Infinity, max: Infinity },
+  V_wind: { path: ['ambient', 'V_wind'], min: 0, max: Infinity },
+  insulationFactor: { path: null, min: Number.MIN_VALUE, max: Infinity },
+};
+
+Object.freeze(UNCERTAIN_PARAMETERS);
+for (const key in UNCERTAIN_PARAMETERS) {
+  Object.freeze(UNCERTAIN_PARAMETERS[key]);
+}
+
+/** Centiles de minTemp rapportés */
+const PERCENTILES = [5, 10, 50, 90, 95];
+
+/** Nombre maximal de tirages rejetés avant abandon (distribution hors domaine) */
+const MAX_REJECTIONS = 1000;
+
+/**
+ * Valide qu'une valeur est un nombre fini dans [min, max].
+ * @private
+ */
+function checkRange(value, min, max, label) {
+  if (typeof value !== 'number' || !isFinite(value) || value < min || value > max) {
+    throw new Error(`${label} invalide: ${value} (plage valide: ${min} à ${max})`);
+  }
+}
+
+/**
+ * Générateur pseudo-aléatoire à graine (mulberry32).
+ *
+ * Même interface que le SeededRandom de scripts/generate_validation_sample.js,
+ * mais période de 2^32: le générateur congruentiel de ce script (période 233280)
+ * boucle avant quelques milliers de tirages gaussiens.
+ *
+ * @example
+ * const rng = new SeededRandom(42);
+ * const u = rng.next(); // [0, 1), même suite à chaque exécution
+ */
+class SeededRandom {
+  constructor(seed = 42) {
+    this.seed = seed >>> 0;
+  }
+
+  /** Nombre uniforme dans [0, 1) */
+  next() {
+    this.seed = (this.seed + 0x6d2b79f5) >>> 0;
+    let t = this.seed;
+    t = Math.imul(t ^ (t >>> 15), t | 1);
+    t ^= t + Math.imul(t ^ (t >>> 7), t | 61);
+    return ((t ^ (t >>> 14)) >>> 0) / 4294967296;
+  }
+
+  /** Tirage normal (Box-Muller) */
+  normal(mean, std) {
+    const u1 = 1 - this.next(); // ]0, 1]: évite log(0)
+    const u2 = this.next();
+    return mean + std * Math.sqrt(-2 * Math.log(u1)) * Math.cos(2 * Math.PI * u2);
+  }
+
+  /** Tirage uniforme dans [min, max] */
+  uniform(min, max) {
+    return min + this.next() * (max - min);
+  }
+
+  /** Tirage triangulaire (inversion de la fonction de répartition) */
+  triangular(min, mode, max) {
+    if (max === min) {
+      return min;
+    }
+    const u = this.next();
+    const split = (mode - min) / (max - min);
+    return u < split
+      ? min + Math.sqrt(u * (max - min) * (mode - min))
+      : max - Math.sqrt((1 - u) * (max - min) * (max - mode));
+  }
+}
+
+/**
+ * Valeur nominale d'un paramètre dans la configuration.
+ * @private
+ */
+function nominalValue(config, name) {
+  const parameter = UNCERTAIN_PARAMETERS[name];
+  if (parameter.path === null) {
+    return 1;
+  }
+  const [group, key] = parameter.path;
+  const value = config[group] ? config[group][key] : undefined;
+  if (typeof value !== 'number' || !isFinite(value)) {
+    throw new Error(`Paramètre '${name}' absent de la configuration`);
+  }
+  return value;
+}
+
+/**
+ * Domaine de tirage d'un paramètre: domaine physique, restreint pour les
+ * températures à la plage des propriétés du fluide (T_in) ou de l'air (T_amb).
+ * @private
+ */
+function parameterDomain(config, name) {
+  const parameter = UNCERTAIN_PARAMETERS[name];
+  if (name === 'T_in') {
+    const fluidProps =
+      typeof window !== 'undefined' && window.FluidProperties
+        ? window.FluidProperties
+        : require('../properties/fluid-properties.js');
+    const range = fluidProps.temperatureRange(config.fluid);
+    return { min: range.T_min, max: range.T_max };
+  }
+  if (name === 'T_amb') {
+    const airProps =
+      typeof window !== 'undefined' && window.AirProperties
+        ? window.AirProperties
+        : require('../properties/air-properties.js');
+    return { min: airProps.AIR_T_MIN, max: airProps.AIR_T_MAX };
+  }
+  return { min: parameter.min, max: parameter.max };
+}
+
+/**
+ * Valide une distribution et la résout en fonction de tirage.
+ * @private
+ */
+function resolveDistribution(name, spec, nominal, parameter) {
+  if (!spec || typeof spec !== 'object') {
+    throw new Error(`Distribution de '${name}' invalide`);
+  }
+  const label = `${name} (${spec.type})`;
+
+  switch (spec.type) {
+    case 'normal': {
+      const mean = spec.mean !== undefined ? spec.mean : nominal;
+      checkRange(mean, -Infinity, Infinity, `Moyenne de ${label}`);
+      let std;
+      if (spec.relStd !== undefined) {
+        checkRange(spec.relStd, 0, Infinity, `Écart-type relatif de ${label}`);
+        std = spec.relStd * Math.abs(mean);
+      } else {
+        std = spec.std;
+        checkRange(std, 0, Infinity, `Écart-type de ${label}`);
+      }
+      const lower = Math.max(spec.min !== undefined ? spec.min : -Infinity, parameter.min);
+      const upper = Math.min(spec.max !== undefined ? spec.max : Infinity, parameter.max);
+      if (!(lower <= upper)) {
+        throw new Error(`Bornes de ${label} invalides: ${spec.min} à ${spec.max}`);
+      }
+      return { sample: (rng) => rng.normal(mean, std), lower, upper };
+    }
+    case 'uniform': {
+      checkRange(spec.min, -Infinity, Infinity, `Minimum de ${label}`);
+      checkRange(spec.max, spec.min, Infinity, `Maximum de ${label}`);
+      return {
+        sample: (rng) => rng.uniform(spec.min, spec.max),
+        lower: parameter.min,
+        upper: parameter.max,
+      };
+    }
+    case 'triangular': {
+      checkRange(spec.min, -Infinity, Infinity, `Minimum de ${label}`);
+      checkRange(spec.max, spec.min, Infinity, `Maximum de ${label}`);
+      const mode = spec.mode !== undefined ? spec.mode : nominal;
+      checkRange(mode, spec.min, spec.max, `Mode de ${label}`);
+      return {
+        sample: (rng) => rng.triangular(spec.min, mode, spec.max),
+        lower: parameter.min,
+        upper: parameter.max,
+      };
+    }
+    default:
+      throw new Error(
+        `Type de distribution inconnu pour '${name}': '${spec.type}'. Disponibles: normal, uniform, triangular`
+      );
+  }
+}
+
+/**
+ * Tire une valeur dans le domaine physique du paramètre (rejet des tirages hors domaine).
+ * @private
+ */
+function drawValue(name, distribution, rng) {
+  for (let attempt = 0; attempt < MAX_REJECTIONS; attempt++) {
+    const value = distribution.sample(rng);
+    if (value >= distribution.lower && value <= distribution.upper) {
+      return value;
+    }
+  }
+  throw new Error(`Distribution de '${name}' presque entièrement hors de son domaine`);
+}
+
+/**
+ * Applique les valeurs tirées à une copie de la configuration.
+ * @private
+ */
+function applyValues(config, values) {
+  const sampled = { ...config, fluid: { ...config.fluid }, ambient: { ...config.ambient } };
+  delete sampled.adaptive;
+
+  for (const name in values) {
+    const parameter = UNCERTAIN_PARAMETERS[name];
+    if (parameter.path !== null) {
+      sampled[parameter.path[0]][parameter.path[1]] = values[name];
+    }
+  }
+
+  // Facteur d'isolation: épaisseur réduite sur la conduite et sur chaque tronçon isolé
+  if (values.insulationFactor !== undefined) {
+    const insulationLayers =
+      typeof window !== 'undefined' && window.InsulationLayers
+        ? window.InsulationLayers
+        : require('../calculations/insulation-layers.js');
+    const scale = (insulation) =>
+      insulationLayers.scaleInsulation(insulation, values.insulationFactor);
+    sampled.insulation = scale(config.insulation);
+    if (Array.isArray(config.sections)) {
+      sampled.sections = config.sections.map((section) => ({
+        ...section,
+        insulation: scale(section.insulation),
+      }));
+    }
+  }
+
+  return sampled;
+}
+
+/**
+ * Centile par interpolation linéaire entre les valeurs triées.
+ *
+ * @param {Array<number>} sorted - Valeurs triées par ordre croissant
+ * @param {number} p - Centile [%] (0 à 100)
+ * @returns {number} Valeur du centile
+ */
+function percentile(sorted, p) {
+  checkRange(p, 0, 100, 'Centile');
+  if (!Array.isArray(sorted) || sorted.length === 0) {
+    throw new Error('Liste de valeurs vide');
+  }
+  const position = (p / 100) * (sorted.length - 1);
+  const lower = Math.floor(position);
+  const upper = Math.ceil(position);
+  return sorted[lower] + (sorted[upper] - sorted[lower]) * (position - lower);
+}
+
+/**
+ * Intervalle de confiance de Wilson à 95 % d'une proportion.
+ * @private
+ */
+function wilsonInterval(successes, trials) {
+  const z = 1.96;
+  const p = successes / trials;
+  const denominator = 1 + (z * z) / trials;
+  const center = (p + (z * z) / (2 * trials)) / denominator;
+  const halfWidth =
+    (z * Math.sqrt((p * (1 - p)) / trials + (z * z) / (4 * trials * trials))) / denominator;
+  return { low: Math.max(0, center - halfWidth), high: Math.min(1, center + halfWidth) };
+}
+
+/**
+ * Histogramme de minTemp en classes de largeur égale.
+ * @private
+ */
+function buildHistogram(runs, bins) {
+  const temps = runs.map((run) => run.minTemp);
+  const low = Math.min(...temps);
+  const high = Math.max(...temps);
+  const width = high > low ? (high - low) / bins : 1;
+
+  const edges = [];
+  for (let i = 0; i <= bins; i++) {
+    edges.push(low + i * width);
+  }
+  const counts = new Array(bins).fill(0);
+  const freezeCounts = new Array(bins).fill(0);
+  runs.forEach((run) => {
+    const index = Math.min(Math.floor((run.minTemp - low) / width), bins - 1);
+    counts[index]++;
+    if (run.freezeDetected) {
+      freezeCounts[index]++;
+    }
+  });
+
+  return { edges, counts, freezeCounts };
+}
+
+/**
+ * Analyse d'incertitude Monte Carlo: probabilité de gel.
+ *
+ * Chaque tirage remplace les paramètres incertains de la configuration par des
+ * valeurs tirées de leur distribution, calcule le réseau (calculatePipeNetwork)
+ * puis applique detectFreeze au profil de température. P(gel) est la fraction
+ * des tirages gelés, avec son intervalle de confiance de Wilson à 95 %: avec
+ * 500 tirages, une probabilité de 1 % reste connue à ±1 % près environ.
+ *
+ * Les tirages sont reproductibles (même graine, même résultat). Les paramètres
+ * sont indépendants; une normale est tronquée à ses bornes min/max et au domaine
+ * physique du paramètre (débit > 0, vent ≥ 0). Le découpage est fixe
+ * (config.numSegments), sans étude de convergence. Un tirage gelé plafonne la
+ * température au point de congélation: les centiles bas valent alors T_freeze.
+ *
+ * @param {Object} config - Configuration du réseau (voir calculatePipeNetwork)
+ * @param {Object<string, Distribution>} uncertainties - Distribution par paramètre:
+ *   m_dot, T_in, T_amb, V_wind, insulationFactor
+ * @param {Object} [options={}] - Options de simulation
+ * @param {number} [options.samples=500] - Nombre de tirages
+ * @param {number} [options.seed=42] - Graine du générateur
+ * @param {number} [options.bins=20] - Nombre de classes de l'histogramme
+ * @param {number} [options.safetyMargin=5] - Marge du seuil de sécurité au-dessus du gel [°C]
+ * @returns {MonteCarloResult} Probabilité de gel et distribution de minTemp
+ * @throws {Error} Si les paramètres sont invalides ou si un tirage ne peut être calculé
+ *
+ * @example
+ * const result = runMonteCarlo(config, {
+ *   m_dot: { type: 'normal', relStd: 0.15 },
+ *   T_amb: { type: 'normal', std: 3 },
+ *   insulationFactor: { type: 'triangular', min: 0.5, mode: 1, max: 1 },
+ * });
+ * console.log(`P(gel) = ${(result.probabilityFreeze * 100).toFixed(1)} %`);
+ */
+function runMonteCarlo(config, uncertainties, options = {}) {
+  const { samples = 500, seed = 42, bins = 20, safetyMargin = 5 } = options;
+
+  // ========== VALIDATION ==========
+
+  if (!config || typeof config !== 'object' || !config.fluid || !config.ambient) {
+    throw new Error('Configuration invalide');
+  }
+  if (!Number.isInteger(config.numSegments) || config.numSegments < 1) {
+    throw new Error(`Nombre de segments invalide: ${config.numSegments}`);
+  }
+  if (!Number.isInteger(samples) || samples < 1 || samples > 100000) {
+    throw new Error(`Nombre de tirages invalide: ${samples} (plage valide: 1 à 100000)`);
+  }
+  if (!Number.isInteger(seed)) {
+    throw new Error(`Graine invalide: ${seed}`);
+  }
+  if (!Number.isInteger(bins) || bins < 1 || bins > 200) {
+    throw new Error(`Nombre de classes invalide: ${bins} (plage valide: 1 à 200)`);
+  }
+  checkRange(safetyMargin, 0, Infinity, 'Marge de sécurité');
+
+  if (!uncertainties || typeof uncertainties !== 'object') {
+    throw new Error('Incertitudes invalides');
+  }
+  const names = Object.keys(uncertainties);
+  if (names.length === 0) {
+    throw new Error('Aucun paramètre incertain');
+  }
+  const distributions = {};
+  names.forEach((name) => {
+    if (!UNCERTAIN_PARAMETERS[name]) {
+      const available = Object.keys(UNCERTAIN_PARAMETERS).join(', ');
+      throw new Error(`Paramètre incertain inconnu: '${name}'. Disponibles: ${available}`);
+    }
+    if (name === 'insulationFactor' && !config.insulation && !Array.isArray(config.sections)) {
+      throw new Error("Facteur d'isolation sans isolation dans la configuration");
+    }
+    distributions[name] = resolveDistribution(
+      name,
+      uncertainties[name],
+      nominalValue(config, name),
+      parameterDomain(config, name)
+    );
+  });
+
+  // ========== MODULES NÉCESSAIRES ==========
+  const pipeNetwork =
+    typeof window !== 'undefined' && window.calculatePipeNetwork
+      ? { calculatePipeNetwork: window.calculatePipeNetwork }
+      : require('./pipe-network.js');
+  const freezeDetector =
+    typeof window !== 'undefined' && window.detectFreeze
+      ? { detectFreeze: window.detectFreeze }
+      : require('./freeze-detector.js');
+
+  // ========== TIRAGES ==========
+
+  const rng = new SeededRandom(seed);
+  let T_freeze = null;
+
+  const runs = [];
+  for (let i = 0; i < samples; i++) {
+    const values = {};
+    names.forEach((name) => {
+      values[name] = drawValue(name, distributions[name], rng);
+    });
+
+    let network;
+    try {
+      network = pipeNetwork.calculatePipeNetwork(applyValues(config, values));
+    } catch (error) {
+      throw new Error(`Tirage ${i + 1}: ${error.message}`);
+    }
+    const analysis = freezeDetector.detectFreeze(
+      network.T_profile,
+      network.x_profile,
+      network.T_freeze
+    );
+
+    T_freeze = network.T_freeze;
+    runs.push({ values, minTemp: analysis.minTemp, freezeDetected: analysis.freezeDetected });
+  }
+
+  // ========== STATISTIQUES ==========
+
+  const freezeCount = runs.filter((run) => run.freezeDetected).length;
+  const safetyThreshold = T_freeze + safetyMargin;
+  const belowSafety = runs.filter((run) => run.minTemp < safetyThreshold).length;
+
+  const temps = runs.map((run) => run.minTemp).sort((a, b) => a - b);
+  const mean = temps.reduce((sum, T) => sum + T, 0) / samples;
+  const variance =
+    samples > 1 ? temps.reduce((sum, T) => sum + (T - mean) * (T - mean), 0) / (samples - 1) : 0;
+  const percentiles = {};
+  PERCENTILES.forEach((p) => {
+    percentiles[`p${p}`] = percentile(temps, p);
+  });
+
+  return {
+    samples,
+    seed,
+    freezeCount,
+    probabilityFreeze: freezeCount / samples,
+    confidence95: wilsonInterval(freezeCount, samples),
+    probabilityBelowSafety: belowSafety / samples,
+    T_freeze,
+    safetyThreshold,
+    minTemp: {
+      mean,
+      std: Math.sqrt(variance),
+      min: temps[0],
+      max: temps[temps.length - 1],
+      percentiles,
+    },
+    histogram: buildHistogram(runs, bins),
+    runs,
+  };
+}
+
+/**
+ * Liste les paramètres incertains reconnus.
+ *
+ * @returns {Array<string>} Noms des paramètres
+ */
+function listUncertainParameters() {
+  return Object.keys(UNCERTAIN_PARAMETERS);
+}
+
+// Export pour navigateur (window global)
+if (typeof window !== 'undefined') {
+  window.MonteCarlo = {
+    SeededRandom,
+    runMonteCarlo,
+    percentile,
+    listUncertainParameters,
+  };
+}
+
+// Export conditionnel pour tests Node.js
+if (typeof module !== 'undefined' && module.exports) {
+  module.exports = {
+    SeededRandom,
+    runMonteCarlo,
+    percentile,
+    listUncertainParameters,
+  };
+}
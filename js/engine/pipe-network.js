@@ -5,38 +5,889 @@
  * @property {number} geometry.D_outer - Diamètre extérieur [m]
  * @property {number} geometry.roughness - Rugosité absolue [m]
  * @property {string} geometry.material - Matériau conduite
+ * @property {Object} [geometry.fouling] - Encrassement intérieur ({type} et/ou {factor,
+ *   thickness, roughness}, voir calculations/fouling.js): résistance en série avec la
+ *   convection interne, diamètre hydraulique réduit et rugosité du dépôt
  * @property {number} totalLength - Longueur totale [m]
- * @property {number} numSegments - Nombre de segments
+ * @property {number} numSegments - Nombre de segments (nombre initial en mode adaptatif,
+ *   optionnel: 10 par défaut)
+ * @property {boolean|AdaptiveConfig} [adaptive] - Découpage adaptatif avec étude de
+ *   convergence (true = tolérances par défaut)
  * @property {Object} fluid - Conditions fluide initiales
  * @property {number} fluid.T_in - Température entrée [°C]
  * @property {number} fluid.P - Pression [bar]
  * @property {number} fluid.m_dot - Débit massique [kg/s]
+ * @property {string} [fluid.type='water'] - Fluide: 'water', 'ethylene_glycol', 'propylene_glycol'
+ * @property {number} [fluid.concentration] - Concentration massique du glycol [%] (20 à 50)
+ * @property {string} [fluid.waterBackend='table'] - Propriétés de l'eau: 'table' (0–10 bar)
+ *   ou 'if97' (équations IAPWS-IF97, jusqu'à 1000 bar)
  * @property {Object} ambient - Conditions ambiantes
  * @property {number} ambient.T_amb - Température ambiante [°C]
  * @property {number} ambient.V_wind - Vitesse vent [m/s]
- * @property {Object|null} insulation - Isolation optionnelle
- * @property {string} [insulation.material] - Matériau isolation
- * @property {number} [insulation.thickness] - Épaisseur [m]
+ * @property {Object} [ambient.burial] - Conduite enterrée (voir calculations/buried-pipe.js)
+ * @property {Object} [ambient.radiation] - Rayonnement de ciel et apport solaire (voir
+ *   calculations/sky-radiation.js); hors zones ambiantes uniquement
+ * @property {string} [ambient.terrain='open'] - Catégorie de terrain du profil de vent
+ *   ('open', 'suburban', 'urban'); V_wind (et celui des zones) est mesuré à 10 m en rase
+ *   campagne et ramené à la hauteur de chaque tronçon (voir calculations/wind-exposure.js)
+ * @property {Object|Array<Object>|null} insulation - Isolation optionnelle: couche unique
+ *   {material, thickness}, tableau ordonné de couches (du tuyau vers l'extérieur) ou
+ *   {layers, jacket} (voir calculations/insulation-layers.js)
+ * @property {string} [insulation.material] - Matériau isolation (couche unique)
+ * @property {number} [insulation.thickness] - Épaisseur [m] (couche unique)
+ * @property {Array<PipeSection>} [sections] - Tronçons successifs; remplacent
+ *   geometry, insulation et totalLength lorsqu'ils sont fournis. API du moteur
+ *   seulement: le formulaire décrit une conduite uniforme
+ * @property {Array<AmbientZone>} [ambientZones] - Zones ambiantes le long de x;
+ *   hors zone, les conditions de `ambient` s'appliquent
+ * @property {Object|null} [heatTracing] - Traçage électrique ({power} [W/m] ou {curve}
+ *   autorégulante); s'applique aux tronçons qui ne définissent pas le leur
+ * @property {Object} [orientation] - Inclinaison, angle du vent et hauteur au-dessus du sol
+ *   (voir calculations/wind-exposure.js); s'applique aux tronçons qui ne définissent pas
+ *   la leur. Horizontale, vent perpendiculaire, 10 m par défaut
+ * @property {Array<ElevationPoint>} [elevationProfile] - Altitude le long de x (linéaire
+ *   entre les points); prioritaire sur les `z_end` des tronçons. Conduite horizontale par défaut
+ * @property {Array<FittingConfig>} [fittings] - Raccords et vannes (pertes singulières
+ *   K·ρV²/2, voir calculations/minor-losses.js)
+ * @property {Array<ThermalBridgeConfig>} [thermalBridges] - Ponts thermiques ponctuels:
+ *   supports, vannes et brides non isolés (UA [W/K] ou longueur nue équivalente, voir
+ *   calculations/thermal-bridges.js); conduite aérienne uniquement
+ */
+
+/**
+ * @typedef {Object} AdaptiveConfig
+ * @property {number} [tolerance=0.01] - Variation admise de T_final entre deux raffinements [K]
+ * @property {number} [positionTolerance] - Variation admise de la position de gel [m]
+ *   (défaut: 1% de la longueur totale)
+ * @property {number} [pressureTolerance=0.01] - Variation relative admise de dP_total [-]
+ *   (la perte de charge de la glace dépend fortement du découpage)
+ * @property {number} [maxSegments=1000] - Nombre maximal de segments planifiés
+ */
+
+/**
+ * @typedef {Object} ConvergenceInfo
+ * @property {boolean} converged - true si les trois tolérances sont respectées
+ * @property {number} passes - Nombre de calculs complets effectués
+ * @property {number} numSegments - Nombre de segments du calcul retenu (découpes aux
+ *   zones et au profil d'altitude incluses)
+ * @property {number|null} T_final_error - Erreur numérique estimée sur T_final [K]
+ *   (écart avec le raffinement précédent; null après un seul calcul)
+ * @property {number|null} frozenAtPosition_error - Erreur estimée sur la position de gel [m]:
+ *   écart avec le raffinement précédent ou longueur du segment où le gel a lieu, le plus
+ *   grand des deux (0 sans gel; Infinity si le gel apparaît ou disparaît au dernier raffinement)
+ * @property {number|null} dP_total_error - Erreur relative estimée sur dP_total [-]
+ *   (écart avec le raffinement précédent; null après un seul calcul ou si la glace obstrue
+ *   la conduite: sans écoulement, la perte de charge n'est pas définie)
+ * @property {number} tolerance - Tolérance sur T_final [K]
+ * @property {number} positionTolerance - Tolérance sur la position de gel [m]
+ * @property {number} pressureTolerance - Tolérance relative sur dP_total [-]
+ * @property {Array<Object>} history - Calculs successifs {numSegments, T_final, frozenAtPosition,
+ *   dP_total}
+ */
+
+/**
+ * @typedef {Object} ElevationPoint
+ * @property {number} x - Position le long de la conduite [m]
+ * @property {number} z - Altitude relative [m] (même référence pour tous les points)
+ */
+
+/**
+ * @typedef {Object} FittingResult
+ * @property {string} type - Type d'accessoire
+ * @property {number} count - Nombre d'accessoires
+ * @property {number|null} position - Position [m] (null = répartis sur la conduite)
+ * @property {number} K - Coefficient de perte unitaire [-] (moyenne pondérée par la longueur
+ *   si l'accessoire est réparti sur des tronçons de diamètres différents)
+ * @property {number} dP - Perte de charge totale des accessoires [Pa]
+ */
+
+/**
+ * @typedef {Object} PointLoss
+ * @property {number} x - Position [m]
+ * @property {number} bridgeIndex - Indice du pont dans `thermalBridges`
+ * @property {string} type - Type de pont
+ * @property {string} category - 'support', 'valve', 'flange' ou 'other'
+ * @property {number} count - Nombre d'éléments à cette position
+ * @property {number} UA - Conductance appliquée [W/K] (longueur nue convertie)
+ * @property {number} T_before - Température du fluide en amont [°C]
+ * @property {number} T_after - Température du fluide en aval [°C]
+ * @property {number} Q - Perte thermique [W]
+ */
+
+/**
+ * @typedef {Object} ThermalBridgeResult
+ * @property {string} type - Type de pont
+ * @property {string} category - 'support', 'valve', 'flange' ou 'other'
+ * @property {number|null} UA - Conductance par élément [W/K] (null si longueur nue)
+ * @property {number|null} bareLength - Longueur nue équivalente par élément [m]
+ * @property {number} count - Nombre d'éléments (par position avec position ou spacing)
+ * @property {number|null} position - Position imposée [m]
+ * @property {number|null} spacing - Espacement [m]
+ * @property {Array<number>} positions - Positions [m]
+ * @property {number} Q - Perte thermique totale du pont [W]
+ */
+
+/**
+ * @typedef {Object} AmbientZone
+ * @property {number} x_start - Début de la zone [m]
+ * @property {number} x_end - Fin de la zone [m]
+ * @property {boolean} [fromOutlet=false] - Bornes mesurées depuis la sortie (vers l'entrée):
+ *   la zone couvre [L - x_end, L - x_start] et reste collée à la sortie quelle que soit
+ *   la longueur L
+ * @property {number} T_amb - Température de l'air dans la zone [°C]
+ * @property {number} V_wind - Vitesse du vent dans la zone [m/s] (0 à l'intérieur)
+ * @property {string} [label] - Libellé d'affichage (ex: 'Garage')
+ * @property {Object} [radiation] - Rayonnement de ciel propre à la zone; absent = la
+ *   conduite rayonne vers l'air de la zone (le ciel de `ambient` ne s'applique pas)
+ */
+
+/**
+ * @typedef {Object} PipeSection
+ * @property {number} length - Longueur du tronçon [m]
+ * @property {Object} geometry - Géométrie du tronçon (D_inner, D_outer, roughness, material)
+ * @property {Object|null} [insulation] - Isolation du tronçon (null = nu)
+ * @property {Object} [spec] - Métadonnées d'affichage (ex: { schedule: '40', nps: 4 })
+ * @property {Object|null} [heatTracing] - Traçage du tronçon (null = aucun; absent = celui
+ *   de la configuration)
+ * @property {number} [z_end] - Altitude en fin de tronçon [m], relative à l'entrée (z = 0);
+ *   absente = même altitude que le tronçon précédent
+ * @property {Object|null} [orientation] - Orientation du tronçon ({inclination, windAngle,
+ *   height}; absente = celle de la configuration). Une colonne montante (inclination: 90)
+ *   est en flux croisé quel que soit le vent; sa convection naturelle se développe sur
+ *   toute la longueur du tronçon
  */
 
 /**
  * @typedef {Object} NetworkResult
  * @property {Array<number>} T_profile - Températures [°C] (N+1 valeurs: entrée + N sorties)
  * @property {Array<number>} x_profile - Positions [m] (N+1 valeurs)
- * @property {Array<number>} P_profile - Pressions [bar] (N+1 valeurs)
+ * @property {Array<number>} P_profile - Pressions [bar] (N+1 valeurs), friction et
+ *   dénivelé inclus
+ * @property {Array<number>} z_profile - Altitudes [m] (N+1 valeurs)
  * @property {number} T_final - Température finale [°C]
- * @property {number} dP_total - Perte charge totale [Pa]
- * @property {number} Q_loss_total - Perte thermique totale [W]
+ * @property {number} dP_total - Perte charge totale par friction, raccords et vannes inclus [Pa]
+ * @property {number} dP_fittings_total - Part des raccords et vannes dans dP_total [Pa]
+ * @property {number} dP_static_total - Variation de pression hydrostatique totale [Pa]
+ *   (positive en montée)
+ * @property {number} minPressure - Pression minimale [bar]
+ * @property {number} minPressurePosition - Position de la pression minimale [m]
+ * @property {number} Q_loss_total - Perte thermique nette totale [W] (négative si le traçage
+ *   apporte plus que les pertes), ponts thermiques inclus
+ * @property {number} Q_distributed_total - Part répartie le long de la conduite [W]
+ * @property {number} Q_point_total - Part des ponts thermiques ponctuels [W]
+ * @property {number} Q_trace_total - Puissance de traçage totale [W]
  * @property {number} minTemp - Température minimale atteinte [°C]
  * @property {number} minTempPosition - Position de la température minimale [m]
- * @property {Array<Object>} segmentResults - Résultats détaillés par segment
+ * @property {boolean} iceDetected - true si une couche de glace se forme sur au moins un segment
+ * @property {number} maxIceThickness - Épaisseur de glace maximale [m]
+ * @property {number|null} blockedAtPosition - Début du premier segment obstrué par la glace [m]
+ * @property {Array<Object>} segmentResults - Résultats détaillés par segment (avec sectionIndex,
+ *   iceThickness, D_flow, blocked, dP_ice, convectionRegime, Ri, inclination, V_wind_local,
+ *   Q_point et dT_point des ponts thermiques du segment)
+ * @property {number} totalLength - Longueur totale résolue [m]
+ * @property {Array<Object>} sections - Tronçons normalisés avec positions x_start/x_end [m]
+ * @property {Array<Object>} ambientZones - Zones ambiantes normalisées (triées, bornées à la conduite)
+ * @property {Object|null} burial - Enfouissement résolu (profondeur de gel, sol gelé à la conduite),
+ *   null pour une conduite aérienne
+ * @property {Object|null} radiation - Rayonnement de ciel résolu (T_sky, T_surroundings,
+ *   solarIrradiance, ...), null sans rayonnement de ciel
+ * @property {number} T_freeze - Point de congélation du fluide [°C] (seuil de gel du réseau)
+ * @property {Array<ElevationPoint>} elevationProfile - Profil d'altitude normalisé (vide si
+ *   conduite horizontale)
+ * @property {Array<ElevationPoint>} lowPoints - Points bas intérieurs (l'eau y reste après une
+ *   vidange par les extrémités)
+ * @property {Array<FittingResult>} fittings - Contribution de chaque accessoire
+ * @property {Array<ThermalBridgeResult>} thermalBridges - Contribution de chaque pont thermique
+ * @property {Array<PointLoss>} pointLosses - Chutes de température aux ponts thermiques, triées
+ *   par position (T_profile donne la température en aval du noeud)
+ * @property {boolean} surfaceConverged - true si la température de surface a convergé sur tous
+ *   les segments (détail par segment: T_surface, surfaceIterations, surfaceResiduals)
+ * @property {ConvergenceInfo|null} convergence - Étude de convergence du découpage adaptatif
+ *   (null avec un nombre de segments fixe)
+ */
+
+/** Accélération de la pesanteur [m/s²] */
+const GRAVITY = 9.81;
+
+/** Découpage adaptatif: nombre de segments du premier calcul */
+const ADAPTIVE_INITIAL_SEGMENTS = 10;
+
+/** Découpage adaptatif: tolérance par défaut sur T_final [K] */
+const ADAPTIVE_TOLERANCE = 0.01;
+
+/** Découpage adaptatif: tolérance par défaut sur la position de gel [fraction de la longueur] */
+const ADAPTIVE_POSITION_TOLERANCE = 0.01;
+
+/** Découpage adaptatif: tolérance relative par défaut sur dP_total [-] */
+const ADAPTIVE_PRESSURE_TOLERANCE = 0.01;
+
+/** Découpage adaptatif: nombre maximal de segments par défaut */
+const ADAPTIVE_MAX_SEGMENTS = 1000;
+
+/**
+ * Normalise la configuration en liste ordonnée de tronçons.
+ *
+ * Une configuration classique (geometry + insulation + totalLength) devient un
+ * tronçon unique, ce qui permet au moteur de traiter les deux formes de la même façon.
+ *
+ * @private
+ * @param {NetworkConfig} config - Configuration du réseau
+ * @returns {Array<Object>} Tronçons {index, length, x_start, x_end, geometry, insulation, spec,
+ *   heatTracing, orientation}
+ * @throws {Error} Si un tronçon est invalide
+ */
+function normalizeSections(config) {
+  const rawSections = Array.isArray(config.sections)
+    ? config.sections
+    : [
+        {
+          length: config.totalLength,
+          geometry: config.geometry,
+          insulation: config.insulation || null,
+        },
+      ];
+
+  if (rawSections.length === 0) {
+    throw new Error('Liste de tronçons vide');
+  }
+
+  const sections = [];
+  let x = 0;
+
+  for (let i = 0; i < rawSections.length; i++) {
+    const section = rawSections[i];
+
+    if (!section || typeof section !== 'object') {
+      throw new Error(`Tronçon ${i + 1} invalide`);
+    }
+    if (typeof section.length !== 'number' || !isFinite(section.length) || section.length <= 0) {
+      throw new Error(`Longueur du tronçon ${i + 1} invalide: ${section.length}`);
+    }
+    if (!section.geometry || typeof section.geometry !== 'object') {
+      throw new Error(`Géométrie du tronçon ${i + 1} invalide`);
+    }
+
+    sections.push({
+      index: i,
+      length: section.length,
+      x_start: x,
+      x_end: x + section.length,
+      geometry: section.geometry,
+      insulation: section.insulation || null,
+      spec: section.spec || null,
+      heatTracing:
+        section.heatTracing !== undefined ? section.heatTracing : config.heatTracing || null,
+      orientation:
+        section.orientation !== undefined ? section.orientation : config.orientation || null,
+    });
+
+    x += section.length;
+  }
+
+  return sections;
+}
+
+/**
+ * Découpe les tronçons en segments de calcul.
+ *
+ * La taille cible d'un segment est totalLength / numSegments; chaque tronçon
+ * reçoit au moins un segment et ses segments sont de longueur égale, de sorte
+ * qu'aucun segment ne chevauche deux tronçons.
+ *
+ * @private
+ * @param {Array<Object>} sections - Tronçons normalisés
+ * @param {number} numSegments - Nombre de segments visé
+ * @returns {Array<Object>} Segments {sectionIndex, x_start, x_end, length}
+ */
+function buildSegmentPlan(sections, numSegments) {
+  const totalLength = sections[sections.length - 1].x_end;
+  const targetLength = totalLength / numSegments;
+  const plan = [];
+
+  for (const section of sections) {
+    const n =
+      sections.length === 1 ? numSegments : Math.max(1, Math.round(section.length / targetLength));
+    const length = section.length / n;
+
+    for (let j = 0; j < n; j++) {
+      plan.push({
+        sectionIndex: section.index,
+        x_start: section.x_start + j * length,
+        x_end: j === n - 1 ? section.x_end : section.x_start + (j + 1) * length,
+        length: length,
+      });
+    }
+  }
+
+  return plan;
+}
+
+/**
+ * Normalise et valide les zones ambiantes.
+ *
+ * Les zones mesurées depuis la sortie (fromOutlet) sont ramenées en positions
+ * depuis l'entrée. Les zones sont triées par position et bornées à [0, totalLength];
+ * un chevauchement est refusé car la zone applicable deviendrait ambiguë, sauf pour
+ * une zone de sortie sur une conduite trop courte: elle commence alors à la fin des
+ * zones d'entrée qu'elle recouvre (les zones d'entrée priment).
+ *
+ * @private
+ * @param {Array<AmbientZone>|undefined} rawZones - Zones fournies
+ * @param {number} totalLength - Longueur totale [m]
+ * @returns {Array<Object>} Zones {index, x_start, x_end, fromOutlet, T_amb, V_wind, label}
+ *   (positions depuis l'entrée)
+ * @throws {Error} Si une zone est invalide ou si deux zones se chevauchent
+ */
+function normalizeAmbientZones(rawZones, totalLength) {
+  if (rawZones === undefined || rawZones === null) {
+    return [];
+  }
+  if (!Array.isArray(rawZones)) {
+    throw new Error('Zones ambiantes invalides');
+  }
+
+  const zones = rawZones.map((zone, i) => {
+    if (!zone || typeof zone !== 'object') {
+      throw new Error(`Zone ambiante ${i + 1} invalide`);
+    }
+    if (
+      typeof zone.x_start !== 'number' ||
+      typeof zone.x_end !== 'number' ||
+      !isFinite(zone.x_start) ||
+      !isFinite(zone.x_end) ||
+      zone.x_end <= zone.x_start
+    ) {
+      throw new Error(
+        `Bornes de la zone ambiante ${i + 1} invalides: ${zone.x_start}-${zone.x_end}`
+      );
+    }
+    if (typeof zone.T_amb !== 'number' || !isFinite(zone.T_amb)) {
+      throw new Error(`Température de la zone ambiante ${i + 1} invalide: ${zone.T_amb}`);
+    }
+    if (typeof zone.V_wind !== 'number' || !isFinite(zone.V_wind) || zone.V_wind < 0) {
+      throw new Error(`Vitesse du vent de la zone ambiante ${i + 1} invalide: ${zone.V_wind}`);
+    }
+
+    const fromOutlet = zone.fromOutlet === true;
+    const x_start = fromOutlet ? totalLength - zone.x_end : zone.x_start;
+    const x_end = fromOutlet ? totalLength - zone.x_start : zone.x_end;
+
+    return {
+      index: i,
+      x_start: Math.max(0, x_start),
+      x_end: Math.min(totalLength, x_end),
+      fromOutlet: fromOutlet,
+      T_amb: zone.T_amb,
+      V_wind: zone.V_wind,
+      label: zone.label || null,
+      radiation: zone.radiation || null,
+    };
+  });
+
+  // Zone de sortie sur une conduite trop courte: repoussée après les zones d'entrée
+  for (const zone of zones.filter((z) => z.fromOutlet)) {
+    for (const other of zones) {
+      if (!other.fromOutlet && other.x_start < zone.x_end && other.x_end > zone.x_start) {
+        zone.x_start = Math.max(zone.x_start, other.x_end);
+      }
+    }
+  }
+
+  const sorted = zones.filter((zone) => zone.x_end > zone.x_start);
+  sorted.sort((a, b) => a.x_start - b.x_start);
+
+  for (let i = 1; i < sorted.length; i++) {
+    if (sorted[i].x_start < sorted[i - 1].x_end - 1e-9) {
+      throw new Error(
+        `Zones ambiantes ${sorted[i - 1].index + 1} et ${sorted[i].index + 1} se chevauchent`
+      );
+    }
+  }
+
+  return sorted;
+}
+
+/**
+ * Coupe les segments planifiés aux frontières des zones ambiantes.
+ *
+ * @private
+ * @param {Array<Object>} plan - Segments issus de buildSegmentPlan
+ * @param {Array<Object>} zones - Zones normalisées
+ * @returns {Array<Object>} Segments {sectionIndex, zoneIndex, x_start, x_end, length}
+ */
+function splitPlanAtZones(plan, zones) {
+  const boundaries = [];
+  zones.forEach((zone) => boundaries.push(zone.x_start, zone.x_end));
+
+  const result = [];
+
+  for (const segment of plan) {
+    const cuts = boundaries
+      .filter((x) => x > segment.x_start + 1e-9 && x < segment.x_end - 1e-9)
+      .sort((a, b) => a - b);
+    const points = [segment.x_start, ...cuts, segment.x_end];
+
+    for (let j = 0; j < points.length - 1; j++) {
+      const x_mid = (points[j] + points[j + 1]) / 2;
+      const zone = zones.find((z) => x_mid >= z.x_start && x_mid <= z.x_end);
+
+      result.push({
+        sectionIndex: segment.sectionIndex,
+        zoneIndex: zone ? zone.index : null,
+        x_start: points[j],
+        x_end: points[j + 1],
+        length: cuts.length === 0 ? segment.length : points[j + 1] - points[j],
+      });
+    }
+  }
+
+  return result;
+}
+
+/**
+ * Normalise le profil d'altitude.
+ *
+ * Le profil vient de `config.elevationProfile` ou, à défaut, des `z_end` des
+ * tronçons (entrée à z = 0). Les points sont triés et bornés à [0, totalLength];
+ * un profil vide correspond à une conduite horizontale.
+ *
+ * @private
+ * @param {NetworkConfig} config - Configuration du réseau
+ * @param {Array<Object>} sections - Tronçons normalisés
+ * @param {number} totalLength - Longueur totale [m]
+ * @returns {Array<ElevationPoint>} Points {x, z} triés
+ * @throws {Error} Si un point est invalide ou si deux points partagent la même position
  */
+function normalizeElevationProfile(config, sections, totalLength) {
+  let rawPoints;
+
+  if (config.elevationProfile !== undefined && config.elevationProfile !== null) {
+    if (!Array.isArray(config.elevationProfile)) {
+      throw new Error("Profil d'altitude invalide");
+    }
+    rawPoints = config.elevationProfile;
+  } else if (Array.isArray(config.sections) && config.sections.some((s) => s.z_end !== undefined)) {
+    rawPoints = [{ x: 0, z: 0 }];
+    let z = 0;
+    config.sections.forEach((section, i) => {
+      if (section.z_end !== undefined) {
+        if (typeof section.z_end !== 'number' || !isFinite(section.z_end)) {
+          throw new Error(`Altitude du tronçon ${i + 1} invalide: ${section.z_end}`);
+        }
+        z = section.z_end;
+      }
+      rawPoints.push({ x: sections[i].x_end, z: z });
+    });
+  } else {
+    return [];
+  }
+
+  const points = rawPoints.map((point, i) => {
+    if (
+      !point ||
+      typeof point.x !== 'number' ||
+      typeof point.z !== 'number' ||
+      !isFinite(point.x) ||
+      !isFinite(point.z)
+    ) {
+      throw new Error(`Point d'altitude ${i + 1} invalide`);
+    }
+    if (point.x < 0 || point.x > totalLength) {
+      throw new Error(
+        `Point d'altitude ${i + 1} hors de la conduite: x = ${point.x} m (0 à ${totalLength} m)`
+      );
+    }
+    return { x: point.x, z: point.z };
+  });
+
+  points.sort((a, b) => a.x - b.x);
+
+  for (let i = 1; i < points.length; i++) {
+    if (points[i].x - points[i - 1].x < 1e-9) {
+      throw new Error(`Deux points d'altitude à la même position: x = ${points[i].x} m`);
+    }
+  }
+
+  return points;
+}
+
+/**
+ * Altitude à une position donnée (interpolation linéaire, constante hors des points).
+ *
+ * @private
+ * @param {Array<ElevationPoint>} points - Profil normalisé
+ * @param {number} x - Position [m]
+ * @returns {number} Altitude [m] (0 si profil vide)
+ */
+function elevationAt(points, x) {
+  if (points.length === 0) {
+    return 0;
+  }
+  if (x <= points[0].x) {
+    return points[0].z;
+  }
+  for (let i = 0; i < points.length - 1; i++) {
+    if (x <= points[i + 1].x) {
+      const p0 = points[i];
+      const p1 = points[i + 1];
+      return p0.z + ((p1.z - p0.z) * (x - p0.x)) / (p1.x - p0.x);
+    }
+  }
+  return points[points.length - 1].z;
+}
+
+/**
+ * Repère les points bas intérieurs du profil d'altitude.
+ *
+ * Un point bas est un sommet (ou un palier) plus bas que ses deux voisins: une
+ * vidange par les extrémités y laisse de l'eau, exposée au gel à l'arrêt. Les
+ * extrémités ne sont pas retenues car la conduite s'y vidange.
+ *
+ * @private
+ * @param {Array<ElevationPoint>} points - Profil normalisé
+ * @returns {Array<ElevationPoint>} Points bas {x, z} (début du palier le cas échéant)
+ */
+function findLowPoints(points) {
+  const lowPoints = [];
+  let i = 1;
+
+  while (i < points.length - 1) {
+    // Étendre au palier éventuel (points consécutifs à la même altitude)
+    let j = i;
+    while (j < points.length - 1 && points[j + 1].z === points[i].z) {
+      j++;
+    }
+    if (j < points.length - 1 && points[i - 1].z > points[i].z && points[j + 1].z > points[i].z) {
+      lowPoints.push({ x: points[i].x, z: points[i].z });
+    }
+    i = j + 1;
+  }
+
+  return lowPoints;
+}
+
+/**
+ * Coupe les segments planifiés aux positions données: sommets du profil d'altitude
+ * (les extrema de pression, aux changements de pente, tombent sur des noeuds) ou
+ * noeuds du découpage adaptatif.
+ *
+ * @private
+ * @param {Array<Object>} plan - Segments planifiés
+ * @param {Array<number>} positions - Positions de coupe [m], triées
+ * @returns {Array<Object>} Segments découpés (mêmes propriétés)
+ */
+function splitPlanAtPositions(plan, positions) {
+  const result = [];
+
+  for (const segment of plan) {
+    const cuts = positions.filter((x) => x > segment.x_start + 1e-9 && x < segment.x_end - 1e-9);
+    const bounds = [segment.x_start, ...cuts, segment.x_end];
+
+    for (let j = 0; j < bounds.length - 1; j++) {
+      result.push({
+        ...segment,
+        x_start: bounds[j],
+        x_end: bounds[j + 1],
+        length: cuts.length === 0 ? segment.length : bounds[j + 1] - bounds[j],
+      });
+    }
+  }
+
+  return result;
+}
+
+/**
+ * Applique les ponts thermiques situés à un noeud (puits de chaleur ponctuels).
+ *
+ * Chaque pont est une conductance localisée: UA vers l'air ambiant, ou longueur
+ * nue équivalente convertie avec la conductance linéique d'un tube nu au même
+ * endroit (mêmes vent, rayonnement et orientation; ni isolant ni traçage), vers
+ * l'environnement équivalent de ce tube. Les ponts d'un même noeud s'appliquent
+ * dans l'ordre; la température ne descend pas sous le point de congélation.
+ *
+ * @private
+ * @param {Array<Object>} points - Positions du noeud (listBridgePoints)
+ * @param {Array<Object>} bridges - Ponts normalisés
+ * @param {number} T_before - Température du fluide en amont [°C]
+ * @param {Object} fluid - Fluide (pression bornée à la plage des propriétés)
+ * @param {Object} geometry - Géométrie du segment
+ * @param {Object} ambient - Conditions ambiantes du segment
+ * @param {number} T_freeze - Point de congélation [°C]
+ * @param {Object} modules - Modules de calcul chargés (pipeSegment, fluidProps, thermalBridges)
+ * @returns {{T_after: number, Q: number, losses: Array<PointLoss>}} Température en aval,
+ *   perte totale [W] et détail par position
+ */
+function applyThermalBridges(
+  points,
+  bridges,
+  T_before,
+  fluid,
+  geometry,
+  ambient,
+  T_freeze,
+  modules
+) {
+  let T = T_before;
+  let Q_total = 0;
+  const losses = [];
+
+  for (const point of points) {
+    const bridge = bridges[point.bridgeIndex];
+    let UA = 0;
+    let Q = 0;
+    let T_after = T;
+
+    // Fluide déjà au point de congélation: chaleur latente, non modélisée ici
+    if (T > T_freeze) {
+      let T_ref = ambient.T_amb;
+      if (bridge.UA !== null) {
+        UA = bridge.UA * point.count;
+      } else {
+        // Conductance linéique d'un mètre de tube nu: UA' = 1 / R_total
+        const bare = modules.pipeSegment.calculatePipeSegment(
+          { ...geometry, length: 1, runLength: 1, entryDistance: 0 },
+          { ...fluid, T_in: T },
+          ambient,
+          null,
+          2,
+          null
+        );
+        UA = (bridge.bareLength * point.count) / bare.R_total;
+        T_ref = bare.T_amb_eq;
+      }
+      const cp = modules.fluidProps.getFluidProperties(fluid, T, fluid.P).cp;
+      T_after = Math.max(
+        T_freeze,
+        modules.thermalBridges.pointSinkTemperature(T, T_ref, UA, fluid.m_dot, cp)
+      );
+      Q = fluid.m_dot * cp * (T - T_after);
+    }
+
+    losses.push({
+      x: point.x,
+      bridgeIndex: point.bridgeIndex,
+      type: bridge.type,
+      category: bridge.category,
+      count: point.count,
+      UA: UA,
+      T_before: T,
+      T_after: T_after,
+      Q: Q,
+    });
+    Q_total += Q;
+    T = T_after;
+  }
+
+  return { T_after: T, Q: Q_total, losses: losses };
+}
+
+/**
+ * Valide les réglages du découpage adaptatif et complète les défauts.
+ *
+ * @private
+ * @param {boolean|AdaptiveConfig} adaptive - Réglages fournis
+ * @param {number} totalLength - Longueur totale [m]
+ * @returns {{tolerance: number, positionTolerance: number, pressureTolerance: number,
+ *   maxSegments: number}} Réglages
+ * @throws {Error} Si un réglage est invalide
+ */
+function resolveAdaptiveSettings(adaptive, totalLength) {
+  if (adaptive !== true && (typeof adaptive !== 'object' || adaptive === null)) {
+    throw new Error('Réglages du découpage adaptatif invalides');
+  }
+  const spec = adaptive === true ? {} : adaptive;
+
+  const tolerance = spec.tolerance !== undefined ? spec.tolerance : ADAPTIVE_TOLERANCE;
+  if (typeof tolerance !== 'number' || !isFinite(tolerance) || tolerance <= 0) {
+    throw new Error(`Tolérance sur T_final invalide: ${tolerance}`);
+  }
+
+  const positionTolerance =
+    spec.positionTolerance !== undefined
+      ? spec.positionTolerance
+      : ADAPTIVE_POSITION_TOLERANCE * totalLength;
+  if (
+    typeof positionTolerance !== 'number' ||
+    !isFinite(positionTolerance) ||
+    positionTolerance <= 0
+  ) {
+    throw new Error(`Tolérance sur la position de gel invalide: ${positionTolerance}`);
+  }
+
+  const pressureTolerance =
+    spec.pressureTolerance !== undefined ? spec.pressureTolerance : ADAPTIVE_PRESSURE_TOLERANCE;
+  if (
+    typeof pressureTolerance !== 'number' ||
+    !isFinite(pressureTolerance) ||
+    pressureTolerance <= 0
+  ) {
+    throw new Error(`Tolérance sur la perte de charge invalide: ${pressureTolerance}`);
+  }
+
+  const maxSegments = spec.maxSegments !== undefined ? spec.maxSegments : ADAPTIVE_MAX_SEGMENTS;
+  if (!Number.isInteger(maxSegments) || maxSegments < 1) {
+    throw new Error(`Nombre maximal de segments invalide: ${maxSegments}`);
+  }
+
+  return { tolerance, positionTolerance, pressureTolerance, maxSegments };
+}
+
+/**
+ * Place les noeuds d'un nouveau découpage par équirépartition.
+ *
+ * La densité de noeuds combine une part uniforme et une part proportionnelle au
+ * gradient local |dT/dx| du calcul précédent (poids égaux): les segments sont
+ * courts là où la température varie vite (entrée, approche du gel), longs sur
+ * les portions quasi isothermes. Les chutes aux ponts thermiques sont exclues:
+ * ponctuelles, elles ne dépendent pas du découpage.
+ *
+ * @private
+ * @param {Array<Object>} segmentResults - Segments du calcul précédent
+ * @param {number} totalLength - Longueur totale [m]
+ * @param {number} numSegments - Nombre de segments visé
+ * @returns {Array<number>} Positions des noeuds intérieurs [m] (numSegments - 1 valeurs)
+ */
+function equidistributeBreakpoints(segmentResults, totalLength, numSegments) {
+  const drops = segmentResults.map((seg) => Math.abs(seg.T_in - seg.T_out - seg.dT_point));
+  const variation = drops.reduce((sum, drop) => sum + drop, 0);
+  const weights = segmentResults.map((seg, i) => {
+    const uniform = (seg.x_end - seg.x_start) / totalLength;
+    return uniform + (variation > 0 ? drops[i] / variation : uniform);
+  });
+  const totalWeight = weights.reduce((sum, w) => sum + w, 0);
+
+  const breakpoints = [];
+  let cumulative = 0;
+  let i = 0;
+  for (let k = 1; k < numSegments; k++) {
+    const target = (k * totalWeight) / numSegments;
+    while (i < weights.length - 1 && cumulative + weights[i] < target) {
+      cumulative += weights[i];
+      i++;
+    }
+    const seg = segmentResults[i];
+    const fraction = weights[i] > 0 ? Math.min(1, (target - cumulative) / weights[i]) : 0;
+    breakpoints.push(seg.x_start + fraction * (seg.x_end - seg.x_start));
+  }
+
+  return breakpoints;
+}
+
+/**
+ * Erreur estimée sur la position de gel entre deux calculs [m].
+ *
+ * La position de gel est la fin du premier segment gelé: le gel a lieu quelque
+ * part dans ce segment. L'erreur est donc au moins sa longueur, et au moins
+ * l'écart avec le calcul précédent.
+ *
+ * @private
+ * @returns {number} 0 si aucun ne gèle, Infinity si un seul gèle
+ */
+function freezePositionError(previous, current) {
+  if (previous.frozenAtPosition === null && current.frozenAtPosition === null) {
+    return 0;
+  }
+  if (previous.frozenAtPosition === null || current.frozenAtPosition === null) {
+    return Infinity;
+  }
+  const frozenSegment = current.segmentResults.find((seg) => seg.frozen);
+  return Math.max(
+    Math.abs(current.frozenAtPosition - previous.frozenAtPosition),
+    frozenSegment.x_end - frozenSegment.x_start
+  );
+}
+
+/**
+ * Découpage adaptatif: raffine jusqu'à stabilisation de T_final, de la position de gel
+ * et de la perte de charge.
+ *
+ * Premier calcul uniforme (numSegments, 10 par défaut), puis chaque raffinement
+ * double le nombre de segments, placés selon le gradient de température du calcul
+ * précédent (equidistributeBreakpoints). Arrêt quand T_final, la position de gel et
+ * dP_total (relative) varient de moins que les tolérances entre deux raffinements, ou
+ * à maxSegments. dP_total est suivi car la glace en paroi la rend très sensible au
+ * découpage alors que T_final reste au point de congélation; il ne l'est plus dès
+ * qu'un calcul est obstrué (écoulement arrêté, perte de charge sans objet).
+ * L'écart du dernier raffinement est rapporté comme erreur numérique estimée
+ * (majorant pour un schéma convergent: l'erreur restante est au plus de cet ordre).
+ *
+ * @private
+ * @param {NetworkConfig} config - Configuration (config.adaptive défini)
+ * @returns {NetworkResult} Résultat du calcul le plus fin, avec `convergence`
+ */
+function calculateAdaptiveNetwork(config) {
+  const totalLength = normalizeSections(config).reduce((sum, section) => sum + section.length, 0);
+  const settings = resolveAdaptiveSettings(config.adaptive, totalLength);
+
+  let numSegments = Math.min(
+    config.numSegments !== undefined ? config.numSegments : ADAPTIVE_INITIAL_SEGMENTS,
+    settings.maxSegments
+  );
+  let result = propagateNetwork({ ...config, numSegments: numSegments }, null);
+  const history = [
+    {
+      numSegments: result.segmentResults.length,
+      T_final: result.T_final,
+      frozenAtPosition: result.frozenAtPosition,
+      dP_total: result.dP_total,
+    },
+  ];
+  let T_final_error = null;
+  let frozenAtPosition_error = null;
+  let dP_total_error = null;
+  let converged = false;
+
+  while (!converged && numSegments < settings.maxSegments) {
+    numSegments = Math.min(2 * numSegments, settings.maxSegments);
+    const breakpoints = equidistributeBreakpoints(result.segmentResults, totalLength, numSegments);
+    const refined = propagateNetwork(config, breakpoints);
+
+    T_final_error = Math.abs(refined.T_final - result.T_final);
+    frozenAtPosition_error = freezePositionError(result, refined);
+    // Relative à la perte de charge raffinée (plancher de 1 Pa: écoulement quasi nul)
+    const blocked = refined.blockedAtPosition !== null || result.blockedAtPosition !== null;
+    dP_total_error = blocked
+      ? null
+      : Math.abs(refined.dP_total - result.dP_total) / Math.max(Math.abs(refined.dP_total), 1);
+    converged =
+      T_final_error <= settings.tolerance &&
+      frozenAtPosition_error <= settings.positionTolerance &&
+      (dP_total_error === null || dP_total_error <= settings.pressureTolerance);
+
+    result = refined;
+    history.push({
+      numSegments: result.segmentResults.length,
+      T_final: result.T_final,
+      frozenAtPosition: result.frozenAtPosition,
+      dP_total: result.dP_total,
+    });
+  }
+
+  return {
+    ...result,
+    convergence: {
+      converged: converged,
+      passes: history.length,
+      numSegments: result.segmentResults.length,
+      T_final_error: T_final_error,
+      frozenAtPosition_error: frozenAtPosition_error,
+      dP_total_error: dP_total_error,
+      tolerance: settings.tolerance,
+      positionTolerance: settings.positionTolerance,
+      pressureTolerance: settings.pressureTolerance,
+      history: history,
+    },
+  };
+}
 
 /**
  * Calcule le réseau de conduites (propagation sur N segments).
  *
  * Divise la conduite totale en N segments et calcule chaque segment séquentiellement.
- * La température de sortie d'un segment devient l'entrée du suivant.
+ * La température de sortie d'un segment devient l'entrée du suivant. Avec
+ * `config.adaptive`, le découpage suit le gradient de température et est raffiné
+ * jusqu'à convergence (voir calculateAdaptiveNetwork); l'erreur numérique atteinte
+ * est rapportée dans `convergence`.
  *
  * @param {NetworkConfig} config - Configuration du réseau
  * @returns {NetworkResult} Résultats complets
@@ -60,6 +911,10 @@
  * const result = calculatePipeNetwork(config);
  * console.log(`T_final = ${result.T_final}°C`);
  * console.log(`Min temp = ${result.minTemp}°C at ${result.minTempPosition}m`);
+ *
+ * // Découpage adaptatif: T_final à 0.01 K près
+ * const adaptive = calculatePipeNetwork({ ...config, adaptive: true });
+ * console.log(`${adaptive.convergence.numSegments} segments, ±${adaptive.convergence.T_final_error} K`);
  */
 function calculatePipeNetwork(config) {
   // ========== VALIDATION ==========
@@ -68,18 +923,21 @@ function calculatePipeNetwork(config) {
     throw new Error('Configuration invalide');
   }
 
-  if (!config.geometry || typeof config.geometry !== 'object') {
+  const hasSections = Array.isArray(config.sections);
+
+  if (!hasSections && (!config.geometry || typeof config.geometry !== 'object')) {
     throw new Error('Géométrie invalide');
   }
 
-  if (typeof config.totalLength !== 'number' || config.totalLength <= 0) {
+  if (!hasSections && (typeof config.totalLength !== 'number' || config.totalLength <= 0)) {
     throw new Error(`Longueur totale invalide: ${config.totalLength}`);
   }
 
   if (
-    typeof config.numSegments !== 'number' ||
-    config.numSegments < 1 ||
-    !Number.isInteger(config.numSegments)
+    !(config.adaptive && config.numSegments === undefined) &&
+    (typeof config.numSegments !== 'number' ||
+      config.numSegments < 1 ||
+      !Number.isInteger(config.numSegments))
   ) {
     throw new Error(`Nombre de segments invalide: ${config.numSegments}`);
   }
@@ -92,71 +950,241 @@ function calculatePipeNetwork(config) {
     throw new Error('Conditions ambiantes invalides');
   }
 
+  if (config.adaptive) {
+    return calculateAdaptiveNetwork(config);
+  }
+
+  return propagateNetwork(config, null);
+}
+
+/**
+ * Propage le fluide segment par segment sur un découpage donné.
+ *
+ * @private
+ * @param {NetworkConfig} config - Configuration validée
+ * @param {Array<number>|null} breakpoints - Noeuds intérieurs imposés [m] (découpage
+ *   adaptatif), ou null pour le découpage uniforme en config.numSegments
+ * @returns {NetworkResult} Résultats complets (convergence: null)
+ */
+function propagateNetwork(config, breakpoints) {
   // ========== MODULE NÉCESSAIRE ==========
   const pipeSegment =
     typeof window !== 'undefined'
       ? window.PipeSegment || { calculatePipeSegment: window.calculatePipeSegment }
       : require('./pipe-segment.js');
+  const iceLayer =
+    typeof window !== 'undefined' && window.IceLayer ? window.IceLayer : require('./ice-layer.js');
+  const buriedPipe =
+    typeof window !== 'undefined' && window.BuriedPipe
+      ? window.BuriedPipe
+      : require('../calculations/buried-pipe.js');
+  const skyRadiation =
+    typeof window !== 'undefined' && window.SkyRadiation
+      ? window.SkyRadiation
+      : require('../calculations/sky-radiation.js');
+  const fluidProps =
+    typeof window !== 'undefined' && window.FluidProperties
+      ? window.FluidProperties
+      : require('../properties/fluid-properties.js');
+  const waterProps =
+    typeof window !== 'undefined' && window.WaterProperties
+      ? window.WaterProperties
+      : require('../properties/water-properties.js');
+  const minorLosses =
+    typeof window !== 'undefined' && window.MinorLosses
+      ? window.MinorLosses
+      : require('../calculations/minor-losses.js');
+  const thermalBridges =
+    typeof window !== 'undefined' && window.ThermalBridges
+      ? window.ThermalBridges
+      : require('../calculations/thermal-bridges.js');
+  const bridgeModules = { pipeSegment, fluidProps, thermalBridges };
 
   // ========== INITIALISATION ==========
 
-  const segmentLength = config.totalLength / config.numSegments;
+  // Seuil de gel: point de congélation du fluide (0°C pour l'eau)
+  const T_freeze = fluidProps.freezingPoint(config.fluid);
+  const waterFluid = fluidProps.isWater(config.fluid);
+  const waterRange = waterProps.getWaterRange(config.fluid.waterBackend);
 
-  // Géométrie du segment
-  const segmentGeometry = {
-    D_inner: config.geometry.D_inner,
-    D_outer: config.geometry.D_outer,
-    roughness: config.geometry.roughness,
-    length: segmentLength,
-    material: config.geometry.material,
-  };
+  const sections = normalizeSections(config);
+  const totalLength = sections[sections.length - 1].x_end;
+  const ambientZones = normalizeAmbientZones(config.ambientZones, totalLength);
+  const elevationProfile = normalizeElevationProfile(config, sections, totalLength);
+  const fittings = minorLosses.normalizeFittings(config.fittings, totalLength);
+  const bridges = thermalBridges.normalizeThermalBridges(config.thermalBridges, totalLength);
+  if (bridges.length > 0 && config.ambient.burial) {
+    throw new Error('Ponts thermiques non applicables à une conduite enterrée');
+  }
+  const bridgePoints = thermalBridges.listBridgePoints(bridges);
+  const basePlan = breakpoints
+    ? splitPlanAtPositions(buildSegmentPlan(sections, 1), breakpoints)
+    : buildSegmentPlan(sections, config.numSegments);
+  // Coupes aux sommets du profil d'altitude et aux ponts thermiques (chutes aux noeuds)
+  const cutPositions = elevationProfile
+    .map((point) => point.x)
+    .concat(bridgePoints.map((point) => point.x))
+    .sort((a, b) => a - b)
+    .filter((x, k, positions) => k === 0 || x - positions[k - 1] > 1e-9);
+  const segmentPlan = splitPlanAtPositions(splitPlanAtZones(basePlan, ambientZones), cutPositions);
 
   // Profils (N+1 points: entrée + N sorties de segments)
   const T_profile = [config.fluid.T_in];
   const x_profile = [0];
   const P_profile = [config.fluid.P];
+  const z_profile = [elevationAt(elevationProfile, 0)];
 
   // Accumulateurs
   let dP_total = 0;
+  let dP_static_total = 0;
+  let dP_fittings_total = 0;
   let Q_loss_total = 0;
+  let Q_distributed_total = 0;
+  let Q_point_total = 0;
+  let Q_trace_total = 0;
   const segmentResults = [];
+  const fittingResults = fittings.map((fitting) => ({ ...fitting, K: 0, dP: 0, share: 0 }));
+  const pointLosses = [];
+
+  // Ponts thermiques jusqu'à la position x, pas encore appliqués (triés par position)
+  let nextBridgePoint = 0;
+  const bridgesAt = (x) => {
+    const first = nextBridgePoint;
+    while (nextBridgePoint < bridgePoints.length && bridgePoints[nextBridgePoint].x <= x + 1e-9) {
+      nextBridgePoint++;
+    }
+    return bridgePoints.slice(first, nextBridgePoint);
+  };
 
   // Variables de suivi
   let minTemp = config.fluid.T_in;
   let minTempPosition = 0;
   let frozenConditionReached = false;
   let frozenAtPosition = null;
+  let blockedAtPosition = null;
+  let minPressure = config.fluid.P;
+  let minPressurePosition = 0;
+  let rho = null; // Masse volumique du dernier segment calculé [kg/m³]
 
   // Conditions actuelles du fluide
   let currentFluid = {
     T_in: config.fluid.T_in,
     P: config.fluid.P,
     m_dot: config.fluid.m_dot,
+    type: config.fluid.type,
+    concentration: config.fluid.concentration,
+    waterBackend: config.fluid.waterBackend,
   };
 
   // ========== BOUCLE SUR LES SEGMENTS ==========
 
-  for (let i = 0; i < config.numSegments; i++) {
-    // Position du segment
-    const x_start = i * segmentLength;
-    const x_end = (i + 1) * segmentLength;
+  for (let i = 0; i < segmentPlan.length; i++) {
+    // Position et tronçon du segment
+    const plannedSegment = segmentPlan[i];
+    const section = sections[plannedSegment.sectionIndex];
+    const x_start = plannedSegment.x_start;
+    const x_end = plannedSegment.x_end;
+    const z_start = elevationAt(elevationProfile, x_start);
+    const z_end = elevationAt(elevationProfile, x_end);
+
+    // Géométrie du segment
+    const segmentGeometry = {
+      D_inner: section.geometry.D_inner,
+      D_outer: section.geometry.D_outer,
+      roughness: section.geometry.roughness,
+      length: plannedSegment.length,
+      material: section.geometry.material,
+      fouling: section.geometry.fouling || null,
+      orientation: section.orientation,
+      runLength: section.length,
+      // Nusselt laminaire moyenné depuis l'entrée du tronçon: le découpage ne doit pas
+      // multiplier les entrées thermiques (résultat indépendant du nombre de segments)
+      entryDistance: x_start - section.x_start,
+    };
+
+    // Conditions ambiantes du segment (zone ou conditions par défaut)
+    const zone = ambientZones.find((z) => z.index === plannedSegment.zoneIndex);
+    const segmentAmbient = zone
+      ? { ...config.ambient, T_amb: zone.T_amb, V_wind: zone.V_wind, radiation: zone.radiation }
+      : config.ambient;
+
+    // Propriétés évaluées à une pression bornée à la plage du backend eau: effet
+    // négligeable sur un liquide, alors que la charge hydrostatique peut en sortir
+    const P_property = Math.min(Math.max(currentFluid.P, waterRange.P_min), waterRange.P_max);
+
+    // Ponts thermiques à l'entrée de la conduite (x = 0), appliqués avant le premier segment
+    const T_in_segment = currentFluid.T_in;
+    let Q_point = 0;
+    let dT_point = 0;
+    if (i === 0 && bridgePoints.length > 0) {
+      const inlet = applyThermalBridges(
+        bridgesAt(x_start),
+        bridges,
+        currentFluid.T_in,
+        { ...currentFluid, P: P_property },
+        segmentGeometry,
+        segmentAmbient,
+        T_freeze,
+        bridgeModules
+      );
+      currentFluid = { ...currentFluid, T_in: inlet.T_after };
+      Q_point += inlet.Q;
+      dT_point += T_in_segment - inlet.T_after;
+      pointLosses.push(...inlet.losses);
+    }
+
+    const propertyFluid = { ...currentFluid, P: P_property };
 
     // Calcul du segment avec gestion du gel
     let segmentResult;
     let frozenDetected = false;
+    let ice = null;
 
     try {
       segmentResult = pipeSegment.calculatePipeSegment(
         segmentGeometry,
-        currentFluid,
-        config.ambient,
-        config.insulation
+        propertyFluid,
+        segmentAmbient,
+        section.insulation,
+        2,
+        section.heatTracing
       );
 
+      // Paroi intérieure sous 0°C: couche de glace annulaire en régime permanent
+      // (ambiance équivalente: inclut l'apport du traçage à la paroi). Eau pure
+      // uniquement: un mélange glycol forme une bouillie progressive, non modélisée.
+      const T_bulk = (currentFluid.T_in + Math.max(0, segmentResult.T_out)) / 2;
+      const T_wall = waterFluid
+        ? iceLayer.innerWallTemperature(T_bulk, segmentResult.T_amb_eq, segmentResult.R_layers)
+        : null;
+      if (waterFluid && T_wall < 0) {
+        // Glace formée sur le dépôt éventuel: diamètre et rugosité de la surface mouillée
+        const iceGeometry = segmentResult.fouling
+          ? {
+              ...segmentGeometry,
+              D_inner: segmentResult.D_hydraulic,
+              roughness: segmentResult.fouling.roughness,
+            }
+          : segmentGeometry;
+        ice = iceLayer.calculateIceLayer(
+          iceGeometry,
+          propertyFluid,
+          segmentResult.T_amb_eq,
+          segmentResult.R_total - segmentResult.R_layers[0],
+          currentFluid.P * 1e5 - segmentResult.dP // Pression restante [Pa]
+        );
+        segmentResult = {
+          ...segmentResult,
+          T_out: ice.T_out,
+          Q_loss: ice.Q_loss,
+          dP: segmentResult.dP + ice.dP_ice,
+        };
+      }
+
       // Vérifier si la température de sortie atteint le point de gel
-      if (segmentResult.T_out <= 0) {
-        // Condition de gel détectée - figer à 0°C
-        segmentResult.T_out = 0.0;
+      if (segmentResult.T_out <= T_freeze) {
+        // Condition de gel détectée - figer au point de congélation
+        segmentResult.T_out = T_freeze;
         frozenDetected = true;
       }
     } catch (error) {
@@ -164,16 +1192,22 @@ function calculatePipeNetwork(config) {
       if (
         error.message &&
         error.message.includes('Température hors plage') &&
-        currentFluid.T_in <= 0
+        currentFluid.T_in <= T_freeze
       ) {
-        // Condition de gel - retourner un résultat figé à 0°C
+        // Condition de gel - retourner un résultat figé au point de congélation
         segmentResult = {
-          T_out: 0.0,
+          T_out: T_freeze,
           dP: 0,
           Q_loss: 0,
           Re: 0,
           regime: 'frozen',
         };
+        ice = {
+          iceThickness: segmentGeometry.D_inner / 2,
+          D_flow: 0,
+          blocked: true,
+          dP_ice: 0,
+        };
         frozenDetected = true;
       } else {
         // Autre type d'erreur - propager
@@ -181,20 +1215,109 @@ function calculatePipeNetwork(config) {
       }
     }
 
+    // Ponts thermiques du segment, appliqués à sa sortie (le découpage coupe à chaque
+    // position; ceux de la sortie de la conduite sont pris par le dernier segment)
+    const outletBridges = bridgesAt(i === segmentPlan.length - 1 ? Infinity : x_end);
+    if (outletBridges.length > 0) {
+      const outlet = applyThermalBridges(
+        outletBridges,
+        bridges,
+        segmentResult.T_out,
+        propertyFluid,
+        segmentGeometry,
+        segmentAmbient,
+        T_freeze,
+        bridgeModules
+      );
+      dT_point += segmentResult.T_out - outlet.T_after;
+      segmentResult = { ...segmentResult, T_out: outlet.T_after };
+      Q_point += outlet.Q;
+      pointLosses.push(...outlet.losses);
+      if (outlet.T_after <= T_freeze) {
+        frozenDetected = true;
+      }
+    }
+
+    // Pertes singulières: accessoires situés dans le segment, ou part au prorata de la
+    // longueur pour les accessoires répartis (aucun écoulement si gelé ou obstrué)
+    let dP_fittings = 0;
+    const flowing = segmentResult.V !== undefined && !(ice && ice.blocked);
+    fittingResults.forEach((fitting) => {
+      let share;
+      if (fitting.position === null) {
+        share = (x_end - x_start) / totalLength;
+      } else {
+        const isLast = i === segmentPlan.length - 1;
+        share = fitting.position >= x_start && (fitting.position < x_end || isLast) ? 1 : 0;
+      }
+      if (share === 0) {
+        return;
+      }
+      const K = minorLosses.fittingK(fitting.type, segmentGeometry.D_inner);
+      const dP_fitting = flowing
+        ? minorLosses.minorLoss(K * fitting.count * share, segmentResult.rho, segmentResult.V)
+        : 0;
+      fitting.K += K * share;
+      fitting.share += share;
+      fitting.dP += dP_fitting;
+      dP_fittings += dP_fitting;
+    });
+    if (dP_fittings > 0) {
+      segmentResult = { ...segmentResult, dP: segmentResult.dP + dP_fittings };
+    }
+
+    // Charge hydrostatique: ρ·g·Δz (masse volumique du segment, ou du précédent s'il est gelé)
+    if (segmentResult.rho !== undefined) {
+      rho = segmentResult.rho;
+    } else if (rho === null) {
+      rho = fluidProps.getFluidProperties(config.fluid, Math.max(T_freeze, 0), 1.0).rho;
+    }
+    const dP_static = rho * GRAVITY * (z_end - z_start); // Pa (positif en montée)
+
     // Enregistrer le résultat du segment
     segmentResults.push({
       index: i,
+      sectionIndex: section.index,
+      zoneIndex: plannedSegment.zoneIndex,
+      T_amb: segmentAmbient.T_amb,
+      V_wind: segmentAmbient.V_wind,
       x_start: x_start,
       x_end: x_end,
-      T_in: currentFluid.T_in,
+      z_start: z_start,
+      z_end: z_end,
+      T_in: T_in_segment,
       T_out: segmentResult.T_out,
       dP: segmentResult.dP,
+      dP_static: dP_static,
+      dP_fittings: dP_fittings,
       Q_loss: segmentResult.Q_loss,
+      Q_point: Q_point,
+      dT_point: dT_point,
+      Q_trace: segmentResult.Q_trace || 0,
+      q_trace: segmentResult.q_trace || 0,
       Re: segmentResult.Re,
       regime: segmentResult.regime,
       frozen: frozenDetected,
+      iceThickness: ice ? ice.iceThickness : 0,
+      D_flow: ice ? ice.D_flow : segmentResult.D_hydraulic || segmentGeometry.D_inner,
+      blocked: ice ? ice.blocked : false,
+      dP_ice: ice ? ice.dP_ice : 0,
+      T_surface: segmentResult.T_surface !== undefined ? segmentResult.T_surface : null,
+      surfaceConverged: segmentResult.surfaceConverged !== false,
+      surfaceIterations: segmentResult.surfaceIterations || 0,
+      surfaceResiduals: segmentResult.surfaceResiduals || [],
+      convectionRegime: segmentResult.convectionRegime || null,
+      T_env: segmentResult.T_env !== undefined ? segmentResult.T_env : segmentAmbient.T_amb,
+      q_solar: segmentResult.q_solar || 0,
+      Ri: segmentResult.Ri !== undefined ? segmentResult.Ri : null,
+      inclination: segmentResult.orientation ? segmentResult.orientation.inclination : null,
+      V_wind_local: segmentResult.V_wind_local !== undefined ? segmentResult.V_wind_local : null,
     });
 
+    if (ice && ice.blocked && blockedAtPosition === null) {
+      blockedAtPosition = x_start;
+    }
+
     // Marquer si le gel est atteint
     if (frozenDetected && !frozenConditionReached) {
       frozenConditionReached = true;
@@ -205,24 +1328,43 @@ function calculatePipeNetwork(config) {
     T_profile.push(segmentResult.T_out);
     x_profile.push(x_end);
 
-    // Pression diminue (perte de charge)
-    const P_new = currentFluid.P - segmentResult.dP / 1e5; // Conversion Pa → bar
+    z_profile.push(z_end);
+
+    // Pression diminue (perte de charge et montée)
+    const P_new = currentFluid.P - (segmentResult.dP + dP_static) / 1e5; // Conversion Pa → bar
     P_profile.push(P_new);
 
+    // Accumuler les pertes
+    dP_total += segmentResult.dP;
+    dP_static_total += dP_static;
+    dP_fittings_total += dP_fittings;
+
     // Vérifier si la pression devient négative
     if (P_new <= 0) {
       const P_new_kPa = (P_new * 100).toFixed(1); // bar → kPa
       const dP_cumul_kPa = (dP_total / 1000).toFixed(1);
+      const dP_static_kPa = (dP_static_total / 1000).toFixed(1);
       const P_init_kPa = (config.fluid.P * 100).toFixed(0); // bar → kPa
       throw new Error(
-        `Perte de charge excessive: la pression est tombée à ${P_new_kPa} kPa au segment ${i + 1}/${config.numSegments}. ` +
-          `Perte cumulée: ${dP_cumul_kPa} kPa pour une pression initiale de ${P_init_kPa} kPa.`
+        `Perte de charge excessive: la pression est tombée à ${P_new_kPa} kPa au segment ${i + 1}/${segmentPlan.length} (x = ${x_end.toFixed(1)} m). ` +
+          `Perte cumulée: ${dP_cumul_kPa} kPa par friction` +
+          (fittings.length > 0
+            ? ` (dont ${(dP_fittings_total / 1000).toFixed(1)} kPa de raccords et vannes)`
+            : '') +
+          (elevationProfile.length > 0 ? ` et ${dP_static_kPa} kPa de dénivelé` : '') +
+          ` pour une pression initiale de ${P_init_kPa} kPa.`
       );
     }
 
-    // Accumuler les pertes
-    dP_total += segmentResult.dP;
-    Q_loss_total += segmentResult.Q_loss;
+    // Suivre pression minimale
+    if (P_new < minPressure) {
+      minPressure = P_new;
+      minPressurePosition = x_end;
+    }
+    Q_loss_total += segmentResult.Q_loss + Q_point;
+    Q_distributed_total += segmentResult.Q_loss;
+    Q_point_total += Q_point;
+    Q_trace_total += segmentResult.Q_trace || 0;
 
     // Suivre température minimale
     if (segmentResult.T_out < minTemp) {
@@ -235,6 +1377,9 @@ function calculatePipeNetwork(config) {
       T_in: segmentResult.T_out, // T_out devient T_in du prochain segment
       P: P_new,
       m_dot: config.fluid.m_dot, // Débit constant (écoulement incompressible)
+      type: config.fluid.type,
+      concentration: config.fluid.concentration,
+      waterBackend: config.fluid.waterBackend,
     };
   }
 
@@ -245,25 +1390,123 @@ function calculatePipeNetwork(config) {
     T_profile: T_profile,
     x_profile: x_profile,
     P_profile: P_profile,
+    z_profile: z_profile,
 
     // Valeurs finales
     T_final: T_profile[T_profile.length - 1],
     dP_total: dP_total,
+    dP_static_total: dP_static_total,
+    dP_fittings_total: dP_fittings_total,
     Q_loss_total: Q_loss_total,
+    Q_distributed_total: Q_distributed_total,
+    Q_point_total: Q_point_total,
+    Q_trace_total: Q_trace_total,
 
     // Statistiques
     minTemp: minTemp,
     minTempPosition: minTempPosition,
+    minPressure: minPressure,
+    minPressurePosition: minPressurePosition,
+
+    // Température de surface: itération convergée sur tous les segments
+    surfaceConverged: segmentResults.every((seg) => seg.surfaceConverged),
 
     // Condition de gel
     frozenCondition: frozenConditionReached,
     frozenAtPosition: frozenAtPosition,
+    T_freeze: T_freeze,
+
+    // Glace en paroi
+    iceDetected: segmentResults.some((seg) => seg.iceThickness > 0),
+    maxIceThickness: Math.max(...segmentResults.map((seg) => seg.iceThickness)),
+    blockedAtPosition: blockedAtPosition,
 
     // Détails
     segmentResults: segmentResults,
+    totalLength: totalLength,
+    sections: sections,
+    ambientZones: ambientZones,
+    elevationProfile: elevationProfile,
+    lowPoints: findLowPoints(elevationProfile),
+    fittings: fittingResults.map(({ share, ...fitting }) => ({
+      ...fitting,
+      K: share > 0 ? fitting.K / share : 0,
+    })),
+    thermalBridges: bridges.map((bridge, index) => ({
+      type: bridge.type,
+      category: bridge.category,
+      UA: bridge.UA,
+      bareLength: bridge.bareLength,
+      count: bridge.count,
+      position: bridge.position,
+      spacing: bridge.spacing,
+      positions: bridge.positions,
+      Q: pointLosses
+        .filter((loss) => loss.bridgeIndex === index)
+        .reduce((sum, loss) => sum + loss.Q, 0),
+    })),
+    pointLosses: pointLosses,
+    burial: config.ambient.burial
+      ? buriedPipe.resolveBurial(config.ambient.burial, config.ambient.T_amb)
+      : null,
+    radiation:
+      config.ambient.radiation && !config.ambient.burial
+        ? skyRadiation.resolveRadiation(config.ambient.radiation, config.ambient.T_amb)
+        : null,
+    convergence: null,
   };
 }
 
+/**
+ * Adapte une configuration à une nouvelle longueur totale.
+ *
+ * Les positions absolues sont remises à l'échelle L / L0, comme si le formulaire
+ * avait été rempli avec la nouvelle longueur: le profil d'altitude garde sa
+ * dénivellation, les accessoires et ponts thermiques placés leur position relative,
+ * les tronçons leur part de la longueur. Les zones ambiantes restent ancrées à
+ * l'entrée ou à la sortie (fromOutlet); les ponts répartis (spacing, count) suivent
+ * la longueur d'eux-mêmes.
+ *
+ * @param {NetworkConfig} config - Configuration de base (non modifiée)
+ * @param {number} totalLength - Nouvelle longueur totale [m]
+ * @returns {NetworkConfig} Configuration à la nouvelle longueur
+ * @throws {Error} Si la longueur ou les tronçons sont invalides
+ *
+ * @example
+ * // Balayage de longueur: le profil 0 → 300 m devient 0 → 150 m
+ * const shorter = scaleNetworkLength(config, 150);
+ */
+function scaleNetworkLength(config, totalLength) {
+  if (typeof totalLength !== 'number' || !isFinite(totalLength) || totalLength <= 0) {
+    throw new Error(`Longueur totale invalide: ${totalLength}`);
+  }
+  const sections = normalizeSections(config);
+  const ratio = totalLength / sections[sections.length - 1].x_end;
+  const scalePosition = (item) =>
+    item && typeof item.position === 'number' ? { ...item, position: item.position * ratio } : item;
+
+  const scaled = { ...config, totalLength: totalLength };
+  if (Array.isArray(config.sections)) {
+    scaled.sections = config.sections.map((section) => ({
+      ...section,
+      length: section.length * ratio,
+    }));
+  }
+  if (Array.isArray(config.elevationProfile)) {
+    scaled.elevationProfile = config.elevationProfile.map((point) => ({
+      ...point,
+      x: point.x * ratio,
+    }));
+  }
+  if (Array.isArray(config.fittings)) {
+    scaled.fittings = config.fittings.map(scalePosition);
+  }
+  if (Array.isArray(config.thermalBridges)) {
+    scaled.thermalBridges = config.thermalBridges.map(scalePosition);
+  }
+  return scaled;
+}
+
 /**
  * Fonction helper: Trouve l'index du segment à une position donnée.
  *
@@ -320,6 +1563,7 @@ function interpolateTemperature(x_profile, T_profile, x) {
 // Export pour navigateur (window global)
 if (typeof window !== 'undefined') {
   window.calculatePipeNetwork = calculatePipeNetwork;
+  window.scaleNetworkLength = scaleNetworkLength;
   window.findSegmentAtPosition = findSegmentAtPosition;
   window.interpolateTemperature = interpolateTemperature;
 }
@@ -328,6 +1572,7 @@ if (typeof window !== 'undefined') {
 if (typeof module !== 'undefined' && module.exports) {
   module.exports = {
     calculatePipeNetwork,
+    scaleNetworkLength,
     findSegmentAtPosition,
     interpolateTemperature,
   };
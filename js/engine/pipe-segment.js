@@ -5,6 +5,16 @@
  * @property {number} roughness - Rugosité absolue [m]
  * @property {number} length - Longueur du segment [m]
  * @property {string} material - Nom du matériau (ex: 'steel', 'copper')
+ * @property {Object} [orientation] - Inclinaison, angle du vent et hauteur au-dessus du sol
+ *   (voir calculations/wind-exposure.js). Absente: horizontale, vent perpendiculaire, 10 m
+ * @property {number} [runLength] - Longueur axiale de la course (tronçon) [m], pour la
+ *   convection naturelle le long d'une conduite inclinée (défaut: length)
+ * @property {number} [entryDistance=0] - Distance de l'entrée thermique (début du tronçon)
+ *   au début du segment [m], pour le Nusselt laminaire d'entrée (Hausen). 0: le segment
+ *   est traité comme une entrée thermique (segment isolé)
+ * @property {Object} [fouling] - Encrassement intérieur ({type} et/ou {factor, thickness,
+ *   roughness}; voir calculations/fouling.js): le dépôt réduit le diamètre hydraulique,
+ *   impose sa rugosité et ajoute R_f/(π·D_h·L) en série avec la convection interne
  */
 
 /**
@@ -12,18 +22,38 @@
  * @property {number} T_in - Température d'entrée [°C]
  * @property {number} P - Pression [bar]
  * @property {number} m_dot - Débit massique [kg/s]
+ * @property {string} [type='water'] - Fluide: 'water', 'ethylene_glycol', 'propylene_glycol'
+ * @property {number} [concentration] - Concentration massique du glycol [%] (20 à 50)
  */
 
 /**
  * @typedef {Object} AmbientConditions
  * @property {number} T_amb - Température ambiante [°C]
  * @property {number} V_wind - Vitesse du vent [m/s]
+ * @property {Object} [burial] - Conduite enterrée (depth, soil, k_unfrozen, k_frozen, T_surface,
+ *   freezingIndex; voir calculations/buried-pipe.js). Le sol remplace la convection externe.
+ * @property {Object} [radiation] - Rayonnement de ciel et apport solaire (preset, T_sky ou
+ *   cloudCover, T_surroundings, viewFactorSky, solarIrradiance, absorptivity; voir
+ *   calculations/sky-radiation.js). Absent: rayonnement vers l'air à T_amb. Ignoré si enterrée.
+ * @property {string} [terrain='open'] - Catégorie de terrain pour le profil de vent: 'open',
+ *   'suburban' ou 'urban'. V_wind est alors la vitesse mesurée à 10 m en rase campagne,
+ *   ramenée à la hauteur de la conduite (voir calculations/wind-exposure.js)
+ * @property {number} [relativeHumidity=0] - Humidité relative de l'air [%] (masse volumique)
+ * @property {number} [altitude=0] - Altitude du site [m] (pression barométrique, masse volumique)
  */
 
 /**
+ * Isolation: couche unique ci-dessous, tableau ordonné de couches {material, thickness,
+ * degradation} du tuyau vers l'extérieur, ou {layers, jacket}
+ * (voir calculations/insulation-layers.js)
+ *
  * @typedef {Object} InsulationConfig
  * @property {string} material - Matériau d'isolation (ex: 'fiberglass', 'foam')
  * @property {number} thickness - Épaisseur [m]
+ * @property {Object} [degradation] - Humidité [% vol] et âge [ans] de l'isolant
+ *   ({moisture, age}; voir properties/material-properties.js)
+ * @property {Object} [jacket] - Gaine de protection ({material, thickness, emissivity};
+ *   voir resolveJacket). Sa surface porte la convection et le rayonnement externes
  */
 
 /**
@@ -33,14 +63,329 @@
  * @property {number} Q_loss - Perte thermique [W]
  * @property {number} h_int - Coefficient convection interne [W/(m²·K)]
  * @property {number} h_ext - Coefficient transfert externe total [W/(m²·K)]
+ * @property {number|null} h_conv_ext - Part convective de h_ext [W/(m²·K)] (null si enterrée)
+ * @property {number|null} h_rad - Part radiative de h_ext [W/(m²·K)] (null si enterrée)
+ * @property {string|null} convectionRegime - Régime de convection externe: 'forced', 'mixed'
+ *   ou 'natural' (null si enterrée)
+ * @property {number|null} Ri - Nombre de Richardson Gr/Re² de l'air [-] (Infinity en air
+ *   calme, null si enterrée)
  * @property {number} U - Coefficient transfert global [W/(m²·K)]
  * @property {number} NTU - Nombre d'unités de transfert [-]
  * @property {number} Re - Nombre de Reynolds [-]
  * @property {number} f - Facteur de friction [-]
  * @property {number} V - Vitesse d'écoulement [m/s]
+ * @property {number} rho - Masse volumique du fluide à T_moy [kg/m³]
  * @property {string} regime - Régime d'écoulement
+ * @property {number} D_hydraulic - Diamètre d'écoulement [m] (D_inner réduit par le dépôt)
+ * @property {Object|null} fouling - Encrassement résolu (type, factor, thickness, roughness,
+ *   D_hydraulic) et résistance du dépôt R [K/W]; null sans encrassement
  * @property {number} R_total - Résistance thermique totale [K/W]
+ * @property {Array<number>} R_layers - Résistances par couche, de l'eau vers l'air [K/W]
+ * @property {Array<Object>} layer_details - Détail des couches (nom, type, R)
+ * @property {number} q_trace - Puissance linéique de traçage appliquée [W/m] (0 sans traçage)
+ * @property {number} Q_trace - Puissance de traçage apportée au segment [W]
+ * @property {number} T_amb_eq - Température ambiante équivalente vue par le fluide [°C]
+ * @property {Object|null} burial - Enfouissement résolu (profondeur de gel, k du sol), null si aérien
+ * @property {number} T_freeze - Point de congélation du fluide [°C]
+ * @property {number|null} T_surface - Température de la surface extérieure [°C] (null si enterrée)
+ * @property {Object|null} radiation - Rayonnement de ciel résolu (T_sky, T_surroundings, ...),
+ *   null sans rayonnement de ciel ou si enterrée
+ * @property {number|null} h_rad_sky - Part de h_rad vers le ciel [W/(m²·K)] (0 sans ciel)
+ * @property {number|null} q_solar - Flux solaire absorbé par unité de surface extérieure [W/m²]
+ * @property {number} T_env - Température d'environnement équivalente de la couche externe [°C]
+ *   (T_amb sans ciel ni soleil, surface du sol si enterrée)
+ * @property {Object|null} orientation - Orientation résolue (inclination, windAngle,
+ *   attackAngle, height, runLength), null si enterrée
+ * @property {number|null} V_wind_local - Vitesse du vent à la hauteur de la conduite [m/s]
+ *   (null si enterrée)
+ * @property {boolean} surfaceConverged - true si l'itération sur T_surface a convergé
+ * @property {number} surfaceIterations - Nombre d'itérations sur T_surface (0 si enterrée)
+ * @property {Array<number>} surfaceResiduals - Résidus |ΔT_surface| par itération [K]
+ * @property {number|null} k_insulation - Conductivité effective de l'isolant [W/(m·K)]
+ *   (courbe k(T), humidité et vieillissement; équivalente de l'ensemble si multicouche;
+ *   null sans isolation)
+ * @property {number|null} T_insulation - Température moyenne de l'isolant [°C]
+ * @property {Array<Object>|null} insulation_layers - Détail par couche d'isolant, du tuyau
+ *   vers l'extérieur (material, thickness, k, R, T_inner, T_outer, dT); null sans isolation
+ * @property {Array<number>} T_interfaces - Températures [°C]: fluide, surface du dépôt si
+ *   encrassement, puis faces de chaque couche de la paroi intérieure à l'environnement
+ *   (temperatureProfile)
+ * @property {number} D_ext - Diamètre de la surface extérieure (isolant et gaine compris) [m]
+ * @property {number} emissivity - Émissivité de la surface extérieure (gaine, isolant ou tuyau)
+ */
+
+/** Tolérance de convergence sur la température de surface [K] */
+const SURFACE_TOLERANCE = 0.01;
+
+/** Nombre maximal d'itérations sur la température de surface */
+const SURFACE_MAX_ITERATIONS = 30;
+
+/**
+ * Écart surface/air minimal pour le nombre de Rayleigh [K] (Ra > 0 requis par
+ * Churchill-Chu; sans effet pratique, la convection naturelle y est négligeable).
  */
+const MIN_NATURAL_DELTA_T = 0.01;
+
+/** Passes maximales sur la température moyenne de l'isolant (k dépend de T) */
+const INSULATION_PASSES = 4;
+
+/** Tolérance de convergence sur la température moyenne de l'isolant [K] */
+const INSULATION_TOLERANCE = 0.1;
+
+/**
+ * Calcule le coefficient de transfert externe (convection + rayonnement).
+ *
+ * Convection forcée (Churchill-Bernstein) et naturelle (Churchill-Chu) combinées
+ * par superposition n=3 (voir nusseltExternal): h_conv varie continûment avec le
+ * vent, de l'air calme au vent fort. Le régime dominant est déduit du nombre de
+ * Richardson Ri = Gr/Re²: forcé si Ri < 0.1, naturel si Ri > 10, mixte entre les deux.
+ *
+ * Le rayonnement et le nombre de Grashof sont évalués à la température de surface
+ * si elle est fournie (voir solveSurfaceTemperature); sinon, estimation grossière:
+ * moyenne fluide/air pour Grashof et température du fluide pour le rayonnement
+ * (refroidissement stagnant).
+ *
+ * Orientation (voir calculations/wind-exposure.js): seule la composante du vent
+ * normale à l'axe est pleinement efficace (Re effectif, voir yawedReynolds). En
+ * convection naturelle, la composante de la gravité normale à l'axe agit comme sur un
+ * cylindre horizontal (Ra × cos θ) et sa composante axiale comme sur un cylindre
+ * vertical de hauteur égale à la course (Ra_L × sin θ); la plus forte l'emporte.
+ *
+ * Avec un rayonnement de ciel (voir calculations/sky-radiation.js), la surface
+ * échange avec le ciel (fraction F_ciel) et l'environnement (1 - F_ciel) et absorbe
+ * le flux solaire q_sol. La couche externe reste un coefficient unique h_total,
+ * rapporté à une température d'environnement équivalente:
+ *   T_env = (h_conv·T_amb + h_ciel·T_ciel + h_env·T_environnement + q_sol) / h_total
+ * Sans ciel, T_env = T_amb et tout le rayonnement va vers l'air.
+ *
+ * @param {AmbientConditions} ambient - Conditions ambiantes
+ * @param {Object} air - Propriétés de l'air {rho, mu, k, Pr}
+ * @param {number} D_outer_final - Diamètre extérieur exposé à l'air [m]
+ * @param {number} T_fluid - Température du fluide [°C]
+ * @param {number} emissivity - Émissivité de la surface extérieure [-]
+ * @param {number} [T_surface] - Température de la surface extérieure [°C]
+ * @param {RadiationInfo|null} [sky=null] - Ciel, environnement et soleil résolus
+ *   (sky-radiation.js resolveRadiation); null = rayonnement vers l'air à T_amb
+ * @param {OrientationInfo|null} [orientation=null] - Orientation résolue
+ *   (wind-exposure.js resolveOrientation); null = horizontale, vent perpendiculaire
+ * @returns {{h_conv: number, h_rad: number, h_total: number, Nu: number, Re: number,
+ *   Gr: number, Ri: number, regime: string, h_rad_sky: number, h_rad_surroundings: number,
+ *   q_solar: number, T_env: number}} Coefficients [W/(m²·K)], nombres adimensionnels,
+ *   régime de convection ('forced', 'mixed' ou 'natural'), flux solaire absorbé [W/m²]
+ *   et température d'environnement équivalente [°C]. Re est le Reynolds effectif du vent
+ *   (composante normale à l'axe)
+ */
+function calculateExternalCoefficient(
+  ambient,
+  air,
+  D_outer_final,
+  T_fluid,
+  emissivity,
+  T_surface,
+  sky = null,
+  orientation = null
+) {
+  const reynolds =
+    typeof window !== 'undefined' ? window.Reynolds : require('../formulas/reynolds.js');
+  const nusseltInt =
+    typeof window !== 'undefined'
+      ? window.NusseltInternal
+      : require('../correlations/nusselt-internal.js');
+  const nusseltExt =
+    typeof window !== 'undefined'
+      ? window.NusseltExternal
+      : require('../correlations/nusselt-external.js');
+  const radiation =
+    typeof window !== 'undefined' ? window.Radiation : require('../correlations/radiation.js');
+
+  // Convection forcée (vent; Re = 0 en air calme), composante normale à l'axe
+  const Re_wind = reynolds.calculateReynolds(air.rho, ambient.V_wind, D_outer_final, air.mu);
+  const Re_air = orientation ? nusseltExt.yawedReynolds(Re_wind, orientation.attackAngle) : Re_wind;
+
+  // Convection naturelle
+  const g = 9.81; // m/s² (gravité)
+  const T_surf_estimate = T_surface !== undefined ? T_surface : (T_fluid + ambient.T_amb) / 2; // Estimation grossière
+  const T_film = (T_surf_estimate + ambient.T_amb) / 2; // Température film pour propriétés
+  const T_film_K = T_film + 273.15; // Conversion en Kelvin
+  const beta = 1.0 / T_film_K; // Coefficient d'expansion pour gaz parfait [1/K]
+  const delta_T = Math.max(Math.abs(T_surf_estimate - ambient.T_amb), MIN_NATURAL_DELTA_T);
+  const nu = air.mu / air.rho; // Viscosité cinématique [m²/s]
+  const Gr = (g * beta * delta_T * Math.pow(D_outer_final, 3)) / (nu * nu);
+
+  // Conduite inclinée: cylindre horizontal (gravité normale à l'axe) ou vertical
+  // sur la course (gravité axiale), la plus forte des deux
+  let Nu_natural;
+  if (orientation && orientation.inclination > 0) {
+    const theta = (orientation.inclination * Math.PI) / 180;
+    const L = orientation.runLength;
+    const Ra = Gr * air.Pr;
+    const Ra_normal = Ra * Math.cos(theta);
+    const Nu_horizontal =
+      Ra_normal > 0 ? nusseltExt.nusseltNaturalConvectionCylinder(Ra_normal, air.Pr) : 0;
+    const Ra_axial = Ra * Math.pow(L / D_outer_final, 3) * Math.sin(theta);
+    const Nu_vertical =
+      (nusseltExt.nusseltVerticalCylinder(Ra_axial, air.Pr, L, D_outer_final) * D_outer_final) / L;
+    Nu_natural = Math.max(Nu_horizontal, Nu_vertical);
+  }
+
+  const Nu_ext = nusseltExt.nusseltExternal(Re_air, air.Pr, Gr, Nu_natural);
+  const Ri = Re_air > 0 ? nusseltExt.calculateRichardsonNumber(Gr, Re_air) : Infinity;
+
+  const h_conv = nusseltInt.convectionCoefficient(Nu_ext, air.k, D_outer_final);
+
+  // Rayonnement (vers l'air, ou vers le ciel et l'environnement)
+  const T_rad = T_surface !== undefined ? T_surface : T_fluid;
+  let h_rad_sky = 0;
+  let h_rad_surroundings;
+  let q_solar = 0;
+  if (sky) {
+    const skyRad =
+      typeof window !== 'undefined' && window.SkyRadiation
+        ? window.SkyRadiation
+        : require('../calculations/sky-radiation.js');
+    h_rad_sky =
+      sky.viewFactorSky * radiation.radiationCoefficientSimple(T_rad, sky.T_sky, emissivity);
+    h_rad_surroundings =
+      (1 - sky.viewFactorSky) *
+      radiation.radiationCoefficientSimple(T_rad, sky.T_surroundings, emissivity);
+    q_solar = skyRad.absorbedSolarFlux(sky);
+  } else {
+    h_rad_surroundings = radiation.radiationCoefficientSimple(T_rad, ambient.T_amb, emissivity);
+  }
+  const h_rad = h_rad_sky + h_rad_surroundings;
+  const h_total = radiation.totalHeatTransferCoefficient(h_conv, h_rad);
+
+  // Température d'environnement équivalente (bilan de la surface)
+  const T_env = sky
+    ? (h_conv * ambient.T_amb +
+        h_rad_sky * sky.T_sky +
+        h_rad_surroundings * sky.T_surroundings +
+        q_solar) /
+      h_total
+    : ambient.T_amb;
+
+  return {
+    h_conv: h_conv,
+    h_rad: h_rad,
+    h_total: h_total,
+    Nu: Nu_ext,
+    Re: Re_air,
+    Gr: Gr,
+    Ri: Ri,
+    regime: nusseltExt.convectionRegime(Ri),
+    h_rad_sky: h_rad_sky,
+    h_rad_surroundings: h_rad_surroundings,
+    q_solar: q_solar,
+    T_env: T_env,
+  };
+}
+
+/**
+ * Résout la température de la surface extérieure par itération de point fixe.
+ *
+ * Le coefficient externe (convection naturelle et rayonnement) dépend de T_surface,
+ * elle-même fixée par le réseau de résistances:
+ *
+ *   fluide —R_fw— paroi intérieure (+ Q_trace) —R_ws— surface —R_ext(T_surface)— air
+ *
+ * À chaque itération, h_ext est évalué à T_surface, puis le bilan au nœud de paroi
+ * donne le flux sortant et la nouvelle T_surface = T_env + Q_ext × R_ext (T_env = T_amb
+ * sans rayonnement de ciel).
+ * Avec isolation, T_surface reste proche de T_amb: évaluer le rayonnement à la
+ * température du fluide le surestimerait fortement.
+ *
+ * @param {AmbientConditions} ambient - Conditions ambiantes
+ * @param {Object} air - Propriétés de l'air {rho, mu, k, Pr}
+ * @param {number} D_outer_final - Diamètre extérieur exposé à l'air [m]
+ * @param {number} emissivity - Émissivité de la surface extérieure [-]
+ * @param {number} T_fluid - Température moyenne du fluide [°C]
+ * @param {number} R_fluid_wall - Résistance fluide → paroi intérieure [K/W]
+ * @param {number} R_wall_surface - Résistance paroi intérieure → surface (paroi + isolation) [K/W]
+ * @param {number} Q_trace - Puissance de traçage injectée à la paroi [W]
+ * @param {number} length - Longueur du segment [m]
+ * @param {RadiationInfo|null} [sky=null] - Ciel, environnement et soleil résolus
+ * @param {OrientationInfo|null} [orientation=null] - Orientation résolue
+ * @returns {{T_surface: number, external: Object, converged: boolean, iterations: number,
+ *   residuals: Array<number>}} Température de surface [°C], coefficients externes à cette
+ *   température et diagnostic de convergence (résidus |ΔT_surface| [K])
+ *
+ * @example
+ * // DN50 isolé 20 mm, eau à 60°C, air calme à -10°C
+ * const surf = solveSurfaceTemperature(ambient, air, 0.1003, 0.79, 60, 0.002, 0.17, 0, 10);
+ * // surf.T_surface ≈ -6°C, surf.converged = true
+ */
+function solveSurfaceTemperature(
+  ambient,
+  air,
+  D_outer_final,
+  emissivity,
+  T_fluid,
+  R_fluid_wall,
+  R_wall_surface,
+  Q_trace,
+  length,
+  sky = null,
+  orientation = null
+) {
+  const A_outer = Math.PI * D_outer_final * length;
+  const residuals = [];
+
+  // Départ: estimation historique (moyenne fluide/air)
+  let T_surface = (T_fluid + ambient.T_amb) / 2;
+  let external = null;
+  let converged = false;
+
+  for (let iter = 0; iter < SURFACE_MAX_ITERATIONS; iter++) {
+    external = calculateExternalCoefficient(
+      ambient,
+      air,
+      D_outer_final,
+      T_fluid,
+      emissivity,
+      T_surface,
+      sky,
+      orientation
+    );
+    const R_ext = 1 / (external.h_total * A_outer);
+    const T_env = external.T_env;
+
+    // Bilan au nœud de paroi intérieure (traçage injecté à ce nœud)
+    const R_out = R_wall_surface + R_ext;
+    const T_wall =
+      (T_fluid / R_fluid_wall + Q_trace + T_env / R_out) / (1 / R_fluid_wall + 1 / R_out);
+    const Q_ext = (T_wall - T_env) / R_out;
+    const T_surface_new = T_env + Q_ext * R_ext;
+
+    const residual = Math.abs(T_surface_new - T_surface);
+    residuals.push(residual);
+    T_surface = T_surface_new;
+
+    if (residual < SURFACE_TOLERANCE) {
+      converged = true;
+      break;
+    }
+  }
+
+  // Coefficients cohérents avec la température de surface retenue
+  external = calculateExternalCoefficient(
+    ambient,
+    air,
+    D_outer_final,
+    T_fluid,
+    emissivity,
+    T_surface,
+    sky,
+    orientation
+  );
+
+  return {
+    T_surface: T_surface,
+    external: external,
+    converged: converged,
+    iterations: residuals.length,
+    residuals: residuals,
+  };
+}
 
 /**
  * Calcule un segment de conduite avec tous les transferts thermiques et hydrauliques.
@@ -64,6 +409,9 @@
  * @param {AmbientConditions} ambient - Conditions ambiantes (air)
  * @param {InsulationConfig} [insulation=null] - Isolation optionnelle
  * @param {number} [iterations=2] - Nombre d'itérations T_moy (1-5, défaut 2)
+ * @param {Object|null} [heatTracing=null] - Traçage électrique optionnel ({power} en W/m ou
+ *   {curve} autorégulante, voir calculations/heat-tracing.js). Sa puissance est ajoutée au
+ *   bilan via une température ambiante équivalente; un câble autorégulant est évalué à T_moy.
  * @returns {SegmentResult} Résultats du calcul
  * @throws {Error} Si les paramètres sont invalides
  *
@@ -88,9 +436,19 @@
  * // Backward compatible (1 itération = comportement v1.0-1.1)
  * const resultV1 = calculatePipeSegment(geometry, fluid, ambient, insulation, 1);
  *
+ * // Avec traçage électrique 10 W/m
+ * const traced = calculatePipeSegment(geometry, fluid, ambient, insulation, 2, { power: 10 });
+ *
  * console.log(`T_out = ${result.T_out}°C, Q_loss = ${result.Q_loss}W`);
  */
-function calculatePipeSegment(geometry, fluid, ambient, insulation = null, iterations = 2) {
+function calculatePipeSegment(
+  geometry,
+  fluid,
+  ambient,
+  insulation = null,
+  iterations = 2,
+  heatTracing = null
+) {
   // ========== VALIDATION DES ENTRÉES ==========
 
   // Géométrie
@@ -138,19 +496,6 @@ function calculatePipeSegment(geometry, fluid, ambient, insulation = null, itera
     throw new Error(`Vitesse vent invalide: ${ambient.V_wind}`);
   }
 
-  // Isolation (optionnelle)
-  if (insulation !== null) {
-    if (typeof insulation !== 'object') {
-      throw new Error('Configuration isolation invalide');
-    }
-    if (typeof insulation.material !== 'string' || insulation.material.length === 0) {
-      throw new Error(`Matériau isolation invalide: ${insulation.material}`);
-    }
-    if (typeof insulation.thickness !== 'number' || insulation.thickness <= 0) {
-      throw new Error(`Épaisseur isolation invalide: ${insulation.thickness}`);
-    }
-  }
-
   // Iterations (validation v1.2)
   if (
     typeof iterations !== 'number' ||
@@ -168,10 +513,10 @@ function calculatePipeSegment(geometry, fluid, ambient, insulation = null, itera
   // Note: En production browser, ces modules sont chargés via <script> tags
   // Pour les tests Node.js, ils sont chargés via require dans le wrapper
 
-  const waterProps =
-    typeof window !== 'undefined'
-      ? window.WaterProperties
-      : require('../properties/water-properties.js');
+  const fluidProps =
+    typeof window !== 'undefined' && window.FluidProperties
+      ? window.FluidProperties
+      : require('../properties/fluid-properties.js');
   const airProps =
     typeof window !== 'undefined'
       ? window.AirProperties
@@ -193,12 +538,6 @@ function calculatePipeSegment(geometry, fluid, ambient, insulation = null, itera
     typeof window !== 'undefined'
       ? window.NusseltInternal
       : require('../correlations/nusselt-internal.js');
-  const nusseltExt =
-    typeof window !== 'undefined'
-      ? window.NusseltExternal
-      : require('../correlations/nusselt-external.js');
-  const radiation =
-    typeof window !== 'undefined' ? window.Radiation : require('../correlations/radiation.js');
   const resistance =
     typeof window !== 'undefined'
       ? window.ThermalResistance
@@ -207,6 +546,83 @@ function calculatePipeSegment(geometry, fluid, ambient, insulation = null, itera
     typeof window !== 'undefined'
       ? window.HeatTransfer
       : require('../calculations/heat-transfer.js');
+  const tracing =
+    typeof window !== 'undefined' && window.HeatTracing
+      ? window.HeatTracing
+      : require('../calculations/heat-tracing.js');
+  const buriedPipe =
+    typeof window !== 'undefined' && window.BuriedPipe
+      ? window.BuriedPipe
+      : require('../calculations/buried-pipe.js');
+  const skyRadiation =
+    typeof window !== 'undefined' && window.SkyRadiation
+      ? window.SkyRadiation
+      : require('../calculations/sky-radiation.js');
+  const windExposure =
+    typeof window !== 'undefined' && window.WindExposure
+      ? window.WindExposure
+      : require('../calculations/wind-exposure.js');
+  const insulationLayers =
+    typeof window !== 'undefined' && window.InsulationLayers
+      ? window.InsulationLayers
+      : require('../calculations/insulation-layers.js');
+  const foulingModule =
+    typeof window !== 'undefined' && window.Fouling
+      ? window.Fouling
+      : require('../calculations/fouling.js');
+
+  // Encrassement intérieur (optionnel): diamètre hydraulique et rugosité du dépôt
+  const fouling = geometry.fouling
+    ? foulingModule.resolveFouling(geometry.fouling, geometry.D_inner, geometry.roughness)
+    : null;
+  const D_flow = fouling ? fouling.D_hydraulic : geometry.D_inner;
+  const roughness = fouling ? fouling.roughness : geometry.roughness;
+
+  // Couches côté fluide, en amont de la paroi: convection interne (+ dépôt)
+  const innerCount = fouling && fouling.factor > 0 ? 2 : 1;
+
+  // Isolation (optionnelle): couches ordonnées du tuyau vers l'extérieur
+  const insulationSystem =
+    insulation !== null ? insulationLayers.resolveInsulation(insulation) : null;
+
+  // Conduite enterrée: sol (facteur de forme) au lieu de l'air, référence = surface du sol
+  const burial = ambient.burial ? buriedPipe.resolveBurial(ambient.burial, ambient.T_amb) : null;
+  const T_ref = burial ? burial.T_surface : ambient.T_amb;
+
+  // Rayonnement de ciel et apport solaire (conduite aérienne uniquement)
+  const sky =
+    !burial && ambient.radiation
+      ? skyRadiation.resolveRadiation(ambient.radiation, ambient.T_amb)
+      : null;
+
+  // Orientation et vent à la hauteur de la conduite (conduite aérienne uniquement)
+  const orientation = burial
+    ? null
+    : windExposure.resolveOrientation(geometry.orientation, geometry.runLength || geometry.length);
+  const exposedAmbient = burial
+    ? ambient
+    : {
+        ...ambient,
+        V_wind: windExposure.windSpeedAtHeight(
+          ambient.V_wind,
+          orientation.height,
+          ambient.terrain || 'open'
+        ),
+      };
+
+  // Point de congélation du fluide (valide aussi le type et la concentration)
+  const T_freeze = fluidProps.freezingPoint(fluid);
+
+  // Traçage (optionnel)
+  if (heatTracing !== null) {
+    tracing.validateHeatTracing(heatTracing);
+  }
+
+  // Gaine de protection (optionnelle): couche extérieure et émissivité de surface
+  const jacket =
+    insulationSystem && insulationSystem.jacket
+      ? materials.resolveJacket(insulationSystem.jacket)
+      : null;
 
   // ========== ITÉRATION T_moy (v1.2) ==========
   // Améliore précision en recalculant propriétés à température moyenne
@@ -214,8 +630,8 @@ function calculatePipeSegment(geometry, fluid, ambient, insulation = null, itera
   // Initialisation selon mode:
   // - iterations=1 (v1.0-1.1): T_out_guess non utilisé (T_avg = T_in toujours)
   // - iterations≥2 (v1.2): T_out_guess = estimation grossière pour démarrer itération
-  // Clamp à 0°C pour éviter températures négatives (gel)
-  let T_out_guess = iterations === 1 ? fluid.T_in : Math.max(0, (fluid.T_in + ambient.T_amb) / 2);
+  // Clamp au point de congélation du fluide (gel)
+  let T_out_guess = iterations === 1 ? fluid.T_in : Math.max(T_freeze, (fluid.T_in + T_ref) / 2);
   let result; // Résultat final (dernière itération)
 
   for (let iter = 0; iter < iterations; iter++) {
@@ -229,126 +645,257 @@ function calculatePipeSegment(geometry, fluid, ambient, insulation = null, itera
       T_avg = (fluid.T_in + T_out_guess) / 2; // Itération v1.2
     }
 
-    // Clamp T_avg à 0°C minimum pour éviter erreur dans getWaterProperties
+    // Clamp T_avg au point de congélation pour éviter erreur dans getFluidProperties
     // (permet à la détection de gel dans pipe-network.js de gérer le cas)
-    T_avg = Math.max(0, T_avg);
+    T_avg = Math.max(T_freeze, T_avg);
 
     // ========== ÉTAPE 1: PROPRIÉTÉS DES FLUIDES ==========
     // v1.2: Propriétés à T_avg (itération 2+) au lieu de T_in (itération 1)
-    const water = waterProps.getWaterProperties(T_avg, fluid.P);
-    const air = airProps.getAirProperties(ambient.T_amb);
+    // (eau ou mélange glycol selon fluid.type)
+    const water = fluidProps.getFluidProperties(fluid, T_avg, fluid.P);
+    const air = airProps.getAirProperties(ambient.T_amb, ambient);
 
     // ========== ÉTAPE 2: HYDRAULIQUE ==========
 
     // Vitesse d'écoulement
     const Q = fluid.m_dot / water.rho; // Débit volumique [m³/s]
-    const V = geom.velocityFromFlowrate(Q, geometry.D_inner);
+    const V = geom.velocityFromFlowrate(Q, D_flow);
 
     // Nombre de Reynolds
-    const Re = reynolds.calculateReynolds(water.rho, V, geometry.D_inner, water.mu);
+    const Re = reynolds.calculateReynolds(water.rho, V, D_flow, water.mu);
     const regime = reynolds.getFlowRegime(Re);
 
     // Facteur de friction
-    const epsilon_D = geometry.roughness / geometry.D_inner;
+    const epsilon_D = roughness / D_flow;
     const f = friction.frictionFactor(Re, epsilon_D, 'churchill');
 
     // Perte de charge
-    const dP = pressureBasic.pressureDropDarcy(f, geometry.length, geometry.D_inner, water.rho, V);
+    const dP = pressureBasic.pressureDropDarcy(f, geometry.length, D_flow, water.rho, V);
 
     // ========== ÉTAPE 3: TRANSFERT THERMIQUE ==========
 
     // Nombre de Prandtl eau
     const Pr_water = (water.mu * water.cp) / water.k;
 
-    // Convection interne (eau → paroi)
-    const Nu_int = nusseltInt.nusseltInternal(Re, Pr_water, geometry.D_inner, geometry.length);
-    const h_int = nusseltInt.convectionCoefficient(Nu_int, water.k, geometry.D_inner);
+    // Convection interne (eau → paroi), moyenne sur le segment depuis l'entrée thermique
+    const Nu_int = nusseltInt.nusseltInternalSegment(
+      Re,
+      Pr_water,
+      D_flow,
+      geometry.entryDistance || 0,
+      geometry.length
+    );
+    const h_int = nusseltInt.convectionCoefficient(Nu_int, water.k, D_flow);
 
-    // Diamètre extérieur final (avec isolation si présente)
-    const D_outer_final = insulation
-      ? geometry.D_outer + 2 * insulation.thickness
+    // Diamètre extérieur final (avec isolation et gaine si présentes)
+    const D_insulation = insulationSystem
+      ? geometry.D_outer + 2 * insulationSystem.thickness
       : geometry.D_outer;
+    const D_outer_final = jacket ? D_insulation + 2 * jacket.thickness : D_insulation;
 
-    // Convection externe (paroi → air)
-    let Nu_ext;
-    let h_conv_ext;
+    const pipeMat = materials.getMaterialProperties(geometry.material);
 
-    if (ambient.V_wind > 0.1) {
-      // Convection forcée (vent)
-      const Re_air = reynolds.calculateReynolds(air.rho, ambient.V_wind, D_outer_final, air.mu);
-      Nu_ext = nusseltExt.nusseltChurchillBernstein(Re_air, air.Pr);
-      h_conv_ext = nusseltInt.convectionCoefficient(Nu_ext, air.k, D_outer_final);
-    } else {
-      // Convection naturelle (pas de vent)
-      const g = 9.81; // m/s² (gravité)
-      const T_surf_estimate = (fluid.T_in + ambient.T_amb) / 2; // Estimation grossière
-      const T_film = (T_surf_estimate + ambient.T_amb) / 2; // Température film pour propriétés
-      const T_film_K = T_film + 273.15; // Conversion en Kelvin
-      const beta = 1.0 / T_film_K; // Coefficient d'expansion pour gaz parfait [1/K]
-      const delta_T = Math.abs(T_surf_estimate - ambient.T_amb);
-      const nu = air.mu / air.rho; // Viscosité cinématique [m²/s]
-
-      const Ra = nusseltExt.calculateRayleigh(g, beta, delta_T, D_outer_final, nu, air.Pr);
-      Nu_ext = nusseltExt.nusseltNaturalConvectionCylinder(Ra, air.Pr);
-      h_conv_ext = nusseltInt.convectionCoefficient(Nu_ext, air.k, D_outer_final);
-    }
+    // Émissivité de la surface extérieure: gaine, sinon couche d'isolant extérieure, sinon tuyau
+    const surfaceMat = insulationSystem
+      ? materials.getMaterialProperties(
+          insulationSystem.layers[insulationSystem.layers.length - 1].material
+        )
+      : pipeMat;
+    const emissivity = jacket ? jacket.emissivity : surfaceMat.emissivity;
 
-    // Rayonnement
-    const pipeMat = materials.getMaterialProperties(geometry.material);
-    const h_rad = radiation.radiationCoefficientSimple(
-      fluid.T_in,
-      ambient.T_amb,
-      pipeMat.emissivity
-    );
-    const h_ext_total = radiation.totalHeatTransferCoefficient(h_conv_ext, h_rad);
+    // Traçage: puissance à T_moy, injectée à la paroi
+    const q_trace = tracing.tracePowerAt(heatTracing, T_avg);
+    const Q_trace = q_trace * geometry.length;
 
     // ========== ÉTAPE 4: RÉSISTANCES THERMIQUES ==========
-
-    const layers = [
-      {
-        type: 'convection',
-        h: h_int,
-        D: geometry.D_inner,
-        name: 'Convection interne',
-      },
-      {
+    // k de chaque couche d'isolant évalué à sa température moyenne: passes
+    // successives jusqu'à stabilisation de ces températures
+
+    const insulationCount = insulationSystem ? insulationSystem.layers.length : 0;
+    const firstInsulation = innerCount + 1; // Après la paroi du tuyau
+    const T_layers = new Array(insulationCount).fill((T_avg + T_ref) / 2);
+    const k_layers = new Array(insulationCount).fill(null);
+    let T_interfaces = null;
+    let layers;
+    let surface;
+    let thermalRes;
+
+    for (let pass = 0; pass < (insulationSystem ? INSULATION_PASSES : 1); pass++) {
+      layers = [
+        {
+          type: 'convection',
+          h: h_int,
+          D: D_flow,
+          name: 'Convection interne',
+        },
+      ];
+      if (innerCount > 1) {
+        // Dépôt: résistance R_f rapportée à sa surface mouillée
+        layers.push({
+          type: 'convection',
+          h: 1 / fouling.factor,
+          D: D_flow,
+          name: 'Encrassement',
+        });
+      }
+      layers.push({
         type: 'conduction',
         r_inner: geometry.D_inner / 2,
         r_outer: geometry.D_outer / 2,
         k: pipeMat.k,
         name: 'Paroi',
-      },
-    ];
-
-    // Ajouter isolation si présente
-    if (insulation) {
-      const insulMat = materials.getMaterialProperties(insulation.material);
-      layers.push({
-        type: 'conduction',
-        r_inner: geometry.D_outer / 2,
-        r_outer: D_outer_final / 2,
-        k: insulMat.k,
-        name: 'Isolation',
       });
+
+      // Ajouter les couches d'isolation si présentes
+      let r_layer = geometry.D_outer / 2;
+      for (let i = 0; i < insulationCount; i++) {
+        const layer = insulationSystem.layers[i];
+        k_layers[i] = materials.insulationConductivity(
+          layer.material,
+          T_layers[i],
+          layer.degradation
+        );
+        layers.push({
+          type: 'conduction',
+          r_inner: r_layer,
+          r_outer: r_layer + layer.thickness,
+          k: k_layers[i],
+          name: insulationCount > 1 ? `Isolation ${i + 1}` : 'Isolation',
+        });
+        r_layer += layer.thickness;
+      }
+      if (jacket) {
+        layers.push({
+          type: 'conduction',
+          r_inner: D_insulation / 2,
+          r_outer: D_outer_final / 2,
+          k: jacket.k,
+          name: 'Gaine',
+        });
+      }
+
+      // Convection externe + rayonnement à la température de surface résolue
+      // (sans objet si enterrée: conduction dans le sol)
+      surface = null;
+      if (!burial) {
+        const R_inner = resistance.pipeResistance(layers, geometry.length).R_layers;
+        surface = solveSurfaceTemperature(
+          exposedAmbient,
+          air,
+          D_outer_final,
+          emissivity,
+          T_avg,
+          R_inner.slice(0, innerCount).reduce((sum, R) => sum + R, 0),
+          R_inner.slice(innerCount).reduce((sum, R) => sum + R, 0),
+          Q_trace,
+          geometry.length,
+          sky,
+          orientation
+        );
+      }
+      const passEnv = surface ? surface.external.T_env : T_ref;
+
+      // Convection externe, ou conduction dans le sol si enterrée
+      if (burial) {
+        layers.push({
+          type: 'buried',
+          D: D_outer_final,
+          depth: burial.depth,
+          k: burial.k,
+          name: 'Sol (facteur de forme)',
+        });
+      } else {
+        layers.push({
+          type: 'convection',
+          h: surface.external.h_total,
+          D: D_outer_final,
+          name: 'Convection externe + rayonnement',
+        });
+      }
+
+      thermalRes = resistance.pipeResistance(layers, geometry.length);
+
+      // Températures aux interfaces: fluide (et surface du dépôt), puis paroi
+      // intérieure → environnement (traçage injecté à la paroi, flux uniforme au-delà)
+      const R_innerLayers = thermalRes.R_layers.slice(0, innerCount);
+      const R_int = R_innerLayers.reduce((sum, R) => sum + R, 0);
+      const R_out = thermalRes.R_total - R_int;
+      const T_wall = (T_avg / R_int + Q_trace + passEnv / R_out) / (1 / R_int + 1 / R_out);
+      T_interfaces = resistance
+        .temperatureProfile(T_avg, T_wall, R_innerLayers)
+        .concat(
+          resistance
+            .temperatureProfile(T_wall, passEnv, thermalRes.R_layers.slice(innerCount))
+            .slice(1)
+        );
+      if (!insulationSystem) {
+        break;
+      }
+
+      // Température moyenne de chaque couche d'isolant (faces firstInsulation + i et + i + 1)
+      let converged = true;
+      for (let i = 0; i < insulationCount; i++) {
+        const T_mean =
+          (T_interfaces[firstInsulation + i] + T_interfaces[firstInsulation + i + 1]) / 2;
+        converged = converged && Math.abs(T_mean - T_layers[i]) < INSULATION_TOLERANCE;
+        T_layers[i] = T_mean;
+      }
+      if (converged) {
+        break;
+      }
     }
 
-    // Convection externe
-    layers.push({
-      type: 'convection',
-      h: h_ext_total,
-      D: D_outer_final,
-      name: 'Convection externe + rayonnement',
-    });
+    // Isolant: conductivité équivalente de l'ensemble et détail par couche
+    let k_insulation = null;
+    let T_insulation = null;
+    let insulation_layers = null;
+    if (insulationSystem) {
+      const R_insulation = thermalRes.R_layers.slice(
+        firstInsulation,
+        firstInsulation + insulationCount
+      );
+      k_insulation =
+        Math.log(D_insulation / geometry.D_outer) /
+        (2 * Math.PI * geometry.length * R_insulation.reduce((sum, R) => sum + R, 0));
+      T_insulation =
+        (T_interfaces[firstInsulation] + T_interfaces[firstInsulation + insulationCount]) / 2;
+      insulation_layers = insulationSystem.layers.map((layer, i) => ({
+        material: layer.material,
+        thickness: layer.thickness,
+        k: k_layers[i],
+        R: R_insulation[i],
+        T_inner: T_interfaces[firstInsulation + i],
+        T_outer: T_interfaces[firstInsulation + i + 1],
+        dT: T_interfaces[firstInsulation + i] - T_interfaces[firstInsulation + i + 1],
+      }));
+    }
 
-    const thermalRes = resistance.pipeResistance(layers, geometry.length);
+    const external = surface ? surface.external : null;
+    const T_env = external ? external.T_env : T_ref;
     const R_total = thermalRes.R_total;
+
+    // Coefficient externe (équivalent rapporté à la surface extérieure si enterrée)
+    const R_external = thermalRes.R_layers[thermalRes.R_layers.length - 1];
+    const h_ext_total = burial
+      ? 1 / (R_external * Math.PI * D_outer_final * geometry.length)
+      : external.h_total;
     const UA = resistance.overallHeatTransferCoefficient(R_total);
 
-    // ========== ÉTAPE 5: TEMPÉRATURE DE SORTIE (NTU) ==========
+    // ========== ÉTAPE 5: TRAÇAGE ÉLECTRIQUE ==========
+    // Apport à la paroi → température ambiante équivalente pour le fluide
+
+    const R_fouling = innerCount > 1 ? thermalRes.R_layers[1] : 0;
+    const T_amb_eq = tracing.equivalentAmbientTemperature(
+      T_env,
+      Q_trace,
+      R_total - thermalRes.R_layers[0] - R_fouling
+    );
+
+    // ========== ÉTAPE 6: TEMPÉRATURE DE SORTIE (NTU) ==========
 
     const T_out = heatTransfer.calculateOutletTemperature(
       fluid.T_in,
-      ambient.T_amb,
+      T_amb_eq,
       fluid.m_dot,
       water.cp,
       UA
@@ -374,6 +921,10 @@ function calculatePipeSegment(geometry, fluid, ambient, insulation = null, itera
       // Coefficients thermiques
       h_int: h_int,
       h_ext: h_ext_total,
+      h_conv_ext: external ? external.h_conv : null,
+      h_rad: external ? external.h_rad : null,
+      convectionRegime: external ? external.regime : null,
+      Ri: external ? external.Ri : null,
       U: U,
       NTU: NTU,
 
@@ -381,15 +932,55 @@ function calculatePipeSegment(geometry, fluid, ambient, insulation = null, itera
       Re: Re,
       f: f,
       V: V,
+      rho: water.rho,
       regime: regime,
+      D_hydraulic: D_flow,
+
+      // Encrassement intérieur (R: résistance du dépôt [K/W])
+      fouling: fouling ? { ...fouling, R: R_fouling } : null,
 
       // Résistance
       R_total: R_total,
+      R_layers: thermalRes.R_layers,
+      layer_details: thermalRes.layer_details,
+
+      // Traçage
+      q_trace: q_trace,
+      Q_trace: Q_trace,
+      T_amb_eq: T_amb_eq,
+
+      // Enfouissement
+      burial: burial,
+
+      // Point de congélation du fluide
+      T_freeze: T_freeze,
+
+      // Température de surface (itération interne)
+      T_surface: surface ? surface.T_surface : null,
+      radiation: sky,
+      h_rad_sky: external ? external.h_rad_sky : null,
+      q_solar: external ? external.q_solar : null,
+      T_env: T_env,
+      orientation: orientation,
+      V_wind_local: burial ? null : exposedAmbient.V_wind,
+      surfaceConverged: surface ? surface.converged : true,
+      surfaceIterations: surface ? surface.iterations : 0,
+      surfaceResiduals: surface ? surface.residuals : [],
+
+      // Isolant: conductivité effective à sa température moyenne
+      k_insulation: k_insulation,
+      T_insulation: T_insulation,
+      insulation_layers: insulation_layers,
+      T_interfaces: T_interfaces,
+
+      // Surface extérieure (gaine, isolant ou tuyau)
+      D_ext: D_outer_final,
+      emissivity: emissivity,
     };
 
     // Mise à jour T_out_guess pour itération suivante
-    // Clamp à 0°C pour éviter températures négatives dans itération suivante
-    T_out_guess = Math.max(0, T_out);
+    // Clamp au point de congélation pour rester dans la plage des propriétés
+    T_out_guess = Math.max(T_freeze, T_out);
   } // Fin boucle itération
 
   // ========== RETOUR RÉSULTAT FINAL ==========
@@ -400,6 +991,8 @@ function calculatePipeSegment(geometry, fluid, ambient, insulation = null, itera
 if (typeof window !== 'undefined') {
   window.PipeSegment = {
     calculatePipeSegment,
+    calculateExternalCoefficient,
+    solveSurfaceTemperature,
   };
 }
 
@@ -407,5 +1000,7 @@ if (typeof window !== 'undefined') {
 if (typeof module !== 'undefined' && module.exports) {
   module.exports = {
     calculatePipeSegment,
+    calculateExternalCoefficient,
+    solveSurfaceTemperature,
   };
 }
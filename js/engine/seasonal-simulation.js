@@ -0,0 +1,345 @@
+/**
+ * @typedef {Object} WeatherStep
+ * @property {string|null} time - Horodatage tel que lu dans le fichier (null si absent)
+ * @property {number} T_amb - Température de l'air [°C]
+ * @property {number|null} V_wind - Vitesse du vent [m/s] (null = vent de la configuration)
+ * @property {number|null} hours - Durée du pas [h] (null = options.stepHours)
+ */
+
+/**
+ * @typedef {Object} SeasonalStepResult
+ * @property {string|null} time - Horodatage du pas
+ * @property {number} T_amb - Température de l'air [°C]
+ * @property {number} V_wind - Vitesse du vent [m/s]
+ * @property {number} hours - Durée du pas [h]
+ * @property {number} Q_loss - Chaleur cédée à l'ambiance [W] (traçage inclus)
+ * @property {number} minTemp - Température minimale du fluide [°C]
+ * @property {boolean} belowSafety - true si minTemp < T_freeze + safetyMargin
+ * @property {boolean} frozen - true si le gel est atteint dans la conduite
+ */
+
+/**
+ * @typedef {Object} SeasonalResult
+ * @property {number} steps - Nombre de pas simulés
+ * @property {number} totalHours - Durée simulée [h]
+ * @property {number} heatLoss_kWh - Chaleur cédée à l'ambiance sur la période [kWh]
+ * @property {number} traceEnergy_kWh - Énergie de traçage consommée sur la période [kWh]
+ * @property {number|null} energyCost - Coût de l'énergie perdue [$] (null sans energyPrice)
+ * @property {number|null} co2_kg - Émissions associées [kg CO₂] (null sans co2Factor)
+ * @property {number} hoursBelowSafety - Heures sous le seuil de sécurité [h] (gel inclus)
+ * @property {number} hoursFrozen - Heures avec gel dans la conduite [h]
+ * @property {number} T_freeze - Point de congélation du fluide [°C]
+ * @property {number} safetyThreshold - Seuil de sécurité T_freeze + safetyMargin [°C]
+ * @property {number} evaluations - Calculs du réseau effectués (pas distincts après arrondi)
+ * @property {Array<SeasonalStepResult>} history - Résultat de chaque pas
+ */
+
+/** Séparateurs de colonnes reconnus, par ordre de priorité */
+const CSV_SEPARATORS = [';', '\t', ','];
+
+/** Noms de colonnes reconnus (minuscules, unité entre parenthèses retirée) */
+const COLUMN_ALIASES = {
+  time: ['time', 'date', 'datetime', 'timestamp', 'heure'],
+  T_amb: ['t_amb', 'tamb', 'temp', 'temperature', 'température', 't'],
+  V_wind: ['v_wind', 'wind', 'vent', 'wind_speed', 'vitesse_vent'],
+  hours: ['hours', 'duration', 'durée', 'duree'],
+};
+
+/** Pas de calcul par défaut de la mise en cache: 0.5°C et 0.5 m/s */
+const DEFAULT_CACHE_RESOLUTION = { T_amb: 0.5, V_wind: 0.5 };
+
+/**
+ * Valide qu'une valeur est un nombre fini dans [min, max].
+ * @private
+ */
+function checkRange(value, min, max, label) {
+  if (typeof value !== 'number' || !isFinite(value) || value < min || value > max) {
+    throw new Error(`${label} invalide: ${value} (plage valide: ${min} à ${max})`);
+  }
+}
+
+/**
+ * Lit un nombre, avec virgule décimale acceptée (séparateur ';' ou tabulation).
+ * @private
+ */
+function parseNumber(text, decimalComma) {
+  const normalized = decimalComma ? text.replace(',', '.') : text;
+  return normalized.trim() === '' ? NaN : Number(normalized);
+}
+
+/**
+ * Lit une série météo au format CSV.
+ *
+ * Première ligne: en-têtes. Colonnes reconnues (casse ignorée, unité entre
+ * parenthèses permise): T_amb (ou temp, température) obligatoire, V_wind (ou
+ * wind, vent) en m/s ou km/h si l'en-tête le précise, time (ou date) et hours
+ * (durée du pas) facultatives. Séparateur ',', ';' ou tabulation; avec ';' ou
+ * tabulation, la virgule décimale est acceptée. Les lignes vides et celles qui
+ * commencent par '#' sont ignorées.
+ *
+ * @param {string} text - Contenu du fichier CSV
+ * @returns {Array<WeatherStep>} Pas de temps dans l'ordre du fichier
+ * @throws {Error} Si la colonne de température manque ou si une valeur est invalide
+ *
+ * @example
+ * const series = parseWeatherCSV('time;T_amb (°C);wind (km/h)\n2024-01-01 00:00;-12,5;18');
+ * // [{ time: '2024-01-01 00:00', T_amb: -12.5, V_wind: 5, hours: null }]
+ */
+function parseWeatherCSV(text) {
+  if (typeof text !== 'string') {
+    throw new Error('Contenu CSV invalide');
+  }
+
+  const lines = text
+    .split(/\r?\n/)
+    .map((line, index) => ({ line, number: index + 1 }))
+    .filter(({ line }) => line.trim() !== '' && !line.trim().startsWith('#'));
+  if (lines.length < 2) {
+    throw new Error('Fichier météo vide: en-tête et au moins une ligne de données requis');
+  }
+
+  const header = lines[0].line;
+  const separator = CSV_SEPARATORS.find((sep) => header.includes(sep)) || ',';
+  const decimalComma = separator !== ',';
+
+  // Colonnes: nom sans unité, unité entre parenthèses
+  const columns = {};
+  let windInKmh = false;
+  header.split(separator).forEach((rawName, index) => {
+    const name = rawName
+      .replace(/\(.*\)/, '')
+      .trim()
+      .toLowerCase()
+      .replace(/\s+/g, '_');
+    for (const key in COLUMN_ALIASES) {
+      if (columns[key] === undefined && COLUMN_ALIASES[key].includes(name)) {
+        columns[key] = index;
+        if (key === 'V_wind' && /km\s*\/?\s*h/i.test(rawName)) {
+          windInKmh = true;
+        }
+      }
+    }
+  });
+  if (columns.T_amb === undefined) {
+    throw new Error(`Colonne de température absente de l'en-tête: '${header}'`);
+  }
+
+  return lines.slice(1).map(({ line, number }) => {
+    const cells = line.split(separator);
+
+    const T_amb = parseNumber(cells[columns.T_amb] || '', decimalComma);
+    if (!isFinite(T_amb)) {
+      throw new Error(`Ligne ${number}: température invalide '${cells[columns.T_amb]}'`);
+    }
+
+    let V_wind = null;
+    if (columns.V_wind !== undefined) {
+      V_wind = parseNumber(cells[columns.V_wind] || '', decimalComma);
+      if (!isFinite(V_wind) || V_wind < 0) {
+        throw new Error(`Ligne ${number}: vitesse du vent invalide '${cells[columns.V_wind]}'`);
+      }
+      if (windInKmh) {
+        V_wind = V_wind / 3.6; // km/h → m/s
+      }
+    }
+
+    let hours = null;
+    if (columns.hours !== undefined) {
+      hours = parseNumber(cells[columns.hours] || '', decimalComma);
+      if (!isFinite(hours) || hours <= 0) {
+        throw new Error(`Ligne ${number}: durée du pas invalide '${cells[columns.hours]}'`);
+      }
+    }
+
+    return {
+      time: columns.time !== undefined ? (cells[columns.time] || '').trim() : null,
+      T_amb,
+      V_wind,
+      hours,
+    };
+  });
+}
+
+/**
+ * Arrondit une valeur au multiple le plus proche du pas de mise en cache.
+ * @private
+ */
+function quantize(value, resolution) {
+  return resolution > 0 ? Math.round(value / resolution) * resolution : value;
+}
+
+/**
+ * Simule une saison (ou une année) de fonctionnement à partir d'une série météo.
+ *
+ * Calcul quasi stationnaire: chaque pas de temps est un régime permanent du
+ * réseau (calculatePipeNetwork) avec la température et le vent du pas; l'inertie
+ * thermique de l'eau et de la conduite est négligée (temps de séjour court devant
+ * le pas météo). Les pertes sont intégrées sur la durée de chaque pas.
+ *
+ * Mise en cache: T_amb et V_wind sont arrondis au pas de cacheResolution avant
+ * calcul, et les pas identiques après arrondi réutilisent le même résultat. Une
+ * année horaire (8760 pas) se réduit ainsi à environ un millier de calculs. Le
+ * découpage est fixe (config.numSegments), sans étude de convergence.
+ *
+ * @param {Object} config - Configuration du réseau (voir calculatePipeNetwork)
+ * @param {Array<WeatherStep>} series - Série météo (voir parseWeatherCSV)
+ * @param {Object} [options={}] - Options de simulation
+ * @param {number} [options.stepHours=1] - Durée des pas sans colonne hours [h] (24 = journalier)
+ * @param {number} [options.energyPrice] - Prix de l'énergie [$/kWh]
+ * @param {number} [options.co2Factor] - Facteur d'émission de l'énergie [kg CO₂/kWh]
+ * @param {number} [options.safetyMargin=5] - Marge du seuil de sécurité au-dessus du gel [°C]
+ * @param {Object} [options.cacheResolution] - Pas d'arrondi { T_amb: 0.5, V_wind: 0.5 }
+ *   (0 = calcul exact de chaque valeur distincte)
+ * @returns {SeasonalResult} Bilans énergétiques et heures à risque
+ * @throws {Error} Si les paramètres sont invalides ou si un pas ne peut être calculé
+ *
+ * @example
+ * const series = parseWeatherCSV(csvText);
+ * const season = simulateSeason(config, series, { energyPrice: 0.08, co2Factor: 0.2 });
+ * console.log(`${season.heatLoss_kWh.toFixed(0)} kWh, ${season.hoursFrozen} h de gel`);
+ */
+function simulateSeason(config, series, options = {}) {
+  const { stepHours = 1, energyPrice = null, co2Factor = null, safetyMargin = 5 } = options;
+  const resolution = { ...DEFAULT_CACHE_RESOLUTION, ...(options.cacheResolution || {}) };
+
+  // ========== VALIDATION ==========
+
+  if (!config || typeof config !== 'object' || !config.fluid || !config.ambient) {
+    throw new Error('Configuration invalide');
+  }
+  if (!Number.isInteger(config.numSegments) || config.numSegments < 1) {
+    throw new Error(`Nombre de segments invalide: ${config.numSegments}`);
+  }
+  if (!Array.isArray(series) || series.length === 0) {
+    throw new Error('Série météo vide');
+  }
+  checkRange(stepHours, Number.MIN_VALUE, 8784, 'Durée du pas');
+  checkRange(safetyMargin, 0, Infinity, 'Marge de sécurité');
+  if (energyPrice !== null) {
+    checkRange(energyPrice, 0, Infinity, "Prix de l'énergie");
+  }
+  if (co2Factor !== null) {
+    checkRange(co2Factor, 0, Infinity, "Facteur d'émission");
+  }
+  checkRange(resolution.T_amb, 0, 10, 'Pas de cache en température');
+  checkRange(resolution.V_wind, 0, 10, 'Pas de cache en vent');
+
+  // ========== MODULE NÉCESSAIRE ==========
+  const pipeNetwork =
+    typeof window !== 'undefined' && window.calculatePipeNetwork
+      ? { calculatePipeNetwork: window.calculatePipeNetwork }
+      : require('./pipe-network.js');
+
+  // ========== SIMULATION ==========
+
+  const cache = new Map();
+  let evaluations = 0;
+
+  const evaluate = (T_amb, V_wind) => {
+    const key = `${T_amb}|${V_wind}`;
+    if (!cache.has(key)) {
+      evaluations++;
+      const stepConfig = { ...config, ambient: { ...config.ambient, T_amb, V_wind } };
+      delete stepConfig.adaptive;
+      const network = pipeNetwork.calculatePipeNetwork(stepConfig);
+      cache.set(key, {
+        Q_loss: network.Q_loss_total + network.Q_trace_total,
+        Q_trace: network.Q_trace_total,
+        minTemp: network.minTemp,
+        frozen: network.frozenCondition,
+        T_freeze: network.T_freeze,
+      });
+    }
+    return cache.get(key);
+  };
+
+  let heatLoss_Wh = 0;
+  let traceEnergy_Wh = 0;
+  let totalHours = 0;
+  let hoursBelowSafety = 0;
+  let hoursFrozen = 0;
+  let T_freeze = null;
+
+  const history = series.map((step, i) => {
+    if (!step || typeof step !== 'object') {
+      throw new Error(`Pas ${i + 1}: invalide`);
+    }
+    const label = step.time ? `${i + 1} (${step.time})` : `${i + 1}`;
+    if (typeof step.T_amb !== 'number' || !isFinite(step.T_amb)) {
+      throw new Error(`Pas ${label}: température invalide`);
+    }
+    const V_raw =
+      step.V_wind !== null && step.V_wind !== undefined ? step.V_wind : config.ambient.V_wind;
+    if (typeof V_raw !== 'number' || !isFinite(V_raw) || V_raw < 0) {
+      throw new Error(`Pas ${label}: vitesse du vent invalide`);
+    }
+    const hours = step.hours !== null && step.hours !== undefined ? step.hours : stepHours;
+
+    const T_amb = quantize(step.T_amb, resolution.T_amb);
+    const V_wind = Math.max(quantize(V_raw, resolution.V_wind), 0);
+
+    let state;
+    try {
+      state = evaluate(T_amb, V_wind);
+    } catch (error) {
+      throw new Error(`Pas ${label}: ${error.message}`);
+    }
+
+    T_freeze = state.T_freeze;
+    const belowSafety = state.minTemp < state.T_freeze + safetyMargin;
+
+    heatLoss_Wh += state.Q_loss * hours;
+    traceEnergy_Wh += state.Q_trace * hours;
+    totalHours += hours;
+    if (belowSafety) {
+      hoursBelowSafety += hours;
+    }
+    if (state.frozen) {
+      hoursFrozen += hours;
+    }
+
+    return {
+      time: step.time || null,
+      T_amb: step.T_amb,
+      V_wind: V_raw,
+      hours,
+      Q_loss: state.Q_loss,
+      minTemp: state.minTemp,
+      belowSafety,
+      frozen: state.frozen,
+    };
+  });
+
+  const heatLoss_kWh = heatLoss_Wh / 1000;
+
+  return {
+    steps: series.length,
+    totalHours,
+    heatLoss_kWh,
+    traceEnergy_kWh: traceEnergy_Wh / 1000,
+    energyCost: energyPrice !== null ? heatLoss_kWh * energyPrice : null,
+    co2_kg: co2Factor !== null ? heatLoss_kWh * co2Factor : null,
+    hoursBelowSafety,
+    hoursFrozen,
+    T_freeze,
+    safetyThreshold: T_freeze + safetyMargin,
+    evaluations,
+    history,
+  };
+}
+
+// Export pour navigateur (window global)
+if (typeof window !== 'undefined') {
+  window.SeasonalSimulation = {
+    parseWeatherCSV,
+    simulateSeason,
+  };
+}
+
+// Export conditionnel pour tests Node.js
+if (typeof module !== 'undefined' && module.exports) {
+  module.exports = {
+    parseWeatherCSV,
+    simulateSeason,
+  };
+}
@@ -0,0 +1,129 @@
+/**
+ * @typedef {Object} TraceSizingResult
+ * @property {boolean} feasible - true si une puissance ≤ maxPower maintient T_maintain
+ * @property {number|null} power - Puissance linéique minimale requise [W/m] (null si infaisable)
+ * @property {number} T_maintain - Température de maintien visée [°C]
+ * @property {number} minTemp - Température minimale obtenue avec la puissance retenue [°C]
+ *   (avec maxPower si infaisable)
+ * @property {number} Q_trace_total - Puissance totale installée [W]
+ * @property {number} iterations - Nombre d'évaluations du réseau
+ * @property {Object} networkResult - Résultat calculatePipeNetwork avec la puissance retenue
+ */
+
+/**
+ * Dimensionne le traçage électrique d'une conduite.
+ *
+ * Cherche par bissection la puissance linéique constante minimale, appliquée à
+ * toute la longueur, qui maintient la température minimale du réseau au-dessus
+ * de T_maintain. Tout traçage déjà présent dans la configuration est remplacé.
+ *
+ * @param {Object} config - Configuration du réseau (voir calculatePipeNetwork)
+ * @param {number} T_maintain - Température de maintien visée [°C]
+ * @param {Object} [options={}] - Options de dimensionnement
+ * @param {number} [options.maxPower=200] - Puissance maximale envisagée [W/m]
+ * @param {number} [options.tolerance=0.1] - Précision sur la puissance [W/m]
+ * @returns {TraceSizingResult} Puissance requise et réseau correspondant
+ * @throws {Error} Si les paramètres sont invalides ou si l'eau entre sous T_maintain
+ *
+ * @example
+ * const sizing = sizeHeatTracing(config, 5);
+ * if (sizing.feasible) {
+ *   console.log(`Traçage requis: ${sizing.power.toFixed(1)} W/m`);
+ * }
+ */
+function sizeHeatTracing(config, T_maintain, options = {}) {
+  const { maxPower = 200, tolerance = 0.1 } = options;
+
+  // ========== VALIDATION ==========
+
+  if (!config || typeof config !== 'object' || !config.fluid) {
+    throw new Error('Configuration invalide');
+  }
+  if (typeof T_maintain !== 'number' || !isFinite(T_maintain)) {
+    throw new Error(`Température de maintien invalide: ${T_maintain}`);
+  }
+  if (typeof maxPower !== 'number' || !isFinite(maxPower) || maxPower <= 0) {
+    throw new Error(`Puissance maximale invalide: ${maxPower}`);
+  }
+  if (typeof tolerance !== 'number' || !isFinite(tolerance) || tolerance <= 0) {
+    throw new Error(`Tolérance invalide: ${tolerance}`);
+  }
+  if (config.fluid.T_in < T_maintain) {
+    throw new Error(
+      `Température d'entrée (${config.fluid.T_in}°C) inférieure à la température de maintien (${T_maintain}°C)`
+    );
+  }
+
+  // ========== MODULE NÉCESSAIRE ==========
+  const pipeNetwork =
+    typeof window !== 'undefined' && window.calculatePipeNetwork
+      ? { calculatePipeNetwork: window.calculatePipeNetwork }
+      : require('./pipe-network.js');
+
+  let iterations = 0;
+
+  // Même puissance sur tous les tronçons (remplace le traçage existant)
+  const evaluate = (power) => {
+    iterations++;
+    const heatTracing = power > 0 ? { power } : null;
+    const tracedConfig = { ...config, heatTracing };
+    if (Array.isArray(config.sections)) {
+      tracedConfig.sections = config.sections.map((section) => ({ ...section, heatTracing }));
+    }
+    return pipeNetwork.calculatePipeNetwork(tracedConfig);
+  };
+
+  const buildResult = (feasible, power, networkResult) => ({
+    feasible,
+    power,
+    T_maintain,
+    minTemp: networkResult.minTemp,
+    Q_trace_total: networkResult.Q_trace_total,
+    iterations,
+    networkResult,
+  });
+
+  // ========== BORNES ==========
+
+  const untraced = evaluate(0);
+  if (untraced.minTemp >= T_maintain) {
+    return buildResult(true, 0, untraced);
+  }
+
+  let high = maxPower;
+  let highResult = evaluate(high);
+  if (highResult.minTemp < T_maintain) {
+    return buildResult(false, null, highResult);
+  }
+
+  // ========== BISSECTION ==========
+  // minTemp croît avec la puissance: on garde toujours une borne haute satisfaisante
+
+  let low = 0;
+  while (high - low > tolerance) {
+    const mid = 0.5 * (low + high);
+    const midResult = evaluate(mid);
+    if (midResult.minTemp >= T_maintain) {
+      high = mid;
+      highResult = midResult;
+    } else {
+      low = mid;
+    }
+  }
+
+  return buildResult(true, high, highResult);
+}
+
+// Export pour navigateur (window global)
+if (typeof window !== 'undefined') {
+  window.TraceSizing = {
+    sizeHeatTracing,
+  };
+}
+
+// Export conditionnel pour tests Node.js
+if (typeof module !== 'undefined' && module.exports) {
+  module.exports = {
+    sizeHeatTracing,
+  };
+}
@@ -11,9 +11,27 @@
  * @property {number} Pr - Nombre de Prandtl [sans dimension]
  */
 
+/**
+ * @typedef {Object} AirConditions
+ * @property {number} [relativeHumidity=0] - Humidité relative [%] (0 à 100, par rapport à l'eau)
+ * @property {number} [altitude=0] - Altitude du site [m] (-500 à 5000)
+ */
+
 // Constantes de validation
-const AIR_T_MIN = -40.0; // °C
+const AIR_T_MIN = -60.0; // °C
 const AIR_T_MAX = 50.0; // °C
+const AIR_ALTITUDE_MIN = -500; // m
+const AIR_ALTITUDE_MAX = 5000; // m
+
+/** Pression atmosphérique normale des tables [Pa] */
+const P_STANDARD = 101325;
+
+/** Constantes spécifiques de l'air sec et de la vapeur d'eau [J/(kg·K)] */
+const R_DRY_AIR = 287.05;
+const R_VAPOR = 461.5;
+
+/** Capacité thermique de la vapeur d'eau [J/(kg·K)] */
+const CP_VAPOR = 1860;
 
 /**
  * Interpolation linéaire 1D
@@ -60,13 +78,59 @@ function findBracketIndices(value, grid) {
 }
 
 /**
- * Calcule les propriétés thermophysiques de l'air sec pour une température donnée.
+ * Pression barométrique à une altitude (atmosphère type ISA, troposphère).
+ *
+ *   p = 101325 × (1 - 2.25577e-5 × z)^5.25588
+ *
+ * @param {number} altitude - Altitude [m] (-500 à 5000)
+ * @returns {number} Pression [Pa]
+ * @throws {Error} Si l'altitude est invalide ou hors plage
+ *
+ * @example
+ * barometricPressure(1500); // ≈ 84 560 Pa
+ */
+function barometricPressure(altitude) {
+  if (
+    typeof altitude !== 'number' ||
+    !isFinite(altitude) ||
+    altitude < AIR_ALTITUDE_MIN ||
+    altitude > AIR_ALTITUDE_MAX
+  ) {
+    throw new Error(
+      `Altitude invalide: ${altitude} m (plage valide: ${AIR_ALTITUDE_MIN} à ${AIR_ALTITUDE_MAX} m)`
+    );
+  }
+  return P_STANDARD * Math.pow(1 - 2.25577e-5 * altitude, 5.25588);
+}
+
+/**
+ * Pression de vapeur saturante au-dessus de l'eau liquide (Magnus, coefficients
+ * d'Alduchov & Eskridge 1996). Sous 0°C, l'eau surfondue sert de référence,
+ * comme pour l'humidité relative publiée par les stations météo.
+ *
+ * @param {number} T_C - Température [°C]
+ * @returns {number} Pression de vapeur saturante [Pa]
+ *
+ * @example
+ * saturationVaporPressure(20); // ≈ 2333 Pa
+ */
+function saturationVaporPressure(T_C) {
+  return 610.94 * Math.exp((17.625 * T_C) / (T_C + 243.04));
+}
+
+/**
+ * Calcule les propriétés thermophysiques de l'air pour une température donnée.
  *
- * Pression: Atmosphérique (1.01325 bar / 101325 Pa)
+ * Les tables donnent l'air sec à pression atmosphérique (101325 Pa). Avec une
+ * humidité ou une altitude, la masse volumique suit la loi des gaz parfaits
+ * du mélange air sec + vapeur à la pression barométrique du site, et cp est
+ * pondéré par le rapport de mélange. μ et k restent ceux de l'air sec (effet
+ * de la vapeur < 1 % aux températures de gel).
  *
- * @param {number} T_C - Température en °C (plage: -40 à 50°C)
+ * @param {number} T_C - Température en °C (plage: -60 à 50°C)
+ * @param {AirConditions} [conditions] - Humidité et altitude (air sec au niveau de la mer par défaut)
  * @returns {AirProperties} Objet contenant toutes les propriétés
- * @throws {Error} Si la température est invalide ou hors plage
+ * @throws {Error} Si la température, l'humidité ou l'altitude est invalide ou hors plage
  *
  * @example
  * // Air à 20°C
@@ -76,8 +140,11 @@ function findBracketIndices(value, grid) {
  * console.log(props.k);    // 0.0255 W/(m·K)
  * console.log(props.cp);   // 1005.3 J/(kg·K)
  * console.log(props.Pr);   // 0.715
+ *
+ * // Air humide à -30°C, site à 1000 m
+ * getAirProperties(-30, { relativeHumidity: 80, altitude: 1000 }).rho; // ≈ 1.29 kg/m³
  */
-function getAirProperties(T_C) {
+function getAirProperties(T_C, conditions = {}) {
   // Validation du type et des valeurs spéciales
   if (typeof T_C !== 'number' || !isFinite(T_C)) {
     throw new Error(`Température invalide: ${T_C} (doit être un nombre fini)`);
@@ -104,18 +171,7 @@ function getAirProperties(T_C) {
   const T_grid = airData.temperature_grid_C;
   const { i0, i1 } = findBracketIndices(T_C, T_grid);
 
-  // Cas spécial: valeur exactement sur un point de grille
-  if (i0 === i1) {
-    return {
-      rho: airData.density_kg_m3[i0],
-      mu: airData.viscosity_Pa_s[i0],
-      k: airData.thermal_conductivity_W_m_K[i0],
-      cp: airData.specific_heat_J_kg_K[i0],
-      Pr: airData.prandtl[i0],
-    };
-  }
-
-  // Interpolation linéaire
+  // Interpolation linéaire (lerp renvoie la valeur du nœud si i0 === i1)
   const T0 = T_grid[i0];
   const T1 = T_grid[i1];
 
@@ -131,15 +187,51 @@ function getAirProperties(T_C) {
   const cp = lerp(T_C, T0, T1, airData.specific_heat_J_kg_K[i0], airData.specific_heat_J_kg_K[i1]);
   const Pr = lerp(T_C, T0, T1, airData.prandtl[i0], airData.prandtl[i1]);
 
-  return { rho, mu, k, cp, Pr };
+  return applyConditions(T_C, { rho, mu, k, cp, Pr }, conditions || {});
+}
+
+/**
+ * Corrige les propriétés de l'air sec pour l'humidité et l'altitude.
+ * @private
+ */
+function applyConditions(T_C, dry, conditions) {
+  const { relativeHumidity = 0, altitude = 0 } = conditions;
+  if (
+    typeof relativeHumidity !== 'number' ||
+    !isFinite(relativeHumidity) ||
+    relativeHumidity < 0 ||
+    relativeHumidity > 100
+  ) {
+    throw new Error(`Humidité relative invalide: ${relativeHumidity}% (plage valide: 0 à 100%)`);
+  }
+  const P = barometricPressure(altitude);
+
+  // Air sec au niveau de la mer: valeurs des tables inchangées
+  if (relativeHumidity === 0 && P === P_STANDARD) {
+    return dry;
+  }
+
+  const T_K = T_C + 273.15;
+  const P_vapor = (relativeHumidity / 100) * saturationVaporPressure(T_C);
+  const humidityRatio = (R_DRY_AIR / R_VAPOR) * (P_vapor / (P - P_vapor)); // kg vapeur / kg air sec
+
+  // Gaz parfaits: air sec à sa pression partielle (tables mises à l'échelle) + vapeur
+  const rho = (dry.rho * (P - P_vapor)) / P_STANDARD + P_vapor / (R_VAPOR * T_K);
+  const cp = (dry.cp + humidityRatio * CP_VAPOR) / (1 + humidityRatio);
+
+  return { rho, mu: dry.mu, k: dry.k, cp, Pr: (dry.Pr * cp) / dry.cp };
 }
 
 // Export pour navigateur (window global)
 if (typeof window !== 'undefined') {
   window.AirProperties = {
     getAirProperties,
+    barometricPressure,
+    saturationVaporPressure,
     AIR_T_MIN,
     AIR_T_MAX,
+    AIR_ALTITUDE_MIN,
+    AIR_ALTITUDE_MAX,
   };
 }
 
@@ -147,7 +239,11 @@ if (typeof window !== 'undefined') {
 if (typeof module !== 'undefined' && module.exports) {
   module.exports = {
     getAirProperties,
+    barometricPressure,
+    saturationVaporPressure,
     AIR_T_MIN,
     AIR_T_MAX,
+    AIR_ALTITUDE_MIN,
+    AIR_ALTITUDE_MAX,
   };
 }
@@ -0,0 +1,253 @@
+/**
+ * @typedef {Object} FluidSpec
+ * @property {string} [type='water'] - Fluide: 'water', 'ethylene_glycol', 'propylene_glycol'
+ * @property {number} [concentration] - Concentration massique du glycol [%] (20 à 50)
+ * @property {string} [waterBackend='table'] - Propriétés de l'eau: 'table' ou 'if97'
+ */
+
+/**
+ * @typedef {Object} FluidProperties
+ * @property {number} rho - Densité [kg/m³]
+ * @property {number} mu - Viscosité dynamique [Pa·s]
+ * @property {number} k - Conductivité thermique [W/(m·K)]
+ * @property {number} cp - Capacité thermique spécifique [J/(kg·K)]
+ */
+
+// Constantes de validation
+const FLUID_TYPES = ['water', 'ethylene_glycol', 'propylene_glycol'];
+const GLYCOL_CONC_MIN = 20; // % massique
+const GLYCOL_CONC_MAX = 50; // % massique
+const GLYCOL_T_MAX = 100.0; // °C
+
+/**
+ * Interpolation linéaire 1D
+ * @private
+ */
+function lerp(x, x0, x1, y0, y1) {
+  if (x1 === x0) {
+    return y0;
+  }
+  return y0 + ((x - x0) * (y1 - y0)) / (x1 - x0);
+}
+
+/**
+ * Trouve les indices des points de grille encadrant une valeur
+ * @private
+ */
+function findBracketIndices(value, grid) {
+  for (let i = 0; i < grid.length - 1; i++) {
+    if (value >= grid[i] && value <= grid[i + 1]) {
+      return { i0: i, i1: i + 1 };
+    }
+  }
+  return value <= grid[0] ? { i0: 0, i1: 0 } : { i0: grid.length - 1, i1: grid.length - 1 };
+}
+
+/**
+ * Récupère les tables glycol (depuis window ou module).
+ * @private
+ */
+function getGlycolData() {
+  if (typeof window !== 'undefined' && window.GlycolTablesData) {
+    return window.GlycolTablesData;
+  } else if (typeof require !== 'undefined') {
+    return require('../../data/fluids/glycol-tables.js').glycolTablesData;
+  }
+  throw new Error('Tables de données glycol non disponibles');
+}
+
+/**
+ * Récupère le module des propriétés de l'eau (depuis window ou module).
+ * @private
+ */
+function getWaterModule() {
+  return typeof window !== 'undefined' && window.WaterProperties
+    ? window.WaterProperties
+    : require('./water-properties.js');
+}
+
+/**
+ * Valide et normalise la description du fluide.
+ * @private
+ */
+function normalizeFluid(fluid) {
+  const type = fluid && fluid.type !== undefined ? fluid.type : 'water';
+  if (!FLUID_TYPES.includes(type)) {
+    throw new Error(`Fluide inconnu: '${type}'. Fluides disponibles: ${FLUID_TYPES.join(', ')}`);
+  }
+  if (type === 'water') {
+    const waterBackend = fluid && fluid.waterBackend !== undefined ? fluid.waterBackend : 'table';
+    const backends = getWaterModule().WATER_BACKENDS;
+    if (!backends.includes(waterBackend)) {
+      throw new Error(
+        `Backend eau inconnu: '${waterBackend}'. Backends disponibles: ${backends.join(', ')}`
+      );
+    }
+    return { type, concentration: 0, waterBackend };
+  }
+
+  const concentration = fluid.concentration;
+  if (
+    typeof concentration !== 'number' ||
+    !isFinite(concentration) ||
+    concentration < GLYCOL_CONC_MIN ||
+    concentration > GLYCOL_CONC_MAX
+  ) {
+    throw new Error(
+      `Concentration glycol invalide: ${concentration}% (plage valide: ${GLYCOL_CONC_MIN} à ${GLYCOL_CONC_MAX}%)`
+    );
+  }
+  return { type, concentration };
+}
+
+/**
+ * Point de congélation d'un fluide.
+ *
+ * Eau pure: 0°C. Mélanges glycol: interpolation linéaire en concentration
+ * dans data/fluids/glycol-tables.js.
+ *
+ * @param {FluidSpec} [fluid] - Fluide (eau par défaut)
+ * @returns {number} Point de congélation [°C]
+ * @throws {Error} Si le fluide ou la concentration est invalide
+ *
+ * @example
+ * freezingPoint({ type: 'propylene_glycol', concentration: 30 }); // -12.7°C
+ */
+function freezingPoint(fluid) {
+  const spec = normalizeFluid(fluid);
+  if (spec.type === 'water') {
+    return 0;
+  }
+
+  const data = getGlycolData();
+  const C_grid = data.concentration_grid_pct;
+  const freeze = data[spec.type].freezing_point_C;
+  const { i0, i1 } = findBracketIndices(spec.concentration, C_grid);
+  return lerp(spec.concentration, C_grid[i0], C_grid[i1], freeze[i0], freeze[i1]);
+}
+
+/**
+ * Calcule les propriétés thermophysiques d'un fluide caloporteur.
+ *
+ * L'eau est déléguée à water-properties.js (IAPWS-97, dépend de P) avec le
+ * backend choisi par fluid.waterBackend (tables ou équations IF97). Les mélanges
+ * glycol sont interpolés bilinéairement en (T, concentration); la pression est
+ * négligée pour ces liquides. La température doit rester au-dessus du point
+ * de congélation du mélange.
+ *
+ * @param {FluidSpec} fluid - Fluide
+ * @param {number} T_C - Température [°C]
+ * @param {number} P_bar - Pression [bar] (utilisée pour l'eau uniquement)
+ * @returns {FluidProperties} Objet contenant toutes les propriétés
+ * @throws {Error} Si les paramètres sont invalides ou hors plage
+ *
+ * @example
+ * // Propylène glycol 30% à -5°C
+ * const props = getFluidProperties({ type: 'propylene_glycol', concentration: 30 }, -5, 3);
+ * console.log(props.mu); // ≈ 7.5e-3 Pa·s
+ */
+function getFluidProperties(fluid, T_C, P_bar) {
+  const spec = normalizeFluid(fluid);
+  if (spec.type === 'water') {
+    return getWaterModule().getWaterProperties(T_C, P_bar, spec.waterBackend);
+  }
+
+  if (typeof T_C !== 'number' || !isFinite(T_C)) {
+    throw new Error(`Température invalide: ${T_C} (doit être un nombre fini)`);
+  }
+  const T_freeze = freezingPoint(spec);
+  if (T_C < T_freeze || T_C > GLYCOL_T_MAX) {
+    throw new Error(
+      `Température hors plage: ${T_C}°C (plage valide: ${T_freeze.toFixed(1)} à ${GLYCOL_T_MAX}°C)`
+    );
+  }
+
+  const data = getGlycolData();
+  const table = data[spec.type];
+  const T_grid = data.temperature_grid_C;
+  const C_grid = data.concentration_grid_pct;
+
+  const { i0: iT0, i1: iT1 } = findBracketIndices(T_C, T_grid);
+  const { i0: iC0, i1: iC1 } = findBracketIndices(spec.concentration, C_grid);
+
+  const interp = (grid2d) => {
+    const r0 = lerp(T_C, T_grid[iT0], T_grid[iT1], grid2d[iT0][iC0], grid2d[iT1][iC0]);
+    const r1 = lerp(T_C, T_grid[iT0], T_grid[iT1], grid2d[iT0][iC1], grid2d[iT1][iC1]);
+    return lerp(spec.concentration, C_grid[iC0], C_grid[iC1], r0, r1);
+  };
+
+  // Viscosité: interpolation en log (variation quasi exponentielle avec T)
+  const mu = Math.exp(interp(table.viscosity_Pa_s.map((row) => row.map(Math.log))));
+
+  return {
+    rho: interp(table.density_kg_m3),
+    mu: mu,
+    k: interp(table.thermal_conductivity_W_m_K),
+    cp: interp(table.specific_heat_J_kg_K),
+  };
+}
+
+/**
+ * Plage de température couverte par les propriétés d'un fluide.
+ *
+ * Eau: plage du backend (water-properties.js). Mélanges glycol: du point de
+ * congélation du mélange à GLYCOL_T_MAX.
+ *
+ * @param {FluidSpec} [fluid] - Fluide (eau par défaut)
+ * @returns {{T_min: number, T_max: number}} Bornes [°C]
+ * @throws {Error} Si le fluide ou la concentration est invalide
+ */
+function temperatureRange(fluid) {
+  const spec = normalizeFluid(fluid);
+  if (spec.type === 'water') {
+    const range = getWaterModule().getWaterRange(spec.waterBackend);
+    return { T_min: range.T_min, T_max: range.T_max };
+  }
+  return { T_min: freezingPoint(spec), T_max: GLYCOL_T_MAX };
+}
+
+/**
+ * Indique si le fluide est de l'eau pure (glace annulaire et palier de
+ * solidification modélisés uniquement pour l'eau).
+ *
+ * @param {FluidSpec} [fluid] - Fluide
+ * @returns {boolean} true pour l'eau pure
+ */
+function isWater(fluid) {
+  return normalizeFluid(fluid).type === 'water';
+}
+
+/**
+ * Liste tous les fluides disponibles.
+ *
+ * @returns {Array<string>} Liste des identifiants de fluides
+ */
+function listFluids() {
+  return FLUID_TYPES.slice();
+}
+
+// Export pour navigateur (window global)
+if (typeof window !== 'undefined') {
+  window.FluidProperties = {
+    getFluidProperties,
+    freezingPoint,
+    temperatureRange,
+    isWater,
+    listFluids,
+    GLYCOL_CONC_MIN,
+    GLYCOL_CONC_MAX,
+  };
+}
+
+// Export pour Node.js (tests)
+if (typeof module !== 'undefined' && module.exports) {
+  module.exports = {
+    getFluidProperties,
+    freezingPoint,
+    temperatureRange,
+    isWater,
+    listFluids,
+    GLYCOL_CONC_MIN,
+    GLYCOL_CONC_MAX,
+  };
+}
@@ -1,14 +1,48 @@
 /**
  * @typedef {Object} MaterialProperties
  * @property {string} name - Nom du matériau
- * @property {string} category - Catégorie: 'metal', 'insulation', 'plastic'
+ * @property {string} category - Catégorie: 'metal', 'insulation', 'jacket', 'plastic'
  * @property {number} k - Conductivité thermique [W/(m·K)]
  * @property {number} rho - Densité [kg/m³]
  * @property {number} cp - Capacité thermique spécifique [J/(kg·K)]
  * @property {number} [emissivity] - Émissivité pour rayonnement [sans dimension, 0-1]
+ * @property {{T_C: Array<number>, k: Array<number>}} [k_curve] - Isolants: k selon la
+ *   température moyenne [°C → W/(m·K)]
+ * @property {{max: number, tau: number}} [aging] - Isolants: hausse relative maximale de k
+ *   et constante de temps du vieillissement [ans]
+ * @property {number} [thickness] - Gaines: épaisseur typique [m]
  * @property {string} notes - Notes additionnelles
  */
 
+/**
+ * @typedef {Object} JacketConfig
+ * @property {string} material - Matériau de la gaine (ex: 'aluminum_jacket', 'mastic')
+ * @property {number} [thickness] - Épaisseur [m] (défaut: épaisseur typique du matériau)
+ * @property {number} [emissivity] - Émissivité de surface [0-1] (défaut: celle du matériau)
+ */
+
+/**
+ * @typedef {Object} InsulationDegradation
+ * @property {number} [moisture=0] - Teneur en eau de l'isolant [% volumique] (0 à 50)
+ * @property {number} [age=0] - Années en service [ans] (0 à 60)
+ */
+
+// Constantes de dégradation
+const MOISTURE_MAX = 50; // % volumique
+const AGE_MAX = 60; // ans
+
+/** Épaisseur maximale d'une gaine de protection [m] */
+const JACKET_THICKNESS_MAX = 0.01;
+
+/** Conductivité de l'eau liquide retenue dans l'isolant [W/(m·K)] */
+const K_WATER = 0.6;
+
+/**
+ * Fraction de la conductivité de l'eau ajoutée par unité de fraction volumique:
+ * intermédiaire entre l'eau en série (≈ 0) et en parallèle (1) avec la matrice
+ */
+const MOISTURE_CONDUCTION_FACTOR = 0.35;
+
 /**
  * Récupère les propriétés d'un matériau par son identifiant.
  *
@@ -46,10 +80,110 @@ function getMaterialProperties(material_id) {
   return { ...props }; // Retourne une copie pour éviter modifications
 }
 
+/**
+ * Conductivité effective d'un isolant à sa température moyenne, dégradée par
+ * l'humidité et le vieillissement.
+ *
+ *   k = k(T_moy) × (1 + aging.max × (1 - e^(-âge/aging.tau))) + 0.35 × φ × k_eau
+ *
+ * k(T_moy) est interpolé linéairement dans k_curve (borné aux extrémités);
+ * φ est la fraction volumique d'eau. Un matériau sans courbe garde son k constant.
+ * L'eau est supposée liquide: sous 0°C, la glace (k ≈ 2.2 W/(m·K)) dégraderait
+ * davantage l'isolant, l'estimation reste donc optimiste pour un isolant gelé.
+ *
+ * @param {string} material_id - Identifiant du matériau (ex: 'mineral_wool')
+ * @param {number} T_mean - Température moyenne de la couche [°C]
+ * @param {InsulationDegradation} [degradation] - Humidité et âge (isolant neuf et sec par défaut)
+ * @returns {number} Conductivité effective [W/(m·K)]
+ * @throws {Error} Si le matériau, la température ou la dégradation est invalide
+ *
+ * @example
+ * insulationConductivity('mineral_wool', 24); // 0.038 W/(m·K)
+ * insulationConductivity('mineral_wool', 0, { moisture: 10 }); // ≈ 0.056 W/(m·K)
+ */
+function insulationConductivity(material_id, T_mean, degradation = null) {
+  const props = getMaterialProperties(material_id);
+  if (typeof T_mean !== 'number' || !isFinite(T_mean)) {
+    throw new Error(`Température moyenne invalide: ${T_mean} (doit être un nombre fini)`);
+  }
+
+  const { moisture = 0, age = 0 } = degradation || {};
+  if (
+    typeof moisture !== 'number' ||
+    !isFinite(moisture) ||
+    moisture < 0 ||
+    moisture > MOISTURE_MAX
+  ) {
+    throw new Error(`Humidité isolant invalide: ${moisture}% (plage valide: 0 à ${MOISTURE_MAX}%)`);
+  }
+  if (typeof age !== 'number' || !isFinite(age) || age < 0 || age > AGE_MAX) {
+    throw new Error(`Âge isolant invalide: ${age} ans (plage valide: 0 à ${AGE_MAX} ans)`);
+  }
+
+  let k = props.k;
+  if (props.k_curve) {
+    const { T_C, k: k_values } = props.k_curve;
+    const T = Math.min(Math.max(T_mean, T_C[0]), T_C[T_C.length - 1]);
+    let i = 0;
+    while (i < T_C.length - 2 && T > T_C[i + 1]) {
+      i++;
+    }
+    k = k_values[i] + ((T - T_C[i]) * (k_values[i + 1] - k_values[i])) / (T_C[i + 1] - T_C[i]);
+  }
+
+  if (props.aging && age > 0) {
+    k *= 1 + props.aging.max * (1 - Math.exp(-age / props.aging.tau));
+  }
+
+  return k + MOISTURE_CONDUCTION_FACTOR * (moisture / 100) * K_WATER;
+}
+
+/**
+ * Résout une gaine de protection: matériau, épaisseur et émissivité effectives.
+ *
+ * La gaine est la surface extérieure de l'isolant: son émissivité remplace celle
+ * du tuyau pour le rayonnement, et sa conductivité forme une couche de conduction.
+ *
+ * @param {JacketConfig} jacket - Gaine (matériau, épaisseur et émissivité optionnelles)
+ * @returns {{material: string, k: number, thickness: number, emissivity: number}} Gaine résolue
+ * @throws {Error} Si le matériau est inconnu ou si l'épaisseur ou l'émissivité est invalide
+ *
+ * @example
+ * resolveJacket({ material: 'aluminum_jacket' });
+ * // → { material: 'aluminum_jacket', k: 200, thickness: 0.0005, emissivity: 0.1 }
+ * resolveJacket({ material: 'aluminum_jacket', emissivity: 0.3 }); // aluminium oxydé
+ */
+function resolveJacket(jacket) {
+  if (!jacket || typeof jacket !== 'object') {
+    throw new Error('Configuration gaine invalide');
+  }
+  const props = getMaterialProperties(jacket.material);
+
+  const thickness = jacket.thickness !== undefined ? jacket.thickness : props.thickness;
+  if (typeof thickness !== 'number' || !isFinite(thickness) || thickness <= 0) {
+    throw new Error(`Épaisseur gaine invalide: ${thickness} (doit être > 0)`);
+  }
+  if (thickness > JACKET_THICKNESS_MAX) {
+    throw new Error(`Épaisseur gaine invalide: ${thickness} m (max ${JACKET_THICKNESS_MAX} m)`);
+  }
+
+  const emissivity = jacket.emissivity !== undefined ? jacket.emissivity : props.emissivity;
+  if (
+    typeof emissivity !== 'number' ||
+    !isFinite(emissivity) ||
+    emissivity <= 0 ||
+    emissivity > 1
+  ) {
+    throw new Error(`Émissivité gaine invalide: ${emissivity} (doit être entre 0 et 1)`);
+  }
+
+  return { material: jacket.material, k: props.k, thickness, emissivity };
+}
+
 /**
  * Liste tous les matériaux disponibles par catégorie.
  *
- * @param {string} [category] - Catégorie optionnelle: 'metal', 'insulation', 'plastic'
+ * @param {string} [category] - Catégorie optionnelle: 'metal', 'insulation', 'jacket', 'plastic'
  * @returns {Array<string>} Liste des identifiants de matériaux
  *
  * @example
@@ -86,7 +220,11 @@ function listMaterials(category = null) {
 if (typeof window !== 'undefined') {
   window.MaterialProperties = {
     getMaterialProperties,
+    insulationConductivity,
+    resolveJacket,
     listMaterials,
+    MOISTURE_MAX,
+    AGE_MAX,
   };
 }
 
@@ -94,6 +232,10 @@ if (typeof window !== 'undefined') {
 if (typeof module !== 'undefined' && module.exports) {
   module.exports = {
     getMaterialProperties,
+    insulationConductivity,
+    resolveJacket,
     listMaterials,
+    MOISTURE_MAX,
+    AGE_MAX,
   };
 }
@@ -0,0 +1,93 @@
+/**
+ * @typedef {Object} PipeRoughness
+ * @property {string} material - Matériau de l'application (ex: 'steel')
+ * @property {string} condition - État de la conduite: 'new', 'used' ou 'corroded'
+ * @property {number} roughness - Rugosité absolue [m]
+ * @property {string} label - Matériau et état dans la table (ex: 'Acier commercial, Usagé')
+ * @property {string} notes - Notes de la table
+ */
+
+/** États de conduite proposés, du plus lisse au plus rugueux */
+const ROUGHNESS_CONDITIONS = ['new', 'used', 'corroded'];
+
+/**
+ * Récupère la table des rugosités (depuis window ou module).
+ * @private
+ */
+function getRoughnessData() {
+  if (typeof window !== 'undefined' && window.PipeRoughnessData) {
+    return window.PipeRoughnessData;
+  } else if (typeof require !== 'undefined') {
+    return require('../../data/pipes/roughness.js').pipeRoughnessData;
+  }
+  throw new Error('Table des rugosités non disponible');
+}
+
+/**
+ * Récupère la rugosité absolue d'une conduite selon son matériau et son état.
+ *
+ * @param {string} material - Matériau de l'application ('steel', 'copper', 'stainless_steel')
+ * @param {string} [condition='new'] - État: 'new', 'used' ou 'corroded' (fortement
+ *   corrodé ou entartré)
+ * @returns {PipeRoughness} Rugosité et entrée de la table
+ * @throws {Error} Si le matériau ou l'état est inconnu
+ *
+ * @example
+ * getPipeRoughness('steel', 'used').roughness; // → 0.15e-3 m
+ */
+function getPipeRoughness(material, condition = 'new') {
+  const data = getRoughnessData();
+  const mapping = data.materiaux_application[material];
+  if (!mapping) {
+    const available = Object.keys(data.materiaux_application).join(', ');
+    throw new Error(`Rugosité inconnue pour matériau: '${material}'. Disponibles: ${available}`);
+  }
+  if (!ROUGHNESS_CONDITIONS.includes(condition)) {
+    throw new Error(
+      `État de conduite inconnu: '${condition}'. États disponibles: ${ROUGHNESS_CONDITIONS.join(', ')}`
+    );
+  }
+
+  const conditionName = mapping.conditions[condition];
+  const entry = data.materiaux.find(
+    (row) => row.materiau === mapping.materiau && row.condition === conditionName
+  );
+  if (!entry) {
+    throw new Error(`Entrée absente de la table: ${mapping.materiau}, ${conditionName}`);
+  }
+
+  return {
+    material: material,
+    condition: condition,
+    roughness: entry.rugosite_mm / 1000, // mm → m
+    label: `${entry.materiau}, ${entry.condition}`,
+    notes: entry.notes,
+  };
+}
+
+/**
+ * Liste les matériaux de l'application présents dans la table.
+ *
+ * @returns {Array<string>} Identifiants de matériaux
+ */
+function listRoughnessMaterials() {
+  return Object.keys(getRoughnessData().materiaux_application);
+}
+
+// Export pour navigateur (window global)
+if (typeof window !== 'undefined') {
+  window.PipeRoughness = {
+    getPipeRoughness,
+    listRoughnessMaterials,
+    ROUGHNESS_CONDITIONS,
+  };
+}
+
+// Export pour Node.js (tests)
+if (typeof module !== 'undefined' && module.exports) {
+  module.exports = {
+    getPipeRoughness,
+    listRoughnessMaterials,
+    ROUGHNESS_CONDITIONS,
+  };
+}
@@ -0,0 +1,74 @@
+/**
+ * @typedef {Object} SoilProperties
+ * @property {string} name - Nom du sol
+ * @property {number} k_unfrozen - Conductivité thermique non gelée [W/(m·K)]
+ * @property {number} k_frozen - Conductivité thermique gelée [W/(m·K)]
+ * @property {number} rho_dry - Masse volumique sèche [kg/m³]
+ * @property {number} moisture - Teneur en eau massique [kg eau / kg sol sec]
+ * @property {string} notes - Notes additionnelles
+ */
+
+/**
+ * Récupère les tables de sols (depuis window ou module).
+ * @private
+ */
+function getSoilData() {
+  if (typeof window !== 'undefined' && window.SoilPropertiesData) {
+    return window.SoilPropertiesData;
+  } else if (typeof require !== 'undefined') {
+    return require('../../data/materials/soils.js').soilPropertiesData;
+  }
+  throw new Error('Tables de données des sols non disponibles');
+}
+
+/**
+ * Récupère les propriétés d'un sol par son identifiant.
+ *
+ * @param {string} soil_id - Identifiant du sol (ex: 'clay', 'sand_moist')
+ * @returns {SoilProperties} Propriétés du sol
+ * @throws {Error} Si le sol n'existe pas
+ *
+ * @example
+ * const clay = getSoilProperties('clay');
+ * console.log(clay.k_frozen); // 1.6 W/(m·K)
+ */
+function getSoilProperties(soil_id) {
+  if (typeof soil_id !== 'string') {
+    throw new Error(`ID de sol doit être une chaîne: ${soil_id}`);
+  }
+
+  const soilData = getSoilData();
+  const props = soilData[soil_id];
+
+  if (!props) {
+    const available = Object.keys(soilData).join(', ');
+    throw new Error(`Sol inconnu: '${soil_id}'. Sols disponibles: ${available}`);
+  }
+
+  return { ...props }; // Retourne une copie pour éviter modifications
+}
+
+/**
+ * Liste tous les sols disponibles.
+ *
+ * @returns {Array<string>} Liste des identifiants de sols
+ */
+function listSoils() {
+  return Object.keys(getSoilData());
+}
+
+// Export pour navigateur (window global)
+if (typeof window !== 'undefined') {
+  window.SoilProperties = {
+    getSoilProperties,
+    listSoils,
+  };
+}
+
+// Export pour Node.js (tests)
+if (typeof module !== 'undefined' && module.exports) {
+  module.exports = {
+    getSoilProperties,
+    listSoils,
+  };
+}
@@ -0,0 +1,294 @@
+/**
+ * @typedef {Object} WaterProperties
+ * @property {number} rho - Densité [kg/m³]
+ * @property {number} mu - Viscosité dynamique [Pa·s]
+ * @property {number} k - Conductivité thermique [W/(m·K)]
+ * @property {number} cp - Capacité thermique spécifique [J/(kg·K)]
+ */
+
+// Constantes de validation
+const IF97_T_MIN = -10.0; // °C (eau surfondue: extrapolation de la région 1)
+const IF97_T_MAX = 350.0; // °C (limite de la région 1)
+const IF97_P_MIN = 0.01; // bar
+const IF97_P_MAX = 1000.0; // bar (100 MPa, limite de la région 1)
+
+/** Constante spécifique de l'eau [J/(kg·K)] */
+const R_WATER = 461.526;
+
+/** Point critique de l'eau: température [K] et masse volumique [kg/m³] */
+const T_CRITICAL = 647.096;
+const RHO_CRITICAL = 322.0;
+
+/**
+ * Région 1 de l'IAPWS-IF97 (liquide): coefficients I, J, n de l'énergie libre
+ * de Gibbs adimensionnelle γ(π, τ) = Σ n (7.1 - π)^I (τ - 1.222)^J (tableau 2).
+ */
+const REGION1_COEFFICIENTS = [
+  [0, -2, 0.14632971213167],
+  [0, -1, -0.84548187169114],
+  [0, 0, -0.3756360367204e1],
+  [0, 1, 0.33855169168385e1],
+  [0, 2, -0.95791963387872],
+  [0, 3, 0.15772038513228],
+  [0, 4, -0.16616417199501e-1],
+  [0, 5, 0.81214629983568e-3],
+  [1, -9, 0.28319080123804e-3],
+  [1, -7, -0.60706301565874e-3],
+  [1, -1, -0.18990068218419e-1],
+  [1, 0, -0.32529748770505e-1],
+  [1, 1, -0.21841717175414e-1],
+  [1, 3, -0.5283835796993e-4],
+  [2, -3, -0.47184321073267e-3],
+  [2, 0, -0.30001780793026e-3],
+  [2, 1, 0.47661393906987e-4],
+  [2, 3, -0.44141845330846e-5],
+  [2, 17, -0.72694996297594e-15],
+  [3, -4, -0.31679644845054e-4],
+  [3, 0, -0.28270797985312e-5],
+  [3, 6, -0.85205128120103e-9],
+  [4, -5, -0.22425281908e-5],
+  [4, -2, -0.65171222895601e-6],
+  [4, 10, -0.14341729937924e-12],
+  [5, -8, -0.40516996860117e-6],
+  [8, -11, -0.12734301741641e-8],
+  [8, -6, -0.17424871230634e-9],
+  [21, -29, -0.68762131295531e-18],
+  [23, -31, 0.14478307828521e-19],
+  [29, -38, 0.26335781662795e-22],
+  [30, -39, -0.11947622640071e-22],
+  [31, -40, 0.18228094581404e-23],
+  [32, -41, -0.93537087292458e-25],
+];
+
+/** Région 4 (saturation): coefficients n1 à n10 de l'équation de pression de vapeur */
+const REGION4_COEFFICIENTS = [
+  0.11670521452767e4, -0.72421316703206e6, -0.17073846940092e2, 0.1202082470247e5,
+  -0.32325550322333e7, 0.1491510861353e2, -0.48232657361591e4, 0.40511340542057e6,
+  -0.23855557567849, 0.65017534844798e3,
+];
+
+/** Viscosité IAPWS 2008: coefficients H_i du terme gaz dilué μ0 */
+const VISCOSITY_H0 = [1.67752, 2.20462, 0.6366564, -0.241605];
+
+/** Viscosité IAPWS 2008: coefficients H_ij non nuls du terme μ1 ([i, j, H_ij]) */
+const VISCOSITY_H1 = [
+  [0, 0, 5.20094e-1],
+  [1, 0, 8.50895e-2],
+  [2, 0, -1.08374],
+  [3, 0, -2.89555e-1],
+  [0, 1, 2.22531e-1],
+  [1, 1, 9.99115e-1],
+  [2, 1, 1.88797],
+  [3, 1, 1.26613],
+  [5, 1, 1.20573e-1],
+  [0, 2, -2.81378e-1],
+  [1, 2, -9.06851e-1],
+  [2, 2, -7.72479e-1],
+  [3, 2, -4.89837e-1],
+  [4, 2, -2.5704e-1],
+  [0, 3, 1.61913e-1],
+  [1, 3, 2.57399e-1],
+  [0, 4, -3.25372e-2],
+  [3, 4, 6.98452e-2],
+  [4, 5, 8.72102e-3],
+  [3, 6, -4.35673e-3],
+  [5, 6, -5.93264e-4],
+];
+
+/** Conductivité IAPWS 2011: coefficients L_k du terme gaz dilué λ0 */
+const CONDUCTIVITY_L0 = [2.443221e-3, 1.323095e-2, 6.770357e-3, -3.454586e-3, 4.096266e-4];
+
+/** Conductivité IAPWS 2011: coefficients L_ij du terme λ1 (i = 0 à 4, j = 0 à 5) */
+const CONDUCTIVITY_L1 = [
+  [1.60397357, -0.646013523, 0.111443906, 0.102997357, -0.0504123634, 0.00609859258],
+  [2.33771842, -2.78843778, 1.53616167, -0.463045512, 0.0832827019, -0.00719201245],
+  [2.19650529, -4.54580785, 3.55777244, -1.40944978, 0.275418278, -0.0205938816],
+  [-1.21051378, 1.60812989, -0.621178141, 0.0716373224, 0, 0],
+  [-2.720337, 4.57586331, -3.18369245, 1.1168348, -0.19268305, 0.012913842],
+];
+
+/**
+ * Pression de saturation de l'eau (IAPWS-IF97, région 4).
+ *
+ * @param {number} T_C - Température [°C] (0 à 373.946°C)
+ * @returns {number} Pression de saturation [bar]
+ * @throws {Error} Si la température est hors plage
+ *
+ * @example
+ * saturationPressure(100); // ≈ 1.014 bar
+ */
+function saturationPressure(T_C) {
+  if (typeof T_C !== 'number' || !isFinite(T_C) || T_C < 0 || T_C > T_CRITICAL - 273.15) {
+    throw new Error(`Température de saturation hors plage: ${T_C}°C (plage valide: 0 à 373.946°C)`);
+  }
+  const n = REGION4_COEFFICIENTS;
+  const T = T_C + 273.15;
+  const theta = T + n[8] / (T - n[9]);
+  const A = theta * theta + n[0] * theta + n[1];
+  const B = n[2] * theta * theta + n[3] * theta + n[4];
+  const C = n[5] * theta * theta + n[6] * theta + n[7];
+  const p_MPa = Math.pow((2 * C) / (-B + Math.sqrt(B * B - 4 * A * C)), 4);
+  return p_MPa * 10;
+}
+
+/**
+ * Masse volumique et capacité thermique par la région 1 de l'IAPWS-IF97.
+ *
+ *   v = (R·T/p)·π·γ_π      cp = -R·τ²·γ_ττ
+ * avec π = p / 16.53 MPa et τ = 1386 K / T.
+ *
+ * @param {number} T_K - Température [K]
+ * @param {number} p_MPa - Pression [MPa]
+ * @returns {{rho: number, cp: number}} Masse volumique [kg/m³] et cp [J/(kg·K)]
+ */
+function region1(T_K, p_MPa) {
+  const pi = p_MPa / 16.53;
+  const tau = 1386 / T_K;
+  const a = 7.1 - pi;
+  const b = tau - 1.222;
+
+  let gamma_pi = 0;
+  let gamma_tautau = 0;
+  for (const [I, J, n] of REGION1_COEFFICIENTS) {
+    gamma_pi -= n * I * Math.pow(a, I - 1) * Math.pow(b, J);
+    gamma_tautau += n * Math.pow(a, I) * J * (J - 1) * Math.pow(b, J - 2);
+  }
+
+  const v = ((R_WATER * T_K) / (p_MPa * 1e6)) * pi * gamma_pi;
+  return { rho: 1 / v, cp: -R_WATER * tau * tau * gamma_tautau };
+}
+
+/**
+ * Viscosité dynamique de l'eau (IAPWS 2008, usage industriel: μ2 = 1 hors de
+ * la région critique).
+ *
+ * @param {number} T_K - Température [K]
+ * @param {number} rho - Masse volumique [kg/m³]
+ * @returns {number} Viscosité [Pa·s]
+ */
+function viscosity(T_K, rho) {
+  const Tr = T_K / T_CRITICAL;
+  const rhor = rho / RHO_CRITICAL;
+
+  const mu0 =
+    (100 * Math.sqrt(Tr)) / VISCOSITY_H0.reduce((sum, H, i) => sum + H / Math.pow(Tr, i), 0);
+
+  let sum = 0;
+  for (const [i, j, H] of VISCOSITY_H1) {
+    sum += H * Math.pow(1 / Tr - 1, i) * Math.pow(rhor - 1, j);
+  }
+  const mu1 = Math.exp(rhor * sum);
+
+  return mu0 * mu1 * 1e-6;
+}
+
+/**
+ * Conductivité thermique de l'eau (IAPWS 2011, sans l'augmentation critique
+ * λ2, inférieure à 0.1 % pour le liquide loin du point critique).
+ *
+ * @param {number} T_K - Température [K]
+ * @param {number} rho - Masse volumique [kg/m³]
+ * @returns {number} Conductivité [W/(m·K)]
+ */
+function thermalConductivity(T_K, rho) {
+  const Tr = T_K / T_CRITICAL;
+  const rhor = rho / RHO_CRITICAL;
+
+  const lambda0 =
+    Math.sqrt(Tr) / CONDUCTIVITY_L0.reduce((sum, L, k) => sum + L / Math.pow(Tr, k), 0);
+
+  let sum = 0;
+  CONDUCTIVITY_L1.forEach((row, i) => {
+    const inner = row.reduce((acc, L, j) => acc + L * Math.pow(rhor - 1, j), 0);
+    sum += Math.pow(1 / Tr - 1, i) * inner;
+  });
+  const lambda1 = Math.exp(rhor * sum);
+
+  return lambda0 * lambda1 * 1e-3;
+}
+
+/**
+ * Calcule les propriétés de l'eau liquide par les formulations IAPWS.
+ *
+ * Masse volumique et cp: IAPWS-IF97 région 1; viscosité: IAPWS 2008;
+ * conductivité: IAPWS 2011. Sans table ni interpolation, donc valable au-delà
+ * de la grille 0–100°C / 1–10 bar de water-tables.js: jusqu'à 350°C et
+ * 1000 bar tant que l'eau reste liquide (P ≥ pression de saturation). Sous 0°C,
+ * la région 1 est extrapolée à l'eau surfondue (écart < 0.1 % sur ρ à -10°C).
+ *
+ * @param {number} T_C - Température en °C (plage: -10 à 350°C)
+ * @param {number} P_bar - Pression en bar (plage: 0.01 à 1000 bar)
+ * @returns {WaterProperties} Objet contenant toutes les propriétés
+ * @throws {Error} Si les paramètres sont invalides, hors plage ou si l'eau est vapeur
+ *
+ * @example
+ * // Réseau incendie à 16 bar, eau à 5°C
+ * const props = getWaterPropertiesIF97(5, 16);
+ * console.log(props.rho); // ≈ 1000.7 kg/m³
+ */
+function getWaterPropertiesIF97(T_C, P_bar) {
+  // Validation du type et des valeurs spéciales
+  if (typeof T_C !== 'number' || !isFinite(T_C)) {
+    throw new Error(`Température invalide: ${T_C} (doit être un nombre fini)`);
+  }
+  if (typeof P_bar !== 'number' || !isFinite(P_bar)) {
+    throw new Error(`Pression invalide: ${P_bar} (doit être un nombre fini)`);
+  }
+
+  // Validation des plages
+  if (T_C < IF97_T_MIN || T_C > IF97_T_MAX) {
+    throw new Error(
+      `Température hors plage: ${T_C}°C (plage valide: ${IF97_T_MIN} à ${IF97_T_MAX}°C)`
+    );
+  }
+  if (P_bar < IF97_P_MIN || P_bar > IF97_P_MAX) {
+    throw new Error(
+      `Pression hors plage: ${P_bar} bar (plage valide: ${IF97_P_MIN} à ${IF97_P_MAX} bar)`
+    );
+  }
+  if (T_C > 0 && P_bar < saturationPressure(T_C)) {
+    throw new Error(
+      `Eau vaporisée: ${P_bar} bar < pression de saturation ${saturationPressure(T_C).toFixed(3)} bar à ${T_C}°C`
+    );
+  }
+
+  const T_K = T_C + 273.15;
+  const { rho, cp } = region1(T_K, P_bar / 10);
+
+  return {
+    rho,
+    mu: viscosity(T_K, rho),
+    k: thermalConductivity(T_K, rho),
+    cp,
+  };
+}
+
+// Export pour navigateur (window global)
+if (typeof window !== 'undefined') {
+  window.WaterIF97 = {
+    getWaterPropertiesIF97,
+    saturationPressure,
+    region1,
+    viscosity,
+    thermalConductivity,
+    IF97_T_MIN,
+    IF97_T_MAX,
+    IF97_P_MIN,
+    IF97_P_MAX,
+  };
+}
+
+// Export pour Node.js (tests)
+if (typeof module !== 'undefined' && module.exports) {
+  module.exports = {
+    getWaterPropertiesIF97,
+    saturationPressure,
+    region1,
+    viscosity,
+    thermalConductivity,
+    IF97_T_MIN,
+    IF97_T_MAX,
+    IF97_P_MIN,
+    IF97_P_MAX,
+  };
+}
@@ -12,6 +12,12 @@ const WATER_T_MAX = 100.0; // °C
 const WATER_P_MIN = 1.0; // bar
 const WATER_P_MAX = 10.0; // bar
 
+/** Backends de calcul: tables interpolées (défaut) ou équations IAPWS-IF97 */
+const WATER_BACKENDS = ['table', 'if97'];
+
+/** Propriétés comparées par le contrôle croisé des backends */
+const COMPARED_PROPERTIES = ['rho', 'mu', 'k', 'cp'];
+
 /**
  * Interpolation linéaire 1D
  * @private
@@ -54,11 +60,51 @@ function findBracketIndices(value, grid) {
   return { i0: 0, i1: 0 };
 }
 
+/**
+ * Récupère le module IAPWS-IF97 (depuis window ou module).
+ * @private
+ */
+function getIF97Module() {
+  return typeof window !== 'undefined' && window.WaterIF97
+    ? window.WaterIF97
+    : require('./water-if97.js');
+}
+
+/**
+ * Récupère les tables de l'eau (depuis window ou module).
+ * @private
+ */
+function getWaterTablesData() {
+  if (typeof window !== 'undefined' && window.WaterTablesData) {
+    return window.WaterTablesData;
+  } else if (typeof require !== 'undefined') {
+    return require('../../data/fluids/water-tables.js').waterTablesData;
+  }
+  throw new Error('Tables de données eau non disponibles');
+}
+
+/**
+ * Vérifie l'identifiant du backend.
+ * @private
+ */
+function validateBackend(backend) {
+  if (!WATER_BACKENDS.includes(backend)) {
+    throw new Error(
+      `Backend eau inconnu: '${backend}'. Backends disponibles: ${WATER_BACKENDS.join(', ')}`
+    );
+  }
+}
+
 /**
  * Calcule les propriétés thermophysiques de l'eau pour une température et pression données.
  *
- * @param {number} T_C - Température en °C (plage: 0 à 100°C)
- * @param {number} P_bar - Pression en bar (plage: 1 à 10 bar)
+ * Le backend 'table' interpole les tables IAPWS-97 de data/fluids/water-tables.js
+ * (0–100°C, 1–10 bar). Le backend 'if97' évalue directement les équations
+ * (water-if97.js) et couvre l'eau liquide jusqu'à 350°C et 1000 bar.
+ *
+ * @param {number} T_C - Température en °C (plage: 0 à 100°C pour les tables)
+ * @param {number} P_bar - Pression en bar (plage: 1 à 10 bar pour les tables)
+ * @param {string} [backend='table'] - Backend: 'table' ou 'if97'
  * @returns {WaterProperties} Objet contenant toutes les propriétés
  * @throws {Error} Si les paramètres sont invalides ou hors plage
  *
@@ -70,7 +116,12 @@ function findBracketIndices(value, grid) {
  * console.log(props.k);    // 0.598 W/(m·K)
  * console.log(props.cp);   // 4184.8 J/(kg·K)
  */
-function getWaterProperties(T_C, P_bar) {
+function getWaterProperties(T_C, P_bar, backend = 'table') {
+  validateBackend(backend);
+  if (backend === 'if97') {
+    return getIF97Module().getWaterPropertiesIF97(T_C, P_bar);
+  }
+
   // Validation du type et des valeurs spéciales
   if (typeof T_C !== 'number' || !isFinite(T_C)) {
     throw new Error(`Température invalide: ${T_C} (doit être un nombre fini)`);
@@ -92,14 +143,7 @@ function getWaterProperties(T_C, P_bar) {
   }
 
   // Récupérer les tables (depuis window ou module)
-  let waterData;
-  if (typeof window !== 'undefined' && window.WaterTablesData) {
-    waterData = window.WaterTablesData;
-  } else if (typeof require !== 'undefined') {
-    waterData = require('../../data/fluids/water-tables.js').waterTablesData;
-  } else {
-    throw new Error('Tables de données eau non disponibles');
-  }
+  const waterData = getWaterTablesData();
 
   // Trouver les indices de la grille
   const T_grid = waterData.temperature_grid_C;
@@ -180,10 +224,96 @@ function getWaterProperties(T_C, P_bar) {
   return { rho, mu, k, cp };
 }
 
+/**
+ * Plage de validité d'un backend.
+ *
+ * @param {string} [backend='table'] - Backend: 'table' ou 'if97'
+ * @returns {{T_min: number, T_max: number, P_min: number, P_max: number}} Bornes [°C] et [bar]
+ * @throws {Error} Si le backend est inconnu
+ */
+function getWaterRange(backend = 'table') {
+  validateBackend(backend);
+  if (backend === 'if97') {
+    const if97 = getIF97Module();
+    return {
+      T_min: if97.IF97_T_MIN,
+      T_max: if97.IF97_T_MAX,
+      P_min: if97.IF97_P_MIN,
+      P_max: if97.IF97_P_MAX,
+    };
+  }
+  return { T_min: WATER_T_MIN, T_max: WATER_T_MAX, P_min: WATER_P_MIN, P_max: WATER_P_MAX };
+}
+
+/**
+ * Contrôle croisé des backends sur la grille des tables.
+ *
+ * Compare les tables et IAPWS-IF97 aux nœuds de la grille et, par défaut, au
+ * centre de chaque maille, là où l'erreur d'interpolation est maximale. Les
+ * points où l'eau n'est pas liquide selon IF97 (100°C à 1 bar) sont ignorés.
+ *
+ * @param {Object} [options] - Options
+ * @param {boolean} [options.midpoints=true] - Inclure le centre des mailles
+ * @returns {Object} Résultat:
+ *   - points: [{T, P, diff: {rho, mu, k, cp}}] écarts relatifs (if97 - table) / table [%]
+ *   - maxDiff: {rho, mu, k, cp} → {value, T, P} écart absolu maximal [%] et sa position
+ *   - skipped: [{T, P}] points ignorés
+ *
+ * @example
+ * const check = compareWaterBackends();
+ * console.log(check.maxDiff.rho.value); // < 0.01 %
+ */
+function compareWaterBackends(options = {}) {
+  const { midpoints = true } = options;
+  const waterData = getWaterTablesData();
+  const if97 = getIF97Module();
+
+  const refine = (grid) =>
+    midpoints
+      ? grid.flatMap((value, i) => (i === 0 ? [value] : [(grid[i - 1] + value) / 2, value]))
+      : grid.slice();
+  const T_values = refine(waterData.temperature_grid_C);
+  const P_values = refine(waterData.pressure_grid_bar);
+
+  const points = [];
+  const skipped = [];
+  const maxDiff = {};
+  COMPARED_PROPERTIES.forEach((prop) => {
+    maxDiff[prop] = { value: 0, T: null, P: null };
+  });
+
+  for (const T of T_values) {
+    for (const P of P_values) {
+      let reference;
+      try {
+        reference = if97.getWaterPropertiesIF97(T, P);
+      } catch (e) {
+        skipped.push({ T, P });
+        continue;
+      }
+      const table = getWaterProperties(T, P, 'table');
+
+      const diff = {};
+      COMPARED_PROPERTIES.forEach((prop) => {
+        diff[prop] = ((reference[prop] - table[prop]) / table[prop]) * 100;
+        if (Math.abs(diff[prop]) > maxDiff[prop].value) {
+          maxDiff[prop] = { value: Math.abs(diff[prop]), T, P };
+        }
+      });
+      points.push({ T, P, diff });
+    }
+  }
+
+  return { points, maxDiff, skipped };
+}
+
 // Export pour navigateur (window global)
 if (typeof window !== 'undefined') {
   window.WaterProperties = {
     getWaterProperties,
+    getWaterRange,
+    compareWaterBackends,
+    WATER_BACKENDS,
     WATER_T_MIN,
     WATER_T_MAX,
     WATER_P_MIN,
@@ -195,6 +325,9 @@ if (typeof window !== 'undefined') {
 if (typeof module !== 'undefined' && module.exports) {
   module.exports = {
     getWaterProperties,
+    getWaterRange,
+    compareWaterBackends,
+    WATER_BACKENDS,
     WATER_T_MIN,
     WATER_T_MAX,
     WATER_P_MIN,
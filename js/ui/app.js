@@ -403,6 +403,8 @@
 
   // ========== CONSTANTES ==========
   const MARGE_SURETE_GEL = 5; // °C
+  const COOLDOWN_CRITICAL_HOURS = 1; // Délai d'intervention jugé critique après arrêt [h]
+  const COOLDOWN_WARNING_HOURS = 4; // Délai d'intervention jugé limité après arrêt [h]
 
   // ========== GESTION ANALYSE ==========
   function handleAnalysis(event) {
@@ -437,6 +439,20 @@
         window.I18n ? I18n.t('corrective.reduceFlow') : 'Réduire le débit',
         window.I18n ? I18n.t('corrective.incPressure') : "Augmenter la pression d'entrée",
       ];
+      if (errorMsg.includes('dénivelé')) {
+        suggestions.push(
+          window.I18n
+            ? I18n.t('corrective.reviewElevation')
+            : 'Vérifier le dénivelé (une montée réduit la pression)'
+        );
+      }
+      if (errorMsg.includes('raccords et vannes')) {
+        suggestions.push(
+          window.I18n
+            ? I18n.t('corrective.reduceFittings')
+            : 'Réduire le nombre de raccords et vannes'
+        );
+      }
     } else if (errorMsg.includes('Température')) {
       suggestions = [
         window.I18n ? I18n.t('corrective.adjustTemps') : 'Ajuster les températures',
@@ -474,6 +490,26 @@
     if (chartCard) {
       chartCard.style.display = 'none';
     }
+    const cooldownCard = document.getElementById('cooldown-card');
+    if (cooldownCard) {
+      cooldownCard.style.display = 'none';
+    }
+    const economicsCard = document.getElementById('economics-card');
+    if (economicsCard) {
+      economicsCard.style.display = 'none';
+    }
+    const seasonalCard = document.getElementById('seasonal-card');
+    if (seasonalCard) {
+      seasonalCard.style.display = 'none';
+    }
+    const monteCarloCard = document.getElementById('montecarlo-card');
+    if (monteCarloCard) {
+      monteCarloCard.style.display = 'none';
+    }
+    const pressureCard = document.getElementById('pressure-chart-card');
+    if (pressureCard) {
+      pressureCard.style.display = 'none';
+    }
 
     // Afficher les actions
     document.querySelector('.results-actions').style.display = 'flex';
@@ -535,6 +571,15 @@
     // Afficher la carte verdict
     displayVerdict(freezeAnalysis);
 
+    // Compléter le verdict avec le traçage électrique (apport et dimensionnement)
+    displayHeatTracing(networkResult, freezeAnalysis, config);
+
+    // Compléter le verdict avec la profondeur de gel (conduite enterrée)
+    displayBurial(networkResult);
+
+    // Compléter le verdict avec le ciel nocturne (environnement radiatif équivalent)
+    displaySkyRadiation(networkResult, config);
+
     // Afficher les résultats détaillés
     displayDetailedResults(networkResult, freezeAnalysis, config);
 
@@ -542,7 +587,37 @@
     const chartCard = document.getElementById('temperature-chart-card');
     if (chartCard && typeof TemperatureChart !== 'undefined') {
       chartCard.style.display = 'block';
-      TemperatureChart.draw(networkResult.x_profile, networkResult.T_profile, 0, MARGE_SURETE_GEL);
+      TemperatureChart.draw(
+        networkResult.x_profile,
+        networkResult.T_profile,
+        networkResult.T_freeze,
+        MARGE_SURETE_GEL,
+        networkResult.ambientZones,
+        networkResult.pointLosses
+      );
+    }
+
+    // Afficher le profil de pression et d'altitude
+    displayPressureProfile(networkResult);
+
+    // Afficher le refroidissement sans écoulement (arrêt de pompe)
+    if (typeof Cooldown !== 'undefined') {
+      displayCooldown(networkResult, config);
+    }
+
+    // Afficher l'épaisseur d'isolant économique (coût global actualisé)
+    if (typeof InsulationOptimizer !== 'undefined') {
+      displayInsulationEconomics(config);
+    }
+
+    // Afficher le bilan saisonnier (série météo importée)
+    if (typeof SeasonalSimulation !== 'undefined') {
+      displaySeasonal(config);
+    }
+
+    // Afficher la probabilité de gel (Monte Carlo sur les entrées incertaines)
+    if (typeof MonteCarlo !== 'undefined') {
+      displayMonteCarlo(config);
     }
 
     // Afficher l'analyse de sensibilité 1D (Section 2.1)
@@ -732,6 +807,13 @@
     document.getElementById('summary-spec').textContent =
       `${scheduleLabel} ${npsLabel}" (${odText}: ${odMm} mm, ${idText}: ${idMm} mm)`;
 
+    // État de la conduite et rugosité retenue
+    const condition = config.meta.condition || 'new';
+    const conditionLabel = window.I18n ? I18n.t(`roughness.conditions.${condition}`) : condition;
+    const roughnessMm = parseFloat((config.geometry.roughness * 1000).toPrecision(4));
+    document.getElementById('summary-condition').textContent =
+      `${conditionLabel} (ε = ${roughnessMm} mm)`;
+
     // Longueur
     document.getElementById('summary-length').textContent = `${config.totalLength} m`;
 
@@ -776,6 +858,11 @@
 
   // ========== AFFICHAGE VERDICT ==========
   function displayVerdict(analysis) {
+    // Seuils relatifs au point de congélation du fluide (0°C pour l'eau)
+    const T_freeze = analysis.T_freeze;
+    const tfreeze = parseFloat(T_freeze.toFixed(1));
+    const safety = parseFloat((T_freeze + MARGE_SURETE_GEL).toFixed(1));
+
     const card = document.getElementById('verdict-card');
     const icon = document.getElementById('verdict-icon');
     const title = document.getElementById('verdict-title');
@@ -793,8 +880,11 @@
         ? I18n.t('verdict.frozen.title')
         : 'CONDITION DE GEL ATTEINTE';
       const msg = window.I18n
-        ? I18n.t('verdict.frozen.msg', { distance: analysis.distance_gel.toFixed(1) })
-        : `La température de l'eau a atteint 0°C (point de congélation) à ${analysis.distance_gel.toFixed(1)} m de l'entrée. L'eau gèle dans la conduite.\n\n⚠️ Position critique: ${analysis.distance_gel.toFixed(1)} m de l'entrée\n❌ Marge de sécurité: 0.0°C (gel atteint)\n⚠️ Risque d'arrêt de production et de rupture de conduite`;
+        ? I18n.t('verdict.frozen.msg', {
+            distance: analysis.distance_gel.toFixed(1),
+            tfreeze: tfreeze,
+          })
+        : `La température du fluide a atteint ${tfreeze}°C (point de congélation) à ${analysis.distance_gel.toFixed(1)} m de l'entrée. L'eau gèle dans la conduite.\n\n⚠️ Position critique: ${analysis.distance_gel.toFixed(1)} m de l'entrée\n❌ Marge de sécurité: 0.0°C (gel atteint)\n⚠️ Risque d'arrêt de production et de rupture de conduite`;
 
       message.style.whiteSpace = 'pre-line';
       message.textContent = msg;
@@ -810,9 +900,10 @@
             freezePos: analysis.freezePosition.toFixed(1),
             marginFreeze: analysis.marginToFreeze.toFixed(1),
             marginSafety: analysis.marginToSafety.toFixed(1),
-            safety: MARGE_SURETE_GEL,
+            safety: safety,
+            tfreeze: tfreeze,
           })
-        : `Température minimale: ${analysis.minTemp.toFixed(1)}°C atteinte à ${analysis.minTempPosition.toFixed(1)} m de l'entrée.\n\n⚠️ Position critique: ${analysis.freezePosition.toFixed(1)} m (gel projeté)\n❌ Marge avant gel: ${analysis.marginToFreeze.toFixed(1)}°C (en-dessous de 0°C)\n❌ Écart vs seuil sécuritaire: ${analysis.marginToSafety.toFixed(1)}°C (sous ${MARGE_SURETE_GEL}°C)`;
+        : `Température minimale: ${analysis.minTemp.toFixed(1)}°C atteinte à ${analysis.minTempPosition.toFixed(1)} m de l'entrée.\n\n⚠️ Position critique: ${analysis.freezePosition.toFixed(1)} m (gel projeté)\n❌ Marge avant gel: ${analysis.marginToFreeze.toFixed(1)}°C (en-dessous de ${tfreeze}°C)\n❌ Écart vs seuil sécuritaire: ${analysis.marginToSafety.toFixed(1)}°C (sous ${safety}°C)`;
 
       message.style.whiteSpace = 'pre-line';
       message.textContent = msg;
@@ -829,9 +920,10 @@
             pos: analysis.minTempPosition.toFixed(1),
             marginFreeze: analysis.marginToFreeze.toFixed(1),
             marginSafety: analysis.marginToSafety.toFixed(1),
-            safety: MARGE_SURETE_GEL,
+            safety: safety,
+            tfreeze: tfreeze,
           })
-        : `Température minimale: ${analysis.minTemp.toFixed(1)}°C atteinte à ${analysis.minTempPosition.toFixed(1)} m de l'entrée.\n\n⚠️ Position la plus froide: ${analysis.minTempPosition.toFixed(1)} m\n⚠️ Marge avant gel: +${analysis.marginToFreeze.toFixed(1)}°C (au-dessus de 0°C)\n⚠️ Écart vs seuil sécuritaire: ${analysis.marginToSafety.toFixed(1)}°C (sous ${MARGE_SURETE_GEL}°C)`;
+        : `Température minimale: ${analysis.minTemp.toFixed(1)}°C atteinte à ${analysis.minTempPosition.toFixed(1)} m de l'entrée.\n\n⚠️ Position la plus froide: ${analysis.minTempPosition.toFixed(1)} m\n⚠️ Marge avant gel: +${analysis.marginToFreeze.toFixed(1)}°C (au-dessus de ${tfreeze}°C)\n⚠️ Écart vs seuil sécuritaire: ${analysis.marginToSafety.toFixed(1)}°C (sous ${safety}°C)`;
 
       message.style.whiteSpace = 'pre-line';
       message.textContent = msg;
@@ -846,28 +938,625 @@
             pos: analysis.minTempPosition.toFixed(1),
             marginFreeze: analysis.marginToFreeze.toFixed(1),
             marginSafety: analysis.marginToSafety.toFixed(1),
-            safety: MARGE_SURETE_GEL,
+            safety: safety,
+            tfreeze: tfreeze,
           })
-        : `La conduite est protégée. Température minimale: ${analysis.minTemp.toFixed(1)}°C atteinte à ${analysis.minTempPosition.toFixed(1)} m.\n\n✅ Marge avant gel: +${analysis.marginToFreeze.toFixed(1)}°C (au-dessus de 0°C)\n✅ Marge de sécurité: +${analysis.marginToSafety.toFixed(1)}°C (au-dessus de ${MARGE_SURETE_GEL}°C)`;
+        : `La conduite est protégée. Température minimale: ${analysis.minTemp.toFixed(1)}°C atteinte à ${analysis.minTempPosition.toFixed(1)} m.\n\n✅ Marge avant gel: +${analysis.marginToFreeze.toFixed(1)}°C (au-dessus de ${tfreeze}°C)\n✅ Marge de sécurité: +${analysis.marginToSafety.toFixed(1)}°C (au-dessus de ${safety}°C)`;
 
       message.style.whiteSpace = 'pre-line';
       message.textContent = msg;
     }
   }
 
+  // ========== AFFICHAGE TRAÇAGE ÉLECTRIQUE ==========
+  /**
+   * Ajoute au verdict l'apport du traçage installé et, si la marge de sécurité
+   * n'est pas respectée, la puissance minimale qui maintient MARGE_SURETE_GEL
+   * au-dessus du point de congélation du fluide.
+   */
+  function displayHeatTracing(networkResult, analysis, config) {
+    const message = document.getElementById('verdict-message');
+    const lines = [];
+    const T_maintain = parseFloat((networkResult.T_freeze + MARGE_SURETE_GEL).toFixed(1));
+
+    if (networkResult.Q_trace_total > 0) {
+      const vars = {
+        power: (networkResult.Q_trace_total / networkResult.totalLength).toFixed(1),
+        total: networkResult.Q_trace_total.toFixed(0),
+      };
+      lines.push(
+        window.I18n
+          ? I18n.t('heatTracing.active', vars)
+          : `🔌 Traçage électrique: ${vars.power} W/m (${vars.total} W au total)`
+      );
+    }
+
+    if (analysis.severity !== 'ok' && typeof TraceSizing !== 'undefined') {
+      try {
+        const sizing = TraceSizing.sizeHeatTracing(config, T_maintain);
+        if (sizing.feasible) {
+          const vars = {
+            power: sizing.power.toFixed(1),
+            total: sizing.Q_trace_total.toFixed(0),
+            safety: T_maintain,
+          };
+          lines.push(
+            window.I18n
+              ? I18n.t('heatTracing.required', vars)
+              : `🔌 Traçage requis pour maintenir ${vars.safety}°C: ${vars.power} W/m (${vars.total} W au total)`
+          );
+        } else {
+          lines.push(
+            window.I18n
+              ? I18n.t('heatTracing.infeasible', { safety: T_maintain })
+              : `🔌 Même 200 W/m de traçage ne maintiennent pas ${T_maintain}°C`
+          );
+        }
+      } catch (error) {
+        // Fluide déjà sous la température de maintien à l'entrée: pas de dimensionnement
+        console.warn('Dimensionnement du traçage impossible:', error.message);
+      }
+    }
+
+    if (lines.length > 0) {
+      message.style.whiteSpace = 'pre-line';
+      message.textContent += '\n\n' + lines.join('\n');
+    }
+  }
+
+  // ========== AFFICHAGE CONDUITE ENTERRÉE ==========
+  /**
+   * Ajoute au verdict la profondeur de gel estimée comparée à la profondeur
+   * d'enfouissement de la conduite.
+   */
+  function displayBurial(networkResult) {
+    const burial = networkResult.burial;
+    if (!burial) {
+      return;
+    }
+
+    const message = document.getElementById('verdict-message');
+    const vars = {
+      frost: burial.frostDepth.toFixed(2),
+      depth: burial.depth.toFixed(2),
+    };
+    let line;
+    if (burial.frozenAtPipe) {
+      line = window.I18n
+        ? I18n.t('burial.frostInsufficient', vars)
+        : `⛏️ Profondeur de gel estimée: ${vars.frost} m ≥ enfouissement ${vars.depth} m (sol gelé autour de la conduite)`;
+    } else {
+      line = window.I18n
+        ? I18n.t('burial.frostOk', vars)
+        : `⛏️ Profondeur de gel estimée: ${vars.frost} m < enfouissement ${vars.depth} m (conduite hors gel du sol)`;
+    }
+
+    message.style.whiteSpace = 'pre-line';
+    message.textContent += '\n\n' + line;
+  }
+
+  // ========== AFFICHAGE CIEL NOCTURNE ==========
+  /**
+   * Ajoute au verdict la température de ciel et l'environnement radiatif
+   * équivalent le plus froid vu par la conduite (hors zones ambiantes).
+   */
+  function displaySkyRadiation(networkResult, config) {
+    const radiation = networkResult.radiation;
+    if (!radiation) {
+      return;
+    }
+
+    const exposed = networkResult.segmentResults.filter((seg) => seg.zoneIndex === null);
+    if (exposed.length === 0) {
+      return;
+    }
+
+    const message = document.getElementById('verdict-message');
+    const vars = {
+      T_sky: radiation.T_sky.toFixed(1),
+      T_env: Math.min(...exposed.map((seg) => seg.T_env)).toFixed(1),
+      T_amb: config.ambient.T_amb.toFixed(1),
+    };
+    const line = window.I18n
+      ? I18n.t('skyRadiation.summary', vars)
+      : `🌌 Ciel à ${vars.T_sky}°C: environnement radiatif équivalent ${vars.T_env}°C pour un air à ${vars.T_amb}°C`;
+
+    message.style.whiteSpace = 'pre-line';
+    message.textContent += '\n\n' + line;
+  }
+
+  // ========== AFFICHAGE PROFIL DE PRESSION ==========
+  /**
+   * Affiche P(x) et z(x) avec la pression minimale et les points bas où l'eau
+   * reste après une vidange.
+   */
+  function displayPressureProfile(networkResult) {
+    const cardContainer = document.getElementById('pressure-chart-card');
+    if (!cardContainer || typeof PressureChart === 'undefined') {
+      return;
+    }
+
+    const unit = UnitConverter.getUnitInfo('pressure').label;
+    const vars = {
+      pmin: UnitConverter.fromSI('pressure', networkResult.minPressure * 100).toFixed(1),
+      unit: unit,
+      pos: networkResult.minPressurePosition.toFixed(1),
+    };
+    const lines = [
+      window.I18n
+        ? I18n.t('pressureChart.minPressure', vars)
+        : `Pression minimale: ${vars.pmin} ${vars.unit} à ${vars.pos} m`,
+    ];
+
+    if (networkResult.elevationProfile.length > 0) {
+      const staticVars = {
+        head: UnitConverter.fromSI('pressure', networkResult.dP_static_total / 1000).toFixed(1),
+        unit: unit,
+      };
+      lines.push(
+        window.I18n
+          ? I18n.t('pressureChart.staticHead', staticVars)
+          : `Dénivelé: ${staticVars.head} ${staticVars.unit} de charge hydrostatique (positif en montée)`
+      );
+    }
+
+    if (networkResult.fittings.length > 0) {
+      const fittingsVars = {
+        loss: UnitConverter.fromSI('pressure', networkResult.dP_fittings_total / 1000).toFixed(1),
+        unit: unit,
+        share: (networkResult.dP_total > 0
+          ? (networkResult.dP_fittings_total / networkResult.dP_total) * 100
+          : 0
+        ).toFixed(0),
+      };
+      lines.push(
+        window.I18n
+          ? I18n.t('pressureChart.fittingsLoss', fittingsVars)
+          : `Raccords et vannes: ${fittingsVars.loss} ${fittingsVars.unit} (${fittingsVars.share}% des pertes de charge)`
+      );
+    }
+
+    if (networkResult.lowPoints.length > 0) {
+      const positions = networkResult.lowPoints.map((point) => point.x.toFixed(1)).join(', ');
+      lines.push(
+        window.I18n
+          ? I18n.t('pressureChart.lowPoints', { positions })
+          : `💧 Points bas à ${positions} m: l'eau y reste après une vidange (prévoir une purge)`
+      );
+    }
+
+    const message = document.getElementById('pressure-chart-message');
+    message.style.whiteSpace = 'pre-line';
+    message.textContent = lines.join('\n');
+
+    cardContainer.style.display = 'block';
+    PressureChart.draw(
+      networkResult.x_profile,
+      networkResult.P_profile,
+      networkResult.z_profile,
+      networkResult.lowPoints
+    );
+  }
+
+  // ========== AFFICHAGE REFROIDISSEMENT (ARRÊT DE POMPE) ==========
+  /**
+   * Calcule et affiche le temps avant gel après arrêt de l'écoulement.
+   * Évalué au point le plus froid de la conduite (géométrie et ambiance du segment).
+   */
+  function displayCooldown(networkResult, config) {
+    const cardContainer = document.getElementById('cooldown-card');
+    if (!cardContainer) {
+      return;
+    }
+
+    // Gel déjà atteint en écoulement: le calcul d'arrêt n'a pas de sens
+    const segments = networkResult.segmentResults;
+    if (networkResult.frozenCondition || !segments || segments.length === 0) {
+      cardContainer.style.display = 'none';
+      return;
+    }
+
+    const coldest =
+      segments.find((seg) => seg.x_end === networkResult.minTempPosition) ||
+      segments[segments.length - 1];
+    const section = networkResult.sections[coldest.sectionIndex];
+    const ambient = {
+      T_amb: coldest.T_amb,
+      V_wind: coldest.V_wind,
+      relativeHumidity: config.ambient.relativeHumidity,
+      altitude: config.ambient.altitude,
+    };
+    if (config.ambient.burial) {
+      ambient.burial = config.ambient.burial;
+    }
+    // Même ciel (celui de la zone, le cas échéant) et même exposition au vent qu'en écoulement
+    const zone =
+      coldest.zoneIndex !== null
+        ? networkResult.ambientZones.find((z) => z.index === coldest.zoneIndex)
+        : null;
+    const radiation = zone ? zone.radiation : config.ambient.radiation;
+    if (radiation) {
+      ambient.radiation = radiation;
+    }
+    if (config.ambient.terrain) {
+      ambient.terrain = config.ambient.terrain;
+    }
+    const geometry = {
+      ...section.geometry,
+      orientation: section.orientation,
+      runLength: section.length,
+    };
+    const T_start = Math.max(networkResult.T_freeze, networkResult.minTemp);
+    const fluid = { T_in: T_start };
+    if (config.fluid.type) {
+      fluid.type = config.fluid.type;
+      fluid.concentration = config.fluid.concentration;
+    }
+
+    let cooldown;
+    try {
+      cooldown = Cooldown.calculateCooldown(geometry, fluid, ambient, section.insulation);
+    } catch (error) {
+      console.warn('Calcul de refroidissement impossible:', error.message);
+      cardContainer.style.display = 'none';
+      return;
+    }
+
+    const card = document.getElementById('cooldown-verdict');
+    const icon = document.getElementById('cooldown-icon');
+    const title = document.getElementById('cooldown-verdict-title');
+    const message = document.getElementById('cooldown-message');
+
+    card.className = 'verdict-card';
+    message.style.whiteSpace = 'pre-line';
+
+    const vars = {
+      pos: coldest.x_end.toFixed(1),
+      tstart: T_start.toFixed(1),
+      tamb: cooldown.T_ref.toFixed(1),
+      tfreeze: parseFloat(cooldown.T_freeze.toFixed(1)),
+    };
+
+    if (!cooldown.freezes) {
+      card.classList.add('verdict-card--no-freeze');
+      icon.textContent = '✅';
+      title.textContent = window.I18n
+        ? I18n.t('cooldown.noFreeze.title')
+        : 'PAS DE GEL SANS ÉCOULEMENT';
+      message.textContent = window.I18n
+        ? I18n.t('cooldown.noFreeze.msg', vars)
+        : `L'air ambiant (${vars.tamb}°C) est au-dessus du point de congélation (${vars.tfreeze}°C): le fluide stagnant tend vers ${vars.tamb}°C sans geler.`;
+    } else {
+      const hoursToZero = cooldown.timeToZero / 3600;
+      vars.tzero = hoursToZero.toFixed(1);
+      vars.tsolid = (cooldown.timeToSolid / 3600).toFixed(1);
+
+      let level;
+      if (hoursToZero < COOLDOWN_CRITICAL_HOURS) {
+        level = 'critical';
+        card.classList.add('verdict-card--freeze');
+        icon.textContent = '❌';
+      } else if (hoursToZero < COOLDOWN_WARNING_HOURS) {
+        level = 'warning';
+        card.classList.add('verdict-card--warning');
+        icon.textContent = '⚠️';
+      } else {
+        level = 'ok';
+        card.classList.add('verdict-card--no-freeze');
+        icon.textContent = '⏱️';
+      }
+
+      const fallbackTitles = {
+        critical: 'GEL RAPIDE APRÈS ARRÊT',
+        warning: "DÉLAI D'INTERVENTION LIMITÉ",
+        ok: "DÉLAI D'INTERVENTION CONFORTABLE",
+      };
+      title.textContent = window.I18n ? I18n.t(`cooldown.${level}.title`) : fallbackTitles[level];
+      message.textContent = window.I18n
+        ? I18n.t('cooldown.msg', vars)
+        : `Point le plus froid (${vars.pos} m, fluide à ${vars.tstart}°C, air à ${vars.tamb}°C), écoulement arrêté:\n\n⏱️ ${vars.tfreeze}°C atteint après ${vars.tzero} h\n🧊 Gel complet après ${vars.tsolid} h`;
+    }
+
+    cardContainer.style.display = 'block';
+    if (typeof CooldownChart !== 'undefined') {
+      CooldownChart.draw(cooldown);
+    }
+  }
+
+  // ========== AFFICHAGE ÉPAISSEUR D'ISOLANT ÉCONOMIQUE ==========
+  /**
+   * Optimise l'isolant et son épaisseur par le coût global actualisé, sous la
+   * contrainte de marge au gel, et affiche la courbe coût-épaisseur.
+   */
+  function displayInsulationEconomics(config) {
+    const cardContainer = document.getElementById('economics-card');
+    if (!cardContainer) {
+      return;
+    }
+    if (!config.economics) {
+      cardContainer.style.display = 'none';
+      return;
+    }
+
+    const economics = config.economics;
+    let result;
+    try {
+      result = InsulationOptimizer.optimizeInsulation(config, economics, {
+        thicknessMin: economics.thicknessMin,
+        thicknessMax: economics.thicknessMax,
+        thicknessStep: Math.max((economics.thicknessMax - economics.thicknessMin) / 20, 0.005),
+        freezeMargin: economics.freezeMargin,
+      });
+    } catch (error) {
+      console.warn("Optimisation de l'isolant impossible:", error.message);
+      cardContainer.style.display = 'none';
+      return;
+    }
+
+    const card = document.getElementById('economics-verdict');
+    const icon = document.getElementById('economics-icon');
+    const title = document.getElementById('economics-verdict-title');
+    const message = document.getElementById('economics-message');
+
+    card.className = 'verdict-card';
+    message.style.whiteSpace = 'pre-line';
+
+    const materialName = (material) =>
+      window.I18n
+        ? I18n.t(`insulation.materials.${UIUtils.getInsulationI18nKey(material)}`)
+        : material;
+
+    if (!result.feasible) {
+      const vars = {
+        max: (economics.thicknessMax * 1000).toFixed(0),
+        margin: economics.freezeMargin,
+      };
+      card.classList.add('verdict-card--freeze');
+      icon.textContent = '❌';
+      title.textContent = window.I18n
+        ? I18n.t('economics.infeasible.title')
+        : 'AUCUNE ÉPAISSEUR SANS GEL';
+      message.textContent = window.I18n
+        ? I18n.t('economics.infeasible.msg', vars)
+        : `Aucun isolant jusqu'à ${vars.max} mm ne maintient ${vars.margin}°C au-dessus du point de congélation: envisager le traçage électrique.`;
+    } else {
+      const optimum = result.optimum;
+      const vars = {
+        material: materialName(optimum.material),
+        thickness: (optimum.thickness * 1000).toFixed(0),
+        lcc: optimum.lifeCycleCost.toFixed(0),
+        installed: optimum.installedCost.toFixed(0),
+        energy: optimum.energyCost.toFixed(0),
+        lifetime: economics.lifetime,
+        loss: optimum.heatLoss.toFixed(1),
+        tmin: optimum.minTemp.toFixed(1),
+      };
+      card.classList.add('verdict-card--no-freeze');
+      icon.textContent = '💰';
+      title.textContent = window.I18n
+        ? I18n.t('economics.optimum.title', vars)
+        : `OPTIMUM: ${vars.material}, ${vars.thickness} MM`;
+      message.textContent = window.I18n
+        ? I18n.t('economics.optimum.msg', vars)
+        : `Coût global actualisé: ${vars.lcc} $/m (isolation ${vars.installed} $/m + énergie ${vars.energy} $/m sur ${vars.lifetime} ans)\nPertes: ${vars.loss} W/m, température minimale ${vars.tmin}°C`;
+
+      // Optimum sans contrainte de gel: surcoût de la protection contre le gel
+      let unconstrained = null;
+      result.curves.forEach((curve) => {
+        curve.points.forEach((point) => {
+          if (unconstrained === null || point.lifeCycleCost < unconstrained.lifeCycleCost) {
+            unconstrained = { material: curve.material, ...point };
+          }
+        });
+      });
+      if (unconstrained.lifeCycleCost < optimum.lifeCycleCost) {
+        const extra = {
+          material: materialName(unconstrained.material),
+          thickness: (unconstrained.thickness * 1000).toFixed(0),
+          extra: (optimum.lifeCycleCost - unconstrained.lifeCycleCost).toFixed(0),
+        };
+        message.textContent +=
+          '\n\n' +
+          (window.I18n
+            ? I18n.t('economics.freezeCost', extra)
+            : `Sans contrainte de gel, l'optimum serait ${extra.material} ${extra.thickness} mm: la protection contre le gel coûte ${extra.extra} $/m de plus.`);
+      }
+    }
+
+    cardContainer.style.display = 'block';
+    if (typeof EconomicsChart !== 'undefined') {
+      EconomicsChart.draw(result, materialName);
+    }
+  }
+
+  // ========== AFFICHAGE BILAN SAISONNIER ==========
+  /**
+   * Simule la série météo importée (un régime permanent par pas) et affiche
+   * l'énergie perdue, son coût, les émissions et les heures sous le seuil de gel.
+   */
+  function displaySeasonal(config) {
+    const cardContainer = document.getElementById('seasonal-card');
+    if (!cardContainer) {
+      return;
+    }
+    if (!config.seasonal) {
+      cardContainer.style.display = 'none';
+      return;
+    }
+
+    const seasonal = config.seasonal;
+    let result;
+    try {
+      result = SeasonalSimulation.simulateSeason(config, seasonal.series, {
+        stepHours: seasonal.stepHours,
+        energyPrice: seasonal.energyPrice,
+        co2Factor: seasonal.co2Factor,
+      });
+    } catch (error) {
+      console.warn('Simulation saisonnière impossible:', error.message);
+      cardContainer.style.display = 'none';
+      return;
+    }
+
+    const card = document.getElementById('seasonal-verdict');
+    const icon = document.getElementById('seasonal-icon');
+    const title = document.getElementById('seasonal-verdict-title');
+    const message = document.getElementById('seasonal-message');
+
+    card.className = 'verdict-card';
+    message.style.whiteSpace = 'pre-line';
+
+    const vars = {
+      hours: result.totalHours.toFixed(0),
+      steps: result.steps,
+      evaluations: result.evaluations,
+      energy: result.heatLoss_kWh.toFixed(0),
+      trace: result.traceEnergy_kWh.toFixed(0),
+      cost: result.energyCost.toFixed(0),
+      co2: result.co2_kg.toFixed(0),
+      below: result.hoursBelowSafety.toFixed(0),
+      frozen: result.hoursFrozen.toFixed(0),
+      threshold: result.safetyThreshold.toFixed(1),
+    };
+
+    let level;
+    if (result.hoursFrozen > 0) {
+      level = 'critical';
+      card.classList.add('verdict-card--freeze');
+      icon.textContent = '❌';
+    } else if (result.hoursBelowSafety > 0) {
+      level = 'warning';
+      card.classList.add('verdict-card--warning');
+      icon.textContent = '⚠️';
+    } else {
+      level = 'ok';
+      card.classList.add('verdict-card--no-freeze');
+      icon.textContent = '📅';
+    }
+
+    const fallbackTitles = {
+      critical: `GEL PENDANT ${vars.frozen} H`,
+      warning: `${vars.below} H SOUS ${vars.threshold}°C`,
+      ok: 'AUCUNE HEURE À RISQUE',
+    };
+    title.textContent = window.I18n
+      ? I18n.t(`seasonal.${level}.title`, vars)
+      : fallbackTitles[level];
+    message.textContent = window.I18n
+      ? I18n.t('seasonal.msg', vars)
+      : `Chaleur perdue sur ${vars.hours} h: ${vars.energy} kWh (traçage ${vars.trace} kWh)\nCoût: ${vars.cost} $, émissions: ${vars.co2} kg CO₂\nHeures sous ${vars.threshold}°C: ${vars.below} h, dont ${vars.frozen} h de gel\n${vars.steps} pas météo, ${vars.evaluations} calculs du réseau`;
+
+    cardContainer.style.display = 'block';
+  }
+
+  // ========== AFFICHAGE PROBABILITÉ DE GEL (MONTE CARLO) ==========
+  /**
+   * Tire les entrées incertaines (débit, température de l'air, isolant dégradé),
+   * calcule P(gel) et affiche l'histogramme de la température minimale.
+   */
+  function displayMonteCarlo(config) {
+    const cardContainer = document.getElementById('montecarlo-card');
+    if (!cardContainer) {
+      return;
+    }
+    if (!config.monteCarlo) {
+      cardContainer.style.display = 'none';
+      return;
+    }
+
+    // Débit et air: normales centrées sur les valeurs saisies; isolant: triangulaire,
+    // intact le plus probable, jusqu'à la dégradation maximale saisie
+    const input = config.monteCarlo;
+    const uncertainties = {};
+    if (input.flowRelStd > 0) {
+      uncertainties.m_dot = { type: 'normal', relStd: input.flowRelStd };
+    }
+    if (input.ambientStd > 0) {
+      uncertainties.T_amb = { type: 'normal', std: input.ambientStd };
+    }
+    if (input.insulationDamage > 0 && config.insulation) {
+      uncertainties.insulationFactor = {
+        type: 'triangular',
+        min: 1 - input.insulationDamage,
+        mode: 1,
+        max: 1,
+      };
+    }
+
+    let result;
+    try {
+      result = MonteCarlo.runMonteCarlo(config, uncertainties, {
+        samples: input.samples,
+        seed: input.seed,
+      });
+    } catch (error) {
+      console.warn('Analyse Monte Carlo impossible:', error.message);
+      cardContainer.style.display = 'none';
+      return;
+    }
+
+    const card = document.getElementById('montecarlo-verdict');
+    const icon = document.getElementById('montecarlo-icon');
+    const title = document.getElementById('montecarlo-verdict-title');
+    const message = document.getElementById('montecarlo-message');
+
+    card.className = 'verdict-card';
+    message.style.whiteSpace = 'pre-line';
+
+    const percent = (p) => (p * 100).toFixed(1);
+    const vars = {
+      p: percent(result.probabilityFreeze),
+      low: percent(result.confidence95.low),
+      high: percent(result.confidence95.high),
+      pSafety: percent(result.probabilityBelowSafety),
+      threshold: result.safetyThreshold.toFixed(1),
+      p5: result.minTemp.percentiles.p5.toFixed(1),
+      p50: result.minTemp.percentiles.p50.toFixed(1),
+      p95: result.minTemp.percentiles.p95.toFixed(1),
+      samples: result.samples,
+      seed: result.seed,
+    };
+
+    if (result.probabilityFreeze >= 0.01) {
+      card.classList.add('verdict-card--freeze');
+      icon.textContent = '❌';
+    } else if (result.freezeCount > 0 || result.probabilityBelowSafety > 0) {
+      card.classList.add('verdict-card--warning');
+      icon.textContent = '⚠️';
+    } else {
+      card.classList.add('verdict-card--no-freeze');
+      icon.textContent = '🎲';
+    }
+
+    title.textContent = window.I18n
+      ? I18n.t('monteCarlo.verdictTitle', vars)
+      : `PROBABILITÉ DE GEL: ${vars.p} %`;
+    message.textContent = window.I18n
+      ? I18n.t('monteCarlo.msg', vars)
+      : `Intervalle de confiance à 95 %: ${vars.low} à ${vars.high} %\nProbabilité sous ${vars.threshold}°C: ${vars.pSafety} %\nTempérature minimale: P5 ${vars.p5}°C, P50 ${vars.p50}°C, P95 ${vars.p95}°C\n${vars.samples} tirages (graine ${vars.seed})`;
+
+    cardContainer.style.display = 'block';
+    if (typeof MonteCarloChart !== 'undefined') {
+      MonteCarloChart.draw(result);
+    }
+  }
+
   // ========== AFFICHAGE RÉSULTATS DÉTAILLÉS ==========
   function displayDetailedResults(network, freeze, config) {
     // Résultats thermiques avec icônes et couleurs conditionnelles
     // innerHTML sécurisé - Valeurs numériques formatées (toFixed) + traductions i18n
+    // Icônes relatives au point de congélation du fluide
+    const T_freeze = network.T_freeze;
     const T_final = network.T_final;
     const T_finalFormatted = (T_final >= 0 ? '+' : '') + T_final.toFixed(1) + '°C';
-    const T_finalIcon = T_final >= MARGE_SURETE_GEL ? '✅' : T_final > 0 ? '⚠️' : '❌';
+    const T_finalIcon =
+      T_final >= T_freeze + MARGE_SURETE_GEL ? '✅' : T_final > T_freeze ? '⚠️' : '❌';
     document.getElementById('result-temp-final').innerHTML = `${T_finalIcon} ${T_finalFormatted}`;
 
     // Température minimale + position
     const T_min = network.minTemp;
     const T_minFormatted = (T_min >= 0 ? '+' : '') + T_min.toFixed(1) + '°C';
-    const T_minIcon = T_min >= MARGE_SURETE_GEL ? '✅' : T_min > 0 ? '⚠️' : '❌';
+    const T_minIcon = T_min >= T_freeze + MARGE_SURETE_GEL ? '✅' : T_min > T_freeze ? '⚠️' : '❌';
     const atPos = window.I18n
       ? I18n.t('detailed.atPosition', { pos: network.minTempPosition.toFixed(1) })
       : `à ${network.minTempPosition.toFixed(1)}m`;
@@ -900,8 +1589,22 @@
       marginEl.innerHTML = `${marginIcon} <span style="color: ${marginColor}; font-weight: bold;">${marginFormatted}${marginLabel}</span>`;
     }
 
-    document.getElementById('result-heat-loss').textContent =
-      `${(network.Q_loss_total / 1000).toFixed(1)} kW`;
+    // Ventilation répartie / ponctuelle lorsque des ponts thermiques sont définis
+    let heatLossText = `${(network.Q_loss_total / 1000).toFixed(1)} kW`;
+    if (network.thermalBridges.length > 0) {
+      const breakdownVars = {
+        distributed: (network.Q_distributed_total / 1000).toFixed(2),
+        point: (network.Q_point_total / 1000).toFixed(2),
+        share:
+          network.Q_loss_total > 0
+            ? ((network.Q_point_total / network.Q_loss_total) * 100).toFixed(0)
+            : '0',
+      };
+      heatLossText += window.I18n
+        ? ` ${I18n.t('detailed.heatLossBreakdown', breakdownVars)}`
+        : ` (réparties ${breakdownVars.distributed} kW, ponts thermiques ${breakdownVars.point} kW, soit ${breakdownVars.share}%)`;
+    }
+    document.getElementById('result-heat-loss').textContent = heatLossText;
 
     // Résultats hydrauliques (utiliser le premier segment comme référence)
     const firstSegment = network.segmentResults[0];
@@ -909,7 +1612,9 @@
     // Calculer vitesse à partir du débit et de la géométrie
     const rho_water = 983; // kg/m³ approximatif à 60°C
     const Q_volumetric = config.fluid.m_dot / rho_water; // m³/s
-    const A = Math.PI * Math.pow(config.geometry.D_inner / 2, 2); // m²
+    const fouling = config.geometry.fouling;
+    const D_flow = config.geometry.D_inner - 2 * (fouling ? fouling.thickness : 0); // Dépôt déduit
+    const A = Math.PI * Math.pow(D_flow / 2, 2); // m²
     const velocity = Q_volumetric / A; // m/s
 
     document.getElementById('result-regime').textContent = firstSegment.regime;
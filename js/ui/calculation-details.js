@@ -82,6 +82,19 @@
           networkResult.segmentResults,
           networkResult.x_profile
         );
+
+        // Contribution de chaque raccord ou vanne
+        if (networkResult.fittings && networkResult.fittings.length > 0) {
+          firstContainer.innerHTML += this.displayFittings(
+            networkResult.fittings,
+            networkResult.dP_fittings_total
+          );
+        }
+
+        // Pertes ponctuelles des ponts thermiques et ventilation des pertes
+        if (networkResult.thermalBridges && networkResult.thermalBridges.length > 0) {
+          firstContainer.innerHTML += this.displayThermalBridges(networkResult);
+        }
       }
 
       // Attacher événements pour sections collapsibles
@@ -95,18 +108,30 @@
      * Génère le résumé exécutif
      */
     generateExecutiveSummary: function (networkResult, config) {
-      // const firstSeg = networkResult.segmentResults[0]; // Non utilisé actuellement
-      const segmentLength = config.totalLength / config.numSegments;
+      const segments = networkResult.segmentResults;
+      const lengths = segments.map((seg) => seg.x_end - seg.x_start);
+      const minLength = Math.min(...lengths);
+      const maxLength = Math.max(...lengths);
 
       const t = (key, replacements) => (window.I18n ? I18n.t(key, replacements) : key);
 
+      // Longueurs variables (découpage adaptatif, sections): afficher la plage
+      const lengthText =
+        maxLength - minLength > 0.05
+          ? t('calcDetails.methodology.ofRange', {
+              min: minLength.toFixed(1),
+              max: maxLength.toFixed(1),
+            })
+          : `${t('calcDetails.methodology.of')} ${maxLength.toFixed(1)} ${t('calcDetails.methodology.each')}`;
+
       return `
         <div class="calc-executive-summary">
           <h3>${t('calcDetails.methodology.title')}</h3>
           <p>
-            ${t('calcDetails.methodology.pipe')} <strong>${config.totalLength} m</strong> ${t('calcDetails.methodology.divided')} <strong>${config.numSegments} ${t('calcDetails.methodology.segments')}</strong> 
-            ${t('calcDetails.methodology.of')} ${segmentLength.toFixed(1)} ${t('calcDetails.methodology.each')}
+            ${t('calcDetails.methodology.pipe')} <strong>${config.totalLength} m</strong> ${t('calcDetails.methodology.divided')} <strong>${segments.length} ${t('calcDetails.methodology.segments')}</strong> 
+            ${lengthText}
           </p>
+          ${this.generateConvergenceNote(networkResult.convergence)}
           
           <div class="calc-methodology-steps">
             <div class="methodology-step">
@@ -165,6 +190,47 @@
       `;
     },
 
+    /**
+     * Génère le bilan de l'étude de convergence (découpage adaptatif)
+     * @param {Object|null} convergence - Bilan retourné par calculatePipeNetwork
+     */
+    generateConvergenceNote: function (convergence) {
+      if (!convergence) {
+        return '';
+      }
+
+      const t = (key, replacements) => (window.I18n ? I18n.t(key, replacements) : key);
+
+      const counts = convergence.history.map((pass) => pass.numSegments).join(' → ');
+      let text = t('calcDetails.methodology.convergence', {
+        passes: convergence.passes,
+        counts: counts,
+        error: convergence.T_final_error !== null ? convergence.T_final_error.toFixed(3) : '—',
+      });
+      if (convergence.frozenAtPosition_error !== null && convergence.frozenAtPosition_error > 0) {
+        text +=
+          ' ' +
+          t('calcDetails.methodology.convergenceFreeze', {
+            error: isFinite(convergence.frozenAtPosition_error)
+              ? convergence.frozenAtPosition_error.toFixed(1)
+              : '—',
+          });
+      }
+      if (convergence.dP_total_error !== null) {
+        text +=
+          ' ' +
+          t('calcDetails.methodology.convergencePressure', {
+            error: (convergence.dP_total_error * 100).toFixed(1),
+          });
+      }
+      if (!convergence.converged) {
+        text +=
+          ' ' + t('calcDetails.methodology.notConverged', { numSegments: convergence.numSegments });
+      }
+
+      return `<p class="calc-convergence-note">${text}</p>`;
+    },
+
     /**
      * Génère l'en-tête d'un segment
      */
@@ -175,8 +241,7 @@
       config,
       totalSegments
     ) {
-      const segmentLength = config.totalLength / config.numSegments;
-      const endPosition = startPosition + segmentLength;
+      const endPosition = startPosition + (segmentResult.x_end - segmentResult.x_start);
 
       const t = (key, replacements) => (window.I18n ? I18n.t(key, replacements) : key);
 
@@ -203,19 +268,32 @@
       let html = '<div class="calc-blocks">';
 
       // Recalculer le segment complet pour avoir tous les détails
-      const segmentLength = config.totalLength / config.numSegments;
+      const segmentLength = segmentResult.x_end - segmentResult.x_start;
+      // Entrée thermique au début du tronçon du segment, comme dans le moteur
+      const sectionStart = Array.isArray(config.sections)
+        ? config.sections
+            .slice(0, segmentResult.sectionIndex)
+            .reduce((sum, section) => sum + section.length, 0)
+        : 0;
       const segmentGeometry = {
         D_inner: config.geometry.D_inner,
         D_outer: config.geometry.D_outer,
         roughness: config.geometry.roughness,
         length: segmentLength,
         material: config.geometry.material,
+        fouling: config.geometry.fouling || null,
+        orientation: config.orientation || null,
+        runLength: config.totalLength,
+        entryDistance: segmentResult.x_start - sectionStart,
       };
 
       const segmentFluid = {
         T_in: segmentResult.T_in,
         P: config.fluid.P, // Utiliser la pression initiale (simplifié)
         m_dot: config.fluid.m_dot,
+        type: config.fluid.type,
+        concentration: config.fluid.concentration,
+        waterBackend: config.fluid.waterBackend,
       };
 
       // Recalcul complet pour avoir tous les détails (h_int, h_ext, NTU, etc.)
@@ -223,13 +301,15 @@
         segmentGeometry,
         segmentFluid,
         config.ambient,
-        config.insulation
+        config.insulation,
+        2,
+        config.heatTracing || null
       );
 
       // Propriétés fluides calculées
       const T_avg = (segmentResult.T_in + segmentResult.T_out) / 2;
-      const water = WaterProperties.getWaterProperties(T_avg, config.fluid.P); // Pression en bar
-      const air = AirProperties.getAirProperties(config.ambient.T_amb);
+      const water = FluidProperties.getFluidProperties(config.fluid, T_avg, config.fluid.P); // Pression en bar
+      const air = AirProperties.getAirProperties(config.ambient.T_amb, config.ambient);
 
       // 1. Propriétés des fluides
       html += this.displayFluidProperties(T_avg, config.fluid.P, water, air, config.ambient.T_amb);
@@ -240,8 +320,10 @@
       // 3. Transfert thermique interne
       html += this.displayConvectionInternal(fullSegmentResult, segmentGeometry, config, water);
 
-      // 4. Transfert thermique externe
-      html += this.displayConvectionExternal(fullSegmentResult, config, air);
+      // 4. Transfert thermique externe (air, ou sol si conduite enterrée)
+      html += fullSegmentResult.burial
+        ? this.displaySoilConduction(fullSegmentResult)
+        : this.displayConvectionExternal(fullSegmentResult, config, air);
 
       // 5. Résistances thermiques
       html += this.displayThermalResistances(fullSegmentResult, segmentGeometry, config);
@@ -328,10 +410,15 @@
     displayHydraulics: function (result, geometry, config, water) {
       const t = (key) => (window.I18n ? I18n.t(key) : key);
       const Q = config.fluid.m_dot / water.rho;
-      const A = Math.PI * Math.pow(geometry.D_inner / 2, 2);
       const V = result.V;
-      const D = geometry.D_inner;
-      const epsilon_D = geometry.roughness / D;
+      // Diamètre et rugosité de la surface mouillée (dépôt si encrassement)
+      const D = result.D_hydraulic;
+      const A = Math.PI * Math.pow(D / 2, 2);
+      const roughness = result.fouling ? result.fouling.roughness : geometry.roughness;
+      const epsilon_D = roughness / D;
+      const fouledDiameter = result.fouling
+        ? `<p>• ${t('calcDetails.step2.velocity.fouledDiameter')} ${(geometry.D_inner * 1000).toFixed(2)} − 2 × ${(result.fouling.thickness * 1000).toFixed(2)} = ${(D * 1000).toFixed(2)} mm</p>`
+        : '';
 
       return `
         <div class="calc-block">
@@ -344,6 +431,7 @@
               <p>• ${t('calcDetails.step2.velocity.massFlow')} ${config.fluid.m_dot.toFixed(3)} kg/s</p>
               <p>• ${t('calcDetails.step2.velocity.density')} ${water.rho.toFixed(2)} kg/m³</p>
               <p>• ${t('calcDetails.step2.velocity.diameter')} ${(D * 1000).toFixed(2)} mm (${D.toFixed(4)} m)</p>
+              ${fouledDiameter}
             </div>
             <div class="calc-block__formula">
               <p>${t('calcDetails.step2.velocity.volumeFlow')}</p>
@@ -378,7 +466,7 @@
           <div class="calc-block__subsection">
             <h5>${t('calcDetails.step2.friction.title')}</h5>
             <div class="calc-block__inputs">
-              <p>• ${t('calcDetails.step2.friction.roughness')} ${toScientificLatex(geometry.roughness, 3)} / ${D.toFixed(4)} = ${toScientificLatex(epsilon_D, 3)}</p>
+              <p>• ${t('calcDetails.step2.friction.roughness')} ${toScientificLatex(roughness, 3)} / ${D.toFixed(4)} = ${toScientificLatex(epsilon_D, 3)}</p>
             </div>
             <div class="calc-block__formula">
               ${
@@ -439,7 +527,7 @@
     displayConvectionInternal: function (result, geometry, config, water) {
       const t = (key) => (window.I18n ? I18n.t(key) : key);
       const Pr = (water.mu * water.cp) / water.k;
-      const D = geometry.D_inner;
+      const D = result.D_hydraulic;
       const L = geometry.length;
 
       // Déterminer la corrélation utilisée
@@ -512,12 +600,10 @@
      */
     displayConvectionExternal: function (result, config, _air) {
       const t = (key) => (window.I18n ? I18n.t(key) : key);
-      const D_outer_final = config.insulation
-        ? config.geometry.D_outer + 2 * config.insulation.thickness
-        : config.geometry.D_outer;
+      const D_outer_final = result.D_ext;
 
-      const isForced = config.ambient.V_wind > 0.1;
-      const pipeMat = MaterialProperties.getMaterialProperties(config.geometry.material);
+      const hasWind = config.ambient.V_wind > 0;
+      const sky = result.radiation;
 
       // Estimer Nu externe (on ne l'a pas directement dans result) - Non utilisé actuellement
       // const Nu_ext = (result.h_ext * D_outer_final) / air.k - result.h_ext * 0.1; // Approximation
@@ -530,25 +616,28 @@
             <h5>${t('calcDetails.step4.convection.title')}</h5>
             <div class="calc-block__inputs">
               <p>• ${t('calcDetails.step4.convection.outerDiameter')}<sub>ext</sub> = ${(D_outer_final * 1000).toFixed(1)} mm</p>
-              ${isForced ? `<p>• ${t('calcDetails.step4.convection.windSpeed')}<sub>wind</sub> = ${config.ambient.V_wind.toFixed(1)} m/s (${(config.ambient.V_wind * 3.6).toFixed(1)} km/h)</p>` : ''}
+              ${hasWind ? `<p>• ${t('calcDetails.step4.convection.windSpeed')}<sub>wind</sub> = ${config.ambient.V_wind.toFixed(1)} m/s (${(config.ambient.V_wind * 3.6).toFixed(1)} km/h)</p>` : ''}
+              ${config.orientation ? this.displayOrientation(result, config, hasWind, t) : ''}
             </div>
             <div class="calc-block__formula">
               ${
-                isForced
+                hasWind
                   ? `
-                <p><strong>${t('calcDetails.step4.convection.forcedConvection')}</strong></p>
+                <p><strong>${t('calcDetails.step4.convection.combinedConvection')}</strong></p>
                 <p>${t('calcDetails.step4.convection.reynoldsAir')} \\( Re_{air} = \\frac{\\rho_{air} V_{wind} D_{ext}}{\\mu_{air}} \\)</p>
-                <p>${t('calcDetails.step4.convection.correlation')}</p>
+                <p>${t('calcDetails.step4.convection.combinedFormula')} \\( Nu = \\left( Nu_{forc}^3 + Nu_{nat}^3 \\right)^{1/3} \\)</p>
               `
                   : `
                 <p><strong>${t('calcDetails.step4.convection.naturalConvection')}</strong></p>
                 <p>${t('calcDetails.step4.convection.rayleighCorrelation')}</p>
               `
               }
+              <p>${t('calcDetails.step4.convection.richardson')} \\( Ri = \\frac{Gr}{Re_{air}^2} \\) = ${isFinite(result.Ri) ? result.Ri.toFixed(3) : '∞'}
+                → ${t('calcDetails.step4.convection.regime')} ${t(`calcDetails.step4.convection.regimes.${result.convectionRegime}`)}</p>
               <p><em>h<sub>conv</sub> ${t('calcDetails.step4.convection.calculated')}</em></p>
             </div>
             <div class="calc-block__result">
-              ${t('calcDetails.step4.convection.result')}<sub>conv</sub> ≈ ${(result.h_ext * 0.85).toFixed(1)} W/(m²·K)
+              ${t('calcDetails.step4.convection.result')}<sub>conv</sub> = ${result.h_conv_ext.toFixed(1)} W/(m²·K)
             </div>
             <div class="calc-block__reference">
               <strong>${t('calcDetails.step4.convection.source')}</strong>
@@ -558,7 +647,7 @@
           <div class="calc-block__subsection">
             <h5>${t('calcDetails.step4.radiation.title')}</h5>
             <div class="calc-block__inputs">
-              <p>• ${t('calcDetails.step4.radiation.emissivity')} ${pipeMat.emissivity.toFixed(3)}</p>
+              <p>• ${t('calcDetails.step4.radiation.emissivity')} ${result.emissivity.toFixed(3)}</p>
               <p>• ${t('calcDetails.step4.radiation.stefanBoltzmann')} 5.67×10⁻⁸ W/(m²·K⁴)</p>
             </div>
             <div class="calc-block__formula">
@@ -566,14 +655,27 @@
               <p>\\( h_{rad} = \\varepsilon \\sigma (T_s^2 + T_{amb}^2)(T_s + T_{amb}) \\)</p>
               <p><em>${t('calcDetails.step4.radiation.surfaceTemp')}<sub>s</sub> ${t('calcDetails.step4.radiation.surfaceTempNote')}</em></p>
             </div>
+            ${sky ? this.displaySkyExchange(result, sky, t) : ''}
             <div class="calc-block__result">
-              ${t('calcDetails.step4.radiation.result')}<sub>rad</sub> ≈ ${(result.h_ext * 0.15).toFixed(1)} W/(m²·K)
+              ${t('calcDetails.step4.radiation.result')}<sub>rad</sub> = ${result.h_rad.toFixed(1)} W/(m²·K)
             </div>
             <div class="calc-block__reference">
               <strong>${t('calcDetails.step4.radiation.source')}</strong>
             </div>
           </div>
           
+          <div class="calc-block__subsection">
+            <h5>${t('calcDetails.step4.surface.title')}</h5>
+            <div class="calc-block__formula">
+              <p>${t('calcDetails.step4.surface.text')}</p>
+              <p>${sky ? '\\( T_s = T_{env} + Q_{ext} \\, R_{ext}(T_s) \\)' : '\\( T_s = T_{amb} + Q_{ext} \\, R_{ext}(T_s) \\)'}</p>
+            </div>
+            <div class="calc-block__result">
+              ${t('calcDetails.step4.surface.result')}<sub>s</sub> = ${result.T_surface.toFixed(2)}°C
+              (${result.surfaceConverged ? t('calcDetails.step4.surface.converged') : t('calcDetails.step4.surface.notConverged')}: ${result.surfaceIterations} ${t('calcDetails.step4.surface.iterations')}, |ΔT<sub>s</sub>| = ${result.surfaceResiduals[result.surfaceResiduals.length - 1].toExponential(1)} K)
+            </div>
+          </div>
+
           <div class="calc-block__subsection">
             <h5>${t('calcDetails.step4.total.title')}</h5>
             <div class="calc-block__formula">
@@ -587,6 +689,83 @@
       `;
     },
 
+    /**
+     * Affiche l'orientation de la conduite et le vent à sa hauteur
+     */
+    displayOrientation: function (result, config, hasWind, t) {
+      const orientation = result.orientation;
+      const terrain = config.ambient.terrain || 'open';
+      return `
+              <p>• ${t('calcDetails.step4.convection.orientation.inclination')} θ = ${orientation.inclination.toFixed(0)}°</p>
+              ${
+                hasWind
+                  ? `<p>• ${t('calcDetails.step4.convection.orientation.windAtHeight')} ${orientation.height.toFixed(1)} m (${t(`orientation.terrains.${terrain}`)}): V = ${result.V_wind_local.toFixed(2)} m/s</p>
+              <p>• ${t('calcDetails.step4.convection.orientation.attackAngle')} φ = ${orientation.attackAngle.toFixed(0)}°,
+                \\( Re_{eff} = Re_{air} \\sqrt{\\sin^2\\varphi + 0.04 \\cos^2\\varphi} \\)</p>`
+                  : ''
+              }`;
+    },
+
+    /**
+     * Affiche l'échange avec le ciel, l'environnement et le soleil
+     */
+    displaySkyExchange: function (result, sky, t) {
+      return `
+            <div class="calc-block__inputs">
+              <p>• ${t('calcDetails.step4.radiation.sky.skyTemp')}<sub>ciel</sub> = ${sky.T_sky.toFixed(1)}°C${sky.cloudCover !== null ? ` (${(sky.cloudCover * 100).toFixed(0)} %)` : ''}</p>
+              <p>• ${t('calcDetails.step4.radiation.sky.surroundings')}<sub>sur</sub> = ${sky.T_surroundings.toFixed(1)}°C</p>
+              <p>• ${t('calcDetails.step4.radiation.sky.viewFactor')} ${sky.viewFactorSky.toFixed(2)}</p>
+            </div>
+            <div class="calc-block__formula">
+              <p>${t('calcDetails.step4.radiation.sky.split')} \\( h_{rad} = F \\, h_{rad}(T_{ciel}) + (1 - F) \\, h_{rad}(T_{sur}) \\)</p>
+              <p>${t('calcDetails.step4.radiation.sky.solar')} \\( q_{sol} = \\alpha G / \\pi \\) = ${result.q_solar.toFixed(1)} W/m²</p>
+              <p>\\( T_{env} = \\frac{h_{conv} T_{amb} + h_{rad,ciel} T_{ciel} + h_{rad,sur} T_{sur} + q_{sol}}{h_{ext}} \\)</p>
+            </div>
+            <div class="calc-block__result">
+              ${t('calcDetails.step4.radiation.sky.envTemp')}<sub>env</sub> = ${result.T_env.toFixed(2)}°C
+              (h<sub>rad,ciel</sub> = ${result.h_rad_sky.toFixed(2)} W/(m²·K))
+            </div>`;
+    },
+
+    /**
+     * Affiche la conduction dans le sol (conduite enterrée)
+     */
+    displaySoilConduction: function (result) {
+      const t = (key) => (window.I18n ? I18n.t(key) : key);
+      const burial = result.burial;
+      const D_outer_final = result.D_ext;
+      const R_soil = result.R_layers[result.R_layers.length - 1];
+      const soilName = t(`burial.soils.${burial.soil}`);
+
+      return `
+        <div class="calc-block">
+          <h4 class="calc-block__title">${t('calcDetails.step4.soil.title')}</h4>
+          
+          <div class="calc-block__subsection">
+            <h5>${t('calcDetails.step4.soil.shapeFactor')}</h5>
+            <div class="calc-block__inputs">
+              <p>• ${t('calcDetails.step4.convection.outerDiameter')}<sub>ext</sub> = ${(D_outer_final * 1000).toFixed(1)} mm</p>
+              <p>• ${t('calcDetails.step4.soil.depth')} = ${burial.depth.toFixed(2)} m</p>
+              <p>• ${t('calcDetails.step4.soil.soilType')} ${soilName}</p>
+              <p>• ${t('calcDetails.step4.soil.surfaceTemp')}<sub>surf</sub> = ${burial.T_surface.toFixed(1)}°C</p>
+              <p>• ${t('calcDetails.step4.soil.frostDepth')} ${burial.frostDepth.toFixed(2)} m</p>
+              <p>• ${t('calcDetails.step4.soil.conductivity')} = ${burial.k.toFixed(2)} W/(m·K) ${burial.frozenAtPipe ? t('calcDetails.step4.soil.frozen') : t('calcDetails.step4.soil.unfrozen')}</p>
+            </div>
+            <div class="calc-block__formula">
+              <p>\\( R_{sol} = \\frac{\\cosh^{-1}(2z/D_{ext})}{2\\pi k_{sol} L} \\)</p>
+              <p>\\( X_{gel} = \\sqrt{\\frac{2 k_{gel} I}{\\rho_{sec} w L_f}} \\)</p>
+            </div>
+            <div class="calc-block__result">
+              ${t('calcDetails.step4.soil.result')}<sub>sol</sub> = ${R_soil.toFixed(6)} K/W
+            </div>
+            <div class="calc-block__reference">
+              <strong>${t('calcDetails.step4.soil.source')}</strong>
+            </div>
+          </div>
+        </div>
+      `;
+    },
+
     /**
      * Affiche les résistances thermiques
      */
@@ -594,8 +773,10 @@
       const t = (key) => (window.I18n ? I18n.t(key) : key);
       const pipeMat = MaterialProperties.getMaterialProperties(geometry.material);
       const D_i = geometry.D_inner;
+      const D_h = result.D_hydraulic;
       const D_o = geometry.D_outer;
       const L = geometry.length;
+      const fouling = result.fouling && result.fouling.R > 0 ? result.fouling : null;
 
       let html = `
         <div class="calc-block">
@@ -605,35 +786,74 @@
             <h5>${t('calcDetails.step5.series.title')}</h5>
             <div class="calc-block__formula">
               <p><strong>R<sub>conv,int</sub></strong> ${t('calcDetails.step5.series.convInternal')}</p>
-              <p>\\( R_{conv,int} = \\frac{1}{h_{int} \\pi D_i L} = \\frac{1}{${result.h_int.toFixed(1)} \\times \\pi \\times ${D_i.toFixed(4)} \\times ${L.toFixed(2)}} \\)</p>
-              
+              <p>\\( R_{conv,int} = \\frac{1}{h_{int} \\pi D_h L} = \\frac{1}{${result.h_int.toFixed(1)} \\times \\pi \\times ${D_h.toFixed(4)} \\times ${L.toFixed(2)}} \\)</p>
+              ${
+                fouling
+                  ? `
+              <p><strong>R<sub>encr</sub></strong> ${t('calcDetails.step5.series.fouling')}</p>
+              <p>\\( R_{encr} = \\frac{R_f}{\\pi D_h L} = \\frac{${toScientificLatex(fouling.factor, 3)}}{\\pi \\times ${D_h.toFixed(4)} \\times ${L.toFixed(2)}} = ${toScientificLatex(fouling.R, 3)} \\text{ K/W} \\)</p>
+              `
+                  : ''
+              }
               <p><strong>R<sub>cond,pipe</sub></strong> ${t('calcDetails.step5.series.condPipe')}</p>
               <p>\\( R_{cond,pipe} = \\frac{\\ln(D_o/D_i)}{2\\pi k_{pipe} L} = \\frac{\\ln(${D_o.toFixed(4)}/${D_i.toFixed(4)})}{2\\pi \\times ${pipeMat.k.toFixed(1)} \\times ${L.toFixed(2)}} \\)</p>
       `;
 
-      if (config.insulation) {
-        const insulMat = MaterialProperties.getMaterialProperties(config.insulation.material);
-        const D_o_insul = D_o + 2 * config.insulation.thickness;
-        const materialI18nKey = UIUtils.getInsulationI18nKey(config.insulation.material);
+      // Symboles des couches, de l'eau vers l'extérieur (profil de température)
+      const symbols = fouling
+        ? ['R_{conv,int}', 'R_{encr}', 'R_{cond,pipe}']
+        : ['R_{conv,int}', 'R_{cond,pipe}'];
+
+      // Une résistance par couche d'isolant, chacune à sa température moyenne
+      let D_o_insul = D_o;
+      const insulationLayers = result.insulation_layers || [];
+      insulationLayers.forEach((layer, i) => {
+        const D_layer = D_o_insul + 2 * layer.thickness;
+        const materialI18nKey = UIUtils.getInsulationI18nKey(layer.material);
         const materialName = t(`insulation.materials.${materialI18nKey}`);
+        const symbol = insulationLayers.length > 1 ? `R_{cond,insul,${i + 1}}` : 'R_{cond,insul}';
+        symbols.push(symbol);
+
+        html += `
+              <p><strong>R<sub>cond,insul${insulationLayers.length > 1 ? `,${i + 1}` : ''}</sub></strong> ${t('calcDetails.step5.series.condInsulation')} ${materialName}) :</p>
+              <p>\\( ${symbol} = \\frac{\\ln(D_{out}/D_{in})}{2\\pi k_{insul} L} = \\frac{\\ln(${D_layer.toFixed(4)}/${D_o_insul.toFixed(4)})}{2\\pi \\times ${layer.k.toFixed(4)} \\times ${L.toFixed(2)}} \\)</p>
+        `;
+        D_o_insul = D_layer;
+      });
+
+      const jacket = config.insulation && config.insulation.jacket;
+      if (jacket) {
+        symbols.push('R_{cond,gaine}');
+        const jacketMat = MaterialProperties.getMaterialProperties(jacket.material);
+        const jacketName = t(`jacket.materials.${jacket.material}`);
 
         html += `
-              <p><strong>R<sub>cond,insul</sub></strong> ${t('calcDetails.step5.series.condInsulation')} ${materialName}) :</p>
-              <p>\\( R_{cond,insul} = \\frac{\\ln(D_{o,insul}/D_o)}{2\\pi k_{insul} L} = \\frac{\\ln(${D_o_insul.toFixed(4)}/${D_o.toFixed(4)})}{2\\pi \\times ${insulMat.k.toFixed(3)} \\times ${L.toFixed(2)}} \\)</p>
+              <p><strong>R<sub>cond,gaine</sub></strong> ${t('calcDetails.step5.series.condJacket')} ${jacketName}) :</p>
+              <p>\\( R_{cond,gaine} = \\frac{\\ln(D_{ext}/D_{o,insul})}{2\\pi k_{gaine} L} = \\frac{\\ln(${result.D_ext.toFixed(4)}/${D_o_insul.toFixed(4)})}{2\\pi \\times ${jacketMat.k} \\times ${L.toFixed(2)}} \\)</p>
         `;
       }
 
-      const D_ext_final = config.insulation ? D_o + 2 * config.insulation.thickness : D_o;
-      html += `
+      const D_ext_final = result.D_ext;
+      const burial = result.burial;
+      const R_ext_symbol = burial ? 'R_{sol}' : 'R_{conv,ext}';
+      symbols.push(R_ext_symbol);
+      html += burial
+        ? `
+              <p><strong>R<sub>sol</sub></strong> ${t('calcDetails.step5.series.soil')}</p>
+              <p>\\( R_{sol} = \\frac{\\cosh^{-1}(2z/D_{ext})}{2\\pi k_{sol} L} = \\frac{\\cosh^{-1}(2 \\times ${burial.depth.toFixed(2)}/${D_ext_final.toFixed(4)})}{2\\pi \\times ${burial.k.toFixed(2)} \\times ${L.toFixed(2)}} \\)</p>
+        `
+        : `
               <p><strong>R<sub>conv,ext</sub></strong> ${t('calcDetails.step5.series.convExternal')}</p>
               <p>\\( R_{conv,ext} = \\frac{1}{h_{ext} \\pi D_{ext} L} = \\frac{1}{${result.h_ext.toFixed(1)} \\times \\pi \\times ${D_ext_final.toFixed(4)} \\times ${L.toFixed(2)}} \\)</p>
+        `;
+      html += `
             </div>
           </div>
           
           <div class="calc-block__subsection">
             <h5>${t('calcDetails.step5.total.title')}</h5>
             <div class="calc-block__formula">
-              <p>\\( R_{total} = R_{conv,int} + R_{cond,pipe} ${config.insulation ? '+ R_{cond,insul}' : ''} + R_{conv,ext} \\)</p>
+              <p>\\( R_{total} = ${symbols.join(' + ')} \\)</p>
               <p>\\( R_{total} = ${result.R_total.toFixed(6)} \\text{ K/W} \\)</p>
             </div>
             <div class="calc-block__result">
@@ -653,12 +873,38 @@
               <strong>${t('calcDetails.step5.ua.source')}</strong>
             </div>
           </div>
+          ${this.displayLayerTemperatures(result, symbols, t)}
         </div>
       `;
 
       return html;
     },
 
+    /**
+     * Affiche la chute de température dans chaque couche (temperatureProfile)
+     */
+    displayLayerTemperatures: function (result, symbols, t) {
+      const T = result.T_interfaces;
+      const rows = symbols
+        .map(
+          (symbol, i) =>
+            `<p>\\( ${symbol} \\) : ${T[i].toFixed(2)} → ${T[i + 1].toFixed(2)}°C, ΔT = ${(T[i] - T[i + 1]).toFixed(2)} K</p>`
+        )
+        .join('');
+
+      return `
+          <div class="calc-block__subsection">
+            <h5>${t('calcDetails.step5.profile.title')}</h5>
+            <div class="calc-block__formula">
+              <p>\\( \\Delta T_i = Q \\cdot R_i \\)</p>
+              ${rows}
+            </div>
+            <div class="calc-block__reference">
+              <strong>${t('calcDetails.step5.profile.source')}</strong>
+            </div>
+          </div>`;
+    },
+
     /**
      * Affiche la méthode NTU
      */
@@ -668,6 +914,7 @@
       const C = config.fluid.m_dot * water.cp;
       const NTU = result.NTU;
       const epsilon = 1 - Math.exp(-NTU);
+      const T_ref = result.T_amb_eq;
 
       return `
         <div class="calc-block">
@@ -702,15 +949,17 @@
             </div>
           </div>
           
+          ${result.Q_trace > 0 ? this.displayHeatTracing(result, config) : ''}
+          
           <div class="calc-block__subsection">
             <h5>${t('calcDetails.step6.outletTemp.title')}</h5>
             <div class="calc-block__inputs">
               <p>• T<sub>in</sub> = ${segmentResult.T_in.toFixed(2)}°C</p>
-              <p>• T<sub>amb</sub> = ${config.ambient.T_amb.toFixed(1)}°C</p>
+              <p>• T<sub>amb</sub> = ${T_ref.toFixed(1)}°C</p>
             </div>
             <div class="calc-block__formula">
               <p>\\( T_{out} = T_{amb} + (T_{in} - T_{amb}) \\times e^{-NTU} \\)</p>
-              <p>\\( T_{out} = ${config.ambient.T_amb.toFixed(1)} + (${segmentResult.T_in.toFixed(2)} - ${config.ambient.T_amb.toFixed(1)}) \\times e^{-${NTU.toFixed(6)}} \\)</p>
+              <p>\\( T_{out} = ${T_ref.toFixed(1)} + (${segmentResult.T_in.toFixed(2)} - ${T_ref.toFixed(1)}) \\times e^{-${NTU.toFixed(6)}} \\)</p>
               <p>\\( T_{out} = ${result.T_out.toFixed(2)} \\text{°C} \\)</p>
             </div>
             <div class="calc-block__result">
@@ -736,6 +985,173 @@
       `;
     },
 
+    /**
+     * Affiche l'apport du traçage électrique (ambiance équivalente)
+     */
+    displayHeatTracing: function (result, config) {
+      const t = (key) => (window.I18n ? I18n.t(key) : key);
+      const R_outer = result.R_total - result.R_layers[0] - (result.fouling ? result.fouling.R : 0);
+
+      return `
+          <div class="calc-block__subsection">
+            <h5>${t('calcDetails.step6.heatTracing.title')}</h5>
+            <div class="calc-block__inputs">
+              <p>• q<sub>trace</sub> = ${result.q_trace.toFixed(1)} W/m</p>
+              <p>• Q<sub>trace</sub> = ${result.Q_trace.toFixed(1)} W</p>
+              <p>• R<sub>ext</sub> = ${R_outer.toFixed(4)} K/W</p>
+            </div>
+            <div class="calc-block__formula">
+              <p>${t('calcDetails.step6.heatTracing.text')}</p>
+              <p>\\( T_{amb,eq} = T_{amb} + Q_{trace} R_{ext} = ${config.ambient.T_amb.toFixed(1)} + ${result.Q_trace.toFixed(1)} \\times ${R_outer.toFixed(4)} = ${result.T_amb_eq.toFixed(2)} \\text{°C} \\)</p>
+            </div>
+            <div class="calc-block__result">
+              → <strong>${t('calcDetails.step6.heatTracing.result')}<sub>amb,eq</sub> = ${result.T_amb_eq.toFixed(2)}°C</strong>
+            </div>
+            <div class="calc-block__reference">
+              <strong>${t('calcDetails.step6.heatTracing.source')}</strong>
+            </div>
+          </div>`;
+    },
+
+    /**
+     * Affiche les pertes singulières de chaque raccord ou vanne
+     */
+    displayFittings: function (fittings, dP_fittings_total) {
+      const t = (key) => (window.I18n ? I18n.t(key) : key);
+
+      const rows = fittings
+        .map(
+          (fitting) => `
+                <tr>
+                  <td>${t('fittings.types.' + fitting.type)}</td>
+                  <td>${fitting.count}</td>
+                  <td>${fitting.position === null ? t('calcDetails.fittings.distributed') : fitting.position.toFixed(1)}</td>
+                  <td>${fitting.K.toFixed(3)}</td>
+                  <td>${fitting.dP.toFixed(1)}</td>
+                </tr>`
+        )
+        .join('');
+
+      return `
+        <div class="calc-block">
+          <h4 class="calc-block__title">${t('calcDetails.fittings.title')}</h4>
+          <div class="calc-block__formula">
+            <p>${t('calcDetails.fittings.text')}</p>
+            <p>\\( \\Delta P = n \\, K \\frac{\\rho V^2}{2} \\)</p>
+          </div>
+          <div class="calc-table-wrapper">
+            <table class="calc-table">
+              <thead>
+                <tr>
+                  <th>${t('calcDetails.fittings.type')}</th>
+                  <th>${t('calcDetails.fittings.count')}</th>
+                  <th>${t('calcDetails.fittings.position')}</th>
+                  <th>K<br/>[-]</th>
+                  <th>ΔP<br/>[Pa]</th>
+                </tr>
+              </thead>
+              <tbody>${rows}
+                <tr class="highlighted-row">
+                  <td colspan="4"><strong>${t('calcDetails.fittings.total')}</strong></td>
+                  <td><strong>${dP_fittings_total.toFixed(1)}</strong></td>
+                </tr>
+              </tbody>
+            </table>
+          </div>
+          <div class="calc-block__result">
+            ${t('calcDetails.fittings.result')} ${dP_fittings_total.toFixed(1)} Pa
+          </div>
+          <div class="calc-block__reference">
+            <strong>${t('calcDetails.fittings.source')}</strong>
+          </div>
+        </div>
+      `;
+    },
+
+    /**
+     * Affiche les pertes de chaque pont thermique et la ventilation réparti / ponctuel
+     */
+    displayThermalBridges: function (networkResult) {
+      const t = (key, replacements) => (window.I18n ? I18n.t(key, replacements) : key);
+
+      const rows = networkResult.thermalBridges
+        .map((bridge) => {
+          let placement;
+          if (bridge.position !== null) {
+            placement = bridge.position.toFixed(1);
+          } else if (bridge.spacing !== null) {
+            placement = t('calcDetails.thermalBridges.every', {
+              spacing: bridge.spacing.toFixed(1),
+            });
+          } else {
+            placement = t('calcDetails.fittings.distributed');
+          }
+          const value =
+            bridge.UA !== null
+              ? `${bridge.UA.toFixed(2)} W/K`
+              : `${bridge.bareLength.toFixed(2)} m`;
+          return `
+                <tr>
+                  <td>${bridge.type === 'custom' ? t('thermalBridges.types.custom') : t('thermalBridges.types.' + bridge.type)}</td>
+                  <td>${bridge.count}</td>
+                  <td>${placement}</td>
+                  <td>${bridge.positions.length}</td>
+                  <td>${value}</td>
+                  <td>${bridge.Q.toFixed(1)}</td>
+                </tr>`;
+        })
+        .join('');
+
+      const share =
+        networkResult.Q_loss_total > 0
+          ? (networkResult.Q_point_total / networkResult.Q_loss_total) * 100
+          : 0;
+
+      return `
+        <div class="calc-block">
+          <h4 class="calc-block__title">${t('calcDetails.thermalBridges.title')}</h4>
+          <div class="calc-block__formula">
+            <p>${t('calcDetails.thermalBridges.text')}</p>
+            <p>\\( T_{aval} = T_{ref} + (T_{amont} - T_{ref}) \\, e^{-UA / \\dot{m} c_p} \\)</p>
+          </div>
+          <div class="calc-table-wrapper">
+            <table class="calc-table">
+              <thead>
+                <tr>
+                  <th>${t('calcDetails.thermalBridges.type')}</th>
+                  <th>${t('calcDetails.fittings.count')}</th>
+                  <th>${t('calcDetails.fittings.position')}</th>
+                  <th>${t('calcDetails.thermalBridges.points')}</th>
+                  <th>${t('calcDetails.thermalBridges.value')}</th>
+                  <th>Q<br/>[W]</th>
+                </tr>
+              </thead>
+              <tbody>${rows}
+                <tr class="highlighted-row">
+                  <td colspan="5"><strong>${t('calcDetails.thermalBridges.pointTotal')}</strong></td>
+                  <td><strong>${networkResult.Q_point_total.toFixed(1)}</strong></td>
+                </tr>
+                <tr>
+                  <td colspan="5">${t('calcDetails.thermalBridges.distributedTotal')}</td>
+                  <td>${networkResult.Q_distributed_total.toFixed(1)}</td>
+                </tr>
+                <tr class="highlighted-row">
+                  <td colspan="5"><strong>${t('calcDetails.fittings.total')}</strong></td>
+                  <td><strong>${networkResult.Q_loss_total.toFixed(1)}</strong></td>
+                </tr>
+              </tbody>
+            </table>
+          </div>
+          <div class="calc-block__result">
+            ${t('calcDetails.thermalBridges.result', { share: share.toFixed(1) })}
+          </div>
+          <div class="calc-block__reference">
+            <strong>${t('calcDetails.thermalBridges.source')}</strong>
+          </div>
+        </div>
+      `;
+    },
+
     /**
      * Génère le tableau collapsible
      */
@@ -759,6 +1175,8 @@
      */
     displayAllSegmentsTable: function (segmentResults, x_profile) {
       const t = (key) => (window.I18n ? I18n.t(key) : key);
+      const hasIce = segmentResults.some((seg) => seg.iceThickness > 0);
+      const hasTrace = segmentResults.some((seg) => seg.Q_trace > 0);
       let html = `
         <div class="calc-all-segments">
           <h3>${t('detailedCalcs.tableTitle')}</h3>
@@ -780,6 +1198,8 @@
                   <th>${t('detailedCalcs.regime')}</th>
                   <th>ΔP<br/>[Pa]</th>
                   <th>Q<sub>loss</sub><br/>[W]</th>
+                  ${hasTrace ? `<th>${t('detailedCalcs.trace')}<br/>[W]</th>` : ''}
+                  ${hasIce ? `<th>${t('detailedCalcs.iceThickness')}<br/>[mm]</th>` : ''}
                 </tr>
               </thead>
               <tbody>
@@ -793,6 +1213,14 @@
         // Mettre en évidence le premier segment (exemple détaillé)
         const rowClass = i === 0 ? ' class="highlighted-row"' : '';
 
+        // Épaisseur de glace en paroi (colonne affichée seulement si de la glace se forme)
+        let iceCell = '';
+        if (hasIce) {
+          iceCell = seg.blocked
+            ? `<td>🧊 ${t('detailedCalcs.blocked')}</td>`
+            : `<td>${(seg.iceThickness * 1000).toFixed(1)}</td>`;
+        }
+
         html += `
                 <tr${rowClass}>
                   <td>${i + 1}${i === 0 ? ' 📋' : ''}</td>
@@ -804,6 +1232,8 @@
                   <td>${seg.regime}</td>
                   <td>${seg.dP.toFixed(1)}</td>
                   <td>${seg.Q_loss.toFixed(1)}</td>
+                  ${hasTrace ? `<td>${seg.Q_trace.toFixed(1)}</td>` : ''}
+                  ${iceCell}
                 </tr>
         `;
       }
@@ -163,13 +163,18 @@
         if (networkResult.frozenCondition) {
           freezeAnalysis = {
             status: 'GELÉ',
-            T_min: 0.0,
+            T_min: networkResult.T_freeze,
+            T_freeze: networkResult.T_freeze,
             distance_gel: networkResult.frozenAtPosition,
             marge_avant_gel: 0,
             isAtRisk: true,
           };
         } else {
-          freezeAnalysis = detectFreeze(networkResult.T_profile, networkResult.x_profile, 0);
+          freezeAnalysis = detectFreeze(
+            networkResult.T_profile,
+            networkResult.x_profile,
+            networkResult.T_freeze
+          );
         }
 
         // Succès
@@ -274,7 +279,23 @@
     }
 
     // Comparaison simplifiée des propriétés clés
-    const keys = ['totalLength', 'fluid', 'ambient', 'geometry', 'insulation'];
+    const keys = [
+      'totalLength',
+      'adaptive',
+      'fluid',
+      'ambient',
+      'geometry',
+      'insulation',
+      'heatTracing',
+      'orientation',
+      'ambientZones',
+      'elevationProfile',
+      'fittings',
+      'thermalBridges',
+      'economics',
+      'seasonal',
+      'monteCarlo',
+    ];
 
     for (const key of keys) {
       if (JSON.stringify(state.lastConfig[key]) !== JSON.stringify(newConfig[key])) {
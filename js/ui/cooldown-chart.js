@@ -0,0 +1,294 @@
+/**
+ * cooldown-chart.js
+ *
+ * Graphique du refroidissement sans écoulement T(t) avec Canvas natif
+ *
+ * Affiche:
+ * - Courbe T(t) de l'eau stagnante (refroidissement puis palier de solidification)
+ * - Ligne horizontale au point de congélation du fluide (0°C pour l'eau)
+ * - Repères verticaux: point de gel atteint et gel complet
+ * - Grille et axes
+ */
+
+(function () {
+  'use strict';
+
+  // ========== CONFIGURATION ==========
+  const config = {
+    padding: { top: 30, right: 40, bottom: 60, left: 80 },
+    colors: {
+      line: '#0ea5e9',
+      freezeLine: '#dc2626',
+      plateau: 'rgba(14, 165, 233, 0.12)',
+      marker: '#6366f1',
+      grid: '#e5e7eb',
+      axis: '#374151',
+      text: '#6b7280',
+    },
+    lineWidth: 3,
+    gridLineWidth: 1,
+    fontSize: 12,
+    fontFamily: '-apple-system, BlinkMacSystemFont, "Segoe UI", Roboto, sans-serif',
+  };
+
+  function t(key, fallback) {
+    return window.I18n ? I18n.t(key) : fallback;
+  }
+
+  // ========== FONCTION PRINCIPALE ==========
+  /**
+   * Dessine le graphique T(t) du refroidissement stagnant
+   *
+   * @param {Object} cooldown - Résultat de Cooldown.calculateCooldown
+   */
+  function drawChart(cooldown) {
+    const canvas = document.getElementById('cooldown-chart');
+    if (!canvas) {
+      console.error('Canvas cooldown-chart non trouvé');
+      return;
+    }
+
+    const ctx = canvas.getContext('2d');
+    const size = resizeCanvas(canvas);
+    ctx.clearRect(0, 0, size.width, size.height);
+
+    // Temps en heures pour l'affichage
+    const hours = cooldown.time_profile.map((s) => s / 3600);
+    const temps = cooldown.T_profile;
+
+    // Point de congélation du fluide (0°C pour l'eau)
+    const T_freeze = cooldown.T_freeze !== undefined ? cooldown.T_freeze : 0;
+
+    const scales = calculateScales(hours, temps, T_freeze, size);
+
+    drawPlateau(ctx, scales, cooldown);
+    drawGrid(ctx, scales);
+    drawAxes(ctx, scales);
+    drawFreezeLine(ctx, scales, T_freeze);
+    drawMarkers(ctx, scales, cooldown);
+    drawCurve(ctx, scales, hours, temps);
+    drawLabels(ctx, scales);
+  }
+
+  // ========== REDIMENSIONNEMENT CANVAS ==========
+  function resizeCanvas(canvas) {
+    const rect = canvas.parentElement.getBoundingClientRect();
+    const dpr = window.devicePixelRatio || 1;
+
+    canvas.width = rect.width * dpr;
+    canvas.height = rect.height * dpr;
+    canvas.style.width = rect.width + 'px';
+    canvas.style.height = rect.height + 'px';
+
+    canvas.getContext('2d').scale(dpr, dpr);
+
+    return { width: rect.width, height: rect.height };
+  }
+
+  // ========== CALCUL ÉCHELLES ==========
+  function calculateScales(hours, temps, T_freeze, size) {
+    const t_max = Math.max(...hours) || 1;
+    const T_min = Math.min(...temps, T_freeze);
+    const T_max = Math.max(...temps, T_freeze);
+    const T_margin = (T_max - T_min) * 0.1 || 1;
+
+    const plotWidth = size.width - config.padding.left - config.padding.right;
+    const plotHeight = size.height - config.padding.top - config.padding.bottom;
+    const T_low = T_min - T_margin;
+    const T_high = T_max + T_margin;
+
+    return {
+      t_max,
+      T_min: T_low,
+      T_max: T_high,
+      plotWidth,
+      plotHeight,
+      width: size.width,
+      height: size.height,
+      tToPixel: (h) => config.padding.left + (h / t_max) * plotWidth,
+      TToPixel: (T) => config.padding.top + ((T_high - T) / (T_high - T_low)) * plotHeight,
+    };
+  }
+
+  // ========== PALIER DE SOLIDIFICATION ==========
+  function drawPlateau(ctx, scales, cooldown) {
+    if (!cooldown.freezes) {
+      return;
+    }
+    const x_start = scales.tToPixel(cooldown.timeToZero / 3600);
+    const x_end = scales.tToPixel(cooldown.timeToSolid / 3600);
+
+    ctx.fillStyle = config.colors.plateau;
+    ctx.fillRect(x_start, config.padding.top, x_end - x_start, scales.plotHeight);
+  }
+
+  // ========== GRILLE ==========
+  function drawGrid(ctx, scales) {
+    ctx.strokeStyle = config.colors.grid;
+    ctx.lineWidth = config.gridLineWidth;
+    ctx.setLineDash([2, 2]);
+
+    const T_step = calculateNiceStep(scales.T_max - scales.T_min, 5);
+    for (let T = Math.ceil(scales.T_min / T_step) * T_step; T <= scales.T_max; T += T_step) {
+      const y = scales.TToPixel(T);
+      ctx.beginPath();
+      ctx.moveTo(config.padding.left, y);
+      ctx.lineTo(config.padding.left + scales.plotWidth, y);
+      ctx.stroke();
+    }
+
+    const t_step = calculateNiceStep(scales.t_max, 6);
+    for (let h = 0; h <= scales.t_max; h += t_step) {
+      const x = scales.tToPixel(h);
+      ctx.beginPath();
+      ctx.moveTo(x, config.padding.top);
+      ctx.lineTo(x, config.padding.top + scales.plotHeight);
+      ctx.stroke();
+    }
+
+    ctx.setLineDash([]);
+  }
+
+  // ========== AXES ==========
+  function drawAxes(ctx, scales) {
+    ctx.strokeStyle = config.colors.axis;
+    ctx.lineWidth = 2;
+
+    ctx.beginPath();
+    ctx.moveTo(config.padding.left, config.padding.top);
+    ctx.lineTo(config.padding.left, config.padding.top + scales.plotHeight);
+    ctx.lineTo(config.padding.left + scales.plotWidth, config.padding.top + scales.plotHeight);
+    ctx.stroke();
+  }
+
+  // ========== LIGNE DE GEL ==========
+  function drawFreezeLine(ctx, scales, T_freeze) {
+    const y = scales.TToPixel(T_freeze);
+
+    ctx.strokeStyle = config.colors.freezeLine;
+    ctx.lineWidth = 2;
+    ctx.setLineDash([5, 5]);
+    ctx.beginPath();
+    ctx.moveTo(config.padding.left, y);
+    ctx.lineTo(config.padding.left + scales.plotWidth, y);
+    ctx.stroke();
+    ctx.setLineDash([]);
+
+    ctx.fillStyle = config.colors.freezeLine;
+    ctx.font = `${config.fontSize}px ${config.fontFamily}`;
+    ctx.textAlign = 'left';
+    ctx.fillText(
+      `${t('chart.freezeLine', 'Gel')} (${parseFloat(T_freeze.toFixed(1))}°C)`,
+      config.padding.left + 5,
+      y - 5
+    );
+  }
+
+  // ========== REPÈRES POINT DE GEL / GEL COMPLET ==========
+  function drawMarkers(ctx, scales, cooldown) {
+    if (!cooldown.freezes) {
+      return;
+    }
+
+    const markers = [
+      { h: cooldown.timeToZero / 3600, label: t('cooldown.zeroLabel', 'Point de gel atteint') },
+      { h: cooldown.timeToSolid / 3600, label: t('cooldown.solidLabel', 'Gel complet') },
+    ];
+
+    ctx.strokeStyle = config.colors.marker;
+    ctx.fillStyle = config.colors.marker;
+    ctx.lineWidth = 1;
+    ctx.font = `${config.fontSize}px ${config.fontFamily}`;
+    ctx.textAlign = 'center';
+
+    markers.forEach((marker) => {
+      const x = scales.tToPixel(marker.h);
+      ctx.setLineDash([4, 4]);
+      ctx.beginPath();
+      ctx.moveTo(x, config.padding.top);
+      ctx.lineTo(x, config.padding.top + scales.plotHeight);
+      ctx.stroke();
+      ctx.setLineDash([]);
+      ctx.fillText(`${marker.label} (${marker.h.toFixed(1)} h)`, x, config.padding.top - 8);
+    });
+  }
+
+  // ========== COURBE T(t) ==========
+  function drawCurve(ctx, scales, hours, temps) {
+    ctx.strokeStyle = config.colors.line;
+    ctx.lineWidth = config.lineWidth;
+    ctx.lineJoin = 'round';
+    ctx.lineCap = 'round';
+
+    ctx.beginPath();
+    for (let i = 0; i < hours.length; i++) {
+      const x = scales.tToPixel(hours[i]);
+      const y = scales.TToPixel(temps[i]);
+      if (i === 0) {
+        ctx.moveTo(x, y);
+      } else {
+        ctx.lineTo(x, y);
+      }
+    }
+    ctx.stroke();
+  }
+
+  // ========== LABELS ==========
+  function drawLabels(ctx, scales) {
+    ctx.fillStyle = config.colors.text;
+    ctx.font = `${config.fontSize}px ${config.fontFamily}`;
+    ctx.textAlign = 'center';
+
+    const t_step = calculateNiceStep(scales.t_max, 6);
+    for (let h = 0; h <= scales.t_max; h += t_step) {
+      ctx.fillText(
+        h.toFixed(t_step < 1 ? 1 : 0),
+        scales.tToPixel(h),
+        config.padding.top + scales.plotHeight + 20
+      );
+    }
+
+    ctx.font = `bold ${config.fontSize + 2}px ${config.fontFamily}`;
+    ctx.fillText(
+      t('cooldown.axisTime', 'Temps après arrêt (h)'),
+      scales.width / 2,
+      scales.height - 10
+    );
+
+    ctx.textAlign = 'right';
+    ctx.font = `${config.fontSize}px ${config.fontFamily}`;
+    const T_step = calculateNiceStep(scales.T_max - scales.T_min, 5);
+    for (let T = Math.ceil(scales.T_min / T_step) * T_step; T <= scales.T_max; T += T_step) {
+      ctx.fillText(T.toFixed(0) + '°C', config.padding.left - 10, scales.TToPixel(T) + 4);
+    }
+
+    ctx.save();
+    ctx.translate(15, scales.height / 2);
+    ctx.rotate(-Math.PI / 2);
+    ctx.textAlign = 'center';
+    ctx.font = `bold ${config.fontSize + 2}px ${config.fontFamily}`;
+    ctx.fillText(t('chart.axisTemperature', 'Température (°C)'), 0, 0);
+    ctx.restore();
+  }
+
+  // ========== UTILITAIRES ==========
+  function calculateNiceStep(range, targetSteps) {
+    const rawStep = range / targetSteps;
+    const magnitude = Math.pow(10, Math.floor(Math.log10(rawStep)));
+    const normalized = rawStep / magnitude;
+
+    if (normalized < 1.5) {
+      return magnitude;
+    } else if (normalized < 3) {
+      return 2 * magnitude;
+    } else if (normalized < 7) {
+      return 5 * magnitude;
+    }
+    return 10 * magnitude;
+  }
+
+  // ========== EXPORT ==========
+  window.CooldownChart = {
+    draw: drawChart,
+  };
+})();
@@ -0,0 +1,306 @@
+/**
+ * economics-chart.js
+ *
+ * Graphique coût global actualisé vs épaisseur d'isolant avec Canvas natif
+ *
+ * Affiche:
+ * - Une courbe coût-épaisseur par isolant (pointillés là où le gel n'est pas évité)
+ * - Zone sans gel de l'isolant retenu (épaisseurs qui respectent la marge au gel)
+ * - Repère de l'optimum économique
+ * - Grille, axes et légende des isolants
+ */
+
+(function () {
+  'use strict';
+
+  // ========== CONFIGURATION ==========
+  const config = {
+    padding: { top: 30, right: 40, bottom: 60, left: 80 },
+    colors: {
+      curves: ['#0ea5e9', '#6366f1', '#f59e0b', '#10b981', '#ec4899', '#8b5cf6'],
+      safeZone: 'rgba(16, 185, 129, 0.12)',
+      safeZoneText: '#059669',
+      optimum: '#dc2626',
+      grid: '#e5e7eb',
+      axis: '#374151',
+      text: '#6b7280',
+    },
+    lineWidth: 3,
+    unsafeLineWidth: 1.5,
+    gridLineWidth: 1,
+    fontSize: 12,
+    fontFamily: '-apple-system, BlinkMacSystemFont, "Segoe UI", Roboto, sans-serif',
+  };
+
+  function t(key, fallback) {
+    return window.I18n ? I18n.t(key) : fallback;
+  }
+
+  // ========== FONCTION PRINCIPALE ==========
+  /**
+   * Dessine les courbes coût global vs épaisseur
+   *
+   * @param {Object} result - Résultat de InsulationOptimizer.optimizeInsulation
+   * @param {Function} materialName - Nom affiché d'un isolant (identifiant → libellé)
+   */
+  function drawChart(result, materialName) {
+    const canvas = document.getElementById('economics-chart');
+    if (!canvas) {
+      console.error('Canvas economics-chart non trouvé');
+      return;
+    }
+
+    const ctx = canvas.getContext('2d');
+    const size = resizeCanvas(canvas);
+    ctx.clearRect(0, 0, size.width, size.height);
+
+    const scales = calculateScales(result.curves, size);
+
+    drawSafeZone(ctx, scales, result);
+    drawGrid(ctx, scales);
+    drawAxes(ctx, scales);
+    result.curves.forEach((curve, index) => {
+      drawCurve(ctx, scales, curve.points, curveColor(index));
+    });
+    drawOptimum(ctx, scales, result.optimum);
+    drawLabels(ctx, scales);
+    drawLegend(result.curves, materialName);
+  }
+
+  function curveColor(index) {
+    return config.colors.curves[index % config.colors.curves.length];
+  }
+
+  // ========== REDIMENSIONNEMENT CANVAS ==========
+  function resizeCanvas(canvas) {
+    const rect = canvas.parentElement.getBoundingClientRect();
+    const dpr = window.devicePixelRatio || 1;
+
+    canvas.width = rect.width * dpr;
+    canvas.height = rect.height * dpr;
+    canvas.style.width = rect.width + 'px';
+    canvas.style.height = rect.height + 'px';
+
+    canvas.getContext('2d').scale(dpr, dpr);
+
+    return { width: rect.width, height: rect.height };
+  }
+
+  // ========== CALCUL ÉCHELLES ==========
+  function calculateScales(curves, size) {
+    const points = curves.flatMap((curve) => curve.points);
+    const thicknesses = points.map((point) => point.thickness * 1000);
+    const costs = points.map((point) => point.lifeCycleCost);
+
+    const e_min = Math.min(...thicknesses);
+    const e_max = Math.max(...thicknesses);
+    const C_min = Math.min(...costs);
+    const C_max = Math.max(...costs);
+    const C_margin = (C_max - C_min) * 0.1 || 1;
+
+    const plotWidth = size.width - config.padding.left - config.padding.right;
+    const plotHeight = size.height - config.padding.top - config.padding.bottom;
+    const C_low = Math.max(0, C_min - C_margin);
+    const C_high = C_max + C_margin;
+    const e_span = e_max - e_min || 1;
+
+    return {
+      e_min,
+      e_max,
+      C_min: C_low,
+      C_max: C_high,
+      plotWidth,
+      plotHeight,
+      width: size.width,
+      height: size.height,
+      eToPixel: (e) => config.padding.left + ((e - e_min) / e_span) * plotWidth,
+      CToPixel: (C) => config.padding.top + ((C_high - C) / (C_high - C_low)) * plotHeight,
+    };
+  }
+
+  // ========== ZONE SANS GEL ==========
+  function drawSafeZone(ctx, scales, result) {
+    if (!result.optimum) {
+      return;
+    }
+    const curve = result.curves.find((c) => c.material === result.optimum.material);
+    const x_start = scales.eToPixel(curve.minSafeThickness * 1000);
+    const x_end = config.padding.left + scales.plotWidth;
+
+    ctx.fillStyle = config.colors.safeZone;
+    ctx.fillRect(x_start, config.padding.top, x_end - x_start, scales.plotHeight);
+
+    ctx.fillStyle = config.colors.safeZoneText;
+    ctx.font = `${config.fontSize}px ${config.fontFamily}`;
+    ctx.textAlign = 'left';
+    ctx.fillText(t('economics.safeZone', 'Zone sans gel'), x_start + 5, config.padding.top + 15);
+  }
+
+  // ========== GRILLE ==========
+  function drawGrid(ctx, scales) {
+    ctx.strokeStyle = config.colors.grid;
+    ctx.lineWidth = config.gridLineWidth;
+    ctx.setLineDash([2, 2]);
+
+    const C_step = calculateNiceStep(scales.C_max - scales.C_min, 5);
+    for (let C = Math.ceil(scales.C_min / C_step) * C_step; C <= scales.C_max; C += C_step) {
+      const y = scales.CToPixel(C);
+      ctx.beginPath();
+      ctx.moveTo(config.padding.left, y);
+      ctx.lineTo(config.padding.left + scales.plotWidth, y);
+      ctx.stroke();
+    }
+
+    const e_step = calculateNiceStep(scales.e_max - scales.e_min || 1, 6);
+    for (let e = Math.ceil(scales.e_min / e_step) * e_step; e <= scales.e_max; e += e_step) {
+      const x = scales.eToPixel(e);
+      ctx.beginPath();
+      ctx.moveTo(x, config.padding.top);
+      ctx.lineTo(x, config.padding.top + scales.plotHeight);
+      ctx.stroke();
+    }
+
+    ctx.setLineDash([]);
+  }
+
+  // ========== AXES ==========
+  function drawAxes(ctx, scales) {
+    ctx.strokeStyle = config.colors.axis;
+    ctx.lineWidth = 2;
+
+    ctx.beginPath();
+    ctx.moveTo(config.padding.left, config.padding.top);
+    ctx.lineTo(config.padding.left, config.padding.top + scales.plotHeight);
+    ctx.lineTo(config.padding.left + scales.plotWidth, config.padding.top + scales.plotHeight);
+    ctx.stroke();
+  }
+
+  // ========== COURBE COÛT-ÉPAISSEUR ==========
+  // Trait plein entre deux points sans gel, pointillé fin dès qu'un point gèle
+  function drawCurve(ctx, scales, points, color) {
+    ctx.strokeStyle = color;
+    ctx.lineJoin = 'round';
+    ctx.lineCap = 'round';
+
+    for (let i = 1; i < points.length; i++) {
+      const safe = points[i - 1].freezeSafe && points[i].freezeSafe;
+      ctx.lineWidth = safe ? config.lineWidth : config.unsafeLineWidth;
+      ctx.setLineDash(safe ? [] : [5, 5]);
+      ctx.beginPath();
+      ctx.moveTo(
+        scales.eToPixel(points[i - 1].thickness * 1000),
+        scales.CToPixel(points[i - 1].lifeCycleCost)
+      );
+      ctx.lineTo(
+        scales.eToPixel(points[i].thickness * 1000),
+        scales.CToPixel(points[i].lifeCycleCost)
+      );
+      ctx.stroke();
+    }
+    ctx.setLineDash([]);
+  }
+
+  // ========== OPTIMUM ==========
+  function drawOptimum(ctx, scales, optimum) {
+    if (!optimum) {
+      return;
+    }
+    const x = scales.eToPixel(optimum.thickness * 1000);
+    const y = scales.CToPixel(optimum.lifeCycleCost);
+
+    ctx.fillStyle = config.colors.optimum;
+    ctx.beginPath();
+    ctx.arc(x, y, 6, 0, 2 * Math.PI);
+    ctx.fill();
+
+    ctx.font = `bold ${config.fontSize}px ${config.fontFamily}`;
+    ctx.textAlign = 'center';
+    ctx.fillText(
+      `${t('economics.optimumLabel', 'Optimum')} (${(optimum.thickness * 1000).toFixed(0)} mm)`,
+      x,
+      y - 12
+    );
+  }
+
+  // ========== LABELS ==========
+  function drawLabels(ctx, scales) {
+    ctx.fillStyle = config.colors.text;
+    ctx.font = `${config.fontSize}px ${config.fontFamily}`;
+    ctx.textAlign = 'center';
+
+    const e_step = calculateNiceStep(scales.e_max - scales.e_min || 1, 6);
+    for (let e = Math.ceil(scales.e_min / e_step) * e_step; e <= scales.e_max; e += e_step) {
+      ctx.fillText(e.toFixed(0), scales.eToPixel(e), config.padding.top + scales.plotHeight + 20);
+    }
+
+    ctx.font = `bold ${config.fontSize + 2}px ${config.fontFamily}`;
+    ctx.fillText(
+      t('economics.axisThickness', "Épaisseur d'isolant (mm)"),
+      scales.width / 2,
+      scales.height - 10
+    );
+
+    ctx.textAlign = 'right';
+    ctx.font = `${config.fontSize}px ${config.fontFamily}`;
+    const C_step = calculateNiceStep(scales.C_max - scales.C_min, 5);
+    for (let C = Math.ceil(scales.C_min / C_step) * C_step; C <= scales.C_max; C += C_step) {
+      ctx.fillText(C.toFixed(0) + ' $', config.padding.left - 10, scales.CToPixel(C) + 4);
+    }
+
+    ctx.save();
+    ctx.translate(15, scales.height / 2);
+    ctx.rotate(-Math.PI / 2);
+    ctx.textAlign = 'center';
+    ctx.font = `bold ${config.fontSize + 2}px ${config.fontFamily}`;
+    ctx.fillText(t('economics.axisCost', 'Coût global actualisé ($/m)'), 0, 0);
+    ctx.restore();
+  }
+
+  // ========== LÉGENDE ==========
+  function drawLegend(curves, materialName) {
+    const legend = document.getElementById('economics-legend');
+    if (!legend) {
+      return;
+    }
+
+    legend.textContent = '';
+    curves.forEach((curve, index) => {
+      const item = document.createElement('div');
+      item.className = 'chart-legend__item';
+      const color = document.createElement('span');
+      color.className = 'chart-legend__color';
+      color.style.background = curveColor(index);
+      const label = document.createElement('span');
+      label.textContent = materialName(curve.material);
+      item.appendChild(color);
+      item.appendChild(label);
+      legend.appendChild(item);
+    });
+
+    const note = document.createElement('div');
+    note.className = 'chart-legend__item';
+    note.textContent = t('economics.legendUnsafe', '- - - gel non évité (marge insuffisante)');
+    legend.appendChild(note);
+  }
+
+  // ========== UTILITAIRES ==========
+  function calculateNiceStep(range, targetSteps) {
+    const rawStep = range / targetSteps;
+    const magnitude = Math.pow(10, Math.floor(Math.log10(rawStep)));
+    const normalized = rawStep / magnitude;
+
+    if (normalized < 1.5) {
+      return magnitude;
+    } else if (normalized < 3) {
+      return 2 * magnitude;
+    } else if (normalized < 7) {
+      return 5 * magnitude;
+    }
+    return 10 * magnitude;
+  }
+
+  // ========== EXPORT ==========
+  window.EconomicsChart = {
+    draw: drawChart,
+  };
+})();
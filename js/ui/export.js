@@ -72,8 +72,14 @@
     const pressureDisplayValue = UnitConverter.fromSI('pressure', pressureKPag);
     const pressureFormatted = UnitConverter.format('pressure', pressureDisplayValue);
 
+    // État de la conduite (rugosité) pour comparer les scénarios vieillis
+    const condition = config.meta.condition || 'new';
+    const conditionLabel = window.I18n ? I18n.t(`roughness.conditions.${condition}`) : condition;
+    const roughnessMm = parseFloat((config.geometry.roughness * 1000).toPrecision(4));
+
     configInfo.textContent =
       `Configuration: ${config.meta.schedule} ${config.meta.nps}", ${config.geometry.material}, ${config.totalLength}m, ` +
+      `État: ${conditionLabel} (ε = ${roughnessMm} mm), ` +
       `Débit: ${flowFormatted}, Pression: ${pressureFormatted}`;
 
     header.appendChild(title);
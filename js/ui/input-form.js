@@ -8,7 +8,7 @@
  * - Mise à jour automatique des dimensions (OD, ID, WT)
  * - Mise à jour du schéma SVG
  * - Validation en temps réel
- * - Gestion isolation (afficher/cacher champs)
+ * - Gestion isolation, traçage électrique et enfouissement (afficher/cacher champs)
  * - Conversion unités (m³/hr → kg/s, km/h → m/s, mm → m)
  * - Récupération données formulaire
  * - Déclenchement calcul
@@ -17,22 +17,21 @@
 (function () {
   'use strict';
 
-  // ========== RUGOSITÉ PAR MATÉRIAU ==========
-  const MATERIAL_ROUGHNESS = {
-    steel: 0.045e-3, // m (acier commercial)
-    copper: 0.0015e-3, // m (cuivre)
-    stainless_steel: 0.015e-3, // m (inox)
-  };
-
   // ========== ÉLÉMENTS DOM ==========
   let elements = {};
 
+  // ========== SÉRIE MÉTÉO (SIMULATION SAISONNIÈRE) ==========
+  let weatherSeries = null;
+
   // ========== UNITÉS COURANTES ==========
   let currentUnits = {
     flowRate: 'm3_h',
     pressure: 'kPag',
   };
 
+  // Pression maximale admise avec le backend IAPWS-IF97 [kPag] (100 bar)
+  const IF97_PRESSURE_MAX_KPAG = 10000;
+
   // ========== INITIALISATION ==========
   function init() {
     // Vérifier que PipeSpecsLoader et PipeDiagram sont disponibles
@@ -63,10 +62,124 @@
       pipeSchedule: document.getElementById('pipe-schedule'),
       pipeScheduleLabel: document.getElementById('pipe-schedule-label'),
       pipeNPS: document.getElementById('pipe-nps'),
+      pipeCondition: document.getElementById('pipe-condition'),
+      pipeRoughness: document.getElementById('pipe-roughness'),
+
+      // Fluide (eau ou glycol)
+      fluidType: document.getElementById('fluid-type'),
+      fluidConcentrationField: document.getElementById('fluid-concentration-field'),
+      fluidConcentration: document.getElementById('fluid-concentration'),
+      waterBackendField: document.getElementById('water-backend-field'),
+      waterBackend: document.getElementById('water-backend'),
+
+      // Dénivelé sortie - entrée
+      elevationChange: document.getElementById('elevation-change'),
+
+      // Air humide et altitude du site
+      airHumidity: document.getElementById('air-humidity'),
+      siteAltitude: document.getElementById('site-altitude'),
 
       // Isolation
       insulationMaterial: document.getElementById('insulation-material'),
       insulationThickness: document.getElementById('insulation-thickness'),
+      insulationMoisture: document.getElementById('insulation-moisture'),
+      insulationAge: document.getElementById('insulation-age'),
+      jacketMaterial: document.getElementById('jacket-material'),
+      jacketThickness: document.getElementById('jacket-thickness'),
+      jacketEmissivity: document.getElementById('jacket-emissivity'),
+
+      // Traçage électrique
+      hasHeatTracing: document.getElementById('has-heat-tracing'),
+      heatTracingFieldsDiagram: document.getElementById('heat-tracing-fields-diagram'),
+      heatTracingPower: document.getElementById('heat-tracing-power'),
+
+      // Conduite enterrée
+      isBuried: document.getElementById('is-buried'),
+      burialFieldsDiagram: document.getElementById('burial-fields-diagram'),
+      burialDepth: document.getElementById('burial-depth'),
+      burialSoil: document.getElementById('burial-soil'),
+      burialSurfaceTemp: document.getElementById('burial-surface-temp'),
+
+      // Ciel nocturne et soleil
+      hasSkyRadiation: document.getElementById('has-sky-radiation'),
+      skyRadiationFieldsDiagram: document.getElementById('sky-radiation-fields-diagram'),
+      skyPreset: document.getElementById('sky-preset'),
+      skyCloudCoverField: document.getElementById('sky-cloud-cover-field'),
+      skyCloudCover: document.getElementById('sky-cloud-cover'),
+      solarIrradiance: document.getElementById('solar-irradiance'),
+      solarAbsorptivity: document.getElementById('solar-absorptivity'),
+
+      // Orientation et exposition au vent
+      hasOrientation: document.getElementById('has-orientation'),
+      orientationFieldsDiagram: document.getElementById('orientation-fields-diagram'),
+      pipeInclination: document.getElementById('pipe-inclination'),
+      windAngle: document.getElementById('wind-angle'),
+      pipeHeight: document.getElementById('pipe-height'),
+      windTerrain: document.getElementById('wind-terrain'),
+
+      // Zones ambiantes à l'entrée et à la sortie (bâtiment, garage, tunnel)
+      hasAmbientZones: document.getElementById('has-ambient-zones'),
+      ambientZonesFieldsDiagram: document.getElementById('ambient-zones-fields-diagram'),
+      inletZoneLength: document.getElementById('inlet-zone-length'),
+      inletZoneTemp: document.getElementById('inlet-zone-temp'),
+      inletZoneWind: document.getElementById('inlet-zone-wind'),
+      outletZoneLength: document.getElementById('outlet-zone-length'),
+      outletZoneTemp: document.getElementById('outlet-zone-temp'),
+      outletZoneWind: document.getElementById('outlet-zone-wind'),
+
+      // Encrassement intérieur (type d'eau, facteur et épaisseur du dépôt)
+      hasFouling: document.getElementById('has-fouling'),
+      foulingFieldsDiagram: document.getElementById('fouling-fields-diagram'),
+      foulingType: document.getElementById('fouling-type'),
+      foulingFactor: document.getElementById('fouling-factor'),
+      foulingThickness: document.getElementById('fouling-thickness'),
+
+      // Raccords et vannes (nombre par type)
+      hasFittings: document.getElementById('has-fittings'),
+      fittingsFieldsDiagram: document.getElementById('fittings-fields-diagram'),
+      fittingCounts: Array.from(document.querySelectorAll('.fitting-count')),
+
+      // Ponts thermiques (supports, vannes et brides non isolés)
+      hasThermalBridges: document.getElementById('has-thermal-bridges'),
+      thermalBridgesFieldsDiagram: document.getElementById('thermal-bridges-fields-diagram'),
+      supportType: document.getElementById('support-type'),
+      supportSpacing: document.getElementById('support-spacing'),
+      bareValveCount: document.getElementById('bare-valve-count'),
+      bareFlangeCount: document.getElementById('bare-flange-count'),
+
+      // Découpage adaptatif (étude de convergence, désactivé par défaut)
+      adaptiveSegmentation: document.getElementById('adaptive-segmentation'),
+
+      // Épaisseur d'isolant économique (coût global actualisé)
+      hasEconomics: document.getElementById('has-economics'),
+      economicsFieldsDiagram: document.getElementById('economics-fields-diagram'),
+      econCostPerMm: document.getElementById('econ-cost-per-mm'),
+      econFixedCost: document.getElementById('econ-fixed-cost'),
+      econEnergyPrice: document.getElementById('econ-energy-price'),
+      econHours: document.getElementById('econ-hours'),
+      econDiscount: document.getElementById('econ-discount'),
+      econLifetime: document.getElementById('econ-lifetime'),
+      econThicknessMin: document.getElementById('econ-thickness-min'),
+      econThicknessMax: document.getElementById('econ-thickness-max'),
+      econFreezeMargin: document.getElementById('econ-freeze-margin'),
+
+      // Simulation saisonnière (série météo CSV)
+      hasSeasonal: document.getElementById('has-seasonal'),
+      seasonalFieldsDiagram: document.getElementById('seasonal-fields-diagram'),
+      weatherFile: document.getElementById('weather-file'),
+      weatherStatus: document.getElementById('weather-status'),
+      weatherStep: document.getElementById('weather-step'),
+      seasonalEnergyPrice: document.getElementById('seasonal-energy-price'),
+      seasonalCo2: document.getElementById('seasonal-co2'),
+
+      // Probabilité de gel (Monte Carlo)
+      hasMonteCarlo: document.getElementById('has-montecarlo'),
+      monteCarloFieldsDiagram: document.getElementById('montecarlo-fields-diagram'),
+      mcSamples: document.getElementById('mc-samples'),
+      mcSeed: document.getElementById('mc-seed'),
+      mcFlowStd: document.getElementById('mc-flow-std'),
+      mcAmbientStd: document.getElementById('mc-ambient-std'),
+      mcInsulationDamage: document.getElementById('mc-insulation-damage'),
     };
 
     // Initialiser le schéma SVG
@@ -89,8 +202,23 @@
     // Attacher les événements
     attachEvents();
 
-    // État initial de l'isolation
+    // État initial du fluide, de l'isolation, du traçage, de l'enfouissement, du ciel,
+    // de l'orientation, des zones ambiantes, de l'encrassement, des raccords, des ponts thermiques, de
+    // l'optimisation économique et de la saison
+    updateRoughnessField();
+    toggleFluidFields();
     toggleInsulationFields();
+    toggleHeatTracingFields();
+    toggleBurialFields();
+    toggleSkyRadiationFields();
+    toggleOrientationFields();
+    toggleAmbientZonesFields();
+    toggleFoulingFields();
+    toggleFittingsFields();
+    toggleThermalBridgesFields();
+    toggleEconomicsFields();
+    toggleSeasonalFields();
+    toggleMonteCarloFields();
   }
 
   // ========== VALEURS PAR DÉFAUT ==========
@@ -119,11 +247,92 @@
     // Checkbox isolation
     elements.hasInsulation.addEventListener('change', toggleInsulationFields);
 
+    // Checkbox traçage électrique
+    elements.hasHeatTracing.addEventListener('change', toggleHeatTracingFields);
+
+    // Checkbox conduite enterrée
+    elements.isBuried.addEventListener('change', toggleBurialFields);
+
+    // Checkbox ciel nocturne et soleil
+    elements.hasSkyRadiation.addEventListener('change', toggleSkyRadiationFields);
+    elements.skyPreset.addEventListener('change', toggleSkyRadiationFields);
+
+    // Checkbox orientation et exposition au vent
+    elements.hasOrientation.addEventListener('change', toggleOrientationFields);
+    elements.windTerrain.addEventListener('change', function () {
+      triggerAnalysis({ priority: 'high', reason: 'wind-terrain-change' });
+    });
+
+    // Checkbox zones ambiantes
+    elements.hasAmbientZones.addEventListener('change', toggleAmbientZonesFields);
+
+    // Checkbox encrassement: le type d'eau propose ses valeurs typiques
+    elements.hasFouling.addEventListener('change', toggleFoulingFields);
+    elements.foulingType.addEventListener('change', function () {
+      if (this.value !== 'custom' && window.Fouling) {
+        const typical = window.Fouling.getFouling(this.value);
+        elements.foulingFactor.value = typical.factor;
+        elements.foulingThickness.value = typical.thickness * 1000; // m → mm
+      }
+      triggerAnalysis({ priority: 'high', reason: 'fouling-type-change' });
+    });
+
+    // Checkbox raccords et vannes
+    elements.hasFittings.addEventListener('change', toggleFittingsFields);
+
+    // Checkbox ponts thermiques
+    elements.hasThermalBridges.addEventListener('change', toggleThermalBridgesFields);
+    elements.supportType.addEventListener('change', function () {
+      elements.supportSpacing.disabled = !elements.hasThermalBridges.checked || !this.value;
+      triggerAnalysis({ priority: 'high', reason: 'support-type-change' });
+    });
+
+    // Checkbox découpage adaptatif
+    elements.adaptiveSegmentation.addEventListener('change', function () {
+      triggerAnalysis({ priority: 'high', reason: 'adaptive-segmentation-toggle' });
+    });
+
+    // Checkbox épaisseur d'isolant économique
+    elements.hasEconomics.addEventListener('change', toggleEconomicsFields);
+
+    // Checkbox simulation saisonnière et fichier météo
+    elements.hasSeasonal.addEventListener('change', toggleSeasonalFields);
+
+    // Checkbox probabilité de gel (Monte Carlo)
+    elements.hasMonteCarlo.addEventListener('change', toggleMonteCarloFields);
+    elements.weatherFile.addEventListener('change', handleWeatherFile);
+    elements.weatherStep.addEventListener('change', function () {
+      triggerAnalysis({ priority: 'high', reason: 'weather-step-change' });
+    });
+    elements.burialSoil.addEventListener('change', function () {
+      triggerAnalysis({ priority: 'high', reason: 'burial-soil-change' });
+    });
+
     // Changements de spécifications de tuyau
     elements.pipeMaterial.addEventListener('change', handleMaterialChange);
     elements.pipeSchedule.addEventListener('change', handleScheduleChange);
     elements.pipeNPS.addEventListener('change', handleNPSChange);
 
+    // État de la conduite: rugosité de la table, ou saisie en mode personnalisé
+    elements.pipeCondition.addEventListener('change', function () {
+      updateRoughnessField();
+      triggerAnalysis({ priority: 'high', reason: 'pipe-condition-change' });
+    });
+    attachInputEvents(elements.pipeRoughness);
+
+    // Fluide
+    elements.fluidType.addEventListener('change', toggleFluidFields);
+    attachInputEvents(elements.fluidConcentration);
+    elements.fluidConcentration.addEventListener('change', applyFluidTemperatureRange);
+    elements.waterBackend.addEventListener('change', handleWaterBackendChange);
+
+    // Dénivelé
+    attachInputEvents(elements.elevationChange);
+
+    // Humidité et altitude (masse volumique de l'air)
+    attachInputEvents(elements.airHumidity);
+    attachInputEvents(elements.siteAltitude);
+
     // Changements d'isolation
     elements.insulationMaterial.addEventListener('change', function () {
       triggerAnalysis({
@@ -132,6 +341,9 @@
       });
     });
 
+    // Gaine de protection: épaisseur et émissivité typiques du matériau
+    elements.jacketMaterial.addEventListener('change', handleJacketChange);
+
     // Attendre que les inputs dans le SVG soient créés avant d'attacher les événements
     // Utiliser une approche plus fiable que setTimeout
     waitForSVGInputs();
@@ -230,6 +442,7 @@
         attachBlurEvents();
         attachUnitChangeEvents();
         applyUnitPreferences();
+        applyFluidTemperatureRange();
       } else {
         // Réessayer au prochain frame
         requestAnimationFrame(checkAndAttach);
@@ -259,6 +472,64 @@
     if (elements.insulationThickness) {
       attachInputEvents(elements.insulationThickness);
     }
+    [
+      elements.insulationMoisture,
+      elements.insulationAge,
+      elements.jacketThickness,
+      elements.jacketEmissivity,
+    ].forEach((input) => {
+      if (input) {
+        attachInputEvents(input);
+      }
+    });
+
+    // Événements pour traçage
+    if (elements.heatTracingPower) {
+      attachInputEvents(elements.heatTracingPower);
+    }
+
+    // Événements pour enfouissement
+    if (elements.burialDepth) {
+      attachInputEvents(elements.burialDepth);
+    }
+    if (elements.burialSurfaceTemp) {
+      attachInputEvents(elements.burialSurfaceTemp);
+    }
+
+    // Événements pour ciel nocturne et soleil
+    attachInputEvents(elements.skyCloudCover);
+    attachInputEvents(elements.solarIrradiance);
+    attachInputEvents(elements.solarAbsorptivity);
+
+    // Événements pour orientation et exposition au vent
+    attachInputEvents(elements.pipeInclination);
+    attachInputEvents(elements.windAngle);
+    attachInputEvents(elements.pipeHeight);
+
+    // Événements pour les zones ambiantes
+    ambientZoneInputs().forEach((input) => attachInputEvents(input));
+
+    // Événements pour l'encrassement
+    attachInputEvents(elements.foulingFactor);
+    attachInputEvents(elements.foulingThickness);
+
+    // Événements pour raccords et vannes
+    elements.fittingCounts.forEach((input) => attachInputEvents(input));
+
+    // Événements pour les ponts thermiques
+    attachInputEvents(elements.supportSpacing);
+    attachInputEvents(elements.bareValveCount);
+    attachInputEvents(elements.bareFlangeCount);
+
+    // Événements pour l'optimisation économique de l'isolant
+    economicsInputs().forEach((input) => attachInputEvents(input));
+
+    // Événements pour la simulation saisonnière
+    attachInputEvents(elements.seasonalEnergyPrice);
+    attachInputEvents(elements.seasonalCo2);
+
+    // Événements pour l'analyse Monte Carlo
+    monteCarloInputs().forEach((input) => attachInputEvents(input));
   }
 
   // ========== RÉATTACHER ÉVÉNEMENTS APRÈS REDESSIN SVG ==========
@@ -318,6 +589,7 @@
     // Réattacher aussi les événements d'unités
     attachUnitChangeEvents();
     applyUnitPreferences();
+    applyFluidTemperatureRange();
   }
 
   // ========== VALIDATION VISUELLE INLINE ==========
@@ -448,10 +720,29 @@
     // Mettre à jour les specs
     updatePipeSpecs();
 
+    // Rugosité du nouveau matériau pour l'état choisi
+    updateRoughnessField();
+
     // Déclencher le recalcul immédiat (changement majeur)
     triggerAnalysis({ priority: 'high', reason: 'material-change' });
   }
 
+  /**
+   * Affiche la rugosité de la table pour le matériau et l'état choisis.
+   * En mode personnalisé, le champ est libre et garde la dernière valeur.
+   */
+  function updateRoughnessField() {
+    const isCustom = elements.pipeCondition.value === 'custom';
+    elements.pipeRoughness.disabled = !isCustom;
+    if (!isCustom && window.PipeRoughness) {
+      const entry = window.PipeRoughness.getPipeRoughness(
+        elements.pipeMaterial.value,
+        elements.pipeCondition.value
+      );
+      elements.pipeRoughness.value = parseFloat((entry.roughness * 1000).toPrecision(4)); // m → mm
+    }
+  }
+
   function handleScheduleChange() {
     const material = elements.pipeMaterial.value;
     const schedule = elements.pipeSchedule.value;
@@ -571,6 +862,11 @@
     // Désactiver/activer les champs
     elements.insulationMaterial.disabled = !isChecked;
     elements.insulationThickness.disabled = !isChecked;
+    elements.insulationMoisture.disabled = !isChecked;
+    elements.insulationAge.disabled = !isChecked;
+    elements.jacketMaterial.disabled = !isChecked;
+    elements.jacketThickness.disabled = !isChecked || !elements.jacketMaterial.value;
+    elements.jacketEmissivity.disabled = !isChecked || !elements.jacketMaterial.value;
 
     // Redessiner le schéma pour afficher/cacher l'isolation
     updatePipeSpecs();
@@ -579,6 +875,291 @@
     triggerAnalysis({ priority: 'high', reason: 'insulation-toggle' });
   }
 
+  function handleJacketChange() {
+    const material = elements.jacketMaterial.value;
+    elements.jacketThickness.disabled = !material;
+    elements.jacketEmissivity.disabled = !material;
+
+    if (material) {
+      const props = MaterialProperties.getMaterialProperties(material);
+      elements.jacketThickness.value = (props.thickness * 1000).toFixed(1); // m → mm
+      elements.jacketEmissivity.value = props.emissivity.toFixed(2);
+    }
+
+    // Redessiner le schéma pour afficher/cacher la gaine
+    updatePipeSpecs();
+
+    triggerAnalysis({ priority: 'high', reason: 'jacket-change' });
+  }
+
+  function toggleHeatTracingFields() {
+    const isChecked = elements.hasHeatTracing.checked;
+    elements.heatTracingFieldsDiagram.style.display = isChecked ? 'flex' : 'none';
+    elements.heatTracingPower.disabled = !isChecked;
+
+    triggerAnalysis({ priority: 'high', reason: 'heat-tracing-toggle' });
+  }
+
+  /**
+   * Fluide sélectionné: eau pure ou mélange glycol avec sa concentration [%]
+   */
+  function getFluidSpec() {
+    const type = elements.fluidType.value;
+    if (type === 'water') {
+      return { type, waterBackend: elements.waterBackend.value };
+    }
+    return { type, concentration: parseFloat(elements.fluidConcentration.value) };
+  }
+
+  /**
+   * Plage de pression dans l'unité courante: celle des tables (100 à 1000 kPag),
+   * étendue à 100 bar avec le backend IAPWS-IF97
+   */
+  function getPressureRanges() {
+    const ranges = UnitConverter.getRanges('pressure');
+    if (getFluidSpec().waterBackend === 'if97') {
+      ranges.max = UnitConverter.getUnitInfo('pressure').fromSI(IF97_PRESSURE_MAX_KPAG);
+    }
+    return ranges;
+  }
+
+  /**
+   * Affiche en infobulle l'écart maximal entre tables et IAPWS-IF97 sur la
+   * grille des tables (calculé une seule fois)
+   */
+  function showWaterBackendCheck() {
+    if (elements.waterBackend.title || typeof WaterProperties === 'undefined') {
+      return;
+    }
+    const { maxDiff } = WaterProperties.compareWaterBackends();
+    const vars = {};
+    Object.keys(maxDiff).forEach((prop) => {
+      vars[prop] = maxDiff[prop].value.toFixed(3);
+    });
+    elements.waterBackend.title = window.I18n
+      ? I18n.t('waterBackend.crossCheck', vars)
+      : `Écart max. tables / IF97 sur la grille: ρ ${vars.rho}%, μ ${vars.mu}%, k ${vars.k}%, cp ${vars.cp}%`;
+  }
+
+  function handleWaterBackendChange() {
+    showWaterBackendCheck();
+    updateInputRanges();
+    triggerAnalysis({ priority: 'high', reason: 'water-backend-change' });
+  }
+
+  /**
+   * Température d'entrée minimale admise: 1°C pour l'eau, point de congélation
+   * du mélange (arrondi au degré supérieur) pour un glycol
+   */
+  function minFluidTemperature() {
+    const spec = getFluidSpec();
+    if (spec.type === 'water' || typeof FluidProperties === 'undefined') {
+      return 1;
+    }
+    try {
+      return Math.ceil(FluidProperties.freezingPoint(spec));
+    } catch (e) {
+      // Concentration invalide: signalée par validateForm()
+      return 1;
+    }
+  }
+
+  function applyFluidTemperatureRange() {
+    if (elements.waterTemp) {
+      elements.waterTemp.min = minFluidTemperature();
+    }
+  }
+
+  function toggleFluidFields() {
+    const isGlycol = elements.fluidType.value !== 'water';
+    elements.fluidConcentrationField.style.display = isGlycol ? 'flex' : 'none';
+    elements.fluidConcentration.disabled = !isGlycol;
+    elements.waterBackendField.style.display = isGlycol ? 'none' : 'flex';
+    elements.waterBackend.disabled = isGlycol;
+    applyFluidTemperatureRange();
+    updateInputRanges();
+
+    triggerAnalysis({ priority: 'high', reason: 'fluid-change' });
+  }
+
+  function toggleBurialFields() {
+    const isChecked = elements.isBuried.checked;
+    elements.burialFieldsDiagram.style.display = isChecked ? 'flex' : 'none';
+    elements.burialDepth.disabled = !isChecked;
+    elements.burialSoil.disabled = !isChecked;
+    elements.burialSurfaceTemp.disabled = !isChecked;
+
+    triggerAnalysis({ priority: 'high', reason: 'burial-toggle' });
+  }
+
+  function toggleSkyRadiationFields() {
+    const isChecked = elements.hasSkyRadiation.checked;
+    const isCustom = elements.skyPreset.value === 'custom';
+    elements.skyRadiationFieldsDiagram.style.display = isChecked ? 'flex' : 'none';
+    elements.skyCloudCoverField.style.display = isCustom ? 'flex' : 'none';
+    elements.skyPreset.disabled = !isChecked;
+    elements.skyCloudCover.disabled = !isChecked || !isCustom;
+    elements.solarIrradiance.disabled = !isChecked;
+    elements.solarAbsorptivity.disabled = !isChecked;
+
+    triggerAnalysis({ priority: 'high', reason: 'sky-radiation-toggle' });
+  }
+
+  function toggleOrientationFields() {
+    const isChecked = elements.hasOrientation.checked;
+    elements.orientationFieldsDiagram.style.display = isChecked ? 'flex' : 'none';
+    elements.pipeInclination.disabled = !isChecked;
+    elements.windAngle.disabled = !isChecked;
+    elements.pipeHeight.disabled = !isChecked;
+    elements.windTerrain.disabled = !isChecked;
+
+    triggerAnalysis({ priority: 'high', reason: 'orientation-toggle' });
+  }
+
+  function ambientZoneInputs() {
+    return [
+      elements.inletZoneLength,
+      elements.inletZoneTemp,
+      elements.inletZoneWind,
+      elements.outletZoneLength,
+      elements.outletZoneTemp,
+      elements.outletZoneWind,
+    ];
+  }
+
+  function toggleAmbientZonesFields() {
+    const isChecked = elements.hasAmbientZones.checked;
+    elements.ambientZonesFieldsDiagram.style.display = isChecked ? 'flex' : 'none';
+    ambientZoneInputs().forEach((input) => {
+      input.disabled = !isChecked;
+    });
+
+    triggerAnalysis({ priority: 'high', reason: 'ambient-zones-toggle' });
+  }
+
+  function toggleFittingsFields() {
+    const isChecked = elements.hasFittings.checked;
+    elements.fittingsFieldsDiagram.style.display = isChecked ? 'flex' : 'none';
+    elements.fittingCounts.forEach((input) => {
+      input.disabled = !isChecked;
+    });
+
+    triggerAnalysis({ priority: 'high', reason: 'fittings-toggle' });
+  }
+
+  function toggleFoulingFields() {
+    const isChecked = elements.hasFouling.checked;
+    elements.foulingFieldsDiagram.style.display = isChecked ? 'flex' : 'none';
+    elements.foulingType.disabled = !isChecked;
+    elements.foulingFactor.disabled = !isChecked;
+    elements.foulingThickness.disabled = !isChecked;
+
+    triggerAnalysis({ priority: 'high', reason: 'fouling-toggle' });
+  }
+
+  function toggleThermalBridgesFields() {
+    const isChecked = elements.hasThermalBridges.checked;
+    elements.thermalBridgesFieldsDiagram.style.display = isChecked ? 'flex' : 'none';
+    elements.supportType.disabled = !isChecked;
+    elements.supportSpacing.disabled = !isChecked || !elements.supportType.value;
+    elements.bareValveCount.disabled = !isChecked;
+    elements.bareFlangeCount.disabled = !isChecked;
+
+    triggerAnalysis({ priority: 'high', reason: 'thermal-bridges-toggle' });
+  }
+
+  function economicsInputs() {
+    return [
+      elements.econCostPerMm,
+      elements.econFixedCost,
+      elements.econEnergyPrice,
+      elements.econHours,
+      elements.econDiscount,
+      elements.econLifetime,
+      elements.econThicknessMin,
+      elements.econThicknessMax,
+      elements.econFreezeMargin,
+    ];
+  }
+
+  function toggleEconomicsFields() {
+    const isChecked = elements.hasEconomics.checked;
+    elements.economicsFieldsDiagram.style.display = isChecked ? 'flex' : 'none';
+    economicsInputs().forEach((input) => {
+      input.disabled = !isChecked;
+    });
+
+    triggerAnalysis({ priority: 'high', reason: 'economics-toggle' });
+  }
+
+  function toggleSeasonalFields() {
+    const isChecked = elements.hasSeasonal.checked;
+    elements.seasonalFieldsDiagram.style.display = isChecked ? 'flex' : 'none';
+    elements.weatherFile.disabled = !isChecked;
+    elements.weatherStep.disabled = !isChecked;
+    elements.seasonalEnergyPrice.disabled = !isChecked;
+    elements.seasonalCo2.disabled = !isChecked;
+
+    triggerAnalysis({ priority: 'high', reason: 'seasonal-toggle' });
+  }
+
+  function monteCarloInputs() {
+    return [
+      elements.mcSamples,
+      elements.mcSeed,
+      elements.mcFlowStd,
+      elements.mcAmbientStd,
+      elements.mcInsulationDamage,
+    ];
+  }
+
+  function toggleMonteCarloFields() {
+    const isChecked = elements.hasMonteCarlo.checked;
+    elements.monteCarloFieldsDiagram.style.display = isChecked ? 'flex' : 'none';
+    monteCarloInputs().forEach((input) => {
+      input.disabled = !isChecked;
+    });
+
+    triggerAnalysis({ priority: 'high', reason: 'montecarlo-toggle' });
+  }
+
+  // ========== FICHIER MÉTÉO ==========
+  /**
+   * Lit le fichier CSV choisi et conserve la série météo pour la simulation.
+   * Une erreur de lecture est affichée à côté du champ et vide la série.
+   */
+  function handleWeatherFile() {
+    const file = elements.weatherFile.files[0];
+    weatherSeries = null;
+    elements.weatherStatus.textContent = '';
+    if (!file) {
+      triggerAnalysis({ priority: 'high', reason: 'weather-file-change' });
+      return;
+    }
+
+    const reader = new FileReader();
+    reader.onload = function () {
+      try {
+        weatherSeries = SeasonalSimulation.parseWeatherCSV(reader.result);
+        elements.weatherStatus.style.color = '#6b7280';
+        elements.weatherStatus.textContent = window.I18n
+          ? I18n.t('seasonal.loaded', { count: weatherSeries.length })
+          : `${weatherSeries.length} pas chargés`;
+      } catch (error) {
+        elements.weatherStatus.style.color = '#dc2626';
+        elements.weatherStatus.textContent = error.message;
+      }
+      triggerAnalysis({ priority: 'high', reason: 'weather-file-change' });
+    };
+    reader.onerror = function () {
+      elements.weatherStatus.style.color = '#dc2626';
+      elements.weatherStatus.textContent = window.I18n
+        ? I18n.t('seasonal.readError')
+        : 'Lecture du fichier impossible';
+    };
+    reader.readAsText(file);
+  }
+
   // ========== VALIDATION ==========
   function validateForm() {
     // Vérifier que tous les champs requis sont remplis
@@ -623,11 +1204,29 @@
       return false;
     }
 
-    if (elements.waterTemp.value < 1 || elements.waterTemp.value > 100) {
+    if (elements.fluidType.value !== 'water') {
+      const concentration = parseFloat(elements.fluidConcentration.value);
+      if (isNaN(concentration) || concentration < 20 || concentration > 50) {
+        alert(
+          window.I18n
+            ? I18n.t('validation.concentrationRange')
+            : 'Concentration glycol doit être entre 20 et 50%'
+        );
+        elements.fluidConcentration.focus();
+        return false;
+      }
+    }
+
+    const T_min = minFluidTemperature();
+    if (elements.waterTemp.value < T_min || elements.waterTemp.value > 100) {
       alert(
-        window.I18n
-          ? I18n.t('validation.waterTempRange')
-          : 'Température eau doit être entre 1 et 100°C'
+        T_min === 1
+          ? window.I18n
+            ? I18n.t('validation.waterTempRange')
+            : 'Température eau doit être entre 1 et 100°C'
+          : window.I18n
+            ? I18n.t('validation.fluidTempRange', { min: T_min })
+            : `Température du fluide doit être entre ${T_min} et 100°C`
       );
       elements.waterTemp.focus();
       return false;
@@ -644,7 +1243,7 @@
     }
 
     // Validation pression avec plages dynamiques selon l'unité
-    const pressureRanges = UnitConverter.getRanges('pressure');
+    const pressureRanges = getPressureRanges();
     const pressureValue = parseFloat(elements.waterPressure.value);
     if (pressureValue < pressureRanges.min || pressureValue > pressureRanges.max) {
       const pressureUnit = UnitConverter.getUnitInfo('pressure').label;
@@ -685,6 +1284,391 @@
       return false;
     }
 
+    if (elements.hasHeatTracing.checked) {
+      const power = parseFloat(elements.heatTracingPower.value);
+      if (isNaN(power) || power < 1 || power > 200) {
+        alert(
+          window.I18n
+            ? I18n.t('validation.heatTracingRange')
+            : 'Puissance de traçage doit être entre 1 et 200 W/m'
+        );
+        elements.heatTracingPower.focus();
+        return false;
+      }
+    }
+
+    if (elements.isBuried.checked) {
+      const depth = parseFloat(elements.burialDepth.value);
+      if (isNaN(depth) || depth < 0.3 || depth > 5) {
+        alert(
+          window.I18n
+            ? I18n.t('validation.burialDepthRange')
+            : "Profondeur d'enfouissement doit être entre 0.3 et 5 m"
+        );
+        elements.burialDepth.focus();
+        return false;
+      }
+    }
+
+    if (elements.hasSkyRadiation.checked) {
+      const cloudCover = parseFloat(elements.skyCloudCover.value);
+      if (
+        elements.skyPreset.value === 'custom' &&
+        (isNaN(cloudCover) || cloudCover < 0 || cloudCover > 100)
+      ) {
+        alert(
+          window.I18n
+            ? I18n.t('validation.cloudCoverRange')
+            : 'Nébulosité doit être entre 0 et 100%'
+        );
+        elements.skyCloudCover.focus();
+        return false;
+      }
+
+      const irradiance = parseFloat(elements.solarIrradiance.value);
+      if (isNaN(irradiance) || irradiance < 0 || irradiance > 1200) {
+        alert(
+          window.I18n
+            ? I18n.t('validation.solarIrradianceRange')
+            : 'Éclairement solaire doit être entre 0 et 1200 W/m²'
+        );
+        elements.solarIrradiance.focus();
+        return false;
+      }
+
+      const absorptivity = parseFloat(elements.solarAbsorptivity.value);
+      if (isNaN(absorptivity) || absorptivity < 0 || absorptivity > 1) {
+        alert(
+          window.I18n
+            ? I18n.t('validation.absorptivityRange')
+            : 'Absorptivité solaire doit être entre 0 et 1'
+        );
+        elements.solarAbsorptivity.focus();
+        return false;
+      }
+    }
+
+    if (elements.hasOrientation.checked) {
+      const angles = [elements.pipeInclination, elements.windAngle];
+      const invalidAngle = angles.find((input) => {
+        const angle = parseFloat(input.value);
+        return isNaN(angle) || angle < 0 || angle > 90;
+      });
+      if (invalidAngle) {
+        alert(window.I18n ? I18n.t('validation.angleRange') : 'Angle doit être entre 0 et 90°');
+        invalidAngle.focus();
+        return false;
+      }
+
+      const height = parseFloat(elements.pipeHeight.value);
+      if (isNaN(height) || height < 0 || height > 200) {
+        alert(
+          window.I18n
+            ? I18n.t('validation.pipeHeightRange')
+            : 'Hauteur au-dessus du sol doit être entre 0 et 200 m'
+        );
+        elements.pipeHeight.focus();
+        return false;
+      }
+    }
+
+    if (elements.hasAmbientZones.checked) {
+      const pipeLength = parseFloat(elements.pipeLength.value);
+      const lengths = [elements.inletZoneLength, elements.outletZoneLength];
+      const invalidLength = lengths.find((input) => {
+        const length = parseFloat(input.value);
+        return isNaN(length) || length < 0 || length > pipeLength;
+      });
+      const totalZoneLength = lengths.reduce((sum, input) => sum + parseFloat(input.value), 0);
+      if (invalidLength || totalZoneLength > pipeLength) {
+        alert(
+          window.I18n
+            ? I18n.t('validation.ambientZoneLengthRange')
+            : "Longueurs des zones d'entrée et de sortie: positives, somme inférieure à la longueur de la conduite"
+        );
+        (invalidLength || elements.outletZoneLength).focus();
+        return false;
+      }
+
+      const temps = [elements.inletZoneTemp, elements.outletZoneTemp];
+      const invalidTemp = temps.find((input) => {
+        const T = parseFloat(input.value);
+        return isNaN(T) || T < -50 || T > 50;
+      });
+      if (invalidTemp) {
+        alert(
+          window.I18n
+            ? I18n.t('validation.ambientZoneTempRange')
+            : "Température de l'air d'une zone doit être entre -50 et 50°C"
+        );
+        invalidTemp.focus();
+        return false;
+      }
+
+      const winds = [elements.inletZoneWind, elements.outletZoneWind];
+      const invalidWind = winds.find((input) => {
+        const V = parseFloat(input.value);
+        return isNaN(V) || V < 0 || V > 108;
+      });
+      if (invalidWind) {
+        alert(
+          window.I18n
+            ? I18n.t('validation.windSpeedRange')
+            : 'Vitesse vent doit être entre 0 et 108 km/h'
+        );
+        invalidWind.focus();
+        return false;
+      }
+    }
+
+    const elevationChange = parseFloat(elements.elevationChange.value);
+    if (isNaN(elevationChange) || elevationChange < -100 || elevationChange > 100) {
+      alert(
+        window.I18n ? I18n.t('validation.elevationRange') : 'Dénivelé doit être entre -100 et 100 m'
+      );
+      elements.elevationChange.focus();
+      return false;
+    }
+
+    const humidity = parseFloat(elements.airHumidity.value);
+    if (isNaN(humidity) || humidity < 0 || humidity > 100) {
+      alert(
+        window.I18n
+          ? I18n.t('validation.humidityRange')
+          : 'Humidité relative doit être entre 0 et 100%'
+      );
+      elements.airHumidity.focus();
+      return false;
+    }
+
+    const altitude = parseFloat(elements.siteAltitude.value);
+    if (isNaN(altitude) || altitude < -500 || altitude > 5000) {
+      alert(
+        window.I18n ? I18n.t('validation.altitudeRange') : 'Altitude doit être entre -500 et 5000 m'
+      );
+      elements.siteAltitude.focus();
+      return false;
+    }
+
+    if (elements.hasInsulation.checked) {
+      const moisture = parseFloat(elements.insulationMoisture.value);
+      if (isNaN(moisture) || moisture < 0 || moisture > 50) {
+        alert(
+          window.I18n
+            ? I18n.t('validation.insulationMoistureRange')
+            : "Humidité de l'isolant doit être entre 0 et 50 % vol."
+        );
+        elements.insulationMoisture.focus();
+        return false;
+      }
+
+      const age = parseFloat(elements.insulationAge.value);
+      if (isNaN(age) || age < 0 || age > 60) {
+        alert(
+          window.I18n
+            ? I18n.t('validation.insulationAgeRange')
+            : "Âge de l'isolant doit être entre 0 et 60 ans"
+        );
+        elements.insulationAge.focus();
+        return false;
+      }
+
+      if (elements.jacketMaterial.value) {
+        const jacketThickness = parseFloat(elements.jacketThickness.value);
+        if (isNaN(jacketThickness) || jacketThickness < 0.1 || jacketThickness > 10) {
+          alert(
+            window.I18n
+              ? I18n.t('validation.jacketThicknessRange')
+              : 'Épaisseur de gaine doit être entre 0.1 et 10 mm'
+          );
+          elements.jacketThickness.focus();
+          return false;
+        }
+
+        const emissivity = parseFloat(elements.jacketEmissivity.value);
+        if (isNaN(emissivity) || emissivity < 0.02 || emissivity > 1) {
+          alert(
+            window.I18n
+              ? I18n.t('validation.jacketEmissivityRange')
+              : 'Émissivité de gaine doit être entre 0.02 et 1'
+          );
+          elements.jacketEmissivity.focus();
+          return false;
+        }
+      }
+    }
+
+    if (elements.hasFittings.checked) {
+      const invalidCount = elements.fittingCounts.find((input) => {
+        const count = Number(input.value);
+        return !Number.isInteger(count) || count < 0 || count > 100;
+      });
+      if (invalidCount) {
+        alert(
+          window.I18n
+            ? I18n.t('validation.fittingsCountRange')
+            : "Nombre d'accessoires doit être un entier entre 0 et 100"
+        );
+        invalidCount.focus();
+        return false;
+      }
+    }
+
+    if (elements.pipeCondition.value === 'custom') {
+      const roughnessMm = parseFloat(elements.pipeRoughness.value);
+      if (isNaN(roughnessMm) || roughnessMm < 0 || roughnessMm > 10) {
+        alert(
+          window.I18n ? I18n.t('validation.roughnessRange') : 'Rugosité doit être entre 0 et 10 mm'
+        );
+        elements.pipeRoughness.focus();
+        return false;
+      }
+    }
+
+    if (elements.hasFouling.checked) {
+      const factor = parseFloat(elements.foulingFactor.value);
+      if (isNaN(factor) || factor < 0 || factor > 0.01) {
+        alert(
+          window.I18n
+            ? I18n.t('validation.foulingFactorRange')
+            : "Facteur d'encrassement doit être entre 0 et 0.01 m²·K/W"
+        );
+        elements.foulingFactor.focus();
+        return false;
+      }
+
+      const depositThickness = parseFloat(elements.foulingThickness.value);
+      const specs = PipeSpecsLoader.getPipeSpecs(
+        elements.pipeMaterial.value,
+        elements.pipeSchedule.value,
+        parseFloat(elements.pipeNPS.value)
+      );
+      if (
+        isNaN(depositThickness) ||
+        depositThickness < 0 ||
+        depositThickness > 20 ||
+        (specs && 2 * depositThickness >= specs.ID)
+      ) {
+        alert(
+          window.I18n
+            ? I18n.t('validation.foulingThicknessRange')
+            : 'Épaisseur du dépôt doit être entre 0 et 20 mm et inférieure au rayon intérieur'
+        );
+        elements.foulingThickness.focus();
+        return false;
+      }
+    }
+
+    if (elements.hasThermalBridges.checked) {
+      if (elements.isBuried.checked) {
+        alert(
+          window.I18n
+            ? I18n.t('validation.thermalBridgesBuried')
+            : 'Ponts thermiques non applicables à une conduite enterrée'
+        );
+        elements.hasThermalBridges.focus();
+        return false;
+      }
+
+      const spacing = parseFloat(elements.supportSpacing.value);
+      if (elements.supportType.value && (isNaN(spacing) || spacing < 0.5 || spacing > 50)) {
+        alert(
+          window.I18n
+            ? I18n.t('validation.supportSpacingRange')
+            : 'Espacement des supports doit être entre 0.5 et 50 m'
+        );
+        elements.supportSpacing.focus();
+        return false;
+      }
+
+      const invalidBridgeCount = [elements.bareValveCount, elements.bareFlangeCount].find(
+        (input) => {
+          const count = Number(input.value);
+          return !Number.isInteger(count) || count < 0 || count > 100;
+        }
+      );
+      if (invalidBridgeCount) {
+        alert(
+          window.I18n
+            ? I18n.t('validation.bridgeCountRange')
+            : 'Nombre de vannes et de brides nues doit être un entier entre 0 et 100'
+        );
+        invalidBridgeCount.focus();
+        return false;
+      }
+    }
+
+    if (elements.hasEconomics.checked) {
+      const invalidCost = economicsInputs().find((input) => {
+        const value = parseFloat(input.value);
+        return isNaN(value) || value < parseFloat(input.min) || value > parseFloat(input.max);
+      });
+      if (invalidCost) {
+        alert(
+          window.I18n
+            ? I18n.t('validation.economicsRange', { min: invalidCost.min, max: invalidCost.max })
+            : `Donnée économique doit être entre ${invalidCost.min} et ${invalidCost.max}`
+        );
+        invalidCost.focus();
+        return false;
+      }
+
+      if (
+        parseFloat(elements.econThicknessMax.value) < parseFloat(elements.econThicknessMin.value)
+      ) {
+        alert(
+          window.I18n
+            ? I18n.t('validation.thicknessRangeOrder')
+            : "Épaisseur maximale doit être supérieure à l'épaisseur minimale"
+        );
+        elements.econThicknessMax.focus();
+        return false;
+      }
+    }
+
+    if (elements.hasSeasonal.checked) {
+      const invalidInput = [elements.seasonalEnergyPrice, elements.seasonalCo2].find((input) => {
+        const value = parseFloat(input.value);
+        return isNaN(value) || value < parseFloat(input.min) || value > parseFloat(input.max);
+      });
+      if (invalidInput) {
+        alert(
+          window.I18n
+            ? I18n.t('validation.seasonalRange', { min: invalidInput.min, max: invalidInput.max })
+            : `Donnée de simulation doit être entre ${invalidInput.min} et ${invalidInput.max}`
+        );
+        invalidInput.focus();
+        return false;
+      }
+    }
+
+    if (elements.hasMonteCarlo.checked) {
+      const invalidInput = monteCarloInputs().find((input) => {
+        const value = parseFloat(input.value);
+        return isNaN(value) || value < parseFloat(input.min) || value > parseFloat(input.max);
+      });
+      if (invalidInput) {
+        alert(
+          window.I18n
+            ? I18n.t('validation.monteCarloRange', { min: invalidInput.min, max: invalidInput.max })
+            : `Donnée Monte Carlo doit être entre ${invalidInput.min} et ${invalidInput.max}`
+        );
+        invalidInput.focus();
+        return false;
+      }
+
+      const uncertain = [elements.mcFlowStd, elements.mcAmbientStd, elements.mcInsulationDamage];
+      if (uncertain.every((input) => parseFloat(input.value) === 0)) {
+        alert(
+          window.I18n
+            ? I18n.t('validation.monteCarloNoUncertainty')
+            : 'Au moins une incertitude doit être non nulle'
+        );
+        elements.mcFlowStd.focus();
+        return false;
+      }
+    }
+
     return true;
   }
 
@@ -714,33 +1698,63 @@
     // Température: reste en °C (pas de conversion)
     const T_water = parseFloat(elements.waterTemp.value);
 
-    // Obtenir la densité de l'eau à T et P donnés (nécessaire pour conversion précise)
+    // Obtenir la densité du fluide à T et P donnés (nécessaire pour conversion précise)
+    const fluidSpec = getFluidSpec();
     let rho_water = 1000; // Valeur par défaut [kg/m³]
-    if (typeof window.WaterProperties !== 'undefined') {
+    if (typeof window.FluidProperties !== 'undefined') {
       try {
-        const waterProps = window.WaterProperties.getWaterProperties(T_water, P_water_bar);
-        rho_water = waterProps.rho;
+        const fluidProps = window.FluidProperties.getFluidProperties(
+          fluidSpec,
+          T_water,
+          P_water_bar
+        );
+        rho_water = fluidProps.rho;
       } catch (e) {
-        console.warn("Impossible d'obtenir la densité de l'eau, utilisation valeur par défaut:", e);
+        console.warn(
+          "Impossible d'obtenir la densité du fluide, utilisation valeur par défaut:",
+          e
+        );
       }
     }
 
     const flowKgPerS = (flowM3PerHr / 3600) * rho_water; // m³/hr → m³/s → kg/s
 
+    // Rugosité: table des rugosités selon l'état, ou valeur personnalisée [mm]
+    const condition = elements.pipeCondition.value;
+    const roughness =
+      condition === 'custom'
+        ? parseFloat(elements.pipeRoughness.value) / 1000.0 // mm → m
+        : window.PipeRoughness.getPipeRoughness(material, condition).roughness;
+
     // Géométrie (convertir mm → m)
     const geometry = {
       D_inner: specs.ID / 1000.0, // mm → m
       D_outer: specs.OD / 1000.0, // mm → m
-      roughness: MATERIAL_ROUGHNESS[material],
+      roughness: roughness,
       material: material,
     };
 
+    // Encrassement intérieur: valeurs typiques du type d'eau, remplacées par la saisie
+    if (elements.hasFouling.checked) {
+      geometry.fouling = {
+        type: elements.foulingType.value,
+        factor: parseFloat(elements.foulingFactor.value),
+        thickness: parseFloat(elements.foulingThickness.value) / 1000, // mm → m
+      };
+    }
+
     // Fluide
     const fluid = {
       T_in: T_water,
       P: P_water_bar,
       m_dot: flowKgPerS,
     };
+    if (fluidSpec.type !== 'water') {
+      fluid.type = fluidSpec.type;
+      fluid.concentration = fluidSpec.concentration;
+    } else if (fluidSpec.waterBackend !== 'table') {
+      fluid.waterBackend = fluidSpec.waterBackend;
+    }
 
     // Ambiant
     const ambient = {
@@ -748,6 +1762,52 @@
       V_wind: parseFloat(elements.windSpeed.value) / 3.6, // km/h → m/s
     };
 
+    // Air humide et pression barométrique du site (air sec au niveau de la mer par défaut)
+    const relativeHumidity = parseFloat(elements.airHumidity.value) || 0;
+    const altitude = parseFloat(elements.siteAltitude.value) || 0;
+    if (relativeHumidity > 0) {
+      ambient.relativeHumidity = relativeHumidity;
+    }
+    if (altitude !== 0) {
+      ambient.altitude = altitude;
+    }
+
+    // Conduite enterrée: T surface du sol vide → température de l'air
+    if (elements.isBuried.checked) {
+      const T_surface = parseFloat(elements.burialSurfaceTemp.value);
+      ambient.burial = {
+        depth: parseFloat(elements.burialDepth.value),
+        soil: elements.burialSoil.value,
+      };
+      if (!isNaN(T_surface)) {
+        ambient.burial.T_surface = T_surface;
+      }
+    }
+
+    // Ciel nocturne et soleil: préréglage ou nébulosité (%), soleil si éclairement > 0
+    if (elements.hasSkyRadiation.checked) {
+      ambient.radiation =
+        elements.skyPreset.value === 'custom'
+          ? { cloudCover: parseFloat(elements.skyCloudCover.value) / 100 }
+          : { preset: elements.skyPreset.value };
+      const irradiance = parseFloat(elements.solarIrradiance.value);
+      if (irradiance > 0) {
+        ambient.radiation.solarIrradiance = irradiance;
+        ambient.radiation.absorptivity = parseFloat(elements.solarAbsorptivity.value);
+      }
+    }
+
+    // Orientation: vent météo (10 m, rase campagne) ramené à la hauteur de la conduite
+    let orientation = null;
+    if (elements.hasOrientation.checked) {
+      orientation = {
+        inclination: parseFloat(elements.pipeInclination.value),
+        windAngle: parseFloat(elements.windAngle.value),
+        height: parseFloat(elements.pipeHeight.value),
+      };
+      ambient.terrain = elements.windTerrain.value;
+    }
+
     // Isolation
     let insulation = null;
     if (elements.hasInsulation.checked) {
@@ -756,25 +1816,173 @@
         material: elements.insulationMaterial.value,
         thickness: thicknessMm / 1000.0, // mm → m
       };
+
+      // Dégradation (humidité, vieillissement): omise si nulle
+      const moisture = parseFloat(elements.insulationMoisture.value);
+      const age = parseFloat(elements.insulationAge.value);
+      if (moisture > 0 || age > 0) {
+        insulation.degradation = { moisture, age };
+      }
+
+      // Gaine de protection (surface extérieure)
+      if (elements.jacketMaterial.value) {
+        insulation.jacket = {
+          material: elements.jacketMaterial.value,
+          thickness: parseFloat(elements.jacketThickness.value) / 1000.0, // mm → m
+          emissivity: parseFloat(elements.jacketEmissivity.value),
+        };
+      }
+    }
+
+    // Traçage électrique (puissance constante)
+    let heatTracing = null;
+    if (elements.hasHeatTracing.checked) {
+      heatTracing = { power: parseFloat(elements.heatTracingPower.value) };
     }
 
     // Configuration réseau
     const totalLength = parseFloat(elements.pipeLength.value);
-    const numSegments = Math.min(Math.max(Math.ceil(totalLength / 5), 10), 100); // 10-100 segments
+    const numSegments = Math.min(Math.max(Math.ceil(totalLength / 5), 10), 100); // Découpage initial
+
+    // Profil d'altitude: pente uniforme de l'entrée (z = 0) à la sortie
+    const elevationChange = parseFloat(elements.elevationChange.value) || 0;
+    const elevationProfile =
+      elevationChange !== 0
+        ? [
+            { x: 0, z: 0 },
+            { x: totalLength, z: elevationChange },
+          ]
+        : null;
+
+    // Zones ambiantes: entrée depuis x = 0, sortie mesurée depuis la fin (longueur nulle =
+    // aucune); l'air et le vent généraux s'appliquent entre les deux. La zone de sortie
+    // reste collée à la sortie si la longueur change (analyses de sensibilité)
+    let ambientZones = null;
+    if (elements.hasAmbientZones.checked) {
+      const inletLength = parseFloat(elements.inletZoneLength.value);
+      const outletLength = parseFloat(elements.outletZoneLength.value);
+      ambientZones = [];
+      if (inletLength > 0) {
+        ambientZones.push({
+          x_start: 0,
+          x_end: inletLength,
+          T_amb: parseFloat(elements.inletZoneTemp.value),
+          V_wind: parseFloat(elements.inletZoneWind.value) / 3.6, // km/h → m/s
+          label: window.I18n ? I18n.t('ambientZones.inletZone') : 'Entrée',
+        });
+      }
+      if (outletLength > 0) {
+        ambientZones.push({
+          x_start: 0,
+          x_end: outletLength,
+          fromOutlet: true,
+          T_amb: parseFloat(elements.outletZoneTemp.value),
+          V_wind: parseFloat(elements.outletZoneWind.value) / 3.6, // km/h → m/s
+          label: window.I18n ? I18n.t('ambientZones.outletZone') : 'Sortie',
+        });
+      }
+      if (ambientZones.length === 0) {
+        ambientZones = null;
+      }
+    }
+
+    // Raccords et vannes: répartis uniformément (position non saisie)
+    let fittings = null;
+    if (elements.hasFittings.checked) {
+      fittings = elements.fittingCounts
+        .map((input) => ({ type: input.dataset.fitting, count: Number(input.value) }))
+        .filter((fitting) => fitting.count > 0);
+      if (fittings.length === 0) {
+        fittings = null;
+      }
+    }
+
+    // Ponts thermiques: supports espacés régulièrement, vannes et brides nues réparties
+    let thermalBridges = null;
+    if (elements.hasThermalBridges.checked) {
+      thermalBridges = [];
+      if (elements.supportType.value) {
+        thermalBridges.push({
+          type: elements.supportType.value,
+          spacing: parseFloat(elements.supportSpacing.value),
+        });
+      }
+      const valveCount = Number(elements.bareValveCount.value);
+      if (valveCount > 0) {
+        thermalBridges.push({ type: 'gate_valve_bare', count: valveCount });
+      }
+      const flangeCount = Number(elements.bareFlangeCount.value);
+      if (flangeCount > 0) {
+        thermalBridges.push({ type: 'flange_pair_bare', count: flangeCount });
+      }
+      if (thermalBridges.length === 0) {
+        thermalBridges = null;
+      }
+    }
+
+    // Optimisation économique de l'isolant: données de coût et plage d'épaisseurs
+    let economics = null;
+    if (elements.hasEconomics.checked) {
+      economics = {
+        costPerMm: parseFloat(elements.econCostPerMm.value),
+        fixedCost: parseFloat(elements.econFixedCost.value),
+        energyPrice: parseFloat(elements.econEnergyPrice.value),
+        operatingHours: parseFloat(elements.econHours.value),
+        discountRate: parseFloat(elements.econDiscount.value) / 100, // % → fraction
+        lifetime: parseFloat(elements.econLifetime.value),
+        thicknessMin: parseFloat(elements.econThicknessMin.value) / 1000, // mm → m
+        thicknessMax: parseFloat(elements.econThicknessMax.value) / 1000, // mm → m
+        freezeMargin: parseFloat(elements.econFreezeMargin.value),
+      };
+    }
+
+    // Simulation saisonnière: seulement si une série météo a été chargée
+    let seasonal = null;
+    if (elements.hasSeasonal.checked && weatherSeries) {
+      seasonal = {
+        series: weatherSeries,
+        stepHours: parseFloat(elements.weatherStep.value),
+        energyPrice: parseFloat(elements.seasonalEnergyPrice.value),
+        co2Factor: parseFloat(elements.seasonalCo2.value),
+      };
+    }
+
+    // Analyse Monte Carlo: incertitudes saisies (écarts-types, dégradation maximale)
+    let monteCarlo = null;
+    if (elements.hasMonteCarlo.checked) {
+      monteCarlo = {
+        samples: parseInt(elements.mcSamples.value, 10),
+        seed: parseInt(elements.mcSeed.value, 10),
+        flowRelStd: parseFloat(elements.mcFlowStd.value) / 100, // % → fraction
+        ambientStd: parseFloat(elements.mcAmbientStd.value),
+        insulationDamage: parseFloat(elements.mcInsulationDamage.value) / 100, // % → fraction
+      };
+    }
 
     return {
       geometry,
       totalLength,
       numSegments,
+      adaptive: elements.adaptiveSegmentation.checked, // Raffinement jusqu'à convergence (option)
       fluid,
       ambient,
       insulation,
+      heatTracing,
+      orientation,
+      ambientZones,
+      elevationProfile,
+      fittings,
+      thermalBridges,
+      economics,
+      seasonal,
+      monteCarlo,
 
       // Métadonnées pour affichage
       meta: {
         material: material,
         schedule: schedule,
         nps: nps,
+        condition: condition,
         flowM3PerHr: flowM3PerHr,
         hasInsulation: elements.hasInsulation.checked,
       },
@@ -896,7 +2104,7 @@
     // Pression
     const pressureInput = document.getElementById('water-pressure');
     if (pressureInput) {
-      const pressureRanges = UnitConverter.getRanges('pressure');
+      const pressureRanges = getPressureRanges();
       pressureInput.min = pressureRanges.min.toFixed(pressureRanges.decimals);
       pressureInput.max = pressureRanges.max.toFixed(pressureRanges.decimals);
       pressureInput.step = currentUnits.pressure === 'psig' ? '1' : '10';
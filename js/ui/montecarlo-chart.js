@@ -0,0 +1,243 @@
+/**
+ * montecarlo-chart.js
+ *
+ * Histogramme de la température minimale des tirages Monte Carlo avec Canvas natif
+ *
+ * Affiche:
+ * - Une barre par classe de température minimale (part gelée en rouge)
+ * - Seuil de sécurité (T_freeze + marge) en ligne pointillée
+ * - Centiles P5 et P50 de la température minimale
+ * - Grille, axes et labels
+ */
+
+(function () {
+  'use strict';
+
+  // ========== CONFIGURATION ==========
+  const config = {
+    padding: { top: 30, right: 40, bottom: 60, left: 80 },
+    colors: {
+      bar: '#0ea5e9',
+      frozen: '#dc2626',
+      safety: '#f59e0b',
+      percentile: '#6366f1',
+      grid: '#e5e7eb',
+      axis: '#374151',
+      text: '#6b7280',
+    },
+    barGap: 2,
+    gridLineWidth: 1,
+    fontSize: 12,
+    fontFamily: '-apple-system, BlinkMacSystemFont, "Segoe UI", Roboto, sans-serif',
+  };
+
+  function t(key, fallback) {
+    return window.I18n ? I18n.t(key) : fallback;
+  }
+
+  // ========== FONCTION PRINCIPALE ==========
+  /**
+   * Dessine l'histogramme des températures minimales
+   *
+   * @param {Object} result - Résultat de MonteCarlo.runMonteCarlo
+   */
+  function drawChart(result) {
+    const canvas = document.getElementById('montecarlo-chart');
+    if (!canvas) {
+      console.error('Canvas montecarlo-chart non trouvé');
+      return;
+    }
+
+    const ctx = canvas.getContext('2d');
+    const size = resizeCanvas(canvas);
+    ctx.clearRect(0, 0, size.width, size.height);
+
+    const scales = calculateScales(result, size);
+
+    drawGrid(ctx, scales);
+    drawBars(ctx, scales, result.histogram);
+    drawAxes(ctx, scales);
+    drawMarker(
+      ctx,
+      scales,
+      result.safetyThreshold,
+      config.colors.safety,
+      t('monteCarlo.safetyLabel', 'Seuil de sécurité')
+    );
+    drawMarker(ctx, scales, result.minTemp.percentiles.p5, config.colors.percentile, 'P5');
+    drawMarker(ctx, scales, result.minTemp.percentiles.p50, config.colors.percentile, 'P50');
+    drawLabels(ctx, scales);
+  }
+
+  // ========== REDIMENSIONNEMENT CANVAS ==========
+  function resizeCanvas(canvas) {
+    const rect = canvas.parentElement.getBoundingClientRect();
+    const dpr = window.devicePixelRatio || 1;
+
+    canvas.width = rect.width * dpr;
+    canvas.height = rect.height * dpr;
+    canvas.style.width = rect.width + 'px';
+    canvas.style.height = rect.height + 'px';
+
+    canvas.getContext('2d').scale(dpr, dpr);
+
+    return { width: rect.width, height: rect.height };
+  }
+
+  // ========== CALCUL ÉCHELLES ==========
+  // L'axe des températures couvre les classes et le seuil de sécurité
+  function calculateScales(result, size) {
+    const edges = result.histogram.edges;
+    const T_min = Math.min(edges[0], result.safetyThreshold) - 0.5;
+    const T_max = Math.max(edges[edges.length - 1], result.safetyThreshold) + 0.5;
+    const N_max = Math.max(...result.histogram.counts);
+
+    const plotWidth = size.width - config.padding.left - config.padding.right;
+    const plotHeight = size.height - config.padding.top - config.padding.bottom;
+    const N_high = N_max * 1.15 || 1;
+
+    return {
+      T_min,
+      T_max,
+      N_max: N_high,
+      plotWidth,
+      plotHeight,
+      width: size.width,
+      height: size.height,
+      TToPixel: (T) => config.padding.left + ((T - T_min) / (T_max - T_min)) * plotWidth,
+      NToPixel: (N) => config.padding.top + ((N_high - N) / N_high) * plotHeight,
+    };
+  }
+
+  // ========== GRILLE ==========
+  function drawGrid(ctx, scales) {
+    ctx.strokeStyle = config.colors.grid;
+    ctx.lineWidth = config.gridLineWidth;
+    ctx.setLineDash([2, 2]);
+
+    const N_step = Math.max(1, calculateNiceStep(scales.N_max, 5));
+    for (let N = 0; N <= scales.N_max; N += N_step) {
+      const y = scales.NToPixel(N);
+      ctx.beginPath();
+      ctx.moveTo(config.padding.left, y);
+      ctx.lineTo(config.padding.left + scales.plotWidth, y);
+      ctx.stroke();
+    }
+
+    ctx.setLineDash([]);
+  }
+
+  // ========== BARRES ==========
+  // Part gelée de chaque classe empilée en bas de la barre
+  function drawBars(ctx, scales, histogram) {
+    const base = scales.NToPixel(0);
+    histogram.counts.forEach((count, i) => {
+      if (count === 0) {
+        return;
+      }
+      const x_start = scales.TToPixel(histogram.edges[i]) + config.barGap / 2;
+      const width = Math.max(scales.TToPixel(histogram.edges[i + 1]) - x_start - config.barGap, 1);
+      const frozen = histogram.freezeCounts[i];
+
+      ctx.fillStyle = config.colors.frozen;
+      ctx.fillRect(x_start, scales.NToPixel(frozen), width, base - scales.NToPixel(frozen));
+      ctx.fillStyle = config.colors.bar;
+      ctx.fillRect(
+        x_start,
+        scales.NToPixel(count),
+        width,
+        scales.NToPixel(frozen) - scales.NToPixel(count)
+      );
+    });
+  }
+
+  // ========== AXES ==========
+  function drawAxes(ctx, scales) {
+    ctx.strokeStyle = config.colors.axis;
+    ctx.lineWidth = 2;
+
+    ctx.beginPath();
+    ctx.moveTo(config.padding.left, config.padding.top);
+    ctx.lineTo(config.padding.left, config.padding.top + scales.plotHeight);
+    ctx.lineTo(config.padding.left + scales.plotWidth, config.padding.top + scales.plotHeight);
+    ctx.stroke();
+  }
+
+  // ========== REPÈRES VERTICAUX ==========
+  function drawMarker(ctx, scales, T, color, label) {
+    const x = scales.TToPixel(T);
+
+    ctx.strokeStyle = color;
+    ctx.lineWidth = 2;
+    ctx.setLineDash([5, 5]);
+    ctx.beginPath();
+    ctx.moveTo(x, config.padding.top);
+    ctx.lineTo(x, config.padding.top + scales.plotHeight);
+    ctx.stroke();
+    ctx.setLineDash([]);
+
+    ctx.fillStyle = color;
+    ctx.font = `bold ${config.fontSize}px ${config.fontFamily}`;
+    ctx.textAlign = 'center';
+    ctx.fillText(label, x, config.padding.top - 8);
+  }
+
+  // ========== LABELS ==========
+  function drawLabels(ctx, scales) {
+    ctx.fillStyle = config.colors.text;
+    ctx.font = `${config.fontSize}px ${config.fontFamily}`;
+    ctx.textAlign = 'center';
+
+    const T_step = calculateNiceStep(scales.T_max - scales.T_min, 6);
+    for (let T = Math.ceil(scales.T_min / T_step) * T_step; T <= scales.T_max; T += T_step) {
+      ctx.fillText(
+        T.toFixed(T_step < 1 ? 1 : 0),
+        scales.TToPixel(T),
+        config.padding.top + scales.plotHeight + 20
+      );
+    }
+
+    ctx.font = `bold ${config.fontSize + 2}px ${config.fontFamily}`;
+    ctx.fillText(
+      t('monteCarlo.axisMinTemp', 'Température minimale (°C)'),
+      scales.width / 2,
+      scales.height - 10
+    );
+
+    ctx.textAlign = 'right';
+    ctx.font = `${config.fontSize}px ${config.fontFamily}`;
+    const N_step = Math.max(1, calculateNiceStep(scales.N_max, 5));
+    for (let N = 0; N <= scales.N_max; N += N_step) {
+      ctx.fillText(N.toFixed(0), config.padding.left - 10, scales.NToPixel(N) + 4);
+    }
+
+    ctx.save();
+    ctx.translate(15, scales.height / 2);
+    ctx.rotate(-Math.PI / 2);
+    ctx.textAlign = 'center';
+    ctx.font = `bold ${config.fontSize + 2}px ${config.fontFamily}`;
+    ctx.fillText(t('monteCarlo.axisCount', 'Tirages'), 0, 0);
+    ctx.restore();
+  }
+
+  // ========== UTILITAIRES ==========
+  function calculateNiceStep(range, targetSteps) {
+    const rawStep = range / targetSteps;
+    const magnitude = Math.pow(10, Math.floor(Math.log10(rawStep)));
+    const normalized = rawStep / magnitude;
+
+    if (normalized < 1.5) {
+      return magnitude;
+    } else if (normalized < 3) {
+      return 2 * magnitude;
+    } else if (normalized < 7) {
+      return 5 * magnitude;
+    }
+    return 10 * magnitude;
+  }
+
+  // ========== EXPORT ==========
+  window.MonteCarloChart = {
+    draw: drawChart,
+  };
+})();
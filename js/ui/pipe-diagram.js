@@ -26,6 +26,7 @@
 
   // Marges et espacements
   const INSULATION_THICKNESS = 15; // Épaisseur visuelle de l'isolation
+  const JACKET_THICKNESS = 3; // Épaisseur visuelle de la gaine de protection
   const LENGTH_DIM_OFFSET = 20; // Distance de la ligne de cote de longueur au-dessus du tuyau
   const WATER_BLOCK_OFFSET_X = 200; // Distance du bloc EAU à gauche du tuyau
   const AIR_BLOCK_OFFSET_Y = 15; // Distance du bloc AIR sous le tuyau
@@ -36,6 +37,7 @@
   const COLOR_PIPE = '#1e3a8a';
   const COLOR_WATER = '#3b82f6';
   const COLOR_INSULATION = '#d1d5db';
+  const COLOR_JACKET = '#6b7280';
   const COLOR_DIMENSION = '#374151';
   const COLOR_TEXT = '#111827';
   const COLOR_ARROW = '#f97316';
@@ -132,6 +134,23 @@
         'none',
         0.5
       );
+
+      // Gaine de protection: mince couche sur l'isolant
+      const hasJacket = Boolean(document.getElementById('jacket-material')?.value);
+      if (hasJacket) {
+        drawOpenCylinder(
+          g,
+          leftX,
+          rightX,
+          centerY,
+          PIPE_RADIUS + INSULATION_THICKNESS + JACKET_THICKNESS,
+          PIPE_DEPTH + 6,
+          COLOR_JACKET,
+          2,
+          'none',
+          0.8
+        );
+      }
     }
 
     // 2. Corps du tuyau (paroi) - ouvert à droite
@@ -0,0 +1,338 @@
+/**
+ * pressure-chart.js
+ *
+ * Graphique du profil de pression P(x) et du profil d'altitude z(x) avec Canvas natif
+ *
+ * Affiche:
+ * - Courbe P(x) (friction et dénivelé inclus), axe de gauche
+ * - Profil d'altitude z(x), axe de droite (si la conduite n'est pas horizontale)
+ * - Ligne de pression nulle
+ * - Repères des points bas (eau résiduelle après vidange)
+ * - Grille et axes
+ */
+
+(function () {
+  'use strict';
+
+  // ========== CONFIGURATION ==========
+  const config = {
+    padding: { top: 30, right: 80, bottom: 60, left: 80 },
+    colors: {
+      line: '#7c3aed',
+      elevation: '#78716c',
+      elevationFill: 'rgba(120, 113, 108, 0.12)',
+      zeroLine: '#dc2626',
+      lowPoint: '#0ea5e9',
+      grid: '#e5e7eb',
+      axis: '#374151',
+      text: '#6b7280',
+    },
+    lineWidth: 3,
+    gridLineWidth: 1,
+    fontSize: 12,
+    fontFamily: '-apple-system, BlinkMacSystemFont, "Segoe UI", Roboto, sans-serif',
+  };
+
+  function t(key, fallback) {
+    return window.I18n ? I18n.t(key) : fallback;
+  }
+
+  // ========== FONCTION PRINCIPALE ==========
+  /**
+   * Dessine le graphique de pression et d'altitude
+   *
+   * @param {Array<number>} x_profile - Positions [m]
+   * @param {Array<number>} P_profile - Pressions [bar]
+   * @param {Array<number>} z_profile - Altitudes [m]
+   * @param {Array<Object>} [lowPoints] - Points bas {x, z}
+   */
+  function drawChart(x_profile, P_profile, z_profile, lowPoints = []) {
+    const canvas = document.getElementById('pressure-chart');
+    if (!canvas) {
+      console.error('Canvas pressure-chart non trouvé');
+      return;
+    }
+
+    const ctx = canvas.getContext('2d');
+    const size = resizeCanvas(canvas);
+    ctx.clearRect(0, 0, size.width, size.height);
+
+    // Pression dans l'unité d'affichage (bar → kPag → unité courante)
+    const pressures = P_profile.map((P) =>
+      window.UnitConverter ? UnitConverter.fromSI('pressure', P * 100) : P * 100
+    );
+    const unit = window.UnitConverter ? UnitConverter.getUnitInfo('pressure').label : 'kPag';
+    const hasElevation = z_profile.some((z) => z !== z_profile[0]);
+
+    const scales = calculateScales(x_profile, pressures, z_profile, size);
+
+    if (hasElevation) {
+      drawElevation(ctx, scales, x_profile, z_profile);
+    }
+    drawGrid(ctx, scales);
+    drawAxes(ctx, scales, hasElevation);
+    drawZeroLine(ctx, scales);
+    drawCurve(ctx, scales, x_profile, pressures);
+    if (hasElevation) {
+      drawLowPoints(ctx, scales, lowPoints);
+    }
+    drawLabels(ctx, scales, unit, hasElevation);
+  }
+
+  // ========== REDIMENSIONNEMENT CANVAS ==========
+  function resizeCanvas(canvas) {
+    const rect = canvas.parentElement.getBoundingClientRect();
+    const dpr = window.devicePixelRatio || 1;
+
+    canvas.width = rect.width * dpr;
+    canvas.height = rect.height * dpr;
+    canvas.style.width = rect.width + 'px';
+    canvas.style.height = rect.height + 'px';
+
+    canvas.getContext('2d').scale(dpr, dpr);
+
+    return { width: rect.width, height: rect.height };
+  }
+
+  // ========== CALCUL ÉCHELLES ==========
+  function calculateScales(x_profile, pressures, z_profile, size) {
+    const x_max = Math.max(...x_profile) || 1;
+    const P_min = Math.min(...pressures, 0);
+    const P_max = Math.max(...pressures, 0);
+    const P_margin = (P_max - P_min) * 0.1 || 1;
+    const z_min = Math.min(...z_profile);
+    const z_max = Math.max(...z_profile);
+    const z_margin = (z_max - z_min) * 0.1 || 1;
+
+    const plotWidth = size.width - config.padding.left - config.padding.right;
+    const plotHeight = size.height - config.padding.top - config.padding.bottom;
+    const P_low = P_min - P_margin;
+    const P_high = P_max + P_margin;
+    const z_low = z_min - z_margin;
+    const z_high = z_max + z_margin;
+
+    return {
+      x_max,
+      P_min: P_low,
+      P_max: P_high,
+      z_min: z_low,
+      z_max: z_high,
+      plotWidth,
+      plotHeight,
+      width: size.width,
+      height: size.height,
+      xToPixel: (x) => config.padding.left + (x / x_max) * plotWidth,
+      PToPixel: (P) => config.padding.top + ((P_high - P) / (P_high - P_low)) * plotHeight,
+      zToPixel: (z) => config.padding.top + ((z_high - z) / (z_high - z_low)) * plotHeight,
+    };
+  }
+
+  // ========== PROFIL D'ALTITUDE ==========
+  function drawElevation(ctx, scales, x_profile, z_profile) {
+    const bottom = config.padding.top + scales.plotHeight;
+
+    ctx.beginPath();
+    ctx.moveTo(scales.xToPixel(x_profile[0]), bottom);
+    for (let i = 0; i < x_profile.length; i++) {
+      ctx.lineTo(scales.xToPixel(x_profile[i]), scales.zToPixel(z_profile[i]));
+    }
+    ctx.lineTo(scales.xToPixel(x_profile[x_profile.length - 1]), bottom);
+    ctx.closePath();
+    ctx.fillStyle = config.colors.elevationFill;
+    ctx.fill();
+
+    ctx.strokeStyle = config.colors.elevation;
+    ctx.lineWidth = 2;
+    ctx.beginPath();
+    for (let i = 0; i < x_profile.length; i++) {
+      const x = scales.xToPixel(x_profile[i]);
+      const y = scales.zToPixel(z_profile[i]);
+      if (i === 0) {
+        ctx.moveTo(x, y);
+      } else {
+        ctx.lineTo(x, y);
+      }
+    }
+    ctx.stroke();
+  }
+
+  // ========== GRILLE ==========
+  function drawGrid(ctx, scales) {
+    ctx.strokeStyle = config.colors.grid;
+    ctx.lineWidth = config.gridLineWidth;
+    ctx.setLineDash([2, 2]);
+
+    const P_step = calculateNiceStep(scales.P_max - scales.P_min, 5);
+    for (let P = Math.ceil(scales.P_min / P_step) * P_step; P <= scales.P_max; P += P_step) {
+      const y = scales.PToPixel(P);
+      ctx.beginPath();
+      ctx.moveTo(config.padding.left, y);
+      ctx.lineTo(config.padding.left + scales.plotWidth, y);
+      ctx.stroke();
+    }
+
+    const x_step = calculateNiceStep(scales.x_max, 5);
+    for (let x = 0; x <= scales.x_max; x += x_step) {
+      const px = scales.xToPixel(x);
+      ctx.beginPath();
+      ctx.moveTo(px, config.padding.top);
+      ctx.lineTo(px, config.padding.top + scales.plotHeight);
+      ctx.stroke();
+    }
+
+    ctx.setLineDash([]);
+  }
+
+  // ========== AXES ==========
+  function drawAxes(ctx, scales, hasElevation) {
+    ctx.strokeStyle = config.colors.axis;
+    ctx.lineWidth = 2;
+
+    const right = config.padding.left + scales.plotWidth;
+    const bottom = config.padding.top + scales.plotHeight;
+
+    ctx.beginPath();
+    ctx.moveTo(config.padding.left, config.padding.top);
+    ctx.lineTo(config.padding.left, bottom);
+    ctx.lineTo(right, bottom);
+    if (hasElevation) {
+      ctx.lineTo(right, config.padding.top);
+    }
+    ctx.stroke();
+  }
+
+  // ========== LIGNE DE PRESSION NULLE ==========
+  function drawZeroLine(ctx, scales) {
+    const y = scales.PToPixel(0);
+
+    ctx.strokeStyle = config.colors.zeroLine;
+    ctx.lineWidth = 2;
+    ctx.setLineDash([5, 5]);
+    ctx.beginPath();
+    ctx.moveTo(config.padding.left, y);
+    ctx.lineTo(config.padding.left + scales.plotWidth, y);
+    ctx.stroke();
+    ctx.setLineDash([]);
+
+    ctx.fillStyle = config.colors.zeroLine;
+    ctx.font = `${config.fontSize}px ${config.fontFamily}`;
+    ctx.textAlign = 'left';
+    ctx.fillText(t('pressureChart.zeroLine', 'Pression nulle'), config.padding.left + 5, y - 5);
+  }
+
+  // ========== COURBE P(x) ==========
+  function drawCurve(ctx, scales, x_profile, pressures) {
+    ctx.strokeStyle = config.colors.line;
+    ctx.lineWidth = config.lineWidth;
+    ctx.lineJoin = 'round';
+    ctx.lineCap = 'round';
+
+    ctx.beginPath();
+    for (let i = 0; i < x_profile.length; i++) {
+      const x = scales.xToPixel(x_profile[i]);
+      const y = scales.PToPixel(pressures[i]);
+      if (i === 0) {
+        ctx.moveTo(x, y);
+      } else {
+        ctx.lineTo(x, y);
+      }
+    }
+    ctx.stroke();
+  }
+
+  // ========== POINTS BAS ==========
+  function drawLowPoints(ctx, scales, lowPoints) {
+    ctx.fillStyle = config.colors.lowPoint;
+    ctx.font = `${config.fontSize}px ${config.fontFamily}`;
+    ctx.textAlign = 'center';
+
+    lowPoints.forEach((point) => {
+      const x = scales.xToPixel(point.x);
+      const y = scales.zToPixel(point.z);
+
+      // Triangle pointé vers le bas sous le point
+      ctx.beginPath();
+      ctx.moveTo(x, y + 2);
+      ctx.lineTo(x - 6, y + 12);
+      ctx.lineTo(x + 6, y + 12);
+      ctx.closePath();
+      ctx.fill();
+
+      ctx.fillText(t('pressureChart.lowPoint', 'Point bas'), x, y + 26);
+    });
+  }
+
+  // ========== LABELS ==========
+  function drawLabels(ctx, scales, unit, hasElevation) {
+    ctx.fillStyle = config.colors.text;
+    ctx.font = `${config.fontSize}px ${config.fontFamily}`;
+    ctx.textAlign = 'center';
+
+    const x_step = calculateNiceStep(scales.x_max, 5);
+    for (let x = 0; x <= scales.x_max; x += x_step) {
+      ctx.fillText(x.toFixed(0), scales.xToPixel(x), config.padding.top + scales.plotHeight + 20);
+    }
+
+    ctx.font = `bold ${config.fontSize + 2}px ${config.fontFamily}`;
+    ctx.fillText(t('chart.axisPosition', 'Position (m)'), scales.width / 2, scales.height - 10);
+
+    // Axe de gauche: pression
+    ctx.textAlign = 'right';
+    ctx.font = `${config.fontSize}px ${config.fontFamily}`;
+    const P_step = calculateNiceStep(scales.P_max - scales.P_min, 5);
+    for (let P = Math.ceil(scales.P_min / P_step) * P_step; P <= scales.P_max; P += P_step) {
+      ctx.fillText(P.toFixed(P_step < 1 ? 1 : 0), config.padding.left - 10, scales.PToPixel(P) + 4);
+    }
+
+    ctx.save();
+    ctx.translate(15, scales.height / 2);
+    ctx.rotate(-Math.PI / 2);
+    ctx.textAlign = 'center';
+    ctx.font = `bold ${config.fontSize + 2}px ${config.fontFamily}`;
+    ctx.fillText(`${t('pressureChart.axisPressure', 'Pression')} (${unit})`, 0, 0);
+    ctx.restore();
+
+    if (!hasElevation) {
+      return;
+    }
+
+    // Axe de droite: altitude
+    const right = config.padding.left + scales.plotWidth;
+    ctx.fillStyle = config.colors.elevation;
+    ctx.textAlign = 'left';
+    ctx.font = `${config.fontSize}px ${config.fontFamily}`;
+    const z_step = calculateNiceStep(scales.z_max - scales.z_min, 5);
+    for (let z = Math.ceil(scales.z_min / z_step) * z_step; z <= scales.z_max; z += z_step) {
+      ctx.fillText(z.toFixed(z_step < 1 ? 1 : 0) + ' m', right + 10, scales.zToPixel(z) + 4);
+    }
+
+    ctx.save();
+    ctx.translate(scales.width - 15, scales.height / 2);
+    ctx.rotate(Math.PI / 2);
+    ctx.textAlign = 'center';
+    ctx.font = `bold ${config.fontSize + 2}px ${config.fontFamily}`;
+    ctx.fillText(t('pressureChart.axisElevation', 'Altitude (m)'), 0, 0);
+    ctx.restore();
+  }
+
+  // ========== UTILITAIRES ==========
+  function calculateNiceStep(range, targetSteps) {
+    const rawStep = range / targetSteps;
+    const magnitude = Math.pow(10, Math.floor(Math.log10(rawStep)));
+    const normalized = rawStep / magnitude;
+
+    if (normalized < 1.5) {
+      return magnitude;
+    } else if (normalized < 3) {
+      return 2 * magnitude;
+    } else if (normalized < 7) {
+      return 5 * magnitude;
+    }
+    return 10 * magnitude;
+  }
+
+  // ========== EXPORT ==========
+  window.PressureChart = {
+    draw: drawChart,
+  };
+})();
@@ -15,8 +15,8 @@
   'use strict';
 
   // ========== CONSTANTES ==========
-  const FREEZE_TEMP_TARGET = 0.01; // °C - Cible pour point critique gel
-  const SAFETY_THRESHOLD = 5; // °C - Marge de sécurité opérationnelle standard industrielle
+  const FREEZE_TEMP_TARGET = 0.01; // °C - Cible pour point critique gel (au-dessus du point de congélation)
+  const SAFETY_THRESHOLD = 5; // °C - Marge de sécurité opérationnelle standard industrielle (au-dessus du point de congélation)
   const CURVE_SAMPLING_POINTS = 250; // Augmenté de 75 à 250 pour haute précision
   const SAFE_BOUND_MAX_ITERATIONS = 15; // Pour dichotomie de recherche de borne valide
   const FALLBACK_RANGE_PERCENT = 0.2; // ±20% autour de baseValue si tout échoue
@@ -232,10 +232,19 @@
    * GARANTIT: Config identique à celle générée par getFormData() du formulaire
    *
    * Cette fonction assure que TOUS les champs dérivés sont recalculés correctement:
-   * - numSegments basé sur totalLength (formule: Math.min(Math.max(Math.ceil(L/5), 10), 100))
-   * - fluid.m_dot basé sur flowM3PerHr avec densité eau à T_in et P
+   * - numSegments basé sur totalLength (formule: Math.min(Math.max(Math.ceil(L/5), 10), 100)),
+   *   sans découpage adaptatif: un balayage de 20+ points reste rapide (le cas de base
+   *   de analyzeSensitivity1D est calculé avec le même découpage)
+   * - fluid.m_dot basé sur flowM3PerHr avec densité du fluide à T_in et P
    * - Conversions d'unités (km/h → m/s, mm → m)
    *
+   * Tous les autres champs de la config de base sont conservés tels quels
+   * (traçage, enfouissement, ciel, orientation, zones ambiantes, profil d'altitude,
+   * raccords, ponts thermiques, air humide...): seul le paramètre balayé change.
+   * Pour L, les positions absolues (profil d'altitude, accessoires et ponts placés)
+   * sont remises à l'échelle par scaleNetworkLength(), comme si le formulaire avait
+   * été rempli avec la nouvelle longueur.
+   *
    * Cela garantit que calculatePipeNetwork() reçoit une config 100% cohérente,
    * identique à celle du formulaire principal.
    *
@@ -246,6 +255,7 @@
    */
   function rebuildConfig(baseConfig, paramKey, newValue) {
     // 1. Extraire valeurs de base (shallow copy pour éviter mutations)
+    //    La géométrie conserve la rugosité de l'état de conduite choisi (meta.condition)
     const geometry = { ...baseConfig.geometry };
     const insulation = baseConfig.insulation ? { ...baseConfig.insulation } : null;
     const meta = { ...baseConfig.meta };
@@ -298,35 +308,43 @@
     // 4a. Conversion débit: m³/h → kg/s
     //     IMPORTANT: Densité calculée à T_in et P (comme formulaire)
     let rho_water = 1000; // Défaut sécuritaire
-    if (typeof window.WaterProperties !== 'undefined') {
+    if (typeof window.FluidProperties !== 'undefined') {
       try {
-        const waterProps = window.WaterProperties.getWaterProperties(T_in, P_bar);
-        rho_water = waterProps.rho;
+        const fluidProps = window.FluidProperties.getFluidProperties(baseConfig.fluid, T_in, P_bar);
+        rho_water = fluidProps.rho;
       } catch (e) {
-        console.warn(`rebuildConfig: Densité eau fallback à 1000 kg/m³`);
+        console.warn(`rebuildConfig: Densité fluide fallback à 1000 kg/m³`);
       }
     }
     const flowM3PerS = flowM3PerHr / 3600; // m³/h → m³/s
     const flowKgPerS = flowM3PerS * rho_water; // m³/s → kg/s
 
-    // 4b. Calcul numSegments (MÊME FORMULE que formulaire - critique!)
+    // 4b. Calcul numSegments (MÊME FORMULE que le découpage initial du formulaire)
     //     Formule: Math.min(Math.max(Math.ceil(L/5), 10), 100)
     const numSegments = Math.min(Math.max(Math.ceil(totalLength / 5), 10), 100);
 
     // 4c. Conversion vent: km/h → m/s
     const V_wind_ms = V_wind_kmh / 3.6;
 
-    // 5. Construire et retourner configuration complète
+    // 4d. Positions absolues à l'échelle de la nouvelle longueur
+    const positioned =
+      paramKey === 'L' ? window.scaleNetworkLength(baseConfig, totalLength) : baseConfig;
+
+    // 5. Construire et retourner configuration complète (champs non balayés conservés)
     return {
+      ...positioned,
       geometry: geometry,
       totalLength: totalLength,
       numSegments: numSegments, // ← CRUCIAL: recalculé correctement
+      adaptive: false,
       fluid: {
+        ...baseConfig.fluid,
         T_in: T_in,
         P: P_bar,
         m_dot: flowKgPerS, // ← CRUCIAL: recalculé avec bonne densité
       },
       ambient: {
+        ...baseConfig.ambient,
         T_amb: T_amb,
         V_wind: V_wind_ms,
       },
@@ -354,10 +372,11 @@
   function analyzeSensitivity1D(baseConfig) {
     const results = [];
 
-    // Calculer T_final au cas de base (une seule fois)
+    // Calculer T_final au cas de base (une seule fois), avec le découpage fixe des
+    // balayages (rebuildConfig): les écarts ne mélangent pas deux discrétisations
     let T_base = null;
     try {
-      const baseResult = calculatePipeNetwork(baseConfig);
+      const baseResult = calculatePipeNetwork({ ...baseConfig, adaptive: false });
       T_base = baseResult.T_final;
     } catch (error) {
       console.error('Erreur calcul cas de base:', error);
@@ -399,9 +418,16 @@
     const safeBound = identifySafeBound(bounds, paramDef);
 
     // 3. Déterminer si les points critiques sont atteignables
+    //    (cibles relatives au point de congélation du fluide, 0°C pour l'eau)
     const criticalValues = { freeze: null, safety: null };
-
-    if (safeBound.T_final < FREEZE_TEMP_TARGET) {
+    const T_freeze =
+      typeof window.FluidProperties !== 'undefined'
+        ? window.FluidProperties.freezingPoint(baseConfig.fluid)
+        : 0;
+    const freezeTarget = T_freeze + FREEZE_TEMP_TARGET;
+    const safetyTarget = T_freeze + SAFETY_THRESHOLD;
+
+    if (safeBound.T_final < freezeTarget) {
       // SAFE déjà gelé → gel et sécurité hors plage
       return createResult(
         paramKey,
@@ -417,7 +443,7 @@
       );
     }
 
-    if (safeBound.T_final < SAFETY_THRESHOLD) {
+    if (safeBound.T_final < safetyTarget) {
       // SAFE < 5°C → sécurité hors plage, mais gel peut-être atteignable
       criticalValues.safety = null;
     } else {
@@ -428,7 +454,7 @@
         paramDef,
         safeBound,
         safeBound.oppositeBound,
-        SAFETY_THRESHOLD
+        safetyTarget
       );
     }
 
@@ -439,7 +465,7 @@
       paramDef,
       safeBound,
       safeBound.oppositeBound,
-      FREEZE_TEMP_TARGET
+      freezeTarget
     );
 
     return createResult(
@@ -853,5 +879,6 @@
   window.SensitivityAnalysis1D = {
     analyze: analyzeSensitivity1D,
     generateSummaryTable: generateSummaryTable,
+    rebuildConfig: rebuildConfig,
   };
 })();
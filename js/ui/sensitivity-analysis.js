@@ -481,6 +481,7 @@
    * - m_dot: m³/hr → kg/s (via densité eau dépendante T/P)
    * - V_wind: km/h → m/s (÷ 3.6)
    * - t_insul: mm → m (÷ 1000)
+   * - L: positions absolues remises à l'échelle (scaleNetworkLength)
    *
    * @param {Object} config - Configuration à modifier (mutée in-place)
    * @param {string} paramKey - Clé du paramètre (ex: 'm_dot', 'V_wind', 't_insul')
@@ -503,10 +504,14 @@
       const P_water = config.fluid.P;
 
       let rho_water = 1000; // Valeur par défaut [kg/m³] à 20°C, 1 bar
-      if (typeof window.WaterProperties !== 'undefined') {
+      if (typeof window.FluidProperties !== 'undefined') {
         try {
-          const waterProps = window.WaterProperties.getWaterProperties(T_water, P_water);
-          rho_water = waterProps.rho;
+          const fluidProps = window.FluidProperties.getFluidProperties(
+            config.fluid,
+            T_water,
+            P_water
+          );
+          rho_water = fluidProps.rho;
         } catch (e) {
           console.warn(
             `Impossible d'obtenir rho_water à T=${T_water}°C, P=${P_water} bar. Utilisation: ${rho_water} kg/m³`
@@ -528,8 +533,12 @@
       // Épaisseur isolation: mm (affichage) → m (interne)
       const thicknessM = displayValue / 1000.0;
       setValueByPath(config, paramDef.path, thicknessM);
+    } else if (paramKey === 'L') {
+      // Longueur: positions absolues (profil d'altitude, accessoires et ponts placés)
+      // remises à l'échelle, comme le balayage 1D
+      Object.assign(config, window.scaleNetworkLength(config, displayValue));
     } else {
-      // Pas de conversion nécessaire (L, T_in, T_amb)
+      // Pas de conversion nécessaire (T_in, T_amb)
       setValueByPath(config, paramDef.path, displayValue);
     }
   }
@@ -803,12 +812,13 @@
           // Calculer le réseau
           const result = calculatePipeNetwork(adjustedConfig);
 
-          // Si température atteint ou dépasse le point de gel, figer à 0°C
+          // Si température atteint ou dépasse le point de gel, figer au point de congélation
           const T_final = result.T_final;
-          const isFrozen = T_final <= 0;
+          const isFrozen = T_final <= result.T_freeze;
 
           row.push({
-            T_final: isFrozen ? 0.0 : T_final,
+            T_final: isFrozen ? result.T_freeze : T_final,
+            T_freeze: result.T_freeze,
             success: true,
             adjusted: adjustedConfig !== config,
             frozen: isFrozen,
@@ -825,12 +835,13 @@
             );
             const result = calculatePipeNetwork(fallbackConfig);
 
-            // Si température atteint ou dépasse le point de gel, figer à 0°C
+            // Si température atteint ou dépasse le point de gel, figer au point de congélation
             const T_final = result.T_final;
-            const isFrozen = T_final <= 0;
+            const isFrozen = T_final <= result.T_freeze;
 
             row.push({
-              T_final: isFrozen ? 0.0 : T_final,
+              T_final: isFrozen ? result.T_freeze : T_final,
+              T_freeze: result.T_freeze,
               success: true,
               adjusted: true,
               fallback: true,
@@ -878,6 +889,9 @@
   function adjustConfigForStability(config, valueX, valueY, paramDefX, paramDefY) {
     const adjusted = JSON.parse(JSON.stringify(config));
 
+    // Découpage fixe: l'étude de convergence multiplierait le coût de chaque cellule
+    delete adjusted.adaptive;
+
     // NE JAMAIS modifier les paramètres X et Y - ce sont ceux qu'on analyse!
     const paramPathsToPreserve = [paramDefX.path.join('.'), paramDefY.path.join('.')];
 
@@ -913,6 +927,7 @@
     }
 
     // Réduire le nombre de segments pour accélérer (pas un paramètre physique)
+    delete fallback.adaptive;
     fallback.numSegments = Math.min(50, fallback.numSegments);
 
     return fallback;
@@ -1014,7 +1029,7 @@
 
         if (cell.success) {
           // Couleur selon température
-          ctx.fillStyle = getTemperatureColor(cell.T_final);
+          ctx.fillStyle = getTemperatureColor(cell.T_final - cell.T_freeze);
         } else {
           // Gris pour les échecs
           ctx.fillStyle = '#cccccc';
@@ -1040,8 +1055,8 @@
           // Formatter la valeur avec signe et unité
           let valueText;
           if (cell.frozen) {
-            // Condition de gel - afficher 0.0°C
-            valueText = '0.0°C';
+            // Condition de gel - afficher le point de congélation
+            valueText = `${cell.T_final.toFixed(1)}°C`;
           } else {
             const sign = cell.T_final >= 0 ? '+' : '';
             valueText = `${sign}${cell.T_final.toFixed(1)}°C`;
@@ -1080,6 +1095,9 @@
   }
 
   // ========== COULEUR SELON TEMPÉRATURE ==========
+  /**
+   * @param {number} T - Écart au point de congélation du fluide [°C] (T pour l'eau)
+   */
   function getTemperatureColor(T) {
     // Utiliser les mêmes couleurs que le profil de température
     if (T <= 0) {
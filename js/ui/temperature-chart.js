@@ -6,7 +6,9 @@
  * Affiche:
  * - Courbe T(x)
  * - Trois zones de risque (vert/jaune/rouge)
- * - Lignes horizontales à 0°C (gel) et temperatureGel (marge)
+ * - Lignes horizontales au point de congélation du fluide (gel) et temperatureGel (marge)
+ * - Bandes verticales des zones ambiantes (optionnel)
+ * - Marches aux ponts thermiques ponctuels et repères sur l'axe (optionnel)
  * - Grille et axes
  */
 
@@ -31,6 +33,11 @@
       zoneGreen: '#DFFFD6',
       zoneYellow: '#FFF4CC',
       zoneRed: '#FFD6D6',
+      // Zones ambiantes (alternées)
+      ambientZones: ['rgba(99, 102, 241, 0.12)', 'rgba(14, 165, 233, 0.12)'],
+      ambientZoneBorder: '#6366f1',
+      // Ponts thermiques
+      bridgeMarker: '#ea580c',
     },
     lineWidth: 3,
     gridLineWidth: 1,
@@ -46,8 +53,17 @@
    * @param {Array<number>} T_profile - Températures [°C]
    * @param {number} T_freeze - Température de gel [°C]
    * @param {number} margeSurete - Marge de sécurité [°C]
+   * @param {Array<Object>} [ambientZones] - Zones ambiantes {x_start, x_end, T_amb, label}
+   * @param {Array<Object>} [pointLosses] - Chutes aux ponts thermiques {x, T_before, T_after}
    */
-  function drawChart(x_profile, T_profile, T_freeze = 0, margeSurete = MARGE_SURETE_GEL) {
+  function drawChart(
+    x_profile,
+    T_profile,
+    T_freeze = 0,
+    margeSurete = MARGE_SURETE_GEL,
+    ambientZones = [],
+    pointLosses = []
+  ) {
     const canvas = document.getElementById('temperature-chart');
     if (!canvas) {
       console.error('Canvas temperature-chart non trouvé');
@@ -65,19 +81,66 @@
     // Calculer température seuil (avec marge)
     const temperatureGel = T_freeze + margeSurete;
 
+    // Profil en marches aux ponts thermiques
+    const stepped = buildSteppedProfile(x_profile, T_profile, pointLosses);
+
     // Calculer les échelles
-    const scales = calculateScales(x_profile, T_profile, T_freeze, temperatureGel, canvas);
+    const scales = calculateScales(stepped.x, stepped.T, T_freeze, temperatureGel, canvas);
 
     // Dessiner les éléments (ordre important pour z-index)
     drawRiskZones(ctx, scales, T_freeze, temperatureGel);
+    drawAmbientZones(ctx, scales, ambientZones);
     drawGrid(ctx, scales);
     drawAxes(ctx, scales);
     drawFreezeLine(ctx, scales, T_freeze);
     drawMarginLine(ctx, scales, temperatureGel);
-    drawTemperatureCurve(ctx, scales, x_profile, T_profile);
+    drawTemperatureCurve(ctx, scales, stepped.x, stepped.T, x_profile, T_profile);
+    drawBridgeMarkers(ctx, scales, pointLosses);
     drawLabels(ctx, scales);
   }
 
+  // ========== PROFIL EN MARCHES ==========
+  /**
+   * Insère les chutes ponctuelles dans le profil: T_profile donne la température
+   * en aval de chaque noeud; un pont au noeud k ajoute (x, T_before) avant lui.
+   * À l'entrée (x = 0), T_profile[0] est la température amont: les T_after suivent.
+   */
+  function buildSteppedProfile(x_profile, T_profile, pointLosses) {
+    if (!Array.isArray(pointLosses) || pointLosses.length === 0) {
+      return { x: x_profile, T: T_profile };
+    }
+
+    const x = [];
+    const T = [];
+    let next = 0;
+
+    for (let k = 0; k < x_profile.length; k++) {
+      const atNode = [];
+      while (next < pointLosses.length && pointLosses[next].x <= x_profile[k] + 1e-9) {
+        atNode.push(pointLosses[next]);
+        next++;
+      }
+
+      if (k === 0) {
+        x.push(x_profile[0]);
+        T.push(T_profile[0]);
+        atNode.forEach((loss) => {
+          x.push(loss.x);
+          T.push(loss.T_after);
+        });
+      } else {
+        atNode.forEach((loss) => {
+          x.push(x_profile[k]);
+          T.push(loss.T_before);
+        });
+        x.push(x_profile[k]);
+        T.push(T_profile[k]);
+      }
+    }
+
+    return { x, T };
+  }
+
   // ========== REDIMENSIONNEMENT CANVAS ==========
   function resizeCanvas(canvas) {
     const container = canvas.parentElement;
@@ -216,6 +279,51 @@
     }
   }
 
+  // ========== ZONES AMBIANTES ==========
+  function drawAmbientZones(ctx, scales, ambientZones) {
+    if (!Array.isArray(ambientZones) || ambientZones.length === 0) {
+      return;
+    }
+
+    const y_top = config.padding.top;
+    const y_bottom = config.padding.top + scales.plotHeight;
+
+    ctx.save();
+    ctx.font = `${config.fontSize}px ${config.fontFamily}`;
+    ctx.textAlign = 'center';
+
+    ambientZones.forEach((zone, i) => {
+      const px_start = scales.xToPixel(Math.max(zone.x_start, scales.x_min));
+      const px_end = scales.xToPixel(Math.min(zone.x_end, scales.x_max));
+      if (px_end <= px_start) {
+        return;
+      }
+
+      // Bande
+      ctx.fillStyle = config.colors.ambientZones[i % config.colors.ambientZones.length];
+      ctx.fillRect(px_start, y_top, px_end - px_start, y_bottom - y_top);
+
+      // Frontières
+      ctx.strokeStyle = config.colors.ambientZoneBorder;
+      ctx.lineWidth = 1;
+      ctx.setLineDash([4, 4]);
+      ctx.beginPath();
+      ctx.moveTo(px_start, y_top);
+      ctx.lineTo(px_start, y_bottom);
+      ctx.moveTo(px_end, y_top);
+      ctx.lineTo(px_end, y_bottom);
+      ctx.stroke();
+      ctx.setLineDash([]);
+
+      // Libellé (nom + température de l'air)
+      const label = zone.label ? `${zone.label} (${zone.T_amb}°C)` : `${zone.T_amb}°C`;
+      ctx.fillStyle = config.colors.ambientZoneBorder;
+      ctx.fillText(label, (px_start + px_end) / 2, y_top - 8);
+    });
+
+    ctx.restore();
+  }
+
   // ========== LIGNE DE GEL ==========
   function drawFreezeLine(ctx, scales, T_freeze) {
     const y = scales.TToPixel(T_freeze);
@@ -261,7 +369,7 @@
   }
 
   // ========== COURBE TEMPÉRATURE ==========
-  function drawTemperatureCurve(ctx, scales, x_profile, T_profile) {
+  function drawTemperatureCurve(ctx, scales, x_curve, T_curve, x_profile, T_profile) {
     ctx.strokeStyle = config.colors.line;
     ctx.lineWidth = config.lineWidth;
     ctx.lineJoin = 'round';
@@ -269,9 +377,9 @@
 
     ctx.beginPath();
 
-    for (let i = 0; i < x_profile.length; i++) {
-      const x = scales.xToPixel(x_profile[i]);
-      const y = scales.TToPixel(T_profile[i]);
+    for (let i = 0; i < x_curve.length; i++) {
+      const x = scales.xToPixel(x_curve[i]);
+      const y = scales.TToPixel(T_curve[i]);
 
       if (i === 0) {
         ctx.moveTo(x, y);
@@ -282,7 +390,7 @@
 
     ctx.stroke();
 
-    // Points
+    // Points (noeuds de calcul)
     ctx.fillStyle = config.colors.line;
     for (let i = 0; i < x_profile.length; i++) {
       const x = scales.xToPixel(x_profile[i]);
@@ -294,6 +402,31 @@
     }
   }
 
+  // ========== PONTS THERMIQUES ==========
+  function drawBridgeMarkers(ctx, scales, pointLosses) {
+    if (!Array.isArray(pointLosses) || pointLosses.length === 0) {
+      return;
+    }
+
+    const y_axis = config.padding.top + scales.plotHeight;
+
+    ctx.save();
+    ctx.fillStyle = config.colors.bridgeMarker;
+
+    // Triangle pointant vers l'axe à chaque position
+    pointLosses.forEach((loss) => {
+      const px = scales.xToPixel(loss.x);
+      ctx.beginPath();
+      ctx.moveTo(px, y_axis - 2);
+      ctx.lineTo(px - 4, y_axis - 9);
+      ctx.lineTo(px + 4, y_axis - 9);
+      ctx.closePath();
+      ctx.fill();
+    });
+
+    ctx.restore();
+  }
+
   // ========== LABELS ==========
   function drawLabels(ctx, scales) {
     ctx.fillStyle = config.colors.text;
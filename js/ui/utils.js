@@ -169,7 +169,9 @@
       mineral_wool: 'rockwool',
       polyurethane_foam: 'foam',
       polystyrene_extruded: 'polystyrene',
+      polystyrene_expanded: 'eps',
       elastomeric_foam: 'elastomeric',
+      aerogel_blanket: 'aerogel',
     };
     return mapping[technicalId] || technicalId;
   }
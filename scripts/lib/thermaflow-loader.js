@@ -7,13 +7,18 @@
 
 const fs = require('fs');
 const path = require('path');
-
-// Constantes pour validation externe
-const ROUGHNESS_BY_MATERIAL = {
-  steel: 0.045e-3, // m (acier commercial)
-  copper: 0.0015e-3, // m (cuivre)
-  stainless_steel: 0.015e-3, // m (inox)
-};
+const {
+  getPipeRoughness,
+  listRoughnessMaterials,
+} = require('../../js/properties/pipe-roughness.js');
+
+// Constantes pour validation externe: rugosité des conduites neuves [m], tirée de la
+// table des rugosités (alias conservé pour les scripts existants)
+const ROUGHNESS_BY_MATERIAL = Object.freeze(
+  Object.fromEntries(
+    listRoughnessMaterials().map((material) => [material, getPipeRoughness(material).roughness])
+  )
+);
 
 // Seuils pour identifier les écarts significatifs
 const VALIDATION_THRESHOLDS = {
@@ -31,24 +36,39 @@ function loadThermaFlowModules(rootDir) {
   // Charger les tables de données
   const { waterTablesData } = require(path.join(rootDir, 'data', 'fluids', 'water-tables.js'));
   const { airTablesData } = require(path.join(rootDir, 'data', 'fluids', 'air-tables.js'));
+  const { glycolTablesData } = require(path.join(rootDir, 'data', 'fluids', 'glycol-tables.js'));
+  const { foulingData } = require(path.join(rootDir, 'data', 'fluids', 'fouling.js'));
   const { materialPropertiesData } = require(
     path.join(rootDir, 'data', 'materials', 'properties.js')
   );
+  const { soilPropertiesData } = require(path.join(rootDir, 'data', 'materials', 'soils.js'));
+  const { fittingsData } = require(path.join(rootDir, 'data', 'pipes', 'fittings.js'));
+  const { thermalBridgesData } = require(path.join(rootDir, 'data', 'pipes', 'thermal-bridges.js'));
+  const { pipeRoughnessData } = require(path.join(rootDir, 'data', 'pipes', 'roughness.js'));
 
   // Créer contexte global pour simuler window
   global.window = {
     WaterTablesData: waterTablesData,
     AirTablesData: airTablesData,
+    GlycolTablesData: glycolTablesData,
+    FoulingData: foulingData,
     MaterialPropertiesData: materialPropertiesData,
+    SoilPropertiesData: soilPropertiesData,
+    FittingsData: fittingsData,
+    ThermalBridgesData: thermalBridgesData,
+    PipeRoughnessData: pipeRoughnessData,
   };
 
   // Charger TOUS les modules dans l'ordre des dépendances
   // 1. Properties
   const waterProperties = require(path.join(rootDir, 'js', 'properties', 'water-properties.js'));
+  const _fluidProperties = require(path.join(rootDir, 'js', 'properties', 'fluid-properties.js'));
   const _airProperties = require(path.join(rootDir, 'js', 'properties', 'air-properties.js'));
   const _materialPropertiesModule = require(
     path.join(rootDir, 'js', 'properties', 'material-properties.js')
   );
+  const _soilProperties = require(path.join(rootDir, 'js', 'properties', 'soil-properties.js'));
+  const pipeRoughness = require(path.join(rootDir, 'js', 'properties', 'pipe-roughness.js'));
 
   // 2. Formulas
   const _reynolds = require(path.join(rootDir, 'js', 'formulas', 'reynolds.js'));
@@ -67,12 +87,23 @@ function loadThermaFlowModules(rootDir) {
     path.join(rootDir, 'js', 'calculations', 'thermal-resistance.js')
   );
   const _heatTransfer = require(path.join(rootDir, 'js', 'calculations', 'heat-transfer.js'));
+  const _heatTracing = require(path.join(rootDir, 'js', 'calculations', 'heat-tracing.js'));
+  const _buriedPipe = require(path.join(rootDir, 'js', 'calculations', 'buried-pipe.js'));
+  const _minorLosses = require(path.join(rootDir, 'js', 'calculations', 'minor-losses.js'));
+  const _thermalBridges = require(path.join(rootDir, 'js', 'calculations', 'thermal-bridges.js'));
+  const _fouling = require(path.join(rootDir, 'js', 'calculations', 'fouling.js'));
+  const _skyRadiation = require(path.join(rootDir, 'js', 'calculations', 'sky-radiation.js'));
+  const _windExposure = require(path.join(rootDir, 'js', 'calculations', 'wind-exposure.js'));
+  const _insulationLayers = require(
+    path.join(rootDir, 'js', 'calculations', 'insulation-layers.js')
+  );
 
   // 5. Engine
   const _pipeSegment = require(path.join(rootDir, 'js', 'engine', 'pipe-segment.js'));
+  const _iceLayer = require(path.join(rootDir, 'js', 'engine', 'ice-layer.js'));
   const pipeNetwork = require(path.join(rootDir, 'js', 'engine', 'pipe-network.js'));
 
-  return { waterProperties, pipeNetwork };
+  return { waterProperties, pipeRoughness, pipeNetwork };
 }
 
 /**
@@ -172,11 +203,11 @@ function convertInputsToNetworkConfig(inputs, pipeSpecsHelper, modules) {
 
   const D_inner = specs.ID / 1000.0;
   const D_outer = specs.OD / 1000.0;
-  const roughness = ROUGHNESS_BY_MATERIAL[pipe.material];
-
-  if (!roughness) {
-    throw new Error(`Rugosité inconnue pour matériau: ${pipe.material}`);
-  }
+  // Rugosité: valeur saisie (mm), sinon table des rugosités selon l'état (neuf par défaut)
+  const roughness =
+    pipe.roughness_mm !== undefined
+      ? pipe.roughness_mm / 1000.0
+      : modules.pipeRoughness.getPipeRoughness(pipe.material, pipe.condition || 'new').roughness;
 
   const numSegments = Math.min(Math.max(Math.ceil(pipe.length_m / 5), 10), 100);
 
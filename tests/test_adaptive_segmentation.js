@@ -0,0 +1,339 @@
+/**
+ * test_adaptive_segmentation.js
+ *
+ * Tests pour le découpage adaptatif et l'étude de convergence (engine/pipe-network.js)
+ *
+ * Teste:
+ * - Nusselt moyen d'un segment depuis l'entrée thermique (nusseltInternalSegment)
+ * - Nusselt laminaire: entrée thermique au début du tronçon, indépendance vis-à-vis du
+ *   découpage (fixe et adaptatif)
+ * - Convergence de T_final (conduite isolée), de la position de gel et de la perte de
+ *   charge avec glace en paroi
+ * - Limite du nombre de segments et validation des réglages
+ *
+ * Exécution: node tests/test_adaptive_segmentation.js
+ */
+
+const nusseltInternal = require('../js/correlations/nusselt-internal.js');
+const pipeNetwork = require('../js/engine/pipe-network.js');
+
+const { nusseltInternalSegment } = nusseltInternal;
+const { calculatePipeNetwork } = pipeNetwork;
+
+// Compteur de tests
+let testsTotal = 0;
+let testsPassed = 0;
+
+/**
+ * Fonction helper pour assertion
+ */
+function assert(condition, message) {
+  testsTotal++;
+  if (condition) {
+    testsPassed++;
+  } else {
+    console.error(`  ❌ ÉCHEC: ${message}`);
+  }
+}
+
+/**
+ * Fonction helper pour assertion approximative
+ */
+function assertApprox(actual, expected, tolerance, message) {
+  testsTotal++;
+  const diff = Math.abs(actual - expected);
+  const relError = Math.abs(diff / expected);
+
+  if (diff <= tolerance || relError <= tolerance) {
+    testsPassed++;
+  } else {
+    console.error(`  ❌ ÉCHEC: ${message}`);
+    console.error(`     Attendu: ${expected}, Obtenu: ${actual}, Différence: ${diff}`);
+  }
+}
+
+/**
+ * Fonction helper pour tester les erreurs
+ */
+function assertThrows(fn, message) {
+  testsTotal++;
+  try {
+    fn();
+    console.error(`  ❌ ÉCHEC: ${message} (aucune erreur levée)`);
+  } catch (e) {
+    testsPassed++;
+  }
+}
+
+console.log('\n' + '='.repeat(70));
+console.log('TESTS: découpage adaptatif (pipe-network.js)');
+console.log('='.repeat(70) + '\n');
+
+// ========== SUITE 1: NUSSELT D'UN SEGMENT ==========
+console.log("Suite 1: Nusselt moyen d'un segment depuis l'entrée thermique\n");
+
+const D = 0.0525;
+assertApprox(
+  nusseltInternalSegment(1500, 7.0, D, 0, 10),
+  nusseltInternal.nusseltInternal(1500, 7.0, D, 10),
+  1e-12,
+  "Premier segment: Nusselt moyen depuis l'entrée"
+);
+assertApprox(
+  nusseltInternalSegment(1500, 7.0, D, 0, 10) * 10 +
+    nusseltInternalSegment(1500, 7.0, D, 10, 10) * 10,
+  nusseltInternal.nusseltInternal(1500, 7.0, D, 20) * 20,
+  1e-9,
+  'Deux segments de 10 m = une course de 20 m (transfert additif)'
+);
+assert(
+  nusseltInternalSegment(1500, 7.0, D, 10, 10) < nusseltInternalSegment(1500, 7.0, D, 0, 10),
+  "Laminaire: moins de transfert loin de l'entrée"
+);
+assertApprox(
+  nusseltInternalSegment(50000, 7.0, D, 40, 10),
+  nusseltInternal.nusseltInternal(50000, 7.0, D, 10),
+  1e-12,
+  "Turbulent: sans effet de la distance à l'entrée"
+);
+assertThrows(() => nusseltInternalSegment(1500, 7.0, D, -1, 10), 'Distance négative rejetée');
+assertThrows(() => nusseltInternalSegment(1500, 7.0, D, NaN, 10), 'Distance NaN rejetée');
+
+// ========== SUITE 2: DÉCOUPAGE FIXE ==========
+console.log('\nSuite 2: Découpage fixe\n');
+
+const insulatedConfig = {
+  geometry: { D_inner: 0.0525, D_outer: 0.0603, roughness: 0.045e-3, material: 'steel' },
+  totalLength: 200,
+  numSegments: 10,
+  fluid: { T_in: 60, P: 3.0, m_dot: 2.0 },
+  ambient: { T_amb: -10, V_wind: 5 },
+  insulation: { material: 'fiberglass', thickness: 0.02 },
+};
+
+const fixed = calculatePipeNetwork(insulatedConfig);
+assert(fixed.convergence === null, 'Sans adaptive: aucune étude de convergence');
+assert(fixed.segmentResults.length === 10, 'Sans adaptive: numSegments respecté');
+
+// Laminaire: l'entrée thermique est au début du tronçon, le découpage ne la relance pas
+const laminarConfig = { ...insulatedConfig, fluid: { T_in: 60, P: 3.0, m_dot: 0.02 } };
+const laminarCoarse = calculatePipeNetwork({ ...laminarConfig, numSegments: 5 });
+const laminarFine = calculatePipeNetwork({ ...laminarConfig, numSegments: 80 });
+assert(laminarFine.segmentResults[0].Re < 2300, 'Cas laminaire');
+assertApprox(
+  laminarCoarse.T_final,
+  laminarFine.T_final,
+  0.02,
+  'Découpage fixe: T_final laminaire quasi indépendante du découpage (5 vs 80 segments)'
+);
+
+// Même modèle d'entrée thermique en mode adaptatif (maxSegments = numSegments: un seul
+// calcul uniforme)
+const laminarAdaptive = calculatePipeNetwork({
+  ...laminarConfig,
+  numSegments: 80,
+  adaptive: { maxSegments: 80 },
+});
+assertApprox(
+  laminarAdaptive.T_final,
+  laminarFine.T_final,
+  1e-9,
+  'Découpage uniforme identique: même T_final en fixe et en adaptatif'
+);
+
+assertThrows(
+  () => calculatePipeNetwork({ ...insulatedConfig, numSegments: undefined }),
+  'Sans adaptive: numSegments obligatoire'
+);
+
+// ========== SUITE 3: CONVERGENCE DE T_FINAL ==========
+console.log('\nSuite 3: Convergence de T_final\n');
+
+const adaptive = calculatePipeNetwork({ ...insulatedConfig, adaptive: true });
+const conv = adaptive.convergence;
+
+assert(conv !== null && conv.converged, 'Conduite isolée: convergence atteinte');
+assert(conv.passes >= 2 && conv.history.length === conv.passes, 'Au moins un raffinement');
+assert(conv.T_final_error <= conv.tolerance, 'Écart sur T_final sous la tolérance');
+assert(conv.tolerance === 0.01, 'Tolérance par défaut: 0.01°C');
+assert(conv.pressureTolerance === 0.01, 'Tolérance par défaut sur dP_total: 1%');
+assert(conv.dP_total_error <= conv.pressureTolerance, 'Écart sur dP_total sous la tolérance');
+assertApprox(conv.positionTolerance, 2, 1e-12, 'Tolérance de position par défaut: 1% de L');
+assert(
+  conv.history.every(
+    (pass, i) => i === 0 || pass.numSegments === 2 * conv.history[i - 1].numSegments
+  ),
+  'Chaque raffinement double le nombre de segments'
+);
+assert(
+  conv.numSegments === adaptive.segmentResults.length,
+  'Résultat retourné: découpage le plus fin'
+);
+assertApprox(
+  adaptive.T_final,
+  conv.history[conv.history.length - 1].T_final,
+  1e-12,
+  'T_final = dernier calcul de la série'
+);
+
+const segs = adaptive.segmentResults;
+assertApprox(segs[segs.length - 1].x_end, 200, 1e-9, 'Les segments couvrent toute la conduite');
+assert(
+  segs.every((seg, i) => i === 0 || Math.abs(seg.x_start - segs[i - 1].x_end) < 1e-9),
+  'Segments contigus'
+);
+
+const withoutInitial = calculatePipeNetwork({
+  ...insulatedConfig,
+  numSegments: undefined,
+  adaptive: true,
+});
+assert(
+  withoutInitial.convergence.history[0].numSegments === 10,
+  'Découpage initial par défaut: 10'
+);
+
+// ========== SUITE 4: POSITION DE GEL ==========
+console.log('\nSuite 4: Convergence de la position de gel\n');
+
+const freezingConfig = {
+  geometry: { D_inner: 0.0525, D_outer: 0.0603, roughness: 0.045e-3, material: 'steel' },
+  totalLength: 300,
+  fluid: { T_in: 5, P: 3.0, m_dot: 0.3 },
+  ambient: { T_amb: -25, V_wind: 5 },
+  insulation: null,
+  adaptive: true,
+};
+
+const freezing = calculatePipeNetwork(freezingConfig);
+const freezeConv = freezing.convergence;
+assert(freezing.frozenAtPosition !== null, 'Cas de gel: position de gel trouvée');
+assert(freezeConv.converged, 'Position de gel convergée');
+assert(
+  freezeConv.frozenAtPosition_error <= freezeConv.positionTolerance,
+  'Erreur sur la position de gel sous la tolérance'
+);
+const frozenSegment = freezing.segmentResults.find((seg) => seg.frozen);
+assert(
+  frozenSegment.x_end - frozenSegment.x_start <= freezeConv.positionTolerance,
+  'Segment gelé plus court que la tolérance'
+);
+assert(
+  freezing.segmentResults[0].x_end - freezing.segmentResults[0].x_start <
+    freezing.segmentResults[freezing.segmentResults.length - 1].x_end -
+      freezing.segmentResults[freezing.segmentResults.length - 1].x_start,
+  'Segments plus courts là où la température chute (avant le gel)'
+);
+
+console.log(
+  `  ℹ️  Gel à ${freezing.frozenAtPosition.toFixed(1)} m ± ${freezeConv.frozenAtPosition_error.toFixed(1)} m (${freezeConv.passes} calculs, ${freezeConv.numSegments} segments)`
+);
+
+// ========== SUITE 5: PERTE DE CHARGE AVEC GLACE ==========
+console.log('\nSuite 5: Convergence de la perte de charge avec glace\n');
+
+// DN100 peu isolé, eau à 2°C par -15°C: glace en paroi sans obstruction. T_final se
+// stabilise dès le premier raffinement, la perte de charge de la glace bien plus tard.
+const iceConfig = {
+  geometry: { D_inner: 0.1023, D_outer: 0.1143, roughness: 0.045e-3, material: 'steel' },
+  totalLength: 200,
+  fluid: { T_in: 2, P: 6.0, m_dot: 0.5 },
+  ambient: { T_amb: -15, V_wind: 10 },
+  insulation: { material: 'fiberglass', thickness: 0.01 },
+  adaptive: true,
+};
+const icy = calculatePipeNetwork(iceConfig);
+const icyConv = icy.convergence;
+assert(icy.iceDetected && icy.blockedAtPosition === null, 'Glace en paroi, conduite non obstruée');
+assert(
+  icyConv.history.every((pass) => typeof pass.dP_total === 'number'),
+  'Historique: dP_total de chaque calcul'
+);
+assert(icyConv.converged, 'Cas de glace: convergence atteinte');
+assert(icyConv.dP_total_error <= icyConv.pressureTolerance, 'Écart sur dP_total sous 1%');
+const lastPasses = icyConv.history.slice(-2);
+assertApprox(
+  icyConv.dP_total_error,
+  Math.abs(lastPasses[1].dP_total - lastPasses[0].dP_total) / lastPasses[1].dP_total,
+  1e-12,
+  'Erreur relative = écart des deux derniers calculs'
+);
+
+// Sans critère sur dP_total: arrêt dès que T_final est stable, perte de charge sous-estimée
+const icyLoose = calculatePipeNetwork({ ...iceConfig, adaptive: { pressureTolerance: 1 } });
+assert(icyLoose.convergence.passes < icyConv.passes, 'Critère sur dP_total: raffinements en plus');
+assertApprox(icyLoose.T_final, icy.T_final, 0.01, 'T_final déjà convergée sans ce critère');
+assert(
+  icyLoose.dP_total < 0.8 * icy.dP_total,
+  'dP_total non convergée sans ce critère (écart > 20%)'
+);
+
+// Conduite obstruée par la glace: écoulement arrêté, dP_total hors critère
+const blockedIce = calculatePipeNetwork({
+  geometry: { D_inner: 0.0525, D_outer: 0.0603, roughness: 0.045e-3, material: 'steel' },
+  totalLength: 300,
+  numSegments: 60,
+  fluid: { T_in: 5, P: 3.0, m_dot: 0.05 },
+  ambient: { T_amb: -30, V_wind: 10 },
+  insulation: null,
+  adaptive: true,
+});
+assert(blockedIce.blockedAtPosition !== null, 'DN50 nu à faible débit par -30°C: obstruction');
+assert(
+  blockedIce.convergence.dP_total_error === null,
+  'Obstruction: aucune erreur rapportée sur dP_total'
+);
+
+console.log(
+  `  ℹ️  ΔP = ${icy.dP_total.toFixed(0)} Pa ± ${(icyConv.dP_total_error * 100).toFixed(1)}% (${icyConv.passes} calculs) contre ${icyLoose.dP_total.toFixed(0)} Pa sur T_final seule (${icyLoose.convergence.passes} calculs)`
+);
+
+// ========== SUITE 6: LIMITES ET VALIDATION ==========
+console.log('\nSuite 6: Limites et validation\n');
+
+const capped = calculatePipeNetwork({
+  ...insulatedConfig,
+  adaptive: {
+    tolerance: 1e-12,
+    positionTolerance: 1e-12,
+    pressureTolerance: 1e-12,
+    maxSegments: 40,
+  },
+});
+assert(!capped.convergence.converged, 'Tolérance inatteignable: non convergé');
+assert(capped.convergence.numSegments === 40, 'Arrêt à maxSegments');
+
+const loose = calculatePipeNetwork({ ...insulatedConfig, adaptive: { tolerance: 5 } });
+assert(loose.convergence.passes === 2, 'Tolérance large: un seul raffinement');
+
+assertThrows(
+  () => calculatePipeNetwork({ ...insulatedConfig, adaptive: { tolerance: 0 } }),
+  'Tolérance nulle rejetée'
+);
+assertThrows(
+  () => calculatePipeNetwork({ ...insulatedConfig, adaptive: { pressureTolerance: -0.01 } }),
+  'Tolérance sur dP_total négative rejetée'
+);
+assertThrows(
+  () => calculatePipeNetwork({ ...insulatedConfig, adaptive: { maxSegments: 2.5 } }),
+  'maxSegments non entier rejeté'
+);
+assertThrows(
+  () => calculatePipeNetwork({ ...insulatedConfig, adaptive: 'fin' }),
+  'Réglages invalides rejetés'
+);
+
+// ========== RÉSUMÉ ==========
+console.log('\n' + '='.repeat(70));
+console.log('RÉSUMÉ DES TESTS');
+console.log('='.repeat(70) + '\n');
+
+console.log(`Tests réussis: ${testsPassed}/${testsTotal}`);
+
+if (testsPassed === testsTotal) {
+  console.log('✅ TOUS LES TESTS PASSENT\n');
+  process.exit(0);
+} else {
+  console.log(`❌ ${testsTotal - testsPassed} TEST(S) EN ÉCHEC\n`);
+  process.exit(1);
+}
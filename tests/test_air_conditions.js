@@ -0,0 +1,194 @@
+/**
+ * test_air_conditions.js
+ *
+ * Tests pour les propriétés de l'air étendues (properties/air-properties.js)
+ *
+ * Teste:
+ * - Tables prolongées jusqu'à -60°C
+ * - Pression barométrique selon l'altitude (ISA)
+ * - Masse volumique et cp de l'air humide
+ * - Effet sur la convection externe (h_conv) et sur le réseau
+ * - Validation des entrées
+ *
+ * Exécution: node tests/test_air_conditions.js
+ */
+
+const airProps = require('../js/properties/air-properties.js');
+const pipeSegment = require('../js/engine/pipe-segment.js');
+const pipeNetwork = require('../js/engine/pipe-network.js');
+
+const { getAirProperties, barometricPressure, saturationVaporPressure } = airProps;
+
+// Compteur de tests
+let testsTotal = 0;
+let testsPassed = 0;
+
+/**
+ * Fonction helper pour assertion
+ */
+function assert(condition, message) {
+  testsTotal++;
+  if (condition) {
+    testsPassed++;
+  } else {
+    console.error(`  ❌ ÉCHEC: ${message}`);
+  }
+}
+
+/**
+ * Fonction helper pour assertion approximative
+ */
+function assertApprox(actual, expected, tolerance, message) {
+  testsTotal++;
+  const diff = Math.abs(actual - expected);
+  const relError = Math.abs(diff / expected);
+
+  if (diff <= tolerance || relError <= tolerance) {
+    testsPassed++;
+  } else {
+    console.error(`  ❌ ÉCHEC: ${message}`);
+    console.error(`     Attendu: ${expected}, Obtenu: ${actual}, Différence: ${diff}`);
+  }
+}
+
+/**
+ * Fonction helper pour tester les erreurs
+ */
+function assertThrows(fn, message) {
+  testsTotal++;
+  try {
+    fn();
+    console.error(`  ❌ ÉCHEC: ${message} (aucune erreur levée)`);
+  } catch (e) {
+    testsPassed++;
+  }
+}
+
+console.log('\n' + '='.repeat(70));
+console.log('TESTS: air-properties.js (froid extrême, humidité, altitude)');
+console.log('='.repeat(70) + '\n');
+
+// ========== SUITE 1: TABLES PROLONGÉES ==========
+console.log('Suite 1: Tables prolongées à -60°C\n');
+
+assert(airProps.AIR_T_MIN === -60, 'Borne basse à -60°C');
+
+// Gaz parfait à 101325 Pa et Sutherland
+const air60 = getAirProperties(-60);
+assertApprox(air60.rho, 101325 / (287.05 * 213.15), 1e-4, 'ρ(-60°C) gaz parfait');
+assertApprox(air60.mu, 1.402e-5, 1e-3, 'μ(-60°C) Sutherland');
+assertApprox(air60.k, 0.0197, 0.01, 'k(-60°C) ≈ 0.0197 W/(m·K)');
+assertApprox(air60.Pr, (air60.mu * air60.cp) / air60.k, 1e-3, 'Pr = μ·cp/k');
+
+const air50 = getAirProperties(-50);
+const air40 = getAirProperties(-40);
+const air45 = getAirProperties(-45);
+assert(air60.rho > air50.rho && air50.rho > air40.rho, 'ρ décroît avec T sous -40°C');
+assert(air60.mu < air50.mu && air60.k < air50.k, 'μ et k croissent avec T');
+assertApprox(air45.rho, 101325 / (287.05 * 228.15), 1e-4, 'Nœud -45°C');
+assert(
+  getAirProperties(-52.5).rho < air60.rho && getAirProperties(-52.5).rho > air50.rho,
+  'Interpolation entre nœuds prolongés'
+);
+assertApprox(air40.rho, 1.514, 1e-9, 'Valeur à -40°C inchangée');
+
+// ========== SUITE 2: PRESSION BAROMÉTRIQUE ==========
+console.log('\nSuite 2: Pression barométrique\n');
+
+assert(barometricPressure(0) === 101325, 'Niveau de la mer: 101325 Pa');
+assertApprox(barometricPressure(1000), 89875, 1e-3, 'ISA 1000 m: 89.9 kPa');
+assertApprox(barometricPressure(3000), 70109, 1e-3, 'ISA 3000 m: 70.1 kPa');
+assert(barometricPressure(-400) > 101325, 'Sous le niveau de la mer: pression > 1 atm');
+
+// ========== SUITE 3: AIR HUMIDE ==========
+console.log('\nSuite 3: Air humide\n');
+
+assertApprox(saturationVaporPressure(0), 610.94, 1e-9, 'psat(0°C) = 610.94 Pa');
+assertApprox(saturationVaporPressure(20), 2339, 0.005, 'psat(20°C) ≈ 2339 Pa');
+assertApprox(saturationVaporPressure(-30), 50.9, 0.02, 'psat(-30°C) ≈ 51 Pa (eau surfondue)');
+
+const dry20 = getAirProperties(20);
+const default20 = getAirProperties(20, {});
+assert(default20.rho === dry20.rho && default20.cp === dry20.cp, 'Sans conditions: air sec');
+
+const humid30 = getAirProperties(30, { relativeHumidity: 100 });
+const dry30 = getAirProperties(30);
+assert(humid30.rho < dry30.rho, "L'air humide est moins dense que l'air sec");
+assertApprox(humid30.rho, 1.146, 2e-3, 'ρ air saturé à 30°C ≈ 1.146 kg/m³');
+assert(humid30.cp > dry30.cp, 'cp croît avec la vapeur');
+assert(humid30.mu === dry30.mu && humid30.k === dry30.k, "μ et k de l'air sec conservés");
+
+// À -30°C la vapeur est négligeable
+const humidCold = getAirProperties(-30, { relativeHumidity: 100 });
+const dryCold = getAirProperties(-30);
+assert(
+  Math.abs(humidCold.rho - dryCold.rho) / dryCold.rho < 1e-3,
+  'Effet humidité < 0.1 % à -30°C'
+);
+
+// Altitude: ρ proportionnelle à la pression
+const high = getAirProperties(-20, { altitude: 1500 });
+const low = getAirProperties(-20);
+assertApprox(high.rho / low.rho, barometricPressure(1500) / 101325, 1e-9, 'ρ ∝ p à sec');
+
+// ========== SUITE 4: CONVECTION EXTERNE ==========
+console.log('\nSuite 4: Convection externe\n');
+
+const ambientSea = { T_amb: -40, V_wind: 5 };
+const ambientHigh = { T_amb: -40, V_wind: 5, altitude: 3000 };
+const hSea = pipeSegment.calculateExternalCoefficient(
+  ambientSea,
+  getAirProperties(-40, ambientSea),
+  0.1143,
+  5,
+  0.9
+);
+const hHigh = pipeSegment.calculateExternalCoefficient(
+  ambientHigh,
+  getAirProperties(-40, ambientHigh),
+  0.1143,
+  5,
+  0.9
+);
+assert(hHigh.Re < hSea.Re, 'Altitude: Reynolds plus faible');
+assert(hHigh.h_conv < hSea.h_conv, 'Altitude: h_conv plus faible');
+
+const config = {
+  geometry: { D_inner: 0.1023, D_outer: 0.1143, roughness: 0.045e-3, material: 'steel' },
+  totalLength: 200,
+  numSegments: 10,
+  fluid: { T_in: 40, P: 3.0, m_dot: 2.0 },
+  ambient: { T_amb: -55, V_wind: 8 },
+  insulation: { material: 'fiberglass', thickness: 0.05 },
+};
+const network = pipeNetwork.calculatePipeNetwork(config);
+assert(!network.frozenCondition && network.T_profile.length === 11, 'Réseau calculé à -55°C');
+const networkHigh = pipeNetwork.calculatePipeNetwork({
+  ...config,
+  ambient: { ...config.ambient, altitude: 2500, relativeHumidity: 60 },
+});
+assert(networkHigh.Q_loss_total < network.Q_loss_total, 'Site en altitude: pertes réduites');
+
+// ========== SUITE 5: VALIDATION ==========
+console.log('\nSuite 5: Validation\n');
+
+assertThrows(() => getAirProperties(-61), 'Sous -60°C rejeté');
+assertThrows(() => getAirProperties(20, { relativeHumidity: 120 }), 'Humidité > 100% rejetée');
+assertThrows(() => getAirProperties(20, { relativeHumidity: -5 }), 'Humidité négative rejetée');
+assertThrows(() => getAirProperties(20, { altitude: 9000 }), 'Altitude > 5000 m rejetée');
+assertThrows(() => barometricPressure(NaN), 'Altitude invalide rejetée');
+
+// ========== RÉSUMÉ ==========
+console.log('\n' + '='.repeat(70));
+console.log('RÉSUMÉ DES TESTS');
+console.log('='.repeat(70) + '\n');
+
+console.log(`Tests réussis: ${testsPassed}/${testsTotal}`);
+
+if (testsPassed === testsTotal) {
+  console.log('✅ TOUS LES TESTS PASSENT\n');
+  process.exit(0);
+} else {
+  console.log(`❌ ${testsTotal - testsPassed} TEST(S) EN ÉCHEC\n`);
+  process.exit(1);
+}
@@ -295,18 +295,18 @@ assertThrows(() => waterProps.getWaterProperties(-1, 3.0), 'Eau T=-1°C → erre
 console.log('\nTest C4: Eau T = 101°C (erreur attendue)');
 assertThrows(() => waterProps.getWaterProperties(101, 3.0), 'Eau T=101°C → erreur');
 
-console.log('\nTest C5: Air T = -40°C exact (limite basse)');
-const air_minus40 = airProps.getAirProperties(-40);
-assertGreater(air_minus40.rho, 1.4, `ρ air(-40°C) = ${air_minus40.rho.toFixed(3)} > 1.4 kg/m³`);
-assertLess(air_minus40.rho, 1.6, `ρ air(-40°C) = ${air_minus40.rho.toFixed(3)} < 1.6 kg/m³`);
+console.log('\nTest C5: Air T = -60°C exact (limite basse)');
+const air_minus60 = airProps.getAirProperties(-60);
+assertGreater(air_minus60.rho, 1.6, `ρ air(-60°C) = ${air_minus60.rho.toFixed(3)} > 1.6 kg/m³`);
+assertLess(air_minus60.rho, 1.7, `ρ air(-60°C) = ${air_minus60.rho.toFixed(3)} < 1.7 kg/m³`);
 
 console.log('\nTest C6: Air T = 50°C exact (limite haute)');
 const air_50 = airProps.getAirProperties(50);
 assertGreater(air_50.rho, 1.0, `ρ air(50°C) = ${air_50.rho.toFixed(3)} > 1.0 kg/m³`);
 assertLess(air_50.rho, 1.15, `ρ air(50°C) = ${air_50.rho.toFixed(3)} < 1.15 kg/m³`);
 
-console.log('\nTest C7: Air T = -41°C (erreur attendue)');
-assertThrows(() => airProps.getAirProperties(-41), 'Air T=-41°C → erreur');
+console.log('\nTest C7: Air T = -61°C (erreur attendue)');
+assertThrows(() => airProps.getAirProperties(-61), 'Air T=-61°C → erreur');
 
 console.log('\nTest C8: Air T = 51°C (erreur attendue)');
 assertThrows(() => airProps.getAirProperties(51), 'Air T=51°C → erreur');
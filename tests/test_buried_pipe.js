@@ -0,0 +1,293 @@
+/**
+ * test_buried_pipe.js
+ *
+ * Tests pour les conduites enterrées (calculations/buried-pipe.js, properties/soil-properties.js)
+ *
+ * Teste:
+ * - Table des sols
+ * - Résistance du sol par facteur de forme
+ * - Profondeur de pénétration du gel (Stefan)
+ * - Résolution de l'enfouissement (défauts, surcharges, sol gelé)
+ * - Bilan du segment, du réseau et refroidissement à l'arrêt
+ *
+ * Exécution: node tests/test_buried_pipe.js
+ */
+
+const soilProperties = require('../js/properties/soil-properties.js');
+const buriedPipe = require('../js/calculations/buried-pipe.js');
+const thermalResistance = require('../js/calculations/thermal-resistance.js');
+const pipeSegment = require('../js/engine/pipe-segment.js');
+const pipeNetwork = require('../js/engine/pipe-network.js');
+const cooldown = require('../js/engine/cooldown.js');
+
+// Compteur de tests
+let testsTotal = 0;
+let testsPassed = 0;
+
+/**
+ * Fonction helper pour assertion
+ */
+function assert(condition, message) {
+  testsTotal++;
+  if (condition) {
+    testsPassed++;
+  } else {
+    console.error(`  ❌ ÉCHEC: ${message}`);
+  }
+}
+
+/**
+ * Fonction helper pour assertion approximative
+ */
+function assertApprox(actual, expected, tolerance, message) {
+  testsTotal++;
+  const diff = Math.abs(actual - expected);
+  const relError = Math.abs(diff / expected);
+
+  if (diff <= tolerance || relError <= tolerance) {
+    testsPassed++;
+  } else {
+    console.error(`  ❌ ÉCHEC: ${message}`);
+    console.error(`     Attendu: ${expected}, Obtenu: ${actual}, Différence: ${diff}`);
+  }
+}
+
+/**
+ * Fonction helper pour tester les erreurs
+ */
+function assertThrows(fn, message) {
+  testsTotal++;
+  try {
+    fn();
+    console.error(`  ❌ ÉCHEC: ${message} (aucune erreur levée)`);
+  } catch (e) {
+    testsPassed++;
+  }
+}
+
+console.log('\n' + '='.repeat(70));
+console.log('TESTS: buried-pipe.js / soil-properties.js');
+console.log('='.repeat(70) + '\n');
+
+// ========== CONFIGURATION DE BASE ==========
+const geometry = {
+  D_inner: 0.1023,
+  D_outer: 0.1143,
+  roughness: 0.045e-3,
+  length: 50,
+  material: 'steel',
+};
+const fluid = { T_in: 8, P: 3, m_dot: 2 };
+const air = { T_amb: -25, V_wind: 5 };
+
+// ========== SUITE 1: TABLE DES SOLS ==========
+console.log('Suite 1: Table des sols\n');
+
+const soils = soilProperties.listSoils();
+assert(soils.length === 6, `6 sols disponibles (${soils.length})`);
+assert(
+  soils.every((id) => {
+    const soil = soilProperties.getSoilProperties(id);
+    return soil.k_unfrozen > 0 && soil.k_frozen >= soil.k_unfrozen && soil.moisture > 0;
+  }),
+  'Sol gelé au moins aussi conducteur que non gelé'
+);
+const clay = soilProperties.getSoilProperties('clay');
+clay.k_frozen = 99;
+assert(
+  soilProperties.getSoilProperties('clay').k_frozen === 1.6,
+  'getSoilProperties retourne une copie'
+);
+assertThrows(() => soilProperties.getSoilProperties('lava'), 'Sol inconnu');
+assertThrows(() => soilProperties.getSoilProperties(3), 'Identifiant non textuel');
+
+// ========== SUITE 2: FACTEUR DE FORME ==========
+console.log('\nSuite 2: Résistance du sol (facteur de forme)\n');
+
+// acosh(2·1.5/0.1) / (2π·1.1·1) = acosh(30) / 6.9115
+assertApprox(
+  thermalResistance.buriedCylinderResistance(0.1, 1.5, 1.1, 1),
+  0.5924,
+  1e-3,
+  'R_sol = acosh(2z/D)/(2πkL)'
+);
+assertApprox(
+  thermalResistance.buriedCylinderResistance(0.1, 1.5, 1.1, 10),
+  0.05924,
+  1e-3,
+  'R_sol inversement proportionnelle à L'
+);
+assert(
+  thermalResistance.buriedCylinderResistance(0.1, 3, 1.1, 1) >
+    thermalResistance.buriedCylinderResistance(0.1, 1, 1.1, 1),
+  'Plus profond → résistance plus grande'
+);
+assertThrows(
+  () => thermalResistance.buriedCylinderResistance(0.5, 0.2, 1.1, 1),
+  'Axe au-dessus du rayon (z ≤ D/2)'
+);
+const buriedLayers = thermalResistance.pipeResistance(
+  [{ type: 'buried', D: 0.1, depth: 1.5, k: 1.1 }],
+  1
+);
+assertApprox(buriedLayers.R_total, 0.5924, 1e-3, "Couche 'buried' dans pipeResistance");
+
+// ========== SUITE 3: PROFONDEUR DE GEL ==========
+console.log('\nSuite 3: Profondeur de gel (Stefan)\n');
+
+const clayProps = soilProperties.getSoilProperties('clay');
+// √(2·1.6·1500·86400 / (1400·0.30·334000)) = 1.72 m
+assertApprox(
+  buriedPipe.frostPenetrationDepth(clayProps, 1500),
+  1.72,
+  0.01,
+  'Argile, indice 1500 °C·jour'
+);
+assert(buriedPipe.frostPenetrationDepth(clayProps, 0) === 0, 'Indice nul → pas de gel');
+assertApprox(
+  buriedPipe.frostPenetrationDepth(clayProps, 4 * 1500),
+  2 * buriedPipe.frostPenetrationDepth(clayProps, 1500),
+  1e-9,
+  'Profondeur ∝ √I'
+);
+assert(
+  buriedPipe.frostPenetrationDepth(soilProperties.getSoilProperties('sand_dry'), 1500) >
+    buriedPipe.frostPenetrationDepth(soilProperties.getSoilProperties('peat'), 1500),
+  'Le gel pénètre plus loin dans le sable sec que dans la tourbe'
+);
+assertThrows(() => buriedPipe.frostPenetrationDepth(clayProps, -10), 'Indice négatif');
+assertThrows(() => buriedPipe.frostPenetrationDepth({ k_frozen: 1 }, 100), 'Sol incomplet');
+
+// ========== SUITE 4: RÉSOLUTION ==========
+console.log("\nSuite 4: Résolution de l'enfouissement\n");
+
+const shallow = buriedPipe.resolveBurial({ depth: 1, soil: 'clay' }, -25);
+assert(shallow.T_surface === -25, 'T surface par défaut = T air');
+assertApprox(
+  shallow.freezingIndex,
+  25 * buriedPipe.DEFAULT_FREEZING_DAYS,
+  1e-9,
+  'Indice de gel par défaut'
+);
+assert(shallow.frozenAtPipe && shallow.k === 1.6, 'Front de gel sous la conduite → k gelé');
+
+const deep = buriedPipe.resolveBurial({ depth: 2.5, soil: 'clay' }, -25);
+assert(!deep.frozenAtPipe && deep.k === 1.1, 'Conduite sous le front de gel → k non gelé');
+
+const mild = buriedPipe.resolveBurial({ depth: 1, soil: 'clay', T_surface: 5 }, -25);
+assert(mild.freezingIndex === 0 && mild.frostDepth === 0, 'Surface positive → pas de gel');
+
+const custom = buriedPipe.resolveBurial(
+  { depth: 1, soil: 'clay', k_unfrozen: 0.8, k_frozen: 2.0, freezingIndex: 100 },
+  -25
+);
+assert(custom.k_frozen === 2.0 && custom.k_unfrozen === 0.8, 'Conductivités surchargées');
+assert(custom.freezingIndex === 100, 'Indice de gel imposé');
+
+assertThrows(() => buriedPipe.resolveBurial(null, -10), 'Configuration nulle');
+assertThrows(() => buriedPipe.resolveBurial({ depth: 0, soil: 'clay' }, -10), 'Profondeur nulle');
+assertThrows(() => buriedPipe.resolveBurial({ depth: 1, soil: 'rock' }, -10), 'Sol inconnu');
+assertThrows(
+  () => buriedPipe.resolveBurial({ depth: 1, soil: 'clay', k_frozen: -1 }, -10),
+  'Conductivité négative'
+);
+
+// ========== SUITE 5: SEGMENT ==========
+console.log('\nSuite 5: Bilan du segment\n');
+
+const aerial = pipeSegment.calculatePipeSegment(geometry, fluid, air);
+const buried = pipeSegment.calculatePipeSegment(geometry, fluid, {
+  ...air,
+  burial: { depth: 2.5, soil: 'clay' },
+});
+
+assert(aerial.burial === null, 'Conduite aérienne: burial = null');
+assert(buried.burial && buried.burial.depth === 2.5, 'Enfouissement propagé au résultat');
+assert(buried.Q_loss < aerial.Q_loss, "Le sol isole mieux que l'air venté");
+
+const R_soil = buried.R_layers[buried.R_layers.length - 1];
+assertApprox(
+  R_soil,
+  thermalResistance.buriedCylinderResistance(geometry.D_outer, 2.5, 1.1, geometry.length),
+  1e-9,
+  'Dernière résistance = facteur de forme du sol'
+);
+// T_out = T_surf + (T_in - T_surf)·exp(-NTU)
+assertApprox(
+  buried.T_out,
+  -25 + (fluid.T_in + 25) * Math.exp(-buried.NTU),
+  1e-9,
+  'Sortie NTU vers la surface du sol'
+);
+
+const warmSurface = pipeSegment.calculatePipeSegment(geometry, fluid, {
+  ...air,
+  burial: { depth: 2.5, soil: 'clay', T_surface: 2 },
+});
+assert(warmSurface.T_out > buried.T_out, 'Surface du sol plus chaude → moins de pertes');
+
+assertThrows(
+  () =>
+    pipeSegment.calculatePipeSegment(geometry, fluid, {
+      ...air,
+      burial: { depth: 0.03, soil: 'clay' },
+    }),
+  'Profondeur inférieure au rayon'
+);
+
+// ========== SUITE 6: RÉSEAU ET REFROIDISSEMENT ==========
+console.log('\nSuite 6: Réseau et refroidissement\n');
+
+const networkConfig = {
+  geometry: { D_inner: 0.1023, D_outer: 0.1143, roughness: 0.045e-3, material: 'steel' },
+  totalLength: 500,
+  numSegments: 10,
+  fluid,
+  ambient: air,
+  insulation: null,
+};
+const netAerial = pipeNetwork.calculatePipeNetwork(networkConfig);
+const netBuried = pipeNetwork.calculatePipeNetwork({
+  ...networkConfig,
+  ambient: { ...air, burial: { depth: 2.5, soil: 'clay' } },
+});
+
+assert(netAerial.burial === null, 'Réseau aérien: burial = null');
+assert(netBuried.burial && !netBuried.burial.frozenAtPipe, 'Réseau enterré: sol non gelé à 2.5 m');
+assert(netBuried.T_final > netAerial.T_final, 'Enfouissement relève la température de sortie');
+
+const coolAerial = cooldown.calculateCooldown(geometry, { T_in: 5 }, air);
+const coolBuried = cooldown.calculateCooldown(
+  geometry,
+  { T_in: 5 },
+  { ...air, burial: { depth: 2.5, soil: 'clay' } }
+);
+assert(coolBuried.T_ref === -25 && coolAerial.T_ref === -25, 'Référence = surface du sol / air');
+assert(coolBuried.UA_initial < coolAerial.UA_initial, "Conductance à l'arrêt plus faible enterrée");
+assert(coolBuried.timeToZero > coolAerial.timeToZero, 'Gel plus lent enterré');
+
+const coolWarm = cooldown.calculateCooldown(
+  geometry,
+  { T_in: 5 },
+  { ...air, burial: { depth: 2.5, soil: 'clay', T_surface: 3 } }
+);
+assert(!coolWarm.freezes && coolWarm.T_ref === 3, 'Surface du sol positive → pas de gel');
+
+console.log(
+  `  ℹ️  500 m NPS 4 nus, air -25°C: sortie ${netAerial.T_final.toFixed(2)}°C aérien, ${netBuried.T_final.toFixed(2)}°C enterré à 2.5 m (gel du sol ${netBuried.burial.frostDepth.toFixed(2)} m)`
+);
+
+// ========== RÉSUMÉ ==========
+console.log('\n' + '='.repeat(70));
+console.log('RÉSUMÉ DES TESTS');
+console.log('='.repeat(70) + '\n');
+
+console.log(`Tests réussis: ${testsPassed}/${testsTotal}`);
+
+if (testsPassed === testsTotal) {
+  console.log('✅ TOUS LES TESTS PASSENT\n');
+  process.exit(0);
+} else {
+  console.log(`❌ ${testsTotal - testsPassed} TEST(S) EN ÉCHEC\n`);
+  process.exit(1);
+}
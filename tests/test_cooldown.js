@@ -0,0 +1,232 @@
+/**
+ * test_cooldown.js
+ *
+ * Tests pour le module cooldown (refroidissement sans écoulement)
+ *
+ * Teste:
+ * - Validation des entrées
+ * - Masses thermiques (eau + paroi)
+ * - Cohérence avec la solution analytique à capacité globale
+ * - Effet de l'isolation et du vent
+ * - Palier de solidification (chaleur latente)
+ *
+ * Exécution: node tests/test_cooldown.js
+ */
+
+const cooldown = require('../js/engine/cooldown.js');
+
+// Compteur de tests
+let testsTotal = 0;
+let testsPassed = 0;
+
+/**
+ * Fonction helper pour assertion
+ */
+function assert(condition, message) {
+  testsTotal++;
+  if (condition) {
+    testsPassed++;
+  } else {
+    console.error(`  ❌ ÉCHEC: ${message}`);
+  }
+}
+
+/**
+ * Fonction helper pour assertion approximative
+ */
+function assertApprox(actual, expected, tolerance, message) {
+  testsTotal++;
+  const diff = Math.abs(actual - expected);
+  const relError = Math.abs(diff / expected);
+
+  if (diff <= tolerance || relError <= tolerance) {
+    testsPassed++;
+  } else {
+    console.error(`  ❌ ÉCHEC: ${message}`);
+    console.error(`     Attendu: ${expected}, Obtenu: ${actual}, Différence: ${diff}`);
+  }
+}
+
+/**
+ * Fonction helper pour tester les erreurs
+ */
+function assertThrows(fn, message) {
+  testsTotal++;
+  try {
+    fn();
+    console.error(`  ❌ ÉCHEC: ${message} (aucune erreur levée)`);
+  } catch (e) {
+    testsPassed++;
+  }
+}
+
+console.log('\n' + '='.repeat(70));
+console.log('TESTS: cooldown.js');
+console.log('='.repeat(70) + '\n');
+
+// ========== CONFIGURATION DE BASE ==========
+const geometry = { D_inner: 0.0525, D_outer: 0.0603, material: 'steel' };
+const fluid = { T_in: 10 };
+const ambient = { T_amb: -20, V_wind: 5 };
+const insulation = { material: 'fiberglass', thickness: 0.025 };
+
+// ========== SUITE 1: VALIDATION DES ENTRÉES ==========
+console.log('Suite 1: Validation des entrées\n');
+
+assertThrows(
+  () => cooldown.calculateCooldown(null, fluid, ambient),
+  'Géométrie nulle devrait lever une erreur'
+);
+assertThrows(
+  () => cooldown.calculateCooldown({ ...geometry, D_outer: 0.05 }, fluid, ambient),
+  'D_outer < D_inner devrait lever une erreur'
+);
+assertThrows(
+  () => cooldown.calculateCooldown(geometry, { T_in: -2 }, ambient),
+  'Eau initiale sous 0°C devrait lever une erreur'
+);
+assertThrows(
+  () => cooldown.calculateCooldown(geometry, fluid, { T_amb: -20, V_wind: -1 }),
+  'Vent négatif devrait lever une erreur'
+);
+assertThrows(
+  () => cooldown.calculateCooldown(geometry, fluid, ambient, null, { timeStep: 0 }),
+  'Pas de temps nul devrait lever une erreur'
+);
+
+// ========== SUITE 2: MASSES THERMIQUES ==========
+console.log('\nSuite 2: Masses thermiques\n');
+
+const bare = cooldown.calculateCooldown(geometry, fluid, ambient);
+
+// Eau: ρ ≈ 999.7 kg/m³ à 10°C, A = π·0.0525²/4 = 2.165e-3 m² → ≈ 2.16 kg/m
+assertApprox(bare.waterMass, 2.164, 0.01, 'Masse d\'eau par mètre (NPS 2")');
+// Acier: ρ = 7850 kg/m³, A = π·(0.0603² - 0.0525²)/4 = 6.91e-4 m² → ≈ 5.4 kg/m
+assertApprox(
+  bare.wallMass,
+  7850 * ((Math.PI * (0.0603 ** 2 - 0.0525 ** 2)) / 4),
+  0.05,
+  'Masse de paroi par mètre'
+);
+assert(
+  bare.heatCapacity > bare.waterMass * 4000,
+  "Capacité > capacité de l'eau seule (paroi incluse)"
+);
+assertApprox(bare.tau, bare.heatCapacity / bare.UA_initial, 1e-9, 'tau = C / UA');
+
+// ========== SUITE 3: SOLUTION ANALYTIQUE ==========
+console.log('\nSuite 3: Cohérence avec la solution analytique\n');
+
+// Avec UA et C quasi constants, t0 ≈ tau · ln((T_in - T_amb) / (0 - T_amb))
+const t0_analytic = bare.tau * Math.log((fluid.T_in - ambient.T_amb) / (0 - ambient.T_amb));
+assertApprox(bare.timeToZero, t0_analytic, 0.1, 'timeToZero proche de la solution exponentielle');
+
+// Palier latent: m · L_f / (UA · (0 - T_amb))
+assert(bare.freezes, 'T_amb < 0 → gel');
+assert(bare.timeToSolid > bare.timeToZero, 'Gel complet après 0°C');
+assert(
+  bare.latentDuration > bare.timeToZero,
+  'Chaleur latente (334 kJ/kg) domine le refroidissement sensible de 10 K'
+);
+assertApprox(
+  bare.timeToSolid - bare.timeToZero,
+  bare.latentDuration,
+  1e-9,
+  'timeToSolid = timeToZero + latentDuration'
+);
+
+// Profil T(t) décroissant puis palier à 0°C
+let monotonic = true;
+for (let i = 1; i < bare.T_profile.length; i++) {
+  if (bare.T_profile[i] > bare.T_profile[i - 1] + 1e-12) {
+    monotonic = false;
+  }
+}
+assert(monotonic, 'T(t) devrait être décroissant');
+assert(bare.T_profile[bare.T_profile.length - 1] === 0, 'T(t) se termine sur le palier à 0°C');
+assert(
+  bare.iceFraction_profile[bare.iceFraction_profile.length - 1] === 1,
+  'Fraction de glace finale = 1'
+);
+assert(
+  bare.time_profile.length === bare.T_profile.length,
+  'time_profile et T_profile de même longueur'
+);
+
+// ========== SUITE 4: EFFET ISOLATION ET VENT ==========
+console.log('\nSuite 4: Effet isolation et vent\n');
+
+const insulated = cooldown.calculateCooldown(geometry, fluid, ambient, insulation);
+assert(insulated.timeToZero > 3 * bare.timeToZero, "L'isolation devrait fortement retarder le gel");
+assert(insulated.timeToSolid > bare.timeToSolid, "L'isolation devrait retarder le gel complet");
+
+const calm = cooldown.calculateCooldown(geometry, fluid, { T_amb: -20, V_wind: 0 });
+assert(calm.timeToZero > bare.timeToZero, 'Sans vent, le refroidissement est plus lent');
+
+const warmer = cooldown.calculateCooldown(geometry, { T_in: 30 }, ambient);
+assert(warmer.timeToZero > bare.timeToZero, 'Eau plus chaude → plus de temps avant 0°C');
+
+// ========== SUITE 5: PAS DE GEL ==========
+console.log('\nSuite 5: Ambiance au-dessus de 0°C\n');
+
+const noFreeze = cooldown.calculateCooldown(geometry, { T_in: 20 }, { T_amb: 5, V_wind: 2 });
+assert(!noFreeze.freezes, 'T_amb > 0 → pas de gel');
+assert(noFreeze.timeToZero === null, 'timeToZero = null sans gel');
+assert(noFreeze.timeToSolid === null, 'timeToSolid = null sans gel');
+assertApprox(
+  noFreeze.T_profile[noFreeze.T_profile.length - 1],
+  5,
+  0.1,
+  "L'eau tend vers la température ambiante"
+);
+
+// Horizon trop court: pas de gel dans l'horizon
+const shortHorizon = cooldown.calculateCooldown(geometry, fluid, ambient, insulation, {
+  maxTime: 600,
+});
+assert(!shortHorizon.freezes, 'Horizon de 10 min trop court pour atteindre 0°C (isolé)');
+
+// ========== SUITE 6: CIEL, ORIENTATION, SURFACE ==========
+console.log('\nSuite 6: Ciel, orientation et température de surface\n');
+
+// Ciel clair: la conduite rayonne vers un ciel plus froid que l'air
+const clearSky = cooldown.calculateCooldown(geometry, fluid, {
+  ...ambient,
+  radiation: { preset: 'clear_night' },
+});
+assert(clearSky.T_ref < ambient.T_amb, 'Ciel clair: environnement équivalent sous T_amb');
+assert(clearSky.timeToZero < bare.timeToZero, 'Ciel clair: gel plus rapide');
+
+// Orientation: vent ramené à la hauteur de la conduite (10 m par défaut)
+const low = cooldown.calculateCooldown({ ...geometry, orientation: { height: 1 } }, fluid, ambient);
+assert(low.timeToZero > bare.timeToZero, 'Conduite à 1 m: moins de vent, gel plus lent');
+const defaultHeight = cooldown.calculateCooldown(
+  { ...geometry, orientation: { height: 10 } },
+  fluid,
+  ambient
+);
+assertApprox(defaultHeight.timeToZero, bare.timeToZero, 1e-9, 'Hauteur de référence 10 m');
+
+assert(insulated.T_ref === ambient.T_amb, 'Sans ciel: refroidissement vers T_amb');
+
+console.log(
+  `  ℹ️  Nu: 0°C après ${(bare.timeToZero / 3600).toFixed(2)} h, gel complet après ${(bare.timeToSolid / 3600).toFixed(1)} h`
+);
+console.log(
+  `  ℹ️  Isolé 25 mm: 0°C après ${(insulated.timeToZero / 3600).toFixed(2)} h, gel complet après ${(insulated.timeToSolid / 3600).toFixed(1)} h`
+);
+
+// ========== RÉSUMÉ ==========
+console.log('\n' + '='.repeat(70));
+console.log('RÉSUMÉ DES TESTS');
+console.log('='.repeat(70) + '\n');
+
+console.log(`Tests réussis: ${testsPassed}/${testsTotal}`);
+
+if (testsPassed === testsTotal) {
+  console.log('✅ TOUS LES TESTS PASSENT\n');
+  process.exit(0);
+} else {
+  console.log(`❌ ${testsTotal - testsPassed} TEST(S) EN ÉCHEC\n`);
+  process.exit(1);
+}
@@ -226,10 +226,10 @@ assert(
 // Test 8: Gestion des erreurs
 console.log('\nTest 8: Gestion des erreurs');
 try {
-  getAirProperties(-50); // Hors plage
-  assert(false, '  Devrait rejeter T < -40°C');
+  getAirProperties(-70); // Hors plage
+  assert(false, '  Devrait rejeter T < -60°C');
 } catch (e) {
-  assert(true, '  Rejette T < -40°C', e.message);
+  assert(true, '  Rejette T < -60°C', e.message);
 }
 
 try {
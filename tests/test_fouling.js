@@ -0,0 +1,304 @@
+/**
+ * test_fouling.js
+ *
+ * Tests pour l'encrassement intérieur (calculations/fouling.js)
+ *
+ * Teste:
+ * - Table des types d'eau et résolution de la configuration
+ * - Hydraulique: diamètre réduit, rugosité du dépôt, perte de charge
+ * - Thermique: couche d'encrassement en série, profil de température
+ * - Réseau (tronçons, glace sur le dépôt)
+ * - Validation des entrées
+ *
+ * Exécution: node tests/test_fouling.js
+ */
+
+const fouling = require('../js/calculations/fouling.js');
+const { foulingData } = require('../data/fluids/fouling.js');
+const pipeSegment = require('../js/engine/pipe-segment.js');
+const pipeNetwork = require('../js/engine/pipe-network.js');
+
+const { getFouling, resolveFouling } = fouling;
+
+// Compteur de tests
+let testsTotal = 0;
+let testsPassed = 0;
+
+/**
+ * Fonction helper pour assertion
+ */
+function assert(condition, message) {
+  testsTotal++;
+  if (condition) {
+    testsPassed++;
+  } else {
+    console.error(`  ❌ ÉCHEC: ${message}`);
+  }
+}
+
+/**
+ * Fonction helper pour assertion approximative
+ */
+function assertApprox(actual, expected, tolerance, message) {
+  testsTotal++;
+  const diff = Math.abs(actual - expected);
+  const relError = Math.abs(diff / expected);
+
+  if (diff <= tolerance || relError <= tolerance) {
+    testsPassed++;
+  } else {
+    console.error(`  ❌ ÉCHEC: ${message}`);
+    console.error(`     Attendu: ${expected}, Obtenu: ${actual}, Différence: ${diff}`);
+  }
+}
+
+/**
+ * Fonction helper pour tester les erreurs
+ */
+function assertThrows(fn, message) {
+  testsTotal++;
+  try {
+    fn();
+    console.error(`  ❌ ÉCHEC: ${message} (aucune erreur levée)`);
+  } catch (e) {
+    testsPassed++;
+  }
+}
+
+console.log('\n' + '='.repeat(70));
+console.log('TESTS: fouling.js (encrassement intérieur)');
+console.log('='.repeat(70) + '\n');
+
+// ========== SUITE 1: TABLE ET RÉSOLUTION ==========
+console.log('Suite 1: Table et résolution\n');
+
+assert(Object.isFrozen(foulingData), 'Table figée');
+assert(
+  Object.values(foulingData).every((d) => d.factor >= 0 && d.thickness >= 0),
+  'Facteurs et épaisseurs positifs'
+);
+assert(
+  foulingData.tuberculated.factor > foulingData.hard_water.factor &&
+    foulingData.hard_water.factor > foulingData.city_water.factor,
+  'Tubercules > tartre > eau de ville'
+);
+assert(getFouling('city_water').factor === 0.00018, 'Eau de ville: TEMA 0.00018 m²·K/W');
+
+const city = resolveFouling({ type: 'city_water' }, 0.1023, 0.045e-3);
+assertApprox(city.D_hydraulic, 0.1023 - 0.001, 1e-12, 'D_h = D_i − 2e');
+assert(city.roughness === 0.25e-3, 'Rugosité du dépôt');
+
+const distilled = resolveFouling({ type: 'distilled' }, 0.1023, 0.045e-3);
+assert(distilled.D_hydraulic === 0.1023, 'Sans dépôt: diamètre inchangé');
+assert(distilled.roughness === 0.045e-3, 'Sans rugosité de dépôt: celle du tuyau');
+
+const override = resolveFouling({ type: 'hard_water', thickness: 0.002 }, 0.1023, 0.045e-3);
+assert(
+  override.factor === 0.00053 && override.thickness === 0.002,
+  'Saisie prioritaire sur la table'
+);
+
+const custom = resolveFouling({ factor: 0.001, thickness: 0.003 }, 0.1023, 0.26e-3);
+assert(custom.type === 'custom' && custom.roughness === 0.26e-3, 'Personnalisé sans type');
+
+// ========== SUITE 2: HYDRAULIQUE ==========
+console.log('\nSuite 2: Hydraulique\n');
+
+const geometry = {
+  D_inner: 0.1023,
+  D_outer: 0.1143,
+  roughness: 0.26e-3,
+  length: 100,
+  material: 'steel',
+};
+const fluid = { T_in: 60, P: 3, m_dot: 2 };
+const ambient = { T_amb: -10, V_wind: 5 };
+
+const clean = pipeSegment.calculatePipeSegment(geometry, fluid, ambient, null, 2);
+const old = pipeSegment.calculatePipeSegment(
+  { ...geometry, fouling: { type: 'tuberculated' } },
+  fluid,
+  ambient,
+  null,
+  2
+);
+
+assert(clean.fouling === null && clean.D_hydraulic === geometry.D_inner, 'Propre: sans dépôt');
+assertApprox(old.D_hydraulic, 0.0923, 1e-9, 'Tubercules: D_h = 92.3 mm');
+assertApprox(old.V / clean.V, Math.pow(0.1023 / 0.0923, 2), 1e-3, 'Vitesse ∝ 1/D_h²');
+assert(old.f > clean.f, 'Rugosité du dépôt: friction accrue');
+assert(old.dP > 3 * clean.dP, 'Conduite tuberculée: ΔP plus que triplée');
+
+// Rugosité seule (sans dépôt): même diamètre, ΔP accrue
+const roughOnly = pipeSegment.calculatePipeSegment(
+  { ...geometry, fouling: { factor: 0, roughness: 2e-3 } },
+  fluid,
+  ambient,
+  null,
+  2
+);
+assert(roughOnly.V === clean.V && roughOnly.dP > clean.dP, 'Rugosité seule: ΔP accrue');
+assert(roughOnly.R_layers.length === clean.R_layers.length, 'R_f nul: pas de couche ajoutée');
+
+// ========== SUITE 3: THERMIQUE ==========
+console.log('\nSuite 3: Thermique\n');
+
+const scaled = pipeSegment.calculatePipeSegment(
+  { ...geometry, fouling: { factor: 0.002, thickness: 0 } },
+  fluid,
+  ambient,
+  null,
+  2
+);
+assert(scaled.R_layers.length === clean.R_layers.length + 1, "Couche d'encrassement ajoutée");
+assert(scaled.layer_details[1].name === 'Encrassement', 'Après la convection interne');
+assertApprox(
+  scaled.fouling.R,
+  0.002 / (Math.PI * geometry.D_inner * geometry.length),
+  1e-9,
+  'R_encr = R_f / (π·D_h·L)'
+);
+assert(scaled.Q_loss < clean.Q_loss, 'Encrassement: pertes réduites');
+assert(scaled.T_interfaces.length === clean.T_interfaces.length + 1, 'Surface du dépôt au profil');
+assert(
+  scaled.T_interfaces[0] > scaled.T_interfaces[1] &&
+    scaled.T_interfaces[1] > scaled.T_interfaces[2],
+  'Chute de température dans le dépôt'
+);
+
+// Isolant: couches repérées après la paroi
+const insulation = { material: 'fiberglass', thickness: 0.05 };
+const insulatedClean = pipeSegment.calculatePipeSegment(geometry, fluid, ambient, insulation, 2);
+const insulatedFouled = pipeSegment.calculatePipeSegment(
+  { ...geometry, fouling: { factor: 0.002, thickness: 0 } },
+  fluid,
+  ambient,
+  insulation,
+  2
+);
+const layer = insulatedFouled.insulation_layers[0];
+assertApprox(
+  layer.R,
+  insulatedFouled.R_layers[3],
+  1e-12,
+  "Couche d'isolant après l'encrassement et la paroi"
+);
+assertApprox(
+  layer.dT,
+  insulatedClean.insulation_layers[0].dT,
+  0.01,
+  "Chute dans l'isolant quasi inchangée"
+);
+
+// Traçage injecté à la paroi: l'encrassement est côté fluide
+const traced = pipeSegment.calculatePipeSegment(
+  { ...geometry, fouling: { factor: 0.002, thickness: 0 } },
+  fluid,
+  ambient,
+  insulation,
+  2,
+  { power: 20 }
+);
+const R_wallToEnv = traced.R_total - traced.R_layers[0] - traced.fouling.R;
+assertApprox(
+  traced.T_amb_eq,
+  traced.T_env + traced.Q_trace * R_wallToEnv,
+  1e-9,
+  "T_amb,eq: résistance de la paroi à l'environnement"
+);
+
+// ========== SUITE 4: RÉSEAU ==========
+console.log('\nSuite 4: Réseau\n');
+
+const config = {
+  geometry: { D_inner: 0.1023, D_outer: 0.1143, roughness: 0.26e-3, material: 'steel' },
+  totalLength: 300,
+  numSegments: 10,
+  fluid: { T_in: 10, P: 4, m_dot: 1.5 },
+  ambient: { T_amb: -15, V_wind: 5 },
+  insulation: null,
+};
+const network = pipeNetwork.calculatePipeNetwork(config);
+const networkOld = pipeNetwork.calculatePipeNetwork({
+  ...config,
+  geometry: { ...config.geometry, fouling: { type: 'tuberculated' } },
+});
+assert(networkOld.dP_total > 2 * network.dP_total, 'Réseau: ΔP plus que doublée');
+assert(networkOld.Q_loss_total < network.Q_loss_total, 'Réseau nu: pertes réduites');
+assertApprox(networkOld.segmentResults[0].D_flow, 0.0923, 1e-9, 'D_flow du segment: D_h');
+
+// Tronçons: encrassement propre à chaque tronçon
+const sections = pipeNetwork.calculatePipeNetwork({
+  ...config,
+  sections: [
+    { length: 150, geometry: config.geometry },
+    { length: 150, geometry: { ...config.geometry, fouling: { type: 'tuberculated' } } },
+  ],
+});
+const first = sections.segmentResults.find((s) => s.sectionIndex === 0);
+const last = sections.segmentResults.find((s) => s.sectionIndex === 1);
+assert(first.D_flow === 0.1023 && last.D_flow < 0.1023, 'Dépôt du second tronçon seulement');
+
+// Glace formée sur le dépôt
+const frozen = pipeNetwork.calculatePipeNetwork({
+  ...config,
+  totalLength: 200,
+  fluid: { T_in: 2, P: 4, m_dot: 0.3 },
+  ambient: { T_amb: -30, V_wind: 8 },
+  geometry: { ...config.geometry, fouling: { type: 'hard_water' } },
+});
+const iced = frozen.segmentResults.find((s) => s.iceThickness > 0 && !s.blocked);
+assert(iced !== undefined, 'Glace en paroi détectée');
+if (iced) {
+  assert(
+    iced.D_flow < 0.1023 - 0.002 && iced.D_flow + 2 * iced.iceThickness <= 0.1023 - 0.002 + 1e-9,
+    'Glace sous la surface du dépôt'
+  );
+}
+
+// ========== SUITE 5: VALIDATION ==========
+console.log('\nSuite 5: Validation\n');
+
+assertThrows(() => getFouling('sewage'), 'Type inconnu rejeté');
+assertThrows(() => getFouling(3), 'Type non textuel rejeté');
+assertThrows(() => resolveFouling(null, 0.1, 1e-4), 'Configuration absente rejetée');
+assertThrows(() => resolveFouling({ type: 'custom' }, 0.1, 1e-4), 'Personnalisé sans facteur');
+assertThrows(() => resolveFouling({ factor: -0.001 }, 0.1, 1e-4), 'Facteur négatif rejeté');
+assertThrows(
+  () => resolveFouling({ factor: 0.001, thickness: NaN }, 0.1, 1e-4),
+  'Épaisseur invalide rejetée'
+);
+assertThrows(
+  () => resolveFouling({ factor: 0.001, roughness: -1 }, 0.1, 1e-4),
+  'Rugosité négative rejetée'
+);
+assertThrows(
+  () => resolveFouling({ factor: 0.001, thickness: 0.05 }, 0.1, 1e-4),
+  'Dépôt obstruant la conduite rejeté'
+);
+assertThrows(
+  () =>
+    pipeSegment.calculatePipeSegment(
+      { ...geometry, fouling: { type: 'sewage' } },
+      fluid,
+      ambient,
+      null,
+      2
+    ),
+  'Segment: type inconnu rejeté'
+);
+
+// ========== RÉSUMÉ ==========
+console.log('\n' + '='.repeat(70));
+console.log('RÉSUMÉ DES TESTS');
+console.log('='.repeat(70) + '\n');
+
+console.log(`Tests réussis: ${testsPassed}/${testsTotal}`);
+
+if (testsPassed === testsTotal) {
+  console.log('✅ TOUS LES TESTS PASSENT\n');
+  process.exit(0);
+} else {
+  console.log(`❌ ${testsTotal - testsPassed} TEST(S) EN ÉCHEC\n`);
+  process.exit(1);
+}
@@ -0,0 +1,273 @@
+/**
+ * test_glycol_fluids.js
+ *
+ * Tests pour les fluides caloporteurs (properties/fluid-properties.js, data/fluids/glycol-tables.js)
+ *
+ * Teste:
+ * - Points de congélation des mélanges glycol
+ * - Interpolation des propriétés (T, concentration)
+ * - Délégation de l'eau à water-properties.js
+ * - Validation (fluide inconnu, concentration, plage de température)
+ * - Propagation du point de congélation: réseau, détection de gel, refroidissement
+ *
+ * Exécution: node tests/test_glycol_fluids.js
+ */
+
+const fluidProperties = require('../js/properties/fluid-properties.js');
+const waterProperties = require('../js/properties/water-properties.js');
+const { glycolTablesData } = require('../data/fluids/glycol-tables.js');
+const pipeNetwork = require('../js/engine/pipe-network.js');
+const freezeDetector = require('../js/engine/freeze-detector.js');
+const cooldown = require('../js/engine/cooldown.js');
+
+// Compteur de tests
+let testsTotal = 0;
+let testsPassed = 0;
+
+/**
+ * Fonction helper pour assertion
+ */
+function assert(condition, message) {
+  testsTotal++;
+  if (condition) {
+    testsPassed++;
+  } else {
+    console.error(`  ❌ ÉCHEC: ${message}`);
+  }
+}
+
+/**
+ * Fonction helper pour assertion approximative
+ */
+function assertApprox(actual, expected, tolerance, message) {
+  testsTotal++;
+  const diff = Math.abs(actual - expected);
+  const relError = Math.abs(diff / expected);
+
+  if (diff <= tolerance || relError <= tolerance) {
+    testsPassed++;
+  } else {
+    console.error(`  ❌ ÉCHEC: ${message}`);
+    console.error(`     Attendu: ${expected}, Obtenu: ${actual}, Différence: ${diff}`);
+  }
+}
+
+/**
+ * Fonction helper pour tester les erreurs
+ */
+function assertThrows(fn, message) {
+  testsTotal++;
+  try {
+    fn();
+    console.error(`  ❌ ÉCHEC: ${message} (aucune erreur levée)`);
+  } catch (e) {
+    testsPassed++;
+  }
+}
+
+console.log('\n' + '='.repeat(70));
+console.log('TESTS: fluid-properties.js / glycol-tables.js');
+console.log('='.repeat(70) + '\n');
+
+const PG30 = { type: 'propylene_glycol', concentration: 30 };
+const EG50 = { type: 'ethylene_glycol', concentration: 50 };
+
+// ========== SUITE 1: POINTS DE CONGÉLATION ==========
+console.log('Suite 1: Points de congélation\n');
+
+assert(fluidProperties.freezingPoint() === 0, 'Eau par défaut: 0°C');
+assert(fluidProperties.freezingPoint({ type: 'water' }) === 0, 'Eau pure: 0°C');
+assertApprox(fluidProperties.freezingPoint(PG30), -12.7, 1e-9, 'PG 30%: -12.7°C (table)');
+assertApprox(fluidProperties.freezingPoint(EG50), -34.2, 1e-9, 'EG 50%: -34.2°C (table)');
+assertApprox(
+  fluidProperties.freezingPoint({ type: 'ethylene_glycol', concentration: 25 }),
+  (-7.9 - 14.8) / 2,
+  1e-9,
+  'EG 25%: interpolation linéaire entre 20 et 30%'
+);
+assert(
+  ['ethylene_glycol', 'propylene_glycol'].every((type) => {
+    const freeze = glycolTablesData[type].freezing_point_C;
+    return freeze.every((T, i) => i === 0 || T < freeze[i - 1]);
+  }),
+  'Point de congélation décroissant avec la concentration'
+);
+assert(
+  fluidProperties.freezingPoint({ type: 'ethylene_glycol', concentration: 40 }) <
+    fluidProperties.freezingPoint({ type: 'propylene_glycol', concentration: 40 }),
+  "L'éthylène glycol abaisse davantage le point de congélation"
+);
+
+// ========== SUITE 2: PROPRIÉTÉS DES MÉLANGES ==========
+console.log('\nSuite 2: Propriétés des mélanges\n');
+
+const pg30Cold = fluidProperties.getFluidProperties(PG30, -5, 3);
+assertApprox(pg30Cold.mu, 7.5e-3, 0.1, 'PG 30% à -5°C: μ ≈ 7.5 mPa·s');
+assert(pg30Cold.rho > 1000 && pg30Cold.rho < 1060, `PG 30%: ρ plausible (${pg30Cold.rho})`);
+assert(pg30Cold.cp < 4186, "Glycol: cp inférieur à celui de l'eau");
+assert(pg30Cold.k < 0.6, "Glycol: k inférieur à celui de l'eau");
+
+// Aux noeuds de grille, l'interpolation retrouve exactement la table
+const iT = glycolTablesData.temperature_grid_C.indexOf(20);
+const iC = glycolTablesData.concentration_grid_pct.indexOf(40);
+const pg40 = fluidProperties.getFluidProperties(
+  { type: 'propylene_glycol', concentration: 40 },
+  20,
+  1
+);
+const pgTable = glycolTablesData.propylene_glycol;
+assertApprox(pg40.rho, pgTable.density_kg_m3[iT][iC], 1e-9, 'Noeud de grille: ρ exact');
+assertApprox(pg40.mu, pgTable.viscosity_Pa_s[iT][iC], 1e-9, 'Noeud de grille: μ exact');
+assertApprox(pg40.cp, pgTable.specific_heat_J_kg_K[iT][iC], 1e-9, 'Noeud de grille: cp exact');
+
+const pgWarm = fluidProperties.getFluidProperties(PG30, 40, 3);
+assert(pgWarm.mu < pg30Cold.mu / 3, 'Viscosité fortement décroissante avec T');
+const pg50 = fluidProperties.getFluidProperties(
+  { type: 'propylene_glycol', concentration: 50 },
+  40,
+  3
+);
+assert(pg50.mu > pgWarm.mu && pg50.cp < pgWarm.cp, 'Plus concentré: μ plus élevée, cp plus faible');
+
+// ========== SUITE 3: EAU ET VALIDATION ==========
+console.log('\nSuite 3: Eau et validation\n');
+
+const water = fluidProperties.getFluidProperties({ type: 'water' }, 20, 1);
+const waterRef = waterProperties.getWaterProperties(20, 1);
+assert(
+  water.rho === waterRef.rho && water.mu === waterRef.mu && water.cp === waterRef.cp,
+  'Eau: délégation à water-properties.js'
+);
+assert(fluidProperties.isWater(undefined) && fluidProperties.isWater({}), 'Eau par défaut');
+assert(!fluidProperties.isWater(PG30), 'Glycol: isWater = false');
+assert(fluidProperties.listFluids().length === 3, '3 fluides disponibles');
+
+const waterRange = fluidProperties.temperatureRange({ type: 'water', waterBackend: 'if97' });
+assert(
+  waterRange.T_min === waterProperties.getWaterRange('if97').T_min &&
+    waterRange.T_max === waterProperties.getWaterRange('if97').T_max,
+  'Plage eau: celle du backend'
+);
+const pgRange = fluidProperties.temperatureRange(PG30);
+assert(
+  pgRange.T_min === fluidProperties.freezingPoint(PG30),
+  'Plage glycol: depuis le point de gel'
+);
+assert(pgRange.T_max === 100, "Plage glycol: jusqu'à 100°C");
+
+assertThrows(() => fluidProperties.freezingPoint({ type: 'brine' }), 'Fluide inconnu');
+assertThrows(
+  () => fluidProperties.freezingPoint({ type: 'propylene_glycol' }),
+  'Concentration manquante'
+);
+assertThrows(
+  () => fluidProperties.freezingPoint({ type: 'propylene_glycol', concentration: 60 }),
+  'Concentration > 50%'
+);
+assertThrows(
+  () => fluidProperties.freezingPoint({ type: 'ethylene_glycol', concentration: 10 }),
+  'Concentration < 20%'
+);
+assertThrows(() => fluidProperties.getFluidProperties(PG30, -15, 3), 'T sous le point de gel');
+assertThrows(() => fluidProperties.getFluidProperties(PG30, 110, 3), 'T > 100°C');
+assertThrows(() => fluidProperties.getFluidProperties(PG30, NaN, 3), 'T non numérique');
+assertThrows(() => fluidProperties.getFluidProperties({}, -5, 3), 'Eau sous 0°C');
+
+// ========== SUITE 4: RÉSEAU ET DÉTECTION DE GEL ==========
+console.log('\nSuite 4: Réseau et détection de gel\n');
+
+const networkConfig = {
+  geometry: { D_inner: 0.0525, D_outer: 0.0603, roughness: 0.045e-3, material: 'steel' },
+  totalLength: 300,
+  numSegments: 20,
+  fluid: { T_in: 2, P: 3, m_dot: 2.5 },
+  ambient: { T_amb: -25, V_wind: 5 },
+  insulation: null,
+};
+
+const netWater = pipeNetwork.calculatePipeNetwork(networkConfig);
+const netPG = pipeNetwork.calculatePipeNetwork({
+  ...networkConfig,
+  fluid: { ...networkConfig.fluid, ...PG30 },
+});
+assert(netWater.T_freeze === 0, 'Réseau eau: T_freeze = 0');
+assertApprox(netPG.T_freeze, -12.7, 1e-9, 'Réseau PG 30%: T_freeze = -12.7');
+assert(netWater.frozenCondition, 'Eau à 2°C, 300 m nus à -25°C: gel atteint');
+assert(!netPG.frozenCondition, 'PG 30%: pas de gel');
+assert(netPG.T_final < 0, `PG 30%: fluide liquide sous 0°C (${netPG.T_final.toFixed(2)}°C)`);
+
+const netSubZero = pipeNetwork.calculatePipeNetwork({
+  ...networkConfig,
+  fluid: { ...networkConfig.fluid, ...EG50, T_in: -10 },
+});
+assert(
+  netSubZero.T_profile[0] === -10 && !netSubZero.frozenCondition,
+  'EG 50%: entrée à -10°C admise'
+);
+
+const netPGFrozen = pipeNetwork.calculatePipeNetwork({
+  ...networkConfig,
+  geometry: { ...networkConfig.geometry, D_inner: 0.1023, D_outer: 0.1143 },
+  totalLength: 1500,
+  fluid: { ...networkConfig.fluid, ...PG30, T_in: -9, m_dot: 6 },
+});
+assert(netPGFrozen.frozenCondition, 'PG 30% à -9°C sur 1500 m: gel atteint');
+assertApprox(netPGFrozen.T_final, -12.7, 1e-9, 'Sortie figée au point de gel du mélange');
+
+const analysisPG = freezeDetector.detectFreeze(netPG.T_profile, netPG.x_profile, netPG.T_freeze);
+assert(!analysisPG.freezeDetected, 'detectFreeze PG: pas de gel');
+assertApprox(
+  analysisPG.marginToFreeze,
+  netPG.minTemp + 12.7,
+  1e-9,
+  'Marge avant gel relative au point du mélange'
+);
+assertApprox(
+  analysisPG.marginToSafety,
+  analysisPG.marginToFreeze - 5,
+  1e-9,
+  'Seuil de sécurité = T_freeze + 5°C'
+);
+const analysisShifted = freezeDetector.detectFreeze([2, -3, -8], [0, 10, 20], -5);
+assert(analysisShifted.freezeDetected, 'detectFreeze: gel sous le point fourni');
+assertApprox(analysisShifted.freezePosition, 14, 1e-9, 'Position de gel interpolée à -5°C');
+
+// ========== SUITE 5: REFROIDISSEMENT À L'ARRÊT ==========
+console.log("\nSuite 5: Refroidissement à l'arrêt\n");
+
+const geometry = { D_inner: 0.0525, D_outer: 0.0603, material: 'steel' };
+const ambient = { T_amb: -25, V_wind: 5 };
+const coolWater = cooldown.calculateCooldown(geometry, { T_in: 5 }, ambient);
+const coolPG = cooldown.calculateCooldown(geometry, { T_in: 5, ...PG30 }, ambient);
+const coolEG = cooldown.calculateCooldown(
+  geometry,
+  { T_in: 5, ...EG50 },
+  { T_amb: -20, V_wind: 5 }
+);
+
+assert(coolWater.T_freeze === 0 && coolPG.T_freeze === netPG.T_freeze, 'T_freeze propagé');
+assert(coolPG.freezes && coolPG.timeToZero > coolWater.timeToZero, 'PG 30%: gel plus tardif');
+assert(!coolEG.freezes, 'EG 50% (-34.2°C) à -20°C: pas de gel');
+assertThrows(
+  () => cooldown.calculateCooldown(geometry, { T_in: -15, ...PG30 }, ambient),
+  'Départ sous le point de gel du mélange'
+);
+
+console.log(
+  `  ℹ️  300 m NPS 2 nus, air -25°C: eau gelée à ${netWater.frozenAtPosition.toFixed(0)} m, PG 30% sortie ${netPG.T_final.toFixed(2)}°C; arrêt: ${(coolWater.timeToZero / 3600).toFixed(2)} h (eau) vs ${(coolPG.timeToZero / 3600).toFixed(2)} h (PG 30%)`
+);
+
+// ========== RÉSUMÉ ==========
+console.log('\n' + '='.repeat(70));
+console.log('RÉSUMÉ DES TESTS');
+console.log('='.repeat(70) + '\n');
+
+console.log(`Tests réussis: ${testsPassed}/${testsTotal}`);
+
+if (testsPassed === testsTotal) {
+  console.log('✅ TOUS LES TESTS PASSENT\n');
+  process.exit(0);
+} else {
+  console.log(`❌ ${testsTotal - testsPassed} TEST(S) EN ÉCHEC\n`);
+  process.exit(1);
+}
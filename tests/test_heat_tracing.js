@@ -0,0 +1,262 @@
+/**
+ * test_heat_tracing.js
+ *
+ * Tests pour le traçage électrique (calculations/heat-tracing.js, engine/trace-sizing.js)
+ *
+ * Teste:
+ * - Validation des configurations (puissance constante, courbe autorégulante)
+ * - Interpolation de la courbe puissance/température
+ * - Bilan du segment avec ambiance équivalente
+ * - Propagation dans le réseau (configuration globale et par tronçon)
+ * - Dimensionnement de la puissance minimale
+ *
+ * Exécution: node tests/test_heat_tracing.js
+ */
+
+const heatTracing = require('../js/calculations/heat-tracing.js');
+const pipeSegment = require('../js/engine/pipe-segment.js');
+const pipeNetwork = require('../js/engine/pipe-network.js');
+const traceSizing = require('../js/engine/trace-sizing.js');
+
+// Compteur de tests
+let testsTotal = 0;
+let testsPassed = 0;
+
+/**
+ * Fonction helper pour assertion
+ */
+function assert(condition, message) {
+  testsTotal++;
+  if (condition) {
+    testsPassed++;
+  } else {
+    console.error(`  ❌ ÉCHEC: ${message}`);
+  }
+}
+
+/**
+ * Fonction helper pour assertion approximative
+ */
+function assertApprox(actual, expected, tolerance, message) {
+  testsTotal++;
+  const diff = Math.abs(actual - expected);
+  const relError = Math.abs(diff / expected);
+
+  if (diff <= tolerance || relError <= tolerance) {
+    testsPassed++;
+  } else {
+    console.error(`  ❌ ÉCHEC: ${message}`);
+    console.error(`     Attendu: ${expected}, Obtenu: ${actual}, Différence: ${diff}`);
+  }
+}
+
+/**
+ * Fonction helper pour tester les erreurs
+ */
+function assertThrows(fn, message) {
+  testsTotal++;
+  try {
+    fn();
+    console.error(`  ❌ ÉCHEC: ${message} (aucune erreur levée)`);
+  } catch (e) {
+    testsPassed++;
+  }
+}
+
+console.log('\n' + '='.repeat(70));
+console.log('TESTS: heat-tracing.js / trace-sizing.js');
+console.log('='.repeat(70) + '\n');
+
+// ========== CONFIGURATION DE BASE ==========
+const geometry = {
+  D_inner: 0.0525,
+  D_outer: 0.0603,
+  roughness: 0.045e-3,
+  length: 10,
+  material: 'steel',
+};
+const fluid = { T_in: 8, P: 3, m_dot: 0.3 };
+const ambient = { T_amb: -25, V_wind: 5 };
+const insulation = { material: 'fiberglass', thickness: 0.025 };
+const selfRegulating = {
+  curve: [
+    { T: 0, power: 30 },
+    { T: 50, power: 10 },
+  ],
+};
+
+const networkConfig = {
+  geometry: { D_inner: 0.0525, D_outer: 0.0603, roughness: 0.045e-3, material: 'steel' },
+  totalLength: 200,
+  numSegments: 20,
+  fluid,
+  ambient,
+  insulation,
+};
+
+// ========== SUITE 1: VALIDATION ==========
+console.log('Suite 1: Validation des configurations\n');
+
+assertThrows(() => heatTracing.validateHeatTracing(null), 'Configuration nulle');
+assertThrows(() => heatTracing.validateHeatTracing({}), 'Ni puissance ni courbe');
+assertThrows(
+  () => heatTracing.validateHeatTracing({ power: 10, curve: selfRegulating.curve }),
+  'Puissance et courbe simultanées'
+);
+assertThrows(() => heatTracing.validateHeatTracing({ power: -5 }), 'Puissance négative');
+assertThrows(
+  () => heatTracing.validateHeatTracing({ curve: [{ T: 0, power: 30 }] }),
+  'Courbe à un seul point'
+);
+assertThrows(
+  () =>
+    heatTracing.validateHeatTracing({
+      curve: [
+        { T: 10, power: 30 },
+        { T: 0, power: 20 },
+      ],
+    }),
+  'Températures de courbe non croissantes'
+);
+assertThrows(
+  () => pipeSegment.calculatePipeSegment(geometry, fluid, ambient, insulation, 2, { power: NaN }),
+  'calculatePipeSegment rejette un traçage invalide'
+);
+
+// ========== SUITE 2: PUISSANCE DU CÂBLE ==========
+console.log('\nSuite 2: Puissance du câble\n');
+
+assert(heatTracing.tracePowerAt(null, 5) === 0, 'Aucun traçage → 0 W/m');
+assert(heatTracing.tracePowerAt({ power: 12 }, -40) === 12, 'Câble constant indépendant de T');
+assertApprox(heatTracing.tracePowerAt(selfRegulating, 10), 26, 1e-9, 'Interpolation à 10°C');
+assert(heatTracing.tracePowerAt(selfRegulating, -20) === 30, 'Borné sous la courbe');
+assert(heatTracing.tracePowerAt(selfRegulating, 80) === 10, 'Borné au-dessus de la courbe');
+assertApprox(
+  heatTracing.equivalentAmbientTemperature(-25, 100, 0.2),
+  -5,
+  1e-9,
+  'T_eq = T_amb + Q·R_ext'
+);
+
+// ========== SUITE 3: BILAN DU SEGMENT ==========
+console.log('\nSuite 3: Bilan du segment\n');
+
+const bare = pipeSegment.calculatePipeSegment(geometry, fluid, ambient, insulation);
+const zero = pipeSegment.calculatePipeSegment(geometry, fluid, ambient, insulation, 2, {
+  power: 0,
+});
+const traced = pipeSegment.calculatePipeSegment(geometry, fluid, ambient, insulation, 2, {
+  power: 10,
+});
+
+assert(bare.Q_trace === 0 && bare.T_amb_eq === ambient.T_amb, 'Sans traçage: T_eq = T_amb');
+assertApprox(zero.T_out, bare.T_out, 1e-12, 'Puissance nulle identique au calcul sans traçage');
+assertApprox(traced.Q_trace, 100, 1e-9, 'Q_trace = q · L');
+assert(traced.T_out > bare.T_out, 'Le traçage réchauffe la sortie');
+assert(traced.Q_loss < bare.Q_loss, 'Le traçage réduit la perte nette du fluide');
+
+// T_out = T_eq + (T_in - T_eq)·exp(-NTU) avec T_eq = T_amb + Q_trace·(R_total - R_conv,int)
+const R_outer = traced.R_total - traced.R_layers[0];
+const T_eq = ambient.T_amb + traced.Q_trace * R_outer;
+assertApprox(traced.T_amb_eq, T_eq, 1e-9, 'Ambiance équivalente');
+assertApprox(
+  traced.T_out,
+  T_eq + (fluid.T_in - T_eq) * Math.exp(-traced.NTU),
+  1e-9,
+  'Sortie NTU avec ambiance équivalente'
+);
+
+// Une partie de l'apport part vers l'air: gain du fluide < Q_trace
+assert(bare.Q_loss - traced.Q_loss < traced.Q_trace, 'Gain du fluide inférieur à Q_trace');
+
+const selfReg = pipeSegment.calculatePipeSegment(
+  geometry,
+  fluid,
+  ambient,
+  insulation,
+  2,
+  selfRegulating
+);
+assert(
+  selfReg.q_trace > 26 && selfReg.q_trace < 30,
+  `Autorégulant évalué près de T_moy (${selfReg.q_trace.toFixed(2)} W/m)`
+);
+
+// ========== SUITE 4: RÉSEAU ==========
+console.log('\nSuite 4: Propagation dans le réseau\n');
+
+const netBare = pipeNetwork.calculatePipeNetwork(networkConfig);
+const netTraced = pipeNetwork.calculatePipeNetwork({ ...networkConfig, heatTracing: { power: 5 } });
+
+assert(netBare.Q_trace_total === 0, 'Réseau sans traçage: Q_trace_total = 0');
+assertApprox(netTraced.Q_trace_total, 5 * 200, 1e-9, 'Q_trace_total = q · L_totale');
+assert(netTraced.minTemp > netBare.minTemp, 'Le traçage relève la température minimale');
+assert(
+  netTraced.segmentResults.every((seg) => seg.q_trace === 5),
+  'Puissance appliquée à tous les segments'
+);
+
+// Traçage limité au second tronçon
+const sectioned = pipeNetwork.calculatePipeNetwork({
+  ...networkConfig,
+  heatTracing: undefined,
+  sections: [
+    { length: 100, geometry: networkConfig.geometry, insulation },
+    { length: 100, geometry: networkConfig.geometry, insulation, heatTracing: { power: 20 } },
+  ],
+});
+assertApprox(sectioned.Q_trace_total, 2000, 1e-9, 'Traçage par tronçon');
+assert(
+  sectioned.segmentResults.filter((seg) => seg.sectionIndex === 0).every((s) => s.Q_trace === 0),
+  'Premier tronçon non tracé'
+);
+
+// ========== SUITE 5: DIMENSIONNEMENT ==========
+console.log('\nSuite 5: Dimensionnement\n');
+
+const T_maintain = 7;
+const sizing = traceSizing.sizeHeatTracing(networkConfig, T_maintain);
+
+assert(sizing.feasible, 'Dimensionnement faisable');
+assert(sizing.power > 0, 'Puissance requise positive');
+assert(sizing.minTemp >= T_maintain, 'Puissance retenue maintient T_maintain');
+const underSized = pipeNetwork.calculatePipeNetwork({
+  ...networkConfig,
+  heatTracing: { power: sizing.power - 0.2 },
+});
+assert(underSized.minTemp < T_maintain, 'Puissance minimale (à la tolérance près)');
+assertApprox(sizing.Q_trace_total, sizing.power * 200, 1e-9, 'Puissance totale installée');
+
+const notNeeded = traceSizing.sizeHeatTracing(networkConfig, 0);
+assert(notNeeded.feasible && notNeeded.power === 0, 'Aucun traçage requis au-dessus de 0°C');
+
+const infeasible = traceSizing.sizeHeatTracing(networkConfig, 7.99, { maxPower: 1 });
+assert(!infeasible.feasible && infeasible.power === null, 'Puissance maximale insuffisante');
+
+assertThrows(
+  () => traceSizing.sizeHeatTracing(networkConfig, 10),
+  'Entrée sous la température de maintien'
+);
+assertThrows(
+  () => traceSizing.sizeHeatTracing(networkConfig, 5, { tolerance: 0 }),
+  'Tolérance nulle'
+);
+
+console.log(
+  `  ℹ️  200 m isolés, air -25°C: ${sizing.power.toFixed(1)} W/m pour maintenir ${T_maintain}°C (${sizing.iterations} évaluations)`
+);
+
+// ========== RÉSUMÉ ==========
+console.log('\n' + '='.repeat(70));
+console.log('RÉSUMÉ DES TESTS');
+console.log('='.repeat(70) + '\n');
+
+console.log(`Tests réussis: ${testsPassed}/${testsTotal}`);
+
+if (testsPassed === testsTotal) {
+  console.log('✅ TOUS LES TESTS PASSENT\n');
+  process.exit(0);
+} else {
+  console.log(`❌ ${testsTotal - testsPassed} TEST(S) EN ÉCHEC\n`);
+  process.exit(1);
+}
@@ -0,0 +1,233 @@
+/**
+ * test_ice_layer.js
+ *
+ * Tests pour le module ice-layer (couche de glace annulaire en régime permanent)
+ *
+ * Teste:
+ * - Température de paroi intérieure (division de résistances)
+ * - Formation de glace lorsque la paroi passe sous 0°C
+ * - Bilan d'énergie et effet isolant de la glace
+ * - Rétrécissement de section et perte de charge supplémentaire
+ * - Obstruction complète
+ * - Aucun avertissement des corrélations sur un réseau en gel
+ *
+ * Exécution: node tests/test_ice_layer.js
+ */
+
+const iceLayer = require('../js/engine/ice-layer.js');
+const pipeSegment = require('../js/engine/pipe-segment.js');
+const resistance = require('../js/calculations/thermal-resistance.js');
+const { calculatePipeNetwork } = require('../js/engine/pipe-network.js');
+
+// Compteur de tests
+let testsTotal = 0;
+let testsPassed = 0;
+
+/**
+ * Fonction helper pour assertion
+ */
+function assert(condition, message) {
+  testsTotal++;
+  if (condition) {
+    testsPassed++;
+  } else {
+    console.error(`  ❌ ÉCHEC: ${message}`);
+  }
+}
+
+/**
+ * Fonction helper pour assertion approximative
+ */
+function assertApprox(actual, expected, tolerance, message) {
+  testsTotal++;
+  const diff = Math.abs(actual - expected);
+  const relError = Math.abs(diff / expected);
+
+  if (diff <= tolerance || relError <= tolerance) {
+    testsPassed++;
+  } else {
+    console.error(`  ❌ ÉCHEC: ${message}`);
+    console.error(`     Attendu: ${expected}, Obtenu: ${actual}, Différence: ${diff}`);
+  }
+}
+
+/**
+ * Fonction helper pour tester les erreurs
+ */
+function assertThrows(fn, message) {
+  testsTotal++;
+  try {
+    fn();
+    console.error(`  ❌ ÉCHEC: ${message} (aucune erreur levée)`);
+  } catch (e) {
+    testsPassed++;
+  }
+}
+
+console.log('\n' + '='.repeat(70));
+console.log('TESTS: ice-layer.js');
+console.log('='.repeat(70) + '\n');
+
+// ========== CONFIGURATION DE BASE ==========
+// Acier nu NPS 2", débit faible, air très froid avec vent
+const geometry = {
+  D_inner: 0.0525,
+  D_outer: 0.0603,
+  roughness: 0.045e-3,
+  length: 10,
+  material: 'steel',
+};
+const ambient = { T_amb: -30, V_wind: 10 };
+
+function iceFor(T_in, dP_available) {
+  const fluid = { T_in: T_in, P: 3.0, m_dot: 0.5 };
+  const seg = pipeSegment.calculatePipeSegment(geometry, fluid, ambient, null);
+  const R_outer = seg.R_total - seg.R_layers[0];
+  return {
+    seg: seg,
+    ice: iceLayer.calculateIceLayer(geometry, fluid, ambient.T_amb, R_outer, dP_available),
+  };
+}
+
+// ========== SUITE 1: VALIDATION DES ENTRÉES ==========
+console.log('Suite 1: Validation des entrées\n');
+
+assertThrows(
+  () => iceLayer.calculateIceLayer(null, { T_in: 2, P: 3, m_dot: 0.5 }, -30, 0.1),
+  'Géométrie nulle devrait lever une erreur'
+);
+assertThrows(
+  () => iceLayer.calculateIceLayer(geometry, { T_in: 2, P: 3, m_dot: 0 }, -30, 0.1),
+  'Débit nul devrait lever une erreur'
+);
+assertThrows(
+  () => iceLayer.calculateIceLayer(geometry, { T_in: 2, P: 3, m_dot: 0.5 }, -30, -1),
+  'Résistance externe négative devrait lever une erreur'
+);
+
+// ========== SUITE 2: TEMPÉRATURE DE PAROI ==========
+console.log('\nSuite 2: Température de paroi intérieure\n');
+
+const R_layers = [0.001, 0.0002, 0.05, 0.01];
+const T_wall = iceLayer.innerWallTemperature(20, -10, R_layers);
+assertApprox(
+  T_wall,
+  resistance.temperatureProfile(20, -10, R_layers)[1],
+  1e-12,
+  'T_paroi = première interface de temperatureProfile'
+);
+assert(T_wall < 20 && T_wall > -10, 'T_paroi entre T_eau et T_amb');
+
+const { seg: seg2 } = iceFor(2);
+assert(seg2.R_layers.length === 3, 'Conduite nue: 3 couches (int, paroi, ext)');
+assertApprox(
+  seg2.R_layers.reduce((a, b) => a + b, 0),
+  seg2.R_total,
+  1e-9,
+  'Somme des R_layers = R_total'
+);
+
+// ========== SUITE 3: FORMATION DE GLACE ==========
+console.log('\nSuite 3: Formation de glace\n');
+
+const { seg: warmSeg, ice: warmIce } = iceFor(5);
+assert(warmIce.iceThickness === 0, 'Eau à 5°C: paroi > 0°C, pas de glace');
+assertApprox(warmIce.T_out, warmSeg.T_out, 0.01, 'Sans glace: T_out identique à pipe-segment');
+
+const { seg: coldSeg, ice: coldIce } = iceFor(2);
+assert(coldIce.iceThickness > 0, 'Eau à 2°C: couche de glace formée');
+assert(!coldIce.blocked, 'Eau à 2°C: conduite non obstruée');
+assertApprox(
+  coldIce.D_flow,
+  geometry.D_inner - 2 * coldIce.iceThickness,
+  1e-12,
+  'D_flow = D_inner - 2·épaisseur'
+);
+assert(coldIce.Q_loss < coldSeg.Q_loss, 'La glace isole: perte réduite');
+assert(coldIce.T_out > coldSeg.T_out, 'La glace isole: T_out plus élevée');
+assert(coldIce.dP_ice > 0, 'Rétrécissement: perte de charge supplémentaire > 0');
+assert(coldIce.R_ice > 0, 'Résistance de la glace > 0');
+
+// Bilan d'énergie: Q = ṁ·cp·(T_in - T_out) avec cp ≈ 4.2 kJ/(kg·K)
+const cpApparent = coldIce.Q_loss / (0.5 * (2 - coldIce.T_out));
+assert(cpApparent > 4150 && cpApparent < 4250, "Bilan d'énergie cohérent (cp de l'eau)");
+
+// Bilan à l'interface: chaleur évacuée à travers glace + couches externes
+const R_outer = coldSeg.R_total - coldSeg.R_layers[0];
+assertApprox(
+  coldIce.Q_loss,
+  (0 - ambient.T_amb) / (coldIce.R_ice + R_outer),
+  0.05,
+  "Q ≈ (0 - T_amb) / (R_glace + R_ext) à l'équilibre"
+);
+
+// Eau plus froide → glace plus épaisse
+const { ice: colderIce } = iceFor(1.5);
+assert(colderIce.iceThickness > coldIce.iceThickness, 'Eau plus froide → glace plus épaisse');
+assert(colderIce.dP_ice > coldIce.dP_ice, 'Glace plus épaisse → perte de charge plus élevée');
+
+// ========== SUITE 4: OBSTRUCTION ==========
+console.log('\nSuite 4: Obstruction\n');
+
+const { ice: zeroIce } = iceFor(0);
+assert(zeroIce.blocked, 'Eau à 0°C: conduite obstruée');
+assert(zeroIce.D_flow === 0, 'Obstruction: D_flow = 0');
+assert(zeroIce.T_out === 0, 'Obstruction: T_out = 0°C');
+
+const { ice: pressureIce } = iceFor(1.5, 100);
+assert(pressureIce.blocked, 'Pression disponible insuffisante (100 Pa) → obstruction');
+
+const { ice: enoughIce } = iceFor(1.5, 1e6);
+assert(!enoughIce.blocked, 'Pression disponible suffisante → écoulement maintenu');
+
+console.log(
+  `  ℹ️  T_in = 2°C: glace ${(coldIce.iceThickness * 1000).toFixed(1)} mm, D_flow ${(coldIce.D_flow * 1000).toFixed(1)} mm, ΔP glace ${coldIce.dP_ice.toFixed(0)} Pa`
+);
+
+// ========== SUITE 5: AVERTISSEMENTS DU SOLVEUR ==========
+console.log('\nSuite 5: Avertissements du solveur\n');
+
+// DN50 nu, 300 m, eau à 5°C par -30°C et vent de 10 m/s: gel sur une partie de la conduite.
+// La bissection de l'interface ne doit pas relayer les avertissements des corrélations.
+const freezingConfig = {
+  geometry: { D_inner: 0.0525, D_outer: 0.0603, roughness: 0.045e-3, material: 'steel' },
+  totalLength: 300,
+  numSegments: 60,
+  fluid: { T_in: 5, P: 3, m_dot: 0.05 },
+  ambient: { T_amb: -30, V_wind: 10 },
+  insulation: null,
+};
+
+const warnings = [];
+const originalWarn = console.warn;
+console.warn = (message) => warnings.push(String(message));
+let freezingResult;
+try {
+  freezingResult = calculatePipeNetwork(freezingConfig);
+} finally {
+  console.warn = originalWarn;
+}
+
+assert(
+  freezingResult.segmentResults.some((seg) => seg.iceThickness > 0),
+  'Cas de gel: couche de glace formée'
+);
+assert(
+  warnings.length === 0,
+  `Cas de gel: aucun avertissement (${warnings.length} reçus${warnings.length ? ', ex. ' + warnings[0] : ''})`
+);
+
+// ========== RÉSUMÉ ==========
+console.log('\n' + '='.repeat(70));
+console.log('RÉSUMÉ DES TESTS');
+console.log('='.repeat(70) + '\n');
+
+console.log(`Tests réussis: ${testsPassed}/${testsTotal}`);
+
+if (testsPassed === testsTotal) {
+  console.log('✅ TOUS LES TESTS PASSENT\n');
+  process.exit(0);
+} else {
+  console.log(`❌ ${testsTotal - testsPassed} TEST(S) EN ÉCHEC\n`);
+  process.exit(1);
+}
@@ -0,0 +1,224 @@
+/**
+ * test_insulation_degradation.js
+ *
+ * Tests pour la conductivité des isolants (properties/material-properties.js)
+ *
+ * Teste:
+ * - Courbes k(T): interpolation et bornage
+ * - Dégradation par humidité et vieillissement
+ * - Évaluation à la température moyenne de la couche dans le segment
+ * - Effet sur les pertes et sur le refroidissement à débit nul
+ * - Validation des entrées
+ *
+ * Exécution: node tests/test_insulation_degradation.js
+ */
+
+const materialProps = require('../js/properties/material-properties.js');
+const pipeSegment = require('../js/engine/pipe-segment.js');
+const cooldown = require('../js/engine/cooldown.js');
+
+const { insulationConductivity, getMaterialProperties } = materialProps;
+
+// Compteur de tests
+let testsTotal = 0;
+let testsPassed = 0;
+
+/**
+ * Fonction helper pour assertion
+ */
+function assert(condition, message) {
+  testsTotal++;
+  if (condition) {
+    testsPassed++;
+  } else {
+    console.error(`  ❌ ÉCHEC: ${message}`);
+  }
+}
+
+/**
+ * Fonction helper pour assertion approximative
+ */
+function assertApprox(actual, expected, tolerance, message) {
+  testsTotal++;
+  const diff = Math.abs(actual - expected);
+  const relError = Math.abs(diff / expected);
+
+  if (diff <= tolerance || relError <= tolerance) {
+    testsPassed++;
+  } else {
+    console.error(`  ❌ ÉCHEC: ${message}`);
+    console.error(`     Attendu: ${expected}, Obtenu: ${actual}, Différence: ${diff}`);
+  }
+}
+
+/**
+ * Fonction helper pour tester les erreurs
+ */
+function assertThrows(fn, message) {
+  testsTotal++;
+  try {
+    fn();
+    console.error(`  ❌ ÉCHEC: ${message} (aucune erreur levée)`);
+  } catch (e) {
+    testsPassed++;
+  }
+}
+
+console.log('\n' + '='.repeat(70));
+console.log('TESTS: conductivité des isolants (k(T), humidité, vieillissement)');
+console.log('='.repeat(70) + '\n');
+
+// ========== SUITE 1: COURBES k(T) ==========
+console.log('Suite 1: Courbes k(T)\n');
+
+assertApprox(insulationConductivity('mineral_wool', 24), 0.038, 1e-9, 'Nœud 24°C');
+assertApprox(insulationConductivity('mineral_wool', -20), 0.033, 1e-9, 'Nœud -20°C');
+assertApprox(insulationConductivity('mineral_wool', 12), 0.0365, 1e-9, 'Interpolation 0-24°C');
+assertApprox(insulationConductivity('mineral_wool', -60), 0.031, 1e-9, 'Bornage sous -40°C');
+assertApprox(insulationConductivity('mineral_wool', 150), 0.048, 1e-9, 'Bornage au-delà de 100°C');
+
+const insulations = materialProps.listMaterials('insulation');
+insulations.forEach((id) => {
+  const props = getMaterialProperties(id);
+  const { T_C, k } = props.k_curve;
+  assert(T_C.length === k.length, `${id}: courbe cohérente`);
+  assert(
+    k.every((value, i) => i === 0 || value > k[i - 1]),
+    `${id}: k croît avec la température`
+  );
+  assertApprox(insulationConductivity(id, 24), props.k, 0.02, `${id}: k(24°C) ≈ k nominal`);
+});
+
+// ========== SUITE 2: DÉGRADATION ==========
+console.log('\nSuite 2: Humidité et vieillissement\n');
+
+const dry = insulationConductivity('fiberglass', 0);
+assert(
+  insulationConductivity('fiberglass', 0, {}) === dry,
+  'Sans dégradation: isolant neuf et sec'
+);
+assertApprox(
+  insulationConductivity('fiberglass', 0, { moisture: 10 }) - dry,
+  0.35 * 0.1 * 0.6,
+  1e-9,
+  "10 % vol. d'eau: +0.021 W/(m·K)"
+);
+assert(
+  insulationConductivity('fiberglass', 0, { moisture: 10 }) > 1.5 * dry,
+  'Isolant mouillé: k augmente de plus de 50 %'
+);
+
+// PU: hausse de 30 % à long terme, constante de temps 8 ans
+const pu = insulationConductivity('polyurethane_foam', 24);
+assertApprox(
+  insulationConductivity('polyurethane_foam', 24, { age: 8 }),
+  pu * (1 + 0.3 * (1 - Math.exp(-1))),
+  1e-9,
+  'PU à 8 ans: 1 - 1/e de la hausse maximale'
+);
+assert(
+  insulationConductivity('polyurethane_foam', 24, { age: 60 }) < pu * 1.3,
+  'Vieillissement borné par la hausse maximale'
+);
+assert(
+  insulationConductivity('polyurethane_foam', 24, { age: 20 }) / pu >
+    insulationConductivity('mineral_wool', 24, { age: 20 }) / 0.038,
+  'Mousses à agent gonflant: vieillissement plus marqué que les laines'
+);
+
+// Matériau sans courbe (métal): k nominal
+assert(insulationConductivity('steel', -20) === getMaterialProperties('steel').k, 'Sans courbe: k');
+
+// ========== SUITE 3: SEGMENT ==========
+console.log('\nSuite 3: Segment isolé\n');
+
+const geometry = {
+  D_inner: 0.1023,
+  D_outer: 0.1143,
+  roughness: 0.045e-3,
+  length: 10,
+  material: 'steel',
+};
+const fluid = { T_in: 60, P: 3.0, m_dot: 2.0 };
+const ambient = { T_amb: -30, V_wind: 5 };
+const insulation = { material: 'polyurethane_foam', thickness: 0.05 };
+
+const result = pipeSegment.calculatePipeSegment(geometry, fluid, ambient, insulation);
+assert(
+  result.T_insulation > ambient.T_amb && result.T_insulation < fluid.T_in,
+  'Température moyenne de la couche entre air et eau'
+);
+assertApprox(
+  result.k_insulation,
+  insulationConductivity('polyurethane_foam', result.T_insulation),
+  1e-3,
+  'k évalué à la température moyenne convergée'
+);
+assertApprox(result.T_insulation, (60 + -30) / 2, 0.1, 'Isolant épais: T_moy ≈ moyenne eau-air');
+
+const cold = pipeSegment.calculatePipeSegment({ ...geometry }, { ...fluid, T_in: 5 }, ambient, {
+  ...insulation,
+});
+assert(cold.k_insulation < result.k_insulation, 'Eau plus froide: k plus faible');
+
+const wet = pipeSegment.calculatePipeSegment(geometry, fluid, ambient, {
+  ...insulation,
+  degradation: { moisture: 10, age: 20 },
+});
+assert(wet.Q_loss > 1.5 * result.Q_loss, 'Isolant dégradé: pertes accrues de plus de 50 %');
+assert(wet.T_out < result.T_out, 'Isolant dégradé: sortie plus froide');
+
+const bare = pipeSegment.calculatePipeSegment(geometry, fluid, ambient);
+assert(bare.k_insulation === null, 'Sans isolant: pas de k');
+
+// ========== SUITE 4: REFROIDISSEMENT ==========
+console.log('\nSuite 4: Refroidissement à débit nul\n');
+
+const pipe = { D_inner: 0.0525, D_outer: 0.0603, material: 'steel' };
+const airCold = { T_amb: -20, V_wind: 5 };
+const fresh = cooldown.calculateCooldown(pipe, { T_in: 10 }, airCold, {
+  material: 'fiberglass',
+  thickness: 0.025,
+});
+const aged = cooldown.calculateCooldown(pipe, { T_in: 10 }, airCold, {
+  material: 'fiberglass',
+  thickness: 0.025,
+  degradation: { moisture: 15 },
+});
+assert(aged.UA_initial > fresh.UA_initial, 'Isolant mouillé: conductance accrue');
+assert(aged.timeToZero < fresh.timeToZero, 'Isolant mouillé: gel plus rapide');
+
+// ========== SUITE 5: VALIDATION ==========
+console.log('\nSuite 5: Validation\n');
+
+assertThrows(() => insulationConductivity('unobtainium', 0), 'Matériau inconnu rejeté');
+assertThrows(() => insulationConductivity('fiberglass', NaN), 'Température invalide rejetée');
+assertThrows(
+  () => insulationConductivity('fiberglass', 0, { moisture: 60 }),
+  'Humidité > 50 % rejetée'
+);
+assertThrows(() => insulationConductivity('fiberglass', 0, { moisture: -1 }), 'Humidité négative');
+assertThrows(() => insulationConductivity('fiberglass', 0, { age: 100 }), 'Âge > 60 ans rejeté');
+assertThrows(
+  () =>
+    pipeSegment.calculatePipeSegment(geometry, fluid, ambient, {
+      ...insulation,
+      degradation: { age: -2 },
+    }),
+  'Dégradation invalide rejetée par le segment'
+);
+
+// ========== RÉSUMÉ ==========
+console.log('\n' + '='.repeat(70));
+console.log('RÉSUMÉ DES TESTS');
+console.log('='.repeat(70) + '\n');
+
+console.log(`Tests réussis: ${testsPassed}/${testsTotal}`);
+
+if (testsPassed === testsTotal) {
+  console.log('✅ TOUS LES TESTS PASSENT\n');
+  process.exit(0);
+} else {
+  console.log(`❌ ${testsTotal - testsPassed} TEST(S) EN ÉCHEC\n`);
+  process.exit(1);
+}
@@ -0,0 +1,281 @@
+/**
+ * test_insulation_layers.js
+ *
+ * Tests pour l'isolation multicouche (calculations/insulation-layers.js, pipe-segment)
+ *
+ * Teste:
+ * - Normalisation: couche unique, tableau de couches, {layers, jacket}
+ * - Mise à l'échelle des épaisseurs
+ * - Une couche de conduction par isolant, k à sa température moyenne
+ * - Chute de température par couche (temperatureProfile)
+ * - Refroidissement et réseau avec isolation multicouche
+ * - Validation des entrées
+ *
+ * Exécution: node tests/test_insulation_layers.js
+ */
+
+const insulationLayers = require('../js/calculations/insulation-layers.js');
+const materialProps = require('../js/properties/material-properties.js');
+const pipeSegment = require('../js/engine/pipe-segment.js');
+const pipeNetwork = require('../js/engine/pipe-network.js');
+const cooldown = require('../js/engine/cooldown.js');
+
+const { resolveInsulation, scaleInsulation } = insulationLayers;
+
+// Compteur de tests
+let testsTotal = 0;
+let testsPassed = 0;
+
+/**
+ * Fonction helper pour assertion
+ */
+function assert(condition, message) {
+  testsTotal++;
+  if (condition) {
+    testsPassed++;
+  } else {
+    console.error(`  ❌ ÉCHEC: ${message}`);
+  }
+}
+
+/**
+ * Fonction helper pour assertion approximative
+ */
+function assertApprox(actual, expected, tolerance, message) {
+  testsTotal++;
+  const diff = Math.abs(actual - expected);
+  const relError = Math.abs(diff / expected);
+
+  if (diff <= tolerance || relError <= tolerance) {
+    testsPassed++;
+  } else {
+    console.error(`  ❌ ÉCHEC: ${message}`);
+    console.error(`     Attendu: ${expected}, Obtenu: ${actual}, Différence: ${diff}`);
+  }
+}
+
+/**
+ * Fonction helper pour tester les erreurs
+ */
+function assertThrows(fn, message) {
+  testsTotal++;
+  try {
+    fn();
+    console.error(`  ❌ ÉCHEC: ${message} (aucune erreur levée)`);
+  } catch (e) {
+    testsPassed++;
+  }
+}
+
+console.log('\n' + '='.repeat(70));
+console.log('TESTS: insulation-layers.js (isolation multicouche)');
+console.log('='.repeat(70) + '\n');
+
+// ========== SUITE 1: NORMALISATION ==========
+console.log('Suite 1: Normalisation de la configuration\n');
+
+const single = resolveInsulation({ material: 'fiberglass', thickness: 0.03 });
+assert(single.layers.length === 1 && single.thickness === 0.03, 'Couche unique');
+assert(
+  single.jacket === null && single.layers[0].degradation === null,
+  'Sans gaine ni dégradation'
+);
+
+const stack = [
+  { material: 'elastomeric_foam', thickness: 0.019 },
+  { material: 'mineral_wool', thickness: 0.05, degradation: { moisture: 2 } },
+];
+const fromArray = resolveInsulation(stack);
+assert(fromArray.layers.length === 2, 'Tableau: deux couches');
+assertApprox(fromArray.thickness, 0.069, 1e-12, 'Épaisseur totale');
+assert(fromArray.layers[1].degradation.moisture === 2, 'Dégradation par couche conservée');
+
+const withJacket = resolveInsulation({ layers: stack, jacket: { material: 'aluminum_jacket' } });
+assert(withJacket.jacket.material === 'aluminum_jacket', '{layers, jacket}: gaine transmise');
+const singleJacket = resolveInsulation({
+  material: 'fiberglass',
+  thickness: 0.03,
+  jacket: { material: 'mastic' },
+});
+assert(singleJacket.jacket.material === 'mastic', 'Couche unique avec gaine');
+
+// ========== SUITE 2: MISE À L'ÉCHELLE ==========
+console.log("\nSuite 2: Mise à l'échelle\n");
+
+assert(
+  scaleInsulation({ material: 'fiberglass', thickness: 0.04 }, 0.5).thickness === 0.02,
+  'Couche unique: épaisseur × facteur'
+);
+const scaledArray = scaleInsulation(stack, 2);
+assert(Array.isArray(scaledArray) && scaledArray[0].thickness === 0.038, 'Tableau conservé');
+assert(stack[0].thickness === 0.019, 'Configuration source non modifiée');
+const scaledLayers = scaleInsulation({ layers: stack, jacket: { material: 'mastic' } }, 0.5);
+assert(
+  scaledLayers.layers[1].thickness === 0.025 && scaledLayers.jacket.material === 'mastic',
+  '{layers, jacket}: couches réduites, gaine inchangée'
+);
+assert(scaleInsulation(null, 0.5) === null, 'Conduite nue: inchangée');
+
+// ========== SUITE 3: SEGMENT MULTICOUCHE ==========
+console.log('\nSuite 3: Segment multicouche\n');
+
+const geometry = {
+  D_inner: 0.1023,
+  D_outer: 0.1143,
+  roughness: 0.045e-3,
+  length: 10,
+  material: 'steel',
+};
+const fluid = { T_in: 60, P: 3.0, m_dot: 2.0 };
+const ambient = { T_amb: -20, V_wind: 5 };
+
+const asObject = pipeSegment.calculatePipeSegment(geometry, fluid, ambient, {
+  material: 'mineral_wool',
+  thickness: 0.05,
+});
+const asArray = pipeSegment.calculatePipeSegment(geometry, fluid, ambient, [
+  { material: 'mineral_wool', thickness: 0.05 },
+]);
+assert(asArray.Q_loss === asObject.Q_loss, 'Tableau à une couche = couche unique');
+
+const split = pipeSegment.calculatePipeSegment(geometry, fluid, ambient, [
+  { material: 'mineral_wool', thickness: 0.025 },
+  { material: 'mineral_wool', thickness: 0.025 },
+]);
+assertApprox(split.Q_loss, asObject.Q_loss, 0.01, 'Même isolant en deux couches ≈ une couche');
+assert(split.R_layers.length === 5, 'Une résistance par couche');
+assert(
+  split.insulation_layers[0].k > split.insulation_layers[1].k,
+  'Couche intérieure plus chaude: k plus élevé'
+);
+
+const multi = pipeSegment.calculatePipeSegment(geometry, fluid, ambient, [
+  { material: 'aerogel_blanket', thickness: 0.01 },
+  { material: 'polyurethane_foam', thickness: 0.04 },
+]);
+const [aerogel, foam] = multi.insulation_layers;
+assert(multi.layer_details[2].name === 'Isolation 1', 'Couches numérotées');
+assert(aerogel.T_outer === foam.T_inner, 'Continuité de température entre couches');
+multi.insulation_layers.forEach((layer) => {
+  assertApprox(
+    layer.k,
+    materialProps.insulationConductivity(layer.material, (layer.T_inner + layer.T_outer) / 2),
+    2e-3,
+    `${layer.material}: k à la température moyenne de la couche`
+  );
+});
+assertApprox(
+  multi.k_insulation,
+  Math.log((0.1143 + 0.1) / 0.1143) / (2 * Math.PI * 10 * (aerogel.R + foam.R)),
+  1e-9,
+  "k équivalent de l'ensemble"
+);
+
+// Profil: ΔT_i = Q·R_i au-delà de la paroi intérieure, fin à T_env
+const T = multi.T_interfaces;
+assert(T.length === multi.R_layers.length + 1, 'Une température par interface');
+assert(T[0] > T[1], 'Du fluide vers la paroi');
+assertApprox(T[T.length - 1], multi.T_env, 1e-9, "Profil jusqu'à l'environnement");
+const Q_out = (T[1] - T[T.length - 1]) / (multi.R_total - multi.R_layers[0]);
+assertApprox(aerogel.dT, Q_out * aerogel.R, 1e-9, 'ΔT aérogel = Q·R');
+assertApprox(foam.dT, Q_out * foam.R, 1e-9, 'ΔT mousse = Q·R');
+assert(
+  aerogel.dT + foam.dT > 0.9 * (T[0] - T[T.length - 1]),
+  "L'isolant porte l'essentiel de l'écart"
+);
+
+const reversed = pipeSegment.calculatePipeSegment(geometry, fluid, ambient, [
+  { material: 'polyurethane_foam', thickness: 0.04 },
+  { material: 'aerogel_blanket', thickness: 0.01 },
+]);
+assert(reversed.Q_loss !== multi.Q_loss, "L'ordre des couches compte");
+
+// Émissivité: couche extérieure, ou gaine si présente
+const elastomericOut = pipeSegment.calculatePipeSegment(geometry, fluid, ambient, [
+  { material: 'mineral_wool', thickness: 0.03 },
+  { material: 'elastomeric_foam', thickness: 0.013 },
+]);
+assert(elastomericOut.emissivity === 0.85, 'Émissivité de la couche extérieure');
+const jacketed = pipeSegment.calculatePipeSegment(geometry, fluid, ambient, {
+  layers: stack,
+  jacket: { material: 'aluminum_jacket' },
+});
+assert(jacketed.emissivity === 0.1 && jacketed.R_layers.length === 6, 'Couches et gaine');
+assertApprox(jacketed.D_ext, 0.1143 + 2 * (0.069 + 0.0005), 1e-9, 'D_ext: couches et gaine');
+
+// Traçage: profil toujours continu jusqu'à l'environnement
+const traced = pipeSegment.calculatePipeSegment(geometry, fluid, ambient, stack, 2, { power: 20 });
+assertApprox(
+  traced.T_interfaces[traced.T_interfaces.length - 1],
+  traced.T_env,
+  1e-9,
+  "Traçage: profil de la paroi à l'environnement"
+);
+
+// ========== SUITE 4: REFROIDISSEMENT ET RÉSEAU ==========
+console.log('\nSuite 4: Refroidissement et réseau\n');
+
+const pipe = { D_inner: 0.0525, D_outer: 0.0603, material: 'steel' };
+const cold = { T_amb: -20, V_wind: 5 };
+const thin = cooldown.calculateCooldown(pipe, { T_in: 10 }, cold, {
+  material: 'elastomeric_foam',
+  thickness: 0.019,
+});
+const layered = cooldown.calculateCooldown(pipe, { T_in: 10 }, cold, [
+  { material: 'elastomeric_foam', thickness: 0.019 },
+  { material: 'mineral_wool', thickness: 0.03 },
+]);
+assert(layered.UA_initial < thin.UA_initial, 'Couche ajoutée: conductance réduite');
+assert(layered.timeToZero > thin.timeToZero, 'Couche ajoutée: gel retardé');
+
+const network = pipeNetwork.calculatePipeNetwork({
+  geometry: { D_inner: 0.1023, D_outer: 0.1143, roughness: 0.045e-3, material: 'steel' },
+  totalLength: 200,
+  numSegments: 10,
+  fluid: { T_in: 40, P: 3.0, m_dot: 2.0 },
+  ambient: { T_amb: -30, V_wind: 8 },
+  insulation: stack,
+});
+assert(!network.frozenCondition && network.T_profile.length === 11, 'Réseau multicouche calculé');
+
+// ========== SUITE 5: VALIDATION ==========
+console.log('\nSuite 5: Validation\n');
+
+assertThrows(() => resolveInsulation(null), 'Configuration nulle rejetée');
+assertThrows(() => resolveInsulation([]), 'Tableau vide rejeté');
+assertThrows(
+  () => resolveInsulation(new Array(6).fill({ material: 'fiberglass', thickness: 0.01 })),
+  'Plus de 5 couches rejeté'
+);
+assertThrows(() => resolveInsulation({ layers: 'fiberglass' }), 'layers non tableau rejeté');
+assertThrows(
+  () => resolveInsulation([{ material: 'fiberglass', thickness: 0.02 }, { material: '' }]),
+  'Couche sans matériau rejetée'
+);
+assertThrows(
+  () => resolveInsulation([{ material: 'fiberglass', thickness: -0.02 }]),
+  'Épaisseur négative rejetée'
+);
+assertThrows(() => scaleInsulation(stack, 0), 'Facteur nul rejeté');
+assertThrows(
+  () =>
+    pipeSegment.calculatePipeSegment(geometry, fluid, ambient, [
+      { material: 'unobtainium', thickness: 0.02 },
+    ]),
+  'Matériau de couche inconnu rejeté par le segment'
+);
+
+// ========== RÉSUMÉ ==========
+console.log('\n' + '='.repeat(70));
+console.log('RÉSUMÉ DES TESTS');
+console.log('='.repeat(70) + '\n');
+
+console.log(`Tests réussis: ${testsPassed}/${testsTotal}`);
+
+if (testsPassed === testsTotal) {
+  console.log('✅ TOUS LES TESTS PASSENT\n');
+  process.exit(0);
+} else {
+  console.log(`❌ ${testsTotal - testsPassed} TEST(S) EN ÉCHEC\n`);
+  process.exit(1);
+}
@@ -0,0 +1,293 @@
+/**
+ * test_insulation_optimizer.js
+ *
+ * Tests pour l'optimisation économique de l'isolant (engine/insulation-optimizer.js)
+ *
+ * Teste:
+ * - Facteur d'actualisation (present worth factor)
+ * - Courbes coût-épaisseur: coût installé, énergie, coût global
+ * - Contrainte de gel: optimum parmi les points sans gel, marge exigée
+ * - Sélection des isolants et validation des entrées
+ *
+ * Exécution: node tests/test_insulation_optimizer.js
+ */
+
+const optimizer = require('../js/engine/insulation-optimizer.js');
+const pipeNetwork = require('../js/engine/pipe-network.js');
+const materialProps = require('../js/properties/material-properties.js');
+
+const { optimizeInsulation, presentWorthFactor } = optimizer;
+
+// Compteur de tests
+let testsTotal = 0;
+let testsPassed = 0;
+
+/**
+ * Fonction helper pour assertion
+ */
+function assert(condition, message) {
+  testsTotal++;
+  if (condition) {
+    testsPassed++;
+  } else {
+    console.error(`  ❌ ÉCHEC: ${message}`);
+  }
+}
+
+/**
+ * Fonction helper pour assertion approximative
+ */
+function assertApprox(actual, expected, tolerance, message) {
+  testsTotal++;
+  const diff = Math.abs(actual - expected);
+  const relError = Math.abs(diff / expected);
+
+  if (diff <= tolerance || relError <= tolerance) {
+    testsPassed++;
+  } else {
+    console.error(`  ❌ ÉCHEC: ${message}`);
+    console.error(`     Attendu: ${expected}, Obtenu: ${actual}, Différence: ${diff}`);
+  }
+}
+
+/**
+ * Fonction helper pour tester les erreurs
+ */
+function assertThrows(fn, message) {
+  testsTotal++;
+  try {
+    fn();
+    console.error(`  ❌ ÉCHEC: ${message} (aucune erreur levée)`);
+  } catch (e) {
+    testsPassed++;
+  }
+}
+
+console.log('\n' + '='.repeat(70));
+console.log('TESTS: insulation-optimizer.js');
+console.log('='.repeat(70) + '\n');
+
+// ========== SUITE 1: ACTUALISATION ==========
+console.log("Suite 1: Facteur d'actualisation\n");
+
+assertApprox(presentWorthFactor(0.05, 20), 12.4622, 1e-4, 'PWF(5%, 20 ans) ≈ 12.46');
+assertApprox(presentWorthFactor(0, 20), 20, 1e-12, 'Taux nul: PWF = durée de vie');
+assert(
+  presentWorthFactor(0.1, 20) < presentWorthFactor(0.05, 20),
+  'Taux plus élevé: énergie future moins pondérée'
+);
+assertThrows(() => presentWorthFactor(-0.05, 20), 'Taux négatif rejeté');
+assertThrows(() => presentWorthFactor(0.05, 0), 'Durée de vie nulle rejetée');
+
+// ========== SUITE 2: COURBES COÛT-ÉPAISSEUR ==========
+console.log('\nSuite 2: Courbes coût-épaisseur\n');
+
+// Conduite froide, faible débit: le gel contraint l'épaisseur
+const coldConfig = {
+  geometry: { D_inner: 0.1023, D_outer: 0.1143, roughness: 0.045e-3, material: 'steel' },
+  totalLength: 300,
+  numSegments: 20,
+  fluid: { T_in: 8, P: 3.0, m_dot: 0.15 },
+  ambient: { T_amb: -30, V_wind: 8 },
+  insulation: null,
+};
+const economics = {
+  costPerMm: 0.8,
+  fixedCost: 25,
+  energyPrice: 0.08,
+  operatingHours: 4000,
+  discountRate: 0.05,
+};
+const options = {
+  materials: ['fiberglass', 'polyurethane_foam'],
+  thicknessMin: 0.02,
+  thicknessMax: 0.14,
+  thicknessStep: 0.02,
+};
+
+const result = optimizeInsulation(coldConfig, economics, options);
+const pwf = presentWorthFactor(0.05, 20);
+
+assert(result.curves.length === 2, 'Une courbe par isolant demandé');
+assert(result.curves[0].points.length === 7, 'Épaisseurs de 20 à 140 mm par pas de 20 mm');
+assert(result.evaluations === 14, 'Une évaluation du réseau par point');
+assertApprox(result.presentWorthFactor, pwf, 1e-12, 'Durée de vie par défaut: 20 ans');
+
+const point = result.curves[1].points[2];
+assertApprox(point.thickness, 0.06, 1e-12, 'Épaisseur du point');
+assertApprox(point.installedCost, 25 + 0.8 * 60, 1e-9, 'Coût installé = fixe + coût/mm × mm');
+
+const network = pipeNetwork.calculatePipeNetwork({
+  ...coldConfig,
+  insulation: { material: 'polyurethane_foam', thickness: 0.06 },
+});
+const heatLoss = network.Q_loss_total / network.totalLength;
+assertApprox(point.heatLoss, heatLoss, 1e-9, 'Pertes par mètre du réseau isolé');
+assertApprox(
+  point.energyCost,
+  ((heatLoss * 4000) / 1000) * 0.08 * pwf,
+  1e-9,
+  'Énergie = pertes [kWh/an] × prix × PWF'
+);
+assertApprox(
+  point.lifeCycleCost,
+  point.installedCost + point.energyCost,
+  1e-9,
+  'Coût global = installé + énergie'
+);
+assert(
+  result.curves.every((curve) =>
+    curve.points.every((p, i) => i === 0 || p.heatLoss < curve.points[i - 1].heatLoss)
+  ),
+  "Pertes décroissantes avec l'épaisseur"
+);
+assert(
+  result.curves[1].points.every((p, i) => p.heatLoss < result.curves[0].points[i].heatLoss),
+  'Polyuréthane (k plus faible): moins de pertes que la laine de verre'
+);
+
+// ========== SUITE 3: CONTRAINTE DE GEL ==========
+console.log('\nSuite 3: Contrainte de gel\n');
+
+assert(result.feasible && result.optimum !== null, 'Au moins un point sans gel');
+assert(result.optimum.freezeSafe, 'Optimum sans gel');
+assert(result.optimum.marginToFreeze >= 5, 'Marge par défaut: 5°C au-dessus du gel');
+
+const allSafe = result.curves.flatMap((curve) =>
+  curve.points.filter((p) => p.freezeSafe).map((p) => p.lifeCycleCost)
+);
+assertApprox(
+  result.optimum.lifeCycleCost,
+  Math.min(...allSafe),
+  1e-12,
+  'Optimum = coût global minimal parmi les points sans gel'
+);
+const allPoints = result.curves.flatMap((curve) => curve.points.map((p) => p.lifeCycleCost));
+assert(
+  Math.min(...allPoints) < result.optimum.lifeCycleCost,
+  "Cas froid: le gel impose une épaisseur plus coûteuse que l'optimum libre"
+);
+assert(
+  result.curves.every(
+    (curve) =>
+      curve.minSafeThickness === null ||
+      curve.points.every((p) => p.freezeSafe === p.thickness >= curve.minSafeThickness)
+  ),
+  'Zone sans gel: toutes les épaisseurs au-delà de la première épaisseur sûre'
+);
+
+const relaxed = optimizeInsulation(coldConfig, economics, { ...options, freezeMargin: 0 });
+assert(
+  relaxed.optimum.lifeCycleCost <= result.optimum.lifeCycleCost,
+  'Marge nulle: optimum au plus aussi coûteux'
+);
+
+const impossible = optimizeInsulation(coldConfig, economics, {
+  ...options,
+  thicknessMax: 0.04,
+  freezeMargin: 7,
+});
+assert(!impossible.feasible && impossible.optimum === null, 'Marge inatteignable: aucun optimum');
+assert(
+  impossible.curves.every((curve) => curve.minSafeThickness === null && curve.best === null),
+  'Marge inatteignable: aucune zone sans gel'
+);
+
+console.log(
+  `  ℹ️  Optimum: ${result.optimum.material} ${(result.optimum.thickness * 1000).toFixed(0)} mm, ${result.optimum.lifeCycleCost.toFixed(0)} $/m (minimum libre ${Math.min(...allPoints).toFixed(0)} $/m)`
+);
+
+// ========== SUITE 4: ISOLANTS ET VALIDATION ==========
+console.log('\nSuite 4: Isolants et validation\n');
+
+const perMaterial = optimizeInsulation(
+  coldConfig,
+  { ...economics, costPerMm: { mineral_wool: 0.5, elastomeric_foam: 1.2 } },
+  { thicknessMin: 0.06, thicknessMax: 0.08, thicknessStep: 0.02 }
+);
+assert(
+  perMaterial.curves.map((curve) => curve.material).join(',') === 'mineral_wool,elastomeric_foam',
+  'Coût par isolant: seuls les isolants chiffrés sont évalués'
+);
+assertApprox(
+  perMaterial.curves[1].points[0].installedCost,
+  25 + 1.2 * 60,
+  1e-9,
+  'Coût par isolant appliqué'
+);
+
+const all = optimizeInsulation(coldConfig, economics, {
+  thicknessMin: 0.1,
+  thicknessMax: 0.1,
+});
+assert(
+  all.curves.map((curve) => curve.material).join(',') ===
+    materialProps.listMaterials('insulation').join(','),
+  "Par défaut: tous les isolants de listMaterials('insulation')"
+);
+
+const fiberglass40 = { material: 'fiberglass', thickness: 0.04 };
+const sectionsConfig = {
+  ...coldConfig,
+  totalLength: undefined,
+  sections: [
+    { length: 100, geometry: coldConfig.geometry, insulation: null },
+    { length: 200, geometry: coldConfig.geometry, insulation: null },
+  ],
+};
+const replaced = optimizeInsulation({ ...sectionsConfig, adaptive: true }, economics, {
+  materials: ['fiberglass'],
+  thicknessMin: 0.04,
+  thicknessMax: 0.04,
+});
+const sectionsNetwork = pipeNetwork.calculatePipeNetwork({
+  ...sectionsConfig,
+  sections: sectionsConfig.sections.map((section) => ({ ...section, insulation: fiberglass40 })),
+});
+assert(replaced.evaluations === 1, 'Une seule épaisseur évaluée');
+assertApprox(
+  replaced.curves[0].points[0].heatLoss,
+  sectionsNetwork.Q_loss_total / sectionsNetwork.totalLength,
+  1e-9,
+  'Isolation remplacée sur tous les tronçons, découpage fixe'
+);
+
+assertThrows(
+  () => optimizeInsulation(coldConfig, { ...economics, energyPrice: -1 }, options),
+  'Prix négatif rejeté'
+);
+assertThrows(
+  () => optimizeInsulation(coldConfig, { ...economics, operatingHours: 9000 }, options),
+  'Plus de 8760 h/an rejeté'
+);
+assertThrows(
+  () => optimizeInsulation(coldConfig, { ...economics, costPerMm: 'cher' }, options),
+  'Coût par mm invalide rejeté'
+);
+assertThrows(
+  () => optimizeInsulation(coldConfig, economics, { ...options, materials: ['steel'] }),
+  'Matériau non isolant rejeté'
+);
+assertThrows(
+  () => optimizeInsulation(coldConfig, economics, { ...options, thicknessMax: 0.01 }),
+  'Épaisseur maximale < minimale rejetée'
+);
+assertThrows(
+  () => optimizeInsulation({ ...coldConfig, numSegments: undefined }, economics, options),
+  'Nombre de segments requis'
+);
+
+// ========== RÉSUMÉ ==========
+console.log('\n' + '='.repeat(70));
+console.log('RÉSUMÉ DES TESTS');
+console.log('='.repeat(70) + '\n');
+
+console.log(`Tests réussis: ${testsPassed}/${testsTotal}`);
+
+if (testsPassed === testsTotal) {
+  console.log('✅ TOUS LES TESTS PASSENT\n');
+  process.exit(0);
+} else {
+  console.log(`❌ ${testsTotal - testsPassed} TEST(S) EN ÉCHEC\n`);
+  process.exit(1);
+}
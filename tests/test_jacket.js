@@ -0,0 +1,194 @@
+/**
+ * test_jacket.js
+ *
+ * Tests pour la gaine de protection sur isolant (resolveJacket, pipe-segment, cooldown)
+ *
+ * Teste:
+ * - Résolution de la gaine (épaisseur et émissivité par défaut ou imposées)
+ * - Émissivité de la surface extérieure (gaine, isolant ou tuyau)
+ * - Couche de conduction et diamètre extérieur
+ * - Effet d'une gaine brillante sur le rayonnement et la température de surface
+ * - Validation des entrées
+ *
+ * Exécution: node tests/test_jacket.js
+ */
+
+const materialProps = require('../js/properties/material-properties.js');
+const pipeSegment = require('../js/engine/pipe-segment.js');
+const cooldown = require('../js/engine/cooldown.js');
+
+const { resolveJacket } = materialProps;
+
+// Compteur de tests
+let testsTotal = 0;
+let testsPassed = 0;
+
+/**
+ * Fonction helper pour assertion
+ */
+function assert(condition, message) {
+  testsTotal++;
+  if (condition) {
+    testsPassed++;
+  } else {
+    console.error(`  ❌ ÉCHEC: ${message}`);
+  }
+}
+
+/**
+ * Fonction helper pour assertion approximative
+ */
+function assertApprox(actual, expected, tolerance, message) {
+  testsTotal++;
+  const diff = Math.abs(actual - expected);
+  const relError = Math.abs(diff / expected);
+
+  if (diff <= tolerance || relError <= tolerance) {
+    testsPassed++;
+  } else {
+    console.error(`  ❌ ÉCHEC: ${message}`);
+    console.error(`     Attendu: ${expected}, Obtenu: ${actual}, Différence: ${diff}`);
+  }
+}
+
+/**
+ * Fonction helper pour tester les erreurs
+ */
+function assertThrows(fn, message) {
+  testsTotal++;
+  try {
+    fn();
+    console.error(`  ❌ ÉCHEC: ${message} (aucune erreur levée)`);
+  } catch (e) {
+    testsPassed++;
+  }
+}
+
+console.log('\n' + '='.repeat(70));
+console.log('TESTS: gaine de protection (jaquette)');
+console.log('='.repeat(70) + '\n');
+
+// ========== SUITE 1: RÉSOLUTION ==========
+console.log('Suite 1: Résolution de la gaine\n');
+
+const jackets = materialProps.listMaterials('jacket');
+assert(jackets.length === 5, 'Cinq gaines au catalogue');
+jackets.forEach((id) => {
+  const resolved = resolveJacket({ material: id });
+  const props = materialProps.getMaterialProperties(id);
+  assert(
+    resolved.thickness === props.thickness && resolved.emissivity === props.emissivity,
+    `${id}: épaisseur et émissivité typiques par défaut`
+  );
+});
+
+const aluminum = resolveJacket({ material: 'aluminum_jacket' });
+assert(aluminum.k === 200 && aluminum.emissivity === 0.1, 'Aluminium: k = 200, ε = 0.1');
+const oxidized = resolveJacket({ material: 'aluminum_jacket', thickness: 0.0008, emissivity: 0.3 });
+assert(oxidized.thickness === 0.0008 && oxidized.emissivity === 0.3, 'Valeurs imposées');
+
+// ========== SUITE 2: SEGMENT ==========
+console.log('\nSuite 2: Segment isolé avec gaine\n');
+
+const geometry = {
+  D_inner: 0.1023,
+  D_outer: 0.1143,
+  roughness: 0.045e-3,
+  length: 10,
+  material: 'steel',
+};
+const fluid = { T_in: 60, P: 3.0, m_dot: 2.0 };
+const ambient = { T_amb: -10, V_wind: 0 };
+const insulation = { material: 'mineral_wool', thickness: 0.025 };
+
+const bare = pipeSegment.calculatePipeSegment(geometry, fluid, ambient);
+assert(bare.emissivity === 0.79, 'Nue: émissivité du tuyau');
+assert(bare.D_ext === geometry.D_outer, 'Nue: D_ext = D_outer');
+
+const unclad = pipeSegment.calculatePipeSegment(geometry, fluid, ambient, insulation);
+assert(unclad.emissivity === 0.9, "Isolée sans gaine: émissivité de l'isolant");
+assertApprox(unclad.D_ext, 0.1643, 1e-9, 'Isolée: D_ext = D_outer + 2e');
+
+const clad = pipeSegment.calculatePipeSegment(geometry, fluid, ambient, {
+  ...insulation,
+  jacket: { material: 'aluminum_jacket' },
+});
+assert(clad.emissivity === 0.1, 'Gaine aluminium: ε = 0.1');
+assertApprox(clad.D_ext, 0.1643 + 2 * 0.0005, 1e-9, 'D_ext inclut la gaine');
+assert(clad.R_layers.length === 5, 'Cinq couches: convection, paroi, isolant, gaine, externe');
+assert(clad.layer_details[3].name === 'Gaine', 'Gaine: couche distincte');
+assert(clad.R_layers[3] < 1e-4 * clad.R_total, 'Gaine aluminium: résistance négligeable');
+assert(clad.h_rad < 0.2 * unclad.h_rad, 'Gaine brillante: rayonnement fortement réduit');
+assert(clad.T_surface > unclad.T_surface, 'Gaine brillante: surface plus chaude');
+assert(clad.Q_loss < unclad.Q_loss, 'Air calme: gaine brillante réduit les pertes');
+
+const painted = pipeSegment.calculatePipeSegment(geometry, fluid, ambient, {
+  ...insulation,
+  jacket: { material: 'aluminum_jacket', emissivity: 0.9 },
+});
+assert(painted.h_rad > clad.h_rad, 'Émissivité imposée prise en compte');
+
+const mastic = pipeSegment.calculatePipeSegment(geometry, fluid, ambient, {
+  ...insulation,
+  jacket: { material: 'mastic' },
+});
+assert(mastic.R_layers[3] > clad.R_layers[3], 'Mastic: résistance de gaine plus élevée');
+
+// ========== SUITE 3: REFROIDISSEMENT ==========
+console.log('\nSuite 3: Refroidissement à débit nul\n');
+
+const pipe = { D_inner: 0.0525, D_outer: 0.0603, material: 'steel' };
+const still = { T_amb: -20, V_wind: 0 };
+const plain = cooldown.calculateCooldown(pipe, { T_in: 10 }, still, {
+  material: 'fiberglass',
+  thickness: 0.025,
+});
+const shiny = cooldown.calculateCooldown(pipe, { T_in: 10 }, still, {
+  material: 'fiberglass',
+  thickness: 0.025,
+  jacket: { material: 'stainless_jacket' },
+});
+assert(shiny.UA_initial < plain.UA_initial, 'Gaine inox: conductance réduite en air calme');
+assert(shiny.timeToZero > plain.timeToZero, 'Gaine inox: gel retardé');
+
+// ========== SUITE 4: VALIDATION ==========
+console.log('\nSuite 4: Validation\n');
+
+assertThrows(() => resolveJacket(null), 'Gaine nulle rejetée');
+assertThrows(() => resolveJacket({ material: 'gold_leaf' }), 'Matériau inconnu rejeté');
+assertThrows(() => resolveJacket({ material: 'aluminum' }), 'Sans épaisseur typique: requise');
+assertThrows(
+  () => resolveJacket({ material: 'aluminum_jacket', thickness: 0 }),
+  'Épaisseur nulle rejetée'
+);
+assertThrows(
+  () => resolveJacket({ material: 'aluminum_jacket', thickness: 0.05 }),
+  'Épaisseur > 10 mm rejetée'
+);
+assertThrows(
+  () => resolveJacket({ material: 'aluminum_jacket', emissivity: 1.2 }),
+  'Émissivité > 1 rejetée'
+);
+assertThrows(
+  () =>
+    pipeSegment.calculatePipeSegment(geometry, fluid, ambient, {
+      ...insulation,
+      jacket: { material: 'pvc_jacket', emissivity: 0 },
+    }),
+  'Gaine invalide rejetée par le segment'
+);
+
+// ========== RÉSUMÉ ==========
+console.log('\n' + '='.repeat(70));
+console.log('RÉSUMÉ DES TESTS');
+console.log('='.repeat(70) + '\n');
+
+console.log(`Tests réussis: ${testsPassed}/${testsTotal}`);
+
+if (testsPassed === testsTotal) {
+  console.log('✅ TOUS LES TESTS PASSENT\n');
+  process.exit(0);
+} else {
+  console.log(`❌ ${testsTotal - testsPassed} TEST(S) EN ÉCHEC\n`);
+  process.exit(1);
+}
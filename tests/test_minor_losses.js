@@ -0,0 +1,275 @@
+/**
+ * test_minor_losses.js
+ *
+ * Tests pour les pertes singulières (calculations/minor-losses.js, data/pipes/fittings.js)
+ *
+ * Teste:
+ * - Table des raccords et vannes
+ * - Facteur de friction f_T et coefficients K (Crane)
+ * - Perte singulière K·ρV²/2 et validation des accessoires
+ * - Intégration au réseau: dP_total, P_profile, accessoires positionnés ou répartis
+ *
+ * Exécution: node tests/test_minor_losses.js
+ */
+
+const { fittingsData } = require('../data/pipes/fittings.js');
+const minorLosses = require('../js/calculations/minor-losses.js');
+const pipeNetwork = require('../js/engine/pipe-network.js');
+
+// Compteur de tests
+let testsTotal = 0;
+let testsPassed = 0;
+
+/**
+ * Fonction helper pour assertion
+ */
+function assert(condition, message) {
+  testsTotal++;
+  if (condition) {
+    testsPassed++;
+  } else {
+    console.error(`  ❌ ÉCHEC: ${message}`);
+  }
+}
+
+/**
+ * Fonction helper pour assertion approximative
+ */
+function assertApprox(actual, expected, tolerance, message) {
+  testsTotal++;
+  const diff = Math.abs(actual - expected);
+  const relError = Math.abs(diff / expected);
+
+  if (diff <= tolerance || relError <= tolerance) {
+    testsPassed++;
+  } else {
+    console.error(`  ❌ ÉCHEC: ${message}`);
+    console.error(`     Attendu: ${expected}, Obtenu: ${actual}, Différence: ${diff}`);
+  }
+}
+
+/**
+ * Fonction helper pour tester les erreurs
+ */
+function assertThrows(fn, message) {
+  testsTotal++;
+  try {
+    fn();
+    console.error(`  ❌ ÉCHEC: ${message} (aucune erreur levée)`);
+  } catch (e) {
+    testsPassed++;
+  }
+}
+
+console.log('\n' + '='.repeat(70));
+console.log('TESTS: minor-losses.js / fittings.js');
+console.log('='.repeat(70) + '\n');
+
+// ========== SUITE 1: TABLE DES ACCESSOIRES ==========
+console.log('Suite 1: Table des raccords et vannes\n');
+
+assert(Object.isFrozen(fittingsData), 'Table des accessoires immutable');
+assert(
+  minorLosses.listFittings().every((type) => {
+    const fitting = minorLosses.getFitting(type);
+    return fitting.L_D > 0 !== fitting.K > 0 && typeof fitting.name === 'string';
+  }),
+  'Chaque accessoire a exactement un L/D ou un K positif'
+);
+assert(minorLosses.listFittings().includes('strainer_y'), 'Filtre en Y disponible');
+assertThrows(() => minorLosses.getFitting('elbow_180'), 'Accessoire inconnu rejeté');
+assertThrows(() => minorLosses.getFitting(42), 'Type non chaîne rejeté');
+
+// ========== SUITE 2: COEFFICIENTS K ==========
+console.log('\nSuite 2: Facteur f_T et coefficients K\n');
+
+// Valeurs Crane TP-410 (acier commercial): NPS 2 → 0.019, NPS 4 → 0.017, NPS 12 → 0.013
+assertApprox(minorLosses.fullyTurbulentFrictionFactor(0.0525), 0.019, 0.03, 'f_T(NPS 2) ≈ 0.019');
+assertApprox(minorLosses.fullyTurbulentFrictionFactor(0.1023), 0.017, 0.03, 'f_T(NPS 4) ≈ 0.017');
+assertApprox(minorLosses.fullyTurbulentFrictionFactor(0.3048), 0.013, 0.05, 'f_T(NPS 12) ≈ 0.013');
+assert(
+  minorLosses.fullyTurbulentFrictionFactor(0.3) < minorLosses.fullyTurbulentFrictionFactor(0.03),
+  'f_T diminue avec le diamètre'
+);
+assertThrows(() => minorLosses.fullyTurbulentFrictionFactor(0), 'Diamètre nul rejeté');
+
+const f_T2 = minorLosses.fullyTurbulentFrictionFactor(0.0525);
+assertApprox(minorLosses.fittingK('elbow_90', 0.0525), 30 * f_T2, 1e-12, 'Coude 90°: K = 30·f_T');
+assertApprox(
+  minorLosses.fittingK('globe_valve', 0.0525),
+  340 * f_T2,
+  1e-12,
+  'Robinet: K = 340·f_T'
+);
+assert(minorLosses.fittingK('exit', 0.0525) === 1.0, 'Sortie: K = 1 quel que soit D');
+assert(
+  minorLosses.fittingK('elbow_90_long', 0.0525) < minorLosses.fittingK('elbow_90', 0.0525),
+  'Coude grand rayon moins pénalisant que le coude standard'
+);
+
+// ========== SUITE 3: PERTE SINGULIÈRE ==========
+console.log('\nSuite 3: Perte singulière\n');
+
+assertApprox(minorLosses.minorLoss(1.0, 1000, 2.0), 2000, 1e-12, 'K=1, ρ=1000, V=2 → 2000 Pa');
+assert(minorLosses.minorLoss(0, 1000, 2.0) === 0, 'K nul → aucune perte');
+assertThrows(() => minorLosses.minorLoss(-1, 1000, 2), 'K négatif rejeté');
+assertThrows(() => minorLosses.minorLoss(1, 0, 2), 'Densité nulle rejetée');
+assertThrows(() => minorLosses.minorLoss(1, 1000, NaN), 'Vitesse NaN rejetée');
+
+// ========== SUITE 4: VALIDATION DES ACCESSOIRES ==========
+console.log('\nSuite 4: Validation des accessoires\n');
+
+assert(minorLosses.normalizeFittings(undefined, 100).length === 0, 'Aucun accessoire par défaut');
+const normalized = minorLosses.normalizeFittings([{ type: 'gate_valve' }], 100);
+assert(
+  normalized[0].count === 1 && normalized[0].position === null,
+  'Défauts: count = 1, accessoire réparti'
+);
+assertThrows(() => minorLosses.normalizeFittings({ type: 'elbow_90' }, 100), 'Liste non tableau');
+assertThrows(
+  () => minorLosses.normalizeFittings([{ type: 'elbow_90', count: 1.5 }], 100),
+  'Nombre non entier rejeté'
+);
+assertThrows(
+  () => minorLosses.normalizeFittings([{ type: 'elbow_90', count: 0 }], 100),
+  'Nombre nul rejeté'
+);
+assertThrows(
+  () => minorLosses.normalizeFittings([{ type: 'elbow_90', position: 120 }], 100),
+  'Position hors de la conduite rejetée'
+);
+assertThrows(() => minorLosses.normalizeFittings([{ type: 'vanne' }], 100), 'Type inconnu rejeté');
+
+// ========== SUITE 5: INTÉGRATION AU RÉSEAU ==========
+console.log('\nSuite 5: Intégration au réseau\n');
+
+const baseConfig = {
+  geometry: { D_inner: 0.0525, D_outer: 0.0603, roughness: 0.045e-3, material: 'steel' },
+  totalLength: 100,
+  numSegments: 10,
+  fluid: { T_in: 60, P: 3.0, m_dot: 2.0 },
+  ambient: { T_amb: -10, V_wind: 5.0 },
+  insulation: { material: 'fiberglass', thickness: 0.02 },
+};
+const resultPlain = pipeNetwork.calculatePipeNetwork(baseConfig);
+assert(
+  resultPlain.fittings.length === 0 && resultPlain.dP_fittings_total === 0,
+  'Sans accessoires: aucune perte singulière'
+);
+
+// Accessoire positionné: perte dans le segment qui le contient uniquement
+const resultValve = pipeNetwork.calculatePipeNetwork({
+  ...baseConfig,
+  fittings: [{ type: 'globe_valve', count: 2, position: 45 }],
+});
+const valveSeg = resultValve.segmentResults.find((seg) => seg.dP_fittings > 0);
+assert(
+  resultValve.segmentResults.filter((seg) => seg.dP_fittings > 0).length === 1 &&
+    valveSeg.x_start === 40,
+  'Accessoire à 45 m: perte dans le segment 40-50 m uniquement'
+);
+const plainSeg = resultPlain.segmentResults[valveSeg.index];
+assertApprox(
+  valveSeg.dP - plainSeg.dP,
+  valveSeg.dP_fittings,
+  1e-6,
+  'dP du segment = friction + accessoires'
+);
+const rho = 983.2; // Eau ~60°C
+const V = 2.0 / rho / ((Math.PI * 0.0525 * 0.0525) / 4);
+assertApprox(
+  resultValve.fittings[0].dP,
+  2 * minorLosses.fittingK('globe_valve', 0.0525) * ((rho * V * V) / 2),
+  0.01,
+  'Contribution du robinet ≈ n·K·ρV²/2'
+);
+assertApprox(
+  resultValve.dP_total - resultPlain.dP_total,
+  resultValve.dP_fittings_total,
+  1e-3,
+  'dP_total inclut les pertes singulières'
+);
+assertApprox(
+  resultValve.P_profile[resultValve.P_profile.length - 1],
+  baseConfig.fluid.P - resultValve.dP_total / 1e5,
+  1e-9,
+  'P_profile inclut les pertes singulières'
+);
+assert(
+  resultValve.P_profile[4] === resultPlain.P_profile[4] &&
+    resultValve.P_profile[5] < resultPlain.P_profile[5],
+  "Chute de pression localisée à l'accessoire"
+);
+
+// Accessoire en fin de conduite: rattaché au dernier segment
+const resultExit = pipeNetwork.calculatePipeNetwork({
+  ...baseConfig,
+  fittings: [{ type: 'exit', position: 100 }],
+});
+assert(
+  resultExit.segmentResults[resultExit.segmentResults.length - 1].dP_fittings > 0,
+  'Sortie à x = L: rattachée au dernier segment'
+);
+
+// Accessoires répartis: perte au prorata de la longueur des segments
+const resultSpread = pipeNetwork.calculatePipeNetwork({
+  ...baseConfig,
+  fittings: [
+    { type: 'elbow_90', count: 10 },
+    { type: 'gate_valve', count: 2, position: 0 },
+  ],
+});
+assert(
+  resultSpread.segmentResults.every((seg) => seg.dP_fittings > 0),
+  'Coudes répartis: chaque segment porte une part de la perte'
+);
+assertApprox(
+  resultSpread.fittings[0].K,
+  minorLosses.fittingK('elbow_90', 0.0525),
+  1e-9,
+  'Accessoire réparti: K unitaire inchangé'
+);
+assertApprox(
+  resultSpread.fittings[0].dP + resultSpread.fittings[1].dP,
+  resultSpread.dP_fittings_total,
+  1e-9,
+  'Somme des contributions = dP_fittings_total'
+);
+assert(
+  resultSpread.fittings[1].position === 0 && resultSpread.fittings[0].position === null,
+  'Position restituée (null si réparti)'
+);
+
+// Perte excessive: le message mentionne les raccords
+let fittingsError = null;
+try {
+  pipeNetwork.calculatePipeNetwork({
+    ...baseConfig,
+    fittings: [{ type: 'check_valve_lift', count: 80 }],
+  });
+} catch (e) {
+  fittingsError = e.message;
+}
+assert(
+  fittingsError !== null && fittingsError.includes('raccords et vannes'),
+  'Perte de charge excessive: part des raccords et vannes indiquée'
+);
+
+console.log(
+  `  ℹ️  2 robinets à soupape NPS 2 à ${V.toFixed(2)} m/s: ${(resultValve.dP_fittings_total / 1000).toFixed(1)} kPa (friction 100 m: ${(resultPlain.dP_total / 1000).toFixed(1)} kPa)`
+);
+
+// ========== RÉSUMÉ ==========
+console.log('\n' + '='.repeat(70));
+console.log('RÉSUMÉ DES TESTS');
+console.log('='.repeat(70) + '\n');
+
+console.log(`Tests réussis: ${testsPassed}/${testsTotal}`);
+
+if (testsPassed === testsTotal) {
+  console.log('✅ TOUS LES TESTS PASSENT\n');
+  process.exit(0);
+} else {
+  console.log(`❌ ${testsTotal - testsPassed} TEST(S) EN ÉCHEC\n`);
+  process.exit(1);
+}
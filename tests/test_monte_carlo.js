@@ -0,0 +1,342 @@
+/**
+ * test_monte_carlo.js
+ *
+ * Tests pour l'analyse d'incertitude Monte Carlo (engine/monte-carlo.js)
+ *
+ * Teste:
+ * - Générateur à graine: reproductibilité, moments des distributions
+ * - Centiles par interpolation linéaire
+ * - Tirages appliqués à la configuration (débit, air, isolant dégradé)
+ * - Probabilité de gel, intervalle de confiance, histogramme
+ * - Validation des entrées
+ *
+ * Exécution: node tests/test_monte_carlo.js
+ */
+
+const monteCarlo = require('../js/engine/monte-carlo.js');
+const pipeNetwork = require('../js/engine/pipe-network.js');
+
+const { SeededRandom, runMonteCarlo, percentile, listUncertainParameters } = monteCarlo;
+
+// Compteur de tests
+let testsTotal = 0;
+let testsPassed = 0;
+
+/**
+ * Fonction helper pour assertion
+ */
+function assert(condition, message) {
+  testsTotal++;
+  if (condition) {
+    testsPassed++;
+  } else {
+    console.error(`  ❌ ÉCHEC: ${message}`);
+  }
+}
+
+/**
+ * Fonction helper pour assertion approximative
+ */
+function assertApprox(actual, expected, tolerance, message) {
+  testsTotal++;
+  const diff = Math.abs(actual - expected);
+  const relError = Math.abs(diff / expected);
+
+  if (diff <= tolerance || relError <= tolerance) {
+    testsPassed++;
+  } else {
+    console.error(`  ❌ ÉCHEC: ${message}`);
+    console.error(`     Attendu: ${expected}, Obtenu: ${actual}, Différence: ${diff}`);
+  }
+}
+
+/**
+ * Fonction helper pour tester les erreurs
+ */
+function assertThrows(fn, message) {
+  testsTotal++;
+  try {
+    fn();
+    console.error(`  ❌ ÉCHEC: ${message} (aucune erreur levée)`);
+  } catch (e) {
+    testsPassed++;
+  }
+}
+
+/**
+ * Moyenne et écart-type d'un échantillon
+ */
+function moments(values) {
+  const mean = values.reduce((sum, v) => sum + v, 0) / values.length;
+  const variance = values.reduce((sum, v) => sum + (v - mean) * (v - mean), 0) / values.length;
+  return { mean, std: Math.sqrt(variance) };
+}
+
+console.log('\n' + '='.repeat(70));
+console.log('TESTS: monte-carlo.js');
+console.log('='.repeat(70) + '\n');
+
+// ========== SUITE 1: GÉNÉRATEUR ==========
+console.log('Suite 1: Générateur à graine\n');
+
+const rngA = new SeededRandom(7);
+const rngB = new SeededRandom(7);
+const seqA = [rngA.next(), rngA.next(), rngA.next()];
+const seqB = [rngB.next(), rngB.next(), rngB.next()];
+assert(
+  seqA.every((u, i) => u === seqB[i]),
+  'Même graine: même suite'
+);
+assert(new SeededRandom(8).next() !== seqA[0], 'Graine différente: suite différente');
+
+const rng = new SeededRandom(42);
+const uniforms = Array.from({ length: 20000 }, () => rng.next());
+assert(
+  uniforms.every((u) => u >= 0 && u < 1),
+  'Uniformes dans [0, 1)'
+);
+assertApprox(moments(uniforms).mean, 0.5, 0.01, 'Moyenne uniforme ≈ 0.5');
+
+const normals = Array.from({ length: 20000 }, () => rng.normal(10, 2));
+assertApprox(moments(normals).mean, 10, 0.05, 'Moyenne normale ≈ 10');
+assertApprox(moments(normals).std, 2, 0.03, 'Écart-type normal ≈ 2');
+
+// Triangulaire (a, c, b): moyenne (a + b + c) / 3
+const triangulars = Array.from({ length: 20000 }, () => rng.triangular(0.5, 1, 1));
+assert(
+  triangulars.every((v) => v >= 0.5 && v <= 1),
+  'Triangulaire dans [min, max]'
+);
+assertApprox(moments(triangulars).mean, 2.5 / 3, 0.01, 'Moyenne triangulaire = (a + b + c)/3');
+
+// ========== SUITE 2: CENTILES ==========
+console.log('\nSuite 2: Centiles\n');
+
+assertApprox(percentile([1, 2, 3, 4, 5], 50), 3, 1e-12, 'Médiane de 1..5');
+assertApprox(percentile([1, 2, 3, 4], 50), 2.5, 1e-12, 'Médiane interpolée');
+assertApprox(percentile([0, 10], 25), 2.5, 1e-12, 'Centile 25 interpolé');
+assertApprox(percentile([4], 95), 4, 1e-12, 'Valeur unique');
+assertThrows(() => percentile([], 50), 'Liste vide rejetée');
+assertThrows(() => percentile([1, 2], 120), 'Centile hors plage rejeté');
+
+// ========== SUITE 3: TIRAGES ==========
+console.log('\nSuite 3: Tirages appliqués à la configuration\n');
+
+const config = {
+  geometry: { D_inner: 0.1023, D_outer: 0.1143, roughness: 0.045e-3, material: 'steel' },
+  totalLength: 300,
+  numSegments: 10,
+  fluid: { T_in: 8, P: 3.0, m_dot: 0.15 },
+  ambient: { T_amb: -10, V_wind: 5 },
+  insulation: { material: 'fiberglass', thickness: 0.03 },
+};
+
+assert(
+  listUncertainParameters().includes('insulationFactor'),
+  "Facteur d'isolation parmi les paramètres"
+);
+
+const mild = runMonteCarlo(
+  config,
+  {
+    m_dot: { type: 'normal', relStd: 0.15 },
+    T_amb: { type: 'uniform', min: -6, max: -2 },
+    insulationFactor: { type: 'triangular', min: 0.5, max: 1 },
+  },
+  { samples: 40, seed: 3 }
+);
+assert(mild.samples === 40 && mild.runs.length === 40, 'Un calcul par tirage');
+assert(
+  mild.runs.every((run) => run.values.T_amb >= -6 && run.values.T_amb <= -2),
+  'Uniforme dans ses bornes'
+);
+assert(
+  mild.runs.every((run) => run.values.insulationFactor >= 0.5 && run.values.insulationFactor <= 1),
+  'Facteur triangulaire dans ses bornes (mode: valeur nominale 1)'
+);
+
+const run = mild.runs[0];
+const direct = pipeNetwork.calculatePipeNetwork({
+  ...config,
+  fluid: { ...config.fluid, m_dot: run.values.m_dot },
+  ambient: { ...config.ambient, T_amb: run.values.T_amb },
+  insulation: { material: 'fiberglass', thickness: 0.03 * run.values.insulationFactor },
+});
+assertApprox(run.minTemp, direct.minTemp, 1e-9, 'Tirage = calcul direct avec les valeurs tirées');
+
+const again = runMonteCarlo(
+  config,
+  {
+    m_dot: { type: 'normal', relStd: 0.15 },
+    T_amb: { type: 'uniform', min: -6, max: -2 },
+    insulationFactor: { type: 'triangular', min: 0.5, max: 1 },
+  },
+  { samples: 40, seed: 3 }
+);
+assert(
+  again.runs.every((r, i) => r.minTemp === mild.runs[i].minTemp),
+  'Même graine: résultats identiques'
+);
+
+// Normale tronquée au domaine physique (débit > 0)
+const wide = runMonteCarlo(
+  config,
+  { m_dot: { type: 'normal', mean: 0.15, std: 0.2, min: 0.05 } },
+  { samples: 20, seed: 5 }
+);
+assert(
+  wide.runs.every((r) => r.values.m_dot >= 0.05),
+  'Normale tronquée à sa borne min'
+);
+
+// Normales larges: tirages restreints aux plages des propriétés (air -60 à 50°C, eau)
+const warnWide = console.warn;
+console.warn = () => {};
+const extreme = runMonteCarlo(
+  { ...config, ambient: { T_amb: -40, V_wind: 5 } },
+  { T_amb: { type: 'normal', std: 10 }, T_in: { type: 'normal', std: 10 } },
+  { samples: 60 }
+);
+console.warn = warnWide;
+assert(extreme.runs.length === 60, 'Normales larges: tous les tirages calculés');
+assert(
+  extreme.runs.every((r) => r.values.T_amb >= -60 && r.values.T_amb <= 50),
+  "T_amb dans la plage de l'air"
+);
+assert(
+  extreme.runs.every((r) => r.values.T_in >= 0 && r.values.T_in <= 100),
+  "T_in dans la plage de l'eau"
+);
+assert(
+  extreme.runs.some((r) => r.values.T_in < 3),
+  'Normale de T_in tronquée, pas décalée (queue basse conservée)'
+);
+
+// Configuration en tronçons: facteur appliqué à l'isolant de chaque tronçon
+const sectionConfig = {
+  ...config,
+  insulation: null,
+  sections: [
+    {
+      length: 150,
+      geometry: config.geometry,
+      insulation: { material: 'fiberglass', thickness: 0.04 },
+    },
+    {
+      length: 150,
+      geometry: config.geometry,
+      insulation: { material: 'fiberglass', thickness: 0.02 },
+    },
+  ],
+};
+const sectionRun = runMonteCarlo(
+  sectionConfig,
+  { insulationFactor: { type: 'uniform', min: 0.5, max: 0.5 } },
+  { samples: 1 }
+).runs[0];
+const halfSections = pipeNetwork.calculatePipeNetwork({
+  ...sectionConfig,
+  sections: [
+    { ...sectionConfig.sections[0], insulation: { material: 'fiberglass', thickness: 0.02 } },
+    { ...sectionConfig.sections[1], insulation: { material: 'fiberglass', thickness: 0.01 } },
+  ],
+});
+assertApprox(sectionRun.minTemp, halfSections.minTemp, 1e-9, 'Facteur appliqué par tronçon');
+
+// ========== SUITE 4: PROBABILITÉ DE GEL ==========
+console.log('\nSuite 4: Probabilité de gel\n');
+
+assert(mild.freezeCount === 0 && mild.probabilityFreeze === 0, 'Conditions douces: aucun gel');
+assert(mild.confidence95.low === 0 && mild.confidence95.high > 0, 'IC de Wilson non nul à 0/n');
+assert(mild.probabilityBelowSafety > 0, 'Isolant dégradé: passages sous le seuil de sécurité');
+
+// Air autour de -25°C: près de la moitié des tirages gèlent (avertissements masqués)
+const warnBackup = console.warn;
+console.warn = () => {};
+const cold = runMonteCarlo(
+  { ...config, ambient: { T_amb: -25, V_wind: 5 } },
+  { m_dot: { type: 'normal', relStd: 0.15 }, T_amb: { type: 'normal', std: 4 } },
+  { samples: 100, seed: 11, bins: 10 }
+);
+console.warn = warnBackup;
+
+assert(cold.probabilityFreeze > 0.1 && cold.probabilityFreeze < 0.9, 'P(gel) intermédiaire');
+assertApprox(cold.probabilityFreeze, cold.freezeCount / 100, 1e-12, 'P(gel) = gelés / tirages');
+assert(
+  cold.confidence95.low < cold.probabilityFreeze && cold.probabilityFreeze < cold.confidence95.high,
+  'P(gel) dans son intervalle de confiance'
+);
+assert(cold.probabilityBelowSafety >= cold.probabilityFreeze, 'Gel inclus sous le seuil');
+assert(
+  cold.runs.filter((r) => r.freezeDetected).every((r) => r.minTemp <= cold.T_freeze),
+  'Tirage gelé: minTemp au point de congélation'
+);
+
+const p = cold.minTemp.percentiles;
+assert(p.p5 <= p.p10 && p.p10 <= p.p50 && p.p50 <= p.p90 && p.p90 <= p.p95, 'Centiles ordonnés');
+assert(cold.minTemp.min <= p.p5 && p.p95 <= cold.minTemp.max, 'Centiles dans [min, max]');
+
+const hist = cold.histogram;
+assert(hist.edges.length === 11 && hist.counts.length === 10, 'Dix classes, onze bornes');
+assert(hist.counts.reduce((sum, n) => sum + n, 0) === 100, 'Histogramme: tous les tirages');
+assert(
+  hist.freezeCounts.reduce((sum, n) => sum + n, 0) === cold.freezeCount,
+  'Histogramme: tirages gelés'
+);
+assertApprox(hist.edges[0], cold.minTemp.min, 1e-12, 'Première borne = minimum');
+assertApprox(hist.edges[10], cold.minTemp.max, 1e-9, 'Dernière borne = maximum');
+
+// ========== SUITE 5: VALIDATION ==========
+console.log('\nSuite 5: Validation\n');
+
+const flow = { m_dot: { type: 'normal', relStd: 0.1 } };
+assertThrows(() => runMonteCarlo(config, {}), 'Aucun paramètre incertain rejeté');
+assertThrows(
+  () => runMonteCarlo(config, { D_inner: { type: 'normal', std: 0.01 } }),
+  'Paramètre inconnu rejeté'
+);
+assertThrows(
+  () => runMonteCarlo(config, { m_dot: { type: 'lognormal', std: 0.01 } }),
+  'Type de distribution inconnu rejeté'
+);
+assertThrows(
+  () => runMonteCarlo(config, { T_amb: { type: 'uniform', min: 0, max: -5 } }),
+  'Uniforme min > max rejetée'
+);
+assertThrows(
+  () => runMonteCarlo(config, { T_amb: { type: 'triangular', min: -20, max: -15 } }),
+  'Mode (nominal -10) hors de [min, max] rejeté'
+);
+assertThrows(
+  () =>
+    runMonteCarlo(
+      { ...config, insulation: null },
+      { insulationFactor: { type: 'uniform', min: 0.5, max: 1 } }
+    ),
+  "Facteur d'isolation sans isolation rejeté"
+);
+assertThrows(
+  () => runMonteCarlo(config, { m_dot: { type: 'uniform', min: -2, max: -1 } }),
+  'Distribution hors du domaine physique rejetée'
+);
+assertThrows(() => runMonteCarlo(config, flow, { samples: 0 }), 'Zéro tirage rejeté');
+assertThrows(() => runMonteCarlo(config, flow, { seed: 1.5 }), 'Graine non entière rejetée');
+assertThrows(
+  () => runMonteCarlo({ ...config, numSegments: undefined }, flow),
+  'Nombre de segments requis'
+);
+
+// ========== RÉSUMÉ ==========
+console.log('\n' + '='.repeat(70));
+console.log('RÉSUMÉ DES TESTS');
+console.log('='.repeat(70) + '\n');
+
+console.log(`Tests réussis: ${testsPassed}/${testsTotal}`);
+
+if (testsPassed === testsTotal) {
+  console.log('✅ TOUS LES TESTS PASSENT\n');
+  process.exit(0);
+} else {
+  console.log(`❌ ${testsTotal - testsPassed} TEST(S) EN ÉCHEC\n`);
+  process.exit(1);
+}
@@ -476,6 +476,557 @@ console.log(
   `  ℹ️  Extrême (2500m, NPS 2", 0.3 kg/s, -30°C): T_final = ${resultExtreme.T_final.toFixed(2)}°C, P_final = ${resultExtreme.P_profile[resultExtreme.P_profile.length - 1].toFixed(2)} bar`
 );
 
+// ========== SUITE 10: TRONÇONS MULTIPLES ==========
+console.log('\nSuite 10: Tronçons multiples\n');
+
+// Test 10.1: Un tronçon unique équivaut à la configuration classique
+const singleSectionConfig = {
+  numSegments: 10,
+  fluid: baseConfig.fluid,
+  ambient: baseConfig.ambient,
+  sections: [{ length: 100, geometry: baseConfig.geometry, insulation: baseConfig.insulation }],
+};
+const resultSingle = pipeNetwork.calculatePipeNetwork(singleSectionConfig);
+const resultClassic = pipeNetwork.calculatePipeNetwork(baseConfig);
+assertApprox(
+  resultSingle.T_final,
+  resultClassic.T_final,
+  1e-9,
+  'Un tronçon unique devrait donner le même T_final que la configuration classique'
+);
+assert(resultClassic.sections.length === 1, 'Configuration classique = 1 tronçon normalisé');
+assert(
+  resultClassic.segmentResults.every((seg) => seg.sectionIndex === 0),
+  'Tous les segments classiques devraient être dans le tronçon 0'
+);
+
+// Test 10.2: Acier isolé → cuivre nu → acier isolé
+const copperGeometry = {
+  D_inner: 0.0381,
+  D_outer: 0.0413,
+  roughness: 0.0015e-3,
+  material: 'copper',
+};
+const multiConfig = {
+  numSegments: 20,
+  fluid: baseConfig.fluid,
+  ambient: baseConfig.ambient,
+  sections: [
+    { length: 60, geometry: baseConfig.geometry, insulation: baseConfig.insulation },
+    { length: 15, geometry: copperGeometry, insulation: null },
+    { length: 25, geometry: baseConfig.geometry, insulation: baseConfig.insulation },
+  ],
+};
+const resultMulti = pipeNetwork.calculatePipeNetwork(multiConfig);
+
+assertApprox(resultMulti.totalLength, 100, 1e-9, 'Longueur totale = somme des tronçons');
+assertApprox(
+  resultMulti.x_profile[resultMulti.x_profile.length - 1],
+  100,
+  1e-9,
+  'x_profile devrait se terminer à la longueur totale'
+);
+assert(
+  resultMulti.x_profile.length === resultMulti.segmentResults.length + 1,
+  'x_profile devrait avoir N+1 points'
+);
+assert(resultMulti.sections.length === 3, '3 tronçons normalisés');
+assertApprox(resultMulti.sections[1].x_start, 60, 1e-9, 'Tronçon 2 débute à 60 m');
+assertApprox(resultMulti.sections[1].x_end, 75, 1e-9, 'Tronçon 2 se termine à 75 m');
+
+// Aucun segment ne chevauche deux tronçons
+let segmentsInsideSections = true;
+resultMulti.segmentResults.forEach((seg) => {
+  const section = resultMulti.sections[seg.sectionIndex];
+  if (seg.x_start < section.x_start - 1e-9 || seg.x_end > section.x_end + 1e-9) {
+    segmentsInsideSections = false;
+  }
+});
+assert(segmentsInsideSections, 'Chaque segment devrait rester dans son tronçon');
+
+// Les index de tronçon sont croissants et couvrent 0, 1, 2
+const sectionIndices = resultMulti.segmentResults.map((seg) => seg.sectionIndex);
+assert(
+  sectionIndices.every((idx, i) => i === 0 || idx >= sectionIndices[i - 1]),
+  'Les index de tronçon devraient être croissants'
+);
+assert(
+  [0, 1, 2].every((idx) => sectionIndices.includes(idx)),
+  'Chaque tronçon devrait contenir au moins un segment'
+);
+
+// Test 10.3: Le tronçon nu perd plus de chaleur par mètre
+const lossPerMeter = (idx) => {
+  const segs = resultMulti.segmentResults.filter((seg) => seg.sectionIndex === idx);
+  const Q = segs.reduce((sum, seg) => sum + seg.Q_loss, 0);
+  return Q / resultMulti.sections[idx].length;
+};
+assert(
+  lossPerMeter(1) > lossPerMeter(0),
+  'Tronçon cuivre nu devrait perdre plus de chaleur par mètre que l’acier isolé'
+);
+
+// Test 10.4: Tronçon très court → au moins un segment
+const shortSectionConfig = {
+  ...multiConfig,
+  sections: [
+    { length: 99.5, geometry: baseConfig.geometry, insulation: baseConfig.insulation },
+    { length: 0.5, geometry: copperGeometry, insulation: null },
+  ],
+};
+const resultShort = pipeNetwork.calculatePipeNetwork(shortSectionConfig);
+assert(
+  resultShort.segmentResults.some((seg) => seg.sectionIndex === 1),
+  'Tronçon de 0.5 m devrait recevoir au moins un segment'
+);
+
+// Test 10.5: Validation des tronçons
+assertThrows(
+  () => pipeNetwork.calculatePipeNetwork({ ...multiConfig, sections: [] }),
+  'Liste de tronçons vide devrait lever une erreur'
+);
+assertThrows(
+  () =>
+    pipeNetwork.calculatePipeNetwork({
+      ...multiConfig,
+      sections: [{ length: -5, geometry: baseConfig.geometry }],
+    }),
+  'Longueur de tronçon négative devrait lever une erreur'
+);
+assertThrows(
+  () => pipeNetwork.calculatePipeNetwork({ ...multiConfig, sections: [{ length: 10 }] }),
+  'Tronçon sans géométrie devrait lever une erreur'
+);
+
+console.log(
+  `  ℹ️  Acier isolé / cuivre nu / acier isolé: T_final = ${resultMulti.T_final.toFixed(2)}°C (${resultMulti.segmentResults.length} segments)`
+);
+
+// ========== SUITE 11: ZONES AMBIANTES ==========
+console.log('\nSuite 11: Zones ambiantes\n');
+
+// Bâtiment chauffé (0-20 m) → extérieur (par défaut) → garage non chauffé (65-100 m)
+const zonesConfig = {
+  ...baseConfig,
+  numSegments: 10,
+  ambientZones: [
+    { x_start: 0, x_end: 20, T_amb: 20, V_wind: 0, label: 'Bâtiment' },
+    { x_start: 65, x_end: 100, T_amb: 2, V_wind: 0, label: 'Garage' },
+  ],
+};
+const resultZones = pipeNetwork.calculatePipeNetwork(zonesConfig);
+
+// Test 11.1: Découpage aux frontières des zones
+assert(
+  resultZones.x_profile.some((x) => Math.abs(x - 65) < 1e-9),
+  'Une frontière de segment devrait tomber sur la limite de zone à 65 m'
+);
+assert(resultZones.segmentResults.length === 11, '10 segments + 1 coupure à 65 m = 11 segments');
+assertApprox(
+  resultZones.x_profile[resultZones.x_profile.length - 1],
+  100,
+  1e-9,
+  'Le découpage ne devrait pas changer la longueur totale'
+);
+
+// Test 11.2: Attribution des zones
+const segAt = (x) => resultZones.segmentResults.find((seg) => seg.x_start <= x && seg.x_end > x);
+assert(segAt(5).zoneIndex === 0 && segAt(5).T_amb === 20, 'Segment à 5 m dans le bâtiment');
+assert(
+  segAt(40).zoneIndex === null && segAt(40).T_amb === baseConfig.ambient.T_amb,
+  'Segment à 40 m hors zone: conditions par défaut'
+);
+assert(segAt(80).zoneIndex === 1 && segAt(80).V_wind === 0, 'Segment à 80 m dans le garage');
+assert(resultZones.ambientZones.length === 2, '2 zones normalisées retournées');
+
+// Test 11.3: Zones plus chaudes → moins de refroidissement
+assert(
+  resultZones.T_final > resultClassic.T_final,
+  'Zones abritées devraient réduire le refroidissement'
+);
+assert(
+  segAt(5).Q_loss < resultClassic.segmentResults[0].Q_loss,
+  'Perte dans le bâtiment chauffé inférieure à la perte extérieure'
+);
+
+// Test 11.4: Zones non triées et débordant de la conduite
+const resultUnsorted = pipeNetwork.calculatePipeNetwork({
+  ...zonesConfig,
+  ambientZones: [zonesConfig.ambientZones[1], { ...zonesConfig.ambientZones[0], x_start: -10 }],
+});
+assertApprox(
+  resultUnsorted.T_final,
+  resultZones.T_final,
+  1e-9,
+  'Ordre des zones et débordement ne devraient pas changer le résultat'
+);
+
+// Test 11.5: Zone mesurée depuis la sortie (collée à la sortie quelle que soit la longueur)
+const garageFromOutlet = {
+  ...zonesConfig.ambientZones[1],
+  x_start: 0,
+  x_end: 35,
+  fromOutlet: true,
+};
+const resultFromOutlet = pipeNetwork.calculatePipeNetwork({
+  ...zonesConfig,
+  ambientZones: [zonesConfig.ambientZones[0], garageFromOutlet],
+});
+assertApprox(
+  resultFromOutlet.T_final,
+  resultZones.T_final,
+  1e-9,
+  'Zone de sortie 0-35 m depuis la sortie = zone 65-100 m'
+);
+const resultLonger = pipeNetwork.calculatePipeNetwork({
+  ...zonesConfig,
+  totalLength: 150,
+  ambientZones: [zonesConfig.ambientZones[0], garageFromOutlet],
+});
+const garageLonger = resultLonger.ambientZones.find((z) => z.index === 1);
+assert(
+  garageLonger.x_start === 115 && garageLonger.x_end === 150,
+  'Conduite plus longue: la zone de sortie suit la sortie (115-150 m)'
+);
+const resultShorter = pipeNetwork.calculatePipeNetwork({
+  ...zonesConfig,
+  totalLength: 40,
+  ambientZones: [zonesConfig.ambientZones[0], garageFromOutlet],
+});
+const garageShorter = resultShorter.ambientZones.find((z) => z.index === 1);
+assert(
+  garageShorter.x_start === 20 && garageShorter.x_end === 40,
+  "Conduite trop courte: la zone de sortie commence à la fin de la zone d'entrée"
+);
+
+// Test 11.6: Validation
+assertThrows(
+  () =>
+    pipeNetwork.calculatePipeNetwork({
+      ...zonesConfig,
+      ambientZones: [
+        { x_start: 0, x_end: 50, T_amb: 20, V_wind: 0 },
+        { x_start: 40, x_end: 60, T_amb: 5, V_wind: 0 },
+      ],
+    }),
+  'Zones qui se chevauchent devraient lever une erreur'
+);
+assertThrows(
+  () =>
+    pipeNetwork.calculatePipeNetwork({
+      ...zonesConfig,
+      ambientZones: [{ x_start: 30, x_end: 10, T_amb: 5, V_wind: 0 }],
+    }),
+  'Zone avec x_end < x_start devrait lever une erreur'
+);
+assertThrows(
+  () =>
+    pipeNetwork.calculatePipeNetwork({
+      ...zonesConfig,
+      ambientZones: [{ x_start: 0, x_end: 10, T_amb: 5, V_wind: -1 }],
+    }),
+  'Vent négatif dans une zone devrait lever une erreur'
+);
+
+console.log(
+  `  ℹ️  Bâtiment / extérieur / garage: T_final = ${resultZones.T_final.toFixed(2)}°C (sans zones: ${resultClassic.T_final.toFixed(2)}°C)`
+);
+
+// ========== SUITE 12: COUCHE DE GLACE ==========
+console.log('\nSuite 12: Couche de glace en paroi\n');
+
+// Acier nu, débit faible, -30°C avec vent: la paroi passe sous 0°C
+const iceConfig = {
+  ...baseConfig,
+  fluid: { T_in: 4, P: 3.0, m_dot: 0.5 },
+  ambient: { T_amb: -30, V_wind: 10 },
+  insulation: null,
+};
+const resultIce = pipeNetwork.calculatePipeNetwork(iceConfig);
+
+assert(resultIce.iceDetected, 'Glace détectée sur au moins un segment');
+assert(resultIce.maxIceThickness > 0, 'Épaisseur de glace maximale > 0');
+assert(
+  resultClassic.iceDetected === false && resultClassic.blockedAtPosition === null,
+  'Cas de base isolé: pas de glace'
+);
+
+// Glace partielle avant le gel du fluide (écoulement maintenu)
+const partialIce = resultIce.segmentResults.filter((seg) => seg.iceThickness > 0 && !seg.blocked);
+assert(partialIce.length > 0, 'Au moins un segment avec glace partielle');
+assert(
+  partialIce.every((seg) => seg.T_out > 0 && seg.D_flow < baseConfig.geometry.D_inner),
+  'Glace partielle: eau > 0°C et section réduite'
+);
+assert(
+  partialIce.every((seg) => seg.dP_ice > 0 && seg.dP >= seg.dP_ice),
+  'Glace partielle: perte de charge supplémentaire incluse dans dP'
+);
+
+// Croissance de la glace vers l'aval
+for (let i = 1; i < partialIce.length; i++) {
+  assert(
+    partialIce[i].iceThickness >= partialIce[i - 1].iceThickness,
+    `Glace croissante vers l'aval (segment ${partialIce[i].index + 1})`
+  );
+}
+
+// Obstruction en aval
+assert(resultIce.blockedAtPosition !== null, "Obstruction localisée lorsque l'eau atteint 0°C");
+const blockedSegs = resultIce.segmentResults.filter((seg) => seg.blocked);
+assert(
+  blockedSegs.every((seg) => seg.D_flow === 0 && seg.frozen),
+  'Segments obstrués: D_flow = 0 et gel'
+);
+assert(resultIce.frozenCondition, 'Obstruction → condition de gel');
+
+console.log(
+  `  ℹ️  Glace max ${(resultIce.maxIceThickness * 1000).toFixed(1)} mm, obstruction à ${resultIce.blockedAtPosition.toFixed(0)} m`
+);
+
+// ========== SUITE 13: PROFIL D'ALTITUDE ==========
+console.log("\nSuite 13: Profil d'altitude\n");
+
+// Test 13.1: Conduite horizontale par défaut
+assert(result10seg.elevationProfile.length === 0, 'Profil vide par défaut (conduite horizontale)');
+assert(result10seg.dP_static_total === 0, 'Aucune charge hydrostatique sans profil');
+assert(
+  result10seg.z_profile.every((z) => z === 0),
+  'z_profile nul sans profil'
+);
+assertApprox(
+  result10seg.P_profile[result10seg.P_profile.length - 1],
+  baseConfig.fluid.P - result10seg.dP_total / 1e5,
+  1e-9,
+  'Sans profil: P_final = P_in - pertes par friction'
+);
+
+// Test 13.2: Montée de 10 m → ρ·g·Δz en plus de la friction
+const riseConfig = {
+  ...baseConfig,
+  elevationProfile: [
+    { x: 0, z: 0 },
+    { x: 100, z: 10 },
+  ],
+};
+const resultRise = pipeNetwork.calculatePipeNetwork(riseConfig);
+// Eau à ~60°C: ρ ≈ 983 kg/m³
+assertApprox(
+  resultRise.dP_static_total,
+  983 * 9.81 * 10,
+  0.01,
+  'Montée de 10 m: dP_static ≈ ρ·g·Δz'
+);
+assertApprox(
+  resultRise.P_profile[resultRise.P_profile.length - 1],
+  baseConfig.fluid.P - (resultRise.dP_total + resultRise.dP_static_total) / 1e5,
+  1e-9,
+  'Montée: P_final = P_in - friction - charge hydrostatique'
+);
+assertApprox(resultRise.z_profile[resultRise.z_profile.length - 1], 10, 1e-9, 'z final = 10 m');
+assertApprox(resultRise.minPressurePosition, 100, 1e-9, 'Montée: pression minimale en sortie');
+
+// Test 13.3: Descente → gain de pression, même hors de la plage des tables (> 10 bar)
+const dropConfig = {
+  ...baseConfig,
+  elevationProfile: [
+    { x: 0, z: 0 },
+    { x: 100, z: -100 },
+  ],
+};
+const resultDrop = pipeNetwork.calculatePipeNetwork(dropConfig);
+assert(resultDrop.dP_static_total < 0, 'Descente: charge hydrostatique négative');
+assert(
+  resultDrop.P_profile[resultDrop.P_profile.length - 1] > 10,
+  'Descente de 100 m: pression > 10 bar calculée sans erreur de plage'
+);
+
+// Test 13.4: Altitudes par tronçon (z_end)
+const zEndConfig = {
+  numSegments: 10,
+  fluid: baseConfig.fluid,
+  ambient: baseConfig.ambient,
+  sections: [
+    { length: 40, geometry: baseConfig.geometry, insulation: baseConfig.insulation, z_end: -5 },
+    { length: 30, geometry: baseConfig.geometry, insulation: baseConfig.insulation },
+    { length: 30, geometry: baseConfig.geometry, insulation: baseConfig.insulation, z_end: 3 },
+  ],
+};
+const resultZEnd = pipeNetwork.calculatePipeNetwork(zEndConfig);
+assert(resultZEnd.elevationProfile.length === 4, 'z_end: un point par extrémité de tronçon');
+assertApprox(
+  resultZEnd.elevationProfile[2].z,
+  -5,
+  1e-9,
+  'z_end absent: altitude du tronçon précédent conservée'
+);
+assert(
+  resultZEnd.lowPoints.length === 1 && resultZEnd.lowPoints[0].x === 40,
+  'Palier bas (40-70 m) repéré à son début'
+);
+
+// Test 13.5: Points bas intérieurs uniquement
+const valleyConfig = {
+  ...baseConfig,
+  elevationProfile: [
+    { x: 0, z: 5 },
+    { x: 25, z: 0 },
+    { x: 50, z: 4 },
+    { x: 75, z: 1 },
+    { x: 100, z: -2 },
+  ],
+};
+const resultValley = pipeNetwork.calculatePipeNetwork(valleyConfig);
+assert(
+  resultValley.lowPoints.length === 1 && resultValley.lowPoints[0].x === 25,
+  'Point bas intérieur repéré, extrémité basse ignorée'
+);
+assert(
+  resultValley.x_profile.includes(25) && resultValley.x_profile.includes(75),
+  'Segments découpés aux sommets du profil'
+);
+
+// Test 13.6: Profil désordonné trié
+const resultUnsortedZ = pipeNetwork.calculatePipeNetwork({
+  ...baseConfig,
+  elevationProfile: [
+    { x: 100, z: 10 },
+    { x: 0, z: 0 },
+  ],
+});
+assertApprox(
+  resultUnsortedZ.dP_static_total,
+  resultRise.dP_static_total,
+  1e-9,
+  'Points non triés: même résultat après tri'
+);
+
+// Test 13.7: Validation du profil
+assertThrows(
+  () =>
+    pipeNetwork.calculatePipeNetwork({
+      ...baseConfig,
+      elevationProfile: [{ x: 150, z: 0 }],
+    }),
+  'Point hors de la conduite rejeté'
+);
+assertThrows(
+  () =>
+    pipeNetwork.calculatePipeNetwork({
+      ...baseConfig,
+      elevationProfile: [
+        { x: 50, z: 0 },
+        { x: 50, z: 2 },
+      ],
+    }),
+  'Deux points à la même position rejetés'
+);
+assertThrows(
+  () => pipeNetwork.calculatePipeNetwork({ ...baseConfig, elevationProfile: { x: 0, z: 0 } }),
+  'Profil non tableau rejeté'
+);
+assertThrows(
+  () =>
+    pipeNetwork.calculatePipeNetwork({
+      ...zEndConfig,
+      sections: [{ ...zEndConfig.sections[0], z_end: 'haut' }],
+    }),
+  'z_end non numérique rejeté'
+);
+
+// Test 13.8: Montée trop haute → erreur de pression mentionnant le dénivelé
+let elevationError = null;
+try {
+  pipeNetwork.calculatePipeNetwork({
+    ...baseConfig,
+    elevationProfile: [
+      { x: 0, z: 0 },
+      { x: 100, z: 40 },
+    ],
+  });
+} catch (e) {
+  elevationError = e.message;
+}
+assert(
+  elevationError !== null &&
+    elevationError.includes('Perte de charge excessive') &&
+    elevationError.includes('dénivelé'),
+  'Montée de 40 m à 3 bar: erreur de pression avec part du dénivelé'
+);
+
+// Test 13.9: Changement de longueur: positions absolues remises à l'échelle
+const positionedConfig = {
+  ...baseConfig,
+  elevationProfile: [
+    { x: 0, z: 0 },
+    { x: 40, z: -2 },
+    { x: 100, z: 6 },
+  ],
+  fittings: [
+    { type: 'elbow_90', count: 2 },
+    { type: 'gate_valve', position: 50 },
+  ],
+};
+const doubled = pipeNetwork.scaleNetworkLength(positionedConfig, 200);
+assert(
+  doubled.totalLength === 200 && doubled.elevationProfile[1].x === 80,
+  'Longueur doublée: points du profil à x·2'
+);
+assert(
+  doubled.elevationProfile[2].x === 200 && doubled.elevationProfile[2].z === 6,
+  'Dernier point à la sortie, dénivelé conservé'
+);
+assert(
+  doubled.fittings[0] === positionedConfig.fittings[0] && doubled.fittings[1].position === 100,
+  "Accessoire placé remis à l'échelle, accessoire sans position inchangé"
+);
+assert(positionedConfig.elevationProfile[2].x === 100, 'Configuration de base non modifiée');
+const halved = pipeNetwork.calculatePipeNetwork(
+  pipeNetwork.scaleNetworkLength(positionedConfig, 50)
+);
+assertApprox(halved.z_profile[halved.z_profile.length - 1], 6, 1e-9, 'Demi-longueur calculable');
+const scaledSections = pipeNetwork.scaleNetworkLength(zEndConfig, 50);
+assert(
+  scaledSections.sections.map((section) => section.length).join() === '20,15,15',
+  'Tronçons: longueurs au prorata'
+);
+assertThrows(() => pipeNetwork.scaleNetworkLength(baseConfig, 0), 'Longueur nulle rejetée');
+
+console.log(
+  `  ℹ️  Montée 10 m: ${(resultRise.dP_static_total / 1000).toFixed(1)} kPa, point bas à ${resultValley.lowPoints[0].x} m`
+);
+
+// ========== SUITE 14: TEMPÉRATURE DE SURFACE ==========
+console.log('\nSuite 14: Température de surface par segment\n');
+
+assert(result10seg.surfaceConverged, 'Itération de surface convergée sur tous les segments');
+assert(
+  result10seg.segmentResults.every(
+    (seg) =>
+      seg.T_surface > baseConfig.ambient.T_amb &&
+      seg.T_surface < seg.T_in &&
+      seg.surfaceIterations === seg.surfaceResiduals.length
+  ),
+  'T_surface entre T_amb et T_in, un résidu par itération'
+);
+assert(
+  result10seg.segmentResults[9].T_surface < result10seg.segmentResults[0].T_surface,
+  "Surface plus froide vers l'aval"
+);
+
+// ========== SUITE 15: RÉGIME DE CONVECTION EXTERNE ==========
+console.log('\nSuite 15: Régime de convection externe par segment\n');
+
+assert(
+  result10seg.segmentResults.every((seg) => seg.convectionRegime === 'forced' && seg.Ri < 0.1),
+  'Vent 5 m/s: convection forcée sur tous les segments'
+);
+assert(
+  segAt(5).convectionRegime === 'natural' && segAt(5).Ri === Infinity,
+  'Zone sans vent (bâtiment): convection naturelle, Ri infini'
+);
+assert(segAt(40).convectionRegime === 'forced', 'Hors zone (vent 5 m/s): convection forcée');
+
 // ========== RÉSUMÉ ==========
 console.log('\n' + '='.repeat(70));
 console.log('RÉSUMÉ DES TESTS');
@@ -0,0 +1,222 @@
+/**
+ * test_pipe_roughness.js
+ *
+ * Tests pour la rugosité selon l'état de conduite (properties/pipe-roughness.js)
+ *
+ * Teste:
+ * - Table des rugosités et correspondance des matériaux de l'application
+ * - Lookup par matériau et état (neuf, usagé, fortement corrodé)
+ * - Réseau: perte de charge croissante avec la rugosité
+ * - Conversion des cas de validation externe (scripts/lib/thermaflow-loader.js)
+ * - Validation des entrées
+ *
+ * Exécution: node tests/test_pipe_roughness.js
+ */
+
+const path = require('path');
+const { pipeRoughnessData } = require('../data/pipes/roughness.js');
+const pipeRoughness = require('../js/properties/pipe-roughness.js');
+const pipeNetwork = require('../js/engine/pipe-network.js');
+const {
+  loadThermaFlowModules,
+  loadPipeSpecsHelper,
+  convertInputsToNetworkConfig,
+  ROUGHNESS_BY_MATERIAL,
+} = require('../scripts/lib/thermaflow-loader.js');
+
+const { getPipeRoughness, listRoughnessMaterials, ROUGHNESS_CONDITIONS } = pipeRoughness;
+
+// Compteur de tests
+let testsTotal = 0;
+let testsPassed = 0;
+
+/**
+ * Fonction helper pour assertion
+ */
+function assert(condition, message) {
+  testsTotal++;
+  if (condition) {
+    testsPassed++;
+  } else {
+    console.error(`  ❌ ÉCHEC: ${message}`);
+  }
+}
+
+/**
+ * Fonction helper pour assertion approximative
+ */
+function assertApprox(actual, expected, tolerance, message) {
+  testsTotal++;
+  const diff = Math.abs(actual - expected);
+  const relError = Math.abs(diff / expected);
+
+  if (diff <= tolerance || relError <= tolerance) {
+    testsPassed++;
+  } else {
+    console.error(`  ❌ ÉCHEC: ${message}`);
+    console.error(`     Attendu: ${expected}, Obtenu: ${actual}, Différence: ${diff}`);
+  }
+}
+
+/**
+ * Fonction helper pour tester les erreurs
+ */
+function assertThrows(fn, message) {
+  testsTotal++;
+  try {
+    fn();
+    console.error(`  ❌ ÉCHEC: ${message} (aucune erreur levée)`);
+  } catch (e) {
+    testsPassed++;
+  }
+}
+
+console.log('\n' + '='.repeat(70));
+console.log('TESTS: pipe-roughness.js (état de conduite)');
+console.log('='.repeat(70) + '\n');
+
+// ========== SUITE 1: TABLE ==========
+console.log('Suite 1: Table des rugosités\n');
+
+assert(Object.isFrozen(pipeRoughnessData), 'Table figée');
+assert(Object.isFrozen(pipeRoughnessData.materiaux[0]), 'Entrées figées');
+assert(
+  Object.isFrozen(pipeRoughnessData.materiaux_application.steel.conditions),
+  'Correspondances figées'
+);
+assert(
+  pipeRoughnessData.materiaux.every((row) => row.rugosite_mm >= 0),
+  'Rugosités positives ou nulles'
+);
+assert(
+  listRoughnessMaterials().join(',') === 'steel,copper,stainless_steel',
+  "Matériaux de l'application: acier, cuivre, inox"
+);
+
+// Chaque correspondance pointe vers une entrée unique de la table
+let mappingsValid = true;
+for (const material of listRoughnessMaterials()) {
+  const mapping = pipeRoughnessData.materiaux_application[material];
+  for (const condition of ROUGHNESS_CONDITIONS) {
+    const matches = pipeRoughnessData.materiaux.filter(
+      (row) => row.materiau === mapping.materiau && row.condition === mapping.conditions[condition]
+    );
+    if (matches.length !== 1) {
+      mappingsValid = false;
+    }
+  }
+}
+assert(mappingsValid, 'Une entrée de table par matériau et état');
+
+// ========== SUITE 2: LOOKUP ==========
+console.log('\nSuite 2: Lookup par matériau et état\n');
+
+assertApprox(getPipeRoughness('steel').roughness, 0.045e-3, 1e-12, 'Acier neuf par défaut');
+assertApprox(getPipeRoughness('steel', 'used').roughness, 0.15e-3, 1e-12, 'Acier usagé');
+assertApprox(getPipeRoughness('steel', 'corroded').roughness, 2.0e-3, 1e-12, 'Acier corrodé');
+assertApprox(getPipeRoughness('copper', 'new').roughness, 0.0015e-3, 1e-12, 'Cuivre neuf');
+assertApprox(getPipeRoughness('stainless_steel', 'new').roughness, 0.002e-3, 1e-12, 'Inox neuf');
+assert(getPipeRoughness('steel', 'used').label === 'Acier commercial, Usagé', 'Libellé de table');
+assert(
+  getPipeRoughness('copper', 'corroded').label === 'Cuivre, Fortement entartré',
+  'Cuivre entartré'
+);
+assert(getPipeRoughness('steel', 'used').condition === 'used', 'État retourné');
+
+// Rugosité croissante avec l'état pour chaque matériau
+let ordered = true;
+for (const material of listRoughnessMaterials()) {
+  const values = ROUGHNESS_CONDITIONS.map((c) => getPipeRoughness(material, c).roughness);
+  if (!(values[0] < values[1] && values[1] < values[2])) {
+    ordered = false;
+  }
+}
+assert(ordered, 'Neuf < usagé < corrodé pour chaque matériau');
+
+// ========== SUITE 3: RÉSEAU ==========
+console.log('\nSuite 3: Réseau\n');
+
+const config = {
+  geometry: { D_inner: 0.0525, D_outer: 0.0603, roughness: 0, material: 'steel' },
+  totalLength: 200,
+  numSegments: 10,
+  fluid: { T_in: 10, P: 4, m_dot: 2.0 },
+  ambient: { T_amb: -15, V_wind: 5 },
+  insulation: null,
+};
+const dP = ROUGHNESS_CONDITIONS.map(
+  (condition) =>
+    pipeNetwork.calculatePipeNetwork({
+      ...config,
+      geometry: { ...config.geometry, roughness: getPipeRoughness('steel', condition).roughness },
+    }).dP_total
+);
+assert(dP[0] < dP[1] && dP[1] < dP[2], 'ΔP: neuf < usagé < corrodé');
+assert(dP[2] > 1.5 * dP[0], 'ΔP: conduite corrodée nettement plus élevée');
+
+// ========== SUITE 4: VALIDATION EXTERNE ==========
+console.log('\nSuite 4: Conversion des cas de validation externe\n');
+
+const rootDir = path.join(__dirname, '..');
+const modules = loadThermaFlowModules(rootDir);
+const pipeSpecsHelper = loadPipeSpecsHelper(rootDir);
+const inputs = {
+  pipe: { material: 'steel', schedule: '40', nps: 2, length_m: 100 },
+  fluid: { temp_C: 10, pressure_kPag: 300, flow_m3h: 5 },
+  ambient: { temp_C: -20, wind_kmh: 20 },
+  insulation: null,
+};
+
+const converted = convertInputsToNetworkConfig(inputs, pipeSpecsHelper, modules);
+assertApprox(converted.geometry.roughness, 0.045e-3, 1e-12, 'Cas sans état: conduite neuve');
+
+// Conduites neuves: valeurs de la table des rugosités (acier, cuivre, inox)
+assertApprox(ROUGHNESS_BY_MATERIAL.steel, 0.045e-3, 1e-12, 'Base de validation: acier');
+assertApprox(ROUGHNESS_BY_MATERIAL.copper, 0.0015e-3, 1e-12, 'Base de validation: cuivre');
+assertApprox(ROUGHNESS_BY_MATERIAL.stainless_steel, 0.002e-3, 1e-12, 'Base de validation: inox');
+assert(Object.isFrozen(ROUGHNESS_BY_MATERIAL), 'ROUGHNESS_BY_MATERIAL figé');
+
+const convertedUsed = convertInputsToNetworkConfig(
+  { ...inputs, pipe: { ...inputs.pipe, condition: 'used' } },
+  pipeSpecsHelper,
+  modules
+);
+assertApprox(convertedUsed.geometry.roughness, 0.15e-3, 1e-12, 'Cas usagé: table');
+
+const convertedCustom = convertInputsToNetworkConfig(
+  { ...inputs, pipe: { ...inputs.pipe, condition: 'used', roughness_mm: 0.5 } },
+  pipeSpecsHelper,
+  modules
+);
+assertApprox(convertedCustom.geometry.roughness, 0.5e-3, 1e-12, 'Rugosité saisie prioritaire');
+
+// ========== SUITE 5: VALIDATION ==========
+console.log('\nSuite 5: Validation\n');
+
+assertThrows(() => getPipeRoughness('pvc'), 'Matériau hors application rejeté');
+assertThrows(() => getPipeRoughness('steel', 'rusty'), 'État inconnu rejeté');
+assertThrows(() => getPipeRoughness('steel', 'custom'), 'État personnalisé sans table rejeté');
+assertThrows(
+  () =>
+    convertInputsToNetworkConfig(
+      { ...inputs, pipe: { ...inputs.pipe, condition: 'rusty' } },
+      pipeSpecsHelper,
+      modules
+    ),
+  'Conversion: état inconnu rejeté'
+);
+
+// ========== RÉSUMÉ ==========
+console.log('\n' + '='.repeat(70));
+console.log('RÉSUMÉ DES TESTS');
+console.log('='.repeat(70) + '\n');
+
+console.log(`Tests réussis: ${testsPassed}/${testsTotal}`);
+
+if (testsPassed === testsTotal) {
+  console.log('✅ TOUS LES TESTS PASSENT\n');
+  process.exit(0);
+} else {
+  console.log(`❌ ${testsTotal - testsPassed} TEST(S) EN ÉCHEC\n`);
+  process.exit(1);
+}
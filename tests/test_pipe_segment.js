@@ -420,6 +420,157 @@ console.log(`  ℹ️  T_amb=-40°C:  Q_loss = ${resultCold.Q_loss.toFixed(1)}W`
 console.log(`  ℹ️  V_wind=0 m/s: h_ext = ${resultNoWind.h_ext.toFixed(1)} W/(m²·K)`);
 console.log(`  ℹ️  V_wind=20 m/s: h_ext = ${resultStrongWind.h_ext.toFixed(1)} W/(m²·K)`);
 
+// ========== SUITE 7: TEMPÉRATURE DE SURFACE ==========
+console.log('\nSuite 7: Température de surface (itération interne)\n');
+
+const stillAir = { T_amb: -10, V_wind: 0 };
+const insulatedStill = pipeSegment.calculatePipeSegment(
+  validGeometry,
+  validFluid,
+  stillAir,
+  validInsulation
+);
+const bareStill = pipeSegment.calculatePipeSegment(validGeometry, validFluid, stillAir, null);
+
+assert(insulatedStill.surfaceConverged, 'Isolée, air calme: itération convergée');
+assert(
+  insulatedStill.surfaceResiduals[insulatedStill.surfaceResiduals.length - 1] < 0.01,
+  'Dernier résidu < 0.01 K'
+);
+assert(
+  insulatedStill.surfaceResiduals.length === insulatedStill.surfaceIterations,
+  'Un résidu par itération'
+);
+assert(
+  insulatedStill.T_surface > stillAir.T_amb && insulatedStill.T_surface < stillAir.T_amb + 20,
+  "Isolée: surface proche de l'air"
+);
+assert(bareStill.T_surface > 55, 'Nue: surface proche du fluide');
+assertApprox(
+  insulatedStill.h_conv_ext + insulatedStill.h_rad,
+  insulatedStill.h_ext,
+  1e-9,
+  'h_ext = h_conv + h_rad'
+);
+
+// Rayonnement évalué à T_surface, pas à T_in (fortement surestimé avec isolation)
+const radiation = require('../js/correlations/radiation.js');
+const h_rad_T_in = radiation.radiationCoefficientSimple(
+  validFluid.T_in,
+  stillAir.T_amb,
+  insulatedStill.emissivity
+);
+assert(
+  insulatedStill.h_rad < 0.75 * h_rad_T_in,
+  `Isolée: h_rad (${insulatedStill.h_rad.toFixed(2)}) < h_rad à T_in (${h_rad_T_in.toFixed(2)})`
+);
+
+// Cohérence du réseau: flux externe = flux à travers la résistance totale
+const A_ext =
+  Math.PI * (validGeometry.D_outer + 2 * validInsulation.thickness) * validGeometry.length;
+const Q_ext = insulatedStill.h_ext * A_ext * (insulatedStill.T_surface - stillAir.T_amb);
+const T_avg = (validFluid.T_in + insulatedStill.T_out) / 2;
+assertApprox(
+  Q_ext,
+  (T_avg - stillAir.T_amb) / insulatedStill.R_total,
+  0.02,
+  'Flux surface → air cohérent avec la résistance totale'
+);
+
+// Traçage: la surface se réchauffe
+const tracedStill = pipeSegment.calculatePipeSegment(
+  validGeometry,
+  validFluid,
+  stillAir,
+  validInsulation,
+  2,
+  { power: 30 }
+);
+assert(
+  tracedStill.surfaceConverged && tracedStill.T_surface > insulatedStill.T_surface,
+  'Traçage: surface plus chaude'
+);
+
+// Conduite enterrée: pas de surface exposée à l'air
+const buriedSeg = pipeSegment.calculatePipeSegment(
+  validGeometry,
+  validFluid,
+  { ...stillAir, burial: { depth: 1.5, soil: 'clay' } },
+  validInsulation
+);
+assert(
+  buriedSeg.T_surface === null && buriedSeg.surfaceIterations === 0 && buriedSeg.h_rad === null,
+  'Enterrée: aucune itération de surface'
+);
+
+// Appel direct du solveur (même état que le segment)
+const airProps = require('../js/properties/air-properties.js');
+const direct = pipeSegment.solveSurfaceTemperature(
+  stillAir,
+  airProps.getAirProperties(stillAir.T_amb),
+  validGeometry.D_outer,
+  0.79,
+  60,
+  0.001,
+  0.002,
+  0,
+  10
+);
+assert(direct.converged && direct.iterations < 30, 'Solveur direct: convergence rapide');
+assert(
+  direct.residuals.every((r, i) => i === 0 || r <= direct.residuals[i - 1]),
+  'Résidus décroissants'
+);
+
+console.log(
+  `  ℹ️  Air calme -10°C: T_surface isolée ${insulatedStill.T_surface.toFixed(2)}°C (${insulatedStill.surfaceIterations} itérations), nue ${bareStill.T_surface.toFixed(2)}°C`
+);
+
+console.log('\nSuite 8: Régime de convection externe (nombre de Richardson)\n');
+
+const windSweep = [];
+for (let step = 0; step <= 50; step++) {
+  const V_wind = step * 0.02; // 0 à 1 m/s
+  windSweep.push(
+    pipeSegment.calculatePipeSegment(
+      validGeometry,
+      validFluid,
+      { T_amb: -10, V_wind: V_wind },
+      validInsulation
+    )
+  );
+}
+
+assert(
+  windSweep[0].convectionRegime === 'natural' && windSweep[0].Ri === Infinity,
+  'Air calme: convection naturelle, Ri infini'
+);
+assert(
+  windSweep.some((r) => r.convectionRegime === 'mixed'),
+  'Vent faible: régime mixte rencontré'
+);
+assert(windSweep[50].convectionRegime === 'forced', 'Vent 1 m/s (isolé): convection forcée');
+assert(
+  windSweep.every((r, i) => i === 0 || r.Ri < windSweep[i - 1].Ri),
+  'Ri décroît quand le vent augmente'
+);
+assert(
+  windSweep.every((r, i) => i === 0 || r.h_conv_ext >= windSweep[i - 1].h_conv_ext),
+  'h_conv croît avec le vent (pas de chute au passage des seuils)'
+);
+const maxJump = Math.max(
+  ...windSweep.slice(1).map((r, i) => r.h_conv_ext / windSweep[i].h_conv_ext - 1)
+);
+assert(maxJump < 0.05, `h_conv continu entre 0 et 1 m/s (saut max ${(maxJump * 100).toFixed(1)}%)`);
+assertApprox(windSweep[5].T_out, windSweep[6].T_out, 1e-4, 'T_out continue autour de V = 0.1 m/s');
+
+assert(resultStrongWind.convectionRegime === 'forced', 'Vent 20 m/s: convection forcée');
+assert(resultStrongWind.Ri < 0.01, 'Vent 20 m/s: Ri ≪ 0.1');
+
+console.log(
+  `  ℹ️  Isolée, -10°C: h_conv ${windSweep[0].h_conv_ext.toFixed(2)} (calme) → ${windSweep[50].h_conv_ext.toFixed(2)} W/(m²·K) (1 m/s)`
+);
+
 // ========== RÉSUMÉ ==========
 console.log('\n' + '='.repeat(70));
 console.log('RÉSUMÉ DES TESTS');
@@ -2,7 +2,8 @@
  * Test de cohérence: rebuildConfig() vs getFormData()
  *
  * Vérifie que rebuildConfig(baseConfig, 'm_dot', baseConfig.meta.flowM3PerHr)
- * produit une config IDENTIQUE à baseConfig
+ * produit une config IDENTIQUE à baseConfig, et que chaque balayage conserve les
+ * champs non balayés (positions remises à l'échelle pour L) et reste calculable
  */
 
 const path = require('path');
@@ -45,80 +46,13 @@ global.window.calculatePipeNetwork = pipeNetwork.calculatePipeNetwork;
 
 const { calculatePipeNetwork } = pipeNetwork;
 
-// Simuler rebuildConfig (copie exacte du code dans sensitivity-analysis-1d.js)
-function rebuildConfig(baseConfig, paramKey, newValue) {
-  const geometry = { ...baseConfig.geometry };
-  const insulation = baseConfig.insulation ? { ...baseConfig.insulation } : null;
-  const meta = { ...baseConfig.meta };
-
-  let totalLength = baseConfig.totalLength;
-  let T_in = baseConfig.fluid.T_in;
-  const P_bar = baseConfig.fluid.P;
-  let flowM3PerHr = baseConfig.meta.flowM3PerHr;
-  let T_amb = baseConfig.ambient.T_amb;
-  let V_wind_kmh = baseConfig.ambient.V_wind * 3.6;
-
-  switch (paramKey) {
-    case 'L':
-      totalLength = newValue;
-      break;
-    case 'm_dot':
-      flowM3PerHr = newValue;
-      break;
-    case 'T_in':
-      T_in = newValue;
-      break;
-    case 'T_amb':
-      T_amb = newValue;
-      break;
-    case 'V_wind':
-      V_wind_kmh = newValue;
-      break;
-    case 't_insul':
-      if (insulation) {
-        insulation.thickness = newValue / 1000.0;
-      }
-      break;
-  }
+// rebuildConfig réel de l'analyse de sensibilité 1D (module navigateur, exposé sur window)
+global.window.FluidProperties = require(path.join(ROOT_DIR, 'js/properties/fluid-properties.js'));
+require(path.join(ROOT_DIR, 'js/ui/sensitivity-analysis-1d.js'));
+const { rebuildConfig } = global.window.SensitivityAnalysis1D;
 
-  let rho_water = 1000;
-  if (
-    typeof global.window !== 'undefined' &&
-    typeof global.window.WaterProperties !== 'undefined'
-  ) {
-    try {
-      const waterProps = global.window.WaterProperties.getWaterProperties(T_in, P_bar);
-      rho_water = waterProps.rho;
-    } catch (e) {
-      console.warn(`rebuildConfig: Densité eau fallback à 1000 kg/m³`);
-    }
-  }
-  const flowM3PerS = flowM3PerHr / 3600;
-  const flowKgPerS = flowM3PerS * rho_water;
-
-  const numSegments = Math.min(Math.max(Math.ceil(totalLength / 5), 10), 100);
-  const V_wind_ms = V_wind_kmh / 3.6;
-
-  return {
-    geometry: geometry,
-    totalLength: totalLength,
-    numSegments: numSegments,
-    fluid: {
-      T_in: T_in,
-      P: P_bar,
-      m_dot: flowKgPerS,
-    },
-    ambient: {
-      T_amb: T_amb,
-      V_wind: V_wind_ms,
-    },
-    insulation: insulation,
-    meta: {
-      ...meta,
-      flowM3PerHr: flowM3PerHr,
-    },
-  };
-}
+// Nombre de vérifications en échec (code de sortie)
+let failures = 0;
 
 // Fonction de comparaison profonde
 function deepCompare(obj1, obj2, path = '') {
@@ -185,6 +119,7 @@ const baseConfig = {
   },
   totalLength: 300,
   numSegments: 60, // Math.min(Math.max(Math.ceil(300/5), 10), 100)
+  adaptive: false,
   fluid: {
     T_in: 10,
     P: 3.0, // 300 kPag = 3 bar
@@ -236,6 +171,7 @@ if (differences.length === 0) {
 } else {
   console.log(`❌ ÉCHEC: ${differences.length} différence(s) trouvée(s):`);
   differences.forEach((diff) => console.log(`  - ${diff}`));
+  failures++;
 }
 console.log('');
 
@@ -252,6 +188,7 @@ if (Math.abs(result1.T_final - result2.T_final) < 1e-6) {
   console.log('✅ Les résultats sont identiques!');
 } else {
   console.log('❌ Les résultats diffèrent!');
+  failures++;
 }
 console.log('');
 
@@ -280,3 +217,134 @@ if (Math.abs(result3.T_final) < 0.3) {
     `❌ Température finale éloignée de 0°C (écart: ${Math.abs(result3.T_final).toFixed(4)}°C)`
   );
 }
+console.log('');
+
+// Test 4: Les champs hors balayage survivent à la reconstruction
+console.log('='.repeat(70));
+console.log('TEST: Conservation des champs non balayés');
+console.log('='.repeat(70));
+console.log('');
+
+// Configuration complète telle que getFormData() la construit
+const fullConfig = {
+  ...baseConfig,
+  geometry: { ...baseConfig.geometry, roughness: 0.15e-3 }, // Acier usagé
+  meta: { ...baseConfig.meta, condition: 'used' },
+  heatTracing: { power: 20 },
+  orientation: { inclination: 0, windAngle: 45, height: 3 },
+  elevationProfile: [
+    { x: 0, z: 0 },
+    { x: 300, z: 12 },
+  ],
+  ambientZones: [
+    { x_start: 0, x_end: 20, T_amb: -15, V_wind: 2, label: 'Entrée' },
+    { x_start: 0, x_end: 40, fromOutlet: true, T_amb: -35, V_wind: 10, label: 'Sortie' },
+  ],
+  fittings: [
+    { type: 'elbow_90', count: 4 },
+    { type: 'gate_valve', position: 150 },
+  ],
+  thermalBridges: [
+    { type: 'pipe_shoe', spacing: 6 },
+    { type: 'gate_valve_bare', count: 2 },
+  ],
+  ambient: {
+    ...baseConfig.ambient,
+    burial: null,
+    radiation: { preset: 'clear_night' },
+    terrain: 'open',
+    relativeHumidity: 80,
+    altitude: 350,
+  },
+};
+
+// Champs repris tels quels, quel que soit le paramètre balayé
+const preservedPaths = [
+  'geometry.roughness',
+  'meta.condition',
+  'heatTracing',
+  'orientation',
+  'ambientZones',
+  'ambient.burial',
+  'ambient.radiation',
+  'ambient.terrain',
+  'ambient.relativeHumidity',
+  'ambient.altitude',
+];
+// Champs positionnés en x absolu: repris tels quels sauf pour un balayage de L
+const positionPaths = ['elevationProfile', 'fittings', 'thermalBridges'];
+const sweeps = [
+  ['L', 150],
+  ['L', 450],
+  ['m_dot', 5],
+  ['T_in', 20],
+  ['T_amb', -10],
+  ['V_wind', 30],
+  ['t_insul', 25],
+];
+
+const getPath = (obj, p) =>
+  p.split('.').reduce((o, k) => (o === null || o === undefined ? undefined : o[k]), obj);
+
+for (const [paramKey, value] of sweeps) {
+  const label = `${paramKey} = ${value}`;
+  const swept = rebuildConfig(fullConfig, paramKey, value);
+  const checked = paramKey === 'L' ? preservedPaths : preservedPaths.concat(positionPaths);
+  const lost = checked.filter((p) => getPath(swept, p) !== getPath(fullConfig, p));
+  if (lost.length === 0) {
+    console.log(`✅ ${label}: champs conservés`);
+  } else {
+    console.log(`❌ ${label}: champs perdus: ${lost.join(', ')}`);
+    failures++;
+  }
+
+  // La configuration reconstruite doit être calculable par le moteur
+  let result;
+  try {
+    result = calculatePipeNetwork(swept);
+    console.log(`✅ ${label}: calcul réussi (T_final = ${result.T_final.toFixed(2)}°C)`);
+  } catch (error) {
+    console.log(`❌ ${label}: calcul en échec: ${error.message}`);
+    failures++;
+    continue;
+  }
+
+  if (paramKey !== 'L') {
+    continue;
+  }
+
+  // Positions remises à l'échelle de la nouvelle longueur
+  const L = value;
+  const profile = result.elevationProfile;
+  const last = profile[profile.length - 1];
+  const outletZone = result.ambientZones.find((zone) => zone.fromOutlet);
+  const inletZone = result.ambientZones.find((zone) => !zone.fromOutlet);
+  const valve = swept.fittings.find((fitting) => fitting.type === 'gate_valve');
+  const checks = [
+    [Math.abs(last.x - L) < 1e-9 && last.z === 12, "profil d'altitude jusqu'à la sortie"],
+    [Math.abs(result.z_profile[result.z_profile.length - 1] - 12) < 1e-9, 'dénivelé conservé'],
+    [
+      Math.abs(outletZone.x_end - L) < 1e-9 && Math.abs(outletZone.x_start - (L - 40)) < 1e-9,
+      'zone de sortie sur les 40 derniers mètres',
+    ],
+    [inletZone.x_start === 0 && inletZone.x_end === 20, "zone d'entrée sur les 20 premiers mètres"],
+    [Math.abs(valve.position - L / 2) < 1e-9, 'vanne placée à mi-longueur'],
+    [Math.abs(result.totalLength - L) < 1e-9, 'longueur résolue'],
+  ];
+  checks.forEach(([ok, description]) => {
+    if (ok) {
+      console.log(`✅ ${label}: ${description}`);
+    } else {
+      console.log(`❌ ${label}: ${description}`);
+      failures++;
+    }
+  });
+}
+
+console.log('');
+if (failures > 0) {
+  console.log(`❌ ${failures} vérification(s) en échec`);
+  process.exit(1);
+}
+console.log('✅ Toutes les vérifications passent');
+process.exit(0);
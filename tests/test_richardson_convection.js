@@ -6,8 +6,8 @@
  * Valide:
  * - Calcul précis Ri = Gr/Re²
  * - Détection régime forcé, naturel, mixte
- * - Formule combinée Churchill (1977)
- * - Warnings appropriés
+ * - Formule combinée Churchill (1977), continue quel que soit Ri
+ * - Aucun warning (régime rapporté par segment)
  *
  * Exécution: node tests/test_richardson_convection.js
  */
@@ -91,11 +91,11 @@ const Ri_natural = nusseltExt.calculateRichardsonNumber(1e6, 100);
 // Ri = 1e6 / (100²) = 1e6 / 1e4 = 100
 assertClose(Ri_natural, 100, 0.001, 'Ri = 100 >> 10');
 
-// Nu devrait être celui de convection naturelle
+// Nu devrait être dominé par la convection naturelle (superposition continue)
 const Nu_natural = nusseltExt.nusseltExternal(100, 0.715, 1e6);
 const Ra = 1e6 * 0.715; // Gr × Pr
 const Nu_nat_pure = nusseltExt.nusseltNaturalConvectionCylinder(Ra, 0.715);
-assertClose(Nu_natural, Nu_nat_pure, 0.001, 'Nu (Ri>10) = Nu naturelle');
+assertClose(Nu_natural, Nu_nat_pure, 0.05, 'Nu (Ri>10) ≈ Nu naturelle');
 
 console.log('\nTest 4: Zone mixte (0.1 < Ri < 10)');
 // Re=1000, Gr=5e5
@@ -151,42 +151,33 @@ const Nu_v11 = nusseltExt.nusseltExternal(20000, 0.715, 0);
 const Nu_CB_ref = nusseltExt.nusseltChurchillBernstein(20000, 0.715);
 assertClose(Nu_v11, Nu_CB_ref, 0.001, 'Gr=0 → comportement v1.1 (Churchill-Bernstein)');
 
-console.log('\nTest 8: Warning zone mixte émis');
+console.log('\nTest 8: Aucun warning en zone mixte (régime rapporté par segment)');
 // Capturer console.warn temporairement
 let warningEmitted = false;
 const originalWarn = console.warn;
-console.warn = function (...args) {
-  if (args[0].includes('Convection mixte détectée')) {
-    warningEmitted = true;
-  }
+console.warn = function () {
+  warningEmitted = true;
 };
 
-// Cas mixte: devrait émettre warning
+// Cas mixte: appelé à chaque segment par le moteur, ne doit pas émettre de warning
 nusseltExt.nusseltExternal(1000, 0.715, 5e5);
 
 console.warn = originalWarn; // Restaurer
 
-testsRun++;
-if (warningEmitted) {
-  testsPassed++;
-  console.log(`  ✓ Warning convection mixte émis`);
-} else {
-  testsFailed++;
-  console.log(`  ✗ Warning convection mixte devrait être émis`);
-}
+_assertEqual(warningEmitted, false, 'Aucun warning convection mixte');
 
 console.log('\nTest 9: Validation contre littérature');
 // Cas documenté: Churchill (1977)
 // Re = 5000, Gr = 1e6 (Ri = 1e6/25e6 = 0.04 < 0.1 → forcée)
 const Nu_lit1 = nusseltExt.nusseltExternal(5000, 0.715, 1e6);
 const Nu_CB_lit1 = nusseltExt.nusseltChurchillBernstein(5000, 0.715);
-assertClose(Nu_lit1, Nu_CB_lit1, 0.001, 'Cas littérature Ri=0.04 → forcée');
+assertClose(Nu_lit1, Nu_CB_lit1, 0.02, 'Cas littérature Ri=0.04 → forcée');
 
 // Re = 500, Gr = 1e7 (Ri = 1e7/25e4 = 40 > 10 → naturelle)
 const Nu_lit2 = nusseltExt.nusseltExternal(500, 0.715, 1e7);
 const Ra_lit2 = 1e7 * 0.715;
 const Nu_nat_lit2 = nusseltExt.nusseltNaturalConvectionCylinder(Ra_lit2, 0.715);
-assertClose(Nu_lit2, Nu_nat_lit2, 0.001, 'Cas littérature Ri=40 → naturelle');
+assertClose(Nu_lit2, Nu_nat_lit2, 0.06, 'Cas littérature Ri=40 → naturelle');
 
 console.log('\nTest 10: Performance < 1ms');
 const startTime = Date.now();
@@ -209,6 +200,36 @@ if (avgTime < 1.0) {
   console.log(`  ✗ Performance: ${avgTime.toFixed(3)} ms/calcul > 1 ms`);
 }
 
+console.log('\nTest 11: Superposition continue et régime dominant');
+const Pr_air = 0.715;
+assertClose(
+  nusseltExt.nusseltExternal(0, Pr_air, 1e6),
+  nusseltExt.nusseltNaturalConvectionCylinder(1e6 * Pr_air, Pr_air),
+  0.001,
+  'Re=0 → naturelle pure'
+);
+
+_assertEqual(nusseltExt.convectionRegime(0), 'forced', 'Gr=0 → régime forcé');
+_assertEqual(nusseltExt.convectionRegime(Infinity), 'natural', 'Re=0 → régime naturel');
+_assertEqual(nusseltExt.convectionRegime(0.04), 'forced', 'Ri=0.04 → forcé');
+_assertEqual(nusseltExt.convectionRegime(1), 'mixed', 'Ri=1 → mixte');
+_assertEqual(nusseltExt.convectionRegime(25), 'natural', 'Ri=25 → naturel');
+
+// Continuité aux seuils Ri = 10 et Ri = 0.1 (Gr = 1e6: Re = 316 et 3162)
+const Gr_cont = 1e6;
+const around = (Re) => [
+  nusseltExt.nusseltExternal(Re * 0.999, Pr_air, Gr_cont),
+  nusseltExt.nusseltExternal(Re * 1.001, Pr_air, Gr_cont),
+];
+const [nat10, mix10] = around(Math.sqrt(Gr_cont / 10));
+const [mix01, forc01] = around(Math.sqrt(Gr_cont / 0.1));
+assertClose(mix10, nat10, 0.005, 'Pas de saut de Nu à Ri=10');
+assertClose(forc01, mix01, 0.005, 'Pas de saut de Nu à Ri=0.1');
+
+_assertThrows(() => nusseltExt.nusseltExternal(0, Pr_air, 0), 'Re=0 et Gr=0 rejetés');
+_assertThrows(() => nusseltExt.nusseltExternal(-1, Pr_air, 1e6), 'Re négatif rejeté');
+_assertThrows(() => nusseltExt.nusseltExternal(1000, Pr_air, NaN), 'Gr invalide rejeté');
+
 // ===== RÉSUMÉ =====
 console.log('\n\n' + '='.repeat(60));
 console.log('RÉSUMÉ DES TESTS - Richardson Number v1.2');
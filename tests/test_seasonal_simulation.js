@@ -0,0 +1,226 @@
+/**
+ * test_seasonal_simulation.js
+ *
+ * Tests pour la simulation saisonnière (engine/seasonal-simulation.js)
+ *
+ * Teste:
+ * - Lecture CSV: séparateurs, virgule décimale, en-têtes avec unités, vent en km/h
+ * - Intégration des pertes sur la série (kWh, coût, CO₂)
+ * - Mise en cache des pas identiques après arrondi
+ * - Heures sous le seuil de sécurité et heures de gel
+ * - Validation des entrées
+ *
+ * Exécution: node tests/test_seasonal_simulation.js
+ */
+
+const seasonal = require('../js/engine/seasonal-simulation.js');
+const pipeNetwork = require('../js/engine/pipe-network.js');
+
+const { parseWeatherCSV, simulateSeason } = seasonal;
+
+// Compteur de tests
+let testsTotal = 0;
+let testsPassed = 0;
+
+/**
+ * Fonction helper pour assertion
+ */
+function assert(condition, message) {
+  testsTotal++;
+  if (condition) {
+    testsPassed++;
+  } else {
+    console.error(`  ❌ ÉCHEC: ${message}`);
+  }
+}
+
+/**
+ * Fonction helper pour assertion approximative
+ */
+function assertApprox(actual, expected, tolerance, message) {
+  testsTotal++;
+  const diff = Math.abs(actual - expected);
+  const relError = Math.abs(diff / expected);
+
+  if (diff <= tolerance || relError <= tolerance) {
+    testsPassed++;
+  } else {
+    console.error(`  ❌ ÉCHEC: ${message}`);
+    console.error(`     Attendu: ${expected}, Obtenu: ${actual}, Différence: ${diff}`);
+  }
+}
+
+/**
+ * Fonction helper pour tester les erreurs
+ */
+function assertThrows(fn, message) {
+  testsTotal++;
+  try {
+    fn();
+    console.error(`  ❌ ÉCHEC: ${message} (aucune erreur levée)`);
+  } catch (e) {
+    testsPassed++;
+  }
+}
+
+console.log('\n' + '='.repeat(70));
+console.log('TESTS: seasonal-simulation.js');
+console.log('='.repeat(70) + '\n');
+
+// ========== SUITE 1: LECTURE CSV ==========
+console.log('Suite 1: Lecture CSV\n');
+
+const basic = parseWeatherCSV(
+  'time,T_amb,V_wind\n2024-01-01 00:00,-5.5,3\n2024-01-01 01:00,-6,4.5\n'
+);
+assert(basic.length === 2, 'Deux lignes de données');
+assert(basic[0].time === '2024-01-01 00:00', 'Horodatage conservé');
+assertApprox(basic[0].T_amb, -5.5, 1e-12, 'Température lue');
+assertApprox(basic[1].V_wind, 4.5, 1e-12, 'Vent lu');
+assert(basic[0].hours === null, 'Sans colonne hours: durée nulle (pas par défaut)');
+
+const french = parseWeatherCSV('Date;Température (°C);Vent (km/h)\n01/01/2024;-12,5;18\n');
+assertApprox(french[0].T_amb, -12.5, 1e-12, "Séparateur ';' et virgule décimale");
+assertApprox(french[0].V_wind, 5, 1e-12, 'Vent en km/h converti en m/s');
+
+const tabbed = parseWeatherCSV('temp\thours\n# commentaire\n\n3,5\t24\n');
+assert(tabbed.length === 1, 'Commentaires et lignes vides ignorés');
+assertApprox(tabbed[0].T_amb, 3.5, 1e-12, 'Tabulation et virgule décimale');
+assert(tabbed[0].hours === 24 && tabbed[0].V_wind === null, 'Durée lue, vent absent');
+assert(tabbed[0].time === null, 'Sans colonne de temps: horodatage nul');
+
+assertThrows(() => parseWeatherCSV('time,wind\n2024,3\n'), 'Colonne de température requise');
+assertThrows(() => parseWeatherCSV('T_amb\n'), 'Fichier sans données rejeté');
+assertThrows(() => parseWeatherCSV('T_amb\n-5\nabc\n'), 'Température non numérique rejetée');
+assertThrows(() => parseWeatherCSV('T_amb,V_wind\n-5,-2\n'), 'Vent négatif rejeté');
+try {
+  parseWeatherCSV('T_amb\n-5\nabc\n');
+} catch (e) {
+  assert(e.message.startsWith('Ligne 3'), "Numéro de ligne dans l'erreur");
+}
+
+// ========== SUITE 2: INTÉGRATION DES PERTES ==========
+console.log('\nSuite 2: Intégration des pertes\n');
+
+const config = {
+  geometry: { D_inner: 0.1023, D_outer: 0.1143, roughness: 0.045e-3, material: 'steel' },
+  totalLength: 300,
+  numSegments: 20,
+  fluid: { T_in: 8, P: 3.0, m_dot: 0.15 },
+  ambient: { T_amb: -10, V_wind: 5 },
+  insulation: { material: 'fiberglass', thickness: 0.03 },
+};
+
+// Série journalière: deux jours doux, deux jours froids (même température)
+const series = [
+  { time: 'J1', T_amb: 5, V_wind: null, hours: null },
+  { time: 'J2', T_amb: 0, V_wind: 2, hours: null },
+  { time: 'J3', T_amb: -20, V_wind: null, hours: null },
+  { time: 'J4', T_amb: -20, V_wind: null, hours: null },
+];
+
+const season = simulateSeason(config, series, {
+  stepHours: 24,
+  energyPrice: 0.1,
+  co2Factor: 0.2,
+});
+
+const direct = series.map((step) =>
+  pipeNetwork.calculatePipeNetwork({
+    ...config,
+    ambient: { T_amb: step.T_amb, V_wind: step.V_wind === null ? 5 : step.V_wind },
+  })
+);
+const expected_kWh = direct.reduce((sum, network) => sum + (network.Q_loss_total * 24) / 1000, 0);
+
+assert(season.steps === 4 && season.totalHours === 96, 'Quatre pas journaliers = 96 h');
+assertApprox(season.heatLoss_kWh, expected_kWh, 1e-9, 'Pertes = Σ Q × durée du pas');
+assertApprox(season.energyCost, expected_kWh * 0.1, 1e-9, 'Coût = kWh × prix');
+assertApprox(season.co2_kg, expected_kWh * 0.2, 1e-9, 'CO₂ = kWh × facteur');
+assert(season.traceEnergy_kWh === 0, 'Sans traçage: énergie de traçage nulle');
+assertApprox(season.history[1].Q_loss, direct[1].Q_loss_total, 1e-9, 'Vent du pas utilisé');
+assert(season.history[0].V_wind === 5, 'Vent absent: vent de la configuration');
+assert(season.evaluations === 3, 'Pas identiques calculés une seule fois');
+
+const noPrice = simulateSeason(config, series.slice(0, 1), { stepHours: 24 });
+assert(noPrice.energyCost === null && noPrice.co2_kg === null, 'Sans prix ni facteur: null');
+
+const hourly = simulateSeason(config, series.slice(0, 1));
+assert(hourly.totalHours === 1, 'Pas horaire par défaut');
+
+const withHours = simulateSeason(config, [{ T_amb: 5, V_wind: null, hours: 6 }], {
+  stepHours: 24,
+});
+assert(withHours.totalHours === 6, 'Colonne hours prioritaire sur stepHours');
+
+// Mode adaptatif ignoré: même résultat que le découpage fixe
+const adaptive = simulateSeason({ ...config, adaptive: true }, series, { stepHours: 24 });
+assertApprox(adaptive.heatLoss_kWh, season.heatLoss_kWh, 1e-12, 'Découpage fixe même si adaptatif');
+
+// ========== SUITE 3: MISE EN CACHE ==========
+console.log('\nSuite 3: Mise en cache\n');
+
+const noisy = [-5.1, -4.9, -5.3, -5.2, -4.8].map((T_amb) => ({ T_amb, V_wind: 5.1, hours: null }));
+const cached = simulateSeason(config, noisy);
+assert(cached.evaluations === 2, 'Arrondi à 0.5°C: deux calculs pour cinq pas');
+const exact = simulateSeason(config, noisy, { cacheResolution: { T_amb: 0, V_wind: 0 } });
+assert(exact.evaluations === 5, 'Sans arrondi: un calcul par valeur distincte');
+assertApprox(cached.heatLoss_kWh, exact.heatLoss_kWh, 0.02, "Erreur due à l'arrondi < 2%");
+assert(cached.history[0].T_amb === -5.1, 'Historique: température non arrondie');
+
+// ========== SUITE 4: HEURES À RISQUE ==========
+console.log('\nSuite 4: Heures à risque\n');
+
+assert(season.T_freeze === 0 && season.safetyThreshold === 5, 'Seuil par défaut: gel + 5°C');
+assert(season.hoursBelowSafety === 48, 'Jours à -20°C sous le seuil de sécurité');
+assert(season.hoursFrozen === 0, 'Aucun gel à -20°C');
+assert(season.history[2].belowSafety && !season.history[0].belowSafety, 'Drapeaux par pas');
+
+const strict = simulateSeason(config, series, { stepHours: 24, safetyMargin: 8 });
+assert(strict.hoursBelowSafety > season.hoursBelowSafety, "Marge plus grande: plus d'heures");
+
+// Jour très froid: gel dans la conduite (avertissements de calcul masqués)
+const warnBackup = console.warn;
+console.warn = () => {};
+const frozen = simulateSeason(config, [...series, { T_amb: -40, V_wind: null, hours: 12 }], {
+  stepHours: 24,
+});
+console.warn = warnBackup;
+assert(frozen.hoursFrozen === 12, 'Heures de gel comptées');
+assert(frozen.hoursBelowSafety === 60, 'Heures de gel incluses sous le seuil');
+assert(frozen.history[4].frozen, 'Pas gelé signalé');
+
+// ========== SUITE 5: VALIDATION ==========
+console.log('\nSuite 5: Validation\n');
+
+assertThrows(() => simulateSeason(config, []), 'Série vide rejetée');
+assertThrows(
+  () => simulateSeason({ ...config, numSegments: undefined }, series),
+  'Nombre de segments requis'
+);
+assertThrows(() => simulateSeason(config, series, { stepHours: 0 }), 'Pas nul rejeté');
+assertThrows(() => simulateSeason(config, series, { energyPrice: -1 }), 'Prix négatif rejeté');
+assertThrows(
+  () => simulateSeason(config, [{ T_amb: NaN, V_wind: null, hours: null }]),
+  'Température invalide rejetée'
+);
+try {
+  simulateSeason(config, [series[0], { time: 'J2', T_amb: 'froid' }]);
+} catch (e) {
+  assert(e.message.startsWith('Pas 2 (J2)'), "Numéro et horodatage du pas dans l'erreur");
+}
+
+// ========== RÉSUMÉ ==========
+console.log('\n' + '='.repeat(70));
+console.log('RÉSUMÉ DES TESTS');
+console.log('='.repeat(70) + '\n');
+
+console.log(`Tests réussis: ${testsPassed}/${testsTotal}`);
+
+if (testsPassed === testsTotal) {
+  console.log('✅ TOUS LES TESTS PASSENT\n');
+  process.exit(0);
+} else {
+  console.log(`❌ ${testsTotal - testsPassed} TEST(S) EN ÉCHEC\n`);
+  process.exit(1);
+}
@@ -0,0 +1,289 @@
+/**
+ * test_sky_radiation.js
+ *
+ * Tests pour le rayonnement de ciel et l'apport solaire (calculations/sky-radiation.js)
+ *
+ * Teste:
+ * - Température de ciel (Swinbank, nébulosité) et préréglages
+ * - Résolution et validation des configurations
+ * - Couche externe du segment: ciel, environnement, soleil, température équivalente
+ * - Intégration au réseau: zones ambiantes, résultat résolu
+ *
+ * Exécution: node tests/test_sky_radiation.js
+ */
+
+const skyRadiation = require('../js/calculations/sky-radiation.js');
+const pipeSegment = require('../js/engine/pipe-segment.js');
+const pipeNetwork = require('../js/engine/pipe-network.js');
+const airProps = require('../js/properties/air-properties.js');
+
+const { skyTemperature } = skyRadiation;
+
+// Compteur de tests
+let testsTotal = 0;
+let testsPassed = 0;
+
+/**
+ * Fonction helper pour assertion
+ */
+function assert(condition, message) {
+  testsTotal++;
+  if (condition) {
+    testsPassed++;
+  } else {
+    console.error(`  ❌ ÉCHEC: ${message}`);
+  }
+}
+
+/**
+ * Fonction helper pour assertion approximative
+ */
+function assertApprox(actual, expected, tolerance, message) {
+  testsTotal++;
+  const diff = Math.abs(actual - expected);
+  const relError = Math.abs(diff / expected);
+
+  if (diff <= tolerance || relError <= tolerance) {
+    testsPassed++;
+  } else {
+    console.error(`  ❌ ÉCHEC: ${message}`);
+    console.error(`     Attendu: ${expected}, Obtenu: ${actual}, Différence: ${diff}`);
+  }
+}
+
+/**
+ * Fonction helper pour tester les erreurs
+ */
+function assertThrows(fn, message) {
+  testsTotal++;
+  try {
+    fn();
+    console.error(`  ❌ ÉCHEC: ${message} (aucune erreur levée)`);
+  } catch (e) {
+    testsPassed++;
+  }
+}
+
+console.log('\n' + '='.repeat(70));
+console.log('TESTS: sky-radiation.js');
+console.log('='.repeat(70) + '\n');
+
+// ========== SUITE 1: TEMPÉRATURE DE CIEL ==========
+console.log('Suite 1: Température de ciel et préréglages\n');
+
+// Swinbank à -10°C: ε = 9.365e-6 × 263.15² = 0.6485 → T_ciel = 0.6485^¼ × 263.15
+const T_air_K = 263.15;
+const eps_clear = 9.365e-6 * T_air_K * T_air_K;
+assertApprox(
+  skyTemperature(-10, 0),
+  Math.pow(eps_clear, 0.25) * T_air_K - 273.15,
+  1e-9,
+  'Ciel clair: émissivité de Swinbank'
+);
+assert(
+  skyTemperature(-10, 0) < -35 && skyTemperature(-10, 0) > -40,
+  'Nuit claire à -10°C: ciel vers -37°C'
+);
+assertApprox(skyTemperature(-10, 1), -10, 1e-9, "Ciel couvert: ciel à la température de l'air");
+assert(
+  skyTemperature(-10, 0) < skyTemperature(-10, 0.5) &&
+    skyTemperature(-10, 0.5) < skyTemperature(-10, 1),
+  'Ciel plus chaud quand la nébulosité augmente'
+);
+assert(
+  -20 - skyTemperature(-20, 0) > 10 - skyTemperature(10, 0),
+  'Écart air-ciel plus grand par temps froid (air sec)'
+);
+assertThrows(() => skyTemperature(-10, 1.5), 'Nébulosité > 1 rejetée');
+assertThrows(() => skyTemperature(NaN, 0), 'Température NaN rejetée');
+
+assert(
+  Object.isFrozen(skyRadiation.RADIATION_PRESETS) &&
+    Object.isFrozen(skyRadiation.RADIATION_PRESETS.clear_night),
+  'Préréglages immuables'
+);
+assert(
+  skyRadiation.listRadiationPresets().join(',') === 'clear_night,overcast',
+  'Préréglages: nuit claire et couvert'
+);
+
+// ========== SUITE 2: RÉSOLUTION ==========
+console.log('\nSuite 2: Résolution des configurations\n');
+
+const clearNight = skyRadiation.resolveRadiation({ preset: 'clear_night' }, -10);
+assert(
+  clearNight.preset === 'clear_night' && clearNight.cloudCover === 0,
+  'Nuit claire: nébulosité 0'
+);
+assertApprox(clearNight.T_sky, skyTemperature(-10, 0), 1e-9, 'Nuit claire: T_ciel de Swinbank');
+assert(
+  clearNight.T_surroundings === -10 && clearNight.viewFactorSky === 0.5,
+  'Défauts: environnement à T_amb, facteur de vue 0.5'
+);
+assert(
+  clearNight.solarIrradiance === 0 && clearNight.absorptivity === 0,
+  'Nuit: aucun apport solaire'
+);
+
+const overcast = skyRadiation.resolveRadiation({ preset: 'overcast' }, -10);
+assertApprox(overcast.T_sky, -10, 1e-9, 'Couvert: T_ciel = T_amb');
+
+const imposed = skyRadiation.resolveRadiation({ preset: 'overcast', T_sky: -30 }, -10);
+assert(imposed.T_sky === -30 && imposed.cloudCover === null, 'T_ciel imposée prioritaire');
+
+const sunny = skyRadiation.resolveRadiation(
+  { cloudCover: 0.2, solarIrradiance: 800, absorptivity: 0.9 },
+  5
+);
+assert(sunny.preset === null && sunny.cloudCover === 0.2, 'Sans préréglage: nébulosité fournie');
+assertApprox(
+  skyRadiation.absorbedSolarFlux(sunny),
+  (0.9 * 800) / Math.PI,
+  1e-9,
+  'Flux absorbé = α·G/π (aire projetée)'
+);
+
+assertThrows(
+  () => skyRadiation.resolveRadiation({ preset: 'starry' }, -10),
+  'Préréglage inconnu rejeté'
+);
+assertThrows(
+  () => skyRadiation.resolveRadiation({ solarIrradiance: 500 }, -10),
+  'Soleil sans absorptivité rejeté'
+);
+assertThrows(
+  () => skyRadiation.resolveRadiation({ solarIrradiance: 2000, absorptivity: 0.5 }, -10),
+  'Éclairement > constante solaire rejeté'
+);
+assertThrows(
+  () => skyRadiation.resolveRadiation({ viewFactorSky: 1.2 }, -10),
+  'Facteur de vue > 1 rejeté'
+);
+assertThrows(() => skyRadiation.resolveRadiation(null, -10), 'Configuration nulle rejetée');
+
+// ========== SUITE 3: COUCHE EXTERNE DU SEGMENT ==========
+console.log('\nSuite 3: Couche externe du segment\n');
+
+const geometry = {
+  D_inner: 0.0525,
+  D_outer: 0.0603,
+  roughness: 0.045e-3,
+  length: 10,
+  material: 'steel',
+};
+const fluid = { T_in: 60, P: 3.0, m_dot: 2.0 };
+const insulation = { material: 'fiberglass', thickness: 0.02 };
+const calm = { T_amb: -10, V_wind: 0 };
+
+const segPlain = pipeSegment.calculatePipeSegment(geometry, fluid, calm, insulation);
+const segOvercast = pipeSegment.calculatePipeSegment(
+  geometry,
+  fluid,
+  { ...calm, radiation: { preset: 'overcast' } },
+  insulation
+);
+const segClear = pipeSegment.calculatePipeSegment(
+  geometry,
+  fluid,
+  { ...calm, radiation: { preset: 'clear_night' } },
+  insulation
+);
+const segSun = pipeSegment.calculatePipeSegment(
+  geometry,
+  fluid,
+  { ...calm, radiation: { cloudCover: 0, solarIrradiance: 800, absorptivity: 0.9 } },
+  insulation
+);
+
+assert(
+  segPlain.radiation === null && segPlain.T_env === -10 && segPlain.h_rad_sky === 0,
+  'Sans ciel: T_env = T_amb, aucun échange avec le ciel'
+);
+assertApprox(segOvercast.T_out, segPlain.T_out, 1e-9, "Couvert: identique à l'échange vers l'air");
+assertApprox(segOvercast.h_ext, segPlain.h_ext, 1e-9, 'Couvert: même h_ext');
+assert(segClear.T_env < -10, 'Nuit claire: environnement équivalent sous T_amb');
+assert(segClear.T_surface < segPlain.T_surface, 'Nuit claire: surface plus froide');
+assert(segClear.Q_loss > segPlain.Q_loss, 'Nuit claire: pertes plus élevées');
+assert(
+  segSun.T_env > -10 && segSun.q_solar > 0,
+  'Soleil: environnement équivalent au-dessus de T_amb'
+);
+assert(segSun.Q_loss < segPlain.Q_loss, 'Soleil: pertes réduites');
+
+// T_env: bilan de la surface (convection, ciel, environnement, soleil)
+const air = airProps.getAirProperties(-10);
+const sky = skyRadiation.resolveRadiation({ preset: 'clear_night', T_surroundings: -5 }, -10);
+const ext = pipeSegment.calculateExternalCoefficient(calm, air, 0.1003, 60, 0.79, -8, sky);
+const h_rad_sur = ext.h_rad - ext.h_rad_sky;
+assertApprox(
+  ext.T_env,
+  (ext.h_conv * -10 + ext.h_rad_sky * sky.T_sky + h_rad_sur * -5 + ext.q_solar) / ext.h_total,
+  1e-9,
+  'T_env = moyenne des puits pondérée par les coefficients'
+);
+assertApprox(ext.h_rad_surroundings, h_rad_sur, 1e-9, 'h_rad = h_rad,ciel + h_rad,environnement');
+
+const buried = pipeSegment.calculatePipeSegment(
+  geometry,
+  fluid,
+  { ...calm, burial: { depth: 1.5, soil: 'clay' }, radiation: { preset: 'clear_night' } },
+  insulation
+);
+assert(buried.radiation === null && buried.h_rad_sky === null, 'Enterrée: ciel ignoré');
+
+console.log(
+  `  ℹ️  Isolée, air calme -10°C: T_env couvert ${segOvercast.T_env.toFixed(1)}°C, nuit claire ${segClear.T_env.toFixed(1)}°C, soleil 800 W/m² ${segSun.T_env.toFixed(1)}°C`
+);
+
+// ========== SUITE 4: RÉSEAU ==========
+console.log('\nSuite 4: Intégration au réseau\n');
+
+const baseConfig = {
+  geometry: { D_inner: 0.0525, D_outer: 0.0603, roughness: 0.045e-3, material: 'steel' },
+  totalLength: 100,
+  numSegments: 10,
+  fluid: { T_in: 60, P: 3.0, m_dot: 2.0 },
+  ambient: { T_amb: -10, V_wind: 0 },
+  insulation: { material: 'fiberglass', thickness: 0.02 },
+};
+const netPlain = pipeNetwork.calculatePipeNetwork(baseConfig);
+const netClear = pipeNetwork.calculatePipeNetwork({
+  ...baseConfig,
+  ambient: { ...baseConfig.ambient, radiation: { preset: 'clear_night' } },
+  ambientZones: [{ x_start: 0, x_end: 20, T_amb: 15, V_wind: 0, label: 'Bâtiment' }],
+});
+
+assert(netPlain.radiation === null, 'Sans ciel: radiation null');
+assert(
+  netClear.radiation !== null && netClear.radiation.preset === 'clear_night',
+  'Ciel résolu retourné'
+);
+const indoor = netClear.segmentResults.filter((seg) => seg.zoneIndex !== null);
+const outdoor = netClear.segmentResults.filter((seg) => seg.zoneIndex === null);
+assert(
+  indoor.length > 0 && indoor.every((seg) => seg.T_env === 15),
+  'Zone ambiante: pas de ciel, T_env = T de la zone'
+);
+assert(
+  outdoor.every((seg) => seg.T_env < -10),
+  'Hors zone: environnement sous T_amb en nuit claire'
+);
+assert(
+  netPlain.segmentResults.every((seg) => seg.T_env === -10 && seg.q_solar === 0),
+  'Sans ciel: T_env = T_amb sur tous les segments'
+);
+
+// ========== RÉSUMÉ ==========
+console.log('\n' + '='.repeat(70));
+console.log('RÉSUMÉ DES TESTS');
+console.log('='.repeat(70) + '\n');
+
+console.log(`Tests réussis: ${testsPassed}/${testsTotal}`);
+
+if (testsPassed === testsTotal) {
+  console.log('✅ TOUS LES TESTS PASSENT\n');
+  process.exit(0);
+} else {
+  console.log(`❌ ${testsTotal - testsPassed} TEST(S) EN ÉCHEC\n`);
+  process.exit(1);
+}
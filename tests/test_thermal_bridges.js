@@ -0,0 +1,324 @@
+/**
+ * test_thermal_bridges.js
+ *
+ * Tests pour les ponts thermiques ponctuels (calculations/thermal-bridges.js,
+ * data/pipes/thermal-bridges.js)
+ *
+ * Teste:
+ * - Table des supports, vannes et brides non isolés
+ * - Positions: imposée, espacement régulier, répartition uniforme
+ * - Puits de chaleur ponctuel T_aval = T_ref + (T_amont − T_ref)·exp(−UA/ṁcp)
+ * - Intégration au réseau: marches de T(x), ventilation réparti / ponctuel, bilan
+ * - Validation des entrées
+ *
+ * Exécution: node tests/test_thermal_bridges.js
+ */
+
+const { thermalBridgesData } = require('../data/pipes/thermal-bridges.js');
+const thermalBridges = require('../js/calculations/thermal-bridges.js');
+const pipeNetwork = require('../js/engine/pipe-network.js');
+const fluidProps = require('../js/properties/fluid-properties.js');
+
+const { normalizeThermalBridges, listBridgePoints, pointSinkTemperature } = thermalBridges;
+
+// Compteur de tests
+let testsTotal = 0;
+let testsPassed = 0;
+
+/**
+ * Fonction helper pour assertion
+ */
+function assert(condition, message) {
+  testsTotal++;
+  if (condition) {
+    testsPassed++;
+  } else {
+    console.error(`  ❌ ÉCHEC: ${message}`);
+  }
+}
+
+/**
+ * Fonction helper pour assertion approximative
+ */
+function assertApprox(actual, expected, tolerance, message) {
+  testsTotal++;
+  const diff = Math.abs(actual - expected);
+  const relError = Math.abs(diff / expected);
+
+  if (diff <= tolerance || relError <= tolerance) {
+    testsPassed++;
+  } else {
+    console.error(`  ❌ ÉCHEC: ${message}`);
+    console.error(`     Attendu: ${expected}, Obtenu: ${actual}, Différence: ${diff}`);
+  }
+}
+
+/**
+ * Fonction helper pour tester les erreurs
+ */
+function assertThrows(fn, message) {
+  testsTotal++;
+  try {
+    fn();
+    console.error(`  ❌ ÉCHEC: ${message} (aucune erreur levée)`);
+  } catch (e) {
+    testsPassed++;
+  }
+}
+
+console.log('\n' + '='.repeat(70));
+console.log('TESTS: thermal-bridges.js (supports, vannes et brides non isolés)');
+console.log('='.repeat(70) + '\n');
+
+// ========== SUITE 1: TABLE ==========
+console.log('Suite 1: Table des ponts thermiques\n');
+
+const types = Object.keys(thermalBridgesData);
+assert(types.length === 8, '8 types de ponts thermiques');
+assert(
+  types.every((type) => {
+    const data = thermalBridgesData[type];
+    return (data.UA === undefined) !== (data.bareLength === undefined);
+  }),
+  'Chaque type a UA ou bareLength (pas les deux)'
+);
+assert(
+  types.every((type) =>
+    thermalBridges.BRIDGE_CATEGORIES.includes(thermalBridgesData[type].category)
+  ),
+  'Catégories connues'
+);
+assert(
+  thermalBridgesData.insulated_support.UA < thermalBridgesData.pipe_shoe.UA,
+  'Cale isolante: pont plus faible que le patin soudé'
+);
+assert(thermalBridges.getThermalBridge('flange_pair_bare').bareLength === 0.5, 'Bride: 0.5 m nu');
+assertThrows(() => thermalBridges.getThermalBridge('weld'), 'Type inconnu rejeté');
+
+// ========== SUITE 2: POSITIONS ==========
+console.log('\nSuite 2: Positions\n');
+
+const [shoes] = normalizeThermalBridges([{ type: 'pipe_shoe', spacing: 6 }], 20);
+assert(shoes.positions.join() === '6,12,18', 'Espacement 6 m sur 20 m: 6, 12, 18');
+assert(shoes.UA === 0.6 && shoes.bareLength === null, 'UA de la table');
+assert(shoes.category === 'support', 'Catégorie support');
+
+const [exact] = normalizeThermalBridges([{ type: 'pipe_clamp', spacing: 5 }], 20);
+assert(exact.positions.join() === '5,10,15', 'Pas de support à la sortie');
+
+const [spread] = normalizeThermalBridges([{ type: 'gate_valve_bare', count: 4 }], 100);
+assert(spread.positions.join() === '12.5,37.5,62.5,87.5', 'Répartis au milieu de 4 tronçons');
+assert(spread.countPerPosition === 1, 'Un élément par position répartie');
+
+const [pair] = normalizeThermalBridges([{ type: 'flange_pair_bare', position: 40, count: 2 }], 100);
+assert(pair.positions.join() === '40' && pair.countPerPosition === 2, '2 paires à 40 m');
+
+const [custom] = normalizeThermalBridges([{ type: 'custom', UA: 1.5, position: 0 }], 100);
+assert(custom.category === 'other' && custom.UA === 1.5, 'Pont personnalisé (UA)');
+
+const [override] = normalizeThermalBridges([{ type: 'ball_valve_bare', UA: 2, position: 10 }], 100);
+assert(override.UA === 2 && override.bareLength === null, 'UA remplace la longueur nue');
+
+const points = listBridgePoints(
+  normalizeThermalBridges(
+    [
+      { type: 'flange_pair_bare', position: 12 },
+      { type: 'pipe_shoe', spacing: 6 },
+    ],
+    20
+  )
+);
+assert(points.map((p) => p.x).join() === '6,12,12,18', 'Positions triées');
+assert(points[1].bridgeIndex === 0 && points[2].bridgeIndex === 1, 'Ordre conservé à égalité');
+
+// ========== SUITE 3: PUITS PONCTUEL ==========
+console.log('\nSuite 3: Puits de chaleur ponctuel\n');
+
+assertApprox(
+  pointSinkTemperature(10, -20, 0.6, 0.5, 4190),
+  -20 + 30 * Math.exp(-0.6 / (0.5 * 4190)),
+  1e-12,
+  'Échangeur localisé'
+);
+assert(pointSinkTemperature(10, -20, 0, 0.5, 4190) === 10, 'UA nulle: pas de chute');
+assertApprox(pointSinkTemperature(10, -20, 1e6, 0.5, 4190), -20, 1e-9, 'UA infinie: T_ref');
+assert(
+  pointSinkTemperature(-5, 0, 1, 0.5, 4190) > -5,
+  "Ambiance plus chaude: le fluide s'échauffe"
+);
+
+// ========== SUITE 4: RÉSEAU ==========
+console.log('\nSuite 4: Intégration au réseau\n');
+
+const config = {
+  geometry: { D_inner: 0.0525, D_outer: 0.0603, roughness: 0.045e-3, material: 'steel' },
+  totalLength: 100,
+  numSegments: 10,
+  fluid: { T_in: 20, P: 3.0, m_dot: 0.5 },
+  ambient: { T_amb: -20, V_wind: 5 },
+  insulation: { material: 'fiberglass', thickness: 0.03 },
+};
+const reference = pipeNetwork.calculatePipeNetwork(config);
+assert(reference.Q_point_total === 0, 'Sans ponts: aucune perte ponctuelle');
+assert(reference.Q_distributed_total === reference.Q_loss_total, 'Sans ponts: tout est réparti');
+assert(
+  reference.thermalBridges.length === 0 && reference.pointLosses.length === 0,
+  'Sans ponts: listes vides'
+);
+
+const bridged = pipeNetwork.calculatePipeNetwork({
+  ...config,
+  thermalBridges: [
+    { type: 'pipe_shoe', spacing: 6 },
+    { type: 'gate_valve_bare', position: 50 },
+    { type: 'custom', UA: 1, position: 0 },
+  ],
+});
+assert(bridged.T_final < reference.T_final, 'Ponts thermiques: sortie plus froide');
+assert(bridged.pointLosses.length === 16 + 1 + 1, '16 patins, 1 vanne, 1 pont en entrée');
+assertApprox(
+  bridged.Q_loss_total,
+  bridged.Q_distributed_total + bridged.Q_point_total,
+  1e-9,
+  'Q_loss_total = réparti + ponctuel'
+);
+assertApprox(
+  bridged.Q_point_total,
+  bridged.thermalBridges.reduce((sum, b) => sum + b.Q, 0),
+  1e-9,
+  'Somme des ponts = Q_point_total'
+);
+assertApprox(
+  bridged.Q_point_total,
+  bridged.segmentResults.reduce((sum, seg) => sum + seg.Q_point, 0),
+  1e-9,
+  'Somme par segment = Q_point_total'
+);
+
+// Bilan global: ṁ·cp·(T_in − T_final) ≈ pertes totales
+const cp = fluidProps.getFluidProperties(config.fluid, 19, 3).cp;
+assertApprox(
+  config.fluid.m_dot * cp * (config.fluid.T_in - bridged.T_final),
+  bridged.Q_loss_total,
+  2e-3,
+  'Bilan enthalpique'
+);
+
+// Chaque pont tombe sur un noeud; T_profile donne la température en aval
+bridged.pointLosses
+  .filter((loss) => loss.x > 0)
+  .forEach((loss) => {
+    const k = bridged.x_profile.findIndex((x) => Math.abs(x - loss.x) < 1e-9);
+    assert(k > 0, `Noeud à x = ${loss.x} m`);
+  });
+const valve = bridged.pointLosses.find((loss) => loss.type === 'gate_valve_bare');
+const valveNode = bridged.x_profile.findIndex((x) => Math.abs(x - 50) < 1e-9);
+assert(bridged.T_profile[valveNode] === valve.T_after, 'T_profile en aval de la vanne');
+assert(valve.T_before > valve.T_after, 'Marche à la vanne');
+assert(valve.UA > 0 && valve.category === 'valve', 'Longueur nue convertie en conductance');
+
+// Entrée: T_profile[0] reste la température amont
+const inlet = bridged.pointLosses[0];
+assert(inlet.x === 0 && bridged.T_profile[0] === config.fluid.T_in, 'Entrée: T_profile[0] = T_in');
+assert(bridged.segmentResults[0].dT_point > 0, 'Chute en entrée comptée au premier segment');
+
+// Vanne nue ≈ 1.2 m de tube nu: perte proche de celle d'un tube nu de même longueur
+const bare = pipeNetwork.calculatePipeNetwork({
+  ...config,
+  totalLength: 1.2,
+  numSegments: 1,
+  fluid: { ...config.fluid, T_in: valve.T_before },
+  insulation: null,
+});
+assertApprox(valve.Q, bare.Q_loss_total, 0.01, 'Vanne = 1.2 m de tube nu');
+
+// Cale isolante: pont plus faible
+const insulatedSupports = pipeNetwork.calculatePipeNetwork({
+  ...config,
+  thermalBridges: [{ type: 'insulated_support', spacing: 6 }],
+});
+const shoesOnly = pipeNetwork.calculatePipeNetwork({
+  ...config,
+  thermalBridges: [{ type: 'pipe_shoe', spacing: 6 }],
+});
+assert(insulatedSupports.Q_point_total < shoesOnly.Q_point_total / 5, 'Cale isolante: ≈ 12× moins');
+
+// Découpage adaptatif: les chutes ponctuelles ne pilotent pas le raffinement
+const adaptive = pipeNetwork.calculatePipeNetwork({
+  ...config,
+  numSegments: undefined,
+  adaptive: true,
+  thermalBridges: [{ type: 'pipe_shoe', spacing: 6 }],
+});
+assert(adaptive.convergence.converged, 'Adaptatif: convergé');
+assertApprox(adaptive.T_final, shoesOnly.T_final, 0.01, 'Adaptatif ≈ uniforme');
+
+// Gel: le fluide ne descend pas sous le point de congélation
+const freezing = pipeNetwork.calculatePipeNetwork({
+  ...config,
+  fluid: { ...config.fluid, T_in: 2 },
+  thermalBridges: [{ type: 'custom', UA: 5000, position: 5 }],
+});
+assert(freezing.frozenCondition, 'Gel détecté au pont');
+assert(freezing.frozenAtPosition <= 5 + 1e-9, 'Gel au plus tard à 5 m');
+assert(
+  freezing.pointLosses.every((loss) => loss.T_after >= freezing.T_freeze),
+  'Pas de chute sous le point de gel'
+);
+
+// ========== SUITE 5: VALIDATION ==========
+console.log('\nSuite 5: Validation\n');
+
+assert(normalizeThermalBridges(undefined, 100).length === 0, 'Absent: aucun pont');
+assertThrows(() => normalizeThermalBridges({ type: 'pipe_shoe' }, 100), 'Objet seul rejeté');
+assertThrows(() => normalizeThermalBridges([{ type: 'custom' }], 100), 'Personnalisé sans UA');
+assertThrows(
+  () => normalizeThermalBridges([{ type: 'custom', UA: 1, bareLength: 1 }], 100),
+  'UA et bareLength rejetés ensemble'
+);
+assertThrows(() => normalizeThermalBridges([{ type: 'pipe_shoe', UA: -1 }], 100), 'UA négative');
+assertThrows(
+  () => normalizeThermalBridges([{ type: 'pipe_shoe', position: 120 }], 100),
+  'Hors de la conduite'
+);
+assertThrows(
+  () => normalizeThermalBridges([{ type: 'pipe_shoe', position: 10, spacing: 6 }], 100),
+  'Position et espacement rejetés ensemble'
+);
+assertThrows(
+  () => normalizeThermalBridges([{ type: 'pipe_shoe', spacing: 0 }], 100),
+  'Espacement nul'
+);
+assertThrows(
+  () => normalizeThermalBridges([{ type: 'pipe_shoe', spacing: 0.01 }], 100),
+  'Trop de positions'
+);
+assertThrows(
+  () => normalizeThermalBridges([{ type: 'pipe_shoe', count: 1.5 }], 100),
+  'Nombre non entier'
+);
+assertThrows(() => pointSinkTemperature(10, 0, 1, 0, 4190), 'Débit nul rejeté');
+assertThrows(
+  () =>
+    pipeNetwork.calculatePipeNetwork({
+      ...config,
+      ambient: { T_amb: -5, V_wind: 0, burial: { depth: 1.5, soil: 'clay' } },
+      thermalBridges: [{ type: 'pipe_shoe', spacing: 6 }],
+    }),
+  'Conduite enterrée rejetée'
+);
+
+// ========== RÉSUMÉ ==========
+console.log('\n' + '='.repeat(70));
+console.log('RÉSUMÉ DES TESTS');
+console.log('='.repeat(70) + '\n');
+
+console.log(`Tests réussis: ${testsPassed}/${testsTotal}`);
+
+if (testsPassed === testsTotal) {
+  console.log('✅ TOUS LES TESTS PASSENT\n');
+  process.exit(0);
+} else {
+  console.log(`❌ ${testsTotal - testsPassed} TEST(S) EN ÉCHEC\n`);
+  process.exit(1);
+}
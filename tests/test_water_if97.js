@@ -0,0 +1,223 @@
+/**
+ * test_water_if97.js
+ *
+ * Tests pour le backend IAPWS-IF97 de l'eau (properties/water-if97.js)
+ *
+ * Teste:
+ * - Région 1: valeurs de vérification de l'IAPWS-IF97 (tableau 5)
+ * - Viscosité IAPWS 2008 et conductivité IAPWS 2011 (valeurs de vérification)
+ * - Pression de saturation (région 4)
+ * - Sélection du backend et contrôle croisé avec les tables
+ * - Réseau au-delà des tables (16 bar)
+ * - Validation des entrées
+ *
+ * Exécution: node tests/test_water_if97.js
+ */
+
+const if97 = require('../js/properties/water-if97.js');
+const waterProps = require('../js/properties/water-properties.js');
+const fluidProps = require('../js/properties/fluid-properties.js');
+const pipeNetwork = require('../js/engine/pipe-network.js');
+
+const { getWaterPropertiesIF97, saturationPressure, region1, viscosity, thermalConductivity } =
+  if97;
+
+// Compteur de tests
+let testsTotal = 0;
+let testsPassed = 0;
+
+/**
+ * Fonction helper pour assertion
+ */
+function assert(condition, message) {
+  testsTotal++;
+  if (condition) {
+    testsPassed++;
+  } else {
+    console.error(`  ❌ ÉCHEC: ${message}`);
+  }
+}
+
+/**
+ * Fonction helper pour assertion approximative
+ */
+function assertApprox(actual, expected, tolerance, message) {
+  testsTotal++;
+  const diff = Math.abs(actual - expected);
+  const relError = Math.abs(diff / expected);
+
+  if (diff <= tolerance || relError <= tolerance) {
+    testsPassed++;
+  } else {
+    console.error(`  ❌ ÉCHEC: ${message}`);
+    console.error(`     Attendu: ${expected}, Obtenu: ${actual}, Différence: ${diff}`);
+  }
+}
+
+/**
+ * Fonction helper pour tester les erreurs
+ */
+function assertThrows(fn, message) {
+  testsTotal++;
+  try {
+    fn();
+    console.error(`  ❌ ÉCHEC: ${message} (aucune erreur levée)`);
+  } catch (e) {
+    testsPassed++;
+  }
+}
+
+console.log('\n' + '='.repeat(70));
+console.log('TESTS: water-if97.js');
+console.log('='.repeat(70) + '\n');
+
+// ========== SUITE 1: RÉGION 1 ==========
+console.log('Suite 1: Région 1 (IAPWS-IF97, tableau 5)\n');
+
+// Valeurs de vérification: v [m³/kg] et cp [kJ/(kg·K)]
+const region1Checks = [
+  { T: 300, p: 3, v: 0.100215168e-2, cp: 4.17301218 },
+  { T: 300, p: 80, v: 0.971180894e-3, cp: 4.01008987 },
+  { T: 500, p: 3, v: 0.1202418e-2, cp: 4.65580682 },
+];
+region1Checks.forEach(({ T, p, v, cp }) => {
+  const r = region1(T, p);
+  assertApprox(1 / r.rho, v, 1e-8, `v(${T} K, ${p} MPa)`);
+  assertApprox(r.cp / 1000, cp, 1e-8, `cp(${T} K, ${p} MPa)`);
+});
+
+// ========== SUITE 2: VISCOSITÉ ET CONDUCTIVITÉ ==========
+console.log('\nSuite 2: Viscosité et conductivité\n');
+
+// IAPWS 2008, tableau 4: μ [μPa·s]
+assertApprox(viscosity(298.15, 998) * 1e6, 889.7351, 1e-7, 'μ(298.15 K, 998 kg/m³)');
+assertApprox(viscosity(298.15, 1200) * 1e6, 1437.649467, 1e-7, 'μ(298.15 K, 1200 kg/m³)');
+assertApprox(viscosity(373.15, 1000) * 1e6, 307.883622, 1e-7, 'μ(373.15 K, 1000 kg/m³)');
+
+// IAPWS 2011, tableau 4 (avec λ2, négligeable ici): λ [mW/(m·K)]
+assertApprox(thermalConductivity(298.15, 998) * 1e3, 607.712868, 1e-5, 'λ(298.15 K, 998)');
+assertApprox(thermalConductivity(298.15, 1200) * 1e3, 799.038144, 1e-5, 'λ(298.15 K, 1200)');
+assertApprox(thermalConductivity(298.15, 0) * 1e3, 18.4341883, 1e-6, 'λ gaz dilué');
+
+// ========== SUITE 3: SATURATION ==========
+console.log('\nSuite 3: Pression de saturation\n');
+
+// IAPWS-IF97, tableau 35: ps [MPa] à 300, 500 et 600 K
+assertApprox(saturationPressure(300 - 273.15), 0.353658941e-2 * 10, 1e-8, 'ps(300 K)');
+assertApprox(saturationPressure(500 - 273.15), 0.263889776e1 * 10, 1e-8, 'ps(500 K)');
+assertApprox(saturationPressure(600 - 273.15), 0.123443146e2 * 10, 1e-8, 'ps(600 K)');
+assertApprox(saturationPressure(100), 1.0142, 1e-3, 'Ébullition à 1.014 bar et 100°C');
+
+// ========== SUITE 4: BACKENDS ET CONTRÔLE CROISÉ ==========
+console.log('\nSuite 4: Backends et contrôle croisé\n');
+
+assert(waterProps.WATER_BACKENDS.join() === 'table,if97', 'Deux backends disponibles');
+const tableDefault = waterProps.getWaterProperties(20, 2);
+const tableExplicit = waterProps.getWaterProperties(20, 2, 'table');
+assert(tableDefault.rho === tableExplicit.rho, 'Tables par défaut');
+const viaBackend = waterProps.getWaterProperties(20, 2, 'if97');
+assert(viaBackend.rho === getWaterPropertiesIF97(20, 2).rho, "Backend 'if97' délégué");
+assertThrows(() => waterProps.getWaterProperties(20, 2, 'refprop'), 'Backend inconnu rejeté');
+
+const range = waterProps.getWaterRange('if97');
+assert(range.P_max === 1000 && range.T_max === 350, 'Plage IF97: 1000 bar, 350°C');
+assert(waterProps.getWaterRange().P_max === 10, 'Plage des tables: 10 bar');
+
+const check = waterProps.compareWaterBackends();
+assert(check.points.length === 41 * 7 - 1, 'Nœuds et centres de mailles comparés');
+assert(
+  check.skipped.length === 1 && check.skipped[0].T === 100 && check.skipped[0].P === 1,
+  '100°C à 1 bar ignoré (vapeur selon IF97)'
+);
+assert(check.maxDiff.rho.value < 0.01, 'Masse volumique: écart < 0.01 %');
+assert(check.maxDiff.cp.value < 0.05, 'cp: écart < 0.05 %');
+assert(check.maxDiff.k.value < 0.1, 'Conductivité: écart < 0.1 %');
+assert(check.maxDiff.mu.value < 1, "Viscosité: écart < 1 % (erreur d'interpolation)");
+
+const nodesOnly = waterProps.compareWaterBackends({ midpoints: false });
+assert(nodesOnly.points.length === 21 * 4 - 1, 'Nœuds seuls');
+assert(nodesOnly.maxDiff.mu.value < 0.001, 'Aux nœuds: tables = IF97 pour la viscosité');
+assert(
+  nodesOnly.maxDiff.mu.value < check.maxDiff.mu.value,
+  'Écart maximal au centre des mailles (interpolation)'
+);
+
+// Sélection via getFluidProperties
+const fluidIF97 = fluidProps.getFluidProperties({ type: 'water', waterBackend: 'if97' }, 5, 16);
+assertApprox(fluidIF97.rho, getWaterPropertiesIF97(5, 16).rho, 1e-12, 'waterBackend transmis');
+assertThrows(
+  () => fluidProps.getFluidProperties({ type: 'water' }, 5, 16),
+  'Tables: 16 bar hors plage'
+);
+assertThrows(
+  () => fluidProps.getFluidProperties({ waterBackend: 'steam' }, 5, 5),
+  'waterBackend invalide rejeté'
+);
+
+// ========== SUITE 5: PLAGE ÉTENDUE ==========
+console.log('\nSuite 5: Plage étendue\n');
+
+const hot = getWaterPropertiesIF97(150, 40);
+assert(hot.rho > 915 && hot.rho < 925, 'Eau à 150°C, 40 bar: ρ ≈ 919 kg/m³');
+assert(hot.mu < 2e-4, 'Viscosité faible à 150°C');
+
+const cold = getWaterPropertiesIF97(5, 100);
+const coldLow = getWaterPropertiesIF97(5, 1);
+assert(cold.rho > coldLow.rho, 'Compressibilité: ρ croît avec P');
+
+// Réseau incendie à 16 bar (hors tables)
+const networkConfig = {
+  geometry: { D_inner: 0.1023, D_outer: 0.1143, roughness: 0.045e-3, material: 'steel' },
+  totalLength: 300,
+  numSegments: 10,
+  fluid: { T_in: 8, P: 16, m_dot: 2.0, waterBackend: 'if97' },
+  ambient: { T_amb: -10, V_wind: 5 },
+  insulation: { material: 'fiberglass', thickness: 0.03 },
+};
+const network = pipeNetwork.calculatePipeNetwork(networkConfig);
+assert(network.T_profile[network.T_profile.length - 1] < 8, 'Réseau à 16 bar calculé');
+assert(
+  network.P_profile[network.P_profile.length - 1] > 15,
+  'Pression conservée au-delà des tables'
+);
+
+const tableNetwork = pipeNetwork.calculatePipeNetwork({
+  ...networkConfig,
+  fluid: { ...networkConfig.fluid, waterBackend: 'table' },
+});
+assertApprox(
+  network.T_profile[network.T_profile.length - 1],
+  tableNetwork.T_profile[tableNetwork.T_profile.length - 1],
+  0.01,
+  'Tables bornées à 10 bar: même température de sortie à 0.01°C près'
+);
+
+// ========== SUITE 6: VALIDATION ==========
+console.log('\nSuite 6: Validation\n');
+
+assertThrows(() => getWaterPropertiesIF97(NaN, 5), 'Température invalide rejetée');
+assertThrows(() => getWaterPropertiesIF97(20, '5'), 'Pression invalide rejetée');
+assertThrows(() => getWaterPropertiesIF97(400, 300), 'Au-delà de 350°C rejeté');
+assertThrows(() => getWaterPropertiesIF97(20, 2000), 'Au-delà de 1000 bar rejeté');
+assertThrows(() => getWaterPropertiesIF97(150, 2), 'Vapeur (P < psat) rejetée');
+assertThrows(() => saturationPressure(400), 'Saturation au-delà du point critique rejetée');
+try {
+  getWaterPropertiesIF97(150, 2);
+} catch (e) {
+  assert(e.message.startsWith('Eau vaporisée'), "Message d'erreur explicite");
+}
+
+// ========== RÉSUMÉ ==========
+console.log('\n' + '='.repeat(70));
+console.log('RÉSUMÉ DES TESTS');
+console.log('='.repeat(70) + '\n');
+
+console.log(`Tests réussis: ${testsPassed}/${testsTotal}`);
+
+if (testsPassed === testsTotal) {
+  console.log('✅ TOUS LES TESTS PASSENT\n');
+  process.exit(0);
+} else {
+  console.log(`❌ ${testsTotal - testsPassed} TEST(S) EN ÉCHEC\n`);
+  process.exit(1);
+}
@@ -0,0 +1,338 @@
+/**
+ * test_wind_exposure.js
+ *
+ * Tests pour l'orientation des conduites et l'exposition au vent
+ * (calculations/wind-exposure.js, correlations/nusselt-external.js)
+ *
+ * Teste:
+ * - Corrélations: cylindre vertical (Churchill-Chu + courbure), vent oblique
+ * - Profil de vent selon la hauteur et le terrain, résolution de l'orientation
+ * - Couche externe du segment: colonne montante, conduite inclinée, vent oblique
+ * - Intégration au réseau: orientation par tronçon
+ *
+ * Exécution: node tests/test_wind_exposure.js
+ */
+
+const windExposure = require('../js/calculations/wind-exposure.js');
+const nusseltExt = require('../js/correlations/nusselt-external.js');
+const pipeSegment = require('../js/engine/pipe-segment.js');
+const pipeNetwork = require('../js/engine/pipe-network.js');
+
+// Compteur de tests
+let testsTotal = 0;
+let testsPassed = 0;
+
+/**
+ * Fonction helper pour assertion
+ */
+function assert(condition, message) {
+  testsTotal++;
+  if (condition) {
+    testsPassed++;
+  } else {
+    console.error(`  ❌ ÉCHEC: ${message}`);
+  }
+}
+
+/**
+ * Fonction helper pour assertion approximative
+ */
+function assertApprox(actual, expected, tolerance, message) {
+  testsTotal++;
+  const diff = Math.abs(actual - expected);
+  const relError = Math.abs(diff / expected);
+
+  if (diff <= tolerance || relError <= tolerance) {
+    testsPassed++;
+  } else {
+    console.error(`  ❌ ÉCHEC: ${message}`);
+    console.error(`     Attendu: ${expected}, Obtenu: ${actual}, Différence: ${diff}`);
+  }
+}
+
+/**
+ * Fonction helper pour tester les erreurs
+ */
+function assertThrows(fn, message) {
+  testsTotal++;
+  try {
+    fn();
+    console.error(`  ❌ ÉCHEC: ${message} (aucune erreur levée)`);
+  } catch (e) {
+    testsPassed++;
+  }
+}
+
+console.log('\n' + '='.repeat(70));
+console.log('TESTS: wind-exposure.js');
+console.log('='.repeat(70) + '\n');
+
+// ========== SUITE 1: CORRÉLATIONS ==========
+console.log('Suite 1: Cylindre vertical et vent oblique\n');
+
+// Plaque verticale de Churchill-Chu, Pr = 0.71, Ra_L = 1e9
+const Pr = 0.71;
+const plate = Math.pow(
+  0.825 + (0.387 * Math.pow(1e9, 1 / 6)) / Math.pow(1 + Math.pow(0.492 / Pr, 9 / 16), 8 / 27),
+  2
+);
+const thick = nusseltExt.nusseltVerticalCylinder(1e9, Pr, 1, 10);
+assertApprox(thick, plate, 0.01, 'Cylindre épais (D/L grand): proche de la plaque verticale');
+assert(
+  nusseltExt.nusseltVerticalCylinder(1e9, Pr, 1, 0.01) > 1.2 * plate,
+  'Cylindre mince: courbure augmente le transfert'
+);
+assert(
+  nusseltExt.nusseltVerticalCylinder(1e12, Pr, 10, 0.1) >
+    nusseltExt.nusseltVerticalCylinder(1e10, Pr, 10, 0.1),
+  'Nu_L croît avec Ra_L'
+);
+assertThrows(() => nusseltExt.nusseltVerticalCylinder(0, Pr, 1, 0.1), 'Ra_L nul rejeté');
+assertThrows(() => nusseltExt.nusseltVerticalCylinder(1e9, Pr, 1, 0), 'Diamètre nul rejeté');
+
+assert(nusseltExt.yawedReynolds(20000, 90) === 20000, 'Vent perpendiculaire: Re inchangé');
+assertApprox(nusseltExt.yawedReynolds(20000, 0), 4000, 1e-9, 'Vent axial: Re effectif = 0.2 Re');
+assertApprox(
+  nusseltExt.yawedReynolds(20000, 45),
+  20000 * Math.sqrt(0.5 + 0.04 * 0.5),
+  1e-9,
+  'Vent à 45°: loi de Champagne'
+);
+assert(nusseltExt.yawedReynolds(0, 30) === 0, 'Air calme: Re effectif nul');
+assertThrows(() => nusseltExt.yawedReynolds(20000, 120), "Angle d'attaque > 90° rejeté");
+
+// Nusselt naturel fourni: utilisé tel quel en air calme
+assert(
+  nusseltExt.nusseltExternal(0, Pr, 1e6, 12.5) === 12.5,
+  'nusseltExternal: Nusselt naturel fourni en air calme'
+);
+assertApprox(
+  nusseltExt.nusseltExternal(2000, Pr, 1e6),
+  nusseltExt.nusseltExternal(
+    2000,
+    Pr,
+    1e6,
+    nusseltExt.nusseltNaturalConvectionCylinder(1e6 * Pr, Pr)
+  ),
+  1e-12,
+  'nusseltExternal: défaut = cylindre horizontal'
+);
+
+// ========== SUITE 2: PROFIL DE VENT ET ORIENTATION ==========
+console.log('\nSuite 2: Profil de vent et orientation\n');
+
+const { windSpeedAtHeight, resolveOrientation } = windExposure;
+
+assert(windSpeedAtHeight(5, 10) === 5, 'Rase campagne à 10 m: vitesse de référence');
+assert(windSpeedAtHeight(5, 30) > 5, 'Vent plus fort en hauteur');
+assertApprox(
+  windSpeedAtHeight(5, 1, 'open'),
+  windSpeedAtHeight(5, 2, 'open'),
+  1e-12,
+  'Sous z_min: profil tronqué'
+);
+assert(
+  windSpeedAtHeight(5, 3, 'open') > windSpeedAtHeight(5, 3, 'suburban') &&
+    windSpeedAtHeight(5, 3, 'suburban') > windSpeedAtHeight(5, 3, 'urban'),
+  'Vent réduit en terrain rugueux'
+);
+// EN 1991-1-4: k_r × ln(z/z0), normalisé sur la rase campagne à 10 m
+const kr = (z0) => 0.19 * Math.pow(z0 / 0.05, 0.07);
+assertApprox(
+  windSpeedAtHeight(5, 20, 'suburban'),
+  (5 * kr(0.3) * Math.log(20 / 0.3)) / (kr(0.05) * Math.log(10 / 0.05)),
+  1e-12,
+  'Banlieue à 20 m: profil logarithmique'
+);
+assert(windSpeedAtHeight(0, 5, 'urban') === 0, 'Air calme à toute hauteur');
+assertThrows(() => windSpeedAtHeight(5, 3, 'forest'), 'Terrain inconnu rejeté');
+assertThrows(() => windSpeedAtHeight(5, -1), 'Hauteur négative rejetée');
+assert(
+  Object.isFrozen(windExposure.TERRAIN_CATEGORIES) &&
+    Object.isFrozen(windExposure.TERRAIN_CATEGORIES.open),
+  'Catégories de terrain immuables'
+);
+
+const horizontal = resolveOrientation(null, 10);
+assert(
+  horizontal.inclination === 0 &&
+    horizontal.windAngle === 90 &&
+    horizontal.attackAngle === 90 &&
+    horizontal.height === 10,
+  'Défaut: horizontale, vent perpendiculaire, 10 m'
+);
+const riser = resolveOrientation({ inclination: 90, windAngle: 0 }, 6);
+assertApprox(riser.attackAngle, 90, 1e-9, 'Colonne montante: flux croisé quel que soit le vent');
+const folded = resolveOrientation({ inclination: -30, windAngle: 135 }, 5);
+assert(folded.inclination === 30 && folded.windAngle === 45, 'Angles ramenés dans [0, 90]°');
+assertApprox(
+  Math.cos((folded.attackAngle * Math.PI) / 180),
+  Math.cos(Math.PI / 6) * Math.cos(Math.PI / 4),
+  1e-12,
+  "Angle d'attaque: cos φ = cos θ × cos ψ"
+);
+assertThrows(() => resolveOrientation({ inclination: 120 }, 5), 'Inclinaison > 90° rejetée');
+assertThrows(() => resolveOrientation('vertical', 5), 'Orientation non objet rejetée');
+
+// ========== SUITE 3: COUCHE EXTERNE DU SEGMENT ==========
+console.log('\nSuite 3: Couche externe du segment\n');
+
+const geometry = {
+  D_inner: 0.0525,
+  D_outer: 0.0603,
+  roughness: 0.045e-3,
+  length: 10,
+  material: 'steel',
+};
+const fluid = { T_in: 60, P: 3.0, m_dot: 2.0 };
+const insulation = { material: 'fiberglass', thickness: 0.02 };
+const calm = { T_amb: -10, V_wind: 0 };
+const windy = { T_amb: -10, V_wind: 3 };
+
+const segment = (orientation, ambient, insul = insulation) =>
+  pipeSegment.calculatePipeSegment({ ...geometry, orientation }, fluid, ambient, insul);
+
+const plain = pipeSegment.calculatePipeSegment(geometry, fluid, windy, insulation);
+const explicitHorizontal = segment({ inclination: 0, windAngle: 90, height: 10 }, windy);
+assert(
+  plain.T_out === explicitHorizontal.T_out && plain.h_ext === explicitHorizontal.h_ext,
+  'Orientation par défaut: résultat inchangé'
+);
+assert(
+  plain.V_wind_local === 3 && plain.orientation.attackAngle === 90,
+  'Sans orientation: vent local = vent saisi'
+);
+
+// Vent oblique: moins de transfert qu'en flux croisé
+const yawed = segment({ windAngle: 30 }, windy);
+const axial = segment({ windAngle: 0 }, windy);
+assert(
+  axial.h_conv_ext < yawed.h_conv_ext && yawed.h_conv_ext < plain.h_conv_ext,
+  "h_conv décroît quand le vent tourne vers l'axe"
+);
+assert(axial.Q_loss < plain.Q_loss, 'Vent axial: pertes réduites');
+
+// Colonne montante en air calme: convection naturelle de cylindre vertical
+const riserCalm = segment({ inclination: 90 }, calm, null);
+const horizontalCalm = segment(null, calm, null);
+assert(riserCalm.convectionRegime === 'natural', 'Colonne en air calme: régime naturel');
+assert(
+  riserCalm.h_conv_ext !== horizontalCalm.h_conv_ext,
+  'Colonne montante: corrélation verticale appliquée'
+);
+
+// Continuité en inclinaison: pas de saut près de l'horizontale
+const slight = segment({ inclination: 1 }, calm, null);
+assertApprox(
+  slight.h_conv_ext,
+  horizontalCalm.h_conv_ext,
+  0.005,
+  "Inclinaison 1°: h_conv continu avec l'horizontale"
+);
+let maxStep = 0;
+let previous = horizontalCalm.h_conv_ext;
+for (let angle = 5; angle <= 90; angle += 5) {
+  const h = segment({ inclination: angle }, calm, null).h_conv_ext;
+  maxStep = Math.max(maxStep, Math.abs(h - previous) / previous);
+  previous = h;
+}
+assert(maxStep < 0.05, `Balayage 0-90°: variation < 5% par pas de 5° (max ${maxStep})`);
+
+// Vent en hauteur et terrain
+const low = segment({ height: 2 }, { ...windy, terrain: 'urban' });
+assert(low.V_wind_local < 3, 'Conduite basse en ville: vent réduit');
+assertApprox(
+  low.V_wind_local,
+  windSpeedAtHeight(3, 2, 'urban'),
+  1e-12,
+  'Vent local = profil EN 1991-1-4'
+);
+assert(low.Q_loss < plain.Q_loss, 'Vent réduit: pertes réduites');
+const high = segment({ height: 40 }, windy);
+assert(high.Q_loss > plain.Q_loss, 'Conduite en hauteur: vent et pertes accrus');
+
+const buried = pipeSegment.calculatePipeSegment(
+  { ...geometry, orientation: { inclination: 90 } },
+  fluid,
+  { ...windy, burial: { depth: 1.5, soil: 'clay' } },
+  insulation
+);
+assert(
+  buried.orientation === null && buried.V_wind_local === null,
+  'Enterrée: orientation ignorée'
+);
+
+console.log(
+  `  ℹ️  h_conv en air calme -10°C: horizontale ${horizontalCalm.h_conv_ext.toFixed(2)}, colonne ${riserCalm.h_conv_ext.toFixed(2)} W/(m²·K); vent 3 m/s axial ${axial.h_conv_ext.toFixed(1)} vs croisé ${plain.h_conv_ext.toFixed(1)} W/(m²·K)`
+);
+
+// ========== SUITE 4: RÉSEAU ==========
+console.log('\nSuite 4: Orientation par tronçon\n');
+
+const steel = { D_inner: 0.0525, D_outer: 0.0603, roughness: 0.045e-3, material: 'steel' };
+const route = {
+  sections: [
+    { length: 30, geometry: steel, insulation: insulation },
+    { length: 6, geometry: steel, insulation: insulation, orientation: { inclination: 90 } },
+    { length: 30, geometry: steel, insulation: insulation, orientation: { height: 8 } },
+  ],
+  numSegments: 11,
+  fluid: { T_in: 60, P: 3.0, m_dot: 2.0 },
+  ambient: { T_amb: -10, V_wind: 3, terrain: 'suburban' },
+  orientation: { windAngle: 60, height: 2 },
+};
+const network = pipeNetwork.calculatePipeNetwork(route);
+const bySection = (i) => network.segmentResults.filter((seg) => seg.sectionIndex === i);
+
+assert(
+  bySection(1).every((seg) => seg.inclination === 90),
+  'Tronçon montant: inclinaison de la section'
+);
+assert(
+  bySection(0).every((seg) => seg.inclination === 0),
+  'Tronçon sans orientation: celle de la configuration'
+);
+assertApprox(
+  bySection(0)[0].V_wind_local,
+  windSpeedAtHeight(3, 2, 'suburban'),
+  1e-12,
+  'Vent local du premier tronçon (2 m, banlieue)'
+);
+assertApprox(
+  bySection(2)[0].V_wind_local,
+  windSpeedAtHeight(3, 8, 'suburban'),
+  1e-12,
+  'Orientation de tronçon prioritaire (8 m)'
+);
+assert(
+  network.sections[1].orientation.inclination === 90,
+  'Tronçons normalisés: orientation conservée'
+);
+
+const flat = pipeNetwork.calculatePipeNetwork({
+  geometry: steel,
+  totalLength: 100,
+  numSegments: 10,
+  fluid: { T_in: 60, P: 3.0, m_dot: 2.0 },
+  ambient: { T_amb: -10, V_wind: 3 },
+  insulation: insulation,
+});
+assert(
+  flat.segmentResults.every((seg) => seg.inclination === 0 && seg.V_wind_local === 3),
+  'Configuration classique: horizontale, vent saisi'
+);
+
+// ========== RÉSUMÉ ==========
+console.log('\n' + '='.repeat(70));
+console.log('RÉSUMÉ DES TESTS');
+console.log('='.repeat(70) + '\n');
+
+console.log(`Tests réussis: ${testsPassed}/${testsTotal}`);
+
+if (testsPassed === testsTotal) {
+  console.log('✅ TOUS LES TESTS PASSENT\n');
+  process.exit(0);
+} else {
+  console.log(`❌ ${testsTotal - testsPassed} TEST(S) EN ÉCHEC\n`);
+  process.exit(1);
+}